@@ -35,18 +35,80 @@ CREATE TABLE IF NOT EXISTS code_vectors (
   code_segment TEXT NOT NULL,
   start_line INT NOT NULL,
   end_line INT NOT NULL,
+  symbol_name VARCHAR(255),
+  symbol_kind VARCHAR(50),
   embedding JSON,
+  embedding_model VARCHAR(100),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (file_id) REFERENCES project_files(id) ON DELETE CASCADE
 );
 
+-- Состояние индексации проектов (коммит последней индексации)
+CREATE TABLE IF NOT EXISTS project_index_state (
+  project_id INT NOT NULL,
+  indexer VARCHAR(50) NOT NULL,
+  last_commit VARCHAR(40) NOT NULL,
+  indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (project_id, indexer),
+  FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+);
+
+-- Символы кода (функции, классы, методы) для графа символов
+CREATE TABLE IF NOT EXISTS code_symbols (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  project_id INT NOT NULL,
+  file_id INT NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  qualified_name VARCHAR(255) NOT NULL,
+  kind VARCHAR(50) NOT NULL,
+  parent_name VARCHAR(255),
+  exported BOOLEAN DEFAULT FALSE,
+  start_line INT NOT NULL,
+  end_line INT NOT NULL,
+  FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+  FOREIGN KEY (file_id) REFERENCES project_files(id) ON DELETE CASCADE,
+  INDEX idx_code_symbols_name (project_id, name)
+);
+
+-- Связи между файлами и символами (импорты, вызовы, наследование)
+CREATE TABLE IF NOT EXISTS symbol_references (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  project_id INT NOT NULL,
+  reference_type ENUM('imports', 'calls', 'extends') NOT NULL,
+  source_file_id INT NOT NULL,
+  source_symbol VARCHAR(255),
+  target_file_id INT NOT NULL,
+  target_symbol VARCHAR(255),
+  line INT,
+  FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+  FOREIGN KEY (source_file_id) REFERENCES project_files(id) ON DELETE CASCADE,
+  FOREIGN KEY (target_file_id) REFERENCES project_files(id) ON DELETE CASCADE,
+  INDEX idx_symbol_references_target (project_id, target_file_id)
+);
+
+-- Версии сводки архитектуры проекта (слои, соглашения, доступ к БД)
+CREATE TABLE IF NOT EXISTS project_architecture (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  project_id INT NOT NULL,
+  version INT NOT NULL,
+  summary JSON NOT NULL,
+  summary_hash CHAR(64) NOT NULL,
+  files_analyzed INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+  UNIQUE KEY uk_project_architecture_version (project_id, version)
+);
+
 -- Схема БД для представления в системе
 CREATE TABLE IF NOT EXISTS schema_tables (
   id INT PRIMARY KEY AUTO_INCREMENT,
+  project_id INT,
   name VARCHAR(100) NOT NULL,
   structure JSON NOT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_schema_tables_project_name (project_id, name)
 );
 
 -- Колонки в схеме БД
@@ -65,6 +127,7 @@ CREATE TABLE IF NOT EXISTS schema_columns (
 -- Отношения в схеме БД
 CREATE TABLE IF NOT EXISTS schema_relations (
   id INT PRIMARY KEY AUTO_INCREMENT,
+  project_id INT,
   source_table VARCHAR(100) NOT NULL,
   source_column VARCHAR(100) NOT NULL,
   target_table VARCHAR(100) NOT NULL,
@@ -72,7 +135,9 @@ CREATE TABLE IF NOT EXISTS schema_relations (
   on_delete VARCHAR(20) DEFAULT 'RESTRICT',
   on_update VARCHAR(20) DEFAULT 'RESTRICT',
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+  INDEX idx_schema_relations_project (project_id)
 );
 
 -- Задачи
@@ -119,6 +184,28 @@ CREATE TABLE IF NOT EXISTS code_generations (
   FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
 );
 
+-- Состав контекста промптов: какие фрагменты вошли в промпт, а какие нет (и почему)
+CREATE TABLE IF NOT EXISTS prompt_context_snippets (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  project_id INT NOT NULL,
+  task_id INT,
+  prompt_type VARCHAR(50) NOT NULL,
+  pack_id CHAR(36) NOT NULL,
+  section VARCHAR(50) NOT NULL,
+  source VARCHAR(50),
+  snippet_key VARCHAR(255) NOT NULL,
+  title VARCHAR(255),
+  score FLOAT,
+  tokens INT NOT NULL,
+  included BOOLEAN NOT NULL,
+  reason VARCHAR(50),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+  FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+  INDEX idx_prompt_context_snippets_task (project_id, task_id),
+  INDEX idx_prompt_context_snippets_pack (pack_id)
+);
+
 -- Коммиты
 CREATE TABLE IF NOT EXISTS commits (
   id INT PRIMARY KEY AUTO_INCREMENT,
@@ -129,6 +216,39 @@ CREATE TABLE IF NOT EXISTS commits (
   FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
 );
 
+-- Доставки вебхуков Git-хостинга (GitHub, GitLab) для отсева повторов
+CREATE TABLE IF NOT EXISTS git_webhook_deliveries (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  provider VARCHAR(20) NOT NULL,
+  delivery_id VARCHAR(128) NOT NULL,
+  event_type VARCHAR(50) NOT NULL,
+  action VARCHAR(50) NULL,
+  task_id VARCHAR(64) NULL,
+  status ENUM('received', 'processed', 'ignored', 'failed') NOT NULL DEFAULT 'received',
+  error TEXT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uk_git_webhook_delivery (provider, delivery_id),
+  INDEX idx_git_webhook_deliveries_task (task_id)
+);
+
+-- Сессии разрешения конфликтов слияния: блоки конфликта, предложения LLM и решения по ним
+CREATE TABLE IF NOT EXISTS merge_conflict_resolutions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  project_id INT NOT NULL,
+  base_branch VARCHAR(255) NOT NULL,
+  head_branch VARCHAR(255) NOT NULL,
+  merge_base VARCHAR(64) NOT NULL,
+  status ENUM('open', 'applied') NOT NULL DEFAULT 'open',
+  files JSON NOT NULL,
+  resolution_branch VARCHAR(255) NULL,
+  commit_hash VARCHAR(64) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+  INDEX idx_merge_conflict_resolutions_branches (project_id, base_branch, head_branch)
+);
+
 -- Обратная связь
 CREATE TABLE IF NOT EXISTS feedback (
   id INT PRIMARY KEY AUTO_INCREMENT,
@@ -162,6 +282,7 @@ CREATE TABLE IF NOT EXISTS llm_interactions (
   response TEXT NOT NULL,
   model_used VARCHAR(50),
   tokens_used INT DEFAULT 0,
+  routing JSON,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE SET NULL
 );
@@ -228,6 +349,71 @@ CREATE TABLE IF NOT EXISTS user_sessions (
   FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- Типы интеграций с системами управления проектами (JIRA, GitHub Issues, GitLab, Azure DevOps)
+CREATE TABLE IF NOT EXISTS integration_types (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  provider_name VARCHAR(255) NOT NULL UNIQUE,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  config_schema TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Интеграции проектов
+CREATE TABLE IF NOT EXISTS integration_links (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  project_id INT NOT NULL,
+  integration_type_id INT NOT NULL,
+  config TEXT,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+  FOREIGN KEY (integration_type_id) REFERENCES integration_types(id) ON DELETE CASCADE
+);
+
+-- Связи задач с внешними системами и состояние их синхронизации
+CREATE TABLE IF NOT EXISTS task_external_links (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  task_id INT NOT NULL,
+  integration_type_id INT NOT NULL,
+  external_id VARCHAR(255) NOT NULL,
+  external_url VARCHAR(255),
+  sync_state TEXT,
+  last_synced_at TIMESTAMP NULL,
+  last_sync_status VARCHAR(20),
+  last_sync_message TEXT,
+  sync_log TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+  FOREIGN KEY (integration_type_id) REFERENCES integration_types(id) ON DELETE CASCADE,
+  INDEX idx_task_external_links_external (integration_type_id, external_id)
+);
+
+-- Конфликты синхронизации задач: поле изменено на обеих сторонах и ждет ручного решения
+CREATE TABLE IF NOT EXISTS task_sync_conflicts (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  task_external_link_id INT NOT NULL,
+  task_id INT NOT NULL,
+  field VARCHAR(50) NOT NULL,
+  base_value TEXT,
+  local_value TEXT,
+  remote_value TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'open',
+  resolution VARCHAR(20),
+  resolved_value TEXT,
+  resolved_by INT NULL,
+  resolved_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (task_external_link_id) REFERENCES task_external_links(id) ON DELETE CASCADE,
+  FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+  FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL,
+  INDEX idx_task_sync_conflicts_link (task_external_link_id, status)
+);
+
 -- Добавить в scripts/schema.sql
 CREATE TABLE IF NOT EXISTS llm_token_usage (
   id INT PRIMARY KEY AUTO_INCREMENT,
@@ -240,6 +426,32 @@ CREATE TABLE IF NOT EXISTS llm_token_usage (
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Create llm_budgets table
+CREATE TABLE IF NOT EXISTS llm_budgets (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  scope ENUM('project', 'user', 'task') NOT NULL,
+  scope_id INT NOT NULL,
+  period ENUM('daily', 'monthly', 'total') NOT NULL DEFAULT 'monthly',
+  token_limit BIGINT NULL,
+  cost_limit DECIMAL(12, 4) NULL,
+  soft_limit_percent INT NOT NULL DEFAULT 80,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_budget (scope, scope_id, period)
+);
+
+-- Create llm_budget_usage table
+CREATE TABLE IF NOT EXISTS llm_budget_usage (
+  scope ENUM('project', 'user', 'task') NOT NULL,
+  scope_id INT NOT NULL,
+  period_key VARCHAR(10) NOT NULL,
+  tokens BIGINT NOT NULL DEFAULT 0,
+  cost DECIMAL(12, 6) NOT NULL DEFAULT 0,
+  notified_level TINYINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (scope, scope_id, period_key)
+);
+
 -- Create project_settings table
 CREATE TABLE IF NOT EXISTS project_settings (
   id INT PRIMARY KEY AUTO_INCREMENT,
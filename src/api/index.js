@@ -19,7 +19,11 @@ const notificationsRoutes = require('./routes/notifications'); // Маршрут
 const queueRoutes = require('./routes/queue');
 const feedbackRoutes = require('./routes/feedback');
 const integrationRoutes = require('./routes/integration');
-const { router: orchestrationRoutes, initRoutes: initOrchestrationRoutes } = require('./routes/orchestration.routes');
+const {
+  router: orchestrationRoutes,
+  webhookRouter: orchestrationWebhookRoutes,
+  initRoutes: initOrchestrationRoutes
+} = require('./routes/orchestration.routes');
 
 
 
@@ -46,6 +50,9 @@ router.get('/monitoring/health', (req, res) => {
 // Подключаем маршруты аутентификации БЕЗ аутентификации
 router.use('/auth', authRoutes);
 
+// Вебхуки Git-хостинга проверяются подписью, а не аутентификацией пользователя
+router.use('/orchestration/webhooks', orchestrationWebhookRoutes);
+
 // ПОСЛЕ этой строки все маршруты требуют аутентификации
 router.use(authenticateCombined);
 
@@ -31,7 +31,8 @@ router.post(
 
 /**
  * @route POST /api/git/pr/conflicts
- * @description Проверяет наличие конфликтов перед созданием PR
+ * @description Проверяет наличие конфликтов перед созданием PR.
+ * С projectId открывает сессию разрешения конфликтов по блокам с предложениями LLM
  * @access Private
  */
 router.post(
@@ -41,12 +42,75 @@ router.post(
     body: {
       baseBranch: { type: 'string', required: true },
       headBranch: { type: 'string', required: true },
-      analyzeConflicts: { type: 'boolean', optional: true }
+      analyzeConflicts: { type: 'boolean', optional: true },
+      projectId: { type: 'string', optional: true },
+      proposeResolutions: { type: 'boolean', optional: true }
     }
   }),
   prController.checkConflicts
 );
 
+/**
+ * @route GET /api/git/pr/conflicts/:resolutionId
+ * @description Получает сессию разрешения конфликтов с блоками и предложениями
+ * @access Private
+ */
+router.get(
+  '/conflicts/:resolutionId',
+  authenticateCombined,
+  prController.getConflictResolution
+);
+
+/**
+ * @route POST /api/git/pr/conflicts/:resolutionId/propose
+ * @description Запрашивает новые предложения для непринятых блоков конфликта
+ * @access Private
+ */
+router.post(
+  '/conflicts/:resolutionId/propose',
+  authenticateCombined,
+  validate({
+    body: {
+      hunkIds: { type: 'array', optional: true }
+    }
+  }),
+  prController.proposeConflictResolutions
+);
+
+/**
+ * @route POST /api/git/pr/conflicts/:resolutionId/hunks/:hunkId
+ * @description Принимает или отклоняет блок конфликта (content заменяет предложение LLM)
+ * @access Private
+ */
+router.post(
+  '/conflicts/:resolutionId/hunks/:hunkId',
+  authenticateCombined,
+  validate({
+    body: {
+      decision: { type: 'string', required: true, enum: ['accept', 'reject'] },
+      content: { type: 'string', optional: true }
+    }
+  }),
+  prController.decideConflictHunk
+);
+
+/**
+ * @route POST /api/git/pr/conflicts/:resolutionId/apply
+ * @description Коммитит принятые разрешения в ветку разрешения конфликтов
+ * @access Private
+ */
+router.post(
+  '/conflicts/:resolutionId/apply',
+  authenticateCombined,
+  validate({
+    body: {
+      push: { type: 'boolean', optional: true },
+      commitMessage: { type: 'string', optional: true }
+    }
+  }),
+  prController.applyConflictResolution
+);
+
 /**
  * @route POST /api/git/pr/description
  * @description Генерирует описание для PR
@@ -8,7 +8,10 @@ const {
   createIntegrationSchema,
   updateIntegrationSchema,
   synchronizeTaskSchema,
-  importTasksSchema
+  importTasksSchema,
+  resolveSyncConflictSchema,
+  updateMappingsSchema,
+  previewMappingsSchema
 } = require('./validation');
 
 // Apply authentication to all routes in this router
@@ -37,6 +40,23 @@ router.put(
 // Delete integration
 router.delete('/:integrationId', integrationController.deleteIntegration);
 
+// Get field mappings of an integration
+router.get('/:integrationId/mappings', integrationController.getIntegrationMappings);
+
+// Save field mappings of an integration
+router.put(
+  '/:integrationId/mappings',
+  validate(updateMappingsSchema),
+  integrationController.updateIntegrationMappings
+);
+
+// Validate field mappings and preview how a sample issue would map
+router.post(
+  '/:integrationId/mappings/preview',
+  validate(previewMappingsSchema),
+  integrationController.previewIntegrationMappings
+);
+
 // Get external links for a task
 router.get('/task/:taskId/links', integrationController.getTaskExternalLinks);
 
@@ -54,4 +74,17 @@ router.post(
   integrationController.importTasksFromExternalSystem
 );
 
+// Receive issue change notifications from an external tracker (authenticated with ?api_key=)
+router.post('/webhooks/:provider', integrationController.handleSyncWebhook);
+
+// List sync conflicts flagged for review
+router.get('/conflicts', integrationController.listSyncConflicts);
+
+// Resolve a sync conflict
+router.post(
+  '/conflicts/:conflictId/resolve',
+  validate(resolveSyncConflictSchema),
+  integrationController.resolveSyncConflict
+);
+
 module.exports = router;
\ No newline at end of file
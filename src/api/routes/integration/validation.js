@@ -31,13 +31,58 @@ const importTasksSchema = Joi.object({
     page: Joi.number().integer().positive().optional(),
     perPage: Joi.number().integer().positive().optional(),
     jiraProject: Joi.string().optional(),
-    status: Joi.string().optional()
+    status: Joi.string().optional(),
+    workItemType: Joi.string().optional()
   }).optional()
 });
 
+// Таблица перевода значений (статусов, приоритетов) между системами
+const valueMappingSchema = Joi.object({
+  toLocal: Joi.object().pattern(Joi.string(), Joi.string()).optional(),
+  toExternal: Joi.object().pattern(Joi.string(), Joi.string()).optional()
+});
+
+// Схема маппинга полей интеграции
+const fieldMappingsSchema = Joi.object({
+  status: valueMappingSchema.optional(),
+  priority: valueMappingSchema.optional(),
+  labels: Joi.array().items(Joi.object({
+    label: Joi.string().required(),
+    tag: Joi.string().required()
+  })).optional(),
+  customFields: Joi.array().items(Joi.object({
+    externalField: Joi.string().required(),
+    taskField: Joi.string().required(),
+    transform: Joi.string().optional(),
+    values: Joi.object().optional(),
+    direction: Joi.string().valid('both', 'to-local', 'to-external').optional()
+  })).optional()
+});
+
+// Схема валидации для сохранения маппинга полей
+const updateMappingsSchema = Joi.object({
+  mappings: fieldMappingsSchema.required()
+});
+
+// Схема валидации для предпросмотра маппинга полей
+const previewMappingsSchema = Joi.object({
+  mappings: fieldMappingsSchema.optional(),
+  sample: Joi.object().optional(),
+  task: Joi.object().optional()
+}).or('sample', 'task');
+
+// Схема валидации для разрешения конфликта синхронизации
+const resolveSyncConflictSchema = Joi.object({
+  resolution: Joi.string().valid('local', 'remote', 'manual').required(),
+  value: Joi.any().when('resolution', { is: 'manual', then: Joi.required() })
+});
+
 module.exports = {
   createIntegrationSchema,
   updateIntegrationSchema,
   synchronizeTaskSchema,
-  importTasksSchema
+  importTasksSchema,
+  resolveSyncConflictSchema,
+  updateMappingsSchema,
+  previewMappingsSchema
 };
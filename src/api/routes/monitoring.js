@@ -2,8 +2,10 @@
 
 const express = require('express');
 const router = express.Router();
+const { authorize } = require('../middleware/auth');
 const { getLLMClient } = require('../../utils/llm-client');
 const tokenManager = require('../../utils/token-manager');
+const llmBudgetManager = require('../../utils/llm-budget-manager');
 const { pool } = require('../../config/db.config');
 const logger = require('../../utils/logger');
 const os = require('os');
@@ -140,6 +142,116 @@ router.get('/llm', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/monitoring/llm/budgets
+ * @desc    Получить бюджеты LLM с текущим расходом (фильтры: scope, scope_id)
+ * @access  Private
+ */
+router.get('/llm/budgets', async (req, res) => {
+  try {
+    const budgets = await llmBudgetManager.listBudgets({
+      scope: req.query.scope,
+      scopeId: req.query.scope_id
+    });
+    
+    res.json(budgets);
+  } catch (error) {
+    logger.error('Ошибка при получении бюджетов LLM:', error);
+    res.status(500).json({ error: 'Ошибка сервера при получении бюджетов LLM' });
+  }
+});
+
+/**
+ * @route   GET /api/monitoring/llm/budgets/:id
+ * @desc    Получить бюджет LLM с текущим расходом
+ * @access  Private
+ */
+router.get('/llm/budgets/:id', async (req, res) => {
+  try {
+    const budget = await llmBudgetManager.getBudget(req.params.id);
+    
+    if (!budget) {
+      return res.status(404).json({ error: 'Бюджет не найден' });
+    }
+    
+    res.json(budget);
+  } catch (error) {
+    logger.error('Ошибка при получении бюджета LLM:', error);
+    res.status(500).json({ error: 'Ошибка сервера при получении бюджета LLM' });
+  }
+});
+
+/**
+ * @route   POST /api/monitoring/llm/budgets
+ * @desc    Создать бюджет LLM (или обновить лимиты бюджета той же области и периода)
+ * @access  Private/Admin
+ */
+router.post('/llm/budgets', authorize(['admin']), async (req, res) => {
+  try {
+    const data = getBudgetData(req.body);
+    const errors = llmBudgetManager.validateBudget(data);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+    
+    const budget = await llmBudgetManager.saveBudget(data);
+    
+    res.status(201).json(budget);
+  } catch (error) {
+    logger.error('Ошибка при сохранении бюджета LLM:', error);
+    res.status(500).json({ error: 'Ошибка сервера при сохранении бюджета LLM' });
+  }
+});
+
+/**
+ * @route   PUT /api/monitoring/llm/budgets/:id
+ * @desc    Изменить лимиты бюджета LLM
+ * @access  Private/Admin
+ */
+router.put('/llm/budgets/:id', authorize(['admin']), async (req, res) => {
+  try {
+    const { tokenLimit, costLimit, softLimitPercent } = getBudgetData(req.body);
+    const changes = { tokenLimit, costLimit, softLimitPercent };
+    const errors = llmBudgetManager.validateBudget(changes, { partial: true });
+    
+    if (errors.length > 0) {
+      return res.status(400).json({ errors });
+    }
+    
+    const budget = await llmBudgetManager.updateBudget(req.params.id, changes);
+    
+    if (!budget) {
+      return res.status(404).json({ error: 'Бюджет не найден' });
+    }
+    
+    res.json(budget);
+  } catch (error) {
+    logger.error('Ошибка при обновлении бюджета LLM:', error);
+    res.status(500).json({ error: 'Ошибка сервера при обновлении бюджета LLM' });
+  }
+});
+
+/**
+ * @route   DELETE /api/monitoring/llm/budgets/:id
+ * @desc    Удалить бюджет LLM
+ * @access  Private/Admin
+ */
+router.delete('/llm/budgets/:id', authorize(['admin']), async (req, res) => {
+  try {
+    const deleted = await llmBudgetManager.deleteBudget(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ error: 'Бюджет не найден' });
+    }
+    
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Ошибка при удалении бюджета LLM:', error);
+    res.status(500).json({ error: 'Ошибка сервера при удалении бюджета LLM' });
+  }
+});
+
 /**
  * @route   GET /api/monitoring/tasks
  * @desc    Получить статистику по задачам
@@ -341,6 +453,22 @@ async function checkLLMHealth() {
   }
 }
 
+/**
+ * Извлекает параметры бюджета LLM из тела запроса
+ * @param {Object} body - Тело запроса (scope, scope_id, period, token_limit, cost_limit, soft_limit_percent)
+ * @returns {Object} - Параметры бюджета
+ */
+function getBudgetData(body = {}) {
+  return {
+    scope: body.scope,
+    scopeId: body.scope_id !== undefined ? Number(body.scope_id) : undefined,
+    period: body.period,
+    tokenLimit: body.token_limit,
+    costLimit: body.cost_limit,
+    softLimitPercent: body.soft_limit_percent
+  };
+}
+
 /**
  * Форматирует время работы в человекочитаемый формат
  * @param {number} seconds - Время в секундах
@@ -4,8 +4,9 @@
  */
 const express = require('express');
 const router = express.Router();
+const webhookRouter = express.Router();
 const TaskOrchestrationController = require('../../controller/task/task-orchestration-controller');
-const authMiddleware = require('../middleware/auth');
+const { authenticateCombined: authMiddleware } = require('../middleware/auth');
 
 // Экземпляр контроллера оркестрации задач
 let orchestrationController;
@@ -83,30 +84,41 @@ const initRoutes = (options = {}) => {
     return orchestrationController.getOrchestrationStats(req, res);
   });
   
-  // Вебхук для событий Git (без проверки авторизации)
-  router.post('/webhooks/git', async (req, res) => {
-    try {
-      // Тут можно добавить логику для обработки вебхуков Git
-      // Например, триггеринг процесса интеграции обратной связи
-      res.status(200).json({
-        success: true,
-        message: 'Вебхук Git обработан'
-      });
-    } catch (error) {
-      console.error('Ошибка при обработке вебхука Git:', error);
-      res.status(500).json({
+  return router;
+};
+
+/**
+ * Сохраняет тело запроса без изменений в req.rawBody для проверки подписи.
+ */
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+/**
+ * Вебхуки Git-хостинга подключаются до аутентификации пользователей:
+ * их подлинность проверяется подписью (GitHub) или секретным токеном (GitLab).
+ * Принимаются тела application/json и application/x-www-form-urlencoded
+ * (GitHub передает JSON события в поле payload формы).
+ */
+webhookRouter.post(
+  '/git',
+  express.json({ limit: '5mb', verify: captureRawBody }),
+  express.urlencoded({ limit: '5mb', extended: false, verify: captureRawBody }),
+  async (req, res) => {
+    if (!orchestrationController) {
+      return res.status(503).json({
         success: false,
-        message: 'Ошибка при обработке вебхука Git',
-        error: error.message
+        message: 'Контроллер оркестрации не инициализирован'
       });
     }
-  });
-  
-  return router;
-};
+    
+    return orchestrationController.handleGitWebhook(req, res);
+  }
+);
 
-// Экспортируем маршрутизатор и функцию инициализации
+// Экспортируем маршрутизаторы и функцию инициализации
 module.exports = {
   router,
+  webhookRouter,
   initRoutes
 };
\ No newline at end of file
@@ -0,0 +1,29 @@
+// src/api/routes/project/project-architecture.routes.js
+
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Для доступа к req.params.id из родительского роутера
+const { authenticateCombined } = require('../../middleware/auth');
+const projectArchitectureController = require('../../../controller/project-architecture.controller');
+
+/**
+ * @route   GET /api/projects/:id/architecture
+ * @desc    Получить сводку архитектуры проекта (последнюю или version=N)
+ * @access  Private
+ */
+router.get('/', authenticateCombined, projectArchitectureController.getArchitecture);
+
+/**
+ * @route   POST /api/projects/:id/architecture/analyze
+ * @desc    Определить архитектуру проекта по проиндексированному коду (новая версия при изменениях)
+ * @access  Private
+ */
+router.post('/analyze', authenticateCombined, projectArchitectureController.analyzeArchitecture);
+
+/**
+ * @route   POST /api/projects/:id/architecture/drift
+ * @desc    Проверить изменения на соответствие слоям и соглашениям проекта
+ * @access  Private
+ */
+router.post('/drift', authenticateCombined, projectArchitectureController.detectDrift);
+
+module.exports = router;
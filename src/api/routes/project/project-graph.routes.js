@@ -0,0 +1,22 @@
+// src/api/routes/project/project-graph.routes.js
+
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Для доступа к req.params.id из родительского роутера
+const { authenticateCombined } = require('../../middleware/auth');
+const projectGraphController = require('../../../controller/project-graph.controller');
+
+/**
+ * @route   GET /api/projects/:id/graph
+ * @desc    Получить граф зависимостей проекта (level=file|symbol)
+ * @access  Private
+ */
+router.get('/', authenticateCombined, projectGraphController.getGraph);
+
+/**
+ * @route   POST /api/projects/:id/graph/impact
+ * @desc    Определить модули, маршруты и тесты, затронутые изменением файлов и символов
+ * @access  Private
+ */
+router.post('/impact', authenticateCombined, projectGraphController.analyzeImpact);
+
+module.exports = router;
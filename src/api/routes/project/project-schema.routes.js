@@ -0,0 +1,22 @@
+// src/api/routes/project/project-schema.routes.js
+
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Для доступа к req.params.id из родительского роутера
+const { authenticateCombined } = require('../../middleware/auth');
+const projectSchemaController = require('../../../controller/project-schema.controller');
+
+/**
+ * @route   GET /api/projects/:id/schema
+ * @desc    Получить сохраненную схему БД проекта
+ * @access  Private
+ */
+router.get('/', authenticateCombined, projectSchemaController.getSchema);
+
+/**
+ * @route   POST /api/projects/:id/schema/analyze
+ * @desc    Проанализировать схему БД проекта (работающая БД, SQL-миграции или модели Sequelize)
+ * @access  Private
+ */
+router.post('/analyze', authenticateCombined, projectSchemaController.analyzeSchema);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// src/api/routes/project/project-search.routes.js
+
+const express = require('express');
+const router = express.Router({ mergeParams: true }); // Для доступа к req.params.id из родительского роутера
+const { authenticateCombined } = require('../../middleware/auth');
+const projectSearchController = require('../../../controller/project-search.controller');
+
+/**
+ * @route   GET /api/projects/:id/search
+ * @desc    Семантический поиск по коду проекта
+ * @access  Private
+ */
+router.get('/', authenticateCombined, projectSearchController.searchCode);
+
+module.exports = router;
@@ -8,6 +8,10 @@ const projectFilesRoutes = require('./project/project-files.routes');
 const projectStatsRoutes = require('./project/project-stats.routes');
 const projectSettingsRoutes = require('./project/project-settings.routes');
 const projectTagsRoutes = require('./project/project-tags.routes');
+const projectSearchRoutes = require('./project/project-search.routes');
+const projectGraphRoutes = require('./project/project-graph.routes');
+const projectSchemaRoutes = require('./project/project-schema.routes');
+const projectArchitectureRoutes = require('./project/project-architecture.routes');
 
 // Базовые CRUD операции с проектами
 /**
@@ -50,5 +54,9 @@ router.use('/:id/files', projectFilesRoutes);
 router.use('/:id/stats', projectStatsRoutes);
 router.use('/:id/settings', projectSettingsRoutes);
 router.use('/:id/tags', projectTagsRoutes);
+router.use('/:id/search', projectSearchRoutes);
+router.use('/:id/graph', projectGraphRoutes);
+router.use('/:id/schema', projectSchemaRoutes);
+router.use('/:id/architecture', projectArchitectureRoutes);
 
 module.exports = router;
\ No newline at end of file
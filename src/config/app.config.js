@@ -9,7 +9,119 @@ const appConfig = {
   // Конфигурация для работы с Git
   git: {
     username: process.env.GIT_USERNAME,
-    token: process.env.GIT_TOKEN
+    token: process.env.GIT_TOKEN,
+    // Входящие вебхуки Git-хостинга (POST /api/orchestration/webhooks/git).
+    // Без секрета вебхуки соответствующего хостинга отклоняются
+    webhooks: {
+      // Секрет подписи HMAC-SHA256 вебхуков GitHub (заголовок X-Hub-Signature-256)
+      githubSecret: process.env.GITHUB_WEBHOOK_SECRET || null,
+      // Секретный токен вебхуков GitLab (заголовок X-Gitlab-Token)
+      gitlabToken: process.env.GITLAB_WEBHOOK_TOKEN || null
+    },
+    // Разрешение конфликтов слияния по блокам (POST /api/git/pr/conflicts)
+    conflictResolution: {
+      // Префикс веток, в которые коммитится слияние с разрешенными конфликтами
+      branchPrefix: process.env.GIT_CONFLICT_BRANCH_PREFIX || 'resolve/',
+      // Отправлять ветку разрешения в origin по умолчанию
+      push: process.env.GIT_CONFLICT_PUSH === 'true'
+    }
+  },
+  
+  // Интеграции с системами управления проектами
+  integrations: {
+    // Фоновая двусторонняя синхронизация связанных задач
+    sync: {
+      // Запускать фоновый опрос внешних систем при старте сервера
+      enabled: process.env.PM_SYNC_ENABLED === 'true',
+      // Интервал опроса по умолчанию (мс); интеграция может задать свой в config.sync.intervalMs
+      intervalMs: parseInt(process.env.PM_SYNC_INTERVAL_MS, 10) || 5 * 60 * 1000,
+      // Политика разрешения конфликтов по умолчанию: local_wins, remote_wins, newest_wins, flag
+      defaultPolicy: process.env.PM_SYNC_CONFLICT_POLICY || 'flag',
+      // Количество записей журнала синхронизаций, хранимых для связи задачи
+      logSize: parseInt(process.env.PM_SYNC_LOG_SIZE, 10) || 50
+    }
+  },
+  
+  // Конфигурация оркестратора задач
+  orchestrator: {
+    // Цикл "саморефлексия ↔ исправление ошибок" (шаги 7-8)
+    reviewLoop: {
+      // Максимальное количество раундов ревью для одной задачи
+      maxIterations: parseInt(process.env.ORCHESTRATOR_REVIEW_MAX_ITERATIONS, 10) || 3,
+      // Минимальная оценка ревью (0-1), при которой код не отправляется на исправление
+      scoreThreshold: process.env.ORCHESTRATOR_REVIEW_SCORE_THRESHOLD !== undefined
+        ? parseFloat(process.env.ORCHESTRATOR_REVIEW_SCORE_THRESHOLD)
+        : 0.7
+    },
+    
+    // Генерация, запуск и анализ тестов (шаги 9-11)
+    testing: {
+      // Запускать тесты в Docker-контейнере (иначе - в отдельном процессе)
+      executeInDocker: process.env.ORCHESTRATOR_TESTS_IN_DOCKER !== 'false',
+      // Таймаут запуска тестов (мс)
+      timeout: parseInt(process.env.ORCHESTRATOR_TESTS_TIMEOUT, 10) || 120000,
+      // Пороги, при невыполнении которых код возвращается на исправление
+      gates: {
+        // Минимальная доля прошедших тестов (0-1)
+        minPassRate: process.env.ORCHESTRATOR_TESTS_MIN_PASS_RATE !== undefined
+          ? parseFloat(process.env.ORCHESTRATOR_TESTS_MIN_PASS_RATE)
+          : 1,
+        // Минимальное покрытие строк (%)
+        minCoverage: parseFloat(process.env.ORCHESTRATOR_TESTS_MIN_COVERAGE) || 0,
+        // Максимальное количество возвратов на исправление по результатам тестов
+        maxFixIterations: parseInt(process.env.ORCHESTRATOR_TESTS_MAX_FIX_ITERATIONS, 10) || 2
+      }
+    },
+    
+    // Обновление документации (шаг 12)
+    documentation: {
+      // Директория для сгенерированной документации относительно корня репозитория
+      outputDir: process.env.ORCHESTRATOR_DOCS_OUTPUT_DIR || 'docs/generated'
+    },
+    
+    // Подготовка Pull Request и интеграция обратной связи (шаги 14-15)
+    pullRequests: {
+      // Базовая ветка для PR, если в контексте задачи не указана другая
+      baseBranch: process.env.ORCHESTRATOR_PR_BASE_BRANCH || 'main',
+      // Префикс веток, создаваемых для задач
+      branchPrefix: process.env.ORCHESTRATOR_PR_BRANCH_PREFIX || 'task/',
+      // Ожидать ревью PR перед завершением задачи
+      waitForReview: process.env.ORCHESTRATOR_PR_WAIT_FOR_REVIEW !== 'false'
+    },
+
+    // Декларативные описания процесса выполнения задач
+    workflows: {
+      // Процесс, используемый для проектов без настройки "workflow"
+      defaultWorkflow: process.env.ORCHESTRATOR_DEFAULT_WORKFLOW || 'default',
+      // Дополнительная директория с описаниями процессов (JSON/YAML)
+      directory: process.env.ORCHESTRATOR_WORKFLOWS_DIR || null
+    },
+
+    // Планирование шагов через очереди BullMQ
+    scheduling: {
+      // Количество одновременно выполняемых шагов одного типа по умолчанию
+      defaultStepConcurrency: parseInt(process.env.ORCHESTRATOR_STEP_CONCURRENCY, 10) || 2,
+      // Лимиты для отдельных типов шагов
+      stepConcurrency: {
+        codeExecutor: parseInt(process.env.ORCHESTRATOR_CODE_EXECUTOR_CONCURRENCY, 10) || 1,
+        prManager: parseInt(process.env.ORCHESTRATOR_PR_MANAGER_CONCURRENCY, 10) || 1
+      },
+      // Количество одновременно выполняемых шагов задач одного проекта по умолчанию
+      defaultProjectConcurrency: parseInt(process.env.ORCHESTRATOR_PROJECT_CONCURRENCY, 10) || 2,
+      // Лимиты для отдельных проектов в формате "<id проекта>:<лимит>,..."
+      projectConcurrency: (process.env.ORCHESTRATOR_PROJECT_CONCURRENCY_OVERRIDES || '')
+        .split(',')
+        .filter(Boolean)
+        .reduce((limits, pair) => {
+          const [projectId, limit] = pair.split(':');
+          limits[projectId.trim()] = parseInt(limit, 10);
+          return limits;
+        }, {}),
+      // Задержка повторной попытки, если лимит проекта исчерпан (мс)
+      projectRetryDelay: parseInt(process.env.ORCHESTRATOR_PROJECT_RETRY_DELAY, 10) || 5000,
+      // Время, после которого слот проекта освобождается автоматически (мс)
+      slotTtl: parseInt(process.env.ORCHESTRATOR_SLOT_TTL, 10) || 30 * 60 * 1000
+    }
   }
 };
 
@@ -40,12 +40,25 @@ async function initializeDatabase() {
     await createTaskQueueTable(connection, existingTables);
     await createProjectFilesTable(connection, existingTables);
     await createCodeVectorsTable(connection, existingTables);
+    await createProjectIndexStateTable(connection, existingTables);
+    await createCodeSymbolsTable(connection, existingTables);
+    await createSymbolReferencesTable(connection, existingTables);
+    await createProjectArchitectureTable(connection, existingTables);
     await createCodeGenerationsTable(connection, existingTables);
+    await createPromptContextSnippetsTable(connection, existingTables);
     await createCommitsTable(connection, existingTables);
+    await createGitWebhookDeliveriesTable(connection, existingTables);
+    await createMergeConflictResolutionsTable(connection, existingTables);
+    await createIntegrationTypesTable(connection, existingTables);
+    await createIntegrationLinksTable(connection, existingTables);
+    await createTaskExternalLinksTable(connection, existingTables);
+    await createTaskSyncConflictsTable(connection, existingTables);
     await createTestsTable(connection, existingTables);
     await createFeedbackTable(connection, existingTables);
     await createLlmInteractionsTable(connection, existingTables);
     await createLlmTokenUsageTable(connection, existingTables);
+    await createLlmBudgetsTable(connection, existingTables);
+    await createLlmBudgetUsageTable(connection, existingTables);
     await createApiKeysTable(connection, existingTables);
     await createApiKeyLogsTable(connection, existingTables);
     await createTaskLogsTable(connection, existingTables);
@@ -372,7 +385,10 @@ async function createCodeVectorsTable(connection, existingTables) {
         code_segment TEXT NOT NULL,
         start_line INT NOT NULL,
         end_line INT NOT NULL,
+        symbol_name VARCHAR(255),
+        symbol_kind VARCHAR(50),
         embedding JSON NOT NULL,
+        embedding_model VARCHAR(100),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (file_id) REFERENCES project_files(id) ON DELETE CASCADE
       )
@@ -382,6 +398,159 @@ async function createCodeVectorsTable(connection, existingTables) {
   }
 }
 
+/**
+ * Создает таблицу состояния индексации проектов (коммит последней индексации)
+ * @param {Object} connection - Соединение с БД
+ * @param {Array<string>} existingTables - Список существующих таблиц
+ * @returns {Promise<void>}
+ */
+async function createProjectIndexStateTable(connection, existingTables) {
+  if (!existingTables.includes('project_index_state')) {
+    logger.info('Создание таблицы project_index_state...');
+    
+    await connection.query(`
+      CREATE TABLE project_index_state (
+        project_id INT NOT NULL,
+        indexer VARCHAR(50) NOT NULL,
+        last_commit VARCHAR(40) NOT NULL,
+        indexed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (project_id, indexer),
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE
+      )
+    `);
+    
+    logger.info('Таблица project_index_state создана');
+  }
+}
+
+/**
+ * Создает таблицу символов кода (функции, классы, методы) для графа символов
+ * @param {Object} connection - Соединение с БД
+ * @param {Array<string>} existingTables - Список существующих таблиц
+ * @returns {Promise<void>}
+ */
+async function createCodeSymbolsTable(connection, existingTables) {
+  if (!existingTables.includes('code_symbols')) {
+    logger.info('Создание таблицы code_symbols...');
+    
+    await connection.query(`
+      CREATE TABLE code_symbols (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        project_id INT NOT NULL,
+        file_id INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        qualified_name VARCHAR(255) NOT NULL,
+        kind VARCHAR(50) NOT NULL,
+        parent_name VARCHAR(255),
+        exported BOOLEAN DEFAULT FALSE,
+        start_line INT NOT NULL,
+        end_line INT NOT NULL,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (file_id) REFERENCES project_files(id) ON DELETE CASCADE,
+        INDEX idx_code_symbols_name (project_id, name)
+      )
+    `);
+    
+    logger.info('Таблица code_symbols создана');
+  }
+}
+
+/**
+ * Создает таблицу связей между файлами и символами (импорты, вызовы, наследование)
+ * @param {Object} connection - Соединение с БД
+ * @param {Array<string>} existingTables - Список существующих таблиц
+ * @returns {Promise<void>}
+ */
+async function createSymbolReferencesTable(connection, existingTables) {
+  if (!existingTables.includes('symbol_references')) {
+    logger.info('Создание таблицы symbol_references...');
+    
+    await connection.query(`
+      CREATE TABLE symbol_references (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        project_id INT NOT NULL,
+        reference_type ENUM('imports', 'calls', 'extends') NOT NULL,
+        source_file_id INT NOT NULL,
+        source_symbol VARCHAR(255),
+        target_file_id INT NOT NULL,
+        target_symbol VARCHAR(255),
+        line INT,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (source_file_id) REFERENCES project_files(id) ON DELETE CASCADE,
+        FOREIGN KEY (target_file_id) REFERENCES project_files(id) ON DELETE CASCADE,
+        INDEX idx_symbol_references_target (project_id, target_file_id)
+      )
+    `);
+    
+    logger.info('Таблица symbol_references создана');
+  }
+}
+
+/**
+ * Создает таблицу версий сводки архитектуры проекта (слои, соглашения, доступ к БД)
+ * @param {Object} connection - Соединение с БД
+ * @param {Array<string>} existingTables - Список существующих таблиц
+ * @returns {Promise<void>}
+ */
+async function createProjectArchitectureTable(connection, existingTables) {
+  if (!existingTables.includes('project_architecture')) {
+    logger.info('Создание таблицы project_architecture...');
+    
+    await connection.query(`
+      CREATE TABLE project_architecture (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        project_id INT NOT NULL,
+        version INT NOT NULL,
+        summary JSON NOT NULL,
+        summary_hash CHAR(64) NOT NULL,
+        files_analyzed INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        UNIQUE KEY uk_project_architecture_version (project_id, version)
+      )
+    `);
+    
+    logger.info('Таблица project_architecture создана');
+  }
+}
+
+/**
+ * Создает таблицу состава контекста промптов (какие фрагменты вошли в промпт, а какие нет)
+ * @param {Object} connection - Соединение с БД
+ * @param {Array<string>} existingTables - Список существующих таблиц
+ * @returns {Promise<void>}
+ */
+async function createPromptContextSnippetsTable(connection, existingTables) {
+  if (!existingTables.includes('prompt_context_snippets')) {
+    logger.info('Создание таблицы prompt_context_snippets...');
+    
+    await connection.query(`
+      CREATE TABLE prompt_context_snippets (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        project_id INT NOT NULL,
+        task_id INT,
+        prompt_type VARCHAR(50) NOT NULL,
+        pack_id CHAR(36) NOT NULL,
+        section VARCHAR(50) NOT NULL,
+        source VARCHAR(50),
+        snippet_key VARCHAR(255) NOT NULL,
+        title VARCHAR(255),
+        score FLOAT,
+        tokens INT NOT NULL,
+        included BOOLEAN NOT NULL,
+        reason VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        INDEX idx_prompt_context_snippets_task (project_id, task_id),
+        INDEX idx_prompt_context_snippets_pack (pack_id)
+      )
+    `);
+    
+    logger.info('Таблица prompt_context_snippets создана');
+  }
+}
+
 /**
  * Создает таблицу генераций кода
  * @param {Object} connection - Соединение с БД
@@ -411,6 +580,194 @@ async function createCodeGenerationsTable(connection, existingTables) {
   }
 }
 
+/**
+ * Создает таблицу доставок вебхуков Git-хостинга (для отсева повторных доставок)
+ * @param {Object} connection - Соединение с БД
+ * @param {Array<string>} existingTables - Список существующих таблиц
+ * @returns {Promise<void>}
+ */
+async function createGitWebhookDeliveriesTable(connection, existingTables) {
+  if (!existingTables.includes('git_webhook_deliveries')) {
+    logger.info('Создание таблицы git_webhook_deliveries...');
+    
+    await connection.query(`
+      CREATE TABLE git_webhook_deliveries (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        provider VARCHAR(20) NOT NULL,
+        delivery_id VARCHAR(128) NOT NULL,
+        event_type VARCHAR(50) NOT NULL,
+        action VARCHAR(50) NULL,
+        task_id VARCHAR(64) NULL,
+        status ENUM('received', 'processed', 'ignored', 'failed') NOT NULL DEFAULT 'received',
+        error TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uk_git_webhook_delivery (provider, delivery_id),
+        INDEX idx_git_webhook_deliveries_task (task_id)
+      )
+    `);
+    
+    logger.info('Таблица git_webhook_deliveries создана');
+  }
+}
+
+/**
+ * Создает таблицу сессий разрешения конфликтов слияния (блоки, предложения LLM, решения)
+ * @param {Object} connection - Соединение с БД
+ * @param {Array<string>} existingTables - Список существующих таблиц
+ * @returns {Promise<void>}
+ */
+async function createMergeConflictResolutionsTable(connection, existingTables) {
+  if (!existingTables.includes('merge_conflict_resolutions')) {
+    logger.info('Создание таблицы merge_conflict_resolutions...');
+    
+    await connection.query(`
+      CREATE TABLE merge_conflict_resolutions (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        project_id INT NOT NULL,
+        base_branch VARCHAR(255) NOT NULL,
+        head_branch VARCHAR(255) NOT NULL,
+        merge_base VARCHAR(64) NOT NULL,
+        status ENUM('open', 'applied') NOT NULL DEFAULT 'open',
+        files JSON NOT NULL,
+        resolution_branch VARCHAR(255) NULL,
+        commit_hash VARCHAR(64) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        INDEX idx_merge_conflict_resolutions_branches (project_id, base_branch, head_branch)
+      )
+    `);
+    
+    logger.info('Таблица merge_conflict_resolutions создана');
+  }
+}
+
+/**
+ * Создает таблицу типов интеграций с системами управления проектами
+ * @param {Object} connection - Соединение с БД
+ * @param {Array<string>} existingTables - Список существующих таблиц
+ * @returns {Promise<void>}
+ */
+async function createIntegrationTypesTable(connection, existingTables) {
+  if (!existingTables.includes('integration_types')) {
+    logger.info('Создание таблицы integration_types...');
+    
+    await connection.query(`
+      CREATE TABLE integration_types (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        provider_name VARCHAR(255) NOT NULL UNIQUE,
+        title VARCHAR(255) NOT NULL,
+        description TEXT,
+        config_schema TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+    
+    logger.info('Таблица integration_types создана');
+  }
+}
+
+/**
+ * Создает таблицу интеграций проектов
+ * @param {Object} connection - Соединение с БД
+ * @param {Array<string>} existingTables - Список существующих таблиц
+ * @returns {Promise<void>}
+ */
+async function createIntegrationLinksTable(connection, existingTables) {
+  if (!existingTables.includes('integration_links')) {
+    logger.info('Создание таблицы integration_links...');
+    
+    await connection.query(`
+      CREATE TABLE integration_links (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        project_id INT NOT NULL,
+        integration_type_id INT NOT NULL,
+        config TEXT,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (integration_type_id) REFERENCES integration_types(id) ON DELETE CASCADE
+      )
+    `);
+    
+    logger.info('Таблица integration_links создана');
+  }
+}
+
+/**
+ * Создает таблицу связей задач с внешними системами (вместе с состоянием синхронизации)
+ * @param {Object} connection - Соединение с БД
+ * @param {Array<string>} existingTables - Список существующих таблиц
+ * @returns {Promise<void>}
+ */
+async function createTaskExternalLinksTable(connection, existingTables) {
+  if (!existingTables.includes('task_external_links')) {
+    logger.info('Создание таблицы task_external_links...');
+    
+    await connection.query(`
+      CREATE TABLE task_external_links (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        task_id INT NOT NULL,
+        integration_type_id INT NOT NULL,
+        external_id VARCHAR(255) NOT NULL,
+        external_url VARCHAR(255),
+        sync_state TEXT,
+        last_synced_at TIMESTAMP NULL,
+        last_sync_status VARCHAR(20),
+        last_sync_message TEXT,
+        sync_log TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (integration_type_id) REFERENCES integration_types(id) ON DELETE CASCADE,
+        INDEX idx_task_external_links_external (integration_type_id, external_id)
+      )
+    `);
+    
+    logger.info('Таблица task_external_links создана');
+  }
+}
+
+/**
+ * Создает таблицу конфликтов синхронизации задач с внешними системами
+ * @param {Object} connection - Соединение с БД
+ * @param {Array<string>} existingTables - Список существующих таблиц
+ * @returns {Promise<void>}
+ */
+async function createTaskSyncConflictsTable(connection, existingTables) {
+  if (!existingTables.includes('task_sync_conflicts')) {
+    logger.info('Создание таблицы task_sync_conflicts...');
+    
+    await connection.query(`
+      CREATE TABLE task_sync_conflicts (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        task_external_link_id INT NOT NULL,
+        task_id INT NOT NULL,
+        field VARCHAR(50) NOT NULL,
+        base_value TEXT,
+        local_value TEXT,
+        remote_value TEXT,
+        status VARCHAR(20) NOT NULL DEFAULT 'open',
+        resolution VARCHAR(20),
+        resolved_value TEXT,
+        resolved_by INT NULL,
+        resolved_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (task_external_link_id) REFERENCES task_external_links(id) ON DELETE CASCADE,
+        FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_task_sync_conflicts_link (task_external_link_id, status)
+      )
+    `);
+    
+    logger.info('Таблица task_sync_conflicts создана');
+  }
+}
+
 /**
  * Создает таблицу коммитов
  * @param {Object} connection - Соединение с БД
@@ -513,6 +870,7 @@ async function createLlmInteractionsTable(connection, existingTables) {
         response TEXT NOT NULL,
         model_used VARCHAR(50) NOT NULL,
         tokens_used INT,
+        routing JSON,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE SET NULL
       )
@@ -550,6 +908,62 @@ async function createLlmTokenUsageTable(connection, existingTables) {
   }
 }
 
+/**
+ * Создает таблицу бюджетов LLM
+ * @param {Object} connection - Соединение с БД
+ * @param {Array<string>} existingTables - Список существующих таблиц
+ * @returns {Promise<void>}
+ */
+async function createLlmBudgetsTable(connection, existingTables) {
+  if (!existingTables.includes('llm_budgets')) {
+    logger.info('Создание таблицы llm_budgets...');
+    
+    await connection.query(`
+      CREATE TABLE llm_budgets (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        scope ENUM('project', 'user', 'task') NOT NULL,
+        scope_id INT NOT NULL,
+        period ENUM('daily', 'monthly', 'total') NOT NULL DEFAULT 'monthly',
+        token_limit BIGINT NULL,
+        cost_limit DECIMAL(12, 4) NULL,
+        soft_limit_percent INT NOT NULL DEFAULT 80,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_budget (scope, scope_id, period)
+      )
+    `);
+    
+    logger.info('Таблица llm_budgets создана');
+  }
+}
+
+/**
+ * Создает таблицу расхода бюджетов LLM по периодам
+ * @param {Object} connection - Соединение с БД
+ * @param {Array<string>} existingTables - Список существующих таблиц
+ * @returns {Promise<void>}
+ */
+async function createLlmBudgetUsageTable(connection, existingTables) {
+  if (!existingTables.includes('llm_budget_usage')) {
+    logger.info('Создание таблицы llm_budget_usage...');
+    
+    await connection.query(`
+      CREATE TABLE llm_budget_usage (
+        scope ENUM('project', 'user', 'task') NOT NULL,
+        scope_id INT NOT NULL,
+        period_key VARCHAR(10) NOT NULL,
+        tokens BIGINT NOT NULL DEFAULT 0,
+        cost DECIMAL(12, 6) NOT NULL DEFAULT 0,
+        notified_level TINYINT NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (scope, scope_id, period_key)
+      )
+    `);
+    
+    logger.info('Таблица llm_budget_usage создана');
+  }
+}
+
 /**
  * Создает таблицу API ключей
  * @param {Object} connection - Соединение с БД
@@ -645,11 +1059,13 @@ async function createSchemaTablesTable(connection, existingTables) {
     await connection.query(`
       CREATE TABLE schema_tables (
         id INT PRIMARY KEY AUTO_INCREMENT,
+        project_id INT,
         name VARCHAR(64) NOT NULL,
         structure JSON NOT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        UNIQUE KEY (name)
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_schema_tables_project_name (project_id, name)
       )
     `);
     
@@ -699,6 +1115,7 @@ async function createSchemaRelationsTable(connection, existingTables) {
     await connection.query(`
       CREATE TABLE schema_relations (
         id INT PRIMARY KEY AUTO_INCREMENT,
+        project_id INT,
         source_table VARCHAR(64) NOT NULL,
         source_column VARCHAR(64) NOT NULL,
         target_table VARCHAR(64) NOT NULL,
@@ -707,7 +1124,8 @@ async function createSchemaRelationsTable(connection, existingTables) {
         on_update VARCHAR(20) NOT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-        UNIQUE KEY (source_table, source_column, target_table, target_column)
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_schema_relations_project (project_id, source_table, source_column, target_table, target_column)
       )
     `);
     
@@ -778,8 +1196,113 @@ async function updateExistingTables(connection) {
       logger.info('Колонка github_repo_connected добавлена в таблицу projects');
     }
     
-    // Добавьте здесь проверки других таблиц и колонок по мере необходимости
+    // Проверяем наличие колонки routing в таблице llm_interactions
+    const [llmRoutingColumns] = await connection.query(
+      "SELECT COLUMN_NAME FROM information_schema.columns WHERE table_schema = ? AND table_name = 'llm_interactions' AND COLUMN_NAME = 'routing'",
+      [process.env.DB_NAME]
+    );
     
+    if (llmRoutingColumns.length === 0) {
+      logger.info('Добавление колонки routing в таблицу llm_interactions...');
+      await connection.query(`
+        ALTER TABLE llm_interactions
+        ADD COLUMN routing JSON AFTER tokens_used
+      `);
+      logger.info('Колонка routing добавлена в таблицу llm_interactions');
+    }
+    
+    // Проверяем наличие колонок символов в таблице code_vectors
+    const [codeVectorSymbolColumns] = await connection.query(
+      "SELECT COLUMN_NAME FROM information_schema.columns WHERE table_schema = ? AND table_name = 'code_vectors' AND COLUMN_NAME = 'symbol_name'",
+      [process.env.DB_NAME]
+    );
+    
+    if (codeVectorSymbolColumns.length === 0) {
+      logger.info('Добавление колонок symbol_name и symbol_kind в таблицу code_vectors...');
+      await connection.query(`
+        ALTER TABLE code_vectors
+        ADD COLUMN symbol_name VARCHAR(255) AFTER end_line,
+        ADD COLUMN symbol_kind VARCHAR(50) AFTER symbol_name
+      `);
+      logger.info('Колонки symbol_name и symbol_kind добавлены в таблицу code_vectors');
+    }
+    
+    // Проверяем наличие колонки embedding_model в таблице code_vectors
+    const [codeVectorModelColumns] = await connection.query(
+      "SELECT COLUMN_NAME FROM information_schema.columns WHERE table_schema = ? AND table_name = 'code_vectors' AND COLUMN_NAME = 'embedding_model'",
+      [process.env.DB_NAME]
+    );
+    
+    if (codeVectorModelColumns.length === 0) {
+      logger.info('Добавление колонки embedding_model в таблицу code_vectors...');
+      await connection.query(`
+        ALTER TABLE code_vectors
+        ADD COLUMN embedding_model VARCHAR(100) AFTER embedding
+      `);
+      logger.info('Колонка embedding_model добавлена в таблицу code_vectors');
+    }
+    
+    // Проверяем наличие колонки project_id в таблицах схемы БД проектов
+    // (раньше схема хранилась одна на все проекты; старые записи остаются с project_id = NULL)
+    const [schemaProjectColumns] = await connection.query(
+      "SELECT COLUMN_NAME FROM information_schema.columns WHERE table_schema = ? AND table_name = 'schema_tables' AND COLUMN_NAME = 'project_id'",
+      [process.env.DB_NAME]
+    );
+    
+    if (schemaProjectColumns.length === 0) {
+      logger.info('Добавление колонки project_id в таблицы schema_tables и schema_relations...');
+      await connection.query(`
+        ALTER TABLE schema_tables
+        ADD COLUMN project_id INT AFTER id,
+        ADD FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        DROP INDEX name,
+        ADD UNIQUE KEY uniq_schema_tables_project_name (project_id, name)
+      `);
+      await connection.query(`
+        ALTER TABLE schema_relations
+        ADD COLUMN project_id INT AFTER id,
+        ADD FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        DROP INDEX source_table,
+        ADD UNIQUE KEY uniq_schema_relations_project (project_id, source_table, source_column, target_table, target_column)
+      `);
+      logger.info('Колонка project_id добавлена в таблицы schema_tables и schema_relations');
+    }
+    
+    // Проверяем наличие колонок состояния синхронизации в таблице task_external_links
+    const [syncStateColumns] = await connection.query(
+      "SELECT COLUMN_NAME FROM information_schema.columns WHERE table_schema = ? AND table_name = 'task_external_links' AND COLUMN_NAME = 'sync_state'",
+      [process.env.DB_NAME]
+    );
+
+    if (syncStateColumns.length === 0) {
+      logger.info('Добавление колонок синхронизации в таблицу task_external_links...');
+      await connection.query(`
+        ALTER TABLE task_external_links
+        ADD COLUMN sync_state TEXT AFTER external_url,
+        ADD COLUMN last_sync_status VARCHAR(20) AFTER sync_state,
+        ADD COLUMN last_sync_message TEXT AFTER last_sync_status,
+        ADD COLUMN sync_log TEXT AFTER last_sync_message
+      `);
+      logger.info('Колонки синхронизации добавлены в таблицу task_external_links');
+    }
+
+    // Проверяем наличие колонки last_synced_at в таблице task_external_links
+    const [lastSyncedColumns] = await connection.query(
+      "SELECT COLUMN_NAME FROM information_schema.columns WHERE table_schema = ? AND table_name = 'task_external_links' AND COLUMN_NAME = 'last_synced_at'",
+      [process.env.DB_NAME]
+    );
+
+    if (lastSyncedColumns.length === 0) {
+      logger.info('Добавление колонки last_synced_at в таблицу task_external_links...');
+      await connection.query(`
+        ALTER TABLE task_external_links
+        ADD COLUMN last_synced_at TIMESTAMP NULL AFTER sync_state
+      `);
+      logger.info('Колонка last_synced_at добавлена в таблицу task_external_links');
+    }
+
+    // Добавьте здесь проверки других таблиц и колонок по мере необходимости
+
     logger.info('Обновление существующих таблиц завершено');
   } catch (error) {
     logger.error('Ошибка при обновлении существующих таблиц:', error);
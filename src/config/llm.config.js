@@ -25,7 +25,7 @@ const apiKeys = loadApiKeys();
  */
 module.exports = {
   // Основные настройки API
-  provider: process.env.LLM_PROVIDER || 'anthropic', // 'anthropic', 'openai', 'cohere'
+  provider: process.env.LLM_PROVIDER || 'anthropic', // 'anthropic', 'openai', 'openai-compatible', 'fixture' (см. utils/llm-providers)
   model: process.env.LLM_MODEL || 'claude-3-sonnet-20240229', // модель по умолчанию
   apiKey: apiKeys[process.env.LLM_PROVIDER || 'anthropic'] || apiKeys.generic,
   apiUrl: process.env.LLM_API_URL || 'https://api.anthropic.com',
@@ -33,6 +33,7 @@ module.exports = {
   // Настройки для каждого провайдера
   anthropic: {
     apiKey: apiKeys.anthropic,
+    apiUrl: 'https://api.anthropic.com',
     apiEndpoint: 'https://api.anthropic.com/v1/messages',
     models: [
       'claude-3-opus-20240229', 
@@ -46,6 +47,7 @@ module.exports = {
   
   openai: {
     apiKey: apiKeys.openai,
+    apiUrl: 'https://api.openai.com',
     apiEndpoint: 'https://api.openai.com/v1/chat/completions',
     models: [
       'gpt-4-turbo', 
@@ -55,6 +57,22 @@ module.exports = {
     ]
   },
   
+  // Серверы с OpenAI-совместимым API (vLLM, Ollama и т.п.)
+  openaiCompatible: {
+    apiKey: process.env.LLM_COMPATIBLE_API_KEY || null,
+    apiUrl: process.env.LLM_COMPATIBLE_API_URL || 'http://localhost:11434',
+    chatPath: process.env.LLM_COMPATIBLE_CHAT_PATH || '/v1/chat/completions',
+    streamUsage: process.env.LLM_COMPATIBLE_STREAM_USAGE === 'true' // поддерживает ли сервер stream_options.include_usage
+  },
+  
+  // Воспроизведение записанных ответов без доступа к сети
+  fixture: {
+    directory: process.env.LLM_FIXTURES_DIR || path.join(__dirname, '../../tests/fixtures/llm'),
+    defaultResponse: process.env.LLM_FIXTURES_DEFAULT_RESPONSE || null, // ответ, если фикстура не найдена (null - ошибка)
+    chunkSize: 64, // размер фрагмента при потоковой выдаче
+    embeddingDimensions: 1536
+  },
+  
   cohere: {
     apiKey: apiKeys.cohere,
     apiEndpoint: 'https://api.cohere.ai/v1/generate',
@@ -70,6 +88,30 @@ module.exports = {
   temperature: 0.7,
   defaultSystemPrompt: "Ты - AI-ассистент для разработки ПО. Ты помогаешь программистам анализировать код, решать проблемы, генерировать код, создавать тесты и т.д. Твои ответы должны быть точными, информативными и следовать лучшим практикам разработки.",
   
+  // Маршрутизация запросов между моделями
+  routing: {
+    enabled: process.env.LLM_ROUTING_ENABLED !== 'false',
+    // Правила проверяются по порядку, применяется первое подходящее.
+    // match: templates - имена шаблонов промптов, steps - шаги оркестратора,
+    // minTokens/maxTokens - оценка размера промпта. Правила без model не применяются.
+    // fallback правила переопределяет общий список резервных моделей
+    rules: [
+      {
+        name: 'classification',
+        match: { templates: ['task-classification', 'task-analysis', 'error-classification', 'prioritize-changes'] },
+        model: process.env.LLM_FAST_MODEL || null
+      },
+      {
+        name: 'generation',
+        match: { steps: ['codeGenerator', 'codeRefiner', 'errorCorrector', 'testGenerator'] },
+        model: process.env.LLM_STRONG_MODEL || null
+      }
+    ],
+    // Резервные модели при перегрузке или превышении лимита запросов провайдера:
+    // 'модель' (провайдер клиента) или { provider, model }
+    fallback: (process.env.LLM_FALLBACK_MODELS || '').split(',').map(model => model.trim()).filter(Boolean)
+  },
+  
   // Настройки запросов
   timeout: 60000, // 60 секунд
   maxRetries: 3,
@@ -81,6 +123,12 @@ module.exports = {
   enhancedCacheEnabled: true,
   cacheTTL: 1800, // время жизни кэша в секундах (30 минут)
   
+  // Настройки потоковой передачи ответов (включается явно: LLM_STREAMING_ENABLED=true)
+  streaming: {
+    enabled: process.env.LLM_STREAMING_ENABLED === 'true',
+    flushInterval: parseInt(process.env.LLM_STREAMING_FLUSH_INTERVAL) || 250 // мин. интервал отправки фрагментов подписчикам в мс
+  },
+  
   // Расширенные настройки кэша
   cache: {
     type: process.env.LLM_CACHE_TYPE || 'memory', // 'memory' или 'redis'
@@ -100,6 +148,13 @@ module.exports = {
     monthly: parseInt(process.env.LLM_MONTHLY_TOKEN_LIMIT) || 10000000 // 10 млн токенов в месяц
   },
   
+  // Бюджеты расхода по проектам, пользователям и задачам (см. utils/llm-budget-manager)
+  budgets: {
+    enabled: process.env.LLM_BUDGETS_ENABLED !== 'false',
+    softLimitPercent: parseInt(process.env.LLM_BUDGET_SOFT_LIMIT_PERCENT) || 80, // порог предупреждения по умолчанию
+    cacheTTL: 60 // время жизни кэша бюджетов в секундах
+  },
+  
   // Стоимость токенов (долларов за миллион токенов)
   tokenCosts: {
     'claude-3-opus-20240229': { prompt: 15, completion: 75 },
@@ -144,10 +199,11 @@ module.exports = {
   trackLLMInteractions: true,
   
   // Настройки для векторных эмбеддингов
+  // provider: 'openai' или 'local' (локальная модель без сетевых запросов, см. utils/local-embedder)
   embeddings: {
-    provider: 'openai',
-    model: 'text-embedding-ada-002',
-    dimensions: 1536
+    provider: process.env.EMBEDDING_PROVIDER || 'openai',
+    model: process.env.EMBEDDING_MODEL || 'text-embedding-ada-002',
+    dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS || '1536')
   },
   
   // Дополнительные настройки
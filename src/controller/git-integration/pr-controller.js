@@ -1,9 +1,68 @@
 // src/controller/git-integration/pr-controller.js
 
 const PRManager = require('../../core/vcs-manager/pr-manager');
+const { GitClient } = require('../../core/vcs-manager/git-client');
+const { ConflictResolver } = require('../../core/vcs-manager/conflict-resolver');
+const { ValidationError } = require('../../utils/errors');
+const { pool } = require('../../config/db.config');
 const logger = require('../../utils/logger');
 const config = require('../../config/app.config');
 
+let conflictResolver = null;
+
+/**
+ * Возвращает общий экземпляр ConflictResolver (создается при первом обращении)
+ * @returns {ConflictResolver}
+ */
+function getConflictResolver() {
+  if (!conflictResolver) {
+    conflictResolver = new ConflictResolver({
+      db: pool,
+      gitClient: new GitClient({ db: require('../../models') })
+    });
+  }
+  
+  return conflictResolver;
+}
+
+/**
+ * Отправляет ответ по результату операции с сессией разрешения конфликтов
+ * @param {Object} res - Express ответ
+ * @param {Function} operation - Операция, возвращающая сессию или null
+ * @param {string} action - Описание операции для журнала
+ */
+async function respondWithResolution(res, operation, action) {
+  try {
+    const resolution = await operation();
+    
+    if (!resolution) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conflict resolution not found'
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      resolution
+    });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        details: error.details
+      });
+    }
+    
+    logger.error(`Ошибка при ${action}:`, error);
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
 /**
  * Контроллер для работы с Pull Request
  */
@@ -44,11 +103,23 @@ class PRController {
   }
   
   /**
-   * Проверяет наличие конфликтов перед созданием PR
+   * Проверяет наличие конфликтов перед созданием PR.
+   * С projectId конфликты разбираются по блокам и открывается сессия разрешения
    * @param {Object} req - Express запрос
    * @param {Object} res - Express ответ
    */
   async checkConflicts(req, res) {
+    if (req.body.projectId) {
+      logger.info(`Разбор конфликтов по блокам для веток ${req.body.headBranch} -> ${req.body.baseBranch}`);
+      
+      return respondWithResolution(res, () => getConflictResolver().startResolution({
+        projectId: req.body.projectId,
+        baseBranch: req.body.baseBranch,
+        headBranch: req.body.headBranch,
+        propose: req.body.proposeResolutions !== false
+      }), 'разборе конфликтов');
+    }
+    
     try {
       const options = {
         baseBranch: req.body.baseBranch,
@@ -290,6 +361,52 @@ class PRController {
       });
     }
   }
+  
+  /**
+   * Получает сессию разрешения конфликтов с блоками и предложениями
+   * @param {Object} req - Express запрос
+   * @param {Object} res - Express ответ
+   */
+  async getConflictResolution(req, res) {
+    return respondWithResolution(res, () => getConflictResolver().getResolution(req.params.resolutionId),
+      'получении сессии разрешения конфликтов');
+  }
+  
+  /**
+   * Запрашивает новые предложения для непринятых блоков конфликта
+   * @param {Object} req - Express запрос
+   * @param {Object} res - Express ответ
+   */
+  async proposeConflictResolutions(req, res) {
+    return respondWithResolution(res, () => getConflictResolver().proposeResolutions(req.params.resolutionId, {
+      hunkIds: req.body.hunkIds ? req.body.hunkIds.map(Number) : undefined
+    }), 'генерации предложений по разрешению конфликтов');
+  }
+  
+  /**
+   * Принимает или отклоняет блок конфликта
+   * @param {Object} req - Express запрос
+   * @param {Object} res - Express ответ
+   */
+  async decideConflictHunk(req, res) {
+    return respondWithResolution(res, () => getConflictResolver().decideHunk(
+      req.params.resolutionId,
+      req.params.hunkId,
+      { decision: req.body.decision, content: req.body.content }
+    ), 'решении по блоку конфликта');
+  }
+  
+  /**
+   * Применяет принятые разрешения в ветке разрешения конфликтов
+   * @param {Object} req - Express запрос
+   * @param {Object} res - Express ответ
+   */
+  async applyConflictResolution(req, res) {
+    return respondWithResolution(res, () => getConflictResolver().applyResolution(req.params.resolutionId, {
+      push: req.body.push,
+      commitMessage: req.body.commitMessage
+    }), 'применении разрешения конфликтов');
+  }
 }
 
 module.exports = new PRController();
\ No newline at end of file
@@ -3,6 +3,33 @@ const logger = require('../../utils/logger');
 const projectManagementIntegration = require('../../core/project-management');
 const { IntegrationTypeModel, IntegrationLinkModel, ProjectModel, TaskExternalLinkModel } = require('../../models');
 const { ValidationError } = require('../../utils/errors');
+const { validateMappings } = require('../../core/project-management/field-mapping');
+
+/**
+ * Проверка маппинга полей в конфигурации интеграции
+ * @param {object} config - Конфигурация интеграции
+ * @throws {ValidationError} - Если маппинг некорректен
+ */
+function assertValidMappings(config) {
+  const errors = validateMappings((config && config.mappings) || {});
+  
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid field mappings', errors);
+  }
+}
+
+/**
+ * Разбор конфигурации интеграции
+ * @param {object} integration - Интеграция (IntegrationLinkModel)
+ * @returns {object} - Конфигурация
+ */
+function parseIntegrationConfig(integration) {
+  try {
+    return JSON.parse(integration.config || '{}');
+  } catch (e) {
+    return {};
+  }
+}
 
 /**
  * Контроллер для управления интеграциями
@@ -15,6 +42,9 @@ class IntegrationController {
    */
   async getIntegrationTypes(req, res) {
     try {
+      // Регистрируем типы для всех поддерживаемых провайдеров
+      await projectManagementIntegration.registerIntegrationTypes();
+      
       // Получаем все типы интеграций
       const integrationTypes = await IntegrationTypeModel.findAll();
       
@@ -93,6 +123,8 @@ class IntegrationController {
       }
       
       // Проверяем корректность провайдера
+      await projectManagementIntegration.registerIntegrationTypes();
+      
       const integrationType = await IntegrationTypeModel.findOne({
         where: { provider_name: provider }
       });
@@ -130,6 +162,8 @@ class IntegrationController {
         });
       }
       
+      assertValidMappings(config);
+      
       // Создаем интеграцию
       const integration = await IntegrationLinkModel.create({
         project_id: projectId,
@@ -197,6 +231,7 @@ class IntegrationController {
       const updateFields = {};
       
       if (config !== undefined) {
+        assertValidMappings(config);
         updateFields.config = JSON.stringify(config);
       }
       
@@ -278,6 +313,173 @@ class IntegrationController {
     }
   }
 
+  /**
+   * Получение маппинга полей интеграции
+   * @param {object} req - Express Request
+   * @param {object} res - Express Response
+   */
+  async getIntegrationMappings(req, res) {
+    try {
+      const { integrationId } = req.params;
+      
+      const integration = await IntegrationLinkModel.findByPk(integrationId, {
+        include: [{ model: IntegrationTypeModel, as: 'integrationType' }]
+      });
+      
+      if (!integration) {
+        return res.status(404).json({
+          success: false,
+          error: 'Integration not found'
+        });
+      }
+      
+      const provider = integration.integrationType.provider_name;
+      const config = parseIntegrationConfig(integration);
+      
+      res.json({
+        success: true,
+        data: {
+          integrationId: integration.id,
+          provider,
+          mappings: config.mappings || {},
+          effective: projectManagementIntegration.getFieldMappings(provider, config)
+        }
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      
+      logger.error(`Error getting integration mappings: ${error.message}`, {
+        error: error.stack
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get integration mappings',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Сохранение маппинга полей интеграции
+   * @param {object} req - Express Request
+   * @param {object} res - Express Response
+   */
+  async updateIntegrationMappings(req, res) {
+    try {
+      const { integrationId } = req.params;
+      const { mappings } = req.body;
+      
+      const integration = await IntegrationLinkModel.findByPk(integrationId, {
+        include: [{ model: IntegrationTypeModel, as: 'integrationType' }]
+      });
+      
+      if (!integration) {
+        return res.status(404).json({
+          success: false,
+          error: 'Integration not found'
+        });
+      }
+      
+      const provider = integration.integrationType.provider_name;
+      
+      if (!projectManagementIntegration.supportsFieldMappings(provider)) {
+        throw new ValidationError(`Field mappings are not supported for provider: ${provider}`);
+      }
+      
+      const config = { ...parseIntegrationConfig(integration), mappings };
+      
+      assertValidMappings(config);
+      
+      await integration.update({ config: JSON.stringify(config) });
+      
+      res.json({
+        success: true,
+        data: {
+          integrationId: integration.id,
+          provider,
+          mappings,
+          effective: projectManagementIntegration.getFieldMappings(provider, config)
+        },
+        message: 'Integration mappings updated successfully'
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          details: error.details
+        });
+      }
+      
+      logger.error(`Error updating integration mappings: ${error.message}`, {
+        error: error.stack
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update integration mappings',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Проверка маппинга полей и предпросмотр преобразования примера задачи
+   * @param {object} req - Express Request
+   * @param {object} res - Express Response
+   */
+  async previewIntegrationMappings(req, res) {
+    try {
+      const { integrationId } = req.params;
+      const { mappings, sample, task } = req.body;
+      
+      const integration = await IntegrationLinkModel.findByPk(integrationId, {
+        include: [{ model: IntegrationTypeModel, as: 'integrationType' }]
+      });
+      
+      if (!integration) {
+        return res.status(404).json({
+          success: false,
+          error: 'Integration not found'
+        });
+      }
+      
+      const result = await projectManagementIntegration.previewFieldMappings(
+        integration.integrationType.provider_name,
+        parseIntegrationConfig(integration),
+        { mappings, sample, task }
+      );
+      
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      
+      logger.error(`Error previewing integration mappings: ${error.message}`, {
+        error: error.stack
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to preview integration mappings',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Получение внешних ссылок для задачи
    * @param {object} req - Express Request
@@ -300,6 +502,10 @@ class IntegrationController {
         provider: link.integrationType.provider_name,
         externalId: link.external_id,
         externalUrl: link.external_url,
+        lastSyncedAt: link.last_synced_at,
+        lastSyncStatus: link.last_sync_status,
+        lastSyncMessage: link.last_sync_message,
+        syncLog: link.sync_log ? JSON.parse(link.sync_log) : [],
         createdAt: link.created_at
       }));
       
@@ -416,6 +622,123 @@ class IntegrationController {
       });
     }
   }
+
+  /**
+   * Обработка вебхука внешней системы об изменении задачи
+   * @param {object} req - Express Request
+   * @param {object} res - Express Response
+   */
+  async handleSyncWebhook(req, res) {
+    try {
+      const { provider } = req.params;
+      
+      const result = await projectManagementIntegration.syncEngine.handleWebhook(provider, req.body);
+      
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          availableProviders: projectManagementIntegration.getAvailableProviders()
+        });
+      }
+      
+      logger.error(`Error handling sync webhook: ${error.message}`, {
+        error: error.stack
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to handle sync webhook',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Получение списка конфликтов синхронизации
+   * @param {object} req - Express Request
+   * @param {object} res - Express Response
+   */
+  async listSyncConflicts(req, res) {
+    try {
+      const { projectId, taskId, status = 'open', limit = 50, offset = 0 } = req.query;
+      
+      const conflicts = await projectManagementIntegration.syncEngine.listConflicts({
+        projectId,
+        taskId,
+        status: status === 'all' ? null : status,
+        limit: parseInt(limit, 10),
+        offset: parseInt(offset, 10)
+      });
+      
+      res.json({
+        success: true,
+        data: conflicts
+      });
+    } catch (error) {
+      logger.error(`Error listing sync conflicts: ${error.message}`, {
+        error: error.stack
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list sync conflicts',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Разрешение конфликта синхронизации
+   * @param {object} req - Express Request
+   * @param {object} res - Express Response
+   */
+  async resolveSyncConflict(req, res) {
+    try {
+      const { conflictId } = req.params;
+      const { resolution, value } = req.body;
+      
+      const conflict = await projectManagementIntegration.syncEngine.resolveConflict(conflictId, {
+        resolution,
+        value,
+        userId: req.user ? req.user.id : null
+      });
+      
+      if (!conflict) {
+        return res.status(404).json({
+          success: false,
+          error: 'Conflict not found'
+        });
+      }
+      
+      res.json({
+        success: true,
+        data: conflict
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      
+      logger.error(`Error resolving sync conflict: ${error.message}`, {
+        error: error.stack
+      });
+      
+      res.status(500).json({
+        success: false,
+        error: 'Failed to resolve sync conflict',
+        message: error.message
+      });
+    }
+  }
 }
 
 module.exports = new IntegrationController();
\ No newline at end of file
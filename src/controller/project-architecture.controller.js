@@ -0,0 +1,170 @@
+// src/controllers/project-architecture.controller.js
+
+const { pool } = require('../config/db.config');
+const logger = require('../utils/logger');
+const ProjectUnderstanding = require('../core/project-understanding');
+const ArchitectureAnalyzer = require('../core/project-understanding/architecture-analyzer');
+
+/**
+ * Проверяет существование проекта
+ * @param {number} projectId - ID проекта
+ * @returns {Promise<boolean>}
+ */
+async function projectExists(projectId) {
+  const [projects] = await pool.query(
+    'SELECT id FROM projects WHERE id = ?',
+    [projectId]
+  );
+
+  return projects.length > 0;
+}
+
+/**
+ * Контроллер для сводки архитектуры проекта и проверки изменений на соответствие ей
+ */
+const projectArchitectureController = {
+  /**
+   * Получение сводки архитектуры проекта
+   * Параметры запроса: version - номер версии (по умолчанию - последняя)
+   * @param {Object} req - Express request объект
+   * @param {Object} res - Express response объект
+   * @returns {Promise<void>}
+   */
+  async getArchitecture(req, res) {
+    try {
+      const projectId = parseInt(req.params.id);
+      const version = req.query.version !== undefined ? parseInt(req.query.version) : null;
+
+      if (version !== null && (isNaN(version) || version < 1)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Параметр version должен быть положительным числом'
+        });
+      }
+
+      if (!(await projectExists(projectId))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Проект не найден'
+        });
+      }
+
+      const architectureAnalyzer = new ArchitectureAnalyzer(projectId);
+      const artifact = version !== null
+        ? await architectureAnalyzer.getVersion(version)
+        : await architectureAnalyzer.getLatest();
+
+      if (!artifact) {
+        return res.status(404).json({
+          success: false,
+          error: version !== null ? `Версия ${version} архитектуры проекта не найдена` : 'Архитектура проекта еще не проанализирована'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...artifact,
+          description: architectureAnalyzer.describe(artifact.summary)
+        }
+      });
+    } catch (error) {
+      logger.error(`Ошибка при получении архитектуры проекта #${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Ошибка сервера при получении архитектуры проекта'
+      });
+    }
+  },
+
+  /**
+   * Повторный анализ архитектуры проекта по проиндексированному коду
+   * @param {Object} req - Express request объект
+   * @param {Object} res - Express response объект
+   * @returns {Promise<void>}
+   */
+  async analyzeArchitecture(req, res) {
+    try {
+      const projectId = parseInt(req.params.id);
+
+      if (!(await projectExists(projectId))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Проект не найден'
+        });
+      }
+
+      const projectUnderstanding = new ProjectUnderstanding(projectId);
+      const { version, changed, filesAnalyzed, summary } = await projectUnderstanding.analyzeArchitecture();
+
+      res.json({
+        success: true,
+        data: {
+          version,
+          changed,
+          filesAnalyzed,
+          summary
+        }
+      });
+    } catch (error) {
+      logger.error(`Ошибка при анализе архитектуры проекта #${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Ошибка сервера при анализе архитектуры проекта'
+      });
+    }
+  },
+
+  /**
+   * Проверка изменений на соответствие архитектуре проекта
+   * Тело запроса: files - измененные файлы [{ path, content }]
+   * @param {Object} req - Express request объект
+   * @param {Object} res - Express response объект
+   * @returns {Promise<void>}
+   */
+  async detectDrift(req, res) {
+    try {
+      const projectId = parseInt(req.params.id);
+      const { files } = req.body;
+
+      const isValidFile = (file) => file && typeof file.path === 'string' && file.path.trim() && typeof file.content === 'string';
+
+      if (!Array.isArray(files) || files.length === 0 || !files.every(isValidFile)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Параметр files должен быть непустым массивом объектов { path, content }'
+        });
+      }
+
+      if (!(await projectExists(projectId))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Проект не найден'
+        });
+      }
+
+      const projectUnderstanding = new ProjectUnderstanding(projectId);
+      const drift = await projectUnderstanding.detectArchitectureDrift(files);
+
+      if (drift.version === null) {
+        return res.status(422).json({
+          success: false,
+          error: 'Архитектура проекта еще не проанализирована'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: drift
+      });
+    } catch (error) {
+      logger.error(`Ошибка при проверке изменений на соответствие архитектуре проекта #${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Ошибка сервера при проверке изменений'
+      });
+    }
+  }
+};
+
+module.exports = projectArchitectureController;
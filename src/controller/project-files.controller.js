@@ -236,6 +236,8 @@ const projectFilesController = {
           fileType = 'javascript';
         } else if (['ts', 'tsx'].includes(fileExtension)) {
           fileType = 'typescript';
+        } else if (fileExtension === 'py') {
+          fileType = 'python';
         }
         
         // Вставляем информацию о файле
@@ -0,0 +1,140 @@
+// src/controllers/project-graph.controller.js
+
+const { pool } = require('../config/db.config');
+const logger = require('../utils/logger');
+const SymbolGraph = require('../core/project-understanding/symbol-graph');
+
+/**
+ * Максимальная глубина обхода графа, которую можно запросить
+ */
+const MAX_IMPACT_DEPTH = 20;
+
+/**
+ * Проверяет существование проекта
+ * @param {number} projectId - ID проекта
+ * @returns {Promise<boolean>}
+ */
+async function projectExists(projectId) {
+  const [projects] = await pool.query(
+    'SELECT id FROM projects WHERE id = ?',
+    [projectId]
+  );
+
+  return projects.length > 0;
+}
+
+/**
+ * Контроллер для графа зависимостей проекта и анализа влияния изменений
+ */
+const projectGraphController = {
+  /**
+   * Получение графа зависимостей проекта
+   * Параметры запроса: level - 'file' (по умолчанию) или 'symbol'
+   * @param {Object} req - Express request объект
+   * @param {Object} res - Express response объект
+   * @returns {Promise<void>}
+   */
+  async getGraph(req, res) {
+    try {
+      const projectId = parseInt(req.params.id);
+      const { level = 'file' } = req.query;
+
+      if (!['file', 'symbol'].includes(level)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Параметр level должен быть file или symbol'
+        });
+      }
+
+      if (!(await projectExists(projectId))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Проект не найден'
+        });
+      }
+
+      const symbolGraph = new SymbolGraph(projectId);
+      const graph = await symbolGraph.getGraph({ level });
+
+      res.json({
+        success: true,
+        data: {
+          level,
+          ...graph
+        }
+      });
+    } catch (error) {
+      logger.error(`Ошибка при получении графа зависимостей проекта #${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Ошибка сервера при получении графа зависимостей проекта'
+      });
+    }
+  },
+
+  /**
+   * Анализ влияния изменений
+   * Тело запроса: files - пути измененных файлов, symbols - символы ('path#Class.method'),
+   * max_depth - максимальная глубина обхода графа
+   * @param {Object} req - Express request объект
+   * @param {Object} res - Express response объект
+   * @returns {Promise<void>}
+   */
+  async analyzeImpact(req, res) {
+    try {
+      const projectId = parseInt(req.params.id);
+      const { files = [], symbols = [], max_depth: maxDepth } = req.body;
+
+      const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+      if (!isStringList(files) || !isStringList(symbols)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Параметры files и symbols должны быть массивами строк'
+        });
+      }
+
+      if (files.length === 0 && symbols.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Необходимо указать измененные файлы (files) или символы (symbols)'
+        });
+      }
+
+      const parsedDepth = maxDepth !== undefined ? parseInt(maxDepth) : undefined;
+
+      if (parsedDepth !== undefined && (isNaN(parsedDepth) || parsedDepth < 1 || parsedDepth > MAX_IMPACT_DEPTH)) {
+        return res.status(400).json({
+          success: false,
+          error: `Параметр max_depth должен быть числом от 1 до ${MAX_IMPACT_DEPTH}`
+        });
+      }
+
+      if (!(await projectExists(projectId))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Проект не найден'
+        });
+      }
+
+      const symbolGraph = new SymbolGraph(projectId);
+      const impact = await symbolGraph.analyzeImpact(
+        { files, symbols },
+        parsedDepth !== undefined ? { maxDepth: parsedDepth } : {}
+      );
+
+      res.json({
+        success: true,
+        data: impact
+      });
+    } catch (error) {
+      logger.error(`Ошибка при анализе влияния изменений в проекте #${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Ошибка сервера при анализе влияния изменений'
+      });
+    }
+  }
+};
+
+module.exports = projectGraphController;
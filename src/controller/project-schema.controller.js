@@ -0,0 +1,133 @@
+// src/controllers/project-schema.controller.js
+
+const { pool } = require('../config/db.config');
+const logger = require('../utils/logger');
+const ProjectUnderstanding = require('../core/project-understanding');
+const SchemaAnalyzer = require('../core/project-understanding/schema-analyzer');
+
+/**
+ * Проверяет существование проекта
+ * @param {number} projectId - ID проекта
+ * @returns {Promise<boolean>}
+ */
+async function projectExists(projectId) {
+  const [projects] = await pool.query(
+    'SELECT id FROM projects WHERE id = ?',
+    [projectId]
+  );
+
+  return projects.length > 0;
+}
+
+/**
+ * Контроллер для схемы БД проекта
+ */
+const projectSchemaController = {
+  /**
+   * Получение сохраненной схемы БД проекта
+   * @param {Object} req - Express request объект
+   * @param {Object} res - Express response объект
+   * @returns {Promise<void>}
+   */
+  async getSchema(req, res) {
+    try {
+      const projectId = parseInt(req.params.id);
+
+      if (!(await projectExists(projectId))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Проект не найден'
+        });
+      }
+
+      const [tables] = await pool.query(
+        'SELECT name, structure, updated_at FROM schema_tables WHERE project_id = ? ORDER BY name',
+        [projectId]
+      );
+
+      const [relations] = await pool.query(
+        `SELECT source_table, source_column, target_table, target_column, on_delete, on_update
+         FROM schema_relations WHERE project_id = ? ORDER BY source_table, source_column`,
+        [projectId]
+      );
+
+      res.json({
+        success: true,
+        data: {
+          tables: tables.map(table => ({
+            ...(typeof table.structure === 'string' ? JSON.parse(table.structure) : table.structure),
+            updated_at: table.updated_at
+          })),
+          relations
+        }
+      });
+    } catch (error) {
+      logger.error(`Ошибка при получении схемы БД проекта #${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Ошибка сервера при получении схемы БД проекта'
+      });
+    }
+  },
+
+  /**
+   * Запуск анализа схемы БД проекта
+   * Тело запроса: source - источник схемы (необязательно, по умолчанию - настройка проекта schema_source)
+   * @param {Object} req - Express request объект
+   * @param {Object} res - Express response объект
+   * @returns {Promise<void>}
+   */
+  async analyzeSchema(req, res) {
+    try {
+      const projectId = parseInt(req.params.id);
+      const { source } = req.body;
+
+      if (source !== undefined) {
+        const errors = SchemaAnalyzer.validateSourceConfig(source);
+
+        if (errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'Некорректный источник схемы БД',
+            details: errors
+          });
+        }
+      }
+
+      if (!(await projectExists(projectId))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Проект не найден'
+        });
+      }
+
+      const projectUnderstanding = new ProjectUnderstanding(projectId);
+      const schema = await projectUnderstanding.analyzeSchema(source);
+
+      if (!schema) {
+        return res.status(422).json({
+          success: false,
+          error: 'Источник схемы БД не настроен, а миграции и модели в репозитории не найдены'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          source: schema.source,
+          dialect: schema.dialect,
+          tables: schema.tables.length,
+          relations: schema.relations.length
+        }
+      });
+    } catch (error) {
+      logger.error(`Ошибка при анализе схемы БД проекта #${req.params.id}:`, error);
+      res.status(502).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+};
+
+module.exports = projectSchemaController;
@@ -0,0 +1,102 @@
+// src/controllers/project-search.controller.js
+
+const { pool } = require('../config/db.config');
+const logger = require('../utils/logger');
+const CodeIndexer = require('../core/project-understanding/code-indexer');
+
+/**
+ * Максимальное количество результатов поиска за один запрос
+ */
+const MAX_SEARCH_LIMIT = 50;
+
+/**
+ * Контроллер для поиска по коду проекта
+ */
+const projectSearchController = {
+  /**
+   * Семантический поиск по проиндексированному коду проекта
+   * Параметры запроса: q - текст запроса, limit, threshold, file_types (через запятую),
+   * path - glob-шаблоны путей (через запятую), mode - 'semantic' или 'hybrid'
+   * @param {Object} req - Express request объект
+   * @param {Object} res - Express response объект
+   * @returns {Promise<void>}
+   */
+  async searchCode(req, res) {
+    try {
+      const projectId = parseInt(req.params.id);
+      const { q, limit, threshold, file_types: fileTypes, path, mode = 'semantic' } = req.query;
+
+      if (!q || !q.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Необходимо указать текст запроса (q)'
+        });
+      }
+
+      if (!['semantic', 'hybrid'].includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Параметр mode должен быть semantic или hybrid'
+        });
+      }
+
+      const parsedLimit = limit !== undefined ? parseInt(limit) : 10;
+      const parsedThreshold = threshold !== undefined ? parseFloat(threshold) : undefined;
+
+      if (isNaN(parsedLimit) || parsedLimit < 1 || parsedLimit > MAX_SEARCH_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          error: `Параметр limit должен быть числом от 1 до ${MAX_SEARCH_LIMIT}`
+        });
+      }
+
+      if (parsedThreshold !== undefined && (isNaN(parsedThreshold) || parsedThreshold < 0 || parsedThreshold > 1)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Параметр threshold должен быть числом от 0 до 1'
+        });
+      }
+
+      // Проверяем существование проекта
+      const [projects] = await pool.query(
+        'SELECT id FROM projects WHERE id = ?',
+        [projectId]
+      );
+
+      if (projects.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Проект не найден'
+        });
+      }
+
+      const splitList = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+      const codeIndexer = new CodeIndexer(projectId);
+      const results = await codeIndexer.searchSimilarCode(q, {
+        limit: parsedLimit,
+        threshold: parsedThreshold,
+        fileTypes: splitList(fileTypes),
+        pathGlob: splitList(path),
+        mode
+      });
+
+      res.json({
+        success: true,
+        data: {
+          query: q,
+          mode,
+          results
+        }
+      });
+    } catch (error) {
+      logger.error(`Ошибка при поиске по коду проекта #${req.params.id}:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Ошибка сервера при поиске по коду проекта'
+      });
+    }
+  }
+};
+
+module.exports = projectSearchController;
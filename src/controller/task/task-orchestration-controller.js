@@ -10,15 +10,19 @@ const { StateManager, TASK_STATES } = require('../../core/orchestrator/state-man
 const { TransitionManager } = require('../../core/orchestrator/transition-manager');
 const { RecoveryManager } = require('../../core/orchestrator/recovery-manager');
 const { NotificationManager } = require('../../core/orchestrator/notification-manager');
+const { GitWebhookHandler } = require('../../core/orchestrator/git-webhook-handler');
 
 // Импорт существующих утилит проекта
 const logger = require('../../utils/logger');
 const { getLLMClient } = require('../../utils/llm-client');
 const promptManager = require('../../utils/prompt-manager');
+const llmBudgetManager = require('../../utils/llm-budget-manager');
 const GitService = require('../../core/vcs-manager/gitService');
+const queueManager = require('../../queue/redis-queue');
 const { pool } = require('../../config/db.config');
 const config = require('../../config/app.config');
 const llmConfig = require('../../config/llm.config');
+const { ValidationError, WebhookVerificationError } = require('../../utils/errors');
 
 /**
  * Контроллер для управления оркестрацией задач, интегрированный с существующими компонентами.
@@ -58,6 +62,9 @@ class TaskOrchestrationController {
         config: this.config.notifications
       });
       
+      // Предупреждения о расходе бюджетов LLM отправляются через систему уведомлений
+      llmBudgetManager.setNotificationManager(this.notificationManager);
+      
       // Инициализируем менеджер контекста
       this.contextManager = new ContextManager({
         db: pool,
@@ -73,7 +80,8 @@ class TaskOrchestrationController {
       // Инициализируем менеджер переходов
       this.transitionManager = new TransitionManager({
         stateManager: this.stateManager,
-        contextManager: this.contextManager
+        contextManager: this.contextManager,
+        db: pool
       });
       
       // Инициализируем менеджер восстановления
@@ -91,11 +99,24 @@ class TaskOrchestrationController {
         transitionManager: this.transitionManager,
         recoveryManager: this.recoveryManager,
         notificationManager: this.notificationManager,
-        queue: this.config.queue,
+        queue: this.config.queue || queueManager,
+        db: pool
+      });
+      
+      // Инициализируем обработчик вебхуков Git-хостинга
+      this.gitWebhookHandler = new GitWebhookHandler({
+        taskOrchestrator: this.taskOrchestrator,
         db: pool
       });
       
       logger.info('Компоненты системы оркестрации инициализированы');
+      
+      // Запускаем воркеры шагов и возобновляем прерванные задачи
+      try {
+        await this.taskOrchestrator.start();
+      } catch (error) {
+        logger.error('Ошибка при запуске воркеров оркестратора:', error);
+      }
     } catch (error) {
       logger.error('Ошибка при инициализации компонентов системы оркестрации:', error);
       throw error;
@@ -751,6 +772,11 @@ class TaskOrchestrationController {
         input
       );
       
+      // Снимаем точку ожидания, объявленную в описании процесса
+      if (context.data.waitingPoint) {
+        await this.contextManager.updateContext(taskId.toString(), 'data.waitingPoint', null);
+      }
+      
       // Определяем следующее состояние (сохранено в контексте)
       const nextState = context.data.nextStateAfterInput;
       
@@ -1055,6 +1081,11 @@ class TaskOrchestrationController {
       // Получаем статистику использования LLM
       const llmStats = this.llmClient.getPerformanceStats();
       
+      // Получаем статистику очередей шагов
+      const schedulingStats = this.taskOrchestrator
+        ? await this.taskOrchestrator.getSchedulingStats()
+        : { active: 0, waiting: 0, delayed: 0, steps: {} };
+      
       // Собираем общую статистику
       const stats = {
         tasks: {
@@ -1068,9 +1099,9 @@ class TaskOrchestrationController {
         },
         llm: llmStats,
         orchestration: {
-          // Тут можно добавить дополнительную статистику по оркестрации
-          active_tasks: this.taskOrchestrator ? this.taskOrchestrator.activeTasksCount : 0,
-          queued_tasks: this.taskOrchestrator ? this.taskOrchestrator.taskQueue.size : 0
+          active_steps: schedulingStats.active,
+          queued_steps: schedulingStats.waiting + schedulingStats.delayed,
+          steps: schedulingStats.steps
         }
       };
       
@@ -1088,6 +1119,68 @@ class TaskOrchestrationController {
       });
     }
   }
+
+  /**
+   * Обрабатывает вебхук Git-хостинга (GitHub, GitLab).
+   * @param {Object} req - HTTP запрос (req.rawBody - тело без изменений для проверки подписи).
+   * @param {Object} res - HTTP ответ.
+   * @returns {Promise<Object>} - Результат операции.
+   */
+  async handleGitWebhook(req, res) {
+    try {
+      if (!this.gitWebhookHandler) {
+        return res.status(503).json({
+          success: false,
+          message: 'Обработчик вебхуков Git не инициализирован'
+        });
+      }
+      
+      // Подпись проверяется только по исходному телу; повторная сериализация req.body ее не воспроизводит
+      if (!req.rawBody) {
+        return res.status(415).json({
+          success: false,
+          message: 'Тело вебхука должно быть JSON или формой (Content-Type: application/json или application/x-www-form-urlencoded)'
+        });
+      }
+      
+      // Тело формы разбирается обработчиком из поля payload
+      const result = await this.gitWebhookHandler.handle({
+        headers: req.headers,
+        rawBody: req.rawBody,
+        payload: req.is('application/json') ? req.body : undefined
+      });
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Вебхук Git обработан',
+        data: result
+      });
+    } catch (error) {
+      if (error instanceof WebhookVerificationError) {
+        logger.warn(`Вебхук Git отклонен: ${error.message}`);
+        
+        return res.status(401).json({
+          success: false,
+          message: error.message
+        });
+      }
+      
+      if (error instanceof ValidationError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      
+      logger.error('Ошибка при обработке вебхука Git:', error);
+      
+      return res.status(500).json({
+        success: false,
+        message: 'Ошибка при обработке вебхука Git',
+        error: error.message
+      });
+    }
+  }
 }
 
 module.exports = TaskOrchestrationController;
\ No newline at end of file
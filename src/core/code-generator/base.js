@@ -219,6 +219,7 @@ class BaseCodeGenerator {
         generationId,
         filePath,
         language,
+        content,
         status: 'pending_review'
       };
     } catch (error) {
@@ -227,6 +228,43 @@ class BaseCodeGenerator {
     }
   }
 
+  /**
+   * Получает сохраненную генерацию кода
+   * @param {number} generationId - ID генерации
+   * @returns {Promise<Object|null>} - Информация о генерации или null, если она не найдена
+   * @protected
+   */
+  async getGeneratedCode(generationId) {
+    try {
+      const connection = await pool.getConnection();
+      
+      const [generations] = await connection.query(
+        'SELECT id, task_id, file_path, language, generated_content, status FROM code_generations WHERE id = ?',
+        [generationId]
+      );
+      
+      connection.release();
+      
+      if (generations.length === 0) {
+        return null;
+      }
+      
+      const generation = generations[0];
+      
+      return {
+        generationId: generation.id,
+        taskId: generation.task_id,
+        filePath: generation.file_path,
+        language: generation.language,
+        content: generation.generated_content,
+        status: generation.status
+      };
+    } catch (error) {
+      logger.error(`Ошибка при получении генерации кода #${generationId}:`, error);
+      return null;
+    }
+  }
+
   /**
    * Обновляет статус генерации кода
    * @param {number} generationId - ID генерации
@@ -0,0 +1,506 @@
+// src/core/code-generator/context-packer.js
+
+const crypto = require('crypto');
+const { pool } = require('../../config/db.config');
+const logger = require('../../utils/logger');
+const tokenManager = require('../../utils/token-manager');
+const CodeIndexer = require('../project-understanding/code-indexer');
+const SymbolGraph = require('../project-understanding/symbol-graph');
+const solutionAnalyzer = require('../learning-system/solution-analyzer');
+
+/**
+ * Бюджеты секций контекста по умолчанию (в токенах)
+ * В сумме они оставляют место для шаблона промпта и ответа модели
+ * в пределах лимита LLMClient.processContextLimitations (16000)
+ */
+const DEFAULT_BUDGETS = {
+  relevantFiles: 6000,
+  dependencies: 1500,
+  dbSchema: 1500,
+  pastSolutions: 1500,
+  architecture: 600,
+  codeStyle: 400
+};
+
+/**
+ * Доля оценки найденного фрагмента, которую получают его соседи по графу зависимостей:
+ * модули, которые использует фрагмент, важнее модулей, которые используют его
+ */
+const NEIGHBOUR_WEIGHTS = {
+  dependency: 0.6,
+  dependent: 0.4
+};
+
+/**
+ * Оценки таблиц схемы БД: упомянута в задаче или только в отобранном коде
+ */
+const TABLE_SCORES = {
+  task: 1,
+  code: 0.6
+};
+
+/**
+ * Минимальный остаток бюджета (в токенах), ради которого фрагмент обрезается, а не пропускается
+ */
+const MIN_TRUNCATED_TOKENS = 150;
+
+/**
+ * Упаковщик контекста промпта
+ * Собирает кандидатов из нескольких источников (семантический поиск по коду, соседи
+ * по графу зависимостей, затронутые таблицы схемы БД, похожие решенные задачи),
+ * ранжирует их и укладывает в явный бюджет токенов каждой секции.
+ * Какие фрагменты вошли в промпт, а какие нет, сохраняется в prompt_context_snippets
+ */
+class ContextPacker {
+  /**
+   * @param {number} projectId - ID проекта
+   * @param {Object} [options={}] - Опции
+   * @param {Object} [options.budgets] - Бюджеты секций в токенах (переопределяют DEFAULT_BUDGETS)
+   * @param {number} [options.searchLimit=20] - Количество результатов семантического поиска
+   * @param {number} [options.solutionsLimit=5] - Количество похожих решений
+   */
+  constructor(projectId, options = {}) {
+    this.projectId = projectId;
+    this.budgets = { ...DEFAULT_BUDGETS, ...options.budgets };
+    this.searchLimit = options.searchLimit || 20;
+    this.solutionsLimit = options.solutionsLimit || 5;
+    this.codeIndexer = new CodeIndexer(projectId);
+    this.symbolGraph = new SymbolGraph(projectId);
+  }
+
+  /**
+   * Собирает и упаковывает контекст для задачи
+   * @param {Object} task - Задача ({ id, title, description })
+   * @param {Object} [options={}] - Опции
+   * @param {Array<string>} [options.sections] - Секции, для которых собираются кандидаты (по умолчанию все)
+   * @param {Array<Object>} [options.extra=[]] - Дополнительные кандидаты (например, описание архитектуры)
+   * @returns {Promise<Object>} - Результат pack()
+   */
+  async buildContext(task, options = {}) {
+    const sections = options.sections || Object.keys(this.budgets);
+    const query = [task.title, task.description].filter(Boolean).join('\n');
+    const candidates = [...(options.extra || [])];
+
+    const codeHits = sections.includes('relevantFiles') || sections.includes('dependencies')
+      ? await this._collect('semantic', () => this.collectCodeCandidates(query))
+      : [];
+
+    if (sections.includes('relevantFiles')) {
+      candidates.push(...codeHits);
+    }
+
+    if (sections.includes('dependencies')) {
+      candidates.push(...await this._collect('dependencies', () => this.collectDependencyCandidates(codeHits)));
+    }
+
+    if (sections.includes('dbSchema')) {
+      candidates.push(...await this._collect('dbSchema', () => this.collectSchemaCandidates(query, codeHits)));
+    }
+
+    if (sections.includes('pastSolutions')) {
+      candidates.push(...await this._collect('pastSolutions', () => this.collectSolutionCandidates(query)));
+    }
+
+    return this.pack(candidates.filter(candidate => sections.includes(candidate.section)));
+  }
+
+  /**
+   * Кандидаты из семантического поиска по проиндексированному коду
+   * @param {string} query - Текст задачи
+   * @returns {Promise<Array<Object>>} - Кандидаты секции relevantFiles
+   */
+  async collectCodeCandidates(query) {
+    const results = await this.codeIndexer.searchSimilarCode(query, {
+      limit: this.searchLimit,
+      mode: 'hybrid'
+    });
+
+    return results.map(result => {
+      const symbol = result.symbol_name ? ` (${result.symbol_kind || 'symbol'} ${result.symbol_name})` : '';
+
+      return {
+        section: 'relevantFiles',
+        source: 'semantic',
+        key: `${result.file_path}:${result.start_line}-${result.end_line}`,
+        title: `${result.file_path}:${result.start_line}-${result.end_line}${symbol}`,
+        filePath: result.file_path,
+        content: result.code_segment,
+        score: result.score
+      };
+    });
+  }
+
+  /**
+   * Кандидаты из графа зависимостей: модули, которые используют найденные фрагменты
+   * или используются ими. Вместо полного содержимого берется список символов модуля
+   * @param {Array<Object>} codeHits - Кандидаты семантического поиска
+   * @returns {Promise<Array<Object>>} - Кандидаты секции dependencies
+   */
+  async collectDependencyCandidates(codeHits) {
+    if (codeHits.length === 0) {
+      return [];
+    }
+
+    const graph = await this.symbolGraph.loadGraph();
+    const idsByPath = new Map([...graph.files].map(([id, filePath]) => [filePath, id]));
+    const hitScores = new Map();
+
+    for (const hit of codeHits) {
+      const fileId = idsByPath.get(hit.filePath);
+
+      if (fileId !== undefined) {
+        hitScores.set(fileId, Math.max(hitScores.get(fileId) || 0, hit.score));
+      }
+    }
+
+    // Сосед получает лучшую оценку среди связанных с ним найденных файлов
+    const neighbours = new Map();
+    const addNeighbour = (fileId, score, relation) => {
+      if (hitScores.has(fileId)) {
+        return;
+      }
+
+      const current = neighbours.get(fileId);
+
+      if (!current || current.score < score) {
+        neighbours.set(fileId, { score, relation });
+      }
+    };
+
+    for (const reference of graph.references) {
+      if (reference.source_file_id === reference.target_file_id) {
+        continue;
+      }
+
+      if (hitScores.has(reference.source_file_id)) {
+        addNeighbour(reference.target_file_id, hitScores.get(reference.source_file_id) * NEIGHBOUR_WEIGHTS.dependency, 'dependency');
+      }
+
+      if (hitScores.has(reference.target_file_id)) {
+        addNeighbour(reference.source_file_id, hitScores.get(reference.target_file_id) * NEIGHBOUR_WEIGHTS.dependent, 'dependent');
+      }
+    }
+
+    return [...neighbours].map(([fileId, { score, relation }]) => {
+      const filePath = graph.files.get(fileId);
+      const outline = graph.symbols
+        .filter(symbol => symbol.file_id === fileId && (symbol.exported || !symbol.parent_name))
+        .map(symbol => `- ${symbol.kind} ${symbol.qualified_name} (строки ${symbol.start_line}-${symbol.end_line})`);
+
+      return {
+        section: 'dependencies',
+        source: relation,
+        key: filePath,
+        title: filePath,
+        filePath,
+        content: outline.length > 0 ? outline.join('\n') : '(символы не проиндексированы)',
+        score
+      };
+    });
+  }
+
+  /**
+   * Кандидаты из схемы БД: таблицы, упомянутые в задаче или в найденном коде
+   * @param {string} query - Текст задачи
+   * @param {Array<Object>} codeHits - Кандидаты семантического поиска
+   * @returns {Promise<Array<Object>>} - Кандидаты секции dbSchema
+   */
+  async collectSchemaCandidates(query, codeHits) {
+    const [tables] = await pool.query(
+      'SELECT name, structure FROM schema_tables WHERE project_id = ?',
+      [this.projectId]
+    );
+
+    const taskWords = this._identifierSet(query);
+    const codeWords = this._identifierSet(codeHits.map(hit => hit.content).join('\n'));
+    const candidates = [];
+
+    for (const table of tables) {
+      const variants = this._tableNameVariants(table.name);
+      let score = 0;
+
+      if (variants.some(variant => taskWords.has(variant))) {
+        score = TABLE_SCORES.task;
+      } else if (variants.some(variant => codeWords.has(variant))) {
+        score = TABLE_SCORES.code;
+      } else {
+        continue;
+      }
+
+      const structure = typeof table.structure === 'string' ? JSON.parse(table.structure) : table.structure;
+
+      candidates.push({
+        section: 'dbSchema',
+        source: score === TABLE_SCORES.task ? 'schema:task' : 'schema:code',
+        key: table.name,
+        title: table.name,
+        content: this._describeTable(table.name, structure),
+        score
+      });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Кандидаты из похожих решенных задач системы обучения
+   * @param {string} query - Текст задачи
+   * @returns {Promise<Array<Object>>} - Кандидаты секции pastSolutions
+   */
+  async collectSolutionCandidates(query) {
+    const solutions = await solutionAnalyzer.findSimilarSolutions(query, { projectId: this.projectId }, {
+      limit: this.solutionsLimit,
+      includeProjectContext: false
+    });
+
+    return solutions.map(solution => ({
+      section: 'pastSolutions',
+      source: 'learning-system',
+      key: String(solution.id),
+      title: solution.task_description ? solution.task_description.split('\n')[0].slice(0, 200) : String(solution.id),
+      content: `Задача: ${solution.task_description}\n\nРешение:\n${solution.solution}`,
+      score: solution.similarity
+    }));
+  }
+
+  /**
+   * Упаковывает кандидатов в бюджеты секций
+   * В каждой секции кандидаты берутся по убыванию оценки, пока помещаются в бюджет;
+   * фрагмент, который не помещается целиком, обрезается по строкам, если остаток бюджета
+   * не меньше MIN_TRUNCATED_TOKENS
+   * @param {Array<Object>} candidates - Кандидаты { section, source, key, title, content, score }
+   * @returns {Object} - { id, sections, included, excluded, usage }
+   */
+  pack(candidates) {
+    const sections = {};
+    const included = [];
+    const excluded = [];
+    const usage = {};
+    const seen = new Set();
+
+    for (const [section, budget] of Object.entries(this.budgets)) {
+      sections[section] = [];
+      usage[section] = { budget, used: 0 };
+    }
+
+    const ranked = [...candidates].sort((a, b) => (b.score || 0) - (a.score || 0));
+
+    for (const candidate of ranked) {
+      const tokens = tokenManager.estimateTokenCount(candidate.content);
+      const entry = { ...candidate, tokens };
+      const sectionUsage = usage[candidate.section];
+      const dedupKey = `${candidate.section}|${candidate.key}`;
+
+      if (!sectionUsage) {
+        excluded.push({ ...entry, reason: 'unknown_section' });
+        continue;
+      }
+
+      if (seen.has(dedupKey)) {
+        excluded.push({ ...entry, reason: 'duplicate' });
+        continue;
+      }
+
+      seen.add(dedupKey);
+
+      const available = sectionUsage.budget - sectionUsage.used;
+
+      if (tokens <= available) {
+        sections[candidate.section].push(entry);
+        included.push(entry);
+        sectionUsage.used += tokens;
+        continue;
+      }
+
+      if (available >= MIN_TRUNCATED_TOKENS) {
+        const content = this._truncateToTokens(candidate.content, available);
+        const truncatedTokens = tokenManager.estimateTokenCount(content);
+
+        if (content && truncatedTokens <= available) {
+          const truncated = { ...entry, content, tokens: truncatedTokens, truncated: true };
+
+          sections[candidate.section].push(truncated);
+          included.push(truncated);
+          sectionUsage.used += truncatedTokens;
+          continue;
+        }
+      }
+
+      excluded.push({ ...entry, reason: 'budget' });
+    }
+
+    return {
+      id: crypto.randomUUID(),
+      sections,
+      included,
+      excluded,
+      usage
+    };
+  }
+
+  /**
+   * Сохраняет состав упакованного контекста для последующего анализа
+   * Ошибка сохранения не прерывает построение промпта
+   * @param {Object} pack - Результат pack()
+   * @param {Object} [options={}] - Опции
+   * @param {number} [options.taskId] - ID задачи
+   * @param {string} [options.promptType='codeGeneration'] - Тип промпта
+   * @returns {Promise<void>}
+   */
+  async recordPack(pack, { taskId = null, promptType = 'codeGeneration' } = {}) {
+    const rows = [
+      ...pack.included.map(entry => [entry, true, entry.truncated ? 'truncated' : null]),
+      ...pack.excluded.map(entry => [entry, false, entry.reason])
+    ].map(([entry, isIncluded, reason]) => [
+      this.projectId,
+      taskId,
+      promptType,
+      pack.id,
+      entry.section,
+      entry.source,
+      String(entry.key).slice(0, 255),
+      String(entry.title || entry.key).slice(0, 255),
+      entry.score === undefined || entry.score === null ? null : entry.score,
+      entry.tokens,
+      isIncluded,
+      reason
+    ]);
+
+    if (rows.length === 0) {
+      return;
+    }
+
+    try {
+      await pool.query(
+        `INSERT INTO prompt_context_snippets
+         (project_id, task_id, prompt_type, pack_id, section, source, snippet_key, title, score, tokens, included, reason)
+         VALUES ?`,
+        [rows]
+      );
+    } catch (error) {
+      logger.warn(`Не удалось сохранить состав контекста промпта для проекта #${this.projectId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Возвращает сохраненный состав контекста промптов задачи
+   * @param {number} taskId - ID задачи
+   * @returns {Promise<Array<Object>>} - Фрагменты, от новых к старым
+   */
+  async getRecordedContext(taskId) {
+    const [rows] = await pool.query(
+      `SELECT pack_id, prompt_type, section, source, snippet_key, title, score, tokens, included, reason, created_at
+       FROM prompt_context_snippets
+       WHERE project_id = ? AND task_id = ?
+       ORDER BY created_at DESC, id`,
+      [this.projectId, taskId]
+    );
+
+    return rows;
+  }
+
+  /**
+   * Собирает кандидатов одного источника; недоступный источник не мешает остальным
+   * @param {string} source - Название источника (для лога)
+   * @param {Function} collector - async () => Array<Object>
+   * @returns {Promise<Array<Object>>} - Кандидаты или пустой массив при ошибке
+   * @private
+   */
+  async _collect(source, collector) {
+    try {
+      return await collector();
+    } catch (error) {
+      logger.warn(`Не удалось собрать кандидатов контекста (${source}) для проекта #${this.projectId}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Обрезает текст по целым строкам так, чтобы он поместился в бюджет токенов
+   * @param {string} content - Текст
+   * @param {number} maxTokens - Бюджет токенов
+   * @returns {string} - Обрезанный текст с пометкой или пустая строка
+   * @private
+   */
+  _truncateToTokens(content, maxTokens) {
+    const lines = content.split('\n');
+    const marker = `\n// ... [обрезано, показаны строки 1-{shown} из ${lines.length}] ...`;
+    const markerTokens = tokenManager.estimateTokenCount(marker);
+    const kept = [];
+    let used = 0;
+
+    for (const line of lines) {
+      const lineTokens = tokenManager.estimateTokenCount(`${line}\n`);
+
+      if (used + lineTokens + markerTokens > maxTokens) {
+        break;
+      }
+
+      kept.push(line);
+      used += lineTokens;
+    }
+
+    return kept.length > 0 ? kept.join('\n') + marker.replace('{shown}', kept.length) : '';
+  }
+
+  /**
+   * Собирает нормализованные идентификаторы текста (нижний регистр, без подчеркиваний)
+   * @param {string} text - Текст
+   * @returns {Set<string>}
+   * @private
+   */
+  _identifierSet(text) {
+    return new Set((text.match(/[A-Za-z_][A-Za-z0-9_]*/g) || []).map(word => word.toLowerCase().replace(/_/g, '')));
+  }
+
+  /**
+   * Возвращает варианты имени таблицы в единственном и множественном числе
+   * (order_items -> orderitems, orderitem), чтобы находить упоминания моделей
+   * @param {string} name - Имя таблицы
+   * @returns {Array<string>}
+   * @private
+   */
+  _tableNameVariants(name) {
+    const normalized = name.toLowerCase().replace(/_/g, '');
+    const variants = new Set([normalized]);
+
+    if (normalized.endsWith('ies')) {
+      variants.add(`${normalized.slice(0, -3)}y`);
+    } else if (normalized.endsWith('s')) {
+      variants.add(normalized.slice(0, -1));
+    } else {
+      variants.add(`${normalized}s`);
+    }
+
+    return [...variants].filter(variant => variant.length > 2);
+  }
+
+  /**
+   * Формирует описание таблицы для промпта
+   * @param {string} name - Имя таблицы
+   * @param {Object} structure - Структура таблицы (schema_tables.structure)
+   * @returns {string}
+   * @private
+   */
+  _describeTable(name, structure) {
+    const columns = (structure.columns || []).map(column => {
+      const nullable = column.nullable ? 'NULL' : 'NOT NULL';
+      const key = column.key ? ` ${column.key}` : '';
+
+      return `- ${column.name}: ${column.type} ${nullable}${key}`;
+    });
+
+    const foreignKeys = (structure.foreign_keys || []).map(fk =>
+      `- ${fk.column} -> ${fk.referenced_table}.${fk.referenced_column}`
+    );
+
+    return [
+      `### Таблица: ${name}`,
+      'Колонки:',
+      ...columns,
+      ...(foreignKeys.length > 0 ? ['Связи:', ...foreignKeys] : [])
+    ].join('\n');
+  }
+}
+
+module.exports = ContextPacker;
@@ -3,6 +3,7 @@
 const BaseCodeGenerator = require('./base');
 const PromptGenerator = require('./prompt-generator');
 const logger = require('../../utils/logger');
+const taskProgressWs = require('../../websocket/task-progress');
 const path = require('path');
 const fs = require('fs').promises;
 
@@ -31,9 +32,9 @@ class FileBasedCodeGenerator extends BaseCodeGenerator {
     try {
       logger.info(`Генерация кода для файла ${filePath} (Задача #${taskId}, Подзадача #${subtaskId})`);
       
-      // Получаем информацию о задаче и подзадаче
+      // Получаем информацию о задаче и подзадаче (подзадача необязательна)
       const task = await this.getTaskInfo(taskId);
-      const subtask = await this.getSubtaskInfo(subtaskId);
+      const subtask = subtaskId ? await this.getSubtaskInfo(subtaskId) : null;
       
       // Получаем теги задачи
       const tags = await this.getTaskTags(taskId);
@@ -59,7 +60,7 @@ class FileBasedCodeGenerator extends BaseCodeGenerator {
       );
       
       // Отправляем запрос к LLM
-      const response = await this.llmClient.sendPrompt(prompt);
+      const response = await this._requestCode(taskId, filePath, prompt);
       
       // Извлекаем код из ответа
       const generatedCode = this.extractCodeFromResponse(response, language);
@@ -88,27 +89,53 @@ class FileBasedCodeGenerator extends BaseCodeGenerator {
     }
   }
 
+  /**
+   * Запрашивает код у LLM. Если потоковая передача включена,
+   * промежуточный вывод отправляется подписчикам задачи по мере генерации.
+   * @param {number} taskId - ID задачи
+   * @param {string} filePath - Путь к файлу
+   * @param {string} prompt - Промпт для LLM
+   * @returns {Promise<string>} - Ответ LLM
+   * @private
+   */
+  async _requestCode(taskId, filePath, prompt) {
+    const streaming = this.llmClient.config && this.llmClient.config.streaming;
+    
+    if (!streaming || !streaming.enabled) {
+      return this.llmClient.sendPrompt(prompt, {}, { taskId });
+    }
+    
+    const result = await taskProgressWs.streamTaskOutput(
+      taskId,
+      this.llmClient.stream(prompt, {}, { taskId }),
+      { step: 'codeGenerator', label: filePath, flushInterval: streaming.flushInterval }
+    );
+    
+    return result ? result.content : '';
+  }
+
   /**
    * Модифицирует существующий файл
    * @param {number} taskId - ID задачи
    * @param {number} subtaskId - ID подзадачи
    * @param {string} filePath - Путь к файлу
    * @param {string} modification - Описание требуемых изменений
+   * @param {string} [currentContent=null] - Текущее содержимое файла (если файл еще не проиндексирован)
    * @returns {Promise<Object>} - Информация о сгенерированном коде
    */
-  async modifyFile(taskId, subtaskId, filePath, modification) {
+  async modifyFile(taskId, subtaskId, filePath, modification, currentContent = null) {
     try {
       logger.info(`Модификация файла ${filePath} (Задача #${taskId}, Подзадача #${subtaskId})`);
       
-      // Получаем информацию о задаче и подзадаче
+      // Получаем информацию о задаче и подзадаче (подзадача необязательна)
       const task = await this.getTaskInfo(taskId);
-      const subtask = await this.getSubtaskInfo(subtaskId);
+      const subtask = subtaskId ? await this.getSubtaskInfo(subtaskId) : null;
       
       // Определяем язык программирования
       const language = this.detectLanguageFromFilePath(filePath);
       
       // Получаем содержимое исходного файла
-      const originalContent = await this.getFileContent(filePath);
+      const originalContent = currentContent || await this.getFileContent(filePath);
       
       if (!originalContent) {
         logger.warn(`Не удалось получить содержимое файла ${filePath}`);
@@ -126,7 +153,7 @@ class FileBasedCodeGenerator extends BaseCodeGenerator {
       );
       
       // Отправляем запрос к LLM
-      const response = await this.llmClient.sendPrompt(prompt);
+      const response = await this._requestCode(taskId, filePath, prompt);
       
       // Извлекаем код из ответа
       const modifiedCode = this.extractCodeFromResponse(response, language);
@@ -155,6 +182,29 @@ class FileBasedCodeGenerator extends BaseCodeGenerator {
     }
   }
 
+  /**
+   * Сохраняет готовое содержимое файла (например, после автоматического исправления)
+   * @param {number} taskId - ID задачи
+   * @param {string} filePath - Путь к файлу
+   * @param {string} content - Новое содержимое файла
+   * @returns {Promise<Object>} - Информация о сохраненной генерации
+   */
+  async storeFile(taskId, filePath, content) {
+    const language = this.detectLanguageFromFilePath(filePath);
+
+    // Сохраняем содержимое как новую генерацию, чтобы сохранить историю изменений
+    const result = await this.saveGeneratedCode(taskId, filePath, language, content);
+
+    // Физически записываем файл, если есть репозиторий
+    const project = await this.getProjectInfo();
+
+    if (project.repository_path) {
+      await this._writeFileToRepository(project.repository_path, filePath, content);
+    }
+
+    return result;
+  }
+
   /**
    * Исправляет ошибку в коде
    * @param {number} taskId - ID задачи
@@ -5,6 +5,7 @@ const logger = require('../../utils/logger');
 const BaseCodeGenerator = require('./base');
 const PromptGenerator = require('./prompt-generator');
 const FileAnalyzer = require('../project-understanding/file-analyzer');
+const ArchitectureAnalyzer = require('../project-understanding/architecture-analyzer');
 const taskLogger = require('../../utils/task-logger');
 const fs = require('fs');
 const path = require('path');
@@ -21,6 +22,7 @@ class CodeGenerator extends BaseCodeGenerator {
     super(projectId);
     this.promptGenerator = new PromptGenerator();
     this.fileAnalyzer = new FileAnalyzer(projectId);
+    this.architectureAnalyzer = new ArchitectureAnalyzer(projectId);
   }
 
   /**
@@ -180,6 +182,9 @@ class CodeGenerator extends BaseCodeGenerator {
         return null;
       }
       
+      // Проверяем, не нарушает ли код соглашения архитектуры проекта
+      const drift = await this.checkArchitectureDrift(taskId, filePath, generatedContent);
+      
       // Сохраняем сгенерированный код в БД
       const result = await this.saveGeneratedCode(
         taskId, 
@@ -225,7 +230,8 @@ class CodeGenerator extends BaseCodeGenerator {
         taskId,
         subtaskId,
         filePath,
-        language
+        language,
+        drift
       };
     } catch (error) {
       logger.error(`Ошибка при генерации кода для файла ${filePath}:`, error);
@@ -233,6 +239,30 @@ class CodeGenerator extends BaseCodeGenerator {
     }
   }
 
+  /**
+   * Проверяет сгенерированный файл на соответствие архитектуре проекта
+   * и записывает нарушения в лог задачи. Ошибка проверки не прерывает генерацию
+   * @param {number} taskId - ID задачи
+   * @param {string} filePath - Путь к файлу
+   * @param {string} content - Сгенерированный код
+   * @returns {Promise<Array<Object>>} - Нарушения (см. ArchitectureAnalyzer.findViolations)
+   */
+  async checkArchitectureDrift(taskId, filePath, content) {
+    try {
+      const { violations } = await this.architectureAnalyzer.detectDrift([{ path: filePath, content }]);
+
+      for (const violation of violations) {
+        const location = violation.line ? `${violation.file}:${violation.line}` : violation.file;
+        await taskLogger.logWarning(taskId, `Отклонение от архитектуры проекта (${violation.rule}) в ${location}: ${violation.message}`);
+      }
+
+      return violations;
+    } catch (error) {
+      logger.warn(`Не удалось проверить ${filePath} на соответствие архитектуре: ${error.message}`);
+      return [];
+    }
+  }
+
   /**
    * Генерирует код для задачи без подзадач
    * @param {Object} task - Информация о задаче
@@ -3,22 +3,48 @@
 const { getLLMClient } = require('../../utils/llm-client');
 const logger = require('../../utils/logger');
 const { pool } = require('../../config/db.config');
-const fileUtils = require('../../utils/file-utils');
 const path = require('path');
+const ContextPacker = require('./context-packer');
+const ArchitectureAnalyzer = require('../project-understanding/architecture-analyzer');
+
+/**
+ * Языки блоков кода в промпте по расширению файла
+ */
+const CODE_FENCE_LANGUAGES = {
+  '.js': 'javascript',
+  '.jsx': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.ts': 'typescript',
+  '.tsx': 'typescript',
+  '.py': 'python',
+  '.go': 'go',
+  '.java': 'java',
+  '.sql': 'sql',
+  '.json': 'json'
+};
 
 /**
  * Класс для построения промптов для генерации кода
+ * Контекст (фрагменты кода, соседние модули, таблицы БД, похожие решения) отбирается
+ * ContextPacker в пределах бюджета токенов каждой секции
  */
 class PromptBuilder {
-  constructor(projectId) {
+  /**
+   * @param {number} projectId - ID проекта
+   * @param {Object} [options={}] - Опции
+   * @param {Object} [options.contextBudgets] - Бюджеты секций контекста в токенах (см. ContextPacker)
+   */
+  constructor(projectId, options = {}) {
     this.projectId = projectId;
     this.llmClient = getLLMClient();
     
-    // Максимальное количество контекстных файлов
-    this.maxContextFiles = 3;
+    // Упаковщик контекста: ранжирует кандидатов и укладывает их в бюджеты секций
+    this.contextPacker = new ContextPacker(projectId, { budgets: options.contextBudgets });
     
-    // Максимальный размер содержимого каждого файла в контексте (в символах)
-    this.maxFileSize = 5000;
+    // Сводка архитектуры проекта (загружается один раз на экземпляр)
+    this.architectureAnalyzer = new ArchitectureAnalyzer(projectId);
+    this.architecture = null;
     
     // Шаблоны промптов
     this.templates = {
@@ -35,6 +61,9 @@ class PromptBuilder {
 ## Релевантные файлы
 {relevantFiles}
 
+## Связанные модули
+{dependencies}
+
 ## Структура базы данных
 {dbSchema}
 
@@ -44,6 +73,9 @@ class PromptBuilder {
 ## Стиль кода
 {codeStyle}
 
+## Похожие решенные задачи
+{pastSolutions}
+
 ## Задание
 Напиши {fileType} код для реализации указанных требований. 
 Твой код должен следовать стилю проекта и интегрироваться с существующей архитектурой.
@@ -128,122 +160,87 @@ class PromptBuilder {
   }
 
   /**
-   * Находит релевантные файлы для конкретной задачи
+   * Находит релевантные фрагменты кода для конкретной задачи
+   * Фрагменты отбираются семантическим поиском и укладываются в бюджет секции relevantFiles;
+   * состав контекста сохраняется для последующего анализа
    * @param {number} taskId - ID задачи
    * @param {string} taskDescription - Описание задачи
-   * @returns {Promise<Array>} - Массив релевантных файлов
+   * @param {string} [promptType='relevantFiles'] - Тип промпта, для которого собирается контекст
+   * @returns {Promise<Array>} - Фрагменты { file_path, title, content, start_line, end_line }
    */
-  async findRelevantFiles(taskId, taskDescription) {
+  async findRelevantFiles(taskId, taskDescription, promptType = 'relevantFiles') {
     try {
-      // Используем LLM для определения ключевых понятий в задаче
-      const keyTermsPrompt = `
-Проанализируй следующее описание задачи и выдели ключевые технические термины, 
-понятия и компоненты, которые могут быть связаны с конкретными файлами кода:
-
-${taskDescription}
-
-Выдай список из 5-7 ключевых слов или фраз, разделенных запятыми.
-`;
-      
-      const keyTermsResponse = await this.llmClient.sendPrompt(keyTermsPrompt);
-      const keyTerms = keyTermsResponse.split(',').map(term => term.trim());
-      
-      logger.debug('Ключевые термины для поиска релевантных файлов:', keyTerms);
-      
-      // Поиск файлов по ключевым терминам
-      const connection = await pool.getConnection();
-      
-      let relevantFiles = [];
-      
-      // Для каждого термина ищем похожие сегменты кода
-      for (const term of keyTerms) {
-        if (!term || term.length < 3) continue; // Пропускаем слишком короткие термины
-        
-        const [results] = await connection.query(
-          `SELECT pf.file_path, pf.id, cv.code_segment, cv.start_line, cv.end_line
-           FROM project_files pf
-           JOIN code_vectors cv ON pf.id = cv.file_id
-           WHERE pf.project_id = ? 
-           AND (cv.code_segment LIKE ? OR pf.file_path LIKE ?)
-           LIMIT 10`,
-          [this.projectId, `%${term}%`, `%${term}%`]
-        );
-        
-        // Добавляем найденные файлы в список
-        for (const result of results) {
-          // Проверяем, не добавлен ли файл уже
-          const existingFile = relevantFiles.find(file => file.id === result.id);
-          
-          if (!existingFile) {
-            relevantFiles.push({
-              id: result.id,
-              file_path: result.file_path,
-              relevant_segment: {
-                content: result.code_segment,
-                start_line: result.start_line,
-                end_line: result.end_line
-              }
-            });
-          }
-        }
-      }
+      const context = await this.contextPacker.buildContext(
+        { id: taskId, description: taskDescription },
+        { sections: ['relevantFiles'] }
+      );
       
-      connection.release();
+      await this.contextPacker.recordPack(context, { taskId, promptType });
       
-      // Если не нашли ничего, возвращаем пустой массив
-      if (relevantFiles.length === 0) {
+      if (context.sections.relevantFiles.length === 0) {
         logger.info('Не найдены релевантные файлы для задачи');
-        return [];
       }
       
-      // Отбираем наиболее релевантные файлы
-      relevantFiles = relevantFiles.slice(0, this.maxContextFiles);
-      
-      // Получаем полное содержимое файлов
-      const projectInfo = await this.getProjectInfo();
-      const projectPath = projectInfo.repository_url;
-      
-      for (const file of relevantFiles) {
-        try {
-          const filePath = path.join(projectPath, file.file_path);
-          let content = await fileUtils.readFile(filePath);
-          
-          // Если файл слишком большой, обрезаем его
-          if (content.length > this.maxFileSize) {
-            // Пытаемся сохранить релевантный сегмент
-            const segment = file.relevant_segment;
-            
-            if (segment) {
-              const lines = content.split('\n');
-              
-              // Вычисляем диапазон строк для сохранения
-              const startLine = Math.max(1, segment.start_line - 10);
-              const endLine = Math.min(lines.length, segment.end_line + 10);
-              
-              content = lines.slice(startLine - 1, endLine).join('\n');
-              
-              // Добавляем комментарий о том, что файл был обрезан
-              content = `// Файл был обрезан. Показаны строки ${startLine}-${endLine} из общего количества ${lines.length}\n\n${content}`;
-            } else {
-              // Если нет информации о релевантном сегменте, берем начало файла
-              content = content.substring(0, this.maxFileSize) + '\n// ... [файл обрезан] ...';
-            }
-          }
-          
-          file.content = content;
-        } catch (error) {
-          logger.error(`Ошибка при чтении файла ${file.file_path}:`, error);
-          file.content = `// Ошибка чтения файла: ${error.message}`;
-        }
-      }
-      
-      return relevantFiles;
+      return context.sections.relevantFiles.map(snippet => this._toRelevantFile(snippet));
     } catch (error) {
       logger.error('Ошибка при поиске релевантных файлов:', error);
       return [];
     }
   }
 
+  /**
+   * Форматирует фрагменты кода для промпта
+   * @param {Array<Object>} files - Фрагменты (результат findRelevantFiles)
+   * @param {string} intro - Вводная фраза
+   * @param {string} emptyText - Текст, если фрагментов нет
+   * @returns {string}
+   */
+  formatRelevantFiles(files, intro, emptyText) {
+    if (files.length === 0) {
+      return emptyText;
+    }
+    
+    return files.reduce((text, file) => {
+      const language = CODE_FENCE_LANGUAGES[path.extname(file.file_path || '').toLowerCase()] || '';
+      
+      return `${text}### Файл: ${file.title || file.file_path}\n\n\`\`\`${language}\n${file.content}\n\`\`\`\n\n`;
+    }, `${intro}\n\n`);
+  }
+
+  /**
+   * Преобразует фрагмент упакованного контекста в описание релевантного файла
+   * @param {Object} snippet - Фрагмент секции relevantFiles
+   * @returns {Object}
+   * @private
+   */
+  _toRelevantFile(snippet) {
+    const [, startLine, endLine] = /:(\d+)-(\d+)$/.exec(snippet.key) || [];
+    
+    return {
+      file_path: snippet.filePath,
+      title: snippet.title,
+      content: snippet.content,
+      start_line: startLine ? parseInt(startLine, 10) : null,
+      end_line: endLine ? parseInt(endLine, 10) : null,
+      truncated: !!snippet.truncated
+    };
+  }
+
+  /**
+   * Заполняет шаблон промпта
+   * Подстановка выполняется за один проход, поэтому фигурные скобки и символы $
+   * в подставленном коде и описании задачи не интерпретируются
+   * @param {string} template - Шаблон с плейсхолдерами {name}
+   * @param {Object} values - Значения плейсхолдеров
+   * @returns {string}
+   * @private
+   */
+  _fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => 
+      (Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : placeholder)
+    );
+  }
+
   /**
    * Получает упрощенную схему базы данных для включения в промпт
    * @returns {Promise<string>} - Строка с описанием структуры БД
@@ -254,12 +251,14 @@ ${taskDescription}
       
       // Получаем таблицы из нашей модели БД
       const [tables] = await connection.query(
-        'SELECT name, structure FROM schema_tables'
+        'SELECT name, structure FROM schema_tables WHERE project_id = ?',
+        [this.projectId]
       );
       
       // Получаем отношения из нашей модели БД
       const [relations] = await connection.query(
-        'SELECT source_table, source_column, target_table, target_column FROM schema_relations'
+        'SELECT source_table, source_column, target_table, target_column FROM schema_relations WHERE project_id = ?',
+        [this.projectId]
       );
       
       connection.release();
@@ -272,7 +271,7 @@ ${taskDescription}
       let description = 'Основные таблицы и их структура:\n\n';
       
       tables.forEach(table => {
-        const structure = JSON.parse(table.structure);
+        const structure = typeof table.structure === 'string' ? JSON.parse(table.structure) : table.structure;
         
         description += `### Таблица: ${table.name}\n`;
         
@@ -312,13 +311,36 @@ ${taskDescription}
     }
   }
 
+  /**
+   * Получает последнюю сводку архитектуры проекта
+   * @returns {Promise<Object|null>} - Сводка или null, если архитектура еще не определена
+   */
+  async getArchitectureSummary() {
+    if (!this.architecture) {
+      this.architecture = this.architectureAnalyzer.getLatest().catch(error => {
+        logger.warn(`Не удалось получить сводку архитектуры проекта #${this.projectId}: ${error.message}`);
+        return null;
+      });
+    }
+    
+    const artifact = await this.architecture;
+    
+    return artifact ? artifact.summary : null;
+  }
+
   /**
    * Получает информацию об архитектуре проекта
+   * Описание строится по сводке архитектуры, определенной при индексации проекта;
+   * пока сводки нет, возвращается базовое описание
    * @returns {Promise<string>} - Строка с описанием архитектуры
    */
   async getArchitectureDescription() {
-    // В будущем здесь может быть сложная логика анализа архитектуры
-    // Сейчас просто возвращаем базовое описание
+    const summary = await this.getArchitectureSummary();
+    
+    if (summary) {
+      return this.architectureAnalyzer.describe(summary);
+    }
+    
     return `
 Проект следует многослойной архитектуре:
 
@@ -342,8 +364,12 @@ ${taskDescription}
    * @returns {Promise<string>} - Строка с описанием стиля кода
    */
   async getCodeStyleDescription() {
-    // В будущем можно анализировать стиль кода проекта
-    // Сейчас возвращаем стандартное описание
+    const summary = await this.getArchitectureSummary();
+    
+    if (summary) {
+      return this.architectureAnalyzer.describeCodeStyle(summary);
+    }
+    
     return `
 Следуй этим правилам стиля:
 
@@ -369,39 +395,50 @@ ${taskDescription}
       // Получаем информацию о проекте
       const projectInfo = await this.getProjectInfo();
       
-      // Находим релевантные файлы
-      const relevantFiles = await this.findRelevantFiles(task.id, task.description);
-      
-      // Получаем описание схемы БД
-      const dbSchema = await this.getDBSchemaDescription();
-      
       // Получаем описание архитектуры
       const architectureNotes = await this.getArchitectureDescription();
       
       // Получаем описание стиля кода
       const codeStyle = await this.getCodeStyleDescription();
       
+      // Отбираем контекст задачи в пределах бюджетов секций
+      const context = await this.contextPacker.buildContext(task, {
+        extra: [
+          { section: 'architecture', source: 'project', key: 'architecture', content: architectureNotes.trim(), score: 1 },
+          { section: 'codeStyle', source: 'project', key: 'codeStyle', content: codeStyle.trim(), score: 1 }
+        ]
+      });
+      
+      await this.contextPacker.recordPack(context, { taskId: task.id, promptType: 'codeGeneration' });
+      
+      const { sections } = context;
+      const joinSection = (snippets, emptyText) => (snippets.length > 0
+        ? snippets.map(snippet => snippet.content).join('\n\n')
+        : emptyText);
+      
       // Формируем контекст проекта
       const projectContext = `
 Проект: ${projectInfo.name}
 Описание: ${projectInfo.description}
       `;
       
-      // Формируем блок с релевантными файлами
-      let relevantFilesText = '';
+      const relevantFilesText = this.formatRelevantFiles(
+        sections.relevantFiles.map(snippet => this._toRelevantFile(snippet)),
+        'Вот наиболее релевантные фрагменты кода для этой задачи:',
+        'Релевантные файлы не найдены. Это может быть новый компонент.'
+      );
       
-      if (relevantFiles.length > 0) {
-        relevantFilesText = 'Вот наиболее релевантные файлы для этой задачи:\n\n';
-        
-        relevantFiles.forEach(file => {
-          relevantFilesText += `### Файл: ${file.file_path}\n\n`;
-          relevantFilesText += '```javascript\n';
-          relevantFilesText += file.content;
-          relevantFilesText += '\n```\n\n';
-        });
-      } else {
-        relevantFilesText = 'Релевантные файлы не найдены. Это может быть новый компонент.';
-      }
+      const dependenciesText = sections.dependencies.length > 0
+        ? sections.dependencies
+          .map(snippet => `### ${snippet.title} (${snippet.source === 'dependency' ? 'используется найденным кодом' : 'использует найденный код'})\n${snippet.content}`)
+          .join('\n\n')
+        : 'Связанные модули не найдены.';
+      
+      const pastSolutionsText = sections.pastSolutions.length > 0
+        ? sections.pastSolutions
+          .map(snippet => `### Похожая задача (сходство ${Number(snippet.score || 0).toFixed(2)})\n${snippet.content}`)
+          .join('\n\n')
+        : 'Похожие решенные задачи не найдены.';
       
       // Определяем тип файла
       let fileType = 'JavaScript';
@@ -418,17 +455,25 @@ ${taskDescription}
       }
       
       // Заполняем шаблон
-      let prompt = this.templates.codeGeneration
-        .replace('{taskDescription}', task.description)
-        .replace('{projectContext}', projectContext)
-        .replace('{relevantFiles}', relevantFilesText)
-        .replace('{dbSchema}', dbSchema)
-        .replace('{architectureNotes}', architectureNotes)
-        .replace('{codeStyle}', codeStyle)
-        .replace('{fileType}', fileType);
+      const prompt = this._fillTemplate(this.templates.codeGeneration, {
+        taskDescription: task.description,
+        projectContext,
+        relevantFiles: relevantFilesText,
+        dependencies: dependenciesText,
+        dbSchema: joinSection(sections.dbSchema, 'Затронутые таблицы базы данных не найдены.'),
+        architectureNotes: joinSection(sections.architecture, ''),
+        codeStyle: joinSection(sections.codeStyle, ''),
+        pastSolutions: pastSolutionsText,
+        fileType
+      });
       
       // Логируем промпт для отладки
-      logger.debug('Создан промпт для генерации кода:', { taskId: task.id, promptLength: prompt.length });
+      logger.debug('Создан промпт для генерации кода:', { 
+        taskId: task.id, 
+        promptLength: prompt.length,
+        contextUsage: context.usage,
+        excludedSnippets: context.excluded.length
+      });
       
       return prompt;
     } catch (error) {
@@ -450,7 +495,7 @@ ${taskDescription}
       const projectInfo = await this.getProjectInfo();
       
       // Находим релевантные файлы
-      const relevantFiles = await this.findRelevantFiles(task.id, task.description);
+      const relevantFiles = await this.findRelevantFiles(task.id, task.description, 'codeRefactoring');
       
       // Формируем контекст проекта
       const projectContext = `
@@ -459,27 +504,19 @@ ${taskDescription}
       `;
       
       // Формируем блок с релевантными файлами
-      let relevantFilesText = '';
-      
-      if (relevantFiles.length > 0) {
-        relevantFilesText = 'Вот наиболее релевантные файлы для этой задачи:\n\n';
-        
-        relevantFiles.forEach(file => {
-          relevantFilesText += `### Файл: ${file.file_path}\n\n`;
-          relevantFilesText += '```javascript\n';
-          relevantFilesText += file.content;
-          relevantFilesText += '\n```\n\n';
-        });
-      } else {
-        relevantFilesText = 'Релевантные файлы не найдены.';
-      }
+      const relevantFilesText = this.formatRelevantFiles(
+        relevantFiles,
+        'Вот наиболее релевантные фрагменты кода для этой задачи:',
+        'Релевантные файлы не найдены.'
+      );
       
       // Заполняем шаблон
-      let prompt = this.templates.codeRefactoring
-        .replace('{originalCode}', originalCode)
-        .replace('{codeIssues}', codeIssues)
-        .replace('{projectContext}', projectContext)
-        .replace('{relevantFiles}', relevantFilesText);
+      const prompt = this._fillTemplate(this.templates.codeRefactoring, {
+        originalCode,
+        codeIssues,
+        projectContext,
+        relevantFiles: relevantFilesText
+      });
       
       // Логируем промпт для отладки
       logger.debug('Создан промпт для рефакторинга кода:', { taskId: task.id, promptLength: prompt.length });
@@ -502,30 +539,22 @@ ${taskDescription}
   async createBugFixPrompt(task, buggyCode, bugDescription, logs) {
     try {
       // Находим релевантные файлы
-      const relevantFiles = await this.findRelevantFiles(task.id, task.description);
+      const relevantFiles = await this.findRelevantFiles(task.id, task.description, 'bugFix');
       
       // Формируем блок с релевантными файлами
-      let relevantFilesText = '';
-      
-      if (relevantFiles.length > 0) {
-        relevantFilesText = 'Вот наиболее релевантные файлы для этой ошибки:\n\n';
-        
-        relevantFiles.forEach(file => {
-          relevantFilesText += `### Файл: ${file.file_path}\n\n`;
-          relevantFilesText += '```javascript\n';
-          relevantFilesText += file.content;
-          relevantFilesText += '\n```\n\n';
-        });
-      } else {
-        relevantFilesText = 'Релевантные файлы не найдены.';
-      }
+      const relevantFilesText = this.formatRelevantFiles(
+        relevantFiles,
+        'Вот наиболее релевантные фрагменты кода для этой ошибки:',
+        'Релевантные файлы не найдены.'
+      );
       
       // Заполняем шаблон
-      let prompt = this.templates.bugFix
-        .replace('{buggyCode}', buggyCode)
-        .replace('{bugDescription}', bugDescription)
-        .replace('{logs}', logs || 'Логи отсутствуют.')
-        .replace('{relevantFiles}', relevantFilesText);
+      const prompt = this._fillTemplate(this.templates.bugFix, {
+        buggyCode,
+        bugDescription,
+        logs: logs || 'Логи отсутствуют.',
+        relevantFiles: relevantFilesText
+      });
       
       // Логируем промпт для отладки
       logger.debug('Создан промпт для исправления ошибки:', { taskId: task.id, promptLength: prompt.length });
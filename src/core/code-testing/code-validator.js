@@ -375,7 +375,8 @@ class CodeValidator {
         return { valid: true };
       }
       
-      await this.executeCommand(command, tempDir);
+      // executeCommand не выбрасывает ошибку при выводе в stderr, а проверке нужен код выхода
+      await execAsync(command, { cwd: tempDir });
       return { valid: true };
     } catch (error) {
       // Извлекаем информацию об ошибке
@@ -391,6 +392,18 @@ class CodeValidator {
         };
       }
       
+      // Формат node --check: "<файл>:<строка>" в первой строке, "SyntaxError: <сообщение>" ниже
+      const nodeMatch = errorMessage.match(/^.+:(\d+)\r?\n[\s\S]*?^(\w*Error): (.+)$/m);
+      
+      if (nodeMatch) {
+        return {
+          valid: false,
+          error: `${nodeMatch[2]}: ${nodeMatch[3].trim()}`,
+          line: parseInt(nodeMatch[1], 10),
+          column: 1
+        };
+      }
+      
       // Если не удалось извлечь детали, возвращаем общую ошибку
       return {
         valid: false,
@@ -6,7 +6,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../../utils/logger');
-const llmClient = require('../../utils/llm-client');
+const { getLLMClient } = require('../../utils/llm-client');
 const promptManager = require('../../utils/prompt-manager');
 
 /**
@@ -556,7 +556,7 @@ async function analyzeCoverageWithLLM(coverageData, uncoveredCode, options) {
         });
         
         // Отправляем запрос к LLM
-        const response = await llmClient.sendPrompt(prompt, {
+        const response = await getLLMClient().sendPrompt(prompt, {
             temperature: 0.3,
             structuredOutput: true
         });
@@ -6,7 +6,6 @@
 const logger = require('../../utils/logger');
 const acorn = require('acorn'); // Потребуется установка: npm install acorn
 const estraverse = require('estraverse'); // Потребуется установка: npm install estraverse
-const ast = require('ast-types'); // Потребуется установка: npm install ast-types
 
 // Паттерны для поиска потенциально опасных конструкций
 const DANGEROUS_PATTERNS = {
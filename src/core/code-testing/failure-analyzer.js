@@ -6,7 +6,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../../utils/logger');
-const llmClient = require('../../utils/llm-client');
+const { getLLMClient } = require('../../utils/llm-client');
 const promptManager = require('../../utils/prompt-manager');
 const errorClassifier = require('../error-corrector/error-classifier');
 const autoFixEngine = require('../error-corrector/auto-fix-engine');
@@ -1259,7 +1259,7 @@ async function analyzeWithLLM(errorInfo, errorMessage, stackTrace, testCode, sou
         });
         
         // Отправляем запрос к LLM
-        const response = await llmClient.sendPrompt(prompt, {
+        const response = await getLLMClient().sendPrompt(prompt, {
             temperature: 0.3,
             structuredOutput: true
         });
@@ -108,7 +108,7 @@ async function safelyExecuteTests(testConfig, options = {}) {
             dockerImage = null, // Образ Docker
             collectCoverage = true, // Собирать информацию о покрытии кода
             retryCount = 0 // Количество повторных попыток при неудаче
-        } = options;
+        } = { ...testConfig, ...options };
         
         logger.info('Running tests in sandbox', { 
             testFramework,
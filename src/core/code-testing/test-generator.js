@@ -1,7 +1,7 @@
 // src/core/code-testing/test-generator.js
 const logger = require('../../utils/logger');
-const llmClient = require('../../utils/llm-client');
-const { getPromptTemplate } = require('../../utils/prompt-utils');
+const { getLLMClient } = require('../../utils/llm-client');
+const promptManager = require('../../utils/prompt-manager');
 const path = require('path');
 const fs = require('fs').promises;
 const os = require('os');
@@ -148,10 +148,7 @@ class TestGenerator {
     
     // Определяем тип файла и выбираем соответствующий промпт
     const fileType = this.detectFileType(file.path);
-    const promptTemplate = await getPromptTemplate(`test-generation-${fileType}`);
-    
-    // Если промпт не найден, используем общий шаблон
-    const finalPromptTemplate = promptTemplate || await getPromptTemplate('test-generation-generic');
+    const templateName = await this.getPromptTemplateName(fileType);
     
     // Получаем дополнительный контекст из репозитория
     const additionalContext = await this.getAdditionalContext(file, repoPath, context);
@@ -169,7 +166,7 @@ class TestGenerator {
     };
     
     // Отправляем запрос к LLM
-    const response = await llmClient.generateContent(finalPromptTemplate, promptContext);
+    const response = await getLLMClient().sendPromptTemplate(templateName, promptContext);
     
     // Извлекаем тестовый код из ответа
     const testCode = this.extractTestCode(response);
@@ -186,6 +183,23 @@ class TestGenerator {
     };
   }
 
+  /**
+   * Выбор шаблона промпта для типа файла
+   * @param {string} fileType - Тип файла
+   * @returns {Promise<string>} - Имя шаблона (общий шаблон, если для типа файла его нет)
+   */
+  async getPromptTemplateName(fileType) {
+    const templateName = `test-generation-${fileType}`;
+    
+    try {
+      await promptManager.getRawTemplate(templateName);
+      return templateName;
+    } catch (error) {
+      logger.debug(`Prompt template ${templateName} not found, using generic template`);
+      return 'test-generation-generic';
+    }
+  }
+
   /**
    * Определение типа файла на основе расширения и содержимого
    * @param {string} filePath - Путь к файлу
@@ -8,6 +8,7 @@ const path = require('path');
 const logger = require('../../utils/logger');
 const llmClient = require('../../utils/llm-client');
 const promptManager = require('../../utils/prompt-manager');
+const SymbolGraph = require('../project-understanding/symbol-graph');
 
 /**
  * Приоритизирует тесты на основе изменений в коде
@@ -215,6 +216,8 @@ async function getTestExecutionHistory(historyPath, options = {}) {
 
 /**
  * Анализирует отношения между тестами и кодом
+ * Если указан options.projectId, связи берутся из графа символов проекта,
+ * для тестов, не связанных с изменениями по графу, используется сопоставление по именам файлов
  * 
  * @private
  * @param {Array} tests - Список тестов
@@ -229,6 +232,10 @@ async function analyzeTestCodeRelations(tests, codeChanges, options = {}) {
             return options.dependencyMap;
         }
         
+        const graphRelations = options.projectId
+            ? await getGraphTestRelations(tests, codeChanges, options.projectId)
+            : {};
+        
         // Базовое сопоставление на основе путей файлов
         const relations = {};
         
@@ -237,6 +244,11 @@ async function analyzeTestCodeRelations(tests, codeChanges, options = {}) {
             
             if (!testPath) continue;
             
+            if (graphRelations[testPath]) {
+                relations[testPath] = graphRelations[testPath];
+                continue;
+            }
+            
             // Извлекаем базовое имя файла теста (без 'test', 'spec' и расширения)
             const baseName = path.basename(testPath)
                 .replace(/\.test\.|\.spec\.|_test\.|_spec\./, '.')
@@ -275,6 +287,51 @@ async function analyzeTestCodeRelations(tests, codeChanges, options = {}) {
     }
 }
 
+/**
+ * Определяет связи тестов с изменёнными файлами по графу символов проекта
+ * 
+ * @private
+ * @param {Array} tests - Список тестов
+ * @param {Array} codeChanges - Изменения в коде
+ * @param {number} projectId - ID проекта
+ * @returns {Promise<Object>} - Отношения между тестами и кодом (только для связанных по графу тестов)
+ */
+async function getGraphTestRelations(tests, codeChanges, projectId) {
+    try {
+        const changedPaths = codeChanges
+            .map(change => change.path || change.filePath || change.name)
+            .filter(Boolean);
+        
+        const impact = await new SymbolGraph(projectId).analyzeImpact({ files: changedPaths });
+        const testFiles = impact.files.filter(file => impact.tests.includes(file.path));
+        
+        const relations = {};
+        
+        for (const test of tests) {
+            const testPath = test.path || test.filePath || test.name;
+            
+            if (!testPath) continue;
+            
+            // Пути тестов могут быть абсолютными, в графе хранятся пути относительно корня проекта
+            const normalizedPath = testPath.replace(/\\/g, '/');
+            const testFile = testFiles.find(file => normalizedPath === file.path || normalizedPath.endsWith(`/${file.path}`));
+            
+            if (testFile) {
+                relations[testPath] = testFile.origins;
+            }
+        }
+        
+        return relations;
+    } catch (error) {
+        logger.warn('Symbol graph is unavailable, falling back to file name matching', {
+            projectId,
+            error: error.message
+        });
+        
+        return {};
+    }
+}
+
 /**
  * Вычисляет оценку влияния для каждого теста
  * 
@@ -3,7 +3,7 @@
 const path = require('path');
 const fs = require('fs').promises;
 const DocumentationGenerator = require('./doc-generator');
-const llmClient = require('../../utils/llm-client');
+const { getLLMClient } = require('../../utils/llm-client');
 const promptManager = require('../../utils/prompt-manager');
 const logger = require('../../utils/logger');
 const fileUtils = require('../../utils/file-utils');
@@ -89,7 +89,7 @@ class ApiDocBuilder extends DocumentationGenerator {
         };
         
         const promptText = await promptManager.getPrompt('generate-api-overview', promptVariables);
-        const overviewResult = await llmClient.sendMessage(promptText);
+        const overviewResult = await getLLMClient().sendPrompt(promptText);
         
         const overviewOptions = {
           isOverview: true,
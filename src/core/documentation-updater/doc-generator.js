@@ -3,7 +3,7 @@
 const path = require('path');
 const fs = require('fs').promises;
 const logger = require('../../utils/logger');
-const llmClient = require('../../utils/llm-client');
+const { getLLMClient } = require('../../utils/llm-client');
 const promptManager = require('../../utils/prompt-manager');
 const fileUtils = require('../../utils/file-utils');
 
@@ -61,7 +61,7 @@ class DocumentationGenerator {
       };
 
       const promptText = await promptManager.getPrompt('generate-file-documentation', promptVariables);
-      const documentationResult = await llmClient.sendMessage(promptText);
+      const documentationResult = await getLLMClient().sendPrompt(promptText);
 
       return this.formatAdapter.processOutput(documentationResult, options);
     } catch (error) {
@@ -112,7 +112,7 @@ class DocumentationGenerator {
         };
         
         const promptText = await promptManager.getPrompt('generate-module-overview', promptVariables);
-        const overviewResult = await llmClient.sendMessage(promptText);
+        const overviewResult = await getLLMClient().sendPrompt(promptText);
         
         docs['_overview.md'] = this.formatAdapter.processOutput(overviewResult, { isOverview: true });
       } catch (error) {
@@ -205,8 +205,8 @@ class DocumentationGenerator {
    */
   async updateDocumentationForChanges(since, options = {}) {
     try {
-    const gitService = require('../core/vcs-manager/gitService'); // Правильный путь импорта
-    const changedFiles = await gitService.getChangedFiles(since);
+      // Список измененных файлов можно передать явно, иначе берем его из git diff
+      const changedFiles = options.files || await this._getChangedFiles(since);
       
       const fileToProcess = changedFiles.filter(file => {
         const ext = path.extname(file);
@@ -236,6 +236,21 @@ class DocumentationGenerator {
       throw new Error(`Не удалось обновить документацию: ${error.message}`);
     }
   }
+
+  /**
+   * Получает список файлов, измененных с указанного коммита
+   * @private
+   * @param {String} since - Коммит для diff
+   * @returns {Promise<Array<String>>} Пути измененных файлов относительно корня проекта
+   */
+  async _getChangedFiles(since) {
+    const GitService = require('../vcs-manager/gitService');
+    const gitService = new GitService(this.projectRoot);
+    
+    const diffSummary = await gitService.diffSummary([since]);
+    
+    return diffSummary.files.map(file => file.file);
+  }
 }
 
 module.exports = DocumentationGenerator;
\ No newline at end of file
@@ -192,7 +192,8 @@ class DocumentationManager {
           ? options.outputDir 
           : path.join(this.projectRoot, options.outputDir);
         
-        await generator.saveDocumentation({ docs: updateResult.docs }, outputDir);
+        const saveResult = await generator.saveDocumentation({ docs: updateResult.docs }, outputDir);
+        updateResult.savedFiles = saveResult.savedFiles;
       }
       
       return {
@@ -236,7 +237,7 @@ class DocumentationManager {
       
       // Формируем промпт для генерации README
       const promptManager = require('../../utils/prompt-manager');
-      const llmClient = require('../../utils/llm-client');
+      const { getLLMClient } = require('../../utils/llm-client');
       
       const promptVariables = {
         projectName: options.projectName || path.basename(this.projectRoot),
@@ -259,7 +260,7 @@ class DocumentationManager {
       }
       
       const promptText = await promptManager.getPrompt('generate-readme', promptVariables);
-      const readmeContent = await llmClient.sendMessage(promptText);
+      const readmeContent = await getLLMClient().sendPrompt(promptText);
       
       // Сохраняем README
       const readmePath = path.join(targetPath, 'README.md');
@@ -6,7 +6,7 @@
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../../utils/logger');
-const llmClient = require('../../utils/llm-client');
+const { getLLMClient } = require('../../utils/llm-client');
 const promptManager = require('../../utils/prompt-manager');
 const errorClassifier = require('./error-classifier');
 const errorPatterns = require('./error-patterns');
@@ -235,7 +235,7 @@ async function suggestFixWithLLM(classification, code, options = {}) {
         });
         
         // Отправляем запрос к LLM
-        const response = await llmClient.sendPrompt(prompt, {
+        const response = await getLLMClient().sendPrompt(prompt, {
             temperature: 0.3,
             structuredOutput: true
         });
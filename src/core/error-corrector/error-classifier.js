@@ -4,7 +4,7 @@
  */
 
 const logger = require('../../utils/logger');
-const llmClient = require('../../utils/llm-client');
+const { getLLMClient } = require('../../utils/llm-client');
 const promptManager = require('../../utils/prompt-manager');
 
 // Шаблоны известных ошибок для различных языков программирования
@@ -508,7 +508,7 @@ async function classifyWithLLM(errorMessage, code, language) {
         });
         
         // Отправляем запрос к LLM
-        const response = await llmClient.sendPrompt(prompt, {
+        const response = await getLLMClient().sendPrompt(prompt, {
             temperature: 0.3,
             structuredOutput: true
         });
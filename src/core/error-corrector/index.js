@@ -7,7 +7,7 @@ const logger = require('../../utils/logger');
 const errorClassifier = require('./error-classifier');
 const autoFixEngine = require('./auto-fix-engine');
 const errorPatterns = require('./error-patterns');
-const llmClient = require('../../utils/llm-client');
+const { getLLMClient } = require('../../utils/llm-client');
 const promptManager = require('../../utils/prompt-manager');
 
 /**
@@ -100,6 +100,31 @@ async function analyzeError(errorMessage, code, options = {}) {
     }
 }
 
+/**
+ * Предлагает исправление для уже классифицированной ошибки
+ * 
+ * @param {Object} errorInfo - Классификация ошибки (например, errorInfo из analyzeError)
+ * @param {string} code - Код с ошибкой
+ * @param {Object} options - Дополнительные опции
+ * @returns {Promise<Object>} - Предложенное исправление
+ */
+async function suggestAutoFix(errorInfo, code, options = {}) {
+    try {
+        return await autoFixEngine.suggestAutoFix(errorInfo, code, options);
+    } catch (error) {
+        logger.error('Error suggesting fix', { 
+            error: error.message,
+            stack: error.stack
+        });
+        
+        return {
+            success: false,
+            message: `Не удалось предложить исправление: ${error.message}`,
+            confidence: 0
+        };
+    }
+}
+
 /**
  * Применяет исправление к коду
  * 
@@ -160,7 +185,7 @@ async function findDocumentation(errorInfo, options = {}) {
                 });
                 
                 // Отправляем запрос к LLM
-                const response = await llmClient.sendPrompt(prompt, {
+                const response = await getLLMClient().sendPrompt(prompt, {
                     temperature: 0.3,
                     structuredOutput: true
                 });
@@ -245,6 +270,7 @@ function getErrorPatterns(errorType, language) {
 
 module.exports = {
     analyzeError,
+    suggestAutoFix,
     applyFix,
     registerErrorPattern,
     getErrorPatterns
@@ -1,6 +1,6 @@
 // src/core/feedback-system/feedback-analyzer.js
 
-const llmClient = require('../../utils/llm-client');
+const { getLLMClient } = require('../../utils/llm-client');
 const promptManager = require('../../utils/prompt-manager');
 const logger = require('../../utils/logger');
 const FeedbackModel = require('../../models/feedback.model');
@@ -47,7 +47,7 @@ class FeedbackAnalyzer {
       
       // Получаем текст промпта и отправляем в LLM
       const promptText = await promptManager.getPrompt('feedback-analysis', promptVars);
-      const analysisResult = await llmClient.sendMessage(promptText);
+      const analysisResult = await getLLMClient().sendPrompt(promptText);
       
       // Пытаемся извлечь структурированные данные из ответа LLM
       let structuredResult = {};
@@ -123,7 +123,7 @@ class FeedbackAnalyzer {
       
       // Получаем текст промпта и отправляем в LLM
       const promptText = await promptManager.getPrompt('feedback-summary-analysis', promptVars);
-      const summaryResult = await llmClient.sendMessage(promptText);
+      const summaryResult = await getLLMClient().sendPrompt(promptText);
       
       return {
         stats,
@@ -158,7 +158,7 @@ class FeedbackAnalyzer {
       
       // Получаем текст промпта и отправляем в LLM
       const promptText = await promptManager.getPrompt('code-comments-analysis', promptVars);
-      const analysisResult = await llmClient.sendMessage(promptText);
+      const analysisResult = await getLLMClient().sendPrompt(promptText);
       
       // Пытаемся извлечь структурированные данные из ответа LLM
       let structuredResult = {};
@@ -7,6 +7,7 @@ const axios = require('axios');
 const logger = require('../../utils/logger');
 const config = require('../../config/app.config');
 const llmClient = require('../../utils/llm-client');
+const LocalEmbedder = require('../../utils/local-embedder');
 
 // Конфигурация по умолчанию
 const DEFAULT_CONFIG = {
@@ -34,6 +35,16 @@ const DEFAULT_CONFIG = {
     }
 };
 
+// Размерности векторов известных моделей (для остальных берется api.embeddingDimension)
+const KNOWN_DIMENSIONS = {
+    'text-embedding-ada-002': 1536,
+    'text-embedding-3-small': 1536,
+    'text-embedding-3-large': 3072,
+    'embed-english-v3.0': 1024,
+    'embed-multilingual-v3.0': 1024,
+    'sentence-transformers/all-MiniLM-L6-v2': 384
+};
+
 // Singleton instance
 let instance = null;
 
@@ -63,6 +74,11 @@ class EmbeddingGenerator {
             };
         }
         
+        // Локальная модель эмбеддингов (type: 'local'), работает без сетевых запросов
+        this.localEmbedder = new LocalEmbedder({
+            dimension: this.config.api.embeddingDimension
+        });
+        
         // Инициализируем кэш, если включен
         this.cache = this.config.cache.enabled ? new Map() : null;
         
@@ -78,10 +94,55 @@ class EmbeddingGenerator {
         
         logger.debug('Embedding generator initialized', { 
             apiType: this.config.api.type,
-            model: this.config.api.model
+            model: this.getModelInfo().model
         });
     }
     
+    /**
+     * Возвращает модель, которой создаются эмбеддинги
+     * Идентификатор модели сохраняется вместе с векторами: векторы разных моделей
+     * несовместимы, и при смене модели их нужно пересоздать
+     * 
+     * @returns {Object} - { id, type, model, dimension }
+     */
+    getModelInfo() {
+        const type = this.config.api.type.toLowerCase();
+        
+        if (type === 'local') {
+            return {
+                id: `local:${this.localEmbedder.modelId}`,
+                type,
+                model: this.localEmbedder.modelId,
+                dimension: this.localEmbedder.dimension
+            };
+        }
+        
+        if (type === 'llm') {
+            const { id, model, dimension } = llmClient.getLLMClient().getEmbeddingModel();
+            
+            return { id, type, model, dimension };
+        }
+        
+        const { model } = this.config.api;
+        const dimension = this.config.api.embeddingDimension || KNOWN_DIMENSIONS[model] || 1536;
+        
+        return {
+            id: `${type}:${model}`,
+            type,
+            model,
+            dimension
+        };
+    }
+    
+    /**
+     * Возвращает размерность создаваемых векторов
+     * 
+     * @returns {number}
+     */
+    getDimension() {
+        return this.getModelInfo().dimension;
+    }
+    
     /**
      * Создает эмбеддинги для текста
      * 
@@ -450,8 +511,7 @@ class EmbeddingGenerator {
      * @returns {string} - Ключ кэша
      */
     _getCacheKey(text) {
-        const { type, model } = this.config.api;
-        return `${type}:${model}:${this._hashText(text)}`;
+        return `${this.getModelInfo().id}:${this._hashText(text)}`;
     }
     
     /**
@@ -826,8 +886,8 @@ class EmbeddingGenerator {
     }
     
     /**
-     * Создает эмбеддинг через локальную модель
-     * (Заглушка, требует интеграции с локальной моделью)
+     * Создает эмбеддинг через локальную модель (хэшированные n-граммы токенов кода,
+     * см. utils/local-embedder): детерминированно и без сетевых запросов
      * 
      * @private
      * @param {string} text - Текст
@@ -835,15 +895,7 @@ class EmbeddingGenerator {
      * @returns {Promise<Array>} - Вектор эмбеддинга
      */
     async _generateLocalEmbedding(text, options = {}) {
-        logger.warn('Local embedding generation not implemented, generating mock embedding');
-        
-        // Создаем случайный вектор для тестирования
-        const dimension = options.dimension || this.config.api.embeddingDimension || 1536;
-        const vector = new Array(dimension).fill(0).map(() => Math.random() * 2 - 1);
-        
-        // Нормализуем вектор
-        const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-        return vector.map(val => val / magnitude);
+        return this.localEmbedder.embed(text);
     }
     
     /**
@@ -932,7 +984,7 @@ class EmbeddingGenerator {
      */
     async _generateLLMEmbedding(text, options = {}) {
         try {
-            const result = await llmClient.getEmbedding(text, options);
+            const result = await llmClient.getLLMClient().createEmbedding(text, options);
             
             if (!result || !Array.isArray(result)) {
                 throw new Error('Invalid embedding result from LLM client');
@@ -18,12 +18,38 @@ async function initialize(options = {}) {
     try {
         logger.info('Initializing learning system', { options: Object.keys(options) });
         
-        // Инициализируем векторное хранилище
-        const vectorStoreInstance = vectorStore.getVectorStore(options.vectorStore);
+        // Инициализируем генератор эмбеддингов
+        const generator = embeddingGenerator.getEmbeddingGenerator(options.embedding);
+        const embeddingModel = generator.getModelInfo();
+        
+        // Инициализируем векторное хранилище: размерность и модель векторов задает генератор
+        const storeOptions = options.vectorStore || {};
+        const vectorStoreInstance = vectorStore.getVectorStore({
+            ...storeOptions,
+            vectorStore: {
+                embeddingDimension: embeddingModel.dimension,
+                embeddingModel: embeddingModel.id,
+                ...storeOptions.vectorStore
+            }
+        });
         await vectorStoreInstance.initialize();
         
-        // Инициализируем генератор эмбеддингов
-        embeddingGenerator.getEmbeddingGenerator(options.embedding);
+        // После смены модели эмбеддингов пересоздаем векторы, созданные прежней моделью
+        if (options.reembed !== false) {
+            for (const schemaName of Object.keys(vectorStore.SCHEMAS)) {
+                try {
+                    await vectorStoreInstance.reembedStaleItems(
+                        schemaName,
+                        text => generator.generateEmbedding(text)
+                    );
+                } catch (error) {
+                    logger.warn('Failed to re-embed stale items', { 
+                        schemaName,
+                        error: error.message
+                    });
+                }
+            }
+        }
         
         return true;
     } catch (error) {
@@ -4,7 +4,7 @@
  */
 
 const logger = require('../../utils/logger');
-const llmClient = require('../../utils/llm-client');
+const { getLLMClient } = require('../../utils/llm-client');
 const promptManager = require('../../utils/prompt-manager');
 const { getVectorStore, SCHEMAS } = require('./vector-store');
 const { getEmbeddingGenerator } = require('./embedding-generator');
@@ -171,7 +171,7 @@ async function analyzeWithLLM(taskData, solution, context, options) {
         });
         
         // Отправляем запрос к LLM с ожиданием структурированного ответа
-        const response = await llmClient.sendPrompt(prompt, {
+        const response = await getLLMClient().sendPrompt(prompt, {
             temperature: 0.3,
             structuredOutput: true
         });
@@ -0,0 +1,323 @@
+/**
+ * Фильтры векторного хранилища
+ * Фильтр компилируется один раз в список условий, из которого строится параметризованный
+ * SQL для PostgreSQL и предикат для in-memory хранилища, поэтому обе реализации
+ * отбирают одни и те же элементы
+ *
+ * Формат фильтра:
+ *   { task_type: 'bug_fix' }                      - равенство (null - IS NULL)
+ *   { task_type: ['feature', 'bug_fix'] }         - одно из значений
+ *   { success_rating: { $gte: 0.5, $lt: 1 } }     - операторы $eq, $ne, $gt, $gte, $lt, $lte, $in
+ *   { tags: 'api' }                               - массив (string[]) содержит значение
+ *   { metadata: { source: 'manual' } }            - JSONB содержит объект (@>)
+ *   { 'metadata.analysis.quality': 'high' }       - значение по пути внутри JSONB
+ *   { 'metadata.iterations': { $gt: 2 } }         - сравнение значения по пути
+ */
+
+const OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$contains'];
+
+const COMPARISONS = {
+    $gt: { sql: '>', test: (a, b) => a > b },
+    $gte: { sql: '>=', test: (a, b) => a >= b },
+    $lt: { sql: '<', test: (a, b) => a < b },
+    $lte: { sql: '<=', test: (a, b) => a <= b }
+};
+
+/**
+ * Проверяет, является ли значение простым объектом
+ *
+ * @param {*} value - Значение
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+/**
+ * Проверяет, является ли объект набором операторов ({ $gte: 1 })
+ *
+ * @param {*} value - Значение фильтра
+ * @returns {boolean}
+ */
+function isOperatorObject(value) {
+    return isPlainObject(value) && Object.keys(value).length > 0 &&
+        Object.keys(value).every(key => key.startsWith('$'));
+}
+
+/**
+ * Проверяет вхождение JSON-значения по правилам оператора @> PostgreSQL
+ *
+ * @param {*} container - Значение поля
+ * @param {*} contained - Искомое значение
+ * @returns {boolean}
+ */
+function jsonContains(container, contained) {
+    if (isPlainObject(contained)) {
+        return isPlainObject(container) &&
+            Object.entries(contained).every(([key, value]) => key in container && jsonContains(container[key], value));
+    }
+
+    if (Array.isArray(contained)) {
+        return Array.isArray(container) &&
+            contained.every(value => container.some(element => jsonContains(element, value)));
+    }
+
+    return container === contained;
+}
+
+/**
+ * Строит вложенный объект по пути: ['a', 'b'], 1 -> { a: { b: 1 } }
+ *
+ * @param {Array<string>} path - Путь
+ * @param {*} value - Значение
+ * @returns {Object}
+ */
+function nestValue(path, value) {
+    return path.reduceRight((nested, key) => ({ [key]: nested }), value);
+}
+
+/**
+ * Возвращает значение по пути внутри объекта
+ *
+ * @param {*} value - Объект
+ * @param {Array<string>} path - Путь
+ * @returns {*} - Значение или undefined
+ */
+function getPathValue(value, path) {
+    return path.reduce((current, key) => (isPlainObject(current) ? current[key] : undefined), value);
+}
+
+/**
+ * Приводит значение JSONB к виду, в котором его сравнивает PostgreSQL (#>> возвращает текст)
+ *
+ * @param {*} value - Значение
+ * @returns {string|null}
+ */
+function toJsonText(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Компилирует фильтр в список условий
+ *
+ * @param {Object} schema - Схема хранилища (SCHEMAS)
+ * @param {Object} filter - Фильтр
+ * @returns {Array<Object>} - Условия { field, type, path, op, value }
+ * @throws {Error} - Если поле отсутствует в схеме или оператор не поддерживается
+ */
+function compileFilter(schema, filter = {}) {
+    const conditions = [];
+
+    for (const [key, rawValue] of Object.entries(filter || {})) {
+        if (rawValue === undefined) {
+            continue;
+        }
+
+        const [fieldName, ...path] = key.split('.');
+        const field = schema.fields.find(f => f.name === fieldName);
+
+        if (!field || field.type === 'vector') {
+            throw new Error(`Unknown filter field for ${schema.name}: ${key}`);
+        }
+
+        if (path.length > 0 && field.type !== 'jsonb') {
+            throw new Error(`Nested filter path is only supported for jsonb fields: ${key}`);
+        }
+
+        const base = { field: field.name, type: field.type, path };
+
+        let operators;
+        if (isOperatorObject(rawValue)) {
+            operators = rawValue;
+        } else if (Array.isArray(rawValue) && field.type !== 'jsonb') {
+            operators = { $in: rawValue };
+        } else {
+            operators = { $eq: rawValue };
+        }
+
+        for (const [op, value] of Object.entries(operators)) {
+            if (!OPERATORS.includes(op)) {
+                throw new Error(`Unsupported filter operator ${op} for ${key}`);
+            }
+
+            // Массивы и JSONB целиком сравниваются только на вхождение
+            if ((field.type === 'string[]' && !['$eq', '$contains'].includes(op)) ||
+                (field.type === 'jsonb' && path.length === 0 && !['$eq', '$contains', '$ne'].includes(op))) {
+                throw new Error(`Operator ${op} is not supported for ${field.type} field ${key}`);
+            }
+
+            if (op === '$in' && !Array.isArray(value)) {
+                throw new Error(`Operator $in expects an array for ${key}`);
+            }
+
+            if (COMPARISONS[op] && (value === null || typeof value === 'object' && !(value instanceof Date))) {
+                throw new Error(`Operator ${op} expects a scalar value for ${key}`);
+            }
+
+            // Для массивов и JSONB равенство означает вхождение
+            if ((op === '$eq' || op === '$contains') && value !== null &&
+                (field.type === 'string[]' || field.type === 'jsonb')) {
+                conditions.push({ ...base, op: 'contains', value: field.type === 'string[]' ? [].concat(value) : value });
+            } else if (op === '$eq' || op === '$contains') {
+                conditions.push({ ...base, op: value === null ? 'isNull' : 'eq', value });
+            } else {
+                conditions.push({ ...base, op, value });
+            }
+        }
+    }
+
+    return conditions;
+}
+
+/**
+ * Строит SQL-условие для значения по пути внутри JSONB
+ *
+ * @param {Object} condition - Условие
+ * @param {Function} param - Добавляет параметр и возвращает его плейсхолдер
+ * @returns {string}
+ */
+function jsonPathToSql(condition, param) {
+    const { field, path, op, value } = condition;
+    // Параметр пути добавляется только для условий, которые его используют
+    const text = () => `${field} #>> ${param(path)}::text[]`;
+
+    switch (op) {
+        case 'contains':
+            return `${field} @> ${param(JSON.stringify(nestValue(path, value)))}::jsonb`;
+        case 'isNull':
+            return `${text()} IS NULL`;
+        case '$ne':
+            return value === null
+                ? `${text()} IS NOT NULL`
+                : `(${field} IS NULL OR NOT ${field} @> ${param(JSON.stringify(nestValue(path, value)))}::jsonb)`;
+        case '$in':
+            return `${text()} = ANY(${param(value.map(toJsonText))}::text[])`;
+        default:
+            // Числа сравниваются как числа, остальные значения - как текст
+            return typeof value === 'number'
+                ? `(${text()})::numeric ${COMPARISONS[op].sql} ${param(value)}`
+                : `${text()} ${COMPARISONS[op].sql} ${param(toJsonText(value))}`;
+    }
+}
+
+/**
+ * Преобразует условия в SQL
+ *
+ * @param {Array<Object>} conditions - Условия compileFilter
+ * @param {Array} values - Параметры запроса (дополняются значениями условий)
+ * @returns {Array<string>} - SQL-условия с плейсхолдерами $n
+ */
+function toSqlConditions(conditions, values) {
+    const param = (value) => {
+        values.push(value);
+        return `$${values.length}`;
+    };
+
+    return conditions.map(condition => {
+        const { field, type, path, op, value } = condition;
+
+        if (path.length > 0) {
+            return jsonPathToSql(condition, param);
+        }
+
+        switch (op) {
+            case 'eq':
+                return `${field} = ${param(value)}`;
+            case 'isNull':
+                return `${field} IS NULL`;
+            case 'contains':
+                return type === 'jsonb'
+                    ? `${field} @> ${param(JSON.stringify(value))}::jsonb`
+                    : `${field} @> ${param(value)}`;
+            case '$ne':
+                if (value === null) {
+                    return `${field} IS NOT NULL`;
+                }
+                return type === 'jsonb'
+                    ? `(${field} IS NULL OR NOT ${field} @> ${param(JSON.stringify(value))}::jsonb)`
+                    : `${field} IS DISTINCT FROM ${param(value)}`;
+            case '$in':
+                return `${field} = ANY(${param(value)})`;
+            default:
+                return `${field} ${COMPARISONS[op].sql} ${param(value)}`;
+        }
+    });
+}
+
+/**
+ * Сравнивает значения так же, как PostgreSQL сравнивает колонку с параметром
+ *
+ * @param {*} actual - Значение поля
+ * @param {*} expected - Значение фильтра
+ * @returns {Array} - Пара сравнимых значений
+ */
+function comparable(actual, expected) {
+    if (expected instanceof Date || actual instanceof Date) {
+        return [new Date(actual).getTime(), new Date(expected).getTime()];
+    }
+
+    if (typeof expected === 'number') {
+        return [Number(actual), expected];
+    }
+
+    return [actual, expected];
+}
+
+/**
+ * Проверяет элемент in-memory хранилища на соответствие условиям
+ *
+ * @param {Object} item - Элемент
+ * @param {Array<Object>} conditions - Условия compileFilter
+ * @returns {boolean}
+ */
+function matchesConditions(item, conditions) {
+    return conditions.every(({ field, type, path, op, value }) => {
+        const actual = path.length > 0 ? getPathValue(item[field], path) : item[field];
+        const missing = actual === null || actual === undefined;
+
+        switch (op) {
+            case 'eq':
+                return !missing && actual === value;
+            case 'isNull':
+                return missing;
+            case 'contains':
+                return !missing && jsonContains(path.length > 0 ? item[field] : actual, path.length > 0 ? nestValue(path, value) : value);
+            case '$ne':
+                if (value === null) {
+                    return !missing;
+                }
+                if (path.length > 0) {
+                    return missing || !jsonContains(item[field], nestValue(path, value));
+                }
+                return type === 'jsonb'
+                    ? missing || !jsonContains(actual, value)
+                    : actual !== value;
+            case '$in':
+                return !missing && (path.length > 0
+                    ? value.map(toJsonText).includes(toJsonText(actual))
+                    : value.includes(actual));
+            default: {
+                if (missing) {
+                    return false;
+                }
+
+                const [a, b] = path.length > 0 && typeof value !== 'number'
+                    ? [toJsonText(actual), toJsonText(value)]
+                    : comparable(actual, value);
+
+                return !Number.isNaN(a) && COMPARISONS[op].test(a, b);
+            }
+        }
+    });
+}
+
+module.exports = {
+    compileFilter,
+    toSqlConditions,
+    matchesConditions,
+    jsonContains
+};
@@ -8,6 +8,7 @@ const path = require('path');
 const logger = require('../../utils/logger');
 const config = require('../../config/app.config');
 const { Pool } = require('pg'); // Требуется установка: npm install pg
+const { compileFilter, toSqlConditions, matchesConditions } = require('./vector-filter');
 
 // Конфигурация по умолчанию
 const DEFAULT_CONFIG = {
@@ -17,8 +18,19 @@ const DEFAULT_CONFIG = {
         pgOptions: null, // Настройки подключения к Postgres
         // Специфичные для выбранного хранилища, по умолчанию null
         embeddingDimension: 1536, // Размерность векторов (1536 для OpenAI, 768 для многих других)
+        embeddingModel: null, // Идентификатор модели эмбеддингов (векторы других моделей не участвуют в поиске)
         tableName: 'vector_embeddings',
         indexName: 'vector_idx',
+        // Векторный индекс pgvector: 'hnsw', 'ivfflat' или 'none' (точный поиск без индекса)
+        index: {
+            type: 'hnsw',
+            hnsw: { m: 16, efConstruction: 64, efSearch: 40 },
+            ivfflat: { lists: 100, probes: 10 }
+        },
+        // Действие при изменении embeddingDimension существующих таблиц:
+        // 'reset' - очистить векторы (они будут пересозданы текущей моделью), 'error' - прервать инициализацию
+        onDimensionChange: 'reset',
+        batchSize: 500, // Максимальное количество строк в одном INSERT при пакетном сохранении
         maxConnections: 10,
         idleTimeoutMillis: 30000
     },
@@ -44,8 +56,10 @@ const SCHEMAS = {
             { name: 'success_rating', type: 'float' },
             { name: 'created_at', type: 'timestamp' },
             { name: 'metadata', type: 'jsonb' },
-            { name: 'embedding', type: 'vector' } // Векторное представление task_description
-        ]
+            { name: 'embedding', type: 'vector' }, // Векторное представление task_description
+            { name: 'embedding_model', type: 'string', indexed: true } // Модель, которой создан вектор
+        ],
+        embeddingSource: ['task_description']
     },
     // Схема для хранения проектного контекста
     projectContext: {
@@ -58,8 +72,10 @@ const SCHEMAS = {
             { name: 'chunk_type', type: 'string', indexed: true }, // code, comment, doc, etc.
             { name: 'created_at', type: 'timestamp' },
             { name: 'metadata', type: 'jsonb' },
-            { name: 'embedding', type: 'vector' } // Векторное представление content_chunk
-        ]
+            { name: 'embedding', type: 'vector' }, // Векторное представление content_chunk
+            { name: 'embedding_model', type: 'string', indexed: true }
+        ],
+        embeddingSource: ['content_chunk']
     },
     // Схема для хранения промптов
     promptTemplate: {
@@ -73,11 +89,19 @@ const SCHEMAS = {
             { name: 'success_rating', type: 'float' },
             { name: 'created_at', type: 'timestamp' },
             { name: 'metadata', type: 'jsonb' },
-            { name: 'embedding', type: 'vector' } // Векторное представление template + description
-        ]
+            { name: 'embedding', type: 'vector' }, // Векторное представление template + description
+            { name: 'embedding_model', type: 'string', indexed: true }
+        ],
+        embeddingSource: ['template', 'description']
     }
 };
 
+// Максимальная размерность векторов, для которой pgvector строит индексы hnsw и ivfflat
+const MAX_INDEXED_DIMENSION = 2000;
+
+// Максимальное количество параметров в одном запросе PostgreSQL
+const MAX_QUERY_PARAMETERS = 65535;
+
 // Singleton instance
 let instance = null;
 
@@ -91,9 +115,22 @@ class VectorStore {
      * @param {Object} options - Опции инициализации
      */
     constructor(options = {}) {
+        const storeOptions = options.vectorStore || {};
+        const indexOptions = storeOptions.index || {};
+        
         this.config = {
             ...DEFAULT_CONFIG,
-            ...options
+            ...options,
+            vectorStore: {
+                ...DEFAULT_CONFIG.vectorStore,
+                ...storeOptions,
+                index: {
+                    ...DEFAULT_CONFIG.vectorStore.index,
+                    ...indexOptions,
+                    hnsw: { ...DEFAULT_CONFIG.vectorStore.index.hnsw, ...indexOptions.hnsw },
+                    ivfflat: { ...DEFAULT_CONFIG.vectorStore.index.ivfflat, ...indexOptions.ivfflat }
+                }
+            }
         };
         
         this.isInitialized = false;
@@ -194,6 +231,8 @@ class VectorStore {
     
     /**
      * Проверяет и создает необходимые таблицы в PostgreSQL
+     * Существующие таблицы приводятся к текущей схеме: добавляются новые колонки,
+     * меняется размерность векторов и пересоздается векторный индекс
      * 
      * @private
      * @param {Object} client - Клиент PostgreSQL
@@ -201,7 +240,7 @@ class VectorStore {
      */
     async _ensureTablesExist(client) {
         // Создаем таблицы для каждой схемы
-        for (const [schemaName, schema] of Object.entries(SCHEMAS)) {
+        for (const schema of Object.values(SCHEMAS)) {
             const tableName = schema.name;
             
             try {
@@ -211,44 +250,9 @@ class VectorStore {
                 if (!tableExists) {
                     logger.info(`Creating table ${tableName}`);
                     
-                    // Создаем SQL для создания таблицы
-                    let fieldsSQL = schema.fields.map(field => {
-                        let typeSQL;
-                        
-                        switch (field.type) {
-                            case 'string':
-                                typeSQL = 'VARCHAR(255)';
-                                break;
-                            case 'text':
-                                typeSQL = 'TEXT';
-                                break;
-                            case 'float':
-                                typeSQL = 'FLOAT';
-                                break;
-                            case 'integer':
-                                typeSQL = 'INTEGER';
-                                break;
-                            case 'boolean':
-                                typeSQL = 'BOOLEAN';
-                                break;
-                            case 'timestamp':
-                                typeSQL = 'TIMESTAMP';
-                                break;
-                            case 'jsonb':
-                                typeSQL = 'JSONB';
-                                break;
-                            case 'string[]':
-                                typeSQL = 'VARCHAR(255)[]';
-                                break;
-                            case 'vector':
-                                typeSQL = `vector(${this.config.vectorStore.embeddingDimension})`;
-                                break;
-                            default:
-                                typeSQL = 'TEXT';
-                        }
-                        
-                        return `${field.name} ${typeSQL}${field.primaryKey ? ' PRIMARY KEY' : ''}`;
-                    }).join(', ');
+                    const fieldsSQL = schema.fields
+                        .map(field => `${field.name} ${this._getColumnType(field)}${field.primaryKey ? ' PRIMARY KEY' : ''}`)
+                        .join(', ');
                     
                     // Создаем таблицу
                     await client.query(`
@@ -260,27 +264,17 @@ class VectorStore {
                     // Создаем индексы
                     for (const field of schema.fields) {
                         if (field.indexed && !field.primaryKey) {
-                            await client.query(`
-                                CREATE INDEX ${tableName}_${field.name}_idx 
-                                ON ${tableName} (${field.name})
-                            `);
+                            await this._createFieldIndex(client, tableName, field);
                         }
                     }
                     
-                    // Создаем индекс для векторного поля
-                    const vectorField = schema.fields.find(f => f.type === 'vector');
-                    if (vectorField) {
-                        await client.query(`
-                            CREATE INDEX ${tableName}_${vectorField.name}_idx 
-                            ON ${tableName} USING ivfflat (${vectorField.name} vector_cosine_ops) 
-                            WITH (lists = 100)
-                        `);
-                    }
-                    
                     logger.info(`Table ${tableName} created successfully`);
                 } else {
+                    await this._migrateTable(client, schema);
                     logger.debug(`Table ${tableName} already exists`);
                 }
+                
+                await this._ensureVectorIndex(client, schema);
             } catch (error) {
                 logger.error(`Failed to create table ${tableName}`, { error: error.message });
                 throw error;
@@ -288,6 +282,306 @@ class VectorStore {
         }
     }
     
+    /**
+     * Возвращает SQL-тип колонки для поля схемы
+     * 
+     * @private
+     * @param {Object} field - Поле схемы
+     * @returns {string} - SQL-тип
+     */
+    _getColumnType(field) {
+        switch (field.type) {
+            case 'string':
+                return 'VARCHAR(255)';
+            case 'text':
+                return 'TEXT';
+            case 'float':
+                return 'FLOAT';
+            case 'integer':
+                return 'INTEGER';
+            case 'boolean':
+                return 'BOOLEAN';
+            case 'timestamp':
+                return 'TIMESTAMP';
+            case 'jsonb':
+                return 'JSONB';
+            case 'string[]':
+                return 'VARCHAR(255)[]';
+            case 'vector':
+                return `vector(${this.config.vectorStore.embeddingDimension})`;
+            default:
+                return 'TEXT';
+        }
+    }
+    
+    /**
+     * Создает индекс для индексируемого поля (GIN для массивов, чтобы работал оператор @>)
+     * 
+     * @private
+     * @param {Object} client - Клиент PostgreSQL
+     * @param {string} tableName - Имя таблицы
+     * @param {Object} field - Поле схемы
+     * @returns {Promise<void>}
+     */
+    async _createFieldIndex(client, tableName, field) {
+        const method = field.type === 'string[]' ? ' USING gin' : '';
+        
+        await client.query(`
+            CREATE INDEX IF NOT EXISTS ${tableName}_${field.name}_idx 
+            ON ${tableName}${method} (${field.name})
+        `);
+    }
+    
+    /**
+     * Приводит существующую таблицу к текущей схеме
+     * Недостающие колонки добавляются; при изменении embeddingDimension колонка векторов
+     * меняет тип, а сохраненные векторы очищаются (векторы разной размерности несравнимы)
+     * и помечаются устаревшими, чтобы reembedStaleItems пересоздал их текущей моделью
+     * 
+     * @private
+     * @param {Object} client - Клиент PostgreSQL
+     * @param {Object} schema - Схема
+     * @returns {Promise<void>}
+     */
+    async _migrateTable(client, schema) {
+        const tableName = schema.name;
+        const columnsResult = await client.query(
+            'SELECT column_name FROM information_schema.columns WHERE table_name = $1',
+            [tableName]
+        );
+        const existingColumns = new Set(columnsResult.rows.map(row => row.column_name));
+        
+        for (const field of schema.fields) {
+            if (existingColumns.has(field.name)) {
+                continue;
+            }
+            
+            await client.query(`ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS ${field.name} ${this._getColumnType(field)}`);
+            
+            if (field.indexed && !field.primaryKey) {
+                await this._createFieldIndex(client, tableName, field);
+            }
+            
+            logger.info(`Added column ${field.name} to table ${tableName}`);
+        }
+        
+        const currentDimension = await this._getVectorDimension(client, tableName);
+        const dimension = this.config.vectorStore.embeddingDimension;
+        
+        if (currentDimension === null || currentDimension === dimension) {
+            return;
+        }
+        
+        if (this.config.vectorStore.onDimensionChange === 'error') {
+            throw new Error(`Table ${tableName} stores ${currentDimension}-dimensional vectors, but embeddingDimension is ${dimension}`);
+        }
+        
+        logger.warn(`Changing vector dimension of ${tableName} from ${currentDimension} to ${dimension}, stored embeddings will be re-created`);
+        
+        await client.query('BEGIN');
+        
+        try {
+            await client.query(`DROP INDEX IF EXISTS ${tableName}_embedding_idx`);
+            await client.query(`ALTER TABLE ${tableName} ALTER COLUMN embedding TYPE vector(${dimension}) USING NULL`);
+            await client.query(`UPDATE ${tableName} SET embedding_model = NULL`);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        }
+    }
+    
+    /**
+     * Возвращает размерность колонки векторов существующей таблицы
+     * 
+     * @private
+     * @param {Object} client - Клиент PostgreSQL
+     * @param {string} tableName - Имя таблицы
+     * @returns {Promise<number|null>} - Размерность или null, если колонки нет
+     */
+    async _getVectorDimension(client, tableName) {
+        const result = await client.query(`
+            SELECT format_type(a.atttypid, a.atttypmod) AS type
+            FROM pg_attribute a
+            WHERE a.attrelid = to_regclass($1) AND a.attname = 'embedding' AND NOT a.attisdropped
+        `, [tableName]);
+        
+        const match = result.rows.length > 0 && /vector\((\d+)\)/.exec(result.rows[0].type);
+        
+        return match ? parseInt(match[1], 10) : null;
+    }
+    
+    /**
+     * Возвращает требуемое описание векторного индекса из настроек
+     * 
+     * @private
+     * @returns {Object|null} - { type, options } или null, если индекс не нужен
+     * @throws {Error} - Если тип индекса не поддерживается или параметры некорректны
+     */
+    _getIndexDefinition() {
+        const { type, hnsw, ivfflat } = this.config.vectorStore.index;
+        let definition;
+        
+        if (type === 'none') {
+            return null;
+        } else if (type === 'hnsw') {
+            definition = { type, options: { m: hnsw.m, ef_construction: hnsw.efConstruction } };
+        } else if (type === 'ivfflat') {
+            definition = { type, options: { lists: ivfflat.lists } };
+        } else {
+            throw new Error(`Unsupported vector index type: ${type}`);
+        }
+        
+        for (const [name, value] of Object.entries(definition.options)) {
+            if (!Number.isInteger(value) || value < 1) {
+                throw new Error(`Invalid ${type} index parameter ${name}: ${value}`);
+            }
+        }
+        
+        // pgvector не индексирует векторы большей размерности, поиск выполняется точным перебором
+        return this.config.vectorStore.embeddingDimension > MAX_INDEXED_DIMENSION ? null : definition;
+    }
+    
+    /**
+     * Создает или пересоздает векторный индекс, если его тип или параметры
+     * отличаются от настроек
+     * 
+     * @private
+     * @param {Object} client - Клиент PostgreSQL
+     * @param {Object} schema - Схема
+     * @returns {Promise<boolean>} - true, если индекс был изменен
+     */
+    async _ensureVectorIndex(client, schema) {
+        if (!schema.fields.some(f => f.type === 'vector')) {
+            return false;
+        }
+        
+        const indexName = `${schema.name}_embedding_idx`;
+        const desired = this._getIndexDefinition();
+        
+        if (!desired && this.config.vectorStore.index.type !== 'none') {
+            logger.warn(`pgvector cannot index vectors with more than ${MAX_INDEXED_DIMENSION} dimensions, ${schema.name} uses exact search`);
+        }
+        
+        const result = await client.query(`
+            SELECT am.amname AS type, c.reloptions AS options
+            FROM pg_class c
+            JOIN pg_am am ON am.oid = c.relam
+            WHERE c.relname = $1 AND c.relkind = 'i'
+        `, [indexName]);
+        
+        const current = result.rows.length > 0
+            ? {
+                type: result.rows[0].type,
+                options: Object.fromEntries((result.rows[0].options || []).map(option => option.split('=')))
+            }
+            : null;
+        
+        if (this._isSameIndex(current, desired)) {
+            return false;
+        }
+        
+        if (current) {
+            await client.query(`DROP INDEX IF EXISTS ${indexName}`);
+        }
+        
+        if (desired) {
+            const withSQL = Object.entries(desired.options)
+                .map(([name, value]) => `${name} = ${value}`)
+                .join(', ');
+            
+            await client.query(`
+                CREATE INDEX ${indexName} 
+                ON ${schema.name} USING ${desired.type} (embedding vector_cosine_ops) 
+                WITH (${withSQL})
+            `);
+        }
+        
+        logger.info(`Vector index of ${schema.name} updated`, { 
+            from: current ? current.type : 'none',
+            to: desired ? desired.type : 'none'
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Сравнивает существующий векторный индекс с требуемым
+     * 
+     * @private
+     * @param {Object|null} current - Существующий индекс { type, options }
+     * @param {Object|null} desired - Требуемый индекс { type, options }
+     * @returns {boolean}
+     */
+    _isSameIndex(current, desired) {
+        if (!current || !desired) {
+            return current === desired;
+        }
+        
+        const currentOptions = Object.keys(current.options);
+        
+        return current.type === desired.type &&
+            currentOptions.length === Object.keys(desired.options).length &&
+            currentOptions.every(name => String(current.options[name]) === String(desired.options[name]));
+    }
+    
+    /**
+     * Перестраивает векторный индекс схемы
+     * Индекс ivfflat строит списки по данным, поэтому после массовой загрузки его стоит перестроить
+     * 
+     * @param {string} schemaName - Имя схемы
+     * @returns {Promise<void>}
+     */
+    async reindex(schemaName) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+        
+        const schema = SCHEMAS[schemaName];
+        if (!schema) {
+            throw new Error(`Unknown schema: ${schemaName}`);
+        }
+        
+        if (this.config.vectorStore.type !== 'pg' || !this._getIndexDefinition()) {
+            return;
+        }
+        
+        const client = await this.store.connect();
+        
+        try {
+            await client.query(`REINDEX INDEX ${schema.name}_embedding_idx`);
+            logger.info(`Vector index of ${schema.name} rebuilt`);
+        } finally {
+            client.release();
+        }
+    }
+    
+    /**
+     * Возвращает команды, задающие параметры поиска по векторному индексу в транзакции
+     * 
+     * @private
+     * @returns {Array<string>} - SQL-команды SET LOCAL
+     */
+    _getSearchSettings() {
+        const definition = this._getIndexDefinition();
+        const { hnsw, ivfflat } = this.config.vectorStore.index;
+        
+        if (!definition) {
+            return [];
+        }
+        
+        const [name, value] = definition.type === 'hnsw'
+            ? ['hnsw.ef_search', hnsw.efSearch]
+            : ['ivfflat.probes', ivfflat.probes];
+        
+        // SET не принимает параметры запроса, поэтому значение проверяется перед подстановкой
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`Invalid ${name} value: ${value}`);
+        }
+        
+        return [`SET LOCAL ${name} = ${value}`];
+    }
+    
     /**
      * Проверяет существование таблицы в PostgreSQL
      * 
@@ -344,6 +638,20 @@ class VectorStore {
      * @returns {Promise<string>} - ID сохраненного элемента
      */
     async storeItem(schemaName, item, embedding) {
+        const [id] = await this.storeItems(schemaName, [embedding ? { ...item, embedding } : item]);
+        
+        return id;
+    }
+    
+    /**
+     * Сохраняет несколько элементов (insert или update по id)
+     * В PostgreSQL элементы записываются пачками многострочных INSERT в одной транзакции
+     * 
+     * @param {string} schemaName - Имя схемы
+     * @param {Array<Object>} items - Элементы; вектор передается в поле embedding
+     * @returns {Promise<Array<string>>} - ID сохраненных элементов в порядке items
+     */
+    async storeItems(schemaName, items) {
         if (!this.isInitialized) {
             await this.initialize();
         }
@@ -354,82 +662,194 @@ class VectorStore {
                 throw new Error(`Unknown schema: ${schemaName}`);
             }
             
-            // Проверяем наличие всех обязательных полей
-            for (const field of schema.fields) {
-                if (field.primaryKey && !item[field.name] && field.name !== 'id') {
-                    throw new Error(`Missing required primary key field: ${field.name}`);
-                }
-            }
+            const rows = items.map(item => this._prepareRow(schema, item));
             
-            // Генерируем ID, если его нет
-            if (!item.id) {
-                item.id = this._generateId();
-            }
-            
-            // Добавляем timestamp, если его нет
-            if (!item.created_at && schema.fields.some(f => f.name === 'created_at')) {
-                item.created_at = new Date().toISOString();
-            }
-            
-            // Добавляем эмбеддинг
-            if (embedding && schema.fields.some(f => f.name === 'embedding')) {
-                item.embedding = embedding;
-            }
+            // Повторяющийся id сохраняется один раз, побеждает последний элемент
+            const uniqueRows = Array.from(new Map(rows.map(row => [row.id, row])).values());
             
             // Сохраняем в зависимости от типа хранилища
             if (this.config.vectorStore.type === 'pg') {
-                await this._storeItemInPostgres(schema.name, item);
+                await this._upsertRowsInPostgres(schema, uniqueRows);
             } else if (this.config.vectorStore.type === 'memory') {
-                await this._storeItemInMemory(schema.name, item);
+                uniqueRows.forEach(row => this._storeItemInMemory(schema.name, row));
+            }
+            
+            for (const row of uniqueRows) {
+                this.queryCache.delete(`${schemaName}:${row.id}`);
             }
             
             // Обновляем метрики
-            this.metrics.insertions++;
+            this.metrics.insertions += uniqueRows.length;
             
-            return item.id;
+            return rows.map(row => row.id);
         } catch (error) {
-            logger.error('Failed to store item', { 
+            logger.error('Failed to store items', { 
                 schemaName, 
                 error: error.message,
-                itemId: item.id
+                count: items.length
             });
             throw error;
         }
     }
     
     /**
-     * Сохраняет элемент в PostgreSQL
+     * Проверяет элемент и дополняет его служебными полями
      * 
      * @private
-     * @param {string} tableName - Имя таблицы
-     * @param {Object} item - Элемент для сохранения
+     * @param {Object} schema - Схема
+     * @param {Object} item - Элемент
+     * @returns {Object} - Строка для сохранения
+     * @throws {Error} - Если элемент содержит поля, которых нет в схеме, или вектор неверной размерности
+     */
+    _prepareRow(schema, item) {
+        const fieldNames = new Set(schema.fields.map(f => f.name));
+        const row = {};
+        
+        for (const [name, value] of Object.entries(item)) {
+            if (!fieldNames.has(name)) {
+                throw new Error(`Unknown field for ${schema.name}: ${name}`);
+            }
+            
+            if (value !== undefined) {
+                row[name] = value;
+            }
+        }
+        
+        // Генерируем ID, если его нет
+        if (!row.id) {
+            row.id = this._generateId();
+        }
+        
+        // Добавляем timestamp, если его нет
+        if (!row.created_at && fieldNames.has('created_at')) {
+            row.created_at = new Date().toISOString();
+        }
+        
+        if (row.embedding) {
+            this._validateEmbedding(row.embedding);
+            
+            if (this.config.vectorStore.embeddingModel) {
+                row.embedding_model = this.config.vectorStore.embeddingModel;
+            }
+        }
+        
+        return row;
+    }
+    
+    /**
+     * Проверяет, что вектор соответствует размерности хранилища
+     * 
+     * @private
+     * @param {Array<number>} embedding - Вектор
+     * @returns {void}
+     * @throws {Error} - Если вектор некорректен
+     */
+    _validateEmbedding(embedding) {
+        const dimension = this.config.vectorStore.embeddingDimension;
+        
+        if (!Array.isArray(embedding) || embedding.length !== dimension) {
+            throw new Error(`Embedding dimension ${Array.isArray(embedding) ? embedding.length : typeof embedding} does not match embeddingDimension ${dimension}`);
+        }
+        
+        if (!embedding.every(Number.isFinite)) {
+            throw new Error('Embedding must contain only finite numbers');
+        }
+    }
+    
+    /**
+     * Преобразует вектор в текстовое представление pgvector ([1,2,3])
+     * 
+     * @private
+     * @param {Array<number>} embedding - Вектор
+     * @returns {string}
+     */
+    _toVectorLiteral(embedding) {
+        return `[${embedding.join(',')}]`;
+    }
+    
+    /**
+     * Преобразует значение поля в параметр запроса и его плейсхолдер
+     * 
+     * @private
+     * @param {Object} field - Поле схемы
+     * @param {*} value - Значение
+     * @param {Array} values - Параметры запроса (дополняются значением)
+     * @returns {string} - Плейсхолдер
+     */
+    _toSqlParameter(field, value, values) {
+        if (field.type === 'vector') {
+            values.push(value === null ? null : this._toVectorLiteral(value));
+            return `$${values.length}::vector`;
+        }
+        
+        if (field.type === 'jsonb') {
+            values.push(value === null ? null : JSON.stringify(value));
+            return `$${values.length}::jsonb`;
+        }
+        
+        values.push(value);
+        return `$${values.length}`;
+    }
+    
+    /**
+     * Сохраняет строки в PostgreSQL многострочными INSERT ... ON CONFLICT
+     * 
+     * @private
+     * @param {Object} schema - Схема
+     * @param {Array<Object>} rows - Строки
      * @returns {Promise<void>}
      */
-    async _storeItemInPostgres(tableName, item) {
+    async _upsertRowsInPostgres(schema, rows) {
+        if (rows.length === 0) {
+            return;
+        }
+        
+        // Строки с разным набором полей пишутся разными запросами,
+        // чтобы при обновлении не затирать отсутствующие поля значением NULL
+        const groups = new Map();
+        for (const row of rows) {
+            const columns = schema.fields.map(f => f.name).filter(name => name in row);
+            const key = columns.join(',');
+            
+            if (!groups.has(key)) {
+                groups.set(key, { columns, rows: [] });
+            }
+            groups.get(key).rows.push(row);
+        }
+        
         const client = await this.store.connect();
         
         try {
-            // Подготавливаем поля и значения
-            const fields = Object.keys(item);
-            const values = Object.values(item);
+            await client.query('BEGIN');
             
-            // Для векторных полей нужна специальная обработка
-            const placeholders = fields.map((field, index) => {
-                if (field === 'embedding' && Array.isArray(item[field])) {
-                    return `$${index + 1}::vector`;
+            for (const { columns, rows: groupRows } of groups.values()) {
+                const fields = columns.map(name => schema.fields.find(f => f.name === name));
+                const rowsPerQuery = Math.max(1, Math.min(
+                    this.config.vectorStore.batchSize,
+                    Math.floor(MAX_QUERY_PARAMETERS / columns.length)
+                ));
+                const updates = columns
+                    .filter(name => name !== 'id')
+                    .map(name => `${name} = EXCLUDED.${name}`);
+                
+                for (let i = 0; i < groupRows.length; i += rowsPerQuery) {
+                    const values = [];
+                    const tuples = groupRows.slice(i, i + rowsPerQuery).map(row =>
+                        `(${fields.map(field => this._toSqlParameter(field, row[field.name], values)).join(', ')})`
+                    );
+                    
+                    await client.query(`
+                        INSERT INTO ${schema.name} (${columns.join(', ')})
+                        VALUES ${tuples.join(', ')}
+                        ON CONFLICT (id) DO ${updates.length > 0 ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}
+                    `, values);
                 }
-                return `$${index + 1}`;
-            });
-            
-            // Формируем SQL запрос
-            const sql = `
-                INSERT INTO ${tableName} (${fields.join(', ')})
-                VALUES (${placeholders.join(', ')})
-                ON CONFLICT (id) DO UPDATE
-                SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')}
-            `;
+            }
             
-            await client.query(sql, values);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
         } finally {
             client.release();
         }
@@ -441,44 +861,41 @@ class VectorStore {
      * @private
      * @param {string} tableName - Имя таблицы
      * @param {Object} item - Элемент для сохранения
-     * @returns {Promise<void>}
+     * @returns {void}
      */
-    async _storeItemInMemory(tableName, item) {
-        // Копируем элемент, чтобы избежать изменений исходного объекта
-        const itemCopy = { ...item };
+    _storeItemInMemory(tableName, item) {
+        const table = this.store[tableName];
         
-        // Ищем существующий элемент с таким же ID
-        const existingIndex = this.store[tableName].items.findIndex(i => i.id === item.id);
+        // Ищем существующий элемент с таким же ID; как и ON CONFLICT в PostgreSQL,
+        // обновление меняет только переданные поля
+        const existingIndex = table.items.findIndex(i => i.id === item.id);
+        const oldItem = existingIndex >= 0 ? table.items[existingIndex] : null;
+        const itemCopy = { ...oldItem, ...item };
         
-        if (existingIndex >= 0) {
+        if (oldItem) {
             // Обновляем существующий элемент
-            this.store[tableName].items[existingIndex] = itemCopy;
+            table.items[existingIndex] = itemCopy;
         } else {
             // Добавляем новый элемент
-            this.store[tableName].items.push(itemCopy);
+            table.items.push(itemCopy);
         }
         
         // Обновляем индексы
-        for (const [fieldName, indexMap] of Object.entries(this.store[tableName].indices)) {
+        for (const [fieldName, indexMap] of Object.entries(table.indices)) {
             // Удаляем старые записи из индекса
-            if (existingIndex >= 0) {
-                const oldItem = this.store[tableName].items[existingIndex];
+            if (oldItem && oldItem[fieldName] !== undefined) {
                 const oldValue = oldItem[fieldName];
+                const newItems = (indexMap.get(oldValue) || []).filter(id => id !== item.id);
                 
-                if (oldValue !== undefined) {
-                    const itemsWithValue = indexMap.get(oldValue) || [];
-                    const newItems = itemsWithValue.filter(id => id !== item.id);
-                    
-                    if (newItems.length > 0) {
-                        indexMap.set(oldValue, newItems);
-                    } else {
-                        indexMap.delete(oldValue);
-                    }
+                if (newItems.length > 0) {
+                    indexMap.set(oldValue, newItems);
+                } else {
+                    indexMap.delete(oldValue);
                 }
             }
             
             // Добавляем новые записи в индекс
-            const value = item[fieldName];
+            const value = itemCopy[fieldName];
             
             if (value !== undefined) {
                 const itemsWithValue = indexMap.get(value) || [];
@@ -510,24 +927,31 @@ class VectorStore {
             const {
                 limit = 10,
                 minSimilarity = 0.7,
-                filter = {},
                 includeEmbedding = false
             } = options;
             
+            this._validateEmbedding(embedding);
+            
+            // Сравниваются только векторы текущей модели эмбеддингов
+            const filter = this.config.vectorStore.embeddingModel
+                ? { ...options.filter, embedding_model: this.config.vectorStore.embeddingModel }
+                : { ...options.filter };
+            const conditions = compileFilter(schema, filter);
+            
             // Ищем в зависимости от типа хранилища
             let results;
             if (this.config.vectorStore.type === 'pg') {
-                results = await this._findSimilarInPostgres(schema.name, embedding, {
+                results = await this._findSimilarInPostgres(schema, embedding, {
                     limit,
                     minSimilarity,
-                    filter,
+                    conditions,
                     includeEmbedding
                 });
             } else if (this.config.vectorStore.type === 'memory') {
                 results = await this._findSimilarInMemory(schema.name, embedding, {
                     limit,
                     minSimilarity,
-                    filter,
+                    conditions,
                     includeEmbedding
                 });
             }
@@ -547,69 +971,92 @@ class VectorStore {
     
     /**
      * Находит похожие элементы в PostgreSQL
+     * Сортировка по расстоянию (<=>) позволяет использовать векторный индекс,
+     * все значения передаются параметрами запроса
      * 
      * @private
-     * @param {string} tableName - Имя таблицы
+     * @param {Object} schema - Схема
      * @param {Array} embedding - Вектор эмбеддинга
      * @param {Object} options - Опции поиска
      * @returns {Promise<Array>} - Массив похожих элементов
      */
-    async _findSimilarInPostgres(tableName, embedding, options) {
+    async _findSimilarInPostgres(schema, embedding, options) {
         const {
             limit,
             minSimilarity,
-            filter,
+            conditions,
             includeEmbedding
         } = options;
         
+        // Первое значение - сам вектор
+        const values = [this._toVectorLiteral(embedding)];
+        const where = ['embedding IS NOT NULL', ...toSqlConditions(conditions, values)];
+        
+        // Минимальное сходство задается через максимальное косинусное расстояние
+        values.push(1 - minSimilarity);
+        where.push(`embedding <=> $1::vector <= $${values.length}`);
+        values.push(limit);
+        
+        const sql = `
+            SELECT ${this._getSelectedFields(schema, includeEmbedding)}, 1 - (embedding <=> $1::vector) AS similarity
+            FROM ${schema.name}
+            WHERE ${where.join(' AND ')}
+            ORDER BY embedding <=> $1::vector
+            LIMIT $${values.length}
+        `;
+        
         const client = await this.store.connect();
         
         try {
-            // Создаем условия фильтрации
-            const conditions = [];
-            const values = [embedding]; // Первое значение - сам вектор
-            let valueCounter = 1;
+            await client.query('BEGIN');
             
-            for (const [field, value] of Object.entries(filter)) {
-                valueCounter++;
-                conditions.push(`${field} = $${valueCounter}`);
-                values.push(value);
+            for (const setting of this._getSearchSettings()) {
+                await client.query(setting);
             }
             
-            // Добавляем условие минимального сходства
-            conditions.push(`1 - (embedding <=> $1) >= ${minSimilarity}`);
-            
-            // Формируем часть WHERE
-            const whereClause = conditions.length > 0 
-                ? `WHERE ${conditions.join(' AND ')}` 
-                : '';
-                
-            // Выбираем поля, исключая embedding, если не требуется
-            const schema = SCHEMAS[tableName.includes('_') ? tableName.split('_').join('') : tableName];
-            const selectedFields = schema.fields
-                .filter(f => includeEmbedding || f.name !== 'embedding')
-                .map(f => f.name)
-                .join(', ');
-                
-            // Добавляем сходство как отдельное поле
-            const selectedFieldsWithSimilarity = `${selectedFields}, 1 - (embedding <=> $1) as similarity`;
-            
-            // Формируем SQL запрос
-            const sql = `
-                SELECT ${selectedFieldsWithSimilarity}
-                FROM ${tableName}
-                ${whereClause}
-                ORDER BY similarity DESC
-                LIMIT ${limit}
-            `;
-            
             const result = await client.query(sql, values);
-            return result.rows;
+            await client.query('COMMIT');
+            
+            return result.rows.map(row => this._fromPostgresRow(row));
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
         } finally {
             client.release();
         }
     }
     
+    /**
+     * Возвращает список выбираемых колонок схемы
+     * 
+     * @private
+     * @param {Object} schema - Схема
+     * @param {boolean} includeEmbedding - Включать ли вектор
+     * @returns {string}
+     */
+    _getSelectedFields(schema, includeEmbedding) {
+        return schema.fields
+            .filter(f => includeEmbedding || f.type !== 'vector')
+            .map(f => f.name)
+            .join(', ');
+    }
+    
+    /**
+     * Приводит строку PostgreSQL к виду элементов in-memory хранилища
+     * 
+     * @private
+     * @param {Object} row - Строка результата
+     * @returns {Object} - Элемент
+     */
+    _fromPostgresRow(row) {
+        // pgvector возвращает вектор строкой [1,2,3]
+        if (typeof row.embedding === 'string') {
+            return { ...row, embedding: JSON.parse(row.embedding) };
+        }
+        
+        return row;
+    }
+    
     /**
      * Находит похожие элементы в in-memory хранилище
      * 
@@ -623,27 +1070,17 @@ class VectorStore {
         const {
             limit,
             minSimilarity,
-            filter,
+            conditions,
             includeEmbedding
         } = options;
         
-        // Фильтруем элементы по заданным критериям
-        let filteredItems = [...this.store[tableName].items];
-        
-        for (const [field, value] of Object.entries(filter)) {
-            filteredItems = filteredItems.filter(item => item[field] === value);
-        }
-        
-        // Вычисляем сходство для каждого элемента
-        const itemsWithSimilarity = filteredItems.map(item => {
-            // Если у элемента нет эмбеддинга, устанавливаем сходство 0
-            if (!item.embedding) {
-                return { ...item, similarity: 0 };
-            }
-            
-            const similarity = this._calculateCosineSimilarity(embedding, item.embedding);
-            return { ...item, similarity };
-        });
+        // Как и в PostgreSQL, элементы без вектора не участвуют в поиске
+        const itemsWithSimilarity = this.store[tableName].items
+            .filter(item => item.embedding && matchesConditions(item, conditions))
+            .map(item => ({ 
+                ...item, 
+                similarity: this._calculateCosineSimilarity(embedding, item.embedding) 
+            }));
         
         // Фильтруем по минимальному сходству
         const similarItems = itemsWithSimilarity.filter(item => item.similarity >= minSimilarity);
@@ -766,7 +1203,7 @@ class VectorStore {
                 [id]
             );
             
-            return result.rows.length > 0 ? result.rows[0] : null;
+            return result.rows.length > 0 ? this._fromPostgresRow(result.rows[0]) : null;
         } finally {
             client.release();
         }
@@ -914,21 +1351,23 @@ class VectorStore {
             const {
                 limit = 100,
                 offset = 0,
-                orderBy = { field: 'created_at', direction: 'desc' },
                 includeEmbedding = false
             } = options;
             
+            const conditions = compileFilter(schema, criteria);
+            const orderBy = this._resolveOrderBy(schema, options.orderBy);
+            
             // Ищем в зависимости от типа хранилища
             let results;
             if (this.config.vectorStore.type === 'pg') {
-                results = await this._findItemsInPostgres(schema.name, criteria, {
+                results = await this._findItemsInPostgres(schema, conditions, {
                     limit,
                     offset,
                     orderBy,
                     includeEmbedding
                 });
             } else if (this.config.vectorStore.type === 'memory') {
-                results = await this._findItemsInMemory(schema.name, criteria, {
+                results = await this._findItemsInMemory(schema.name, conditions, {
                     limit,
                     offset,
                     orderBy,
@@ -950,16 +1389,40 @@ class VectorStore {
         }
     }
     
+    /**
+     * Проверяет сортировку: поле должно быть в схеме, направление - asc или desc
+     * 
+     * @private
+     * @param {Object} schema - Схема
+     * @param {Object} [orderBy] - { field, direction }
+     * @returns {Object} - { field, direction }
+     * @throws {Error} - Если сортировка некорректна
+     */
+    _resolveOrderBy(schema, orderBy = { field: 'created_at', direction: 'desc' }) {
+        const field = schema.fields.find(f => f.name === orderBy.field);
+        const direction = String(orderBy.direction || 'asc').toLowerCase();
+        
+        if (!field || ['vector', 'jsonb', 'string[]'].includes(field.type)) {
+            throw new Error(`Invalid sort field for ${schema.name}: ${orderBy.field}`);
+        }
+        
+        if (!['asc', 'desc'].includes(direction)) {
+            throw new Error(`Invalid sort direction: ${orderBy.direction}`);
+        }
+        
+        return { field: field.name, direction };
+    }
+    
     /**
      * Находит элементы в PostgreSQL
      * 
      * @private
-     * @param {string} tableName - Имя таблицы
-     * @param {Object} criteria - Критерии поиска
+     * @param {Object} schema - Схема
+     * @param {Array<Object>} conditions - Условия фильтра
      * @param {Object} options - Опции поиска
      * @returns {Promise<Array>} - Массив найденных элементов
      */
-    async _findItemsInPostgres(tableName, criteria, options) {
+    async _findItemsInPostgres(schema, conditions, options) {
         const {
             limit,
             offset,
@@ -967,44 +1430,26 @@ class VectorStore {
             includeEmbedding
         } = options;
         
+        const values = [];
+        const where = toSqlConditions(conditions, values);
+        const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+        
+        values.push(limit, offset);
+        
+        const sql = `
+            SELECT ${this._getSelectedFields(schema, includeEmbedding)}
+            FROM ${schema.name}
+            ${whereClause}
+            ORDER BY ${orderBy.field} ${orderBy.direction.toUpperCase()} NULLS LAST
+            LIMIT $${values.length - 1}
+            OFFSET $${values.length}
+        `;
+        
         const client = await this.store.connect();
         
         try {
-            // Создаем условия фильтрации
-            const conditions = [];
-            const values = [];
-            let valueCounter = 0;
-            
-            for (const [field, value] of Object.entries(criteria)) {
-                valueCounter++;
-                conditions.push(`${field} = $${valueCounter}`);
-                values.push(value);
-            }
-            
-            // Формируем часть WHERE
-            const whereClause = conditions.length > 0 
-                ? `WHERE ${conditions.join(' AND ')}` 
-                : '';
-                
-            // Выбираем поля, исключая embedding, если не требуется
-            const schema = SCHEMAS[tableName.includes('_') ? tableName.split('_').join('') : tableName];
-            const selectedFields = schema.fields
-                .filter(f => includeEmbedding || f.name !== 'embedding')
-                .map(f => f.name)
-                .join(', ');
-                
-            // Формируем SQL запрос
-            const sql = `
-                SELECT ${selectedFields}
-                FROM ${tableName}
-                ${whereClause}
-                ORDER BY ${orderBy.field} ${orderBy.direction.toUpperCase()}
-                LIMIT ${limit}
-                OFFSET ${offset}
-            `;
-            
             const result = await client.query(sql, values);
-            return result.rows;
+            return result.rows.map(row => this._fromPostgresRow(row));
         } finally {
             client.release();
         }
@@ -1015,11 +1460,11 @@ class VectorStore {
      * 
      * @private
      * @param {string} tableName - Имя таблицы
-     * @param {Object} criteria - Критерии поиска
+     * @param {Array<Object>} conditions - Условия фильтра
      * @param {Object} options - Опции поиска
      * @returns {Promise<Array>} - Массив найденных элементов
      */
-    async _findItemsInMemory(tableName, criteria, options) {
+    async _findItemsInMemory(tableName, conditions, options) {
         const {
             limit,
             offset,
@@ -1027,24 +1472,21 @@ class VectorStore {
             includeEmbedding
         } = options;
         
-        // Фильтруем элементы по заданным критериям
-        let filteredItems = [...this.store[tableName].items];
-        
-        for (const [field, value] of Object.entries(criteria)) {
-            filteredItems = filteredItems.filter(item => item[field] === value);
-        }
+        const filteredItems = this.store[tableName].items.filter(item => matchesConditions(item, conditions));
         
-        // Сортируем элементы
+        // Сортируем элементы; пустые значения, как NULLS LAST в PostgreSQL, идут в конце
         filteredItems.sort((a, b) => {
             const fieldA = a[orderBy.field];
             const fieldB = b[orderBy.field];
+            const missingA = fieldA === undefined || fieldA === null;
+            const missingB = fieldB === undefined || fieldB === null;
             
-            if (fieldA === undefined || fieldB === undefined) {
-                return 0;
+            if (missingA || missingB) {
+                return missingA - missingB;
             }
             
             const comparison = fieldA > fieldB ? 1 : (fieldA < fieldB ? -1 : 0);
-            return orderBy.direction.toLowerCase() === 'asc' ? comparison : -comparison;
+            return orderBy.direction === 'asc' ? comparison : -comparison;
         });
         
         // Применяем пагинацию
@@ -1083,6 +1525,125 @@ class VectorStore {
         logger.debug('Query cache cleared');
     }
     
+    /**
+     * Пересоздает эмбеддинги элементов, векторы которых созданы другой моделью
+     * (или до версионирования по модели). Текст для эмбеддинга собирается из полей
+     * embeddingSource схемы
+     * 
+     * @param {string} schemaName - Имя схемы
+     * @param {Function} embedText - async (text) => embedding, функция текущей модели
+     * @param {Object} options - Опции
+     * @param {number} options.batchSize - Количество элементов, загружаемых за один запрос
+     * @returns {Promise<number>} - Количество обновленных элементов
+     */
+    async reembedStaleItems(schemaName, embedText, options = {}) {
+        if (!this.isInitialized) {
+            await this.initialize();
+        }
+        
+        const schema = SCHEMAS[schemaName];
+        if (!schema) {
+            throw new Error(`Unknown schema: ${schemaName}`);
+        }
+        
+        const model = this.config.vectorStore.embeddingModel;
+        const batchSize = options.batchSize || 100;
+        let updated = 0;
+        
+        if (!model || !schema.embeddingSource) {
+            return 0;
+        }
+        
+        // Обновленные элементы перестают быть устаревшими, поэтому каждый раз берется первая партия
+        for (;;) {
+            const items = this.config.vectorStore.type === 'pg'
+                ? await this._getStaleItemsFromPostgres(schema, model, batchSize)
+                : this.store[schema.name].items
+                    .filter(item => item.embedding_model !== model)
+                    .slice(0, batchSize);
+            
+            if (items.length === 0) {
+                break;
+            }
+            
+            for (const item of items) {
+                const text = schema.embeddingSource
+                    .map(field => item[field])
+                    .filter(Boolean)
+                    .join('\n');
+                const embedding = await embedText(text);
+                this._validateEmbedding(embedding);
+                
+                if (this.config.vectorStore.type === 'pg') {
+                    await this._updateEmbeddingInPostgres(schema.name, item.id, embedding, model);
+                } else {
+                    item.embedding = embedding;
+                    item.embedding_model = model;
+                }
+                
+                this.queryCache.delete(`${schemaName}:${item.id}`);
+                updated++;
+            }
+            
+            this.metrics.updates += items.length;
+        }
+        
+        if (updated > 0) {
+            logger.info(`Re-embedded ${updated} items of ${schemaName} with ${model}`);
+        }
+        
+        return updated;
+    }
+    
+    /**
+     * Загружает элементы, векторы которых созданы другой моделью, из PostgreSQL
+     * 
+     * @private
+     * @param {Object} schema - Схема
+     * @param {string} model - Текущая модель эмбеддингов
+     * @param {number} limit - Максимальное количество элементов
+     * @returns {Promise<Array>} - Элементы (id и поля embeddingSource)
+     */
+    async _getStaleItemsFromPostgres(schema, model, limit) {
+        const client = await this.store.connect();
+        
+        try {
+            const result = await client.query(
+                `SELECT id, ${schema.embeddingSource.join(', ')} FROM ${schema.name}
+                 WHERE embedding_model IS DISTINCT FROM $1
+                 LIMIT $2`,
+                [model, limit]
+            );
+            
+            return result.rows;
+        } finally {
+            client.release();
+        }
+    }
+    
+    /**
+     * Обновляет эмбеддинг элемента в PostgreSQL
+     * 
+     * @private
+     * @param {string} tableName - Имя таблицы
+     * @param {string} id - ID элемента
+     * @param {Array} embedding - Новый вектор
+     * @param {string} model - Модель эмбеддингов
+     * @returns {Promise<void>}
+     */
+    async _updateEmbeddingInPostgres(tableName, id, embedding, model) {
+        const client = await this.store.connect();
+        
+        try {
+            await client.query(
+                `UPDATE ${tableName} SET embedding = $1::vector, embedding_model = $2 WHERE id = $3`,
+                [this._toVectorLiteral(embedding), model, id]
+            );
+        } finally {
+            client.release();
+        }
+    }
+    
     /**
      * Получает статистику хранилища
      * 
@@ -1096,6 +1657,9 @@ class VectorStore {
         try {
             let stats = {
                 metrics: { ...this.metrics },
+                embeddingDimension: this.config.vectorStore.embeddingDimension,
+                embeddingModel: this.config.vectorStore.embeddingModel,
+                index: this.config.vectorStore.type === 'pg' ? (this._getIndexDefinition() || { type: 'none' }) : null,
                 schemas: {}
             };
             
@@ -1140,6 +1704,7 @@ function getVectorStore(options = {}) {
 }
 
 module.exports = {
+    VectorStore,
     getVectorStore,
     SCHEMAS
 };
\ No newline at end of file
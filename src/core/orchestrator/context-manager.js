@@ -216,6 +216,38 @@ class ContextManager {
     return context;
   }
 
+  /**
+   * Добавляет произвольную запись в историю выполнения задачи.
+   * Используется шагами, которые выполняются итеративно, чтобы каждая итерация
+   * была видна в истории, а не только итоговый результат шага.
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {string} state - Состояние, к которому относится запись.
+   * @param {string} message - Описание записи.
+   * @param {Object} [details={}] - Дополнительные данные записи.
+   * @returns {Promise<Object>} - Обновленный контекст.
+   */
+  async addHistoryEntry(taskId, state, message, details = {}) {
+    logger.debug(`Adding history entry for task ${taskId}: ${message}`);
+    
+    // Получаем текущий контекст
+    const context = await this.getContext(taskId);
+    
+    context.history.push({
+      timestamp: new Date(),
+      state,
+      message,
+      details
+    });
+    
+    // Обновляем timestamp
+    context.updatedAt = new Date();
+    
+    // Сохраняем обновленный контекст
+    await this._saveContext(taskId, context);
+    
+    return context;
+  }
+
   /**
    * Обновляет состояние задачи в контексте.
    * @param {string} taskId - Идентификатор задачи.
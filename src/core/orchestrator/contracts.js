@@ -83,10 +83,18 @@ const BaseStepResultSchema = {
   }
 };
 
+/**
+ * Общие определения, на которые ссылаются схемы результатов шагов через $ref.
+ */
+const STEP_RESULT_DEFINITIONS = {
+  BaseStepResult: BaseStepResultSchema
+};
+
 /**
  * JSON Schema для результата выполнения шага понимания задачи.
  */
 const TaskUnderstandingResultSchema = {
+  definitions: STEP_RESULT_DEFINITIONS,
   allOf: [
     { $ref: '#/definitions/BaseStepResult' },
     {
@@ -137,6 +145,7 @@ const TaskUnderstandingResultSchema = {
  * JSON Schema для результата выполнения шага анализа контекста проекта.
  */
 const ProjectUnderstandingResultSchema = {
+  definitions: STEP_RESULT_DEFINITIONS,
   allOf: [
     { $ref: '#/definitions/BaseStepResult' },
     {
@@ -214,6 +223,7 @@ const ProjectUnderstandingResultSchema = {
  * JSON Schema для результата выполнения шага планирования задачи.
  */
 const TaskPlannerResultSchema = {
+  definitions: STEP_RESULT_DEFINITIONS,
   allOf: [
     { $ref: '#/definitions/BaseStepResult' },
     {
@@ -271,6 +281,7 @@ const TaskPlannerResultSchema = {
  * JSON Schema для результата выполнения шага выбора технологий.
  */
 const TechnologySuggesterResultSchema = {
+  definitions: STEP_RESULT_DEFINITIONS,
   allOf: [
     { $ref: '#/definitions/BaseStepResult' },
     {
@@ -351,6 +362,7 @@ const TechnologySuggesterResultSchema = {
  * JSON Schema для результата выполнения шага генерации кода.
  */
 const CodeGeneratorResultSchema = {
+  definitions: STEP_RESULT_DEFINITIONS,
   allOf: [
     { $ref: '#/definitions/BaseStepResult' },
     {
@@ -387,6 +399,401 @@ const CodeGeneratorResultSchema = {
   ]
 };
 
+/**
+ * JSON Schema для результата выполнения шага итеративного уточнения кода.
+ */
+const CodeRefinerResultSchema = {
+  definitions: STEP_RESULT_DEFINITIONS,
+  allOf: [
+    { $ref: '#/definitions/BaseStepResult' },
+    {
+      type: 'object',
+      required: ['generatedFiles', 'refinements'],
+      properties: {
+        generatedFiles: CodeGeneratorResultSchema.allOf[1].properties.generatedFiles,
+        refinements: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['path', 'iterations'],
+            properties: {
+              path: { type: 'string' },
+              iterations: { type: 'number' },
+              refined: { type: 'boolean' },
+              valid: { type: 'boolean' },
+              issues: {
+                type: 'array',
+                items: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    }
+  ]
+};
+
+/**
+ * JSON Schema для проблемы, найденной при ревью кода.
+ */
+const ReviewIssueSchema = {
+  type: 'object',
+  required: ['message', 'severity'],
+  properties: {
+    path: { type: 'string' },
+    type: { type: 'string' },
+    severity: { type: 'string', enum: ['critical', 'high', 'medium', 'low', 'info'] },
+    message: { type: 'string' },
+    location: {}
+  }
+};
+
+/**
+ * JSON Schema для результата выполнения шага саморефлексии и ревью кода.
+ */
+const SelfReflectionResultSchema = {
+  definitions: STEP_RESULT_DEFINITIONS,
+  allOf: [
+    { $ref: '#/definitions/BaseStepResult' },
+    {
+      type: 'object',
+      required: ['score', 'iteration', 'reviews'],
+      properties: {
+        score: { type: 'number', minimum: 0, maximum: 1 },
+        iteration: { type: 'number' },
+        issuesFound: { type: 'boolean' },
+        errorsFound: { type: 'boolean' },
+        issues: {
+          type: 'array',
+          items: ReviewIssueSchema
+        },
+        reviews: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['path', 'score'],
+            properties: {
+              path: { type: 'string' },
+              score: { type: 'number' },
+              passed: { type: 'boolean' },
+              summary: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  ]
+};
+
+/**
+ * JSON Schema для результата выполнения шага исправления ошибок.
+ */
+const ErrorCorrectorResultSchema = {
+  definitions: STEP_RESULT_DEFINITIONS,
+  allOf: [
+    { $ref: '#/definitions/BaseStepResult' },
+    {
+      type: 'object',
+      required: ['corrections', 'generatedFiles'],
+      properties: {
+        generatedFiles: CodeGeneratorResultSchema.allOf[1].properties.generatedFiles,
+        corrections: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['path', 'applied'],
+            properties: {
+              path: { type: 'string' },
+              applied: { type: 'boolean' },
+              issues: { type: 'number' },
+              changedLines: { type: 'number' },
+              errorType: { type: 'string' },
+              message: { type: 'string' }
+            }
+          }
+        },
+        significantChanges: { type: 'boolean' },
+        needsReview: { type: 'boolean' }
+      }
+    }
+  ]
+};
+
+/**
+ * JSON Schema для результата выполнения шага генерации тестов.
+ */
+const TestGeneratorResultSchema = {
+  definitions: STEP_RESULT_DEFINITIONS,
+  allOf: [
+    { $ref: '#/definitions/BaseStepResult' },
+    {
+      type: 'object',
+      required: ['tests', 'framework'],
+      properties: {
+        framework: { type: 'string' },
+        tests: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['path', 'sourcePath'],
+            properties: {
+              path: { type: 'string' },
+              sourcePath: { type: 'string' },
+              content: { type: 'string' },
+              framework: { type: 'string' },
+              generationId: { type: 'number' }
+            }
+          }
+        }
+      }
+    }
+  ]
+};
+
+/**
+ * JSON Schema для сводки покрытия кода тестами.
+ */
+const CoverageSummarySchema = {
+  type: ['object', 'null'],
+  properties: {
+    lines: { type: 'object' },
+    statements: { type: 'object' },
+    functions: { type: 'object' },
+    branches: { type: 'object' },
+    files: { type: 'array' }
+  }
+};
+
+/**
+ * JSON Schema для результата выполнения шага запуска кода и тестов.
+ */
+const CodeExecutorResultSchema = {
+  definitions: STEP_RESULT_DEFINITIONS,
+  allOf: [
+    { $ref: '#/definitions/BaseStepResult' },
+    {
+      type: 'object',
+      required: ['testsPassed', 'execution'],
+      properties: {
+        testsPassed: { type: 'boolean' },
+        execution: {
+          type: 'object',
+          properties: {
+            command: { type: 'string' },
+            exitCode: { type: ['number', 'null'] },
+            executionTime: { type: 'number' },
+            stdout: { type: 'string' },
+            stderr: { type: 'string' },
+            error: { type: 'string' }
+          }
+        },
+        testResults: {
+          type: 'object',
+          properties: {
+            total: { type: 'number' },
+            passed: { type: 'number' },
+            failed: { type: 'number' },
+            files: { type: 'array' }
+          }
+        },
+        coverage: CoverageSummarySchema
+      }
+    }
+  ]
+};
+
+/**
+ * JSON Schema для результата выполнения шага анализа результатов тестов.
+ */
+const TestAnalyzerResultSchema = {
+  definitions: STEP_RESULT_DEFINITIONS,
+  allOf: [
+    { $ref: '#/definitions/BaseStepResult' },
+    {
+      type: 'object',
+      required: ['gatesPassed', 'gates', 'failures'],
+      properties: {
+        gatesPassed: { type: 'boolean' },
+        gates: {
+          type: 'object',
+          properties: {
+            passRate: {
+              type: 'object',
+              properties: {
+                required: { type: 'number' },
+                actual: { type: 'number' },
+                passed: { type: 'boolean' }
+              }
+            },
+            coverage: {
+              type: 'object',
+              properties: {
+                required: { type: 'number' },
+                actual: { type: ['number', 'null'] },
+                passed: { type: 'boolean' }
+              }
+            }
+          }
+        },
+        failedTests: { type: 'number' },
+        errorsFound: { type: 'boolean' },
+        failures: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['testPath', 'message'],
+            properties: {
+              testPath: { type: 'string' },
+              sourcePath: { type: ['string', 'null'] },
+              message: { type: 'string' },
+              errorType: { type: 'string' },
+              severity: { type: 'string' },
+              recommendations: { type: 'array' }
+            }
+          }
+        },
+        coverage: {
+          type: ['object', 'null'],
+          properties: {
+            summary: { type: 'object' },
+            lowCoverageFiles: { type: 'array' },
+            recommendations: { type: 'array' }
+          }
+        },
+        iteration: { type: 'number' }
+      }
+    }
+  ]
+};
+
+/**
+ * JSON Schema для результата выполнения шага обновления документации.
+ */
+const DocumentationUpdaterResultSchema = {
+  definitions: STEP_RESULT_DEFINITIONS,
+  allOf: [
+    { $ref: '#/definitions/BaseStepResult' },
+    {
+      type: 'object',
+      required: ['documentedFiles'],
+      properties: {
+        documentedFiles: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        savedFiles: {
+          type: 'array',
+          items: { type: 'string' }
+        },
+        failedFiles: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              file: { type: 'string' },
+              error: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  ]
+};
+
+/**
+ * JSON Schema для результата выполнения шага обучения системы.
+ */
+const LearningSystemResultSchema = {
+  definitions: STEP_RESULT_DEFINITIONS,
+  allOf: [
+    { $ref: '#/definitions/BaseStepResult' },
+    {
+      type: 'object',
+      required: ['solutionStored'],
+      properties: {
+        solutionStored: { type: 'boolean' },
+        solutionId: { type: ['string', 'null'] },
+        successRating: { type: 'number', minimum: 0, maximum: 1 },
+        lessonsStored: { type: 'number' },
+        analysis: { type: ['object', 'null'] }
+      }
+    }
+  ]
+};
+
+/**
+ * JSON Schema для комментария ревью к Pull Request.
+ */
+const ReviewCommentSchema = {
+  type: 'object',
+  required: ['body'],
+  properties: {
+    id: { type: ['string', 'number'] },
+    author: { type: 'string' },
+    body: { type: 'string' },
+    path: { type: ['string', 'null'] },
+    line: { type: ['number', 'null'] }
+  }
+};
+
+/**
+ * JSON Schema для результата выполнения шага подготовки Pull Request.
+ */
+const PRManagerResultSchema = {
+  definitions: STEP_RESULT_DEFINITIONS,
+  allOf: [
+    { $ref: '#/definitions/BaseStepResult' },
+    {
+      type: 'object',
+      required: ['prCreated', 'pullRequest'],
+      properties: {
+        prCreated: { type: 'boolean' },
+        prUpdated: { type: 'boolean' },
+        merged: { type: 'boolean' },
+        waitForReview: { type: 'boolean' },
+        pullRequest: {
+          type: 'object',
+          properties: {
+            id: { type: ['string', 'number'] },
+            number: { type: ['string', 'number'] },
+            url: { type: ['string', 'null'] },
+            baseBranch: { type: 'string' },
+            headBranch: { type: 'string' }
+          }
+        },
+        reviewComments: {
+          type: 'array',
+          items: ReviewCommentSchema
+        },
+        checklist: { type: ['object', 'null'] }
+      }
+    }
+  ]
+};
+
+/**
+ * JSON Schema для результата выполнения шага интеграции обратной связи.
+ */
+const FeedbackIntegratorResultSchema = {
+  definitions: STEP_RESULT_DEFINITIONS,
+  allOf: [
+    { $ref: '#/definitions/BaseStepResult' },
+    {
+      type: 'object',
+      required: ['processedComments', 'changes'],
+      properties: {
+        processedComments: { type: 'number' },
+        changes: {
+          type: 'array',
+          items: ReviewIssueSchema
+        },
+        requiresCodeChanges: { type: 'boolean' },
+        requiresPrUpdate: { type: 'boolean' }
+      }
+    }
+  ]
+};
+
 /**
  * JSON Schema для входных данных шага.
  */
@@ -428,6 +835,114 @@ const StepMetadataSchema = {
   }
 };
 
+/**
+ * JSON Schema для декларативного описания процесса выполнения задачи (workflow).
+ * Шаги перечисляются в порядке выполнения; переходы проверяются по порядку,
+ * и если ни один не подошел, выполняется переход к next или к следующему шагу списка.
+ * Цели переходов - имена шагов или специальные значения $complete и $waitForInput.
+ */
+const WorkflowDefinitionSchema = {
+  type: 'object',
+  required: ['id', 'version', 'steps'],
+  definitions: {
+    condition: {
+      oneOf: [
+        // Именованное условие, вычисляемое TransitionManager (например, reviewFailed)
+        { type: 'string', minLength: 1 },
+        // Условие на значение поля контекста задачи (например, task.type)
+        {
+          type: 'object',
+          required: ['field'],
+          properties: {
+            field: { type: 'string', minLength: 1 },
+            equals: {},
+            in: { type: 'array' },
+            notIn: { type: 'array' },
+            exists: { type: 'boolean' }
+          },
+          additionalProperties: false
+        },
+        {
+          type: 'object',
+          required: ['all'],
+          properties: {
+            all: { type: 'array', minItems: 1, items: { $ref: '#/definitions/condition' } }
+          },
+          additionalProperties: false
+        },
+        {
+          type: 'object',
+          required: ['any'],
+          properties: {
+            any: { type: 'array', minItems: 1, items: { $ref: '#/definitions/condition' } }
+          },
+          additionalProperties: false
+        },
+        {
+          type: 'object',
+          required: ['not'],
+          properties: {
+            not: { $ref: '#/definitions/condition' }
+          },
+          additionalProperties: false
+        }
+      ]
+    },
+    transition: {
+      type: 'object',
+      required: ['to'],
+      properties: {
+        to: { type: 'string', minLength: 1 },
+        when: { $ref: '#/definitions/condition' },
+        // Имя цикла из loops, ограничивающего количество таких переходов
+        loop: { type: 'string' },
+        // Шаг, к которому задача вернется после ввода пользователя (для $waitForInput)
+        resume: { type: 'string' },
+        message: { type: 'string' }
+      },
+      additionalProperties: false
+    }
+  },
+  properties: {
+    id: { type: 'string', pattern: '^[a-z0-9][a-z0-9_-]*$' },
+    version: { type: 'integer', minimum: 1 },
+    description: { type: 'string' },
+    loops: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['counter'],
+        properties: {
+          // Способ подсчета итераций цикла
+          counter: { type: 'string', enum: ['review', 'testFix', 'visits'] },
+          maxIterations: { type: 'integer', minimum: 1 }
+        },
+        additionalProperties: false
+      }
+    },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['step'],
+        properties: {
+          step: { type: 'string', minLength: 1 },
+          // Если условие не выполнено, шаг пропускается
+          when: { $ref: '#/definitions/condition' },
+          transitions: {
+            type: 'array',
+            items: { $ref: '#/definitions/transition' }
+          },
+          next: { type: 'string', minLength: 1 }
+        },
+        additionalProperties: false
+      }
+    }
+  },
+  additionalProperties: false
+};
+
 // Объединяем все схемы в один объект для экспорта
 const schemas = {
   ContextSchema,
@@ -438,8 +953,22 @@ const schemas = {
   TaskPlannerResultSchema,
   TechnologySuggesterResultSchema,
   CodeGeneratorResultSchema,
+  CodeRefinerResultSchema,
+  ReviewIssueSchema,
+  SelfReflectionResultSchema,
+  ErrorCorrectorResultSchema,
+  TestGeneratorResultSchema,
+  CoverageSummarySchema,
+  CodeExecutorResultSchema,
+  TestAnalyzerResultSchema,
+  DocumentationUpdaterResultSchema,
+  LearningSystemResultSchema,
+  ReviewCommentSchema,
+  PRManagerResultSchema,
+  FeedbackIntegratorResultSchema,
   StepInputSchema,
-  StepMetadataSchema
+  StepMetadataSchema,
+  WorkflowDefinitionSchema
 };
 
 module.exports = schemas;
\ No newline at end of file
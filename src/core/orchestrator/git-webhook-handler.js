@@ -0,0 +1,576 @@
+/**
+ * @fileoverview Git Webhook Handler принимает вебхуки GitHub и GitLab,
+ * проверяет их подлинность (подпись HMAC-SHA256 GitHub, секретный токен GitLab),
+ * отсеивает повторные доставки и переводит события в действия оркестратора:
+ * новые коммиты в ветке задачи возобновляют задачу, ожидающую шага PR,
+ * комментарии ревью запускают интеграцию обратной связи, слияние PR завершает задачу.
+ * Задача определяется по ветке PR (orchestrator.pullRequests.branchPrefix + ID задачи).
+ */
+
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const appConfig = require('../../config/app.config');
+const { ValidationError, WebhookVerificationError } = require('../../utils/errors');
+const { TASK_STATES } = require('./state-manager');
+
+/**
+ * Поддерживаемые Git-хостинги.
+ */
+const WEBHOOK_PROVIDERS = {
+  GITHUB: 'github',
+  GITLAB: 'gitlab'
+};
+
+/**
+ * Действия оркестратора, в которые переводятся события.
+ */
+const WEBHOOK_ACTIONS = {
+  RESUME_PR: 'resume_pr',                   // Новые коммиты в ветке задачи
+  INTEGRATE_FEEDBACK: 'integrate_feedback', // Новые комментарии ревью
+  COMPLETE: 'complete',                     // PR слит
+  IGNORE: 'ignore'
+};
+
+/**
+ * Статусы обработки доставки (таблица git_webhook_deliveries).
+ */
+const DELIVERY_STATUSES = {
+  RECEIVED: 'received',
+  PROCESSED: 'processed',
+  IGNORED: 'ignored',
+  FAILED: 'failed'
+};
+
+/**
+ * Действия с Pull Request, означающие новые коммиты в ветке.
+ * GitLab (open, reopen, update) приводится к терминам GitHub.
+ */
+const PR_UPDATE_ACTIONS = ['opened', 'reopened', 'synchronize'];
+
+const GITLAB_MR_ACTIONS = {
+  open: 'opened',
+  reopen: 'reopened',
+  update: 'synchronize',
+  merge: 'merged',
+  close: 'closed'
+};
+
+/**
+ * Нулевой коммит в push-событии означает удаление ветки.
+ */
+const ZERO_COMMIT = /^0+$/;
+
+/**
+ * Класс обработки вебхуков Git-хостинга.
+ */
+class GitWebhookHandler {
+  /**
+   * Создает экземпляр GitWebhookHandler.
+   * @param {Object} options - Опции для инициализации.
+   * @param {Object} options.taskOrchestrator - Экземпляр TaskOrchestrator.
+   * @param {Object} [options.db] - Пул соединений с БД для учета доставок.
+   *   Без него повторные доставки не отсеиваются.
+   * @param {Object} [options.secrets] - Секреты вебхуков { githubSecret, gitlabToken }
+   *   (по умолчанию git.webhooks из конфигурации).
+   * @param {string} [options.branchPrefix] - Префикс веток задач
+   *   (по умолчанию orchestrator.pullRequests.branchPrefix).
+   */
+  constructor({ taskOrchestrator, db, secrets, branchPrefix } = {}) {
+    this.taskOrchestrator = taskOrchestrator;
+    this.db = db;
+    this.secrets = { ...appConfig.git.webhooks, ...secrets };
+    this.branchPrefix = branchPrefix || appConfig.orchestrator.pullRequests.branchPrefix;
+  }
+
+  /**
+   * Обрабатывает вебхук: проверяет подлинность, отсеивает повторы и выполняет действие.
+   * @param {Object} request - Запрос вебхука.
+   * @param {Object} request.headers - Заголовки (имена в нижнем регистре).
+   * @param {Buffer|string} request.rawBody - Тело запроса без изменений (для подписи).
+   * @param {Object} [request.payload] - Разобранное тело (по умолчанию JSON из rawBody).
+   * @returns {Promise<Object>} - { status, provider, deliveryId, event, action, taskId, result }.
+   * @throws {WebhookVerificationError} - Подпись или токен не совпадают.
+   * @throws {ValidationError} - Источник или тело вебхука не распознаны.
+   */
+  async handle({ headers, rawBody, payload }) {
+    const provider = this.detectProvider(headers);
+
+    this.verify(provider, headers, rawBody);
+
+    const body = payload || this._parseBody(rawBody, headers['content-type']);
+    const event = this.parseEvent(provider, headers, body);
+    const deliveryId = event.deliveryId || crypto.createHash('sha256').update(rawBody).digest('hex');
+    const action = this.getAction(event);
+    const taskId = this.getTaskIdForBranch(event.branch);
+    const response = { provider, deliveryId, event: event.type, action, taskId };
+
+    if (!(await this._registerDelivery(provider, deliveryId, event, action, taskId))) {
+      logger.info(`Duplicate ${provider} webhook delivery ${deliveryId} skipped`);
+      return { ...response, status: 'duplicate' };
+    }
+
+    try {
+      const result = await this._dispatch(event, action, taskId);
+      const status = result ? DELIVERY_STATUSES.PROCESSED : DELIVERY_STATUSES.IGNORED;
+
+      await this._finishDelivery(provider, deliveryId, status);
+
+      logger.info(`${provider} webhook ${event.type}/${event.action || '-'} (${deliveryId}): ${status}${taskId ? ` for task ${taskId}` : ''}`);
+
+      return { ...response, status, result };
+    } catch (error) {
+      logger.error(`Error handling ${provider} webhook delivery ${deliveryId}:`, error);
+      await this._finishDelivery(provider, deliveryId, DELIVERY_STATUSES.FAILED, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Определяет Git-хостинг по заголовкам события.
+   * @param {Object} headers - Заголовки запроса.
+   * @returns {string} - Хостинг (WEBHOOK_PROVIDERS).
+   * @throws {ValidationError} - Если заголовков события нет.
+   */
+  detectProvider(headers) {
+    if (headers['x-github-event']) {
+      return WEBHOOK_PROVIDERS.GITHUB;
+    }
+
+    if (headers['x-gitlab-event']) {
+      return WEBHOOK_PROVIDERS.GITLAB;
+    }
+
+    throw new ValidationError('Unknown webhook source: X-GitHub-Event or X-Gitlab-Event header is required');
+  }
+
+  /**
+   * Проверяет подлинность вебхука.
+   * GitHub подписывает тело HMAC-SHA256 (X-Hub-Signature-256), GitLab передает
+   * секретный токен (X-Gitlab-Token). Сравнение выполняется за постоянное время.
+   * @param {string} provider - Хостинг.
+   * @param {Object} headers - Заголовки запроса.
+   * @param {Buffer|string} rawBody - Тело запроса без изменений.
+   * @throws {WebhookVerificationError} - Секрет не настроен или не совпадает.
+   */
+  verify(provider, headers, rawBody) {
+    if (provider === WEBHOOK_PROVIDERS.GITHUB) {
+      if (!this.secrets.githubSecret) {
+        throw new WebhookVerificationError('GitHub webhook secret is not configured', provider);
+      }
+
+      const expected = `sha256=${crypto.createHmac('sha256', this.secrets.githubSecret).update(rawBody || '').digest('hex')}`;
+
+      if (!this._safeEqual(headers['x-hub-signature-256'], expected)) {
+        throw new WebhookVerificationError('Invalid GitHub webhook signature', provider);
+      }
+
+      return;
+    }
+
+    if (!this.secrets.gitlabToken) {
+      throw new WebhookVerificationError('GitLab webhook token is not configured', provider);
+    }
+
+    if (!this._safeEqual(headers['x-gitlab-token'], this.secrets.gitlabToken)) {
+      throw new WebhookVerificationError('Invalid GitLab webhook token', provider);
+    }
+  }
+
+  /**
+   * Приводит событие хостинга к общему виду.
+   * @param {string} provider - Хостинг.
+   * @param {Object} headers - Заголовки запроса.
+   * @param {Object} payload - Тело вебхука.
+   * @returns {Object} - Событие { provider, deliveryId, type, action, branch, headCommit,
+   *   pullRequest, comments }; type - push, pull_request, review, review_comment, ping или unknown.
+   */
+  parseEvent(provider, headers, payload) {
+    return provider === WEBHOOK_PROVIDERS.GITHUB
+      ? this._parseGitHubEvent(headers, payload)
+      : this._parseGitLabEvent(headers, payload);
+  }
+
+  /**
+   * Определяет действие оркестратора для события.
+   * @param {Object} event - Событие (см. parseEvent).
+   * @returns {string} - Действие (WEBHOOK_ACTIONS).
+   */
+  getAction(event) {
+    switch (event.type) {
+      case 'push':
+        return event.headCommit ? WEBHOOK_ACTIONS.RESUME_PR : WEBHOOK_ACTIONS.IGNORE;
+      case 'pull_request':
+        if (event.action === 'merged') {
+          return WEBHOOK_ACTIONS.COMPLETE;
+        }
+
+        return PR_UPDATE_ACTIONS.includes(event.action) ? WEBHOOK_ACTIONS.RESUME_PR : WEBHOOK_ACTIONS.IGNORE;
+      case 'review':
+      case 'review_comment':
+        return event.comments.length > 0 ? WEBHOOK_ACTIONS.INTEGRATE_FEEDBACK : WEBHOOK_ACTIONS.IGNORE;
+      default:
+        return WEBHOOK_ACTIONS.IGNORE;
+    }
+  }
+
+  /**
+   * Возвращает ID задачи по ветке (task/42 -> '42').
+   * @param {string|null} branch - Ветка.
+   * @returns {string|null} - ID задачи или null, если ветка не принадлежит задаче.
+   */
+  getTaskIdForBranch(branch) {
+    if (!branch || !branch.startsWith(this.branchPrefix)) {
+      return null;
+    }
+
+    const taskId = branch.slice(this.branchPrefix.length);
+
+    return /^\d+$/.test(taskId) ? taskId : null;
+  }
+
+  /**
+   * Выполняет действие оркестратора для события.
+   * @private
+   * @param {Object} event - Событие.
+   * @param {string} action - Действие.
+   * @param {string|null} taskId - ID задачи.
+   * @returns {Promise<Object|null>} - Результат оркестратора или null, если событие пропущено.
+   */
+  async _dispatch(event, action, taskId) {
+    if (action === WEBHOOK_ACTIONS.IGNORE || !taskId) {
+      return null;
+    }
+
+    let currentState;
+
+    try {
+      currentState = await this.taskOrchestrator.stateManager.getCurrentState(taskId);
+    } catch (error) {
+      logger.warn(`Webhook for unknown task ${taskId} skipped: ${error.message}`);
+      return null;
+    }
+
+    if (!currentState || currentState === TASK_STATES.COMPLETED || currentState === TASK_STATES.FAILED) {
+      logger.info(`Webhook for task ${taskId} in state ${currentState} skipped`);
+      return null;
+    }
+
+    switch (action) {
+      case WEBHOOK_ACTIONS.RESUME_PR:
+        return this.taskOrchestrator.handlePullRequestEvent(taskId, {
+          type: 'pushed',
+          headCommit: event.headCommit
+        });
+      case WEBHOOK_ACTIONS.INTEGRATE_FEEDBACK:
+        return this.taskOrchestrator.handlePullRequestEvent(taskId, {
+          type: 'review_comments',
+          comments: event.comments
+        });
+      case WEBHOOK_ACTIONS.COMPLETE:
+        return this.taskOrchestrator.handlePullRequestEvent(taskId, { type: 'merged' });
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Приводит событие GitHub к общему виду.
+   * @private
+   * @param {Object} headers - Заголовки запроса.
+   * @param {Object} payload - Тело вебхука.
+   * @returns {Object} - Событие.
+   */
+  _parseGitHubEvent(headers, payload) {
+    const name = headers['x-github-event'];
+    const pr = payload.pull_request;
+    const event = this._createEvent(WEBHOOK_PROVIDERS.GITHUB, headers['x-github-delivery'], payload.action);
+
+    if (pr) {
+      event.pullRequest = {
+        number: pr.number,
+        url: pr.html_url || null,
+        baseBranch: pr.base && pr.base.ref,
+        headBranch: pr.head && pr.head.ref,
+        merged: Boolean(pr.merged)
+      };
+      event.branch = event.pullRequest.headBranch;
+      event.headCommit = (pr.head && pr.head.sha) || null;
+    }
+
+    switch (name) {
+      case 'ping':
+        event.type = 'ping';
+        break;
+      case 'push':
+        event.type = 'push';
+        event.branch = this._getBranchFromRef(payload.ref);
+        event.headCommit = payload.deleted || ZERO_COMMIT.test(payload.after || '') ? null : payload.after;
+        break;
+      case 'pull_request':
+        event.type = 'pull_request';
+        event.action = payload.action === 'closed' && pr.merged ? 'merged' : payload.action;
+        break;
+      case 'pull_request_review': {
+        const review = payload.review || {};
+        event.type = 'review';
+
+        // Одобрение без текста не требует изменений
+        if (payload.action === 'submitted' && review.body && review.body.trim()) {
+          event.comments = [{
+            id: review.id,
+            author: review.user && review.user.login,
+            body: review.body,
+            path: null,
+            line: null,
+            state: review.state
+          }];
+        }
+        break;
+      }
+      case 'pull_request_review_comment': {
+        const comment = payload.comment || {};
+        event.type = 'review_comment';
+
+        if (payload.action === 'created') {
+          event.comments = [{
+            id: comment.id,
+            author: comment.user && comment.user.login,
+            body: comment.body,
+            path: comment.path || null,
+            line: comment.line || comment.original_line || null
+          }];
+        }
+        break;
+      }
+      default:
+        event.type = 'unknown';
+    }
+
+    return event;
+  }
+
+  /**
+   * Приводит событие GitLab к общему виду.
+   * @private
+   * @param {Object} headers - Заголовки запроса.
+   * @param {Object} payload - Тело вебхука.
+   * @returns {Object} - Событие.
+   */
+  _parseGitLabEvent(headers, payload) {
+    const attributes = payload.object_attributes || {};
+    const deliveryId = headers['x-gitlab-event-uuid'] || headers['x-gitlab-webhook-uuid'];
+    const event = this._createEvent(WEBHOOK_PROVIDERS.GITLAB, deliveryId, attributes.action || null);
+
+    switch (payload.object_kind) {
+      case 'push':
+        event.type = 'push';
+        event.branch = this._getBranchFromRef(payload.ref);
+        event.headCommit = ZERO_COMMIT.test(payload.after || '') ? null : payload.after;
+        break;
+      case 'merge_request':
+        event.type = 'pull_request';
+        event.action = GITLAB_MR_ACTIONS[attributes.action] || attributes.action;
+        event.pullRequest = {
+          number: attributes.iid,
+          url: attributes.url || null,
+          baseBranch: attributes.target_branch,
+          headBranch: attributes.source_branch,
+          merged: attributes.state === 'merged'
+        };
+        event.branch = attributes.source_branch;
+        event.headCommit = (attributes.last_commit && attributes.last_commit.id) || null;
+        break;
+      case 'note': {
+        const mergeRequest = payload.merge_request;
+        event.type = 'review_comment';
+        event.action = 'created';
+
+        if (attributes.noteable_type !== 'MergeRequest' || !mergeRequest) {
+          break;
+        }
+
+        const position = attributes.position || {};
+
+        event.branch = mergeRequest.source_branch;
+        event.pullRequest = {
+          number: mergeRequest.iid,
+          url: mergeRequest.url || null,
+          baseBranch: mergeRequest.target_branch,
+          headBranch: mergeRequest.source_branch,
+          merged: mergeRequest.state === 'merged'
+        };
+
+        // Системные заметки (смена статуса, новые коммиты) не являются комментариями ревью
+        if (!attributes.system) {
+          event.comments = [{
+            id: attributes.id,
+            author: payload.user && payload.user.username,
+            body: attributes.note,
+            path: position.new_path || null,
+            line: position.new_line || null
+          }];
+        }
+        break;
+      }
+      default:
+        event.type = payload.object_kind || 'unknown';
+    }
+
+    return event;
+  }
+
+  /**
+   * Создает пустое событие.
+   * @private
+   * @param {string} provider - Хостинг.
+   * @param {string} [deliveryId] - ID доставки из заголовков.
+   * @param {string|null} action - Действие события.
+   * @returns {Object} - Событие.
+   */
+  _createEvent(provider, deliveryId, action) {
+    return {
+      provider,
+      deliveryId: deliveryId || null,
+      type: 'unknown',
+      action: action || null,
+      branch: null,
+      headCommit: null,
+      pullRequest: null,
+      comments: []
+    };
+  }
+
+  /**
+   * Регистрирует доставку. Повторная доставка пропускается, если предыдущая
+   * не завершилась ошибкой.
+   * @private
+   * @param {string} provider - Хостинг.
+   * @param {string} deliveryId - ID доставки.
+   * @param {Object} event - Событие.
+   * @param {string} action - Действие.
+   * @param {string|null} taskId - ID задачи.
+   * @returns {Promise<boolean>} - true, если доставку нужно обработать.
+   */
+  async _registerDelivery(provider, deliveryId, event, action, taskId) {
+    if (!this.db) {
+      return true;
+    }
+
+    const [result] = await this.db.query(
+      `INSERT IGNORE INTO git_webhook_deliveries (provider, delivery_id, event_type, action, task_id)
+       VALUES (?, ?, ?, ?, ?)`,
+      [provider, deliveryId, event.type, action, taskId]
+    );
+
+    if (result.affectedRows > 0) {
+      return true;
+    }
+
+    // Доставку, обработка которой завершилась ошибкой, хостинг может повторить
+    const [retry] = await this.db.query(
+      `UPDATE git_webhook_deliveries SET status = ?, error = NULL
+       WHERE provider = ? AND delivery_id = ? AND status = ?`,
+      [DELIVERY_STATUSES.RECEIVED, provider, deliveryId, DELIVERY_STATUSES.FAILED]
+    );
+
+    return retry.affectedRows > 0;
+  }
+
+  /**
+   * Сохраняет результат обработки доставки.
+   * @private
+   * @param {string} provider - Хостинг.
+   * @param {string} deliveryId - ID доставки.
+   * @param {string} status - Статус (DELIVERY_STATUSES).
+   * @param {string} [error] - Сообщение об ошибке.
+   * @returns {Promise<void>}
+   */
+  async _finishDelivery(provider, deliveryId, status, error = null) {
+    if (!this.db) {
+      return;
+    }
+
+    try {
+      await this.db.query(
+        'UPDATE git_webhook_deliveries SET status = ?, error = ? WHERE provider = ? AND delivery_id = ?',
+        [status, error, provider, deliveryId]
+      );
+    } catch (updateError) {
+      logger.error(`Error saving status of webhook delivery ${deliveryId}:`, updateError);
+    }
+  }
+
+  /**
+   * Разбирает тело вебхука: JSON или форму с JSON события в поле payload
+   * (GitHub с типом содержимого application/x-www-form-urlencoded).
+   * @private
+   * @param {Buffer|string} rawBody - Тело запроса.
+   * @param {string} [contentType] - Заголовок Content-Type.
+   * @returns {Object}
+   * @throws {ValidationError} - Тело не является JSON или в форме нет поля payload.
+   */
+  _parseBody(rawBody, contentType = '') {
+    const text = rawBody.toString('utf8');
+
+    if (/^application\/x-www-form-urlencoded/i.test(contentType)) {
+      const payload = new URLSearchParams(text).get('payload');
+
+      if (payload === null) {
+        throw new ValidationError('Invalid webhook payload: form field "payload" is required');
+      }
+
+      return this._parseJson(payload);
+    }
+
+    return this._parseJson(text);
+  }
+
+  /**
+   * Разбирает JSON события вебхука.
+   * @private
+   * @param {string} text - JSON.
+   * @returns {Object}
+   * @throws {ValidationError} - Текст не является JSON.
+   */
+  _parseJson(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new ValidationError(`Invalid webhook payload: ${error.message}`);
+    }
+  }
+
+  /**
+   * Возвращает ветку из ref (refs/heads/task/42 -> task/42).
+   * @private
+   * @param {string} ref - Ссылка Git.
+   * @returns {string|null} - Ветка или null для тегов.
+   */
+  _getBranchFromRef(ref) {
+    return ref && ref.startsWith('refs/heads/') ? ref.slice('refs/heads/'.length) : null;
+  }
+
+  /**
+   * Сравнивает строки за постоянное время.
+   * @private
+   * @param {string} actual - Полученное значение.
+   * @param {string} expected - Ожидаемое значение.
+   * @returns {boolean}
+   */
+  _safeEqual(actual, expected) {
+    if (typeof actual !== 'string') {
+      return false;
+    }
+
+    const actualBuffer = Buffer.from(actual);
+    const expectedBuffer = Buffer.from(expected);
+
+    return actualBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(actualBuffer, expectedBuffer);
+  }
+}
+
+module.exports = {
+  GitWebhookHandler,
+  WEBHOOK_PROVIDERS,
+  WEBHOOK_ACTIONS
+};
@@ -70,6 +70,11 @@ const TASK_STATES = {
   RECOVERING: 'recovering',
 };
 
+// Состояния выполнения шагов (для каждого из них есть состояние завершения)
+const STEP_STATES = Object.values(TASK_STATES).filter(
+  state => Object.values(TASK_STATES).includes(`${state}_completed`)
+);
+
 /**
  * Класс управления состоянием выполнения задачи.
  */
@@ -152,6 +157,14 @@ class StateManager {
       return true;
     }
     
+    // Порядок шагов задается описанием процесса задачи (см. WorkflowRegistry),
+    // поэтому из начального состояния и из завершения любого шага можно перейти
+    // к выполнению любого шага или к завершению задачи
+    if ((currentState === TASK_STATES.INITIALIZED || currentState.endsWith('_completed')) &&
+        (STEP_STATES.includes(nextState) || nextState === TASK_STATES.COMPLETED)) {
+      return true;
+    }
+    
     // Проверяем валидные переходы между состояниями шагов
     const validTransitions = {
       [TASK_STATES.INITIALIZED]: [TASK_STATES.TASK_UNDERSTANDING],
@@ -207,6 +220,7 @@ class StateManager {
       [TASK_STATES.FEEDBACK_INTEGRATION]: [TASK_STATES.FEEDBACK_INTEGRATION_COMPLETED],
       [TASK_STATES.FEEDBACK_INTEGRATION_COMPLETED]: [
         TASK_STATES.CODE_GENERATION, 
+        TASK_STATES.ERROR_CORRECTION,
         TASK_STATES.PR_PREPARATION,
         TASK_STATES.COMPLETED
       ],
@@ -387,6 +401,32 @@ class StateManager {
     }
   }
 
+  /**
+   * Находит задачи, текущее состояние которых входит в заданный список.
+   * @param {Array<string>} states - Состояния задач.
+   * @returns {Promise<Array<string>>} - Идентификаторы задач.
+   */
+  async findTasksInStates(states) {
+    logger.debug(`Finding tasks in states: ${states.join(', ')}`);
+
+    if (!this.db) {
+      logger.warn('Database is not available, tasks cannot be found by state');
+      return [];
+    }
+
+    try {
+      const tasks = await this.db.Task.findAll({
+        where: { currentState: states },
+        attributes: ['id']
+      });
+
+      return tasks.map(task => String(task.id));
+    } catch (error) {
+      logger.error('Error finding tasks by state:', error);
+      throw error;
+    }
+  }
+
   /**
    * Получает данные о последнем переходе состояния.
    * @param {string} taskId - Идентификатор задачи.
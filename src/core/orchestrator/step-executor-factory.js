@@ -43,60 +43,68 @@ class StepExecutorFactory {
 
   /**
    * Регистрирует исполнителей шагов.
+   * Каждый исполнитель загружается отдельно, чтобы отсутствие или ошибка
+   * в одном модуле не лишала оркестратор остальных шагов.
    * @private
    */
   _registerExecutors() {
-    try {
-      // Здесь регистрируются все доступные исполнители шагов
-      this.executors = {
-        // Шаг 1: Понимание задачи
-        'taskUnderstanding': require('./step-executors/task-understanding-executor'),
-        
-        // Шаг 2: Анализ контекста проекта
-        'projectUnderstanding': require('./step-executors/project-understanding-executor'),
-        
-        // Шаг 3: Планирование и декомпозиция
-        'taskPlanner': require('./step-executors/task-planner-executor'),
-        
-        // Шаг 4: Выбор подхода и технологий
-        'technologySuggester': require('./step-executors/technology-suggester-executor'),
-        
-        // Шаг 5: Генерация кода
-        'codeGenerator': require('./step-executors/code-generator-executor'),
-        
-        // Шаг 6: Итеративное уточнение кода
-        'codeRefiner': require('./step-executors/code-refiner-executor'),
-        
-        // Шаг 7: Саморефлексия и ревью кода
-        'selfReflection': require('./step-executors/self-reflection-executor'),
-        
-        // Шаг 8: Исправление ошибок
-        'errorCorrector': require('./step-executors/error-corrector-executor'),
-        
-        // Шаг 9: Генерация тестов
-        'testGenerator': require('./step-executors/test-generator-executor'),
-        
-        // Шаг 10: Запуск кода и тестов
-        'codeExecutor': require('./step-executors/code-executor-executor'),
-        
-        // Шаг 11: Анализ результатов тестов
-        'testAnalyzer': require('./step-executors/test-analyzer-executor'),
-        
-        // Шаг 12: Генерация/обновление документации
-        'documentationUpdater': require('./step-executors/documentation-updater-executor'),
-        
-        // Шаг 13: Обучение и обновление знаний
-        'learningSystem': require('./step-executors/learning-system-executor'),
-        
-        // Шаг 14: Подготовка к мержу (PR)
-        'prManager': require('./step-executors/pr-manager-executor'),
-        
-        // Шаг 15: Интеграция обратной связи
-        'feedbackIntegrator': require('./step-executors/feedback-integrator-executor')
-      };
-    } catch (error) {
-      // Логируем ошибку, но не прерываем инициализацию
-      logger.error('Error registering step executors:', error);
+    // Здесь перечислены все исполнители шагов и модули, в которых они определены
+    const executorModules = {
+      // Шаг 1: Понимание задачи
+      'taskUnderstanding': './step-executors/task-understanding-executor',
+      
+      // Шаг 2: Анализ контекста проекта
+      'projectUnderstanding': './step-executors/project-understanding-executor',
+      
+      // Шаг 3: Планирование и декомпозиция
+      'taskPlanner': './step-executors/task-planner-executor',
+      
+      // Шаг 4: Выбор подхода и технологий
+      'technologySuggester': './step-executors/technology-suggester-executor',
+      
+      // Шаг 5: Генерация кода
+      'codeGenerator': './step-executors/code-generator-executor',
+      
+      // Шаг 6: Итеративное уточнение кода
+      'codeRefiner': './step-executors/code-refiner-executor',
+      
+      // Шаг 7: Саморефлексия и ревью кода
+      'selfReflection': './step-executors/self-reflection-executor',
+      
+      // Шаг 8: Исправление ошибок
+      'errorCorrector': './step-executors/error-corrector-executor',
+      
+      // Шаг 9: Генерация тестов
+      'testGenerator': './step-executors/test-generator-executor',
+      
+      // Шаг 10: Запуск кода и тестов
+      'codeExecutor': './step-executors/code-executor-executor',
+      
+      // Шаг 11: Анализ результатов тестов
+      'testAnalyzer': './step-executors/test-analyzer-executor',
+      
+      // Шаг 12: Генерация/обновление документации
+      'documentationUpdater': './step-executors/documentation-updater-executor',
+      
+      // Шаг 13: Обучение и обновление знаний
+      'learningSystem': './step-executors/learning-system-executor',
+      
+      // Шаг 14: Подготовка к мержу (PR)
+      'prManager': './step-executors/pr-manager-executor',
+      
+      // Шаг 15: Интеграция обратной связи
+      'feedbackIntegrator': './step-executors/feedback-integrator-executor'
+    };
+    
+    this.executors = {};
+    
+    for (const [stepName, modulePath] of Object.entries(executorModules)) {
+      try {
+        this.executors[stepName] = require(modulePath);
+      } catch (error) {
+        // Логируем ошибку, но не прерываем регистрацию остальных шагов
+        logger.error(`Error registering executor for step ${stepName}:`, error);
+      }
     }
   }
 
@@ -140,6 +148,14 @@ class StepExecutorFactory {
     }
   }
 
+  /**
+   * Получает названия шагов, для которых зарегистрированы исполнители.
+   * @returns {Array<string>} - Названия шагов.
+   */
+  getAvailableSteps() {
+    return Object.keys(this.executors);
+  }
+
   /**
    * Получает метаданные всех зарегистрированных исполнителей.
    * @returns {Object} - Метаданные исполнителей.
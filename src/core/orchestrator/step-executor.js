@@ -99,8 +99,10 @@ class StepExecutor {
     if (!this.metadata.outputSchema) {
       return { valid: true };
     }
-    
-    return this.validator.validate(result, this.metadata.outputSchema);
+
+    // Проверяем результат в том виде, в котором он сохраняется в контексте (даты - строки ISO);
+    // копия также защищает сам результат от приведения типов валидатором
+    return this.validator.validate(JSON.parse(JSON.stringify(result)), this.metadata.outputSchema);
   }
 
   /**
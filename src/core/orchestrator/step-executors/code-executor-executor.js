@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Исполнитель шага "Запуск кода и тестов" (Code Execution).
+ * Запускает сгенерированные тесты в песочнице через sandbox-runner,
+ * собирает результаты и покрытие кода. Падение тестов не считается
+ * ошибкой шага - его результаты оцениваются на шаге анализа тестов.
+ */
+
+const { StepExecutor } = require('../step-executor');
+const logger = require('../../../utils/logger');
+const appConfig = require('../../../config/app.config');
+const { CodeExecutorResultSchema, StepInputSchema } = require('../contracts');
+const sandboxRunner = require('../../code-testing/sandbox-runner');
+const FileBasedCodeGenerator = require('../../code-generator/file-based-generator');
+
+/**
+ * Максимальная длина вывода тестов, сохраняемого в результате шага.
+ */
+const MAX_OUTPUT_LENGTH = 10000;
+
+/**
+ * Исполнитель шага "Запуск кода и тестов".
+ * @extends StepExecutor
+ */
+class CodeExecutorExecutor extends StepExecutor {
+  /**
+   * Получает метаданные шага.
+   * @returns {Object} - Метаданные шага.
+   */
+  getMetadata() {
+    return {
+      name: 'codeExecutor',
+      description: 'Runs generated tests in the sandbox and collects results and coverage',
+      timeout: 900000, // 15 минут
+      maxRetries: 1,
+      requiresLLM: false,
+      requiresGit: false,
+      requiresExecution: true,
+      inputSchema: StepInputSchema,
+      outputSchema: CodeExecutorResultSchema
+    };
+  }
+
+  /**
+   * Выполняет шаг "Запуск кода и тестов".
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} input - Входные данные для шага.
+   * @param {Object} context - Контекст задачи.
+   * @returns {Promise<Object>} - Результат выполнения шага.
+   */
+  async execute(taskId, input, context) {
+    const startTime = Date.now();
+
+    // Логируем начало выполнения шага
+    this.logStepStart(taskId, input);
+
+    try {
+      // Валидируем входные данные
+      const validationResult = this.validateInput(input);
+      if (!validationResult.valid) {
+        const error = `Invalid input: ${validationResult.errors.join(', ')}`;
+        logger.error(`Step codeExecutor for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      const tests = input.testGenerator?.tests || context?.data?.generatedTests || [];
+
+      if (tests.length === 0) {
+        const error = 'No generated tests to run';
+        logger.error(`Step codeExecutor for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      const project = await new FileBasedCodeGenerator(input.projectId).getProjectInfo();
+
+      if (!project.repository_path) {
+        const error = `Project ${input.projectId} has no local repository to run tests in`;
+        logger.error(`Step codeExecutor for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      const testingConfig = appConfig.orchestrator.testing;
+      const testConfig = {
+        testFiles: tests.map(test => test.path),
+        projectPath: project.repository_path,
+        testFramework: input.testGenerator?.framework || tests[0].framework || 'jest',
+        timeout: testingConfig.timeout,
+        executeInDocker: testingConfig.executeInDocker,
+        collectCoverage: true
+      };
+
+      await this.sendProgressNotification(taskId, 10, `Running ${tests.length} test files in sandbox`);
+
+      const execution = await sandboxRunner.safelyExecuteTests(testConfig);
+
+      await this.sendProgressNotification(taskId, 90, 'Collecting test results');
+
+      const output = `${execution.stdout || ''}\n${execution.stderr || ''}`;
+      const testResults = this._parseResults(output, execution);
+
+      // Сохраняем результаты запуска для анализа
+      if (this.contextManager) {
+        await this.contextManager.updateContext(taskId, 'data.testRun', {
+          testsPassed: !!execution.success,
+          total: testResults.total,
+          failed: testResults.failed
+        });
+      }
+
+      // Подготавливаем результат
+      const result = {
+        ...this.prepareBaseResult(true),
+        testsPassed: !!execution.success,
+        execution: {
+          command: execution.command || '',
+          exitCode: typeof execution.exitCode === 'number' ? execution.exitCode : null,
+          executionTime: execution.executionTime || 0,
+          stdout: this._truncate(execution.stdout),
+          stderr: this._truncate(execution.stderr),
+          error: execution.error || ''
+        },
+        testResults,
+        coverage: execution.coverage || null,
+        summary: {
+          framework: testConfig.testFramework,
+          total: testResults.total,
+          passed: testResults.passed,
+          failed: testResults.failed,
+          lineCoverage: execution.coverage ? execution.coverage.lines.percentage : null
+        }
+      };
+
+      // Валидируем результат
+      const outputValidation = this.validateOutput(result);
+      if (!outputValidation.valid) {
+        const warning = `Output validation warnings: ${outputValidation.errors.join(', ')}`;
+        logger.warn(`Step codeExecutor for task ${taskId} output validation:`, warning);
+
+        result.warnings.push(warning);
+      }
+
+      // Добавляем длительность выполнения
+      result.duration = Date.now() - startTime;
+
+      // Логируем завершение выполнения шага
+      this.logStepCompletion(taskId, result, result.duration);
+
+      return result;
+    } catch (error) {
+      logger.error(`Step codeExecutor for task ${taskId} failed:`, error);
+
+      const result = this.prepareBaseResult(false, error.message);
+      result.duration = Date.now() - startTime;
+
+      return result;
+    }
+  }
+
+  /**
+   * Извлекает количество тестов и информацию о падениях из вывода фреймворка.
+   * Поддерживается формат Jest и Mocha; для остальных фреймворков
+   * результат определяется по коду завершения.
+   * @private
+   * @param {string} output - Объединенный вывод stdout и stderr.
+   * @param {Object} execution - Результат sandboxRunner.safelyExecuteTests.
+   * @returns {Object} - Результаты { total, passed, failed, files }.
+   */
+  _parseResults(output, execution) {
+    const results = { total: 0, passed: 0, failed: 0, files: [] };
+
+    // Jest: "Tests:       1 failed, 2 passed, 3 total"
+    const jestSummary = output.match(/Tests:\s+(?:(\d+) failed, )?(?:\d+ skipped, )?(?:(\d+) passed, )?(\d+) total/);
+    // Mocha: "2 passing", "1 failing"
+    const mochaPassing = output.match(/(\d+) passing/);
+    const mochaFailing = output.match(/(\d+) failing/);
+
+    if (jestSummary) {
+      results.failed = parseInt(jestSummary[1] || '0', 10);
+      results.passed = parseInt(jestSummary[2] || '0', 10);
+      results.total = parseInt(jestSummary[3], 10);
+    } else if (mochaPassing || mochaFailing) {
+      results.passed = mochaPassing ? parseInt(mochaPassing[1], 10) : 0;
+      results.failed = mochaFailing ? parseInt(mochaFailing[1], 10) : 0;
+      results.total = results.passed + results.failed;
+    } else if (execution.details && execution.details.summary && execution.details.summary.total) {
+      results.total = execution.details.summary.total;
+      results.failed = execution.details.summary.failed || 0;
+      results.passed = results.total - results.failed;
+    }
+
+    // Разбиваем вывод Jest на секции по файлам и извлекаем блоки падений "● ..."
+    const sections = output.split(/^(?=(?:PASS|FAIL)\s+\S+)/m);
+
+    for (const section of sections) {
+      const header = section.match(/^(PASS|FAIL)\s+(\S+)/);
+
+      if (!header) {
+        continue;
+      }
+
+      const failures = [];
+      const failureRegex = /●\s+([^\n]+)\n\n([\s\S]*?)(?=\n\s*●\s|\n\s*Test(?:s| Suites):|$)/g;
+      let match;
+
+      while ((match = failureRegex.exec(section)) !== null) {
+        failures.push({
+          name: match[1].trim(),
+          message: match[2].trim().slice(0, 2000)
+        });
+      }
+
+      results.files.push({
+        path: header[2],
+        passed: header[1] === 'PASS',
+        failures
+      });
+    }
+
+    // Если разобрать вывод не удалось, ориентируемся на код завершения
+    if (results.total === 0 && !execution.success) {
+      results.failed = 1;
+      results.total = 1;
+      results.files.push({
+        path: 'unknown',
+        passed: false,
+        failures: [{
+          name: 'Test run',
+          message: (execution.error || execution.stderr || 'Test run failed').slice(0, 2000)
+        }]
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Обрезает вывод до допустимой длины, сохраняя его конец.
+   * @private
+   * @param {string} text - Исходный текст.
+   * @returns {string} - Обрезанный текст.
+   */
+  _truncate(text) {
+    if (!text) {
+      return '';
+    }
+
+    return text.length > MAX_OUTPUT_LENGTH ? text.slice(-MAX_OUTPUT_LENGTH) : text;
+  }
+}
+
+module.exports = CodeExecutorExecutor;
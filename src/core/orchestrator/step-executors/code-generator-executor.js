@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Исполнитель шага "Генерация кода" (Code Generation).
+ * Определяет файлы, которые необходимо создать или изменить по плану задачи,
+ * генерирует для них код с помощью генераторов из core/code-generator
+ * и сохраняет список сгенерированных файлов в контексте задачи.
+ */
+
+const { StepExecutor } = require('../step-executor');
+const logger = require('../../../utils/logger');
+const { CodeGeneratorResultSchema, StepInputSchema } = require('../contracts');
+const CodeGenerator = require('../../code-generator/index');
+const FileBasedCodeGenerator = require('../../code-generator/file-based-generator');
+
+/**
+ * Исполнитель шага "Генерация кода".
+ * @extends StepExecutor
+ */
+class CodeGeneratorExecutor extends StepExecutor {
+  /**
+   * Получает метаданные шага.
+   * @returns {Object} - Метаданные шага.
+   */
+  getMetadata() {
+    return {
+      name: 'codeGenerator',
+      description: 'Generates new files and modifies existing ones according to the task plan',
+      timeout: 600000, // 10 минут
+      maxRetries: 2,
+      requiresLLM: true,
+      requiresGit: false,
+      requiresExecution: false,
+      inputSchema: StepInputSchema,
+      outputSchema: CodeGeneratorResultSchema
+    };
+  }
+
+  /**
+   * Выполняет шаг "Генерация кода".
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} input - Входные данные для шага.
+   * @param {Object} context - Контекст задачи.
+   * @returns {Promise<Object>} - Результат выполнения шага.
+   */
+  async execute(taskId, input, context) {
+    const startTime = Date.now();
+
+    // Логируем начало выполнения шага
+    this.logStepStart(taskId, input);
+
+    try {
+      // Валидируем входные данные
+      const validationResult = this.validateInput(input);
+      if (!validationResult.valid) {
+        const error = `Invalid input: ${validationResult.errors.join(', ')}`;
+        logger.error(`Step codeGenerator for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      // Генерация кода невозможна без проекта
+      if (!input.projectId) {
+        const error = 'Project ID is not specified';
+        logger.error(`Step codeGenerator for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      await this.sendProgressNotification(
+        taskId,
+        10,
+        'Determining files to generate'
+      );
+
+      const codeGenerator = new CodeGenerator(input.projectId);
+      const fileGenerator = new FileBasedCodeGenerator(input.projectId);
+
+      // Определяем целевые файлы на основе плана задачи
+      const targets = this._collectTargets(input, codeGenerator);
+
+      let generations;
+
+      if (targets.length > 0) {
+        generations = await this._generateTargets(taskId, targets, input, fileGenerator);
+      } else {
+        // Плана с файлами нет - генерируем код по задаче и ее подзадачам целиком
+        logger.info(`No file targets in plan for task ${taskId}, falling back to task-level generation`);
+        generations = await this._generateForTask(taskId, codeGenerator);
+      }
+
+      await this.sendProgressNotification(
+        taskId,
+        90,
+        'Saving generated files to task context'
+      );
+
+      const generatedFiles = generations.map(generation => ({
+        path: generation.filePath,
+        content: generation.content,
+        language: generation.language,
+        isNew: !generation.isModified,
+        isModified: !!generation.isModified,
+        generationId: generation.generationId
+      }));
+
+      if (generatedFiles.length === 0) {
+        const error = 'Code generation produced no files';
+        logger.error(`Step codeGenerator for task ${taskId} failed:`, error);
+
+        const result = this.prepareBaseResult(false, error);
+        result.duration = Date.now() - startTime;
+
+        return result;
+      }
+
+      // Сохраняем актуальный набор файлов в контексте для последующих шагов
+      await this._recordGeneratedFiles(taskId, generatedFiles);
+
+      const warnings = [];
+      const failedTargets = targets.length - generations.length;
+
+      if (targets.length > 0 && failedTargets > 0) {
+        warnings.push(`Failed to generate ${failedTargets} of ${targets.length} planned files`);
+      }
+
+      // Подготавливаем результат
+      const result = {
+        ...this.prepareBaseResult(true, null, warnings),
+        generatedFiles,
+        explanation: generatedFiles
+          .map(file => `${file.isModified ? 'Modified' : 'Created'} ${file.path}`)
+          .join('\n'),
+        summary: {
+          totalFiles: generatedFiles.length,
+          newFiles: generatedFiles.filter(file => file.isNew).length,
+          modifiedFiles: generatedFiles.filter(file => file.isModified).length,
+          plannedFiles: targets.length
+        }
+      };
+
+      // Валидируем результат
+      const outputValidation = this.validateOutput(result);
+      if (!outputValidation.valid) {
+        const warning = `Output validation warnings: ${outputValidation.errors.join(', ')}`;
+        logger.warn(`Step codeGenerator for task ${taskId} output validation:`, warning);
+
+        result.warnings.push(warning);
+      }
+
+      // Добавляем длительность выполнения
+      result.duration = Date.now() - startTime;
+
+      // Логируем завершение выполнения шага
+      this.logStepCompletion(taskId, result, result.duration);
+
+      return result;
+    } catch (error) {
+      logger.error(`Step codeGenerator for task ${taskId} failed:`, error);
+
+      const result = this.prepareBaseResult(false, error.message);
+      result.duration = Date.now() - startTime;
+
+      return result;
+    }
+  }
+
+  /**
+   * Формирует список целевых файлов на основе плана задачи.
+   * Файл из плана считается существующим, если он упомянут среди релевантных
+   * файлов, найденных на шаге анализа контекста проекта.
+   * @private
+   * @param {Object} input - Входные данные для шага.
+   * @param {CodeGenerator} codeGenerator - Генератор кода для определения путей файлов.
+   * @returns {Array<Object>} - Целевые файлы { filePath, description, existingContent }.
+   */
+  _collectTargets(input, codeGenerator) {
+    const planTasks = input.taskPlanner?.plan?.tasks || [];
+    const relevantFiles = input.projectUnderstanding?.relevantFiles || [];
+    const targets = new Map();
+
+    for (const planTask of planTasks) {
+      // Явно указанные в плане файлы имеют приоритет над эвристикой
+      let filePaths = [];
+
+      if (Array.isArray(planTask.files) && planTask.files.length > 0) {
+        filePaths = planTask.files;
+      } else if (planTask.filePath) {
+        filePaths = [planTask.filePath];
+      } else {
+        const inferred = codeGenerator.inferFilePath(planTask.title || '', planTask.description || '');
+
+        if (inferred) {
+          filePaths = [inferred.path];
+        }
+      }
+
+      for (const filePath of filePaths) {
+        const description = `${planTask.title}\n${planTask.description}`;
+
+        // Если несколько подзадач затрагивают один файл, объединяем их описания
+        if (targets.has(filePath)) {
+          targets.get(filePath).description += `\n\n${description}`;
+          continue;
+        }
+
+        const relevantFile = relevantFiles.find(file => file.path === filePath);
+
+        targets.set(filePath, {
+          filePath,
+          description,
+          existingContent: relevantFile ? relevantFile.content || null : null,
+          exists: !!relevantFile
+        });
+      }
+    }
+
+    return Array.from(targets.values());
+  }
+
+  /**
+   * Генерирует или модифицирует целевые файлы.
+   * @private
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Array<Object>} targets - Целевые файлы.
+   * @param {Object} input - Входные данные для шага.
+   * @param {FileBasedCodeGenerator} fileGenerator - Файловый генератор кода.
+   * @returns {Promise<Array<Object>>} - Успешные генерации.
+   */
+  async _generateTargets(taskId, targets, input, fileGenerator) {
+    const generations = [];
+    const technologies = this._formatTechnologies(input.technologySuggester);
+
+    for (let i = 0; i < targets.length; i++) {
+      const target = targets[i];
+      const description = technologies
+        ? `${target.description}\n\nTechnologies: ${technologies}`
+        : target.description;
+
+      await this.sendProgressNotification(
+        taskId,
+        10 + Math.round((i / targets.length) * 80),
+        `${target.exists ? 'Modifying' : 'Generating'} ${target.filePath}`
+      );
+
+      let generation;
+
+      if (target.exists) {
+        generation = await fileGenerator.modifyFile(
+          taskId,
+          null,
+          target.filePath,
+          description,
+          target.existingContent
+        );
+      } else {
+        generation = await fileGenerator.generateFile(
+          taskId,
+          null,
+          target.filePath,
+          description
+        );
+      }
+
+      if (!generation || !generation.content) {
+        logger.warn(`Code generation for ${target.filePath} in task ${taskId} returned no code`);
+        continue;
+      }
+
+      generations.push({
+        ...generation,
+        isModified: target.exists
+      });
+    }
+
+    return generations;
+  }
+
+  /**
+   * Генерирует код по задаче целиком через CodeGenerator.generateCode.
+   * @private
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {CodeGenerator} codeGenerator - Генератор кода.
+   * @returns {Promise<Array<Object>>} - Успешные генерации.
+   */
+  async _generateForTask(taskId, codeGenerator) {
+    const result = await codeGenerator.generateCode(taskId);
+
+    if (!result) {
+      return [];
+    }
+
+    // generateCode возвращает одну генерацию или список генераций по подзадачам
+    const references = Array.isArray(result.generations) ? result.generations : [result];
+    const generations = [];
+
+    for (const reference of references) {
+      if (!reference || !reference.generationId) {
+        continue;
+      }
+
+      const generation = await codeGenerator.getGeneratedCode(reference.generationId);
+
+      if (generation && generation.content) {
+        generations.push({ ...generation, isModified: false });
+      }
+    }
+
+    return generations;
+  }
+
+  /**
+   * Форматирует рекомендации по технологиям для передачи генератору.
+   * @private
+   * @param {Object} technologyResult - Результат шага выбора технологий.
+   * @returns {string} - Перечень рекомендованных технологий.
+   */
+  _formatTechnologies(technologyResult) {
+    const recommendations = technologyResult?.recommendations;
+
+    if (!recommendations) {
+      return '';
+    }
+
+    return ['languages', 'frameworks', 'libraries']
+      .flatMap(group => recommendations[group] || [])
+      .map(item => (item.version ? `${item.name}@${item.version}` : item.name))
+      .filter(Boolean)
+      .join(', ');
+  }
+
+  /**
+   * Сохраняет список сгенерированных файлов в контексте задачи.
+   * @private
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Array<Object>} generatedFiles - Сгенерированные файлы.
+   * @returns {Promise<void>}
+   */
+  async _recordGeneratedFiles(taskId, generatedFiles) {
+    if (!this.contextManager) {
+      return;
+    }
+
+    await this.contextManager.updateContext(taskId, 'data.generatedFiles', generatedFiles);
+  }
+}
+
+module.exports = CodeGeneratorExecutor;
@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Исполнитель шага "Итеративное уточнение кода" (Code Refinement).
+ * Проверяет сгенерированные файлы валидатором кода и, если найдены проблемы,
+ * итеративно дорабатывает их с помощью LLM до прохождения проверки
+ * или исчерпания лимита итераций.
+ */
+
+const { StepExecutor } = require('../step-executor');
+const logger = require('../../../utils/logger');
+const { CodeRefinerResultSchema, StepInputSchema } = require('../contracts');
+const FileBasedCodeGenerator = require('../../code-generator/file-based-generator');
+const CodeValidator = require('../../code-generator/code-validator');
+
+/**
+ * Максимальное количество итераций уточнения одного файла по умолчанию.
+ */
+const DEFAULT_MAX_ITERATIONS = 3;
+
+/**
+ * Исполнитель шага "Итеративное уточнение кода".
+ * @extends StepExecutor
+ */
+class CodeRefinerExecutor extends StepExecutor {
+  /**
+   * Получает метаданные шага.
+   * @returns {Object} - Метаданные шага.
+   */
+  getMetadata() {
+    return {
+      name: 'codeRefiner',
+      description: 'Validates generated code and iteratively refines files that fail validation',
+      timeout: 600000, // 10 минут
+      maxRetries: 2,
+      requiresLLM: true,
+      requiresGit: false,
+      requiresExecution: true,
+      inputSchema: StepInputSchema,
+      outputSchema: CodeRefinerResultSchema
+    };
+  }
+
+  /**
+   * Выполняет шаг "Итеративное уточнение кода".
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} input - Входные данные для шага.
+   * @param {Object} context - Контекст задачи.
+   * @returns {Promise<Object>} - Результат выполнения шага.
+   */
+  async execute(taskId, input, context) {
+    const startTime = Date.now();
+
+    // Логируем начало выполнения шага
+    this.logStepStart(taskId, input);
+
+    try {
+      // Валидируем входные данные
+      const validationResult = this.validateInput(input);
+      if (!validationResult.valid) {
+        const error = `Invalid input: ${validationResult.errors.join(', ')}`;
+        logger.error(`Step codeRefiner for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      // Берем актуальный набор файлов из контекста, иначе - из результата генерации
+      const files = context?.data?.generatedFiles || input.codeGenerator?.generatedFiles || [];
+
+      if (files.length === 0) {
+        const error = 'No generated files to refine';
+        logger.error(`Step codeRefiner for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      const maxIterations = context?.data?.codeRefinement?.maxIterations || DEFAULT_MAX_ITERATIONS;
+      const fileGenerator = new FileBasedCodeGenerator(input.projectId);
+      const codeValidator = new CodeValidator();
+
+      const refinedFiles = [];
+      const refinements = [];
+
+      for (let i = 0; i < files.length; i++) {
+        await this.sendProgressNotification(
+          taskId,
+          Math.round((i / files.length) * 90),
+          `Refining ${files[i].path}`
+        );
+
+        const { file, refinement } = await this._refineFile(
+          taskId,
+          files[i],
+          fileGenerator,
+          codeValidator,
+          maxIterations
+        );
+
+        refinedFiles.push(file);
+        refinements.push(refinement);
+      }
+
+      // Обновляем набор файлов в контексте для последующих шагов
+      if (this.contextManager) {
+        await this.contextManager.updateContext(taskId, 'data.generatedFiles', refinedFiles);
+      }
+
+      const invalidFiles = refinements.filter(refinement => !refinement.valid);
+      const warnings = invalidFiles.map(refinement =>
+        `File ${refinement.path} still fails validation after ${refinement.iterations} iterations`
+      );
+
+      // Подготавливаем результат
+      const result = {
+        ...this.prepareBaseResult(true, null, warnings),
+        generatedFiles: refinedFiles,
+        refinements,
+        summary: {
+          totalFiles: refinedFiles.length,
+          refinedFiles: refinements.filter(refinement => refinement.refined).length,
+          invalidFiles: invalidFiles.length
+        }
+      };
+
+      // Валидируем результат
+      const outputValidation = this.validateOutput(result);
+      if (!outputValidation.valid) {
+        const warning = `Output validation warnings: ${outputValidation.errors.join(', ')}`;
+        logger.warn(`Step codeRefiner for task ${taskId} output validation:`, warning);
+
+        result.warnings.push(warning);
+      }
+
+      // Добавляем длительность выполнения
+      result.duration = Date.now() - startTime;
+
+      // Логируем завершение выполнения шага
+      this.logStepCompletion(taskId, result, result.duration);
+
+      return result;
+    } catch (error) {
+      logger.error(`Step codeRefiner for task ${taskId} failed:`, error);
+
+      const result = this.prepareBaseResult(false, error.message);
+      result.duration = Date.now() - startTime;
+
+      return result;
+    }
+  }
+
+  /**
+   * Итеративно уточняет один файл, пока он не пройдет валидацию.
+   * @private
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} file - Сгенерированный файл.
+   * @param {FileBasedCodeGenerator} fileGenerator - Файловый генератор кода.
+   * @param {CodeValidator} codeValidator - Валидатор кода.
+   * @param {number} maxIterations - Максимальное количество итераций.
+   * @returns {Promise<Object>} - Уточненный файл и информация об итерациях.
+   */
+  async _refineFile(taskId, file, fileGenerator, codeValidator, maxIterations) {
+    const language = file.language || fileGenerator.detectLanguageFromFilePath(file.path);
+    const issues = [];
+    let current = { ...file };
+    let iterations = 0;
+
+    let validation = await codeValidator.validate(current.content, language);
+
+    while (!validation.isValid && iterations < maxIterations) {
+      iterations++;
+
+      const issue = validation.error || 'Unknown validation error';
+      issues.push(issue);
+
+      logger.debug(`Refining ${file.path} for task ${taskId}, iteration ${iterations}: ${issue}`);
+
+      const modification = [
+        'Исправь ошибки, найденные при проверке кода, не меняя его назначения.',
+        `Ошибка валидации: ${issue}`
+      ].join('\n');
+
+      const generation = await fileGenerator.modifyFile(
+        taskId,
+        null,
+        file.path,
+        modification,
+        current.content
+      );
+
+      // Если LLM не вернул код, дальнейшие итерации бессмысленны
+      if (!generation || !generation.content) {
+        logger.warn(`Refinement of ${file.path} for task ${taskId} returned no code`);
+        break;
+      }
+
+      current = {
+        ...current,
+        content: generation.content,
+        generationId: generation.generationId
+      };
+
+      validation = await codeValidator.validate(current.content, language);
+    }
+
+    return {
+      file: current,
+      refinement: {
+        path: file.path,
+        iterations,
+        refined: iterations > 0 && current.content !== file.content,
+        valid: !!validation.isValid,
+        issues
+      }
+    };
+  }
+}
+
+module.exports = CodeRefinerExecutor;
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Исполнитель шага "Генерация/обновление документации" (Documentation Update).
+ * Обновляет документацию для файлов, измененных задачей, с помощью
+ * DocumentationManager и сохраняет ее в репозиторий проекта.
+ */
+
+const path = require('path');
+const { StepExecutor } = require('../step-executor');
+const logger = require('../../../utils/logger');
+const appConfig = require('../../../config/app.config');
+const { DocumentationUpdaterResultSchema, StepInputSchema } = require('../contracts');
+const { DocumentationManager } = require('../../documentation-updater');
+const FileBasedCodeGenerator = require('../../code-generator/file-based-generator');
+
+/**
+ * Исполнитель шага "Генерация/обновление документации".
+ * @extends StepExecutor
+ */
+class DocumentationUpdaterExecutor extends StepExecutor {
+  /**
+   * Получает метаданные шага.
+   * @returns {Object} - Метаданные шага.
+   */
+  getMetadata() {
+    return {
+      name: 'documentationUpdater',
+      description: 'Generates or updates documentation for the files changed by the task',
+      timeout: 600000, // 10 минут
+      maxRetries: 2,
+      requiresLLM: true,
+      requiresGit: false,
+      requiresExecution: false,
+      inputSchema: StepInputSchema,
+      outputSchema: DocumentationUpdaterResultSchema
+    };
+  }
+
+  /**
+   * Выполняет шаг "Генерация/обновление документации".
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} input - Входные данные для шага.
+   * @param {Object} context - Контекст задачи.
+   * @returns {Promise<Object>} - Результат выполнения шага.
+   */
+  async execute(taskId, input, context) {
+    const startTime = Date.now();
+
+    // Логируем начало выполнения шага
+    this.logStepStart(taskId, input);
+
+    try {
+      // Валидируем входные данные
+      const validationResult = this.validateInput(input);
+      if (!validationResult.valid) {
+        const error = `Invalid input: ${validationResult.errors.join(', ')}`;
+        logger.error(`Step documentationUpdater for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      // Документируем только исходные файлы, тесты в документацию не попадают
+      const testPaths = new Set((input.testGenerator?.tests || context?.data?.generatedTests || []).map(test => test.path));
+      const files = (context?.data?.generatedFiles || input.codeGenerator?.generatedFiles || [])
+        .map(file => file.path)
+        .filter(filePath => !testPaths.has(filePath));
+
+      if (files.length === 0) {
+        const result = {
+          ...this.prepareBaseResult(true, null, ['No source files to document']),
+          documentedFiles: [],
+          savedFiles: [],
+          failedFiles: [],
+          summary: { documentedFiles: 0 }
+        };
+        result.duration = Date.now() - startTime;
+
+        this.logStepCompletion(taskId, result, result.duration);
+
+        return result;
+      }
+
+      const project = await new FileBasedCodeGenerator(input.projectId).getProjectInfo();
+
+      if (!project.repository_path) {
+        const error = `Project ${input.projectId} has no local repository to document`;
+        logger.error(`Step documentationUpdater for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      await this.sendProgressNotification(taskId, 10, `Updating documentation for ${files.length} files`);
+
+      const documentationManager = new DocumentationManager({ projectRoot: project.repository_path });
+      const outputDir = appConfig.orchestrator.documentation.outputDir;
+
+      const update = await documentationManager.updateDocumentation('HEAD', {
+        files,
+        include: Array.from(new Set(files.map(filePath => path.extname(filePath)))),
+        outputDir,
+        format: 'markdown'
+      });
+
+      if (update.status === 'error') {
+        logger.error(`Step documentationUpdater for task ${taskId} failed:`, update.error);
+
+        return this.prepareBaseResult(false, update.error);
+      }
+
+      const failedFiles = update.errors || [];
+      const savedFiles = (update.savedFiles || []).map(filePath => path.relative(project.repository_path, filePath));
+
+      // Сохраняем пути к документации, чтобы включить их в PR
+      if (this.contextManager) {
+        await this.contextManager.updateContext(taskId, 'data.documentationFiles', savedFiles);
+      }
+
+      const warnings = failedFiles.map(failure => `Documentation for ${failure.file} was not generated: ${failure.error}`);
+
+      // Подготавливаем результат
+      const result = {
+        ...this.prepareBaseResult(true, null, warnings),
+        documentedFiles: Object.keys(update.docs || {}),
+        savedFiles,
+        failedFiles,
+        summary: {
+          documentedFiles: Object.keys(update.docs || {}).length,
+          failedFiles: failedFiles.length,
+          outputDir
+        }
+      };
+
+      // Валидируем результат
+      const outputValidation = this.validateOutput(result);
+      if (!outputValidation.valid) {
+        const warning = `Output validation warnings: ${outputValidation.errors.join(', ')}`;
+        logger.warn(`Step documentationUpdater for task ${taskId} output validation:`, warning);
+
+        result.warnings.push(warning);
+      }
+
+      // Добавляем длительность выполнения
+      result.duration = Date.now() - startTime;
+
+      // Логируем завершение выполнения шага
+      this.logStepCompletion(taskId, result, result.duration);
+
+      return result;
+    } catch (error) {
+      logger.error(`Step documentationUpdater for task ${taskId} failed:`, error);
+
+      const result = this.prepareBaseResult(false, error.message);
+      result.duration = Date.now() - startTime;
+
+      return result;
+    }
+  }
+}
+
+module.exports = DocumentationUpdaterExecutor;
@@ -0,0 +1,320 @@
+/**
+ * @fileoverview Исполнитель шага "Исправление ошибок" (Error Correction).
+ * Собирает проблемы, найденные на шаге ревью или при анализе тестов,
+ * анализирует их с помощью error-corrector и применяет предложенные исправления
+ * к сгенерированным файлам. Каждая итерация исправлений фиксируется в истории задачи.
+ */
+
+const { StepExecutor } = require('../step-executor');
+const logger = require('../../../utils/logger');
+const { TASK_STATES } = require('../state-manager');
+const { ErrorCorrectorResultSchema, StepInputSchema } = require('../contracts');
+const errorCorrector = require('../../error-corrector');
+const FileBasedCodeGenerator = require('../../code-generator/file-based-generator');
+
+/**
+ * Уровни серьезности проблем, которые исправляются автоматически.
+ */
+const CORRECTABLE_SEVERITIES = ['critical', 'high', 'medium'];
+
+/**
+ * Количество измененных строк, начиная с которого изменения считаются значительными.
+ */
+const SIGNIFICANT_CHANGE_LINES = 20;
+
+/**
+ * Исполнитель шага "Исправление ошибок".
+ * @extends StepExecutor
+ */
+class ErrorCorrectorExecutor extends StepExecutor {
+  /**
+   * Получает метаданные шага.
+   * @returns {Object} - Метаданные шага.
+   */
+  getMetadata() {
+    return {
+      name: 'errorCorrector',
+      description: 'Analyzes issues found during review and applies automatic fixes',
+      timeout: 300000, // 5 минут
+      maxRetries: 2,
+      requiresLLM: true,
+      requiresGit: false,
+      requiresExecution: false,
+      inputSchema: StepInputSchema,
+      outputSchema: ErrorCorrectorResultSchema
+    };
+  }
+
+  /**
+   * Выполняет шаг "Исправление ошибок".
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} input - Входные данные для шага.
+   * @param {Object} context - Контекст задачи.
+   * @returns {Promise<Object>} - Результат выполнения шага.
+   */
+  async execute(taskId, input, context) {
+    const startTime = Date.now();
+
+    // Логируем начало выполнения шага
+    this.logStepStart(taskId, input);
+
+    try {
+      // Валидируем входные данные
+      const validationResult = this.validateInput(input);
+      if (!validationResult.valid) {
+        const error = `Invalid input: ${validationResult.errors.join(', ')}`;
+        logger.error(`Step errorCorrector for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      const files = context?.data?.generatedFiles ||
+        input.codeRefiner?.generatedFiles ||
+        input.codeGenerator?.generatedFiles ||
+        [];
+
+      if (files.length === 0) {
+        const error = 'No generated files to correct';
+        logger.error(`Step errorCorrector for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      // Группируем проблемы по файлам
+      const source = this._getIssueSource(input, context);
+      const issuesByFile = this._groupIssuesByFile(this._collectIssues(input, source));
+      const iteration = context?.data?.reviewLoop?.iteration || 0;
+      const fileGenerator = new FileBasedCodeGenerator(input.projectId);
+
+      const correctedFiles = [];
+      const corrections = [];
+
+      for (let i = 0; i < files.length; i++) {
+        const file = files[i];
+        const fileIssues = issuesByFile.get(file.path) || [];
+
+        if (fileIssues.length === 0) {
+          correctedFiles.push(file);
+          continue;
+        }
+
+        await this.sendProgressNotification(
+          taskId,
+          Math.round((i / files.length) * 90),
+          `Correcting ${fileIssues.length} issues in ${file.path}`
+        );
+
+        const correction = await this._correctFile(file, fileIssues);
+
+        if (correction.applied) {
+          // Сохраняем исправленный файл как новую генерацию и записываем его в репозиторий
+          const stored = await fileGenerator.storeFile(taskId, file.path, correction.fixedCode);
+
+          correctedFiles.push({
+            ...file,
+            content: correction.fixedCode,
+            generationId: stored.generationId
+          });
+        } else {
+          correctedFiles.push(file);
+        }
+
+        corrections.push({
+          path: file.path,
+          applied: correction.applied,
+          issues: fileIssues.length,
+          changedLines: correction.changedLines,
+          errorType: correction.errorType,
+          message: correction.message
+        });
+      }
+
+      const appliedCorrections = corrections.filter(correction => correction.applied);
+      const changedLines = appliedCorrections.reduce((sum, correction) => sum + correction.changedLines, 0);
+
+      // Обновляем набор файлов в контексте и фиксируем итерацию в истории
+      if (this.contextManager) {
+        await this.contextManager.updateContext(taskId, 'data.generatedFiles', correctedFiles);
+
+        // Падения тестов и замечания ревьюеров обработаны, повторно их исправлять не нужно
+        if (source === 'testAnalyzer') {
+          await this.contextManager.updateContext(taskId, 'data.testLoop.pendingFailures', false);
+        } else if (source === 'feedbackIntegrator') {
+          await this.contextManager.updateContext(taskId, 'data.feedback.pendingChanges', false);
+        }
+
+        await this.contextManager.addHistoryEntry(
+          taskId,
+          TASK_STATES.ERROR_CORRECTION,
+          `Error correction iteration ${iteration}: ${appliedCorrections.length} of ${corrections.length} files fixed`,
+          {
+            step: 'errorCorrector',
+            source,
+            iteration,
+            corrections: corrections.length,
+            applied: appliedCorrections.length,
+            changedLines
+          }
+        );
+      }
+
+      const warnings = corrections
+        .filter(correction => !correction.applied)
+        .map(correction => `Could not fix issues in ${correction.path}: ${correction.message}`);
+
+      // Подготавливаем результат
+      const result = {
+        ...this.prepareBaseResult(true, null, warnings),
+        generatedFiles: correctedFiles,
+        corrections,
+        // После любых исправлений код нужно проверить повторно
+        needsReview: appliedCorrections.length > 0,
+        significantChanges: changedLines >= SIGNIFICANT_CHANGE_LINES,
+        summary: {
+          iteration,
+          filesWithIssues: corrections.length,
+          filesFixed: appliedCorrections.length,
+          changedLines
+        }
+      };
+
+      // Валидируем результат
+      const outputValidation = this.validateOutput(result);
+      if (!outputValidation.valid) {
+        const warning = `Output validation warnings: ${outputValidation.errors.join(', ')}`;
+        logger.warn(`Step errorCorrector for task ${taskId} output validation:`, warning);
+
+        result.warnings.push(warning);
+      }
+
+      // Добавляем длительность выполнения
+      result.duration = Date.now() - startTime;
+
+      // Логируем завершение выполнения шага
+      this.logStepCompletion(taskId, result, result.duration);
+
+      return result;
+    } catch (error) {
+      logger.error(`Step errorCorrector for task ${taskId} failed:`, error);
+
+      const result = this.prepareBaseResult(false, error.message);
+      result.duration = Date.now() - startTime;
+
+      return result;
+    }
+  }
+
+  /**
+   * Определяет, по результатам какого шага вызвано исправление:
+   * интеграции обратной связи по PR, анализа тестов или ревью.
+   * @private
+   * @param {Object} input - Входные данные для шага.
+   * @param {Object} context - Контекст задачи.
+   * @returns {string} - Имя шага-источника проблем.
+   */
+  _getIssueSource(input, context) {
+    if (context?.data?.feedback?.pendingChanges && input.feedbackIntegrator) {
+      return 'feedbackIntegrator';
+    }
+
+    if (context?.data?.testLoop?.pendingFailures && input.testAnalyzer) {
+      return 'testAnalyzer';
+    }
+
+    return 'selfReflection';
+  }
+
+  /**
+   * Собирает проблемы, требующие исправления, из результатов предыдущих шагов.
+   * Если шаг вызван после анализа тестов, исправляются падения тестов,
+   * после интеграции обратной связи - замечания ревьюеров PR,
+   * иначе - проблемы, найденные на ревью.
+   * @private
+   * @param {Object} input - Входные данные для шага.
+   * @param {string} source - Имя шага-источника проблем.
+   * @returns {Array<Object>} - Проблемы { path, severity, message }.
+   */
+  _collectIssues(input, source) {
+    // Замечания ревьюеров исправляются независимо от серьезности
+    if (source === 'feedbackIntegrator') {
+      return (input.feedbackIntegrator.changes || []).filter(change => change.path);
+    }
+
+    if (source === 'testAnalyzer') {
+      return (input.testAnalyzer.failures || [])
+        .filter(failure => failure.sourcePath)
+        .map(failure => ({
+          path: failure.sourcePath,
+          severity: CORRECTABLE_SEVERITIES.includes(failure.severity) ? failure.severity : 'high',
+          message: `Failing test ${failure.testPath}: ${failure.message}`
+        }));
+    }
+
+    const reviewIssues = input.selfReflection?.issues || [];
+
+    return reviewIssues.filter(issue => CORRECTABLE_SEVERITIES.includes(issue.severity));
+  }
+
+  /**
+   * Группирует проблемы по файлам.
+   * @private
+   * @param {Array<Object>} issues - Проблемы.
+   * @returns {Map<string, Array<Object>>} - Проблемы, сгруппированные по пути файла.
+   */
+  _groupIssuesByFile(issues) {
+    const issuesByFile = new Map();
+
+    for (const issue of issues) {
+      if (!issue.path) {
+        continue;
+      }
+
+      if (!issuesByFile.has(issue.path)) {
+        issuesByFile.set(issue.path, []);
+      }
+
+      issuesByFile.get(issue.path).push(issue);
+    }
+
+    return issuesByFile;
+  }
+
+  /**
+   * Анализирует проблемы файла и применяет исправление.
+   * @private
+   * @param {Object} file - Сгенерированный файл.
+   * @param {Array<Object>} issues - Проблемы файла.
+   * @returns {Promise<Object>} - Результат исправления.
+   */
+  async _correctFile(file, issues) {
+    const options = { language: file.language, useLLM: true };
+
+    // Передаем проблемы одним сообщением, начиная с самых серьезных
+    const errorMessage = issues
+      .slice()
+      .sort((a, b) => CORRECTABLE_SEVERITIES.indexOf(a.severity) - CORRECTABLE_SEVERITIES.indexOf(b.severity))
+      .map(issue => `[${issue.severity}] ${issue.message}${issue.location && issue.location !== 'unknown' ? ` (${JSON.stringify(issue.location)})` : ''}`)
+      .join('\n');
+
+    const analysis = await errorCorrector.analyzeError(errorMessage, file.content, options);
+    let applied = await errorCorrector.applyFix(file.content, analysis.fix || {}, options);
+
+    // Если предложенное исправление не применилось, запрашиваем новое по готовой классификации
+    if (!applied.success && analysis.errorInfo) {
+      logger.debug(`First fix for ${file.path} was not applicable, requesting another suggestion`);
+
+      const fix = await errorCorrector.suggestAutoFix(analysis.errorInfo, file.content, options);
+      applied = await errorCorrector.applyFix(file.content, fix, options);
+    }
+
+    return {
+      applied: !!applied.success,
+      fixedCode: applied.fixedCode,
+      changedLines: applied.success && Array.isArray(applied.changes) ? applied.changes.length : 0,
+      errorType: analysis.errorInfo?.type || 'unknown',
+      message: applied.message || ''
+    };
+  }
+}
+
+module.exports = ErrorCorrectorExecutor;
@@ -0,0 +1,283 @@
+/**
+ * @fileoverview Исполнитель шага "Интеграция обратной связи" (Feedback Integration).
+ * Анализирует комментарии ревьюеров к Pull Request с помощью feedback-system
+ * и превращает замечания, требующие действий, в список изменений для шага
+ * исправления ошибок. Обработанные комментарии переносятся в историю PR.
+ */
+
+const { StepExecutor } = require('../step-executor');
+const logger = require('../../../utils/logger');
+const { TASK_STATES } = require('../state-manager');
+const { FeedbackIntegratorResultSchema, StepInputSchema } = require('../contracts');
+const feedbackSystem = require('../../feedback-system');
+
+/**
+ * Соответствие серьезности из анализа комментариев серьезности замечаний ревью.
+ */
+const SEVERITY_MAP = {
+  'критическая': 'critical',
+  critical: 'critical',
+  'важная': 'high',
+  high: 'high',
+  major: 'high',
+  'незначительная': 'low',
+  minor: 'low',
+  low: 'low',
+  'информационная': 'info',
+  info: 'info'
+};
+
+/**
+ * Исполнитель шага "Интеграция обратной связи".
+ * @extends StepExecutor
+ */
+class FeedbackIntegratorExecutor extends StepExecutor {
+  /**
+   * Получает метаданные шага.
+   * @returns {Object} - Метаданные шага.
+   */
+  getMetadata() {
+    return {
+      name: 'feedbackIntegrator',
+      description: 'Turns pull request review comments into code changes',
+      timeout: 300000, // 5 минут
+      maxRetries: 2,
+      requiresLLM: true,
+      requiresGit: false,
+      requiresExecution: false,
+      inputSchema: StepInputSchema,
+      outputSchema: FeedbackIntegratorResultSchema
+    };
+  }
+
+  /**
+   * Выполняет шаг "Интеграция обратной связи".
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} input - Входные данные для шага.
+   * @param {Object} context - Контекст задачи.
+   * @returns {Promise<Object>} - Результат выполнения шага.
+   */
+  async execute(taskId, input, context) {
+    const startTime = Date.now();
+
+    // Логируем начало выполнения шага
+    this.logStepStart(taskId, input);
+
+    try {
+      // Валидируем входные данные
+      const validationResult = this.validateInput(input);
+      if (!validationResult.valid) {
+        const error = `Invalid input: ${validationResult.errors.join(', ')}`;
+        logger.error(`Step feedbackIntegrator for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      const pullRequest = context?.data?.pullRequest || {};
+      const comments = pullRequest.reviewComments || input.prManager?.reviewComments || [];
+      const files = context?.data?.generatedFiles || [];
+
+      await this.sendProgressNotification(taskId, 10, `Analyzing ${comments.length} review comments`);
+
+      const changes = [];
+      const warnings = [];
+      const commentsByFile = this._groupCommentsByFile(comments);
+
+      for (const [filePath, fileComments] of commentsByFile) {
+        try {
+          const file = filePath ? files.find(f => f.path === filePath) : null;
+          const fileChanges = await this._analyzeComments(filePath, fileComments, file);
+
+          changes.push(...fileChanges);
+        } catch (error) {
+          // Замечания не должны теряться из-за сбоя анализа: каждое считается требующим исправления
+          logger.warn(`Failed to analyze review comments for ${filePath || 'pull request'} in task ${taskId}:`, error);
+          warnings.push(`Review comments for ${filePath || 'pull request'} were not analyzed, treating each as a change: ${error.message}`);
+
+          changes.push(...fileComments.map(comment => this._toChange(filePath, comment, comment.body, 'medium')));
+        }
+      }
+
+      // Исправления выполняются только для замечаний, привязанных к файлам задачи
+      const codeChanges = changes.filter(change => change.path && files.some(f => f.path === change.path));
+      const requiresCodeChanges = codeChanges.length > 0;
+
+      await this.sendProgressNotification(taskId, 80, 'Recording processed review comments');
+
+      await this._recordFeedback(taskId, context, pullRequest, comments, codeChanges);
+
+      // Подготавливаем результат
+      const result = {
+        ...this.prepareBaseResult(true, null, warnings),
+        processedComments: comments.length,
+        changes,
+        requiresCodeChanges,
+        requiresPrUpdate: false,
+        summary: {
+          processedComments: comments.length,
+          changes: changes.length,
+          codeChanges: codeChanges.length
+        }
+      };
+
+      // Валидируем результат
+      const outputValidation = this.validateOutput(result);
+      if (!outputValidation.valid) {
+        const warning = `Output validation warnings: ${outputValidation.errors.join(', ')}`;
+        logger.warn(`Step feedbackIntegrator for task ${taskId} output validation:`, warning);
+
+        result.warnings.push(warning);
+      }
+
+      // Добавляем длительность выполнения
+      result.duration = Date.now() - startTime;
+
+      // Логируем завершение выполнения шага
+      this.logStepCompletion(taskId, result, result.duration);
+
+      return result;
+    } catch (error) {
+      logger.error(`Step feedbackIntegrator for task ${taskId} failed:`, error);
+
+      const result = this.prepareBaseResult(false, error.message);
+      result.duration = Date.now() - startTime;
+
+      return result;
+    }
+  }
+
+  /**
+   * Группирует комментарии по файлам. Общие комментарии к PR попадают в группу null.
+   * @private
+   * @param {Array<Object>} comments - Комментарии ревьюеров.
+   * @returns {Map<string|null, Array<Object>>} - Комментарии по файлам.
+   */
+  _groupCommentsByFile(comments) {
+    const groups = new Map();
+
+    for (const comment of comments) {
+      const key = comment.path || null;
+
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+
+      groups.get(key).push(comment);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Анализирует комментарии к одному файлу и извлекает требуемые изменения.
+   * @private
+   * @param {string|null} filePath - Путь к файлу или null для общих комментариев.
+   * @param {Array<Object>} comments - Комментарии к файлу.
+   * @param {Object|null} file - Сгенерированный файл задачи.
+   * @returns {Promise<Array<Object>>} - Требуемые изменения.
+   */
+  async _analyzeComments(filePath, comments, file) {
+    const analysis = await feedbackSystem.processCodeComments({
+      comments: comments.map((comment, index) => ({
+        id: comment.id !== undefined ? comment.id : index,
+        user: comment.author || 'reviewer',
+        lineNumber: comment.line || null,
+        text: comment.body
+      })),
+      fileContent: file ? file.content : null,
+      filePath
+    });
+
+    const commentAnalysis = analysis.structuredAnalysis?.commentAnalysis;
+
+    // Без структурированного анализа каждое замечание считается требующим исправления
+    if (!Array.isArray(commentAnalysis)) {
+      return comments.map(comment => this._toChange(filePath, comment, comment.body, 'medium'));
+    }
+
+    return commentAnalysis
+      .filter(item => item.requiresAction)
+      .map(item => {
+        const comment = comments.find(c => String(c.id) === String(item.commentId)) ||
+          comments[Number(item.commentId)] ||
+          {};
+        const message = item.suggestedChanges
+          ? `${item.summary}. Suggested change: ${item.suggestedChanges}`
+          : item.summary || comment.body;
+
+        return this._toChange(filePath, comment, message, SEVERITY_MAP[String(item.severity).toLowerCase()] || 'medium');
+      });
+  }
+
+  /**
+   * Приводит замечание ревьюера к формату замечания ревью.
+   * @private
+   * @param {string|null} filePath - Путь к файлу.
+   * @param {Object} comment - Исходный комментарий.
+   * @param {string} message - Текст замечания.
+   * @param {string} severity - Серьезность замечания.
+   * @returns {Object} - Замечание.
+   */
+  _toChange(filePath, comment, message, severity) {
+    const change = {
+      type: 'review-comment',
+      severity,
+      message: message || ''
+    };
+
+    if (filePath) {
+      change.path = filePath;
+    }
+
+    if (comment.line) {
+      change.location = { line: comment.line };
+    }
+
+    return change;
+  }
+
+  /**
+   * Сохраняет результат обработки комментариев в контексте задачи:
+   * изменения для шага исправления и историю обработанных комментариев.
+   * @private
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} context - Контекст задачи.
+   * @param {Object} pullRequest - PR из контекста задачи.
+   * @param {Array<Object>} comments - Обработанные комментарии.
+   * @param {Array<Object>} codeChanges - Изменения, требующие исправления кода.
+   * @returns {Promise<void>}
+   */
+  async _recordFeedback(taskId, context, pullRequest, comments, codeChanges) {
+    if (!this.contextManager) {
+      return;
+    }
+
+    const iteration = (context?.data?.feedback?.iteration || 0) + 1;
+
+    await this.contextManager.updateContext(taskId, 'data.feedback', {
+      iteration,
+      pendingChanges: codeChanges.length > 0
+    });
+
+    await this.contextManager.updateContext(taskId, 'data.pullRequest', {
+      ...pullRequest,
+      reviewComments: [],
+      processedComments: [...(pullRequest.processedComments || []), ...comments],
+      // Если исправлять нечего, снова ожидаем ревью
+      awaitingReview: codeChanges.length === 0 && !pullRequest.merged
+    });
+
+    await this.contextManager.addHistoryEntry(
+      taskId,
+      TASK_STATES.FEEDBACK_INTEGRATION,
+      `Processed ${comments.length} review comments, ${codeChanges.length} changes required`,
+      {
+        step: 'feedbackIntegrator',
+        iteration,
+        changes: codeChanges.length
+      }
+    );
+  }
+}
+
+module.exports = FeedbackIntegratorExecutor;
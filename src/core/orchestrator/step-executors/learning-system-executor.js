@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Исполнитель шага "Обучение и обновление знаний" (Learning Update).
+ * Сохраняет решение задачи в векторное хранилище через solution-analyzer,
+ * а также уроки, извлеченные из ревью и тестов, чтобы использовать их
+ * при решении похожих задач.
+ */
+
+const { StepExecutor } = require('../step-executor');
+const logger = require('../../../utils/logger');
+const { LearningSystemResultSchema, StepInputSchema } = require('../contracts');
+const solutionAnalyzer = require('../../learning-system/solution-analyzer');
+const { getVectorStore } = require('../../learning-system/vector-store');
+const { getEmbeddingGenerator } = require('../../learning-system/embedding-generator');
+
+/**
+ * Исполнитель шага "Обучение и обновление знаний".
+ * @extends StepExecutor
+ */
+class LearningSystemExecutor extends StepExecutor {
+  /**
+   * Получает метаданные шага.
+   * @returns {Object} - Метаданные шага.
+   */
+  getMetadata() {
+    return {
+      name: 'learningSystem',
+      description: 'Stores the task solution and lessons learned in the knowledge base',
+      timeout: 300000, // 5 минут
+      maxRetries: 2,
+      requiresLLM: true,
+      requiresGit: false,
+      requiresExecution: false,
+      inputSchema: StepInputSchema,
+      outputSchema: LearningSystemResultSchema
+    };
+  }
+
+  /**
+   * Выполняет шаг "Обучение и обновление знаний".
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} input - Входные данные для шага.
+   * @param {Object} context - Контекст задачи.
+   * @returns {Promise<Object>} - Результат выполнения шага.
+   */
+  async execute(taskId, input, context) {
+    const startTime = Date.now();
+
+    // Логируем начало выполнения шага
+    this.logStepStart(taskId, input);
+
+    try {
+      // Валидируем входные данные
+      const validationResult = this.validateInput(input);
+      if (!validationResult.valid) {
+        const error = `Invalid input: ${validationResult.errors.join(', ')}`;
+        logger.error(`Step learningSystem for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      const files = context?.data?.generatedFiles || input.codeGenerator?.generatedFiles || [];
+
+      if (files.length === 0) {
+        const error = 'No solution files to learn from';
+        logger.error(`Step learningSystem for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      await this.sendProgressNotification(taskId, 10, 'Analyzing and storing solution');
+
+      const successRating = this._calculateSuccessRating(input);
+      const solution = files
+        .map(file => `// File: ${file.path}\n${file.content}`)
+        .join('\n\n');
+
+      const analysis = await solutionAnalyzer.analyzeSolution(
+        {
+          id: String(taskId),
+          title: input.task?.title,
+          description: input.task?.description,
+          type: input.task?.type,
+          tags: ['orchestrator']
+        },
+        solution,
+        {
+          projectId: input.projectId,
+          files,
+          technologies: input.technologySuggester?.recommendedTechnologies || []
+        },
+        {
+          taskId,
+          source: 'orchestrator',
+          successRating,
+          // Контекст проекта индексируется отдельно, здесь сохраняем только решение
+          storeProjectContext: false
+        }
+      );
+
+      const warnings = [];
+      if (!analysis.success) {
+        // Ошибка обучения не должна блокировать подготовку PR
+        warnings.push(`Solution was not stored: ${analysis.error}`);
+      }
+
+      await this.sendProgressNotification(taskId, 60, 'Storing lessons learned');
+
+      const lessonsStored = await this._storeLessons(taskId, input, context);
+
+      // Подготавливаем результат
+      const result = {
+        ...this.prepareBaseResult(true, null, warnings),
+        solutionStored: !!analysis.success,
+        solutionId: analysis.success ? String(analysis.id) : null,
+        successRating,
+        lessonsStored,
+        analysis: analysis.analysis || null,
+        summary: {
+          solutionStored: !!analysis.success,
+          successRating,
+          lessonsStored
+        }
+      };
+
+      // Валидируем результат
+      const outputValidation = this.validateOutput(result);
+      if (!outputValidation.valid) {
+        const warning = `Output validation warnings: ${outputValidation.errors.join(', ')}`;
+        logger.warn(`Step learningSystem for task ${taskId} output validation:`, warning);
+
+        result.warnings.push(warning);
+      }
+
+      // Добавляем длительность выполнения
+      result.duration = Date.now() - startTime;
+
+      // Логируем завершение выполнения шага
+      this.logStepCompletion(taskId, result, result.duration);
+
+      return result;
+    } catch (error) {
+      logger.error(`Step learningSystem for task ${taskId} failed:`, error);
+
+      const result = this.prepareBaseResult(false, error.message);
+      result.duration = Date.now() - startTime;
+
+      return result;
+    }
+  }
+
+  /**
+   * Вычисляет оценку успешности решения по результатам ревью и тестов.
+   * @private
+   * @param {Object} input - Входные данные для шага.
+   * @returns {number} - Оценка (0-1).
+   */
+  _calculateSuccessRating(input) {
+    const ratings = [];
+
+    if (typeof input.selfReflection?.score === 'number') {
+      ratings.push(input.selfReflection.score);
+    }
+
+    if (typeof input.testAnalyzer?.gates?.passRate?.actual === 'number') {
+      ratings.push(input.testAnalyzer.gates.passRate.actual);
+    }
+
+    if (ratings.length === 0) {
+      return 0.5;
+    }
+
+    return Math.round((ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length) * 100) / 100;
+  }
+
+  /**
+   * Сохраняет уроки, извлеченные из ревью и анализа тестов, в контекст проекта.
+   * @private
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} input - Входные данные для шага.
+   * @param {Object} context - Контекст задачи.
+   * @returns {Promise<number>} - Количество сохраненных уроков.
+   */
+  async _storeLessons(taskId, input, context) {
+    const lessons = [];
+
+    const reviewIssues = (input.selfReflection?.issues || [])
+      .filter(issue => issue.severity === 'critical' || issue.severity === 'high');
+
+    if (reviewIssues.length > 0) {
+      lessons.push({
+        type: 'review',
+        text: [
+          `Review issues found while solving task "${input.task?.title || taskId}":`,
+          ...reviewIssues.map(issue => `- [${issue.severity}] ${issue.path}: ${issue.message}`)
+        ].join('\n'),
+        iterations: context?.data?.reviewLoop?.iteration || 0
+      });
+    }
+
+    const testFailures = input.testAnalyzer?.failures || [];
+
+    if (testFailures.length > 0) {
+      lessons.push({
+        type: 'tests',
+        text: [
+          `Test failures found while solving task "${input.task?.title || taskId}":`,
+          ...testFailures.map(failure => `- ${failure.testPath} (${failure.errorType}): ${failure.message}`)
+        ].join('\n'),
+        iterations: context?.data?.testLoop?.iteration || 0
+      });
+    }
+
+    if (lessons.length === 0 || !input.projectId) {
+      return 0;
+    }
+
+    const vectorStore = getVectorStore();
+    const embeddingGenerator = getEmbeddingGenerator();
+    let stored = 0;
+
+    for (const lesson of lessons) {
+      try {
+        const embedding = await embeddingGenerator.generateEmbedding(lesson.text);
+
+        await vectorStore.storeItem('projectContext', {
+          id: `${input.projectId}-task-${taskId}-${lesson.type}`,
+          project_id: String(input.projectId),
+          content_chunk: lesson.text,
+          source_file: `task:${taskId}`,
+          chunk_type: 'lesson',
+          metadata: {
+            taskId,
+            lessonType: lesson.type,
+            iterations: lesson.iterations
+          }
+        }, embedding);
+
+        stored++;
+      } catch (error) {
+        logger.warn(`Failed to store ${lesson.type} lesson for task ${taskId}:`, error);
+      }
+    }
+
+    return stored;
+  }
+}
+
+module.exports = LearningSystemExecutor;
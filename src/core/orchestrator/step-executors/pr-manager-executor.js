@@ -0,0 +1,344 @@
+/**
+ * @fileoverview Исполнитель шага "Подготовка Pull Request" (PR Preparation).
+ * Коммитит изменения задачи в отдельную ветку, формирует описание и чеклист
+ * для ревью и создает PR через PRManager. При повторном выполнении (после
+ * интеграции обратной связи) отправляет новые изменения в существующий PR.
+ * Информация о PR сохраняется в контексте задачи (data.pullRequest), куда
+ * затем поступают комментарии ревьюеров и отметка о слиянии.
+ */
+
+const { StepExecutor } = require('../step-executor');
+const logger = require('../../../utils/logger');
+const appConfig = require('../../../config/app.config');
+const { PRManagerResultSchema, StepInputSchema } = require('../contracts');
+const PRManager = require('../../vcs-manager/pr-manager');
+const GitService = require('../../vcs-manager/gitService');
+const FileBasedCodeGenerator = require('../../code-generator/file-based-generator');
+
+/**
+ * Исполнитель шага "Подготовка Pull Request".
+ * @extends StepExecutor
+ */
+class PRManagerExecutor extends StepExecutor {
+  /**
+   * Получает метаданные шага.
+   * @returns {Object} - Метаданные шага.
+   */
+  getMetadata() {
+    return {
+      name: 'prManager',
+      description: 'Commits task changes to a branch and creates or updates a pull request',
+      timeout: 600000, // 10 минут
+      maxRetries: 2,
+      requiresLLM: true,
+      requiresGit: true,
+      requiresExecution: false,
+      inputSchema: StepInputSchema,
+      outputSchema: PRManagerResultSchema
+    };
+  }
+
+  /**
+   * Выполняет шаг "Подготовка Pull Request".
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} input - Входные данные для шага.
+   * @param {Object} context - Контекст задачи.
+   * @returns {Promise<Object>} - Результат выполнения шага.
+   */
+  async execute(taskId, input, context) {
+    const startTime = Date.now();
+
+    // Логируем начало выполнения шага
+    this.logStepStart(taskId, input);
+
+    try {
+      // Валидируем входные данные
+      const validationResult = this.validateInput(input);
+      if (!validationResult.valid) {
+        const error = `Invalid input: ${validationResult.errors.join(', ')}`;
+        logger.error(`Step prManager for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      const existing = context?.data?.pullRequest || null;
+
+      // PR уже слит - фиксируем это без повторной работы с репозиторием
+      if (existing && existing.merged) {
+        return this._completeResult(taskId, startTime, {
+          ...this.prepareBaseResult(true),
+          prCreated: false,
+          prUpdated: false,
+          merged: true,
+          waitForReview: false,
+          pullRequest: this._describePullRequest(existing),
+          reviewComments: [],
+          checklist: null,
+          summary: { merged: true, url: existing.url || null }
+        });
+      }
+
+      const project = await new FileBasedCodeGenerator(input.projectId).getProjectInfo();
+
+      if (!project.repository_path) {
+        const error = `Project ${input.projectId} has no local repository to create a pull request from`;
+        logger.error(`Step prManager for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      const prConfig = appConfig.orchestrator.pullRequests;
+      const baseBranch = existing?.baseBranch || context?.data?.baseBranch || prConfig.baseBranch;
+      const headBranch = existing?.headBranch || `${prConfig.branchPrefix}${taskId}`;
+      const changedFiles = this._collectChangedFiles(context);
+
+      if (changedFiles.length === 0) {
+        const error = 'No changed files to include in the pull request';
+        logger.error(`Step prManager for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      await this.sendProgressNotification(taskId, 10, `Committing ${changedFiles.length} files to ${headBranch}`);
+
+      const gitService = new GitService(project.repository_path);
+
+      if (existing) {
+        await gitService.checkout(headBranch);
+      } else {
+        await gitService.createBranch(headBranch, true);
+      }
+
+      await gitService.add(changedFiles);
+      const commit = await gitService.commit(this._buildCommitMessage(taskId, input, !!existing));
+
+      const prManager = new PRManager(project.repository_path, project.repository_url);
+      const warnings = [];
+
+      await this.sendProgressNotification(taskId, 40, 'Generating review checklist');
+
+      const checklist = await this._generateChecklist(prManager, {
+        baseBranch,
+        headBranch,
+        taskId,
+        projectId: input.projectId,
+        changedFiles,
+        repositoryUrl: project.repository_url
+      }, warnings);
+
+      let pullRequest;
+
+      if (existing) {
+        await this.sendProgressNotification(taskId, 70, `Updating pull request #${existing.number}`);
+
+        await gitService.push('origin', headBranch);
+        await prManager.addPRComment(
+          existing.number,
+          `Review feedback has been addressed${commit.commit ? ` in ${commit.commit}` : ''}.`
+        );
+
+        pullRequest = this._describePullRequest(existing);
+      } else {
+        await this.sendProgressNotification(taskId, 70, 'Creating pull request');
+
+        const description = await prManager.generatePRDescription({
+          baseBranch,
+          headBranch,
+          taskId,
+          taskTitle: input.task?.title,
+          taskDescription: input.task?.description,
+          repositoryUrl: project.repository_url,
+          includeChangeList: true
+        });
+
+        const creation = await prManager.createPR({
+          baseBranch,
+          headBranch,
+          title: `[Task #${taskId}] ${input.task?.title || 'Automated changes'}`,
+          body: checklist ? `${description}\n\n## Review checklist\n\n${checklist.general}` : description,
+          taskId,
+          taskTitle: input.task?.title
+        });
+
+        if (!creation.success) {
+          logger.error(`Step prManager for task ${taskId} failed:`, creation.message);
+
+          const result = this.prepareBaseResult(false, creation.message);
+          result.conflicts = creation.conflicts || [];
+          result.duration = Date.now() - startTime;
+
+          return result;
+        }
+
+        pullRequest = {
+          id: creation.id,
+          number: creation.number,
+          url: creation.url,
+          baseBranch,
+          headBranch
+        };
+      }
+
+      const merged = await this._isMerged(prManager, pullRequest, warnings);
+      const waitForReview = !merged && prConfig.waitForReview;
+
+      // Комментарии, полученные до завершения шага, передаются на интеграцию обратной связи
+      const reviewComments = existing?.reviewComments || [];
+
+      if (this.contextManager) {
+        await this.contextManager.updateContext(taskId, 'data.pullRequest', {
+          ...pullRequest,
+          merged,
+          awaitingReview: waitForReview && reviewComments.length === 0,
+          reviewComments,
+          processedComments: existing?.processedComments || []
+        });
+      }
+
+      // Подготавливаем результат
+      const result = {
+        ...this.prepareBaseResult(true, null, warnings),
+        prCreated: !existing,
+        prUpdated: !!existing,
+        merged,
+        waitForReview,
+        pullRequest,
+        reviewComments,
+        checklist,
+        summary: {
+          url: pullRequest.url,
+          headBranch,
+          baseBranch,
+          commit: commit.commit || null,
+          merged
+        }
+      };
+
+      return this._completeResult(taskId, startTime, result);
+    } catch (error) {
+      logger.error(`Step prManager for task ${taskId} failed:`, error);
+
+      const result = this.prepareBaseResult(false, error.message);
+      result.duration = Date.now() - startTime;
+
+      return result;
+    }
+  }
+
+  /**
+   * Валидирует результат, добавляет длительность и логирует завершение шага.
+   * @private
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {number} startTime - Время начала выполнения шага.
+   * @param {Object} result - Результат шага.
+   * @returns {Object} - Результат шага.
+   */
+  _completeResult(taskId, startTime, result) {
+    // Валидируем результат
+    const outputValidation = this.validateOutput(result);
+    if (!outputValidation.valid) {
+      const warning = `Output validation warnings: ${outputValidation.errors.join(', ')}`;
+      logger.warn(`Step prManager for task ${taskId} output validation:`, warning);
+
+      result.warnings.push(warning);
+    }
+
+    // Добавляем длительность выполнения
+    result.duration = Date.now() - startTime;
+
+    // Логируем завершение выполнения шага
+    this.logStepCompletion(taskId, result, result.duration);
+
+    return result;
+  }
+
+  /**
+   * Собирает пути всех файлов, измененных задачей: код, тесты и документацию.
+   * @private
+   * @param {Object} context - Контекст задачи.
+   * @returns {Array<string>} - Уникальные пути файлов относительно репозитория.
+   */
+  _collectChangedFiles(context) {
+    const data = context?.data || {};
+    const paths = [
+      ...(data.generatedFiles || []).map(file => file.path),
+      ...(data.generatedTests || []).map(test => test.path),
+      ...(data.documentationFiles || [])
+    ];
+
+    return Array.from(new Set(paths.filter(Boolean)));
+  }
+
+  /**
+   * Формирует сообщение коммита.
+   * @private
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} input - Входные данные для шага.
+   * @param {boolean} isUpdate - Коммит вносит исправления по ревью.
+   * @returns {string} - Сообщение коммита.
+   */
+  _buildCommitMessage(taskId, input, isUpdate) {
+    const title = input.task?.title || 'Automated changes';
+
+    return isUpdate
+      ? `Task #${taskId}: address review feedback`
+      : `Task #${taskId}: ${title}`;
+  }
+
+  /**
+   * Генерирует чеклист для ревью. Ошибка генерации не блокирует создание PR.
+   * @private
+   * @param {PRManager} prManager - Менеджер PR.
+   * @param {Object} options - Опции для генерации чеклиста.
+   * @param {Array<string>} warnings - Список предупреждений шага.
+   * @returns {Promise<Object|null>} - Чеклист или null.
+   */
+  async _generateChecklist(prManager, options, warnings) {
+    try {
+      return await prManager.generateReviewChecklist(options);
+    } catch (error) {
+      logger.warn(`Review checklist was not generated for task ${options.taskId}:`, error);
+      warnings.push(`Review checklist was not generated: ${error.message}`);
+
+      return null;
+    }
+  }
+
+  /**
+   * Проверяет, слит ли PR, по данным хостинга.
+   * @private
+   * @param {PRManager} prManager - Менеджер PR.
+   * @param {Object} pullRequest - Информация о PR.
+   * @param {Array<string>} warnings - Список предупреждений шага.
+   * @returns {Promise<boolean>} - true, если PR слит.
+   */
+  async _isMerged(prManager, pullRequest, warnings) {
+    try {
+      const info = await prManager.getPRInfo(pullRequest.number);
+
+      return !!(info.pr && (info.pr.merged || info.pr.state === 'merged'));
+    } catch (error) {
+      warnings.push(`Pull request status is unknown: ${error.message}`);
+
+      return false;
+    }
+  }
+
+  /**
+   * Оставляет только публичные поля PR из контекста задачи.
+   * @private
+   * @param {Object} pullRequest - PR из контекста задачи.
+   * @returns {Object} - Описание PR.
+   */
+  _describePullRequest(pullRequest) {
+    return {
+      id: pullRequest.id,
+      number: pullRequest.number,
+      url: pullRequest.url || null,
+      baseBranch: pullRequest.baseBranch,
+      headBranch: pullRequest.headBranch
+    };
+  }
+}
+
+module.exports = PRManagerExecutor;
@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Исполнитель шага "Саморефлексия и ревью кода" (Self Review).
+ * Проверяет сгенерированные файлы с помощью SelfReflectionSystem и CodeReviewer,
+ * вычисляет общую оценку и фиксирует каждую итерацию цикла ревью/исправления
+ * в контексте задачи. Решение о переходе к исправлению ошибок принимает
+ * TransitionManager на основе оценки и лимита итераций.
+ */
+
+const { StepExecutor } = require('../step-executor');
+const logger = require('../../../utils/logger');
+const { TASK_STATES } = require('../state-manager');
+const { SelfReflectionResultSchema, StepInputSchema } = require('../contracts');
+const selfReflectionSystem = require('../../self-reflection-system');
+const codeReviewer = require('../../self-reflection-system/code-reviewer');
+const CodeValidator = require('../../code-generator/code-validator');
+
+/**
+ * Допустимые уровни серьезности проблем.
+ */
+const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+/**
+ * Исполнитель шага "Саморефлексия и ревью кода".
+ * @extends StepExecutor
+ */
+class SelfReflectionExecutor extends StepExecutor {
+  /**
+   * Получает метаданные шага.
+   * @returns {Object} - Метаданные шага.
+   */
+  getMetadata() {
+    return {
+      name: 'selfReflection',
+      description: 'Reviews generated code for validity, quality, security and best practices',
+      timeout: 300000, // 5 минут
+      maxRetries: 2,
+      requiresLLM: true,
+      requiresGit: false,
+      requiresExecution: false,
+      inputSchema: StepInputSchema,
+      outputSchema: SelfReflectionResultSchema
+    };
+  }
+
+  /**
+   * Выполняет шаг "Саморефлексия и ревью кода".
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} input - Входные данные для шага.
+   * @param {Object} context - Контекст задачи.
+   * @returns {Promise<Object>} - Результат выполнения шага.
+   */
+  async execute(taskId, input, context) {
+    const startTime = Date.now();
+
+    // Логируем начало выполнения шага
+    this.logStepStart(taskId, input);
+
+    try {
+      // Валидируем входные данные
+      const validationResult = this.validateInput(input);
+      if (!validationResult.valid) {
+        const error = `Invalid input: ${validationResult.errors.join(', ')}`;
+        logger.error(`Step selfReflection for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      // Ревьюим актуальную версию файлов (после уточнения и исправлений)
+      const files = context?.data?.generatedFiles ||
+        input.codeRefiner?.generatedFiles ||
+        input.codeGenerator?.generatedFiles ||
+        [];
+
+      if (files.length === 0) {
+        const error = 'No generated files to review';
+        logger.error(`Step selfReflection for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      const iteration = (context?.data?.reviewLoop?.iteration || 0) + 1;
+
+      const reviews = [];
+      const issues = [];
+
+      for (let i = 0; i < files.length; i++) {
+        await this.sendProgressNotification(
+          taskId,
+          Math.round((i / files.length) * 90),
+          `Reviewing ${files[i].path} (iteration ${iteration})`
+        );
+
+        const review = await this._reviewFile(files[i]);
+
+        reviews.push({
+          path: files[i].path,
+          score: review.score,
+          passed: review.passed,
+          summary: review.summary
+        });
+
+        for (const issue of review.issues) {
+          issues.push(this._normalizeIssue(issue, files[i].path));
+        }
+      }
+
+      // Общая оценка - среднее по файлам, нормализованное к диапазону 0-1
+      const score = reviews.reduce((sum, review) => sum + review.score, 0) / reviews.length / 100;
+      const errorsFound = issues.some(issue => issue.severity === 'critical');
+      const issuesFound = errorsFound || issues.some(issue => issue.severity === 'high');
+
+      // Фиксируем итерацию цикла ревью в контексте и истории
+      await this._recordIteration(taskId, iteration, score, issues);
+
+      // Подготавливаем результат
+      const result = {
+        ...this.prepareBaseResult(true),
+        score: Math.round(score * 100) / 100,
+        iteration,
+        issuesFound,
+        errorsFound,
+        issues,
+        reviews,
+        summary: {
+          iteration,
+          score: Math.round(score * 100) / 100,
+          files: reviews.length,
+          issues: issues.length,
+          critical: issues.filter(issue => issue.severity === 'critical').length,
+          high: issues.filter(issue => issue.severity === 'high').length
+        }
+      };
+
+      // Валидируем результат
+      const outputValidation = this.validateOutput(result);
+      if (!outputValidation.valid) {
+        const warning = `Output validation warnings: ${outputValidation.errors.join(', ')}`;
+        logger.warn(`Step selfReflection for task ${taskId} output validation:`, warning);
+
+        result.warnings.push(warning);
+      }
+
+      // Добавляем длительность выполнения
+      result.duration = Date.now() - startTime;
+
+      // Логируем завершение выполнения шага
+      this.logStepCompletion(taskId, result, result.duration);
+
+      return result;
+    } catch (error) {
+      logger.error(`Step selfReflection for task ${taskId} failed:`, error);
+
+      const result = this.prepareBaseResult(false, error.message);
+      result.duration = Date.now() - startTime;
+
+      return result;
+    }
+  }
+
+  /**
+   * Выполняет ревью одного файла.
+   * Если файл сохранен как генерация, используется полная самопроверка
+   * SelfReflectionSystem, иначе - проверки CodeReviewer по содержимому.
+   * @private
+   * @param {Object} file - Сгенерированный файл.
+   * @returns {Promise<Object>} - Результат ревью { score, passed, summary, issues }.
+   */
+  async _reviewFile(file) {
+    if (file.generationId) {
+      try {
+        const reflection = await selfReflectionSystem.performSelfReflection(file.generationId);
+
+        return {
+          score: reflection.score,
+          passed: reflection.passed,
+          summary: reflection.summary,
+          issues: reflection.allIssues || []
+        };
+      } catch (error) {
+        logger.warn(`Self-reflection for generation #${file.generationId} failed, reviewing content directly:`, error);
+      }
+    }
+
+    return this._reviewContent(file);
+  }
+
+  /**
+   * Выполняет ревью содержимого файла без обращения к сохраненной генерации.
+   * @private
+   * @param {Object} file - Сгенерированный файл.
+   * @returns {Promise<Object>} - Результат ревью { score, passed, summary, issues }.
+   */
+  async _reviewContent(file) {
+    const language = file.language || selfReflectionSystem.detectLanguageFromFilePath(file.path);
+    const fileType = selfReflectionSystem.detectFileType(file.path);
+
+    const validation = await new CodeValidator().validate(file.content, language);
+    const validationReview = {
+      passed: !!validation.isValid,
+      score: validation.isValid ? 100 : 0,
+      issues: validation.isValid ? [] : [{
+        type: 'validation',
+        severity: 'critical',
+        message: validation.error || 'Код не прошел валидацию',
+        location: 'unknown'
+      }]
+    };
+
+    const [qualityReview, securityReview, bestPracticesReview] = await Promise.all([
+      codeReviewer.reviewQuality(file.content, language, fileType),
+      codeReviewer.reviewSecurity(file.content, language, fileType),
+      codeReviewer.reviewBestPractices(file.content, language, fileType)
+    ]);
+
+    const reviews = [validationReview, qualityReview, securityReview, bestPracticesReview];
+    const issues = reviews.flatMap(review => review.issues || []);
+
+    return {
+      score: selfReflectionSystem.calculateOverallScore(reviews),
+      passed: !issues.some(issue => issue.severity === 'critical'),
+      summary: selfReflectionSystem.generateSummary(issues),
+      issues
+    };
+  }
+
+  /**
+   * Приводит проблему к единому формату с указанием файла.
+   * @private
+   * @param {Object} issue - Проблема, найденная при ревью.
+   * @param {string} filePath - Путь к файлу.
+   * @returns {Object} - Нормализованная проблема.
+   */
+  _normalizeIssue(issue, filePath) {
+    const severity = SEVERITIES.includes(issue.severity) ? issue.severity : 'medium';
+
+    return {
+      path: filePath,
+      type: issue.type || 'review',
+      severity,
+      message: issue.message || issue.description || 'Unspecified issue',
+      location: issue.location || 'unknown'
+    };
+  }
+
+  /**
+   * Сохраняет номер итерации в контексте и добавляет запись в историю задачи.
+   * @private
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {number} iteration - Номер итерации ревью.
+   * @param {number} score - Общая оценка (0-1).
+   * @param {Array<Object>} issues - Найденные проблемы.
+   * @returns {Promise<void>}
+   */
+  async _recordIteration(taskId, iteration, score, issues) {
+    if (!this.contextManager) {
+      return;
+    }
+
+    await this.contextManager.updateContext(taskId, 'data.reviewLoop.iteration', iteration);
+
+    await this.contextManager.addHistoryEntry(
+      taskId,
+      TASK_STATES.SELF_REVIEW,
+      `Self-review iteration ${iteration}: score ${score.toFixed(2)}, ${issues.length} issues`,
+      {
+        step: 'selfReflection',
+        iteration,
+        score,
+        issues: issues.length,
+        critical: issues.filter(issue => issue.severity === 'critical').length
+      }
+    );
+  }
+}
+
+module.exports = SelfReflectionExecutor;
@@ -0,0 +1,302 @@
+/**
+ * @fileoverview Исполнитель шага "Анализ результатов тестов" (Test Analysis).
+ * Анализирует упавшие тесты с помощью failure-analyzer и покрытие кода
+ * с помощью coverage-analyzer, затем проверяет пороги прохождения тестов
+ * и покрытия. По результату проверки TransitionManager возвращает задачу
+ * на исправление ошибок или переводит ее к обновлению документации.
+ */
+
+const { StepExecutor } = require('../step-executor');
+const logger = require('../../../utils/logger');
+const appConfig = require('../../../config/app.config');
+const { TASK_STATES } = require('../state-manager');
+const { TestAnalyzerResultSchema, StepInputSchema } = require('../contracts');
+const failureAnalyzer = require('../../code-testing/failure-analyzer');
+const coverageAnalyzer = require('../../code-testing/coverage-analyzer');
+
+/**
+ * Исполнитель шага "Анализ результатов тестов".
+ * @extends StepExecutor
+ */
+class TestAnalyzerExecutor extends StepExecutor {
+  /**
+   * Получает метаданные шага.
+   * @returns {Object} - Метаданные шага.
+   */
+  getMetadata() {
+    return {
+      name: 'testAnalyzer',
+      description: 'Analyzes test failures and coverage and checks them against quality gates',
+      timeout: 300000, // 5 минут
+      maxRetries: 2,
+      requiresLLM: true,
+      requiresGit: false,
+      requiresExecution: false,
+      inputSchema: StepInputSchema,
+      outputSchema: TestAnalyzerResultSchema
+    };
+  }
+
+  /**
+   * Выполняет шаг "Анализ результатов тестов".
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} input - Входные данные для шага.
+   * @param {Object} context - Контекст задачи.
+   * @returns {Promise<Object>} - Результат выполнения шага.
+   */
+  async execute(taskId, input, context) {
+    const startTime = Date.now();
+
+    // Логируем начало выполнения шага
+    this.logStepStart(taskId, input);
+
+    try {
+      // Валидируем входные данные
+      const validationResult = this.validateInput(input);
+      if (!validationResult.valid) {
+        const error = `Invalid input: ${validationResult.errors.join(', ')}`;
+        logger.error(`Step testAnalyzer for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      const execution = input.codeExecutor;
+
+      if (!execution || !execution.testResults) {
+        const error = 'No test execution results to analyze';
+        logger.error(`Step testAnalyzer for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      const gateSettings = this._getGateSettings(context);
+      const tests = input.testGenerator?.tests || context?.data?.generatedTests || [];
+      const files = context?.data?.generatedFiles || [];
+
+      await this.sendProgressNotification(taskId, 10, 'Analyzing test failures');
+
+      const failures = await this._analyzeFailures(execution.testResults, tests, files);
+
+      await this.sendProgressNotification(taskId, 60, 'Analyzing code coverage');
+
+      const coverage = await this._analyzeCoverage(execution.coverage);
+
+      // Проверяем пороги прохождения тестов и покрытия
+      const { total, passed } = execution.testResults;
+      const passRate = total > 0 ? passed / total : 0;
+      const lineCoverage = coverage ? coverage.summary.lines.percentage : null;
+
+      const gates = {
+        passRate: {
+          required: gateSettings.minPassRate,
+          actual: Math.round(passRate * 100) / 100,
+          passed: total > 0 && passRate >= gateSettings.minPassRate
+        },
+        coverage: {
+          required: gateSettings.minCoverage,
+          actual: lineCoverage,
+          passed: gateSettings.minCoverage <= 0 ||
+            (lineCoverage !== null && lineCoverage >= gateSettings.minCoverage)
+        }
+      };
+      const gatesPassed = gates.passRate.passed && gates.coverage.passed;
+
+      const iteration = await this._recordIteration(taskId, context, gatesPassed, gates);
+
+      const warnings = [];
+      if (!gates.coverage.passed) {
+        warnings.push(lineCoverage === null
+          ? 'Coverage report is not available'
+          : `Line coverage ${lineCoverage}% is below required ${gateSettings.minCoverage}%`);
+      }
+
+      // Подготавливаем результат
+      const result = {
+        ...this.prepareBaseResult(true, null, warnings),
+        gatesPassed,
+        gates,
+        failedTests: execution.testResults.failed,
+        errorsFound: failures.length > 0,
+        failures,
+        coverage,
+        iteration,
+        summary: {
+          iteration,
+          total,
+          passed,
+          failed: execution.testResults.failed,
+          passRate: gates.passRate.actual,
+          lineCoverage,
+          gatesPassed
+        }
+      };
+
+      // Валидируем результат
+      const outputValidation = this.validateOutput(result);
+      if (!outputValidation.valid) {
+        const warning = `Output validation warnings: ${outputValidation.errors.join(', ')}`;
+        logger.warn(`Step testAnalyzer for task ${taskId} output validation:`, warning);
+
+        result.warnings.push(warning);
+      }
+
+      // Добавляем длительность выполнения
+      result.duration = Date.now() - startTime;
+
+      // Логируем завершение выполнения шага
+      this.logStepCompletion(taskId, result, result.duration);
+
+      return result;
+    } catch (error) {
+      logger.error(`Step testAnalyzer for task ${taskId} failed:`, error);
+
+      const result = this.prepareBaseResult(false, error.message);
+      result.duration = Date.now() - startTime;
+
+      return result;
+    }
+  }
+
+  /**
+   * Возвращает пороги качества тестов.
+   * Значения из конфигурации приложения могут быть переопределены
+   * в контексте задачи (data.testGates).
+   * @private
+   * @param {Object} context - Контекст задачи.
+   * @returns {Object} - Пороги { minPassRate, minCoverage }.
+   */
+  _getGateSettings(context) {
+    const defaults = appConfig.orchestrator.testing.gates;
+    const overrides = context?.data?.testGates || {};
+
+    return {
+      minPassRate: typeof overrides.minPassRate === 'number' ? overrides.minPassRate : defaults.minPassRate,
+      minCoverage: typeof overrides.minCoverage === 'number' ? overrides.minCoverage : defaults.minCoverage
+    };
+  }
+
+  /**
+   * Анализирует причины падения тестов.
+   * @private
+   * @param {Object} testResults - Результаты запуска тестов.
+   * @param {Array<Object>} tests - Сгенерированные тесты.
+   * @param {Array<Object>} files - Актуальные версии сгенерированных файлов.
+   * @returns {Promise<Array<Object>>} - Проанализированные падения.
+   */
+  async _analyzeFailures(testResults, tests, files) {
+    const failures = [];
+
+    for (const file of testResults.files || []) {
+      if (file.passed) {
+        continue;
+      }
+
+      // Сопоставляем файл из вывода фреймворка со сгенерированным тестом
+      const test = tests.find(t => file.path.endsWith(t.path) || t.path.endsWith(file.path));
+      const sourcePath = test ? test.sourcePath : null;
+      const source = sourcePath ? files.find(f => f.path === sourcePath) : null;
+
+      for (const failure of file.failures) {
+        const analysis = await failureAnalyzer.explainTestFailure(
+          { name: failure.name, message: failure.message },
+          test ? test.content : null,
+          source ? source.content : null,
+          { testName: failure.name }
+        );
+
+        failures.push({
+          testPath: test ? test.path : file.path,
+          sourcePath,
+          message: `${failure.name}: ${failure.message}`,
+          errorType: analysis.success ? analysis.errorInfo.type : 'unknown',
+          severity: analysis.success ? analysis.severity : 'high',
+          recommendations: analysis.success ? analysis.recommendations : []
+        });
+      }
+    }
+
+    return failures;
+  }
+
+  /**
+   * Анализирует покрытие кода тестами.
+   * @private
+   * @param {Object|null} coverage - Сводка покрытия из sandbox-runner.
+   * @returns {Promise<Object|null>} - Анализ покрытия или null, если данных нет.
+   */
+  async _analyzeCoverage(coverage) {
+    if (!coverage) {
+      return null;
+    }
+
+    // Приводим сводку sandbox-runner к формату coverage-summary (Istanbul)
+    const coverageData = {
+      total: {
+        lines: { total: coverage.lines.total, covered: coverage.lines.covered, pct: coverage.lines.percentage },
+        statements: { total: coverage.statements.total, covered: coverage.statements.covered, pct: coverage.statements.percentage },
+        functions: { total: coverage.functions.total, covered: coverage.functions.covered, pct: coverage.functions.percentage },
+        branches: { total: coverage.branches.total, covered: coverage.branches.covered, pct: coverage.branches.percentage }
+      }
+    };
+
+    for (const file of coverage.files || []) {
+      coverageData[file.path] = {
+        lines: { pct: file.lines.percentage },
+        statements: { pct: file.statements.percentage },
+        functions: { pct: file.functions.percentage },
+        branches: { pct: file.branches.percentage }
+      };
+    }
+
+    const analysis = await coverageAnalyzer.analyzeCoverage(coverageData);
+
+    if (!analysis.success) {
+      logger.warn(`Coverage analysis failed: ${analysis.message}`);
+      return null;
+    }
+
+    return {
+      summary: analysis.summary,
+      lowCoverageFiles: analysis.lowCoverageFiles,
+      recommendations: analysis.recommendations
+    };
+  }
+
+  /**
+   * Фиксирует итерацию цикла "тесты ↔ исправление" в контексте и истории задачи.
+   * Если пороги не пройдены, помечает падения как ожидающие исправления.
+   * @private
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} context - Контекст задачи.
+   * @param {boolean} gatesPassed - Пройдены ли пороги.
+   * @param {Object} gates - Результаты проверки порогов.
+   * @returns {Promise<number>} - Номер итерации.
+   */
+  async _recordIteration(taskId, context, gatesPassed, gates) {
+    const iteration = (context?.data?.testLoop?.iteration || 0) + 1;
+
+    if (!this.contextManager) {
+      return iteration;
+    }
+
+    await this.contextManager.updateContext(taskId, 'data.testLoop', {
+      iteration,
+      pendingFailures: !gatesPassed
+    });
+
+    await this.contextManager.addHistoryEntry(
+      taskId,
+      TASK_STATES.TEST_ANALYSIS,
+      `Test analysis iteration ${iteration}: gates ${gatesPassed ? 'passed' : 'failed'}`,
+      {
+        step: 'testAnalyzer',
+        iteration,
+        gates
+      }
+    );
+
+    return iteration;
+  }
+}
+
+module.exports = TestAnalyzerExecutor;
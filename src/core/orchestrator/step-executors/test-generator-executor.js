@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Исполнитель шага "Генерация тестов" (Test Generation).
+ * Генерирует тесты для измененных файлов с помощью TestGenerator из
+ * подсистемы code-testing и записывает их в репозиторий проекта,
+ * чтобы следующий шаг мог запустить их в песочнице.
+ */
+
+const { StepExecutor } = require('../step-executor');
+const logger = require('../../../utils/logger');
+const { TestGeneratorResultSchema, StepInputSchema } = require('../contracts');
+const testGenerator = require('../../code-testing/test-generator');
+const FileBasedCodeGenerator = require('../../code-generator/file-based-generator');
+
+/**
+ * Исполнитель шага "Генерация тестов".
+ * @extends StepExecutor
+ */
+class TestGeneratorExecutor extends StepExecutor {
+  /**
+   * Получает метаданные шага.
+   * @returns {Object} - Метаданные шага.
+   */
+  getMetadata() {
+    return {
+      name: 'testGenerator',
+      description: 'Generates tests for the files changed by the task',
+      timeout: 600000, // 10 минут
+      maxRetries: 2,
+      requiresLLM: true,
+      requiresGit: false,
+      requiresExecution: false,
+      inputSchema: StepInputSchema,
+      outputSchema: TestGeneratorResultSchema
+    };
+  }
+
+  /**
+   * Выполняет шаг "Генерация тестов".
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} input - Входные данные для шага.
+   * @param {Object} context - Контекст задачи.
+   * @returns {Promise<Object>} - Результат выполнения шага.
+   */
+  async execute(taskId, input, context) {
+    const startTime = Date.now();
+
+    // Логируем начало выполнения шага
+    this.logStepStart(taskId, input);
+
+    try {
+      // Валидируем входные данные
+      const validationResult = this.validateInput(input);
+      if (!validationResult.valid) {
+        const error = `Invalid input: ${validationResult.errors.join(', ')}`;
+        logger.error(`Step testGenerator for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      // Тесты генерируются для актуальной версии файлов (после ревью и исправлений)
+      const files = context?.data?.generatedFiles ||
+        input.errorCorrector?.generatedFiles ||
+        input.codeRefiner?.generatedFiles ||
+        input.codeGenerator?.generatedFiles ||
+        [];
+
+      if (files.length === 0) {
+        const error = 'No generated files to test';
+        logger.error(`Step testGenerator for task ${taskId} failed:`, error);
+
+        return this.prepareBaseResult(false, error);
+      }
+
+      await this.sendProgressNotification(taskId, 10, `Generating tests for ${files.length} files`);
+
+      const fileGenerator = new FileBasedCodeGenerator(input.projectId);
+      const project = await fileGenerator.getProjectInfo();
+
+      const generation = await testGenerator.generateTests({
+        taskId,
+        files: files.map(file => ({ path: file.path, content: file.content })),
+        repoPath: project.repository_path,
+        context: {
+          taskTitle: input.task?.title,
+          taskDescription: input.task?.description
+        }
+      });
+
+      await this.sendProgressNotification(taskId, 70, `Saving ${generation.tests.length} test files`);
+
+      // Записываем тесты в репозиторий, чтобы их можно было запустить
+      const tests = [];
+
+      for (const test of generation.tests) {
+        if (!test.testCode) {
+          logger.warn(`Empty test generated for ${test.originalFilePath} in task ${taskId}`);
+          continue;
+        }
+
+        const stored = await fileGenerator.storeFile(taskId, test.testFilePath, test.testCode);
+
+        tests.push({
+          path: test.testFilePath,
+          sourcePath: test.originalFilePath,
+          content: test.testCode,
+          framework: test.framework,
+          generationId: stored.generationId
+        });
+      }
+
+      // Сохраняем тесты в контексте для шагов запуска и анализа
+      if (this.contextManager) {
+        await this.contextManager.updateContext(taskId, 'data.generatedTests', tests);
+      }
+
+      const warnings = tests.length === 0 ? ['No tests were generated for the changed files'] : [];
+
+      // Подготавливаем результат
+      const result = {
+        ...this.prepareBaseResult(true, null, warnings),
+        framework: generation.framework || 'unknown',
+        tests,
+        summary: {
+          sourceFiles: files.length,
+          testFiles: tests.length,
+          framework: generation.framework || 'unknown'
+        }
+      };
+
+      // Валидируем результат
+      const outputValidation = this.validateOutput(result);
+      if (!outputValidation.valid) {
+        const warning = `Output validation warnings: ${outputValidation.errors.join(', ')}`;
+        logger.warn(`Step testGenerator for task ${taskId} output validation:`, warning);
+
+        result.warnings.push(warning);
+      }
+
+      // Добавляем длительность выполнения
+      result.duration = Date.now() - startTime;
+
+      // Логируем завершение выполнения шага
+      this.logStepCompletion(taskId, result, result.duration);
+
+      return result;
+    } catch (error) {
+      logger.error(`Step testGenerator for task ${taskId} failed:`, error);
+
+      const result = this.prepareBaseResult(false, error.message);
+      result.duration = Date.now() - startTime;
+
+      return result;
+    }
+  }
+}
+
+module.exports = TestGeneratorExecutor;
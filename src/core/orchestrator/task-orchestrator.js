@@ -7,9 +7,30 @@
  */
 
 const logger = require('../../utils/logger');
+const appConfig = require('../../config/app.config');
+const { runWithLLMContext, getLLMContext } = require('../../utils/llm-request-context');
+const llmBudgetManager = require('../../utils/llm-budget-manager');
+const { BudgetExceededError } = require('../../utils/errors');
 const { TASK_STATES } = require('./state-manager');
 const { StepExecutorFactory } = require('./step-executor-factory');
 
+/**
+ * Префикс очередей BullMQ, в которых выполняются шаги оркестратора.
+ * Для каждого типа шага создается отдельная очередь со своим лимитом параллелизма.
+ */
+const STEP_QUEUE_PREFIX = 'orchestrator-step';
+
+/**
+ * Состояния, задачи в которых не возобновляются автоматически при запуске:
+ * финальные и ожидающие действия пользователя.
+ */
+const NON_RESUMABLE_STATES = [
+  TASK_STATES.COMPLETED,
+  TASK_STATES.FAILED,
+  TASK_STATES.PAUSED,
+  TASK_STATES.WAITING_FOR_INPUT
+];
+
 /**
  * Класс оркестрации задач, управляющий выполнением задачи по 16-шаговой методологии.
  */
@@ -22,8 +43,11 @@ class TaskOrchestrator {
    * @param {Object} options.transitionManager - Экземпляр TransitionManager.
    * @param {Object} options.recoveryManager - Экземпляр RecoveryManager.
    * @param {Object} options.notificationManager - Экземпляр NotificationManager.
-   * @param {Object} options.queue - Интерфейс к очереди задач.
+   * @param {Object} options.queue - Менеджер очередей BullMQ (src/queue/redis-queue.js).
+   *   Если не передан, шаги выполняются непосредственно в текущем процессе.
    * @param {Object} options.db - Интерфейс к базе данных.
+   * @param {Object} [options.scheduling] - Переопределение настроек планирования
+   *   (см. orchestrator.scheduling в app.config).
    */
   constructor({
     stateManager,
@@ -32,7 +56,8 @@ class TaskOrchestrator {
     recoveryManager,
     notificationManager,
     queue,
-    db
+    db,
+    scheduling = {}
   } = {}) {
     this.stateManager = stateManager;
     this.contextManager = contextManager;
@@ -50,14 +75,98 @@ class TaskOrchestrator {
       db
     });
     
-    // Очередь ожидающих задач
-    this.taskQueue = new Map();
+    // Настройки планирования шагов через очереди
+    this.scheduling = { ...appConfig.orchestrator.scheduling, ...scheduling };
+    
+    // Признак того, что воркеры очередей шагов зарегистрированы
+    this.started = false;
+  }
+
+  /**
+   * Регистрирует воркеры очередей шагов, восстанавливает потерянные задания
+   * и возобновляет задачи, прерванные остановкой процесса.
+   * @returns {Promise<Object>} - Результат запуска.
+   */
+  async start() {
+    if (!this.queue) {
+      logger.warn('Queue is not configured, orchestrator steps will run in-process');
+      return { success: true, resumed: [] };
+    }
+    
+    if (!this.started) {
+      for (const stepName of this.stepExecutorFactory.getAvailableSteps()) {
+        const worker = this.queue.registerProcessor(
+          this._getQueueNameForStep(stepName),
+          (job, token) => this._processStepJob(job, token),
+          { concurrency: this._getStepConcurrency(stepName) }
+        );
+        
+        worker.on('failed', (job, error) => {
+          if (job && job.data && job.data.taskId) {
+            this._handleStepJobFailure(job, error).catch(handlingError => {
+              logger.error(`Error handling failed step job ${job.id}:`, handlingError);
+            });
+          }
+        });
+      }
+      
+      this.started = true;
+      logger.info('Orchestrator step workers registered');
+    }
+    
+    // Возвращаем в ожидание задания, выполнявшиеся в момент остановки процесса
+    const recovered = await this.queue.recoverOrphanedTasks();
+    const resumed = await this.resumeTasks();
+    
+    return { success: true, recovered, resumed };
+  }
+
+  /**
+   * Возобновляет выполнение задач, находящихся в нефинальных состояниях.
+   * Задачи на паузе и ожидающие ввода пропускаются. Повторное планирование
+   * уже поставленного в очередь шага не создает дубликат задания.
+   * @returns {Promise<Array<string>>} - Идентификаторы возобновленных задач.
+   */
+  async resumeTasks() {
+    const states = Object.values(TASK_STATES).filter(state => !NON_RESUMABLE_STATES.includes(state));
+    const taskIds = await this.stateManager.findTasksInStates(states);
+    const resumed = [];
+    
+    logger.info(`Found ${taskIds.length} unfinished tasks to resume`);
+    
+    for (const taskId of taskIds) {
+      try {
+        await this.executeTask(taskId);
+        resumed.push(taskId);
+      } catch (error) {
+        logger.error(`Failed to resume task ${taskId}:`, error);
+      }
+    }
+    
+    return resumed;
+  }
+
+  /**
+   * Возвращает статистику очередей шагов.
+   * @returns {Promise<Object>} - Количество заданий по состояниям для каждого шага.
+   */
+  async getSchedulingStats() {
+    const stats = { active: 0, waiting: 0, delayed: 0, steps: {} };
+    
+    if (!this.queue) {
+      return stats;
+    }
     
-    // Индикатор для активных задач
-    this.activeTasksCount = 0;
+    for (const stepName of this.stepExecutorFactory.getAvailableSteps()) {
+      const { counts } = await this.queue.getQueueStatus(this._getQueueNameForStep(stepName));
+      
+      stats.active += counts.active;
+      stats.waiting += counts.waiting;
+      stats.delayed += counts.delayed;
+      stats.steps[stepName] = counts;
+    }
     
-    // Максимальное количество одновременно выполняемых задач
-    this.maxConcurrentTasks = 5;
+    return stats;
   }
 
   /**
@@ -73,6 +182,9 @@ class TaskOrchestrator {
       // Инициализируем контекст задачи
       const context = await this.contextManager.initializeContext(taskId, initialData);
       
+      // Закрепляем за задачей описание процесса выполнения
+      await this.transitionManager.assignWorkflow(taskId);
+
       // Переводим задачу в состояние INITIALIZED
       await this.stateManager.updateState(
         taskId,
@@ -109,31 +221,28 @@ class TaskOrchestrator {
   }
 
   /**
-   * Запускает или ставит в очередь выполнение задачи.
+   * Запускает выполнение задачи.
+   * Если настроена очередь, следующий шаг задачи ставится в нее как персистентное
+   * задание; иначе задача выполняется в текущем процессе.
    * @param {string} taskId - Идентификатор задачи.
    * @returns {Promise<Object>} - Результат операции.
    */
   async executeTask(taskId) {
     logger.info(`Starting execution for task: ${taskId}`);
-    
+
     try {
-      // Проверяем, не превышено ли максимальное количество одновременно выполняемых задач
-      if (this.activeTasksCount >= this.maxConcurrentTasks) {
-        // Если превышено, ставим задачу в очередь
-        logger.info(`Max concurrent tasks limit reached, queuing task: ${taskId}`);
-        this.taskQueue.set(taskId, Date.now());
-        
+      if (this.queue) {
+        // Планирование только ставит шаг в очередь, поэтому дожидаемся его
+        await this._processTask(taskId);
+
         return {
           success: true,
           status: 'queued',
           taskId,
-          message: 'Task has been queued for execution'
+          message: 'Task step has been queued for execution'
         };
       }
-      
-      // Увеличиваем счетчик активных задач
-      this.activeTasksCount++;
-      
+
       // Запускаем процесс выполнения
       this._processTask(taskId).catch(error => {
         logger.error(`Uncaught error in _processTask for ${taskId}:`, error);
@@ -161,6 +270,105 @@ class TaskOrchestrator {
     }
   }
 
+  /**
+   * Обрабатывает событие Pull Request задачи (новые коммиты, комментарии ревью или слияние).
+   * Если задача ожидает ревью, ее выполнение возобновляется; иначе событие
+   * сохраняется в контексте и будет обработано на следующем шаге PR.
+   * Новые коммиты в ветке задачи возобновляют только задачу, ожидающую
+   * в точке процесса с возобновлением шага PR (PR_PREPARATION).
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} event - Событие PR.
+   * @param {string} event.type - Тип события: 'pushed', 'review_comments' или 'merged'.
+   * @param {string} [event.headCommit] - Последний коммит ветки задачи (для 'pushed').
+   * @param {Array<Object>} [event.comments] - Комментарии ревьюеров { id, author, body, path, line }.
+   * @returns {Promise<Object>} - Результат операции.
+   */
+  async handlePullRequestEvent(taskId, event) {
+    logger.info(`Handling pull request event ${event.type} for task ${taskId}`);
+    
+    const context = await this.contextManager.getContext(taskId);
+    const pullRequest = (context.data && context.data.pullRequest) || {};
+    let nextState;
+    
+    if (event.type === 'pushed') {
+      return this._handleBranchPush(taskId, context, pullRequest, event);
+    }
+    
+    switch (event.type) {
+      case 'review_comments':
+        pullRequest.reviewComments = [
+          ...(pullRequest.reviewComments || []),
+          ...(event.comments || [])
+        ];
+        nextState = TASK_STATES.FEEDBACK_INTEGRATION;
+        break;
+      case 'merged':
+        pullRequest.merged = true;
+        // Шаг PR фиксирует слияние и переводит задачу в COMPLETED
+        nextState = TASK_STATES.PR_PREPARATION;
+        break;
+      default:
+        throw new Error(`Unknown pull request event type: ${event.type}`);
+    }
+    
+    pullRequest.awaitingReview = false;
+    await this.contextManager.updateContext(taskId, 'data.pullRequest', pullRequest);
+    
+    const currentState = await this.stateManager.getCurrentState(taskId);
+    
+    if (currentState !== TASK_STATES.WAITING_FOR_INPUT) {
+      return {
+        success: true,
+        status: 'recorded',
+        taskId,
+        message: `Pull request event recorded in state ${currentState}`
+      };
+    }
+    
+    await this.contextManager.updateContext(taskId, 'data.nextStateAfterInput', nextState);
+    
+    return this.executeTask(taskId);
+  }
+
+  /**
+   * Сохраняет новый коммит ветки задачи и возобновляет шаг PR, если задача
+   * ожидает в точке процесса с возобновлением PR_PREPARATION.
+   * @private
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} context - Контекст задачи.
+   * @param {Object} pullRequest - PR из контекста задачи.
+   * @param {Object} event - Событие 'pushed'.
+   * @returns {Promise<Object>} - Результат операции.
+   */
+  async _handleBranchPush(taskId, context, pullRequest, event) {
+    await this.contextManager.updateContext(taskId, 'data.pullRequest', {
+      ...pullRequest,
+      headCommit: event.headCommit || pullRequest.headCommit || null
+    });
+    
+    const currentState = await this.stateManager.getCurrentState(taskId);
+    const waitingPoint = context.data && context.data.waitingPoint;
+    
+    if (currentState !== TASK_STATES.WAITING_FOR_INPUT || !waitingPoint ||
+        waitingPoint.resumeState !== TASK_STATES.PR_PREPARATION) {
+      return {
+        success: true,
+        status: 'recorded',
+        taskId,
+        message: `Branch push recorded in state ${currentState}`
+      };
+    }
+    
+    await this.contextManager.updateContext(taskId, 'data.waitingPoint', null);
+    await this.transitionManager.transitionToNextState(
+      taskId,
+      TASK_STATES.PR_PREPARATION,
+      `New commits pushed to the task branch${event.headCommit ? ` (${event.headCommit})` : ''}`
+    );
+    
+    return this.executeTask(taskId);
+  }
+
   /**
    * Обрабатывает выполнение задачи.
    * @private
@@ -181,11 +389,38 @@ class TaskOrchestrator {
         return;
       }
       
+      // Задача ожидает ревью PR или ввода пользователя - выполнение продолжится
+      // после события от хостинга или предоставления ввода
+      if (currentState === TASK_STATES.WAITING_FOR_INPUT) {
+        const waitingContext = await this.contextManager.getContext(taskId);
+        
+        if (waitingContext.data && waitingContext.data.pullRequest &&
+            waitingContext.data.pullRequest.awaitingReview) {
+          logger.info(`Task ${taskId} is waiting for pull request review`);
+          this._finishTaskProcessing(taskId);
+          return;
+        }
+        
+        if (waitingContext.data && waitingContext.data.waitingPoint) {
+          logger.info(`Task ${taskId} is waiting for user input`);
+          this._finishTaskProcessing(taskId);
+          return;
+        }
+      }
+      
       // Определяем следующий шаг для выполнения
       const nextStep = await this.transitionManager.getNextStep(taskId);
       
-      // Если нет следующего шага, завершаем задачу
+      // Если нет следующего шага, завершаем задачу или переходим к ожиданию ревью
       if (!nextStep) {
+        const nextState = await this.transitionManager.determineNextState(taskId, currentState);
+        
+        if (nextState === TASK_STATES.WAITING_FOR_INPUT) {
+          await this._enterWaitingPoint(taskId, currentState);
+          this._finishTaskProcessing(taskId);
+          return;
+        }
+        
         logger.warn(`No next step found for task ${taskId} in state ${currentState}`);
         await this.transitionManager.transitionToNextState(
           taskId,
@@ -215,15 +450,30 @@ class TaskOrchestrator {
       }
       
       // Получаем контекст задачи
-      const context = await this.contextManager.getContext(taskId);
-      
-      // Переводим задачу в состояние выполнения шага
-      const transitionResult = await this.transitionManager.transitionToNextState(
-        taskId,
-        null, // Определяется автоматически
-        `Starting execution of step ${nextStep}`
-      );
-      
+      let context = await this.contextManager.getContext(taskId);
+
+      let transitionResult = { currentState };
+
+      // Если задача уже находится в состоянии шага, она возобновляется после перезапуска
+      if (this.transitionManager.getStepForState(currentState) === nextStep) {
+        logger.info(`Resuming step ${nextStep} for task ${taskId}`);
+      } else {
+        // Переводим задачу в состояние выполнения шага
+        transitionResult = await this.transitionManager.transitionToNextState(
+          taskId,
+          null, // Определяется автоматически
+          `Starting execution of step ${nextStep}`
+        );
+
+        // Номер запуска шага входит в идентификатор задания в очереди
+        await this.contextManager.updateContext(
+          taskId,
+          'data.stepSequence',
+          ((context.data && context.data.stepSequence) || 0) + 1
+        );
+        context = await this.contextManager.getContext(taskId);
+      }
+
       // Отправляем уведомление о начале выполнения шага
       if (this.notificationManager) {
         await this.notificationManager.sendProgress(
@@ -239,11 +489,8 @@ class TaskOrchestrator {
         );
       }
       
-      // Проверяем, нужно ли выполнить шаг асинхронно через очередь
-      const isLongRunningStep = this._isLongRunningStep(nextStep);
-      
-      if (isLongRunningStep && this.queue) {
-        // Добавляем задачу в очередь
+      if (this.queue) {
+        // Ставим шаг в очередь как персистентное задание
         await this._enqueueStepExecution(taskId, nextStep, context);
       } else {
         // Выполняем шаг напрямую
@@ -276,6 +523,59 @@ class TaskOrchestrator {
     }
   }
 
+  /**
+   * Переводит задачу в точку ожидания, объявленную в описании процесса.
+   * Точка с шагом возобновления ожидает ввода пользователя; без него
+   * задача ожидает ревью Pull Request.
+   * @private
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {string} currentState - Текущее состояние задачи.
+   * @returns {Promise<void>}
+   */
+  async _enterWaitingPoint(taskId, currentState) {
+    const waitingPoint = await this.transitionManager.getWaitingPoint(taskId, currentState);
+    
+    if (waitingPoint && waitingPoint.resumeState) {
+      const message = waitingPoint.message || 'Waiting for user input';
+      
+      await this.contextManager.updateContext(taskId, 'data.waitingPoint', {
+        message,
+        resumeState: waitingPoint.resumeState,
+        since: new Date()
+      });
+      
+      await this.transitionManager.transitionToWaitingForInput(taskId, message, waitingPoint.resumeState);
+      
+      if (this.notificationManager) {
+        await this.notificationManager.sendInfo(
+          'Waiting for input',
+          `Task ${taskId}: ${message}`,
+          { taskId }
+        );
+      }
+      
+      return;
+    }
+
+    // Состояние возобновления от предыдущего ожидания ввода здесь не действует:
+    // ожидание ревью завершает событие Pull Request, которое задает его заново
+    await this.contextManager.updateContext(taskId, 'data.nextStateAfterInput', null);
+
+    await this.transitionManager.transitionToNextState(
+      taskId,
+      TASK_STATES.WAITING_FOR_INPUT,
+      (waitingPoint && waitingPoint.message) || 'Waiting for pull request review'
+    );
+    
+    if (this.notificationManager) {
+      await this.notificationManager.sendInfo(
+        'Waiting for review',
+        `Task ${taskId} is waiting for pull request review.`,
+        { taskId }
+      );
+    }
+  }
+
   /**
    * Выполняет шаг и обрабатывает результат.
    * @private
@@ -289,15 +589,36 @@ class TaskOrchestrator {
     logger.debug(`Executing step ${stepName} for task ${taskId}`);
     
     try {
+      // Не начинаем шаг, если бюджет LLM задачи, проекта или пользователя уже исчерпан
+      await llmBudgetManager.checkBudget({ taskId, projectId: context.projectId });
+      
       // Подготавливаем входные данные для шага
       const input = this._prepareStepInput(stepName, context);
       
-      // Выполняем шаг
-      const result = await executor.execute(taskId, input, context);
+      // Выполняем шаг; запросы к LLM внутри шага маршрутизируются по его имени
+      let llmContext = null;
+      const result = await runWithLLMContext(
+        { taskId, projectId: context.projectId, step: stepName },
+        () => {
+          llmContext = getLLMContext();
+          return executor.execute(taskId, input, context);
+        }
+      );
+      
+      // Исполнители перехватывают ошибки LLM и возвращают неуспешный результат,
+      // поэтому исчерпание бюджета во время шага определяется по контексту запросов
+      if ((!result || !result.success) && llmContext.budgetError) {
+        throw llmContext.budgetError;
+      }
       
       // Обрабатываем результат
       await this._processStepResult(taskId, stepName, result);
     } catch (error) {
+      if (error instanceof BudgetExceededError) {
+        await this._pauseForBudget(taskId, stepName, error);
+        return;
+      }
+      
       logger.error(`Error executing step ${stepName} for task ${taskId}:`, error);
       
       // Пытаемся восстановиться после ошибки
@@ -306,7 +627,46 @@ class TaskOrchestrator {
   }
 
   /**
-   * Добавляет выполнение шага в очередь задач.
+   * Переводит задачу в ожидание ввода при исчерпании бюджета LLM.
+   * После увеличения лимита и ответа пользователя шаг выполняется заново.
+   * @private
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {string} stepName - Название шага.
+   * @param {BudgetExceededError} error - Ошибка исчерпания бюджета.
+   * @returns {Promise<void>}
+   */
+  async _pauseForBudget(taskId, stepName, error) {
+    logger.warn(`LLM budget exhausted on step ${stepName} for task ${taskId}: ${error.message}`);
+    
+    const currentState = await this.stateManager.getCurrentState(taskId);
+    const budget = error.budget || {};
+    const message = `LLM budget exhausted (${budget.scope} ${budget.scopeId}, ${budget.period}). ` +
+      'Increase the budget limit and resume the task.';
+    
+    await this.contextManager.updateContext(taskId, 'data.waitingPoint', {
+      message,
+      resumeState: currentState,
+      reason: 'budget',
+      budget,
+      since: new Date()
+    });
+    
+    await this.transitionManager.transitionToWaitingForInput(taskId, message, currentState);
+    
+    if (this.notificationManager) {
+      await this.notificationManager.sendWarning(
+        'LLM budget exhausted',
+        `Task ${taskId} paused on step ${stepName}: ${message}`,
+        { taskId, data: { budget } }
+      );
+    }
+  }
+
+  /**
+   * Добавляет выполнение шага в очередь шагов этого типа.
+   * Шаг выполняется воркером очереди (см. _processStepJob), который после
+   * завершения шага ставит в очередь следующий, поэтому цепочка шагов
+   * переживает перезапуск процесса.
    * @private
    * @param {string} taskId - Идентификатор задачи.
    * @param {string} stepName - Название шага.
@@ -315,75 +675,140 @@ class TaskOrchestrator {
    */
   async _enqueueStepExecution(taskId, stepName, context) {
     logger.debug(`Enqueuing step ${stepName} for task ${taskId}`);
-    
+
     try {
-      // Подготавливаем входные данные для шага
-      const input = this._prepareStepInput(stepName, context);
-      
-      // Определяем тип очереди для шага
-      const queueType = this._getQueueTypeForStep(stepName);
-      
-      // Добавляем задачу в очередь
-      const job = await this.queue.add(queueType, {
-        taskId,
-        stepName,
-        input,
-        contextId: context.id
-      });
-      
-      logger.info(`Step ${stepName} for task ${taskId} added to queue, job ID: ${job.id}`);
-      
+      const queueName = this._getQueueNameForStep(stepName);
+      const sequence = (context.data && context.data.stepSequence) || 0;
+
+      const job = await this.queue.addJob(
+        queueName,
+        {
+          taskId,
+          stepName,
+          projectId: context.projectId || null
+        },
+        {
+          name: stepName,
+          // Детерминированный идентификатор исключает дубликаты при возобновлении задачи
+          jobId: `${taskId}-${stepName}-${sequence}`,
+          // Повторные попытки выполнения шага выполняет RecoveryManager
+          attempts: 1
+        }
+      );
+
+      logger.info(`Step ${stepName} for task ${taskId} added to queue ${queueName}, job ID: ${job.id}`);
+
       // Добавляем информацию о задаче в очереди в контекст
       await this.contextManager.updateContext(
         taskId,
         `stepResults.${stepName}.queueInfo`,
         {
           jobId: job.id,
-          queueType,
+          queueType: queueName,
           status: 'queued',
           timestamp: new Date()
         }
       );
-      
-      // Настраиваем обработчик завершения задачи
-      job.finished().then(
-        async (result) => {
-          // Обрабатываем результат выполнения шага
-          await this._processStepResult(taskId, stepName, result);
-        },
-        async (error) => {
-          // Обрабатываем ошибку выполнения шага
-          logger.error(`Queue job error for step ${stepName}, task ${taskId}:`, error);
-          
-          try {
-            // Получаем актуальный контекст
-            const updatedContext = await this.contextManager.getContext(taskId);
-            
-            // Пытаемся восстановиться после ошибки
-            await this._handleStepError(taskId, stepName, error, updatedContext);
-          } catch (handlingError) {
-            logger.error(`Error handling queue job error for ${taskId}:`, handlingError);
-            
-            // В случае ошибки обработки, переводим задачу в состояние ошибки
-            await this.transitionManager.transitionToError(
-              taskId,
-              `Error in queued step ${stepName}: ${error.message}`,
-              { error: error.stack, handlingError: handlingError.stack }
-            );
-            
-            // Продолжаем выполнение следующей задачи из очереди
-            this._finishTaskProcessing(taskId);
-          }
-        }
-      );
     } catch (error) {
       logger.error(`Error enqueuing step ${stepName} for task ${taskId}:`, error);
-      
+
       // Пытаемся восстановиться после ошибки
       await this._handleStepError(taskId, stepName, error, context);
     }
   }
 
+  /**
+   * Обрабатывает задание шага из очереди.
+   * Перед выполнением занимает слот проекта: если лимит параллельных шагов
+   * проекта исчерпан, задание откладывается.
+   * @private
+   * @param {Object} job - Задание BullMQ.
+   * @param {string} token - Токен блокировки задания.
+   * @returns {Promise<Object>} - Результат обработки задания.
+   */
+  async _processStepJob(job, token) {
+    const { taskId, stepName, projectId } = job.data;
+    const holder = `${job.queueName}|${job.id}`;
+    const projectSlot = projectId ? `project-${projectId}` : null;
+
+    if (projectSlot) {
+      const acquired = await this.queue.acquireSlot(
+        projectSlot,
+        holder,
+        this._getProjectConcurrency(projectId),
+        this.scheduling.slotTtl
+      );
+
+      if (!acquired) {
+        logger.debug(`Project ${projectId} concurrency limit reached, postponing step ${stepName} for task ${taskId}`);
+        return this.queue.postponeJob(job, token, this.scheduling.projectRetryDelay);
+      }
+    }
+
+    try {
+      const currentState = await this.stateManager.getCurrentState(taskId);
+
+      // Задание устарело, если задача уже ушла из состояния этого шага
+      // (например, процесс упал после завершения шага, но до постановки следующего)
+      if (this.transitionManager.getStepForState(currentState) !== stepName) {
+        logger.warn(`Step job ${job.id} is stale: task ${taskId} is in state ${currentState}`);
+
+        if (!NON_RESUMABLE_STATES.includes(currentState)) {
+          await this._processTask(taskId);
+        }
+
+        return { taskId, stepName, skipped: true };
+      }
+
+      const executor = this.stepExecutorFactory.createExecutor(stepName);
+
+      if (!executor) {
+        throw new Error(`Executor not found for step ${stepName}`);
+      }
+
+      const context = await this.contextManager.getContext(taskId);
+
+      await this._executeStep(taskId, stepName, executor, context);
+
+      return { taskId, stepName, skipped: false };
+    } finally {
+      if (projectSlot) {
+        await this.queue.releaseSlot(projectSlot, holder);
+      }
+    }
+  }
+
+  /**
+   * Обрабатывает задание шага, завершившееся ошибкой в очереди
+   * (например, после повторной потери блокировки).
+   * @private
+   * @param {Object} job - Задание BullMQ.
+   * @param {Error} error - Ошибка задания.
+   * @returns {Promise<void>}
+   */
+  async _handleStepJobFailure(job, error) {
+    const { taskId, stepName } = job.data;
+    const currentState = await this.stateManager.getCurrentState(taskId);
+
+    if (currentState === TASK_STATES.COMPLETED || currentState === TASK_STATES.FAILED) {
+      return;
+    }
+
+    await this.transitionManager.transitionToError(
+      taskId,
+      `Queued step ${stepName} failed: ${error.message}`,
+      { jobId: job.id, error: error.stack }
+    );
+
+    if (this.notificationManager) {
+      await this.notificationManager.sendError(
+        'Step job failed',
+        `Queued step ${stepName} for task ${taskId} failed: ${error.message}`,
+        { taskId }
+      );
+    }
+  }
+
   /**
    * Обрабатывает результат выполнения шага.
    * @private
@@ -635,40 +1060,13 @@ class TaskOrchestrator {
   }
 
   /**
-   * Завершает обработку задачи и запускает следующую из очереди.
+   * Завершает обработку задачи.
    * @private
    * @param {string} taskId - Идентификатор задачи.
    * @returns {void}
    */
   _finishTaskProcessing(taskId) {
     logger.debug(`Finishing task processing for ${taskId}`);
-    
-    // Уменьшаем счетчик активных задач
-    this.activeTasksCount = Math.max(0, this.activeTasksCount - 1);
-    
-    // Проверяем очередь ожидающих задач
-    if (this.taskQueue.size > 0) {
-      // Получаем идентификатор задачи, ожидающей дольше всех
-      let oldestTaskId = null;
-      let oldestTaskTime = Infinity;
-      
-      this.taskQueue.forEach((time, id) => {
-        if (time < oldestTaskTime) {
-          oldestTaskId = id;
-          oldestTaskTime = time;
-        }
-      });
-      
-      if (oldestTaskId) {
-        // Удаляем задачу из очереди
-        this.taskQueue.delete(oldestTaskId);
-        
-        // Запускаем задачу
-        this.executeTask(oldestTaskId).catch(error => {
-          logger.error(`Error starting queued task ${oldestTaskId}:`, error);
-        });
-      }
-    }
   }
 
   /**
@@ -746,14 +1144,16 @@ class TaskOrchestrator {
         };
         
       case 'errorCorrector':
-        // Для исправления ошибок нужны результаты саморефлексии
+        // Для исправления ошибок нужны результаты саморефлексии, анализа тестов и ревью PR
         return {
           ...input,
           taskUnderstanding: context.stepResults.taskUnderstanding,
           projectUnderstanding: context.stepResults.projectUnderstanding,
           codeGenerator: context.stepResults.codeGenerator,
           codeRefiner: context.stepResults.codeRefiner,
-          selfReflection: context.stepResults.selfReflection
+          selfReflection: context.stepResults.selfReflection,
+          testAnalyzer: context.stepResults.testAnalyzer,
+          feedbackIntegrator: context.stepResults.feedbackIntegrator
         };
         
       case 'testGenerator':
@@ -810,7 +1210,9 @@ class TaskOrchestrator {
           taskUnderstanding: context.stepResults.taskUnderstanding,
           projectUnderstanding: context.stepResults.projectUnderstanding,
           codeGenerator: context.stepResults.codeGenerator,
+          technologySuggester: context.stepResults.technologySuggester,
           codeRefiner: context.stepResults.codeRefiner,
+          selfReflection: context.stepResults.selfReflection,
           testGenerator: context.stepResults.testGenerator,
           testAnalyzer: context.stepResults.testAnalyzer,
           documentationUpdater: context.stepResults.documentationUpdater
@@ -847,43 +1249,33 @@ class TaskOrchestrator {
   }
 
   /**
-   * Определяет, является ли шаг долгим и требующим выполнения через очередь.
+   * Возвращает имя очереди для шага.
    * @private
    * @param {string} stepName - Название шага.
-   * @returns {boolean} - true, если шаг является долгим.
+   * @returns {string} - Имя очереди.
    */
-  _isLongRunningStep(stepName) {
-    // Список шагов, которые выполняются через очередь
-    const longRunningSteps = [
-      'codeGenerator',
-      'codeExecutor',
-      'testGenerator',
-      'projectUnderstanding',
-      'learningSystem',
-      'prManager'
-    ];
-    
-    return longRunningSteps.includes(stepName);
+  _getQueueNameForStep(stepName) {
+    return `${STEP_QUEUE_PREFIX}-${stepName}`;
   }
 
   /**
-   * Определяет тип очереди для шага.
+   * Возвращает количество одновременно выполняемых шагов заданного типа.
    * @private
    * @param {string} stepName - Название шага.
-   * @returns {string} - Тип очереди.
+   * @returns {number} - Лимит параллелизма.
    */
-  _getQueueTypeForStep(stepName) {
-    // Сопоставление шагов с типами очередей
-    const queueTypes = {
-      'codeGenerator': 'code-generation',
-      'codeExecutor': 'code-execution',
-      'testGenerator': 'test-generation',
-      'projectUnderstanding': 'project-analysis',
-      'learningSystem': 'learning',
-      'prManager': 'git-operations'
-    };
-    
-    return queueTypes[stepName] || 'default';
+  _getStepConcurrency(stepName) {
+    return this.scheduling.stepConcurrency[stepName] || this.scheduling.defaultStepConcurrency;
+  }
+
+  /**
+   * Возвращает количество одновременно выполняемых шагов задач проекта.
+   * @private
+   * @param {string} projectId - Идентификатор проекта.
+   * @returns {number} - Лимит параллелизма.
+   */
+  _getProjectConcurrency(projectId) {
+    return this.scheduling.projectConcurrency[String(projectId)] || this.scheduling.defaultProjectConcurrency;
   }
 
   /**
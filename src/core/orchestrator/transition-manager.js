@@ -3,10 +3,14 @@
  * и правил перехода между ними. Он работает в тесной связке с StateManager
  * и предоставляет информацию о том, какой шаг должен выполняться следующим
  * на основе текущего состояния задачи, результатов предыдущих шагов и внешних факторов.
+ * Порядок шагов, условия переходов, лимиты циклов и точки ожидания ввода задаются
+ * декларативным описанием процесса (см. WorkflowRegistry), выбранным для проекта задачи.
  */
 
 const logger = require('../../utils/logger');
+const appConfig = require('../../config/app.config');
 const { TASK_STATES } = require('./state-manager');
+const { WorkflowRegistry, WORKFLOW_TARGETS } = require('./workflow-registry');
 
 /**
  * Определение маппинга между состояниями задачи и шагами методологии.
@@ -60,28 +64,89 @@ const STATE_TO_STEP_MAPPING = {
 };
 
 /**
- * Определение следующего состояния для каждого состояния "completed"
+ * Обратный маппинг: шаг методологии -> состояние его выполнения.
  */
-const COMPLETED_STATE_TRANSITIONS = {
-  [TASK_STATES.TASK_UNDERSTANDING_COMPLETED]: TASK_STATES.PROJECT_UNDERSTANDING,
-  [TASK_STATES.PROJECT_UNDERSTANDING_COMPLETED]: TASK_STATES.TASK_PLANNING,
-  [TASK_STATES.TASK_PLANNING_COMPLETED]: TASK_STATES.TECHNOLOGY_SELECTION,
-  [TASK_STATES.TECHNOLOGY_SELECTION_COMPLETED]: TASK_STATES.CODE_GENERATION,
-  [TASK_STATES.CODE_GENERATION_COMPLETED]: TASK_STATES.CODE_REFINEMENT,
-  [TASK_STATES.CODE_REFINEMENT_COMPLETED]: TASK_STATES.SELF_REVIEW,
-  // Для SELF_REVIEW_COMPLETED есть два пути - ERROR_CORRECTION или TEST_GENERATION, 
-  // решение принимается динамически
-  // Для ERROR_CORRECTION_COMPLETED есть два пути - SELF_REVIEW или TEST_GENERATION,
-  // решение принимается динамически
-  [TASK_STATES.TEST_GENERATION_COMPLETED]: TASK_STATES.CODE_EXECUTION,
-  [TASK_STATES.CODE_EXECUTION_COMPLETED]: TASK_STATES.TEST_ANALYSIS,
-  // Для TEST_ANALYSIS_COMPLETED есть два пути - ERROR_CORRECTION или DOCUMENTATION_UPDATE,
-  // решение принимается динамически
-  [TASK_STATES.DOCUMENTATION_UPDATE_COMPLETED]: TASK_STATES.LEARNING_UPDATE,
-  [TASK_STATES.LEARNING_UPDATE_COMPLETED]: TASK_STATES.PR_PREPARATION,
-  // Для PR_PREPARATION_COMPLETED есть два пути - FEEDBACK_INTEGRATION или COMPLETED,
-  // решение принимается динамически
-  // Для FEEDBACK_INTEGRATION_COMPLETED есть несколько путей, решение принимается динамически
+const STEP_TO_STATE = Object.entries(STATE_TO_STEP_MAPPING).reduce((mapping, [state, step]) => {
+  mapping[step] = state;
+  return mapping;
+}, {});
+
+/**
+ * Маппинг состояний завершения шагов на шаги.
+ */
+const COMPLETED_STATE_TO_STEP = Object.entries(STATE_TO_STEP_MAPPING).reduce((mapping, [state, step]) => {
+  mapping[`${state}_completed`] = step;
+  return mapping;
+}, {});
+
+/**
+ * Именованные условия, на которые могут ссылаться описания процессов.
+ * Каждое условие получает контекст задачи и экземпляр TransitionManager.
+ */
+const WORKFLOW_CONDITIONS = {
+  // Ревью нашло проблемы или оценка ниже порога
+  reviewFailed: (context, manager) => {
+    const result = context.stepResults.selfReflection;
+    const { scoreThreshold } = manager._getReviewLoopSettings(context);
+
+    return Boolean(result && (
+      result.issuesFound ||
+      result.errorsFound ||
+      (typeof result.score === 'number' && result.score < scoreThreshold)
+    ));
+  },
+
+  // Исправления были значительными и требуют повторного ревью
+  reviewRequested: (context) => {
+    const result = context.stepResults.errorCorrector;
+    return Boolean(result && (result.significantChanges || result.needsReview));
+  },
+
+  // Тесты не прошли пороги качества
+  testGatesFailed: (context) => {
+    const result = context.stepResults.testAnalyzer;
+
+    return Boolean(result && (
+      typeof result.gatesPassed === 'boolean'
+        ? !result.gatesPassed
+        : (result.failedTests || result.errorsFound)
+    ));
+  },
+
+  // Шаг подготовки PR не вернул результат
+  prMissing: (context) => !context.stepResults.prManager,
+
+  // PR слит
+  prMerged: (context) => {
+    const prResult = context.stepResults.prManager;
+    const pullRequest = context.data && context.data.pullRequest;
+
+    return Boolean((prResult && prResult.merged) || (pullRequest && pullRequest.merged));
+  },
+
+  // От ревьюеров поступили комментарии
+  hasReviewComments: (context) => {
+    const prResult = context.stepResults.prManager;
+    return Boolean(prResult && prResult.reviewComments && prResult.reviewComments.length > 0);
+  },
+
+  // PR ожидает ревью
+  awaitingReview: (context) => {
+    const prResult = context.stepResults.prManager;
+    return Boolean(prResult && prResult.waitForReview);
+  },
+
+  // Обратная связь требует изменений в коде
+  requiresCodeChanges: (context) => {
+    const result = context.stepResults.feedbackIntegrator;
+    return Boolean(result && result.requiresCodeChanges);
+  },
+
+  // Обратная связь требует обновления PR
+  requiresPrUpdate: (context) => {
+    const result = context.stepResults.feedbackIntegrator;
+    return Boolean(result && result.requiresPrUpdate);
+  }
 };
 
 /**
@@ -93,10 +158,17 @@ class TransitionManager {
    * @param {Object} options - Опции для инициализации.
    * @param {Object} options.stateManager - Экземпляр StateManager.
    * @param {Object} options.contextManager - Экземпляр ContextManager.
+   * @param {Object} [options.workflowRegistry] - Реестр описаний процессов.
+   * @param {Object} [options.db] - Пул соединений с БД (для выбора процесса по настройкам проекта).
    */
-  constructor({ stateManager, contextManager } = {}) {
+  constructor({ stateManager, contextManager, workflowRegistry, db } = {}) {
     this.stateManager = stateManager;
     this.contextManager = contextManager;
+    this.workflowRegistry = workflowRegistry || new WorkflowRegistry({
+      db,
+      knownSteps: Object.values(STATE_TO_STEP_MAPPING),
+      knownConditions: Object.keys(WORKFLOW_CONDITIONS)
+    });
   }
 
   /**
@@ -108,6 +180,61 @@ class TransitionManager {
     return STATE_TO_STEP_MAPPING[state] || null;
   }
 
+  /**
+   * Закрепляет за задачей описание процесса.
+   * Используется процесс, явно указанный в data.workflow контекста, иначе -
+   * выбранный в настройках проекта. Закрепляется конкретная версия, поэтому
+   * обновление описания не влияет на уже запущенные задачи.
+   * @param {string} taskId - Идентификатор задачи.
+   * @returns {Promise<Object>} - Описание процесса.
+   */
+  async assignWorkflow(taskId) {
+    const context = await this.contextManager.getContext(taskId);
+    const requested = context.data && context.data.workflow;
+    let workflow;
+
+    if (requested && requested.id) {
+      workflow = this.workflowRegistry.getWorkflow(requested.id, requested.version);
+
+      if (!workflow) {
+        throw new Error(`Workflow ${requested.id} requested for task ${taskId} is not registered`);
+      }
+    } else {
+      workflow = await this.workflowRegistry.resolveForProject(context.projectId);
+    }
+
+    await this.contextManager.updateContext(taskId, 'data.workflow', {
+      id: workflow.id,
+      version: workflow.version
+    });
+
+    logger.info(`Task ${taskId} uses workflow ${workflow.id} v${workflow.version}`);
+
+    return workflow;
+  }
+
+  /**
+   * Получает описание процесса, закрепленное за задачей.
+   * Для задач, запущенных до появления описаний, используется процесс по умолчанию.
+   * @param {Object} context - Контекст задачи.
+   * @returns {Object} - Описание процесса.
+   */
+  getWorkflowForTask(context) {
+    const pinned = context.data && context.data.workflow;
+
+    if (pinned && pinned.id) {
+      const workflow = this.workflowRegistry.getWorkflow(pinned.id, pinned.version);
+
+      if (!workflow) {
+        throw new Error(`Workflow ${pinned.id} v${pinned.version} of task ${context.taskId} is not registered`);
+      }
+
+      return workflow;
+    }
+
+    return this.workflowRegistry.getDefaultWorkflow();
+  }
+
   /**
    * Определяет следующее состояние на основе текущего состояния и результатов предыдущих шагов.
    * @param {string} taskId - Идентификатор задачи.
@@ -116,131 +243,57 @@ class TransitionManager {
    */
   async determineNextState(taskId, currentState) {
     logger.debug(`Determining next state for task ${taskId} from current state ${currentState}`);
-    
+
     try {
-      // Для состояний "completed" используем предопределенное следующее состояние
-      if (COMPLETED_STATE_TRANSITIONS[currentState]) {
-        return COMPLETED_STATE_TRANSITIONS[currentState];
+      // Для состояний выполнения шага следующее состояние - завершение этого шага
+      if (STATE_TO_STEP_MAPPING[currentState]) {
+        return `${currentState}_completed`;
       }
-      
+
       // Для остальных состояний используем логику, зависящую от контекста и результатов
-      
+
       // Получаем контекст задачи
       const context = this.contextManager ? await this.contextManager.getContext(taskId) : null;
-      
+
       // Если контекст недоступен, выбрасываем ошибку
       if (!context) {
         throw new Error(`Context not available for task ${taskId}`);
       }
-      
-      // Специальная логика для определения пути после завершения Self Review
-      if (currentState === TASK_STATES.SELF_REVIEW_COMPLETED) {
-        const selfReviewResult = context.stepResults.selfReflection;
-        
-        // Если в результате ревью найдены ошибки, отправляем на исправление
-        if (selfReviewResult && (
-          selfReviewResult.issuesFound || 
-          selfReviewResult.errorsFound || 
-          (selfReviewResult.score && selfReviewResult.score < 0.7)
-        )) {
-          return TASK_STATES.ERROR_CORRECTION;
-        }
-        
-        // Иначе переходим к генерации тестов
-        return TASK_STATES.TEST_GENERATION;
-      }
-      
-      // Специальная логика для определения пути после завершения Error Correction
-      if (currentState === TASK_STATES.ERROR_CORRECTION_COMPLETED) {
-        const errorCorrectionResult = context.stepResults.errorCorrector;
-        
-        // Если исправления были значительными, отправляем на повторное ревью
-        if (errorCorrectionResult && (
-          errorCorrectionResult.significantChanges || 
-          errorCorrectionResult.needsReview
-        )) {
-          return TASK_STATES.SELF_REVIEW;
-        }
-        
-        // Иначе переходим к генерации тестов
-        return TASK_STATES.TEST_GENERATION;
-      }
-      
-      // Специальная логика для определения пути после завершения Test Analysis
-      if (currentState === TASK_STATES.TEST_ANALYSIS_COMPLETED) {
-        const testAnalysisResult = context.stepResults.testAnalyzer;
-        
-        // Если тесты выявили ошибки, отправляем на исправление
-        if (testAnalysisResult && (
-          testAnalysisResult.failedTests || 
-          testAnalysisResult.errorsFound
-        )) {
-          return TASK_STATES.ERROR_CORRECTION;
-        }
-        
-        // Иначе переходим к обновлению документации
-        return TASK_STATES.DOCUMENTATION_UPDATE;
-      }
-      
-      // Специальная логика для определения пути после завершения PR Preparation
-      if (currentState === TASK_STATES.PR_PREPARATION_COMPLETED) {
-        const prResult = context.stepResults.prManager;
-        
-        // Если PR был создан и требуется обработка обратной связи
-        if (prResult && prResult.prCreated && prResult.waitForReview) {
-          return TASK_STATES.FEEDBACK_INTEGRATION;
-        }
-        
-        // Иначе задача считается завершенной
-        return TASK_STATES.COMPLETED;
-      }
-      
-      // Специальная логика для определения пути после завершения Feedback Integration
-      if (currentState === TASK_STATES.FEEDBACK_INTEGRATION_COMPLETED) {
-        const feedbackResult = context.stepResults.feedbackIntegrator;
-        
-        // Если обратная связь требует существенных изменений в коде
-        if (feedbackResult && feedbackResult.requiresCodeChanges) {
-          return TASK_STATES.CODE_GENERATION;
-        }
-        
-        // Если требуется обновить PR
-        if (feedbackResult && feedbackResult.requiresPrUpdate) {
-          return TASK_STATES.PR_PREPARATION;
-        }
-        
-        // Иначе задача считается завершенной
-        return TASK_STATES.COMPLETED;
+
+      // Начало задачи и завершение шагов обрабатываются по описанию процесса задачи
+      if (currentState === TASK_STATES.INITIALIZED || COMPLETED_STATE_TO_STEP[currentState]) {
+        const { state } = this._resolveTransition(taskId, currentState, context);
+        return state;
       }
-      
+
       // Для обработки возврата из PAUSED состояния
       if (currentState === TASK_STATES.PAUSED) {
         // Если в контексте есть информация о предыдущем состоянии
         const lastTransition = await this.stateManager.getLastTransition(taskId);
-        if (lastTransition && lastTransition.fromState && 
+        if (lastTransition && lastTransition.fromState &&
             lastTransition.fromState !== TASK_STATES.PAUSED) {
           return lastTransition.fromState;
         }
-        
+
         // Если нет информации, возвращаемся в начало
         return TASK_STATES.INITIALIZED;
       }
-      
+
       // Для обработки возврата из WAITING_FOR_INPUT состояния
       if (currentState === TASK_STATES.WAITING_FOR_INPUT) {
         // Если в контексте есть информация о следующем состоянии
         if (context.data && context.data.nextStateAfterInput) {
           return context.data.nextStateAfterInput;
         }
-        
+
         // Если нет информации, возвращаемся к текущему активному шагу
         const lastActiveState = context.history
           .filter(h => h.state !== TASK_STATES.WAITING_FOR_INPUT && h.state !== TASK_STATES.PAUSED)
           .pop();
-          
+
         return lastActiveState ? lastActiveState.state : TASK_STATES.INITIALIZED;
       }
-      
+
       // Для неизвестных состояний возвращаем INITIALIZED
       logger.warn(`No transition rule defined for state ${currentState}, returning to INITIALIZED`);
       return TASK_STATES.INITIALIZED;
@@ -250,6 +303,277 @@ class TransitionManager {
     }
   }
 
+  /**
+   * Определяет точку ожидания ввода, в которую переходит задача из текущего состояния.
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {string} currentState - Текущее состояние задачи.
+   * @returns {Promise<Object|null>} - { message, resumeState } или null,
+   *   если задача не переходит в ожидание ввода.
+   */
+  async getWaitingPoint(taskId, currentState) {
+    if (currentState !== TASK_STATES.INITIALIZED && !COMPLETED_STATE_TO_STEP[currentState]) {
+      return null;
+    }
+
+    const context = await this.contextManager.getContext(taskId);
+    const { state, transition } = this._resolveTransition(taskId, currentState, context);
+
+    if (state !== TASK_STATES.WAITING_FOR_INPUT) {
+      return null;
+    }
+
+    return {
+      message: transition ? transition.message : undefined,
+      resumeState: transition && transition.resume ? STEP_TO_STATE[transition.resume] : null
+    };
+  }
+
+  /**
+   * Определяет следующее состояние по описанию процесса задачи.
+   * @private
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {string} currentState - INITIALIZED или состояние завершения шага.
+   * @param {Object} context - Контекст задачи.
+   * @returns {Object} - { state, transition } - следующее состояние и сработавший переход.
+   */
+  _resolveTransition(taskId, currentState, context) {
+    const workflow = this.getWorkflowForTask(context);
+
+    if (currentState === TASK_STATES.INITIALIZED) {
+      return this._resolveTarget(workflow, workflow.steps[0].step, context);
+    }
+
+    const stepName = COMPLETED_STATE_TO_STEP[currentState];
+    const step = workflow.steps.find(item => item.step === stepName);
+
+    if (!step) {
+      throw new Error(`Step ${stepName} is not part of workflow ${workflow.id} v${workflow.version}`);
+    }
+
+    // Переходы проверяются по порядку, срабатывает первый подходящий
+    for (const transition of step.transitions || []) {
+      if (transition.when && !this._evaluateCondition(transition.when, context)) {
+        continue;
+      }
+
+      if (transition.loop && !this._isLoopAllowed(taskId, workflow, stepName, transition, context)) {
+        continue;
+      }
+
+      return {
+        ...this._resolveTarget(workflow, transition.to, context),
+        transition
+      };
+    }
+
+    return this._resolveTarget(workflow, this._getFallbackTarget(workflow, step), context);
+  }
+
+  /**
+   * Преобразует цель перехода в состояние. Шаги, условие которых не выполнено,
+   * пропускаются.
+   * @private
+   * @param {Object} workflow - Описание процесса.
+   * @param {string} target - Имя шага или специальная цель.
+   * @param {Object} context - Контекст задачи.
+   * @returns {Object} - { state }.
+   */
+  _resolveTarget(workflow, target, context) {
+    const skipped = new Set();
+    let current = target;
+
+    for (;;) {
+      if (current === WORKFLOW_TARGETS.COMPLETE) {
+        return { state: TASK_STATES.COMPLETED };
+      }
+
+      if (current === WORKFLOW_TARGETS.WAIT_FOR_INPUT) {
+        return { state: TASK_STATES.WAITING_FOR_INPUT };
+      }
+
+      const step = workflow.steps.find(item => item.step === current);
+
+      if (!step.when || this._evaluateCondition(step.when, context)) {
+        return { state: STEP_TO_STATE[current] };
+      }
+
+      if (skipped.has(current)) {
+        throw new Error(`Workflow ${workflow.id} v${workflow.version} has no step to execute after ${target}`);
+      }
+
+      logger.debug(`Skipping step ${current} of workflow ${workflow.id}: condition not met`);
+
+      skipped.add(current);
+      current = this._getFallbackTarget(workflow, step);
+    }
+  }
+
+  /**
+   * Возвращает цель перехода по умолчанию для шага: next или следующий шаг списка.
+   * @private
+   * @param {Object} workflow - Описание процесса.
+   * @param {Object} step - Описание шага.
+   * @returns {string} - Имя шага или специальная цель.
+   */
+  _getFallbackTarget(workflow, step) {
+    if (step.next) {
+      return step.next;
+    }
+
+    const index = workflow.steps.indexOf(step);
+    const nextStep = workflow.steps[index + 1];
+
+    return nextStep ? nextStep.step : WORKFLOW_TARGETS.COMPLETE;
+  }
+
+  /**
+   * Вычисляет условие описания процесса.
+   * @private
+   * @param {string|Object} condition - Именованное условие или условие на поле контекста.
+   * @param {Object} context - Контекст задачи.
+   * @returns {boolean} - Результат.
+   */
+  _evaluateCondition(condition, context) {
+    if (typeof condition === 'string') {
+      const evaluate = WORKFLOW_CONDITIONS[condition];
+
+      if (!evaluate) {
+        throw new Error(`Unknown workflow condition: ${condition}`);
+      }
+
+      return evaluate(context, this);
+    }
+
+    if (condition.all) {
+      return condition.all.every(item => this._evaluateCondition(item, context));
+    }
+
+    if (condition.any) {
+      return condition.any.some(item => this._evaluateCondition(item, context));
+    }
+
+    if (condition.not) {
+      return !this._evaluateCondition(condition.not, context);
+    }
+
+    const value = condition.field
+      .split('.')
+      .reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), context);
+    const matches = list => (Array.isArray(value)
+      ? value.some(item => list.includes(item))
+      : list.includes(value));
+
+    if (condition.exists !== undefined && (value !== undefined && value !== null) !== condition.exists) {
+      return false;
+    }
+
+    if (condition.equals !== undefined && value !== condition.equals) {
+      return false;
+    }
+
+    if (condition.in && !matches(condition.in)) {
+      return false;
+    }
+
+    if (condition.notIn && matches(condition.notIn)) {
+      return false;
+    }
+
+    // Условие только с именем поля проверяет, что значение истинно
+    if (condition.exists === undefined && condition.equals === undefined && !condition.in && !condition.notIn) {
+      return Boolean(value);
+    }
+
+    return true;
+  }
+
+  /**
+   * Проверяет, не исчерпан ли лимит цикла, к которому относится переход.
+   * @private
+   * @param {string} taskId - Идентификатор задачи.
+   * @param {Object} workflow - Описание процесса.
+   * @param {string} stepName - Шаг, из которого выполняется переход.
+   * @param {Object} transition - Описание перехода.
+   * @param {Object} context - Контекст задачи.
+   * @returns {boolean} - true, если переход допустим.
+   */
+  _isLoopAllowed(taskId, workflow, stepName, transition, context) {
+    const loop = workflow.loops[transition.loop];
+    let iterations;
+    let maxIterations;
+
+    switch (loop.counter) {
+      case 'review':
+        // Номер итерации ревью берется из результата ревью, если переход выполняется из него
+        iterations = this._getReviewIteration(
+          context,
+          stepName === 'selfReflection' ? context.stepResults.selfReflection : null
+        );
+        maxIterations = this._getReviewLoopSettings(context, loop).maxIterations;
+        break;
+
+      case 'testFix': {
+        const testAnalysisResult = context.stepResults.testAnalyzer;
+        const iteration = (testAnalysisResult && testAnalysisResult.iteration) ||
+          (context.data && context.data.testLoop && context.data.testLoop.iteration) || 0;
+
+        // Первый анализ тестов не является исправлением
+        iterations = Math.max(iteration - 1, 0);
+        maxIterations = loop.maxIterations || appConfig.orchestrator.testing.gates.maxFixIterations;
+        break;
+      }
+
+      case 'visits':
+      default:
+        iterations = (context.history || []).filter(entry => entry.state === STEP_TO_STATE[transition.to]).length;
+        maxIterations = loop.maxIterations;
+        break;
+    }
+
+    if (iterations < maxIterations) {
+      return true;
+    }
+
+    logger.warn(`Loop ${transition.loop} limit (${maxIterations}) reached for task ${taskId}, skipping transition from ${stepName} to ${transition.to}`);
+    return false;
+  }
+
+  /**
+   * Возвращает настройки цикла ревью/исправления.
+   * Значения из описания процесса и конфигурации приложения могут быть
+   * переопределены в контексте задачи (data.reviewLoop).
+   * @private
+   * @param {Object} context - Контекст задачи.
+   * @param {Object} [loop] - Описание цикла в процессе.
+   * @returns {Object} - Настройки { maxIterations, scoreThreshold }.
+   */
+  _getReviewLoopSettings(context, loop = {}) {
+    const defaults = (appConfig.orchestrator && appConfig.orchestrator.reviewLoop) || {};
+    const overrides = (context.data && context.data.reviewLoop) || {};
+
+    return {
+      maxIterations: overrides.maxIterations || loop.maxIterations || defaults.maxIterations || 3,
+      scoreThreshold: typeof overrides.scoreThreshold === 'number'
+        ? overrides.scoreThreshold
+        : (typeof defaults.scoreThreshold === 'number' ? defaults.scoreThreshold : 0.7)
+    };
+  }
+
+  /**
+   * Возвращает номер текущей итерации цикла ревью/исправления.
+   * @private
+   * @param {Object} context - Контекст задачи.
+   * @param {Object} [selfReviewResult] - Результат последнего ревью.
+   * @returns {number} - Номер итерации.
+   */
+  _getReviewIteration(context, selfReviewResult = null) {
+    if (selfReviewResult && typeof selfReviewResult.iteration === 'number') {
+      return selfReviewResult.iteration;
+    }
+
+    return (context.data && context.data.reviewLoop && context.data.reviewLoop.iteration) || 0;
+  }
+
   /**
    * Выполняет переход к следующему состоянию.
    * @param {string} taskId - Идентификатор задачи.
@@ -375,5 +699,6 @@ class TransitionManager {
 module.exports = {
   TransitionManager,
   STATE_TO_STEP_MAPPING,
-  COMPLETED_STATE_TRANSITIONS
+  STEP_TO_STATE,
+  WORKFLOW_CONDITIONS
 };
\ No newline at end of file
@@ -0,0 +1,325 @@
+/**
+ * @fileoverview Workflow Registry загружает декларативные описания процессов
+ * выполнения задач (JSON/YAML), валидирует их и выбирает описание для проекта.
+ * Описания версионируются: задача закрепляет версию при инициализации и
+ * выполняется по ней до конца, даже если описание было обновлено.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('../../utils/logger');
+const appConfig = require('../../config/app.config');
+const { ValidationManager } = require('./validation-manager');
+const { WorkflowDefinitionSchema } = require('./contracts');
+
+/**
+ * Директория со встроенными описаниями процессов.
+ */
+const BUILTIN_WORKFLOWS_DIR = path.join(__dirname, 'workflows');
+
+/**
+ * Специальные цели переходов, не являющиеся шагами.
+ */
+const WORKFLOW_TARGETS = {
+  COMPLETE: '$complete',
+  WAIT_FOR_INPUT: '$waitForInput'
+};
+
+/**
+ * Ключ настройки проекта (таблица project_settings), в которой хранится выбранный процесс.
+ */
+const PROJECT_SETTING_KEY = 'workflow';
+
+/**
+ * Класс реестра описаний процессов выполнения задач.
+ */
+class WorkflowRegistry {
+  /**
+   * Создает экземпляр WorkflowRegistry.
+   * @param {Object} options - Опции для инициализации.
+   * @param {Object} [options.db] - Пул соединений с БД для чтения настроек проекта.
+   * @param {Array<string>} [options.knownSteps] - Допустимые имена шагов.
+   * @param {Array<string>} [options.knownConditions] - Допустимые именованные условия.
+   * @param {Array<string>} [options.directories] - Директории с описаниями процессов
+   *   (по умолчанию встроенные и orchestrator.workflows.directory из конфигурации).
+   */
+  constructor({ db, knownSteps = [], knownConditions = [], directories } = {}) {
+    this.db = db;
+    this.knownSteps = knownSteps;
+    this.knownConditions = knownConditions;
+    this.validator = new ValidationManager();
+
+    // Описания процессов: id -> Map(version -> описание)
+    this.workflows = new Map();
+
+    const settings = appConfig.orchestrator.workflows;
+    this.defaultWorkflowId = settings.defaultWorkflow;
+
+    for (const directory of directories || [BUILTIN_WORKFLOWS_DIR, settings.directory].filter(Boolean)) {
+      this.loadDirectory(directory);
+    }
+  }
+
+  /**
+   * Загружает описания процессов из директории.
+   * Некорректные описания пропускаются с ошибкой в логе.
+   * @param {string} directory - Путь к директории.
+   * @returns {number} - Количество загруженных описаний.
+   */
+  loadDirectory(directory) {
+    if (!fs.existsSync(directory)) {
+      logger.warn(`Workflow directory not found: ${directory}`);
+      return 0;
+    }
+
+    let loaded = 0;
+
+    for (const fileName of fs.readdirSync(directory).sort()) {
+      if (!/\.(json|ya?ml)$/.test(fileName)) {
+        continue;
+      }
+
+      const filePath = path.join(directory, fileName);
+
+      try {
+        const content = fs.readFileSync(filePath, 'utf8');
+        const definition = fileName.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+
+        this.register(definition);
+        loaded++;
+      } catch (error) {
+        logger.error(`Error loading workflow definition ${filePath}: ${error.message}`);
+      }
+    }
+
+    logger.debug(`Loaded ${loaded} workflow definitions from ${directory}`);
+
+    return loaded;
+  }
+
+  /**
+   * Регистрирует описание процесса.
+   * @param {Object} definition - Описание процесса.
+   * @returns {Object} - Зарегистрированное описание.
+   * @throws {Error} - Если описание некорректно или такая версия уже зарегистрирована.
+   */
+  register(definition) {
+    const validationResult = this.validator.validate(definition, WorkflowDefinitionSchema);
+
+    if (!validationResult.valid) {
+      throw new Error(`Invalid workflow definition: ${validationResult.errors.join(', ')}`);
+    }
+
+    const errors = this._checkReferences(definition);
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid workflow definition ${definition.id}: ${errors.join(', ')}`);
+    }
+
+    if (!this.workflows.has(definition.id)) {
+      this.workflows.set(definition.id, new Map());
+    }
+
+    const versions = this.workflows.get(definition.id);
+
+    if (versions.has(definition.version)) {
+      throw new Error(`Workflow ${definition.id} version ${definition.version} is already registered`);
+    }
+
+    versions.set(definition.version, definition);
+
+    return definition;
+  }
+
+  /**
+   * Получает описание процесса.
+   * @param {string} id - Идентификатор процесса.
+   * @param {number} [version] - Версия (по умолчанию последняя).
+   * @returns {Object|null} - Описание процесса или null, если оно не найдено.
+   */
+  getWorkflow(id, version) {
+    const versions = this.workflows.get(id);
+
+    if (!versions || versions.size === 0) {
+      return null;
+    }
+
+    if (version !== undefined && version !== null) {
+      return versions.get(Number(version)) || null;
+    }
+
+    return versions.get(Math.max(...versions.keys()));
+  }
+
+  /**
+   * Получает описание процесса по умолчанию.
+   * @returns {Object} - Описание процесса.
+   * @throws {Error} - Если процесс по умолчанию не зарегистрирован.
+   */
+  getDefaultWorkflow() {
+    const workflow = this.getWorkflow(this.defaultWorkflowId);
+
+    if (!workflow) {
+      throw new Error(`Default workflow ${this.defaultWorkflowId} is not registered`);
+    }
+
+    return workflow;
+  }
+
+  /**
+   * Возвращает список зарегистрированных процессов и их версий.
+   * @returns {Array<Object>} - Список { id, versions, description }.
+   */
+  listWorkflows() {
+    return Array.from(this.workflows.entries()).map(([id, versions]) => {
+      const latest = this.getWorkflow(id);
+
+      return {
+        id,
+        versions: Array.from(versions.keys()).sort((a, b) => a - b),
+        description: latest.description || ''
+      };
+    });
+  }
+
+  /**
+   * Выбирает описание процесса для проекта по настройке "workflow" проекта.
+   * Если настройка отсутствует или ссылается на неизвестный процесс,
+   * используется процесс по умолчанию.
+   * @param {string|number} [projectId] - Идентификатор проекта.
+   * @returns {Promise<Object>} - Описание процесса.
+   */
+  async resolveForProject(projectId) {
+    const selection = await this._getProjectSelection(projectId);
+
+    if (selection && selection.id) {
+      const workflow = this.getWorkflow(selection.id, selection.version);
+
+      if (workflow) {
+        return workflow;
+      }
+
+      logger.warn(`Workflow ${selection.id}${selection.version ? ` v${selection.version}` : ''} selected for project ${projectId} is not registered, using default`);
+    }
+
+    return this.getDefaultWorkflow();
+  }
+
+  /**
+   * Читает выбранный для проекта процесс из настроек проекта.
+   * @private
+   * @param {string|number} [projectId] - Идентификатор проекта.
+   * @returns {Promise<Object|null>} - Выбор { id, version } или null.
+   */
+  async _getProjectSelection(projectId) {
+    if (!this.db || !projectId) {
+      return null;
+    }
+
+    try {
+      const [rows] = await this.db.query(
+        'SELECT setting_value FROM project_settings WHERE project_id = ? AND setting_key = ?',
+        [projectId, PROJECT_SETTING_KEY]
+      );
+
+      if (!rows || rows.length === 0) {
+        return null;
+      }
+
+      const value = rows[0].setting_value;
+
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+      logger.error(`Error reading workflow setting for project ${projectId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Проверяет ссылки внутри описания: имена шагов, цели переходов и циклы.
+   * @private
+   * @param {Object} definition - Описание процесса.
+   * @returns {Array<string>} - Список ошибок.
+   */
+  _checkReferences(definition) {
+    const errors = [];
+    const steps = definition.steps.map(step => step.step);
+    const loops = definition.loops || {};
+    const specialTargets = Object.values(WORKFLOW_TARGETS);
+
+    const checkTarget = (target, where) => {
+      if (!steps.includes(target) && !specialTargets.includes(target)) {
+        errors.push(`${where} refers to unknown step ${target}`);
+      }
+    };
+
+    const checkCondition = (condition, where) => {
+      if (typeof condition === 'string') {
+        if (this.knownConditions.length > 0 && !this.knownConditions.includes(condition)) {
+          errors.push(`${where} refers to unknown condition ${condition}`);
+        }
+        return;
+      }
+
+      (condition.all || condition.any || (condition.not ? [condition.not] : []))
+        .forEach(item => checkCondition(item, where));
+    };
+
+    steps.forEach((stepName, index) => {
+      if (this.knownSteps.length > 0 && !this.knownSteps.includes(stepName)) {
+        errors.push(`unknown step ${stepName}`);
+      }
+
+      if (steps.indexOf(stepName) !== index) {
+        errors.push(`step ${stepName} is declared more than once`);
+      }
+    });
+
+    for (const step of definition.steps) {
+      if (step.when) {
+        checkCondition(step.when, `condition of step ${step.step}`);
+      }
+
+      if (step.next) {
+        checkTarget(step.next, `next of step ${step.step}`);
+      }
+
+      for (const transition of step.transitions || []) {
+        checkTarget(transition.to, `transition of step ${step.step}`);
+
+        if (transition.when) {
+          checkCondition(transition.when, `transition of step ${step.step}`);
+        }
+
+        if (transition.loop && !loops[transition.loop]) {
+          errors.push(`transition of step ${step.step} refers to unknown loop ${transition.loop}`);
+        }
+
+        if (transition.resume) {
+          if (transition.to !== WORKFLOW_TARGETS.WAIT_FOR_INPUT) {
+            errors.push(`transition of step ${step.step} declares resume without ${WORKFLOW_TARGETS.WAIT_FOR_INPUT}`);
+          }
+
+          if (!steps.includes(transition.resume)) {
+            errors.push(`resume of step ${step.step} refers to unknown step ${transition.resume}`);
+          }
+        }
+      }
+    }
+
+    for (const [loopName, loop] of Object.entries(loops)) {
+      if (loop.counter === 'visits' && !loop.maxIterations) {
+        errors.push(`loop ${loopName} with counter "visits" requires maxIterations`);
+      }
+    }
+
+    return errors;
+  }
+}
+
+module.exports = {
+  WorkflowRegistry,
+  WORKFLOW_TARGETS,
+  PROJECT_SETTING_KEY
+};
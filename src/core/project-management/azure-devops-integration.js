@@ -0,0 +1,556 @@
+// src/core/project-management/azure-devops-integration.js
+const logger = require('../../utils/logger');
+const axios = require('axios');
+const { UserModel } = require('../../models');
+
+/**
+ * Версия REST API Azure DevOps
+ */
+const API_VERSION = '7.0';
+
+/**
+ * Версия API комментариев рабочих элементов (доступна только как preview)
+ */
+const COMMENTS_API_VERSION = '7.0-preview.3';
+
+/**
+ * Максимальное количество рабочих элементов в одном запросе workitems?ids=
+ */
+const MAX_BATCH_SIZE = 200;
+
+/**
+ * Интеграция с Azure DevOps Boards (рабочие элементы)
+ */
+class AzureDevOpsIntegration {
+  /**
+   * Создание запроса к Azure DevOps API
+   * @param {string} method - HTTP метод
+   * @param {string} endpoint - Эндпоинт API (относительно {organization}/{project}/_apis)
+   * @param {object} config - Конфигурация интеграции
+   * @param {object|Array} data - Данные запроса (для POST/PATCH)
+   * @param {string} contentType - Тип содержимого (JSON Patch для рабочих элементов)
+   * @returns {Promise<object>} - Ответ API
+   */
+  async request(method, endpoint, config, data = null, contentType = 'application/json') {
+    try {
+      const { baseUrl = 'https://dev.azure.com', organization, project, personalAccessToken } = config;
+
+      // Базовые заголовки для всех запросов
+      const headers = {
+        'Content-Type': contentType,
+        'Accept': 'application/json'
+      };
+
+      // Персональный токен передается через базовую аутентификацию с пустым именем
+      const auth = {
+        username: '',
+        password: personalAccessToken
+      };
+
+      // Формируем полный URL с версией API (если эндпоинт не задает свою)
+      const versionParam = endpoint.includes('api-version=')
+        ? ''
+        : `${endpoint.includes('?') ? '&' : '?'}api-version=${API_VERSION}`;
+      const url = `${baseUrl.replace(/\/+$/, '')}/${encodeURIComponent(organization)}/${encodeURIComponent(project)}/_apis${endpoint}${versionParam}`;
+
+      // Выполняем запрос
+      const response = await axios({
+        method,
+        url,
+        auth,
+        headers,
+        data
+      });
+
+      return response.data;
+    } catch (error) {
+      // Если ошибка содержит ответ от сервера, логируем его
+      if (error.response) {
+        logger.error(`Azure DevOps API error (${error.response.status}): ${JSON.stringify(error.response.data)}`);
+        throw new Error(`Azure DevOps API error (${error.response.status}): ${(error.response.data && error.response.data.message) || 'Unknown error'}`);
+      }
+
+      // Иначе логируем общую ошибку
+      logger.error(`Azure DevOps API request failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Создание рабочего элемента в Azure DevOps
+   * @param {object} task - Объект задачи
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Promise<object>} - Результат создания
+   */
+  async createTask(task, config) {
+    try {
+      const { workItemType = 'Task' } = config;
+
+      // Преобразуем задачу BIZ360 в JSON Patch рабочего элемента
+      const patch = this.mapTaskToWorkItem(task, config);
+
+      // Создаем рабочий элемент
+      const createdItem = await this.request(
+        'POST',
+        `/wit/workitems/$${encodeURIComponent(workItemType)}`,
+        config,
+        patch,
+        'application/json-patch+json'
+      );
+
+      return {
+        success: true,
+        externalId: createdItem.id.toString(),
+        externalUrl: this.getWorkItemUrl(createdItem.id, config),
+        externalData: createdItem
+      };
+    } catch (error) {
+      logger.error(`Error creating Azure DevOps work item: ${error.message}`, {
+        error: error.stack,
+        taskId: task.id
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Обновление рабочего элемента в Azure DevOps
+   * @param {object} task - Объект задачи
+   * @param {string} externalId - ID рабочего элемента
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Promise<object>} - Результат обновления
+   */
+  async updateTask(task, externalId, config) {
+    try {
+      // Получаем текущий рабочий элемент
+      const workItem = await this.getTask(externalId, config);
+
+      // Преобразуем задачу BIZ360 в JSON Patch (только измененные поля)
+      const patch = this.mapTaskToWorkItemUpdate(task, workItem, config);
+
+      // Если изменений нет, не отправляем запрос
+      const updatedItem = patch.length > 0
+        ? await this.request('PATCH', `/wit/workitems/${workItem.id}`, config, patch, 'application/json-patch+json')
+        : workItem;
+
+      return {
+        success: true,
+        externalId: updatedItem.id.toString(),
+        externalUrl: this.getWorkItemUrl(updatedItem.id, config),
+        externalData: updatedItem
+      };
+    } catch (error) {
+      logger.error(`Error updating Azure DevOps work item: ${error.message}`, {
+        error: error.stack,
+        taskId: task.id,
+        externalId
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Получение рабочего элемента из Azure DevOps
+   * @param {string} externalId - ID рабочего элемента
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Promise<object>} - Рабочий элемент
+   */
+  async getTask(externalId, config) {
+    try {
+      return await this.request('GET', `/wit/workitems/${encodeURIComponent(externalId)}`, config);
+    } catch (error) {
+      logger.error(`Error getting Azure DevOps work item: ${error.message}`, {
+        error: error.stack,
+        externalId
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Импорт рабочих элементов из Azure DevOps в проект
+   * @param {number} projectId - ID проекта
+   * @param {object} config - Конфигурация интеграции
+   * @param {object} options - Опции импорта
+   * @returns {Promise<Array>} - Импортированные рабочие элементы
+   */
+  async importTasks(projectId, config, options = {}) {
+    try {
+      const { workItemType = config.workItemType || 'Task', status, since, maxResults = 50 } = options;
+
+      // Формируем WIQL запрос (ID рабочих элементов проекта)
+      const conditions = [
+        '[System.TeamProject] = @project',
+        `[System.WorkItemType] = '${this.escapeWiql(workItemType)}'`
+      ];
+
+      // Добавляем фильтр по статусу, если указан
+      if (status) {
+        conditions.push(`[System.State] = '${this.escapeWiql(status)}'`);
+      }
+
+      if (since) {
+        conditions.push(`[System.ChangedDate] >= '${this.escapeWiql(since)}'`);
+      }
+
+      const query = `SELECT [System.Id] FROM WorkItems WHERE ${conditions.join(' AND ')} ORDER BY [System.ChangedDate] DESC`;
+
+      const result = await this.request('POST', `/wit/wiql?$top=${maxResults}`, config, { query });
+      const ids = (result.workItems || []).map(item => item.id);
+
+      // WIQL возвращает только ID, поля получаем пакетами
+      const workItems = [];
+
+      for (let i = 0; i < ids.length; i += MAX_BATCH_SIZE) {
+        const batch = ids.slice(i, i + MAX_BATCH_SIZE);
+        const response = await this.request('GET', `/wit/workitems?ids=${batch.join(',')}`, config);
+
+        workItems.push(...response.value);
+      }
+
+      return workItems;
+    } catch (error) {
+      logger.error(`Error importing tasks from Azure DevOps: ${error.message}`, {
+        error: error.stack,
+        projectId
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Получение комментариев рабочего элемента
+   * @param {string} externalId - ID рабочего элемента
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Promise<Array>} - Комментарии { id, body, author, createdAt }
+   */
+  async getComments(externalId, config) {
+    try {
+      const response = await this.request(
+        'GET',
+        `/wit/workItems/${encodeURIComponent(externalId)}/comments?$top=200&api-version=${COMMENTS_API_VERSION}`,
+        config
+      );
+
+      return (response.comments || []).map(comment => this.mapComment(comment));
+    } catch (error) {
+      logger.error(`Error getting Azure DevOps work item comments: ${error.message}`, {
+        error: error.stack,
+        externalId
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Добавление комментария к рабочему элементу
+   * @param {string} externalId - ID рабочего элемента
+   * @param {string} body - Текст комментария
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Promise<object>} - Созданный комментарий { id, body, author, createdAt }
+   */
+  async addComment(externalId, body, config) {
+    try {
+      const comment = await this.request(
+        'POST',
+        `/wit/workItems/${encodeURIComponent(externalId)}/comments?api-version=${COMMENTS_API_VERSION}`,
+        config,
+        { text: this.textToHtml(body) }
+      );
+
+      return this.mapComment(comment);
+    } catch (error) {
+      logger.error(`Error adding Azure DevOps work item comment: ${error.message}`, {
+        error: error.stack,
+        externalId
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Преобразование комментария Azure DevOps в общий формат
+   * @param {object} comment - Комментарий рабочего элемента
+   * @returns {object} - Комментарий { id, body, author, createdAt }
+   */
+  mapComment(comment) {
+    return {
+      id: comment.id.toString(),
+      body: this.htmlToText(comment.text || ''),
+      author: comment.createdBy ? comment.createdBy.uniqueName : null,
+      createdAt: comment.createdDate ? new Date(comment.createdDate) : null
+    };
+  }
+
+  /**
+   * Преобразование задачи BIZ360 в JSON Patch рабочего элемента для создания
+   * @param {object} task - Объект задачи
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Array<object>} - Операции JSON Patch
+   */
+  mapTaskToWorkItem(task, config) {
+    const patch = [
+      { op: 'add', path: '/fields/System.Title', value: task.title },
+      { op: 'add', path: '/fields/System.Description', value: this.textToHtml(task.description || '') }
+    ];
+
+    // Добавляем приоритет, если указан
+    if (task.priority) {
+      patch.push({ op: 'add', path: '/fields/Microsoft.VSTS.Common.Priority', value: this.mapPriorityToAzure(task.priority) });
+    }
+
+    // Добавляем срок выполнения, если указан
+    if (task.due_date) {
+      patch.push({ op: 'add', path: '/fields/Microsoft.VSTS.Scheduling.DueDate', value: new Date(task.due_date).toISOString() });
+    }
+
+    // Добавляем путь области, если указан в конфигурации
+    if (config.areaPath) {
+      patch.push({ op: 'add', path: '/fields/System.AreaPath', value: config.areaPath });
+    }
+
+    // Метки задачи (теги Azure DevOps разделяются точкой с запятой)
+    const tags = [];
+
+    if (task.task_type) {
+      tags.push(`type:${task.task_type}`);
+    }
+
+    if (config.defaultTags && Array.isArray(config.defaultTags)) {
+      tags.push(...config.defaultTags);
+    }
+
+    if (tags.length > 0) {
+      patch.push({ op: 'add', path: '/fields/System.Tags', value: tags.join('; ') });
+    }
+
+    // Azure DevOps назначает исполнителя по email
+    if (task.assignee_email) {
+      patch.push({ op: 'add', path: '/fields/System.AssignedTo', value: task.assignee_email });
+    }
+
+    return patch;
+  }
+
+  /**
+   * Преобразование задачи BIZ360 в JSON Patch рабочего элемента для обновления
+   * @param {object} task - Объект задачи
+   * @param {object} workItem - Текущий рабочий элемент
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Array<object>} - Операции JSON Patch
+   */
+  mapTaskToWorkItemUpdate(task, workItem, config) {
+    const fields = workItem.fields || {};
+    const patch = [];
+
+    // Обновляем заголовок, если изменился
+    if (task.title !== fields['System.Title']) {
+      patch.push({ op: 'add', path: '/fields/System.Title', value: task.title });
+    }
+
+    // Обновляем описание, если изменилось
+    if ((task.description || '') !== this.htmlToText(fields['System.Description'] || '')) {
+      patch.push({ op: 'add', path: '/fields/System.Description', value: this.textToHtml(task.description || '') });
+    }
+
+    // Обновляем статус, если изменился
+    const state = this.mapStatusToAzure(task.status, config);
+
+    if (state && state !== fields['System.State']) {
+      patch.push({ op: 'add', path: '/fields/System.State', value: state });
+    }
+
+    // Обновляем приоритет, если изменился
+    if (task.priority) {
+      const priority = this.mapPriorityToAzure(task.priority);
+
+      if (priority !== fields['Microsoft.VSTS.Common.Priority']) {
+        patch.push({ op: 'add', path: '/fields/Microsoft.VSTS.Common.Priority', value: priority });
+      }
+    }
+
+    // Обновляем срок выполнения, если изменился
+    if (task.due_date) {
+      const dueDate = new Date(task.due_date).toISOString();
+      const currentDueDate = fields['Microsoft.VSTS.Scheduling.DueDate']
+        ? new Date(fields['Microsoft.VSTS.Scheduling.DueDate']).toISOString()
+        : null;
+
+      if (dueDate !== currentDueDate) {
+        patch.push({ op: 'add', path: '/fields/Microsoft.VSTS.Scheduling.DueDate', value: dueDate });
+      }
+    }
+
+    return patch;
+  }
+
+  /**
+   * Преобразование рабочего элемента Azure DevOps в формат BIZ360
+   * @param {object} workItem - Рабочий элемент
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Promise<object>} - Задача в формате BIZ360
+   */
+  async mapExternalTaskToLocal(workItem, config) {
+    const fields = workItem.fields || {};
+
+    // Базовая структура задачи
+    const task = {
+      title: fields['System.Title'],
+      description: this.htmlToText(fields['System.Description'] || ''),
+      external_id: workItem.id.toString(),
+      external_url: this.getWorkItemUrl(workItem.id, config),
+      external_updated_at: fields['System.ChangedDate'] ? new Date(fields['System.ChangedDate']) : null
+    };
+
+    // Маппинг приоритета (1 - наивысший)
+    if (fields['Microsoft.VSTS.Common.Priority']) {
+      const priorityMap = {
+        1: 'critical',
+        2: 'high',
+        3: 'medium',
+        4: 'low'
+      };
+
+      task.priority = priorityMap[fields['Microsoft.VSTS.Common.Priority']] || 'medium';
+    }
+
+    // Маппинг статуса
+    const statusMap = config.statusMapping || {
+      'New': 'pending',
+      'To Do': 'pending',
+      'Active': 'in_progress',
+      'Doing': 'in_progress',
+      'Resolved': 'in_progress',
+      'Closed': 'completed',
+      'Done': 'completed',
+      'Removed': 'cancelled'
+    };
+
+    if (fields['System.State']) {
+      task.status = statusMap[fields['System.State']] || 'pending';
+    }
+
+    // Добавляем срок выполнения, если указан
+    if (fields['Microsoft.VSTS.Scheduling.DueDate']) {
+      task.due_date = new Date(fields['Microsoft.VSTS.Scheduling.DueDate']);
+    }
+
+    // Маппинг исполнителя (если есть)
+    const assignee = fields['System.AssignedTo'];
+
+    if (assignee && assignee.uniqueName) {
+      // Ищем пользователя по email
+      const user = await UserModel.findOne({
+        where: { email: assignee.uniqueName }
+      });
+
+      if (user) {
+        task.assignee_id = user.id;
+      }
+    }
+
+    return task;
+  }
+
+  /**
+   * Преобразование приоритета BIZ360 в приоритет Azure DevOps
+   * @param {string} priority - Приоритет BIZ360
+   * @returns {number} - Приоритет Azure DevOps (1-4)
+   */
+  mapPriorityToAzure(priority) {
+    const priorityMap = {
+      'low': 4,
+      'medium': 3,
+      'high': 2,
+      'critical': 1
+    };
+
+    return priorityMap[priority] || 3;
+  }
+
+  /**
+   * Преобразование статуса BIZ360 в состояние Azure DevOps
+   * (обратный маппинг config.statusMapping, если он указан)
+   * @param {string} status - Статус BIZ360
+   * @param {object} config - Конфигурация интеграции
+   * @returns {string|null} - Состояние Azure DevOps
+   */
+  mapStatusToAzure(status, config) {
+    if (config.statusMapping) {
+      const entry = Object.entries(config.statusMapping).find(([, localStatus]) => localStatus === status);
+
+      return entry ? entry[0] : null;
+    }
+
+    const statusMap = {
+      'pending': 'New',
+      'in_progress': 'Active',
+      'completed': 'Closed',
+      'cancelled': 'Removed'
+    };
+
+    return statusMap[status] || null;
+  }
+
+  /**
+   * Формирование URL рабочего элемента в веб-интерфейсе
+   * @param {number|string} id - ID рабочего элемента
+   * @param {object} config - Конфигурация интеграции
+   * @returns {string} - URL рабочего элемента
+   */
+  getWorkItemUrl(id, config) {
+    const { baseUrl = 'https://dev.azure.com', organization, project } = config;
+
+    return `${baseUrl.replace(/\/+$/, '')}/${encodeURIComponent(organization)}/${encodeURIComponent(project)}/_workitems/edit/${id}`;
+  }
+
+  /**
+   * Преобразование текста в HTML для поля описания
+   * @param {string} text - Текст
+   * @returns {string} - HTML
+   */
+  textToHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .split('\n')
+      .map(line => `<div>${line}</div>`)
+      .join('');
+  }
+
+  /**
+   * Извлечение текста из HTML поля описания
+   * @param {string} html - HTML
+   * @returns {string} - Извлеченный текст
+   */
+  htmlToText(html) {
+    return html
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(div|p|li|h[1-6])>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, '&')
+      .trim();
+  }
+
+  /**
+   * Экранирование строки для WIQL запроса
+   * @param {string} value - Значение
+   * @returns {string} - Экранированное значение
+   */
+  escapeWiql(value) {
+    return String(value).replace(/'/g, "''");
+  }
+}
+
+module.exports = new AzureDevOpsIntegration();
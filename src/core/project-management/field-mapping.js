@@ -0,0 +1,493 @@
+// src/core/project-management/field-mapping.js
+
+/**
+ * Статусы задач BIZ360
+ */
+const LOCAL_STATUSES = ['pending', 'in_progress', 'completed', 'failed'];
+
+/**
+ * Приоритеты задач BIZ360
+ */
+const LOCAL_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Поля задачи BIZ360, которые можно связать с полями внешней системы
+ * (tags - теги задачи, массив строк)
+ */
+const MAPPABLE_TASK_FIELDS = [
+  'title', 'description', 'priority', 'due_date', 'estimated_hours',
+  'actual_hours', 'complexity', 'progress', 'git_branch', 'tags'
+];
+
+/**
+ * Направления маппинга пользовательского поля
+ */
+const MAPPING_DIRECTIONS = ['both', 'to-local', 'to-external'];
+
+/**
+ * Приведение значения к числу (пустые и нечисловые значения - null)
+ * @param {*} value - Значение
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const number = Number(value);
+
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Приведение значения к массиву (строка разбивается по запятым)
+ * @param {*} value - Значение
+ * @returns {Array}
+ */
+function toArray(value) {
+  if (value === null || value === undefined || value === '') {
+    return [];
+  }
+
+  if (Array.isArray(value)) {
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+
+  return [value];
+}
+
+/**
+ * Название элемента списка внешней системы ({ name } или { value }) или само значение
+ * @param {*} item - Элемент
+ * @returns {*}
+ */
+function itemName(item) {
+  if (item && typeof item === 'object') {
+    return item.name !== undefined ? item.name : item.value;
+  }
+
+  return item;
+}
+
+/**
+ * Преобразования значений пользовательских полей (toLocal - из внешней системы, toExternal - во внешнюю)
+ */
+const MAPPING_TRANSFORMS = {
+  // Значение без изменений
+  none: {
+    toLocal: value => value === undefined ? null : value,
+    toExternal: value => value === undefined ? null : value
+  },
+  string: {
+    toLocal: value => value === null || value === undefined ? null : String(value),
+    toExternal: value => value === null || value === undefined ? null : String(value)
+  },
+  number: {
+    toLocal: toNumber,
+    toExternal: toNumber
+  },
+  integer: {
+    toLocal: value => toNumber(value) === null ? null : Math.round(toNumber(value)),
+    toExternal: value => toNumber(value) === null ? null : Math.round(toNumber(value))
+  },
+  boolean: {
+    toLocal: value => value === null || value === undefined ? null : value === true || value === 'true',
+    toExternal: value => value === null || value === undefined ? null : value === true || value === 'true'
+  },
+  // Дата: во внешнюю систему передается в формате YYYY-MM-DD
+  date: {
+    toLocal: value => value ? new Date(value) : null,
+    toExternal: value => value ? new Date(value).toISOString().split('T')[0] : null
+  },
+  // Поле-список с одним значением (JIRA: { value })
+  option: {
+    toLocal: value => value === null || value === undefined ? null : itemName(value),
+    toExternal: value => value === null || value === undefined ? null : { value: String(value) }
+  },
+  // Поле-список с несколькими значениями (JIRA: [{ value }])
+  options: {
+    toLocal: value => toArray(value).map(itemName),
+    toExternal: value => toArray(value).map(item => ({ value: String(item) }))
+  },
+  // Список именованных объектов (например, компоненты JIRA: [{ name }])
+  names: {
+    toLocal: value => toArray(value).map(itemName),
+    toExternal: value => toArray(value).map(item => ({ name: String(item) }))
+  },
+  // Список строк (строка из внешней системы разбивается по запятым)
+  list: {
+    toLocal: value => toArray(value).map(String),
+    toExternal: value => toArray(value).map(String)
+  },
+  // Таблица значений values (значение внешней системы -> значение BIZ360)
+  map: {
+    toLocal: (value, entry) => {
+      const key = itemName(value);
+      return key !== null && key !== undefined && entry.values[key] !== undefined ? entry.values[key] : null;
+    },
+    toExternal: (value, entry) => {
+      const key = Object.keys(entry.values).find(external => entry.values[external] === value);
+      return key !== undefined ? key : null;
+    }
+  }
+};
+
+/**
+ * Получение значения по пути через точку (например, "milestone.title")
+ * @param {object} source - Объект
+ * @param {string} path - Путь
+ * @returns {*}
+ */
+function getPath(source, path) {
+  return path.split('.').reduce((value, key) => value === null || value === undefined ? undefined : value[key], source);
+}
+
+/**
+ * Обратная таблица: значение BIZ360 -> первое значение внешней системы, которое в него переводится
+ * @param {object} table - Таблица (внешнее значение -> значение BIZ360)
+ * @returns {object}
+ */
+function invert(table = {}) {
+  const inverted = {};
+
+  for (const [external, local] of Object.entries(table)) {
+    if (inverted[local] === undefined) {
+      inverted[local] = external;
+    }
+  }
+
+  return inverted;
+}
+
+/**
+ * Маппинг полей интеграции: статусы, приоритеты, метки и пользовательские поля.
+ *
+ * Конфигурация (config.mappings интеграции):
+ * {
+ *   status:   { toLocal: { 'In Review': 'in_progress' }, toExternal: { in_progress: 'In Review' } },
+ *   priority: { toLocal: { 'P1': 'critical' }, toExternal: { critical: 'P1' } },
+ *   labels:   [{ label: 'bug', tag: 'defect' }],
+ *   customFields: [{ externalField: 'customfield_10016', taskField: 'complexity', transform: 'number', direction: 'both' }]
+ * }
+ *
+ * Раздел из конфигурации заменяет раздел по умолчанию провайдера целиком.
+ * Если для статусов или приоритетов указан только toLocal, toExternal строится по нему.
+ */
+class FieldMapping {
+  /**
+   * @param {object} mappings - Маппинг из конфигурации интеграции
+   * @param {object} defaults - Маппинг провайдера по умолчанию
+   */
+  constructor(mappings = {}, defaults = {}) {
+    this.status = this.buildValueMapping(mappings.status, defaults.status);
+    this.priority = this.buildValueMapping(mappings.priority, defaults.priority);
+    this.labels = mappings.labels || defaults.labels || [];
+    this.customFields = (mappings.customFields || defaults.customFields || []).map(entry => ({
+      direction: 'both',
+      transform: 'none',
+      ...entry
+    }));
+  }
+
+  /**
+   * Построение таблиц перевода значений в обе стороны
+   * @param {object} configured - Раздел из конфигурации
+   * @param {object} defaults - Раздел по умолчанию
+   * @returns {object} - { toLocal, toExternal }
+   */
+  buildValueMapping(configured, defaults = {}) {
+    const source = configured || defaults;
+    const toLocal = source.toLocal || {};
+
+    return {
+      toLocal,
+      toExternal: { ...invert(toLocal), ...source.toExternal }
+    };
+  }
+
+  /**
+   * Статус внешней системы -> статус BIZ360
+   * @param {string} externalStatus - Статус внешней системы
+   * @param {string} fallback - Значение, если статус не связан
+   * @returns {string}
+   */
+  statusToLocal(externalStatus, fallback = null) {
+    return this.status.toLocal[externalStatus] || fallback;
+  }
+
+  /**
+   * Статус BIZ360 -> статус внешней системы
+   * @param {string} localStatus - Статус BIZ360
+   * @param {string} fallback - Значение, если статус не связан
+   * @returns {string}
+   */
+  statusToExternal(localStatus, fallback = null) {
+    return this.status.toExternal[localStatus] || fallback;
+  }
+
+  /**
+   * Приоритет внешней системы -> приоритет BIZ360
+   * @param {string} externalPriority - Приоритет внешней системы
+   * @param {string} fallback - Значение, если приоритет не связан
+   * @returns {string}
+   */
+  priorityToLocal(externalPriority, fallback = null) {
+    return this.priority.toLocal[externalPriority] || fallback;
+  }
+
+  /**
+   * Приоритет BIZ360 -> приоритет внешней системы
+   * @param {string} localPriority - Приоритет BIZ360
+   * @param {string} fallback - Значение, если приоритет не связан
+   * @returns {string}
+   */
+  priorityToExternal(localPriority, fallback = null) {
+    return this.priority.toExternal[localPriority] || fallback;
+  }
+
+  /**
+   * Метки внешней системы -> теги задачи (несвязанные метки пропускаются)
+   * @param {string[]} labels - Метки
+   * @returns {string[]} - Теги
+   */
+  labelsToTags(labels = []) {
+    const tags = [];
+
+    for (const label of labels) {
+      const entry = this.labels.find(item => item.label === label);
+
+      if (entry && !tags.includes(entry.tag)) {
+        tags.push(entry.tag);
+      }
+    }
+
+    return tags;
+  }
+
+  /**
+   * Теги задачи -> метки внешней системы (несвязанные теги пропускаются)
+   * @param {string[]} tags - Теги
+   * @returns {string[]} - Метки
+   */
+  tagsToLabels(tags = []) {
+    const labels = [];
+
+    for (const tag of tags) {
+      const entry = this.labels.find(item => item.tag === tag);
+
+      if (entry && !labels.includes(entry.label)) {
+        labels.push(entry.label);
+      }
+    }
+
+    return labels;
+  }
+
+  /**
+   * Метки, которыми управляет маппинг тегов
+   * @returns {string[]}
+   */
+  getMappedLabels() {
+    return this.labels.map(entry => entry.label);
+  }
+
+  /**
+   * Значения пользовательских полей внешней задачи для задачи BIZ360
+   * @param {object} source - Поля внешней задачи (пути externalField считаются от него)
+   * @returns {object} - Поля задачи BIZ360
+   */
+  customFieldsToLocal(source) {
+    const fields = {};
+
+    for (const entry of this.customFields) {
+      if (entry.direction === 'to-external') {
+        continue;
+      }
+
+      const value = this.transformToLocal(entry, getPath(source, entry.externalField));
+
+      // Несколько полей могут пополнять теги задачи
+      if (entry.taskField === 'tags') {
+        fields.tags = [...new Set([...(fields.tags || []), ...toArray(value)])];
+      } else {
+        fields[entry.taskField] = value;
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * Значения пользовательских полей внешней системы из задачи BIZ360
+   * (поля, отсутствующие в задаче, не передаются)
+   * @param {object} task - Задача BIZ360
+   * @returns {object} - Поля внешней задачи (externalField -> значение)
+   */
+  customFieldsToExternal(task) {
+    const fields = {};
+
+    for (const entry of this.customFields) {
+      if (entry.direction === 'to-local' || task[entry.taskField] === undefined) {
+        continue;
+      }
+
+      fields[entry.externalField] = this.transformToExternal(entry, task[entry.taskField]);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Изменившиеся пользовательские поля внешней задачи
+   * @param {object} task - Задача BIZ360
+   * @param {object} source - Текущие поля внешней задачи
+   * @returns {object} - Поля внешней задачи для обновления
+   */
+  changedCustomFields(task, source) {
+    const changed = {};
+    const fields = this.customFieldsToExternal(task);
+
+    for (const entry of this.customFields) {
+      if (!(entry.externalField in fields)) {
+        continue;
+      }
+
+      // Сравниваем в формате BIZ360: внешние значения содержат служебные атрибуты (id, self)
+      const current = this.transformToLocal(entry, getPath(source, entry.externalField));
+      const next = this.transformToLocal(entry, fields[entry.externalField]);
+
+      if (JSON.stringify(current) !== JSON.stringify(next)) {
+        changed[entry.externalField] = fields[entry.externalField];
+      }
+    }
+
+    return changed;
+  }
+
+  /**
+   * Преобразование значения поля внешней системы в значение BIZ360
+   * @param {object} entry - Маппинг поля
+   * @param {*} value - Значение
+   * @returns {*}
+   */
+  transformToLocal(entry, value) {
+    return MAPPING_TRANSFORMS[entry.transform].toLocal(value, entry);
+  }
+
+  /**
+   * Преобразование значения BIZ360 в значение поля внешней системы
+   * @param {object} entry - Маппинг поля
+   * @param {*} value - Значение
+   * @returns {*}
+   */
+  transformToExternal(entry, value) {
+    return MAPPING_TRANSFORMS[entry.transform].toExternal(value, entry);
+  }
+
+  /**
+   * Действующий маппинг (для API)
+   * @returns {object}
+   */
+  toJSON() {
+    return {
+      status: this.status,
+      priority: this.priority,
+      labels: this.labels,
+      customFields: this.customFields
+    };
+  }
+}
+
+/**
+ * Проверка таблицы перевода значений
+ * @param {string} name - Название раздела
+ * @param {object} mapping - Раздел { toLocal, toExternal }
+ * @param {string[]} localValues - Допустимые значения BIZ360
+ * @returns {string[]} - Ошибки
+ */
+function validateValueMapping(name, mapping, localValues) {
+  const errors = [];
+
+  for (const [external, local] of Object.entries(mapping.toLocal || {})) {
+    if (!localValues.includes(local)) {
+      errors.push(`${name}.toLocal["${external}"]: unknown task ${name} "${local}"`);
+    }
+  }
+
+  for (const local of Object.keys(mapping.toExternal || {})) {
+    if (!localValues.includes(local)) {
+      errors.push(`${name}.toExternal: unknown task ${name} "${local}"`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Проверка маппинга полей интеграции
+ * @param {object} mappings - Маппинг (config.mappings)
+ * @returns {string[]} - Ошибки (пустой массив, если маппинг корректен)
+ */
+function validateMappings(mappings = {}) {
+  const errors = [];
+
+  if (mappings.status) {
+    errors.push(...validateValueMapping('status', mappings.status, LOCAL_STATUSES));
+  }
+
+  if (mappings.priority) {
+    errors.push(...validateValueMapping('priority', mappings.priority, LOCAL_PRIORITIES));
+  }
+
+  const labels = mappings.labels || [];
+  const seenLabels = new Set();
+
+  labels.forEach((entry, index) => {
+    if (!entry.label || !entry.tag) {
+      errors.push(`labels[${index}]: label and tag are required`);
+    } else if (seenLabels.has(entry.label)) {
+      errors.push(`labels[${index}]: label "${entry.label}" is mapped more than once`);
+    }
+
+    seenLabels.add(entry.label);
+  });
+
+  (mappings.customFields || []).forEach((entry, index) => {
+    const prefix = `customFields[${index}]`;
+
+    if (!entry.externalField) {
+      errors.push(`${prefix}: externalField is required`);
+    }
+
+    if (!MAPPABLE_TASK_FIELDS.includes(entry.taskField)) {
+      errors.push(`${prefix}: unknown task field "${entry.taskField}". Expected one of: ${MAPPABLE_TASK_FIELDS.join(', ')}`);
+    }
+
+    if (entry.transform !== undefined && !MAPPING_TRANSFORMS[entry.transform]) {
+      errors.push(`${prefix}: unknown transform "${entry.transform}". Expected one of: ${Object.keys(MAPPING_TRANSFORMS).join(', ')}`);
+    }
+
+    if (entry.transform === 'map' && (!entry.values || typeof entry.values !== 'object')) {
+      errors.push(`${prefix}: values are required for the map transform`);
+    }
+
+    if (entry.direction !== undefined && !MAPPING_DIRECTIONS.includes(entry.direction)) {
+      errors.push(`${prefix}: unknown direction "${entry.direction}". Expected one of: ${MAPPING_DIRECTIONS.join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  FieldMapping,
+  MAPPING_TRANSFORMS,
+  MAPPABLE_TASK_FIELDS,
+  LOCAL_STATUSES,
+  LOCAL_PRIORITIES,
+  validateMappings
+};
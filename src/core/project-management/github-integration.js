@@ -2,6 +2,39 @@
 const logger = require('../../utils/logger');
 const axios = require('axios');
 const { UserModel } = require('../../models');
+const { FieldMapping } = require('./field-mapping');
+
+/**
+ * Состояния задачи GitHub (остальные внешние статусы в маппинге - метки)
+ */
+const GITHUB_STATES = ['open', 'closed'];
+
+/**
+ * Маппинг полей GitHub по умолчанию (заменяется разделами config.mappings).
+ * Статус GitHub - состояние задачи (open/closed) или метка, приоритет - метка.
+ */
+const DEFAULT_MAPPINGS = {
+  status: {
+    toLocal: {
+      'open': 'in_progress',
+      'closed': 'completed'
+    },
+    toExternal: {
+      'pending': 'open',
+      'in_progress': 'open',
+      'completed': 'closed',
+      'cancelled': 'closed'
+    }
+  },
+  priority: {
+    toLocal: {
+      'priority:low': 'low',
+      'priority:medium': 'medium',
+      'priority:high': 'high',
+      'priority:critical': 'critical'
+    }
+  }
+};
 
 /**
  * Интеграция с GitHub Issues
@@ -182,6 +215,67 @@ class GitHubIntegration {
     }
   }
 
+  /**
+   * Получение комментариев задачи GitHub
+   * @param {string} externalId - ID задачи в GitHub
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Promise<Array>} - Комментарии { id, body, author, createdAt }
+   */
+  async getComments(externalId, config) {
+    try {
+      const githubIssue = await this.getTask(externalId, config);
+      
+      const comments = await this.request('GET', `/issues/${githubIssue.number}/comments?per_page=100`, config);
+      
+      return comments.map(comment => this.mapComment(comment));
+    } catch (error) {
+      logger.error(`Error getting GitHub issue comments: ${error.message}`, {
+        error: error.stack,
+        externalId
+      });
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Добавление комментария к задаче GitHub
+   * @param {string} externalId - ID задачи в GitHub
+   * @param {string} body - Текст комментария
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Promise<object>} - Созданный комментарий { id, body, author, createdAt }
+   */
+  async addComment(externalId, body, config) {
+    try {
+      const githubIssue = await this.getTask(externalId, config);
+      
+      const comment = await this.request('POST', `/issues/${githubIssue.number}/comments`, config, { body });
+      
+      return this.mapComment(comment);
+    } catch (error) {
+      logger.error(`Error adding GitHub issue comment: ${error.message}`, {
+        error: error.stack,
+        externalId
+      });
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Преобразование комментария GitHub в общий формат
+   * @param {object} comment - Комментарий GitHub
+   * @returns {object} - Комментарий { id, body, author, createdAt }
+   */
+  mapComment(comment) {
+    return {
+      id: comment.id.toString(),
+      body: comment.body || '',
+      author: comment.user ? comment.user.login : null,
+      createdAt: comment.created_at ? new Date(comment.created_at) : null
+    };
+  }
+
   /**
    * Преобразование задачи BIZ360 в формат GitHub Issue для создания
    * @param {object} task - Объект задачи
@@ -189,6 +283,8 @@ class GitHubIntegration {
    * @returns {object} - Задача в формате GitHub
    */
   mapTaskToGithubIssue(task, config) {
+    const mapping = this.getFieldMapping(config);
+    
     // Формируем базовую структуру задачи
     const githubIssue = {
       title: task.title,
@@ -198,23 +294,22 @@ class GitHubIntegration {
     // Добавляем метки в зависимости от приоритета
     const labels = [];
     
-    if (task.priority) {
-      switch (task.priority) {
-        case 'low':
-          labels.push('priority:low');
-          break;
-        case 'medium':
-          labels.push('priority:medium');
-          break;
-        case 'high':
-          labels.push('priority:high');
-          break;
-        case 'critical':
-          labels.push('priority:critical');
-          break;
-      }
+    const priorityLabel = task.priority ? mapping.priorityToExternal(task.priority) : null;
+    
+    if (priorityLabel) {
+      labels.push(priorityLabel);
+    }
+    
+    // Добавляем метку статуса, если статус передается меткой
+    const statusLabel = task.status ? mapping.statusToExternal(task.status) : null;
+    
+    if (statusLabel && !GITHUB_STATES.includes(statusLabel)) {
+      labels.push(statusLabel);
     }
     
+    // Добавляем метки, связанные с тегами задачи
+    labels.push(...mapping.tagsToLabels(task.tags || []));
+    
     // Добавляем метку с типом задачи, если указан
     if (task.task_type) {
       labels.push(`type:${task.task_type}`);
@@ -234,6 +329,13 @@ class GitHubIntegration {
       githubIssue.assignees = [task.assignee_username];
     }
     
+    // Добавляем пользовательские поля (пустые значения не передаем)
+    for (const [field, value] of Object.entries(this.getWritableCustomFields(mapping.customFieldsToExternal(task)))) {
+      if (value !== null) {
+        githubIssue[field] = value;
+      }
+    }
+    
     return githubIssue;
   }
 
@@ -245,6 +347,8 @@ class GitHubIntegration {
    * @returns {object} - Обновление в формате GitHub
    */
   mapTaskToGithubUpdate(task, githubIssue, config) {
+    const mapping = this.getFieldMapping(config);
+    
     // Формируем обновление задачи
     const githubUpdate = {};
     
@@ -258,20 +362,54 @@ class GitHubIntegration {
       githubUpdate.body = task.description || '';
     }
     
-    // Обновляем статус, если изменился
-    const statusMap = {
-      'pending': 'open',
-      'in_progress': 'open',
-      'completed': 'closed',
-      'cancelled': 'closed'
-    };
-    
-    const githubState = statusMap[task.status] || 'open';
+    // Обновляем статус, если изменился (статус-метка оставляет задачу открытой)
+    const externalStatus = mapping.statusToExternal(task.status, 'open');
+    const githubState = GITHUB_STATES.includes(externalStatus) ? externalStatus : 'open';
     
     if (githubState !== githubIssue.state) {
       githubUpdate.state = githubState;
     }
     
+    // Обновляем метки приоритета, статуса и тегов (остальные метки сохраняются)
+    const currentLabels = this.getLabelNames(githubIssue);
+    const managedLabels = [];
+    const nextLabels = [];
+    
+    if (task.priority) {
+      managedLabels.push(...Object.keys(mapping.priority.toLocal), ...Object.values(mapping.priority.toExternal));
+      
+      const priorityLabel = mapping.priorityToExternal(task.priority);
+      
+      if (priorityLabel) {
+        nextLabels.push(priorityLabel);
+      }
+    }
+    
+    if (task.status) {
+      managedLabels.push(...this.getStatusLabels(mapping));
+      
+      if (!GITHUB_STATES.includes(externalStatus)) {
+        nextLabels.push(externalStatus);
+      }
+    }
+    
+    if (task.tags !== undefined) {
+      managedLabels.push(...mapping.getMappedLabels());
+      nextLabels.push(...mapping.tagsToLabels(task.tags || []));
+    }
+    
+    const labels = [...new Set([
+      ...currentLabels.filter(label => !managedLabels.includes(label)),
+      ...nextLabels
+    ])];
+    
+    if ([...labels].sort().join(',') !== [...currentLabels].sort().join(',')) {
+      githubUpdate.labels = labels;
+    }
+    
+    // Обновляем изменившиеся пользовательские поля
+    Object.assign(githubUpdate, this.getWritableCustomFields(mapping.changedCustomFields(task, githubIssue)));
+    
     return githubUpdate;
   }
 
@@ -288,42 +426,34 @@ class GitHubIntegration {
       description: githubIssue.body || '',
       external_id: githubIssue.id.toString(),
       external_number: githubIssue.number.toString(),
-      external_url: githubIssue.html_url
+      external_url: githubIssue.html_url,
+      external_updated_at: githubIssue.updated_at ? new Date(githubIssue.updated_at) : null
     };
     
+    const mapping = this.getFieldMapping(config);
+    const labels = this.getLabelNames(githubIssue);
+    
     // Маппинг приоритета по меткам
-    if (githubIssue.labels && githubIssue.labels.length > 0) {
-      // Ищем метки приоритета
-      const priorityLabel = githubIssue.labels.find(label => 
-        label.name.startsWith('priority:')
-      );
-      
-      if (priorityLabel) {
-        const priority = priorityLabel.name.split(':')[1];
-        
-        // Маппинг приоритетов
-        const priorityMap = {
-          'low': 'low',
-          'medium': 'medium',
-          'high': 'high',
-          'critical': 'critical'
-        };
-        
-        task.priority = priorityMap[priority] || 'medium';
-      }
+    const priorityLabel = labels.find(label => mapping.priorityToLocal(label));
+    
+    if (priorityLabel) {
+      task.priority = mapping.priorityToLocal(priorityLabel);
     }
     
-    // Маппинг статуса
-    task.status = githubIssue.state === 'open' ? 'in_progress' : 'completed';
+    // Маппинг статуса: метка статуса важнее состояния задачи
+    const statusLabel = labels.find(label => !GITHUB_STATES.includes(label) && mapping.statusToLocal(label));
     
-    // Если в конфигурации указано маппинг статусов по меткам
-    if (config.statusMapping && githubIssue.labels) {
-      for (const label of githubIssue.labels) {
-        if (config.statusMapping[label.name]) {
-          task.status = config.statusMapping[label.name];
-          break;
-        }
-      }
+    task.status = statusLabel
+      ? mapping.statusToLocal(statusLabel)
+      : mapping.statusToLocal(githubIssue.state, githubIssue.state === 'open' ? 'in_progress' : 'completed');
+    
+    // Маппинг пользовательских полей и меток (теги возвращаются, только если маппинг тегов настроен)
+    const { tags: fieldTags, ...customFields } = mapping.customFieldsToLocal(githubIssue);
+    
+    Object.assign(task, customFields);
+    
+    if (mapping.labels.length > 0 || fieldTags) {
+      task.tags = [...new Set([...mapping.labelsToTags(labels), ...(fieldTags || [])])];
     }
     
     // Маппинг исполнителя (если есть)
@@ -340,6 +470,55 @@ class GitHubIntegration {
     
     return task;
   }
+
+  /**
+   * Маппинг полей интеграции (config.mappings поверх маппинга по умолчанию)
+   * @param {object} config - Конфигурация интеграции
+   * @returns {FieldMapping} - Маппинг полей
+   */
+  getFieldMapping(config) {
+    // Устаревший параметр statusMapping (метка GitHub -> статус BIZ360) дополняет состояния задачи
+    const defaults = config.statusMapping
+      ? {
+        ...DEFAULT_MAPPINGS,
+        status: {
+          toLocal: { ...DEFAULT_MAPPINGS.status.toLocal, ...config.statusMapping },
+          toExternal: DEFAULT_MAPPINGS.status.toExternal
+        }
+      }
+      : DEFAULT_MAPPINGS;
+    
+    return new FieldMapping(config.mappings, defaults);
+  }
+
+  /**
+   * Метки статусов из маппинга
+   * @param {FieldMapping} mapping - Маппинг полей
+   * @returns {string[]} - Метки
+   */
+  getStatusLabels(mapping) {
+    return [...Object.keys(mapping.status.toLocal), ...Object.values(mapping.status.toExternal)]
+      .filter(label => !GITHUB_STATES.includes(label));
+  }
+
+  /**
+   * Названия меток задачи GitHub
+   * @param {object} githubIssue - Задача GitHub
+   * @returns {string[]} - Метки
+   */
+  getLabelNames(githubIssue) {
+    return (githubIssue.labels || []).map(label => typeof label === 'string' ? label : label.name);
+  }
+
+  /**
+   * Пользовательские поля, которые можно записать в задачу GitHub
+   * (вложенные пути, например milestone.title, доступны только для чтения)
+   * @param {object} fields - Поля (externalField -> значение)
+   * @returns {object} - Поля верхнего уровня
+   */
+  getWritableCustomFields(fields) {
+    return Object.fromEntries(Object.entries(fields).filter(([field]) => !field.includes('.')));
+  }
 }
 
 module.exports = new GitHubIntegration();
\ No newline at end of file
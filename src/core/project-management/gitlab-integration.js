@@ -0,0 +1,464 @@
+// src/core/project-management/gitlab-integration.js
+const logger = require('../../utils/logger');
+const axios = require('axios');
+const { UserModel } = require('../../models');
+
+/**
+ * Интеграция с GitLab Issues
+ */
+class GitLabIntegration {
+  /**
+   * Создание запроса к GitLab API
+   * @param {string} method - HTTP метод
+   * @param {string} endpoint - Эндпоинт API
+   * @param {object} config - Конфигурация интеграции
+   * @param {object} data - Данные запроса (для POST/PUT)
+   * @returns {Promise<object>} - Ответ API
+   */
+  async request(method, endpoint, config, data = null) {
+    try {
+      const { baseUrl = 'https://gitlab.com', token, projectId } = config;
+
+      // Базовые заголовки для всех запросов
+      const headers = {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'PRIVATE-TOKEN': token
+      };
+
+      // Формируем полный URL (проект задается ID или путем вида group/project)
+      const url = `${baseUrl.replace(/\/+$/, '')}/api/v4/projects/${encodeURIComponent(projectId)}${endpoint}`;
+
+      // Выполняем запрос
+      const response = await axios({
+        method,
+        url,
+        headers,
+        data
+      });
+
+      return response.data;
+    } catch (error) {
+      // Если ошибка содержит ответ от сервера, логируем его
+      if (error.response) {
+        logger.error(`GitLab API error (${error.response.status}): ${JSON.stringify(error.response.data)}`);
+        throw new Error(`GitLab API error (${error.response.status}): ${this.extractErrorMessage(error.response.data)}`);
+      }
+
+      // Иначе логируем общую ошибку
+      logger.error(`GitLab API request failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Создание задачи в GitLab Issues
+   * @param {object} task - Объект задачи
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Promise<object>} - Результат создания
+   */
+  async createTask(task, config) {
+    try {
+      // Преобразуем задачу BIZ360 в формат GitLab Issue
+      const gitlabIssue = this.mapTaskToGitlabIssue(task, config);
+
+      // Создаем задачу в GitLab
+      const createdIssue = await this.request('POST', '/issues', config, gitlabIssue);
+
+      return {
+        success: true,
+        externalId: createdIssue.iid.toString(),
+        externalNumber: createdIssue.iid.toString(),
+        externalUrl: createdIssue.web_url,
+        externalData: createdIssue
+      };
+    } catch (error) {
+      logger.error(`Error creating GitLab issue: ${error.message}`, {
+        error: error.stack,
+        taskId: task.id
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Обновление задачи в GitLab Issues
+   * @param {object} task - Объект задачи
+   * @param {string} externalId - Номер задачи в проекте GitLab (iid)
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Promise<object>} - Результат обновления
+   */
+  async updateTask(task, externalId, config) {
+    try {
+      // Получаем текущую задачу из GitLab
+      const gitlabIssue = await this.getTask(externalId, config);
+
+      // Преобразуем задачу BIZ360 в формат GitLab Issue (только для обновления)
+      const gitlabUpdate = this.mapTaskToGitlabUpdate(task, gitlabIssue, config);
+
+      // Если изменений нет, не отправляем запрос
+      const updatedIssue = Object.keys(gitlabUpdate).length > 0
+        ? await this.request('PUT', `/issues/${gitlabIssue.iid}`, config, gitlabUpdate)
+        : gitlabIssue;
+
+      return {
+        success: true,
+        externalId: updatedIssue.iid.toString(),
+        externalNumber: updatedIssue.iid.toString(),
+        externalUrl: updatedIssue.web_url,
+        externalData: updatedIssue
+      };
+    } catch (error) {
+      logger.error(`Error updating GitLab issue: ${error.message}`, {
+        error: error.stack,
+        taskId: task.id,
+        externalId
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Получение задачи из GitLab Issues
+   * @param {string} externalId - Номер задачи в проекте GitLab (iid)
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Promise<object>} - Задача из GitLab
+   */
+  async getTask(externalId, config) {
+    try {
+      // Задачи GitLab адресуются номером внутри проекта
+      return await this.request('GET', `/issues/${encodeURIComponent(externalId)}`, config);
+    } catch (error) {
+      logger.error(`Error getting GitLab issue: ${error.message}`, {
+        error: error.stack,
+        externalId
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Импорт задач из GitLab Issues в проект
+   * @param {number} projectId - ID проекта
+   * @param {object} config - Конфигурация интеграции
+   * @param {object} options - Опции импорта
+   * @returns {Promise<Array>} - Импортированные задачи
+   */
+  async importTasks(projectId, config, options = {}) {
+    try {
+      const { state = 'opened', labels, since, page = 1, perPage = 30 } = options;
+
+      // GitLab называет открытые задачи 'opened', принимаем и вариант GitHub
+      const gitlabState = state === 'open' ? 'opened' : state;
+
+      // Формируем параметры запроса
+      let endpoint = `/issues?state=${gitlabState}&page=${page}&per_page=${perPage}`;
+
+      if (labels) {
+        endpoint += `&labels=${encodeURIComponent(labels)}`;
+      }
+
+      if (since) {
+        endpoint += `&updated_after=${encodeURIComponent(since)}`;
+      }
+
+      // Получаем задачи из GitLab
+      return await this.request('GET', endpoint, config);
+    } catch (error) {
+      logger.error(`Error importing tasks from GitLab: ${error.message}`, {
+        error: error.stack,
+        projectId
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Получение комментариев задачи GitLab (без системных заметок)
+   * @param {string} externalId - Номер задачи в проекте GitLab (iid)
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Promise<Array>} - Комментарии { id, body, author, createdAt }
+   */
+  async getComments(externalId, config) {
+    try {
+      const notes = await this.request('GET', `/issues/${encodeURIComponent(externalId)}/notes?sort=asc&per_page=100`, config);
+
+      return notes
+        .filter(note => !note.system)
+        .map(note => this.mapComment(note));
+    } catch (error) {
+      logger.error(`Error getting GitLab issue comments: ${error.message}`, {
+        error: error.stack,
+        externalId
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Добавление комментария к задаче GitLab
+   * @param {string} externalId - Номер задачи в проекте GitLab (iid)
+   * @param {string} body - Текст комментария
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Promise<object>} - Созданный комментарий { id, body, author, createdAt }
+   */
+  async addComment(externalId, body, config) {
+    try {
+      const note = await this.request('POST', `/issues/${encodeURIComponent(externalId)}/notes`, config, { body });
+
+      return this.mapComment(note);
+    } catch (error) {
+      logger.error(`Error adding GitLab issue comment: ${error.message}`, {
+        error: error.stack,
+        externalId
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Преобразование заметки GitLab в общий формат комментария
+   * @param {object} note - Заметка GitLab
+   * @returns {object} - Комментарий { id, body, author, createdAt }
+   */
+  mapComment(note) {
+    return {
+      id: note.id.toString(),
+      body: note.body || '',
+      author: note.author ? note.author.username : null,
+      createdAt: note.created_at ? new Date(note.created_at) : null
+    };
+  }
+
+  /**
+   * Преобразование задачи BIZ360 в формат GitLab Issue для создания
+   * @param {object} task - Объект задачи
+   * @param {object} config - Конфигурация интеграции
+   * @returns {object} - Задача в формате GitLab
+   */
+  mapTaskToGitlabIssue(task, config) {
+    // Формируем базовую структуру задачи
+    const gitlabIssue = {
+      title: task.title,
+      description: task.description || ''
+    };
+
+    // Метки приоритета и типа задачи, как в интеграции с GitHub
+    const labels = this.getTaskLabels(task);
+
+    // Добавляем метки из конфигурации, если указаны
+    if (config.defaultLabels && Array.isArray(config.defaultLabels)) {
+      labels.push(...config.defaultLabels);
+    }
+
+    if (labels.length > 0) {
+      gitlabIssue.labels = labels.join(',');
+    }
+
+    // Добавляем срок выполнения, если указан
+    if (task.due_date) {
+      gitlabIssue.due_date = this.formatDate(task.due_date);
+    }
+
+    // GitLab назначает исполнителей по ID пользователей GitLab
+    if (task.assignee_gitlab_id) {
+      gitlabIssue.assignee_ids = [task.assignee_gitlab_id];
+    }
+
+    return gitlabIssue;
+  }
+
+  /**
+   * Преобразование задачи BIZ360 в формат GitLab Issue для обновления
+   * @param {object} task - Объект задачи
+   * @param {object} gitlabIssue - Текущая задача в GitLab
+   * @param {object} config - Конфигурация интеграции
+   * @returns {object} - Обновление в формате GitLab
+   */
+  mapTaskToGitlabUpdate(task, gitlabIssue, config) {
+    // Формируем обновление задачи
+    const gitlabUpdate = {};
+
+    // Обновляем заголовок, если изменился
+    if (task.title !== gitlabIssue.title) {
+      gitlabUpdate.title = task.title;
+    }
+
+    // Обновляем описание, если изменилось
+    if ((task.description || '') !== (gitlabIssue.description || '')) {
+      gitlabUpdate.description = task.description || '';
+    }
+
+    // Обновляем статус, если изменился (GitLab меняет состояние событием)
+    const statusMap = {
+      'pending': 'opened',
+      'in_progress': 'opened',
+      'completed': 'closed',
+      'cancelled': 'closed'
+    };
+
+    const gitlabState = statusMap[task.status] || 'opened';
+
+    if (gitlabState !== gitlabIssue.state) {
+      gitlabUpdate.state_event = gitlabState === 'closed' ? 'close' : 'reopen';
+    }
+
+    // Заменяем метку приоритета, не трогая остальные метки задачи
+    if (task.priority) {
+      const currentLabels = gitlabIssue.labels || [];
+      const priorityLabel = `priority:${task.priority}`;
+
+      if (!currentLabels.includes(priorityLabel)) {
+        gitlabUpdate.add_labels = priorityLabel;
+
+        const staleLabels = currentLabels.filter(label => label.startsWith('priority:'));
+
+        if (staleLabels.length > 0) {
+          gitlabUpdate.remove_labels = staleLabels.join(',');
+        }
+      }
+    }
+
+    // Обновляем срок выполнения, если изменился
+    if (task.due_date) {
+      const dueDate = this.formatDate(task.due_date);
+
+      if (dueDate !== gitlabIssue.due_date) {
+        gitlabUpdate.due_date = dueDate;
+      }
+    }
+
+    return gitlabUpdate;
+  }
+
+  /**
+   * Преобразование задачи GitLab в формат BIZ360
+   * @param {object} gitlabIssue - Задача из GitLab
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Promise<object>} - Задача в формате BIZ360
+   */
+  async mapExternalTaskToLocal(gitlabIssue, config) {
+    // Базовая структура задачи
+    const task = {
+      title: gitlabIssue.title,
+      description: gitlabIssue.description || '',
+      external_id: gitlabIssue.iid.toString(),
+      external_number: gitlabIssue.iid.toString(),
+      external_url: gitlabIssue.web_url,
+      external_updated_at: gitlabIssue.updated_at ? new Date(gitlabIssue.updated_at) : null
+    };
+
+    // Метки GitLab приходят строками
+    const labels = gitlabIssue.labels || [];
+
+    // Маппинг приоритета по меткам
+    const priorityLabel = labels.find(label => label.startsWith('priority:'));
+
+    if (priorityLabel) {
+      const priority = priorityLabel.split(':')[1];
+
+      // Маппинг приоритетов
+      const priorityMap = {
+        'low': 'low',
+        'medium': 'medium',
+        'high': 'high',
+        'critical': 'critical'
+      };
+
+      task.priority = priorityMap[priority] || 'medium';
+    }
+
+    // Маппинг статуса
+    task.status = gitlabIssue.state === 'opened' ? 'in_progress' : 'completed';
+
+    // Если в конфигурации указано маппинг статусов по меткам
+    if (config.statusMapping) {
+      for (const label of labels) {
+        if (config.statusMapping[label]) {
+          task.status = config.statusMapping[label];
+          break;
+        }
+      }
+    }
+
+    // Добавляем срок выполнения, если указан
+    if (gitlabIssue.due_date) {
+      task.due_date = new Date(gitlabIssue.due_date);
+    }
+
+    // Маппинг исполнителя (если есть)
+    const assignee = gitlabIssue.assignee || (gitlabIssue.assignees && gitlabIssue.assignees[0]);
+
+    if (assignee) {
+      // Ищем пользователя по имени пользователя GitLab
+      const user = await UserModel.findOne({
+        where: { username: assignee.username }
+      });
+
+      if (user) {
+        task.assignee_id = user.id;
+      }
+    }
+
+    return task;
+  }
+
+  /**
+   * Формирование меток приоритета и типа задачи
+   * @param {object} task - Объект задачи
+   * @returns {string[]} - Метки
+   */
+  getTaskLabels(task) {
+    const labels = [];
+
+    if (['low', 'medium', 'high', 'critical'].includes(task.priority)) {
+      labels.push(`priority:${task.priority}`);
+    }
+
+    // Добавляем метку с типом задачи, если указан
+    if (task.task_type) {
+      labels.push(`type:${task.task_type}`);
+    }
+
+    return labels;
+  }
+
+  /**
+   * Форматирование даты в формат GitLab (YYYY-MM-DD)
+   * @param {Date|string} date - Дата
+   * @returns {string} - Дата в формате GitLab
+   */
+  formatDate(date) {
+    return new Date(date).toISOString().split('T')[0];
+  }
+
+  /**
+   * Извлечение сообщения об ошибке из ответа GitLab
+   * @param {object} data - Тело ответа
+   * @returns {string} - Сообщение об ошибке
+   */
+  extractErrorMessage(data) {
+    if (!data) {
+      return 'Unknown error';
+    }
+
+    // GitLab возвращает message строкой или объектом ошибок по полям
+    const message = data.message || data.error;
+
+    if (message && typeof message === 'object') {
+      return Object.entries(message)
+        .map(([field, errors]) => `${field} ${[].concat(errors).join(', ')}`)
+        .join('; ');
+    }
+
+    return message || 'Unknown error';
+  }
+}
+
+module.exports = new GitLabIntegration();
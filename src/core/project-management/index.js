@@ -2,9 +2,21 @@
 const logger = require('../../utils/logger');
 const jiraIntegration = require('./jira-integration');
 const githubIntegration = require('./github-integration');
-// const gitlabIntegration = require('./gitlab-integration');
-// const azureDevopsIntegration = require('./azure-devops-integration');
-const { ProjectModel, TaskModel, IntegrationTypeModel, IntegrationLinkModel } = require('../../models');
+const gitlabIntegration = require('./gitlab-integration');
+const azureDevopsIntegration = require('./azure-devops-integration');
+const { SyncEngine } = require('./sync-engine');
+const { validateMappings } = require('./field-mapping');
+const { ValidationError } = require('../../utils/errors');
+const { ProjectModel, TaskModel, IntegrationTypeModel, IntegrationLinkModel, TaskExternalLinkModel } = require('../../models');
+
+/**
+ * Провайдеры с настраиваемым маппингом полей (config.mappings)
+ * и их методы преобразования задачи BIZ360 для создания во внешней системе
+ */
+const FIELD_MAPPING_PROVIDERS = {
+  jira: 'mapTaskToJiraIssue',
+  github: 'mapTaskToGithubIssue'
+};
 
 /**
  * Менеджер интеграций с системами управления проектами
@@ -15,9 +27,15 @@ class ProjectManagementIntegration {
     this.providers = {
       jira: jiraIntegration,
       github: githubIntegration,
-      // gitlab: gitlabIntegration,
-      // 'azure-devops': azureDevopsIntegration
+      gitlab: gitlabIntegration,
+      'azure-devops': azureDevopsIntegration
     };
+    
+    // Промис регистрации типов интеграций (выполняется один раз)
+    this.integrationTypesRegistration = null;
+    
+    // Фоновая двусторонняя синхронизация с отслеживанием конфликтов
+    this.syncEngine = new SyncEngine(this);
   }
 
   /**
@@ -28,6 +46,28 @@ class ProjectManagementIntegration {
     return Object.keys(this.providers);
   }
 
+  /**
+   * Регистрация типов интеграций для доступных провайдеров
+   * (отсутствующие записи integration_types создаются один раз за время работы)
+   * @returns {Promise<Array>} - Типы интеграций
+   */
+  async registerIntegrationTypes() {
+    if (!this.integrationTypesRegistration) {
+      this.integrationTypesRegistration = IntegrationTypeModel.registerProviders(this.getAvailableProviders())
+        .catch(error => {
+          this.integrationTypesRegistration = null;
+          
+          logger.error(`Error registering integration types: ${error.message}`, {
+            error: error.stack
+          });
+          
+          throw error;
+        });
+    }
+    
+    return this.integrationTypesRegistration;
+  }
+
   /**
    * Проверка активности интеграции для проекта
    * @param {number} projectId - ID проекта
@@ -271,6 +311,29 @@ class ProjectManagementIntegration {
       // Получаем связь задачи с внешней системой
       const taskLink = await this.getTaskLink(taskId, provider);
       
+      // Двусторонняя синхронизация связанной задачи выполняется по полям с учетом конфликтов
+      if (direction === 'bidirectional' && taskLink) {
+        const link = await TaskExternalLinkModel.findByPk(taskLink.id, {
+          include: [{
+            model: IntegrationTypeModel,
+            as: 'integrationType'
+          }]
+        });
+        
+        const syncResult = await this.syncEngine.syncLink(link, { source: 'manual' });
+        
+        return {
+          success: true,
+          taskId,
+          direction,
+          provider: taskLink.provider_name,
+          sync: syncResult,
+          message: syncResult.status === 'conflict'
+            ? 'Task synchronized with conflicts flagged for review'
+            : 'Task synchronized successfully'
+        };
+      }
+      
       // Определяем действие в зависимости от направления и наличия связи
       if (direction === 'to-external' || direction === 'bidirectional') {
         if (taskLink) {
@@ -453,6 +516,9 @@ class ProjectManagementIntegration {
         provider_name: taskLink.integrationType.provider_name,
         external_id: taskLink.external_id,
         external_url: taskLink.external_url,
+        last_synced_at: taskLink.last_synced_at,
+        last_sync_status: taskLink.last_sync_status,
+        last_sync_message: taskLink.last_sync_message,
         created_at: taskLink.created_at,
         updated_at: taskLink.updated_at
       };
@@ -560,8 +626,14 @@ class ProjectManagementIntegration {
           // Создаем локальную задачу
           const task = await TaskModel.create(mappedTask);
           
-          // Сохраняем связь с внешней задачей
-          await this.saveTaskLink(task.id, provider, externalTask.id, externalTask.url);
+          // Сохраняем связь с внешней задачей (ID и URL - в том виде, в котором их
+          // принимают getTask/updateTask провайдера, например iid задачи GitLab)
+          await this.saveTaskLink(
+            task.id,
+            provider,
+            mappedTask.external_id || externalTask.id,
+            mappedTask.external_url || externalTask.url
+          );
           
           results.push({
             success: true,
@@ -594,6 +666,75 @@ class ProjectManagementIntegration {
       throw error;
     }
   }
+
+  /**
+   * Проверка поддержки маппинга полей провайдером
+   * @param {string} provider - Провайдер интеграции
+   * @returns {boolean}
+   */
+  supportsFieldMappings(provider) {
+    return Boolean(FIELD_MAPPING_PROVIDERS[provider]);
+  }
+
+  /**
+   * Действующий маппинг полей интеграции (с учетом маппинга провайдера по умолчанию)
+   * @param {string} provider - Провайдер интеграции
+   * @param {object} config - Конфигурация интеграции
+   * @returns {object} - Маппинг { status, priority, labels, customFields }
+   */
+  getFieldMappings(provider, config) {
+    if (!this.supportsFieldMappings(provider)) {
+      throw new ValidationError(`Field mappings are not supported for provider: ${provider}`);
+    }
+    
+    return this.providers[provider].getFieldMapping(config).toJSON();
+  }
+
+  /**
+   * Проверка маппинга полей и предпросмотр преобразования примера задачи
+   * @param {string} provider - Провайдер интеграции
+   * @param {object} config - Конфигурация интеграции
+   * @param {object} options - Опции
+   * @param {object} options.mappings - Проверяемый маппинг (по умолчанию - сохраненный в конфигурации)
+   * @param {object} options.sample - Пример задачи внешней системы (в формате ее API)
+   * @param {object} options.task - Пример задачи BIZ360
+   * @returns {Promise<object>} - Результат { valid, errors, mappings, local, external }
+   */
+  async previewFieldMappings(provider, config, { mappings, sample, task } = {}) {
+    if (!this.supportsFieldMappings(provider)) {
+      throw new ValidationError(`Field mappings are not supported for provider: ${provider}`);
+    }
+    
+    const previewConfig = mappings ? { ...config, mappings } : config;
+    const errors = validateMappings(previewConfig.mappings || {});
+    
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+    
+    const integration = this.providers[provider];
+    
+    const result = {
+      valid: true,
+      errors: [],
+      mappings: integration.getFieldMapping(previewConfig).toJSON()
+    };
+    
+    // Как пример задачи внешней системы будет импортирован в BIZ360
+    if (sample) {
+      result.local = await integration.mapExternalTaskToLocal(sample, previewConfig);
+    }
+    
+    // Как пример задачи BIZ360 будет создан во внешней системе
+    if (task) {
+      result.external = integration[FIELD_MAPPING_PROVIDERS[provider]]({
+        ...task,
+        due_date: task.due_date ? new Date(task.due_date) : task.due_date
+      }, previewConfig);
+    }
+    
+    return result;
+  }
 }
 
 module.exports = new ProjectManagementIntegration();
\ No newline at end of file
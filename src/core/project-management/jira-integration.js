@@ -2,6 +2,32 @@
 const logger = require('../../utils/logger');
 const axios = require('axios');
 const { UserModel } = require('../../models');
+const { FieldMapping } = require('./field-mapping');
+
+/**
+ * Маппинг полей JIRA по умолчанию (заменяется разделами config.mappings)
+ */
+const DEFAULT_MAPPINGS = {
+  status: {
+    toLocal: {
+      'To Do': 'pending',
+      'In Progress': 'in_progress',
+      'Done': 'completed'
+    }
+  },
+  priority: {
+    toLocal: {
+      'Lowest': 'low',
+      'Low': 'low',
+      'Medium': 'medium',
+      'High': 'high',
+      'Highest': 'critical'
+    },
+    toExternal: {
+      'low': 'Low'
+    }
+  }
+};
 
 /**
  * Интеграция с JIRA
@@ -109,6 +135,14 @@ class JiraIntegration {
       // Обновляем задачу в JIRA
       await this.request('PUT', `/issue/${externalId}`, config, jiraUpdate);
       
+      // Статус JIRA меняется только переходом по workflow
+      const targetStatus = task.status ? this.getFieldMapping(config).statusToExternal(task.status) : null;
+      const currentStatus = jiraIssue.fields.status ? jiraIssue.fields.status.name : null;
+      
+      if (targetStatus && targetStatus !== currentStatus) {
+        await this.transitionIssue(externalId, targetStatus, config);
+      }
+      
       // Получаем обновленную задачу
       const updatedIssue = await this.request('GET', `/issue/${externalId}`, config);
       
@@ -130,6 +164,35 @@ class JiraIntegration {
     }
   }
 
+  /**
+   * Перевод задачи JIRA в статус через доступный переход workflow
+   * @param {string} externalId - ID задачи в JIRA
+   * @param {string} statusName - Название целевого статуса
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Promise<boolean>} - Выполнен ли переход
+   */
+  async transitionIssue(externalId, statusName, config) {
+    const { transitions = [] } = await this.request('GET', `/issue/${externalId}/transitions`, config);
+    
+    const transition = transitions.find(item =>
+      (item.to && item.to.name === statusName) || item.name === statusName
+    );
+    
+    if (!transition) {
+      logger.warn(`No JIRA transition to status '${statusName}' for issue ${externalId}`, {
+        availableTransitions: transitions.map(item => item.to ? item.to.name : item.name)
+      });
+      
+      return false;
+    }
+    
+    await this.request('POST', `/issue/${externalId}/transitions`, config, {
+      transition: { id: transition.id }
+    });
+    
+    return true;
+  }
+
   /**
    * Получение задачи из JIRA
    * @param {string} externalId - ID задачи в JIRA
@@ -183,6 +246,79 @@ class JiraIntegration {
     }
   }
 
+  /**
+   * Получение комментариев задачи JIRA
+   * @param {string} externalId - ID задачи в JIRA
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Promise<Array>} - Комментарии { id, body, author, createdAt }
+   */
+  async getComments(externalId, config) {
+    try {
+      const response = await this.request('GET', `/issue/${externalId}/comment?maxResults=100`, config);
+      
+      return (response.comments || []).map(comment => this.mapComment(comment));
+    } catch (error) {
+      logger.error(`Error getting JIRA issue comments: ${error.message}`, {
+        error: error.stack,
+        externalId
+      });
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Добавление комментария к задаче JIRA
+   * @param {string} externalId - ID задачи в JIRA
+   * @param {string} body - Текст комментария
+   * @param {object} config - Конфигурация интеграции
+   * @returns {Promise<object>} - Созданный комментарий { id, body, author, createdAt }
+   */
+  async addComment(externalId, body, config) {
+    try {
+      const comment = await this.request('POST', `/issue/${externalId}/comment`, config, {
+        body: {
+          type: 'doc',
+          version: 1,
+          content: [
+            {
+              type: 'paragraph',
+              content: [
+                {
+                  type: 'text',
+                  text: body
+                }
+              ]
+            }
+          ]
+        }
+      });
+      
+      return this.mapComment(comment);
+    } catch (error) {
+      logger.error(`Error adding JIRA issue comment: ${error.message}`, {
+        error: error.stack,
+        externalId
+      });
+      
+      throw error;
+    }
+  }
+
+  /**
+   * Преобразование комментария JIRA в общий формат
+   * @param {object} comment - Комментарий JIRA
+   * @returns {object} - Комментарий { id, body, author, createdAt }
+   */
+  mapComment(comment) {
+    return {
+      id: comment.id.toString(),
+      body: comment.body ? this.extractTextFromJiraDocument(comment.body) : '',
+      author: comment.author ? (comment.author.emailAddress || comment.author.displayName) : null,
+      createdAt: comment.created ? new Date(comment.created) : null
+    };
+  }
+
   /**
    * Преобразование задачи BIZ360 в формат JIRA для создания
    * @param {object} task - Объект задачи
@@ -191,6 +327,7 @@ class JiraIntegration {
    */
   mapTaskToJiraIssue(task, config) {
     const { project, issueType = 'Task' } = config;
+    const mapping = this.getFieldMapping(config);
     
     // Формируем базовую структуру задачи
     const jiraIssue = {
@@ -222,15 +359,8 @@ class JiraIntegration {
     
     // Добавляем приоритет, если указан
     if (task.priority) {
-      const priorityMap = {
-        'low': 'Low',
-        'medium': 'Medium',
-        'high': 'High',
-        'critical': 'Highest'
-      };
-      
       jiraIssue.fields.priority = {
-        name: priorityMap[task.priority] || 'Medium'
+        name: mapping.priorityToExternal(task.priority, 'Medium')
       };
     }
     
@@ -239,6 +369,20 @@ class JiraIntegration {
       jiraIssue.fields.duedate = task.due_date.toISOString().split('T')[0];
     }
     
+    // Добавляем метки, связанные с тегами задачи
+    const labels = mapping.tagsToLabels(task.tags || []);
+    
+    if (labels.length > 0) {
+      jiraIssue.fields.labels = labels;
+    }
+    
+    // Добавляем пользовательские поля (пустые значения не передаем)
+    for (const [field, value] of Object.entries(mapping.customFieldsToExternal(task))) {
+      if (value !== null && !(Array.isArray(value) && value.length === 0)) {
+        jiraIssue.fields[field] = value;
+      }
+    }
+    
     return jiraIssue;
   }
 
@@ -250,6 +394,8 @@ class JiraIntegration {
    * @returns {object} - Обновление в формате JIRA
    */
   mapTaskToJiraUpdate(task, jiraIssue, config) {
+    const mapping = this.getFieldMapping(config);
+    
     // Формируем обновление задачи
     const jiraUpdate = {
       fields: {}
@@ -285,14 +431,7 @@ class JiraIntegration {
     
     // Обновляем приоритет, если изменился
     if (task.priority) {
-      const priorityMap = {
-        'low': 'Low',
-        'medium': 'Medium',
-        'high': 'High',
-        'critical': 'Highest'
-      };
-      
-      const jiraPriority = priorityMap[task.priority] || 'Medium';
+      const jiraPriority = mapping.priorityToExternal(task.priority, 'Medium');
       const currentPriority = jiraIssue.fields.priority ? jiraIssue.fields.priority.name : null;
       
       if (jiraPriority !== currentPriority) {
@@ -311,6 +450,23 @@ class JiraIntegration {
       }
     }
     
+    // Обновляем метки, связанные с тегами (остальные метки задачи JIRA сохраняются)
+    if (task.tags !== undefined) {
+      const currentLabels = jiraIssue.fields.labels || [];
+      const mappedLabels = mapping.getMappedLabels();
+      const labels = [
+        ...currentLabels.filter(label => !mappedLabels.includes(label)),
+        ...mapping.tagsToLabels(task.tags || [])
+      ];
+      
+      if ([...labels].sort().join(',') !== [...currentLabels].sort().join(',')) {
+        jiraUpdate.fields.labels = labels;
+      }
+    }
+    
+    // Обновляем изменившиеся пользовательские поля
+    Object.assign(jiraUpdate.fields, mapping.changedCustomFields(task, jiraIssue.fields));
+    
     return jiraUpdate;
   }
 
@@ -329,31 +485,20 @@ class JiraIntegration {
         : '',
       external_id: jiraIssue.id,
       external_key: jiraIssue.key,
-      external_url: `${config.baseUrl}/browse/${jiraIssue.key}`
+      external_url: `${config.baseUrl}/browse/${jiraIssue.key}`,
+      external_updated_at: jiraIssue.fields.updated ? new Date(jiraIssue.fields.updated) : null
     };
     
+    const mapping = this.getFieldMapping(config);
+    
     // Маппинг приоритета
     if (jiraIssue.fields.priority) {
-      const priorityMap = {
-        'Lowest': 'low',
-        'Low': 'low',
-        'Medium': 'medium',
-        'High': 'high',
-        'Highest': 'critical'
-      };
-      
-      task.priority = priorityMap[jiraIssue.fields.priority.name] || 'medium';
+      task.priority = mapping.priorityToLocal(jiraIssue.fields.priority.name, 'medium');
     }
     
     // Маппинг статуса
-    const statusMap = config.statusMapping || {
-      'To Do': 'pending',
-      'In Progress': 'in_progress',
-      'Done': 'completed'
-    };
-    
     if (jiraIssue.fields.status) {
-      task.status = statusMap[jiraIssue.fields.status.name] || 'pending';
+      task.status = mapping.statusToLocal(jiraIssue.fields.status.name, 'pending');
     }
     
     // Добавляем срок выполнения, если указан
@@ -361,6 +506,15 @@ class JiraIntegration {
       task.due_date = new Date(jiraIssue.fields.duedate);
     }
     
+    // Маппинг пользовательских полей и меток (теги возвращаются, только если маппинг тегов настроен)
+    const { tags: fieldTags, ...customFields } = mapping.customFieldsToLocal(jiraIssue.fields);
+    
+    Object.assign(task, customFields);
+    
+    if (mapping.labels.length > 0 || fieldTags) {
+      task.tags = [...new Set([...mapping.labelsToTags(jiraIssue.fields.labels || []), ...(fieldTags || [])])];
+    }
+    
     // Маппинг исполнителя (если есть)
     if (jiraIssue.fields.assignee && jiraIssue.fields.assignee.emailAddress) {
       // Ищем пользователя по email
@@ -376,6 +530,20 @@ class JiraIntegration {
     return task;
   }
 
+  /**
+   * Маппинг полей интеграции (config.mappings поверх маппинга по умолчанию)
+   * @param {object} config - Конфигурация интеграции
+   * @returns {FieldMapping} - Маппинг полей
+   */
+  getFieldMapping(config) {
+    // Устаревший параметр statusMapping (статус JIRA -> статус BIZ360)
+    const defaults = config.statusMapping
+      ? { ...DEFAULT_MAPPINGS, status: { toLocal: config.statusMapping } }
+      : DEFAULT_MAPPINGS;
+    
+    return new FieldMapping(config.mappings, defaults);
+  }
+
   /**
    * Извлечение текста из документа JIRA
    * @param {object} document - Документ JIRA
@@ -0,0 +1,978 @@
+// src/core/project-management/sync-engine.js
+const logger = require('../../utils/logger');
+const appConfig = require('../../config/app.config');
+const { ValidationError } = require('../../utils/errors');
+
+/**
+ * Политики разрешения конфликтов (поле изменено на обеих сторонах)
+ */
+const CONFLICT_POLICIES = {
+  LOCAL_WINS: 'local_wins',
+  REMOTE_WINS: 'remote_wins',
+  NEWEST_WINS: 'newest_wins',
+  FLAG: 'flag'
+};
+
+/**
+ * Синхронизируемые поля задачи (в терминах BIZ360)
+ */
+const SYNC_FIELDS = ['title', 'description', 'status', 'assignee_id'];
+
+/**
+ * Поля, которые берутся из внешней задачи при отправке изменений,
+ * чтобы провайдер обновил только выбранные поля
+ */
+const REMOTE_PASSTHROUGH_FIELDS = [...SYNC_FIELDS, 'priority', 'due_date'];
+
+/**
+ * Способы ручного разрешения конфликта
+ */
+const CONFLICT_RESOLUTIONS = ['local', 'remote', 'manual'];
+
+/**
+ * Фоновая двусторонняя синхронизация задач с внешними системами.
+ *
+ * Для каждой связи задачи (task_external_links) хранятся значения полей,
+ * согласованные при последней синхронизации, отдельно для каждой стороны
+ * (маппинг статусов между системами неоднозначен). Поле, измененное только
+ * на одной стороне, переносится на другую; поле, измененное на обеих,
+ * разрешается политикой интеграции (config.sync.policy, config.sync.fieldPolicies)
+ * или помечается конфликтом для ручного решения. Комментарии объединяются:
+ * новые комментарии каждой стороны добавляются на другую.
+ */
+class SyncEngine {
+  /**
+   * @param {object} projectManagement - Менеджер интеграций (провайдеры и конфигурации)
+   * @param {object} options - Опции
+   * @param {object} options.models - Модели данных (по умолчанию - src/models)
+   * @param {object} options.config - Настройки синхронизации (по умолчанию - integrations.sync)
+   */
+  constructor(projectManagement, options = {}) {
+    this.projectManagement = projectManagement;
+    this.models = options.models || require('../../models');
+    this.config = { ...appConfig.integrations.sync, ...options.config };
+
+    this.timer = null;
+    this.polling = false;
+
+    // Время последнего опроса интеграций (ID интеграции -> timestamp)
+    this.lastPolledAt = new Map();
+
+    // Синхронизация одной связи выполняется последовательно (опрос, вебхук, ручной запуск)
+    this.linkQueues = new Map();
+  }
+
+  /**
+   * Запуск фонового опроса внешних систем
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    // Интеграции со своим интервалом опрашиваются не чаще него, но проверяются с общим интервалом
+    this.timer = setInterval(() => {
+      this.poll().catch(error => {
+        logger.error(`Error polling external trackers: ${error.message}`, { error: error.stack });
+      });
+    }, this.config.intervalMs);
+
+    logger.info(`External tracker sync started (interval ${this.config.intervalMs} ms)`);
+  }
+
+  /**
+   * Остановка фонового опроса
+   */
+  stop() {
+    if (!this.timer) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+
+    logger.info('External tracker sync stopped');
+  }
+
+  /**
+   * Опрос активных интеграций и синхронизация связанных задач
+   * @returns {Promise<object>} - Итоги опроса { integrations, links, synced, conflicts, failed }
+   */
+  async poll() {
+    const summary = { integrations: 0, links: 0, synced: 0, conflicts: 0, failed: 0 };
+
+    // Предыдущий опрос еще выполняется
+    if (this.polling) {
+      return summary;
+    }
+
+    this.polling = true;
+
+    try {
+      const { IntegrationLinkModel, IntegrationTypeModel, TaskExternalLinkModel, TaskModel } = this.models;
+
+      const integrations = await IntegrationLinkModel.findAll({
+        where: { active: true },
+        include: [{ model: IntegrationTypeModel, as: 'integrationType' }]
+      });
+
+      for (const integration of integrations) {
+        const provider = integration.integrationType && integration.integrationType.provider_name;
+        const syncConfig = this.parseJson(integration.config, {}).sync || {};
+
+        if (!this.projectManagement.providers[provider] || syncConfig.enabled === false) {
+          continue;
+        }
+
+        // Интеграция опрашивается не чаще своего интервала
+        const intervalMs = syncConfig.intervalMs || this.config.intervalMs;
+        const lastPolledAt = this.lastPolledAt.get(integration.id) || 0;
+
+        if (Date.now() - lastPolledAt < intervalMs) {
+          continue;
+        }
+
+        this.lastPolledAt.set(integration.id, Date.now());
+        summary.integrations++;
+
+        const links = await TaskExternalLinkModel.findAll({
+          where: { integration_type_id: integration.integration_type_id },
+          include: [
+            { model: TaskModel, as: 'task', where: { project_id: integration.project_id } },
+            { model: IntegrationTypeModel, as: 'integrationType' }
+          ]
+        });
+
+        for (const link of links) {
+          summary.links++;
+
+          try {
+            const result = await this.syncLink(link, { source: 'poll' });
+
+            if (result.status === 'conflict') {
+              summary.conflicts++;
+            } else {
+              summary.synced++;
+            }
+          } catch (error) {
+            summary.failed++;
+          }
+        }
+      }
+
+      if (summary.links > 0) {
+        logger.info(`External tracker sync: ${summary.synced} synced, ${summary.conflicts} with conflicts, ${summary.failed} failed`);
+      }
+
+      return summary;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Обработка вебхука внешней системы: синхронизация задач, связанных с измененной внешней задачей
+   * @param {string} provider - Провайдер интеграции
+   * @param {object} payload - Тело вебхука
+   * @returns {Promise<object>} - Результат { status, externalId, results }
+   */
+  async handleWebhook(provider, payload) {
+    if (!this.projectManagement.providers[provider]) {
+      throw new ValidationError(`Unknown integration provider: ${provider}`);
+    }
+
+    const externalId = this.getExternalIdFromWebhook(provider, payload || {});
+
+    if (!externalId) {
+      return { status: 'ignored', externalId: null, results: [] };
+    }
+
+    const { IntegrationTypeModel, TaskExternalLinkModel } = this.models;
+
+    const integrationType = await IntegrationTypeModel.findOne({
+      where: { provider_name: provider }
+    });
+
+    if (!integrationType) {
+      return { status: 'ignored', externalId, results: [] };
+    }
+
+    const links = await TaskExternalLinkModel.findAll({
+      where: { integration_type_id: integrationType.id, external_id: externalId },
+      include: [{ model: IntegrationTypeModel, as: 'integrationType' }]
+    });
+
+    const results = [];
+
+    for (const link of links) {
+      try {
+        results.push({ taskId: link.task_id, ...(await this.syncLink(link, { source: 'webhook' })) });
+      } catch (error) {
+        results.push({ taskId: link.task_id, status: 'failed', error: error.message });
+      }
+    }
+
+    return {
+      status: links.length > 0 ? 'processed' : 'ignored',
+      externalId,
+      results
+    };
+  }
+
+  /**
+   * Определение ID внешней задачи (в формате, сохраняемом в связи) по вебхуку
+   * @param {string} provider - Провайдер интеграции
+   * @param {object} payload - Тело вебхука
+   * @returns {string|null} - ID внешней задачи
+   */
+  getExternalIdFromWebhook(provider, payload) {
+    let externalId = null;
+
+    switch (provider) {
+      case 'jira':
+      case 'github':
+        // События задач и комментариев содержат задачу целиком
+        externalId = payload.issue && payload.issue.id;
+        break;
+      case 'gitlab':
+        // Задачи GitLab связываются по номеру внутри проекта (iid)
+        if (payload.object_kind === 'issue') {
+          externalId = payload.object_attributes && payload.object_attributes.iid;
+        } else if (payload.object_kind === 'note') {
+          externalId = payload.issue && payload.issue.iid;
+        }
+        break;
+      case 'azure-devops':
+        // workitem.updated передает workItemId, workitem.created - id
+        if (payload.resource) {
+          externalId = payload.resource.workItemId || payload.resource.id;
+        }
+        break;
+    }
+
+    return externalId !== null && externalId !== undefined ? externalId.toString() : null;
+  }
+
+  /**
+   * Синхронизация связи задачи с внешней системой
+   * @param {object} link - Связь задачи (TaskExternalLinkModel)
+   * @param {object} options - Опции
+   * @param {string} options.source - Источник запуска (poll, webhook, manual)
+   * @returns {Promise<object>} - Запись журнала синхронизации
+   */
+  async syncLink(link, options = {}) {
+    return this.withLinkQueue(link.id, () => this.performSync(link, options.source || 'manual'));
+  }
+
+  /**
+   * Выполнение синхронизации связи
+   * @param {object} link - Связь задачи
+   * @param {string} source - Источник запуска
+   * @returns {Promise<object>} - Запись журнала синхронизации
+   */
+  async performSync(link, source) {
+    const entry = { at: new Date().toISOString(), source };
+
+    try {
+      const { task, provider, integration, config } = await this.loadLinkContext(link);
+      const syncConfig = config.sync || {};
+      const state = this.parseSyncState(link);
+
+      const remote = await integration.mapExternalTaskToLocal(await integration.getTask(link.external_id, config), config);
+
+      // Первая синхронизация фиксирует текущие значения: расхождения, возникшие
+      // до начала отслеживания, не считаются изменениями ни одной из сторон
+      if (!state.fields) {
+        state.fields = { local: this.pickFields(task), remote: this.pickFields(remote) };
+        state.comments = await this.getCommentBaseline(task, link, integration, config, syncConfig);
+
+        return await this.recordSync(link, state, { ...entry, status: 'synced', message: 'Baseline recorded' });
+      }
+
+      const plan = this.planChanges(task, remote, state.fields, syncConfig);
+      let remoteAfter = remote;
+
+      // Переносим изменения внешней системы в BIZ360
+      if (plan.pull.length > 0) {
+        const updateFields = {};
+
+        for (const field of plan.pull) {
+          updateFields[field] = this.toLocalValue(field, remote[field]);
+        }
+
+        updateFields.last_sync_at = new Date();
+        updateFields.last_sync_from = `${provider}:${link.external_id}`;
+
+        await task.update(updateFields);
+      }
+
+      // Отправляем изменения BIZ360 во внешнюю систему
+      if (plan.push.length > 0) {
+        const result = await integration.updateTask(this.buildOutgoingTask(task, remote, plan.push), link.external_id, config);
+
+        remoteAfter = await integration.mapExternalTaskToLocal(result.externalData, config);
+      }
+
+      // Запоминаем согласованные значения (кроме полей с неразрешенным конфликтом)
+      const flaggedFields = plan.conflicts.map(conflict => conflict.field);
+      const localAfter = this.pickFields(task);
+      const remoteValues = this.pickFields(remoteAfter);
+
+      for (const field of SYNC_FIELDS) {
+        if (!flaggedFields.includes(field)) {
+          state.fields.local[field] = localAfter[field];
+          state.fields.remote[field] = remoteValues[field];
+        }
+      }
+
+      await this.updateConflicts(link, task, plan);
+
+      const comments = await this.syncComments(task, link, integration, config, syncConfig, state);
+
+      return await this.recordSync(link, state, {
+        ...entry,
+        status: flaggedFields.length > 0 ? 'conflict' : 'synced',
+        pushed: plan.push,
+        pulled: plan.pull,
+        resolved: plan.resolved,
+        conflicts: flaggedFields,
+        comments
+      });
+    } catch (error) {
+      logger.error(`Error syncing task link ${link.id}: ${error.message}`, {
+        error: error.stack,
+        taskId: link.task_id,
+        externalId: link.external_id
+      });
+
+      await this.recordSync(link, null, { ...entry, status: 'failed', message: error.message });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Определение изменений по полям относительно последней синхронизации
+   * @param {object} task - Локальная задача
+   * @param {object} remote - Внешняя задача в формате BIZ360
+   * @param {object} base - Значения последней синхронизации { local, remote }
+   * @param {object} syncConfig - Настройки синхронизации интеграции
+   * @returns {object} - План { push, pull, conflicts, resolved, agreed }
+   */
+  planChanges(task, remote, base, syncConfig = {}) {
+    const plan = { push: [], pull: [], conflicts: [], resolved: [], agreed: [] };
+
+    for (const field of SYNC_FIELDS) {
+      const localValue = this.normalizeValue(task[field]);
+      const remoteValue = this.normalizeValue(remote[field]);
+      const localChanged = localValue !== base.local[field];
+      const remoteChanged = remoteValue !== base.remote[field];
+
+      if (localValue === remoteValue) {
+        plan.agreed.push(field);
+      } else if (localChanged && !remoteChanged) {
+        plan.push.push(field);
+      } else if (remoteChanged && !localChanged) {
+        plan.pull.push(field);
+      } else if (localChanged && remoteChanged) {
+        const policy = (syncConfig.fieldPolicies && syncConfig.fieldPolicies[field]) ||
+          syncConfig.policy ||
+          this.config.defaultPolicy;
+        const winner = this.resolveByPolicy(policy, task, remote);
+
+        if (winner === 'local') {
+          plan.push.push(field);
+          plan.resolved.push({ field, policy, winner });
+        } else if (winner === 'remote') {
+          plan.pull.push(field);
+          plan.resolved.push({ field, policy, winner });
+        } else {
+          plan.conflicts.push({
+            field,
+            base: base.local[field],
+            local: localValue,
+            remote: remoteValue
+          });
+        }
+      }
+
+      // Значения различаются, но не менялись с последней синхронизации
+      // (например, статусы, для которых нет точного соответствия) - ничего не делаем
+    }
+
+    return plan;
+  }
+
+  /**
+   * Выбор стороны, чье значение сохраняется при конфликте
+   * @param {string} policy - Политика разрешения конфликтов
+   * @param {object} task - Локальная задача
+   * @param {object} remote - Внешняя задача в формате BIZ360
+   * @returns {string|null} - 'local', 'remote' или null (требуется ручное решение)
+   */
+  resolveByPolicy(policy, task, remote) {
+    switch (policy) {
+      case CONFLICT_POLICIES.LOCAL_WINS:
+        return 'local';
+      case CONFLICT_POLICIES.REMOTE_WINS:
+        return 'remote';
+      case CONFLICT_POLICIES.NEWEST_WINS: {
+        const localTime = task.updated_at ? new Date(task.updated_at).getTime() : NaN;
+        const remoteTime = remote.external_updated_at ? new Date(remote.external_updated_at).getTime() : NaN;
+
+        // Без времени изменения одной из сторон решить нельзя
+        if (Number.isNaN(localTime) || Number.isNaN(remoteTime)) {
+          return null;
+        }
+
+        return remoteTime > localTime ? 'remote' : 'local';
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Получение списка конфликтов синхронизации
+   * @param {object} filters - Фильтры
+   * @param {number} filters.projectId - ID проекта
+   * @param {number} filters.taskId - ID задачи
+   * @param {string} filters.status - Статус конфликта (open, resolved; по умолчанию open)
+   * @param {number} filters.limit - Количество записей
+   * @param {number} filters.offset - Смещение
+   * @returns {Promise<Array>} - Конфликты
+   */
+  async listConflicts({ projectId, taskId, status = 'open', limit = 50, offset = 0 } = {}) {
+    const { TaskSyncConflictModel, TaskModel, TaskExternalLinkModel, IntegrationTypeModel } = this.models;
+
+    const where = {};
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (taskId) {
+      where.task_id = taskId;
+    }
+
+    const conflicts = await TaskSyncConflictModel.findAll({
+      where,
+      include: [
+        { model: TaskModel, as: 'task', ...(projectId ? { where: { project_id: projectId } } : {}) },
+        {
+          model: TaskExternalLinkModel,
+          as: 'externalLink',
+          include: [{ model: IntegrationTypeModel, as: 'integrationType' }]
+        }
+      ],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    return conflicts.map(conflict => this.formatConflict(conflict));
+  }
+
+  /**
+   * Ручное разрешение конфликта: выбранное значение применяется на обеих сторонах
+   * @param {number} conflictId - ID конфликта
+   * @param {object} params - Параметры
+   * @param {string} params.resolution - local, remote или manual
+   * @param {*} params.value - Значение поля (для manual)
+   * @param {number} params.userId - ID пользователя, разрешившего конфликт
+   * @returns {Promise<object|null>} - Разрешенный конфликт или null, если конфликт не найден
+   */
+  async resolveConflict(conflictId, { resolution, value, userId = null } = {}) {
+    const { TaskSyncConflictModel, TaskExternalLinkModel, IntegrationTypeModel } = this.models;
+
+    if (!CONFLICT_RESOLUTIONS.includes(resolution)) {
+      throw new ValidationError(`Invalid resolution: ${resolution}. Expected one of: ${CONFLICT_RESOLUTIONS.join(', ')}`);
+    }
+
+    if (resolution === 'manual' && value === undefined) {
+      throw new ValidationError('Value is required for manual resolution');
+    }
+
+    const conflict = await TaskSyncConflictModel.findByPk(conflictId);
+
+    if (!conflict) {
+      return null;
+    }
+
+    const link = await TaskExternalLinkModel.findByPk(conflict.task_external_link_id, {
+      include: [{ model: IntegrationTypeModel, as: 'integrationType' }]
+    });
+
+    return this.withLinkQueue(link.id, async () => {
+      // Конфликт мог быть разрешен, пока ожидалась очередь связи
+      await conflict.reload();
+
+      if (conflict.status !== 'open') {
+        throw new ValidationError(`Conflict ${conflictId} is already resolved`);
+      }
+
+      const { field } = conflict;
+      const { task, integration, config } = await this.loadLinkContext(link);
+      const state = this.parseSyncState(link);
+      const remote = await integration.mapExternalTaskToLocal(await integration.getTask(link.external_id, config), config);
+
+      let resolvedValue;
+
+      if (resolution === 'local') {
+        resolvedValue = task[field];
+      } else if (resolution === 'remote') {
+        resolvedValue = remote[field];
+      } else {
+        resolvedValue = value;
+      }
+
+      resolvedValue = this.toLocalValue(field, resolvedValue);
+
+      // Применяем значение в BIZ360
+      if (this.normalizeValue(task[field]) !== this.normalizeValue(resolvedValue)) {
+        await task.update({ [field]: resolvedValue });
+      }
+
+      // Применяем значение во внешней системе
+      let remoteAfter = remote;
+
+      if (this.normalizeValue(remote[field]) !== this.normalizeValue(resolvedValue)) {
+        const result = await integration.updateTask(this.buildOutgoingTask(task, remote, [field]), link.external_id, config);
+
+        remoteAfter = await integration.mapExternalTaskToLocal(result.externalData, config);
+      }
+
+      state.fields = state.fields || { local: {}, remote: {} };
+      state.fields.local[field] = this.normalizeValue(task[field]);
+      state.fields.remote[field] = this.normalizeValue(remoteAfter[field]);
+
+      await conflict.update({
+        status: 'resolved',
+        resolution,
+        resolved_value: JSON.stringify(resolvedValue === undefined ? null : resolvedValue),
+        resolved_by: userId,
+        resolved_at: new Date()
+      });
+
+      await this.recordSync(link, state, {
+        at: new Date().toISOString(),
+        source: 'conflict',
+        status: 'synced',
+        resolved: [{ field, resolution, conflictId: conflict.id }]
+      });
+
+      return this.formatConflict(conflict);
+    });
+  }
+
+  /**
+   * Объединение комментариев: новые комментарии каждой стороны добавляются на другую
+   * @param {object} task - Локальная задача
+   * @param {object} link - Связь задачи
+   * @param {object} integration - Провайдер интеграции
+   * @param {object} config - Конфигурация интеграции
+   * @param {object} syncConfig - Настройки синхронизации интеграции
+   * @param {object} state - Состояние синхронизации (изменяется)
+   * @returns {Promise<object>} - { pushed, pulled, skipped }
+   */
+  async syncComments(task, link, integration, config, syncConfig, state) {
+    const result = { pushed: 0, pulled: 0, skipped: 0 };
+
+    if (!this.supportsComments(integration, syncConfig)) {
+      return result;
+    }
+
+    const { CommentModel } = this.models;
+
+    // Комментарии, существовавшие до подключения синхронизации комментариев, не переносятся
+    if (!state.comments) {
+      state.comments = await this.getCommentBaseline(task, link, integration, config, syncConfig);
+      return result;
+    }
+
+    const syncedLocal = new Set(state.comments.local);
+    const syncedRemote = new Set(state.comments.remote);
+
+    const [localComments, remoteComments] = await Promise.all([
+      CommentModel.findAll({ where: { task_id: task.id }, order: [['created_at', 'ASC']] }),
+      integration.getComments(link.external_id, config)
+    ]);
+
+    // Новые комментарии BIZ360 -> внешняя система
+    for (const comment of localComments) {
+      if (syncedLocal.has(comment.id.toString())) {
+        continue;
+      }
+
+      const created = await integration.addComment(link.external_id, comment.content, config);
+
+      syncedLocal.add(comment.id.toString());
+      syncedRemote.add(created.id);
+      result.pushed++;
+    }
+
+    // Новые комментарии внешней системы -> BIZ360
+    for (const comment of remoteComments) {
+      if (syncedRemote.has(comment.id)) {
+        continue;
+      }
+
+      const author = await this.findCommentAuthor(comment.author, syncConfig);
+
+      // Комментарий без автора в BIZ360 не создается, он будет перенесен, когда автор найдется
+      if (!author.userId) {
+        result.skipped++;
+        continue;
+      }
+
+      // Комментарий от имени пользователя по умолчанию сохраняет имя автора во внешней системе
+      const created = await CommentModel.create({
+        task_id: task.id,
+        user_id: author.userId,
+        content: author.matched || !comment.author ? comment.body : `${comment.author}: ${comment.body}`
+      });
+
+      syncedLocal.add(created.id.toString());
+      syncedRemote.add(comment.id);
+      result.pulled++;
+    }
+
+    state.comments = { local: [...syncedLocal], remote: [...syncedRemote] };
+
+    return result;
+  }
+
+  /**
+   * Текущие комментарии обеих сторон как уже синхронизированные
+   * @returns {Promise<object|undefined>} - { local, remote } или undefined, если комментарии не синхронизируются
+   */
+  async getCommentBaseline(task, link, integration, config, syncConfig) {
+    if (!this.supportsComments(integration, syncConfig)) {
+      return undefined;
+    }
+
+    const [localComments, remoteComments] = await Promise.all([
+      this.models.CommentModel.findAll({ where: { task_id: task.id } }),
+      integration.getComments(link.external_id, config)
+    ]);
+
+    return {
+      local: localComments.map(comment => comment.id.toString()),
+      remote: remoteComments.map(comment => comment.id)
+    };
+  }
+
+  /**
+   * Проверка, синхронизируются ли комментарии
+   * @param {object} integration - Провайдер интеграции
+   * @param {object} syncConfig - Настройки синхронизации интеграции
+   * @returns {boolean}
+   */
+  supportsComments(integration, syncConfig) {
+    return syncConfig.comments !== false &&
+      typeof integration.getComments === 'function' &&
+      typeof integration.addComment === 'function';
+  }
+
+  /**
+   * Поиск автора комментария внешней системы в BIZ360
+   * (по email или имени пользователя, иначе - пользователь из config.sync.commentUserId)
+   * @param {string} author - Автор во внешней системе
+   * @param {object} syncConfig - Настройки синхронизации интеграции
+   * @returns {Promise<object>} - { userId, matched }
+   */
+  async findCommentAuthor(author, syncConfig) {
+    if (author) {
+      const { UserModel } = this.models;
+      const field = author.includes('@') ? 'email' : 'username';
+      const user = await UserModel.findOne({ where: { [field]: author } });
+
+      if (user) {
+        return { userId: user.id, matched: true };
+      }
+    }
+
+    return { userId: syncConfig.commentUserId || null, matched: false };
+  }
+
+  /**
+   * Создание или обновление конфликтов по результатам сравнения
+   * @param {object} link - Связь задачи
+   * @param {object} task - Локальная задача
+   * @param {object} plan - План синхронизации
+   * @returns {Promise<void>}
+   */
+  async updateConflicts(link, task, plan) {
+    const { TaskSyncConflictModel } = this.models;
+
+    const openConflicts = await TaskSyncConflictModel.findAll({
+      where: { task_external_link_id: link.id, status: 'open' }
+    });
+
+    for (const conflict of plan.conflicts) {
+      const values = {
+        base_value: JSON.stringify(conflict.base === undefined ? null : conflict.base),
+        local_value: JSON.stringify(conflict.local),
+        remote_value: JSON.stringify(conflict.remote)
+      };
+
+      const existing = openConflicts.find(item => item.field === conflict.field);
+
+      if (existing) {
+        await existing.update(values);
+      } else {
+        await TaskSyncConflictModel.create({
+          task_external_link_id: link.id,
+          task_id: task.id,
+          field: conflict.field,
+          ...values
+        });
+
+        logger.warn(`Sync conflict flagged for task ${task.id}, field ${conflict.field}`);
+      }
+    }
+
+    // Конфликт снимается, если стороны пришли к одному значению или его разрешила политика
+    const settledFields = [...plan.agreed, ...plan.push, ...plan.pull];
+
+    for (const conflict of openConflicts) {
+      if (settledFields.includes(conflict.field)) {
+        await conflict.update({
+          status: 'resolved',
+          resolution: plan.agreed.includes(conflict.field) ? 'agreed' : 'policy',
+          resolved_value: JSON.stringify(this.normalizeValue(task[conflict.field])),
+          resolved_at: new Date()
+        });
+      }
+    }
+  }
+
+  /**
+   * Сохранение состояния и записи журнала синхронизации в связи задачи
+   * @param {object} link - Связь задачи
+   * @param {object|null} state - Новое состояние (null - не изменилось)
+   * @param {object} entry - Запись журнала
+   * @returns {Promise<object>} - Запись журнала
+   */
+  async recordSync(link, state, entry) {
+    const log = this.parseJson(link.sync_log, []);
+
+    log.push(entry);
+
+    const update = {
+      last_sync_status: entry.status,
+      last_sync_message: entry.message || null,
+      sync_log: JSON.stringify(log.slice(-this.config.logSize))
+    };
+
+    if (state) {
+      update.sync_state = JSON.stringify(state);
+    }
+
+    if (entry.status !== 'failed') {
+      update.last_synced_at = new Date(entry.at);
+    }
+
+    try {
+      await link.update(update);
+    } catch (error) {
+      logger.error(`Error saving sync log for task link ${link.id}: ${error.message}`, {
+        error: error.stack
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Загрузка задачи, провайдера и конфигурации интеграции для связи
+   * @param {object} link - Связь задачи
+   * @returns {Promise<object>} - { task, provider, integration, config }
+   */
+  async loadLinkContext(link) {
+    const { TaskModel, IntegrationTypeModel } = this.models;
+
+    const task = link.task || await TaskModel.findByPk(link.task_id);
+
+    if (!task) {
+      throw new Error(`Task with ID ${link.task_id} not found`);
+    }
+
+    const integrationType = link.integrationType || await IntegrationTypeModel.findByPk(link.integration_type_id);
+    const provider = integrationType && integrationType.provider_name;
+    const integration = this.projectManagement.providers[provider];
+
+    if (!integration) {
+      throw new Error(`Unknown integration provider: ${provider}`);
+    }
+
+    const config = await this.projectManagement.getIntegrationConfig(task.project_id, provider);
+
+    if (!config) {
+      throw new Error(`Integration config not found for project ${task.project_id}, provider ${provider}`);
+    }
+
+    return { task, provider, integration, config };
+  }
+
+  /**
+   * Формирование задачи для отправки: выбранные поля - из BIZ360,
+   * остальные - из внешней задачи, чтобы провайдер не изменил их
+   * @param {object} task - Локальная задача
+   * @param {object} remote - Внешняя задача в формате BIZ360
+   * @param {string[]} fields - Отправляемые поля
+   * @returns {object} - Задача для updateTask провайдера
+   */
+  buildOutgoingTask(task, remote, fields) {
+    const outgoing = typeof task.get === 'function' ? task.get({ plain: true }) : { ...task };
+
+    for (const field of REMOTE_PASSTHROUGH_FIELDS) {
+      if (!fields.includes(field) && remote[field] !== undefined) {
+        outgoing[field] = remote[field];
+      }
+    }
+
+    for (const field of fields) {
+      outgoing[field] = task[field];
+    }
+
+    return outgoing;
+  }
+
+  /**
+   * Значения синхронизируемых полей в нормализованном виде
+   * @param {object} task - Задача в формате BIZ360
+   * @returns {object} - Значения полей
+   */
+  pickFields(task) {
+    const fields = {};
+
+    for (const field of SYNC_FIELDS) {
+      fields[field] = this.normalizeValue(task[field]);
+    }
+
+    return fields;
+  }
+
+  /**
+   * Нормализация значения поля для сравнения (пустые значения - null, даты - ISO, текст - без \r и крайних пробелов)
+   * @param {*} value - Значение
+   * @returns {string|number|boolean|null} - Нормализованное значение
+   */
+  normalizeValue(value) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+
+    if (typeof value === 'string') {
+      const text = value.replace(/\r\n/g, '\n').trim();
+      return text === '' ? null : text;
+    }
+
+    return value;
+  }
+
+  /**
+   * Преобразование значения для записи в локальную задачу
+   * @param {string} field - Поле
+   * @param {*} value - Значение
+   * @returns {*} - Значение для записи
+   */
+  toLocalValue(field, value) {
+    // Описание задачи в BIZ360 обязательно
+    if (field === 'description') {
+      return value || '';
+    }
+
+    return value === undefined ? null : value;
+  }
+
+  /**
+   * Разбор состояния синхронизации связи
+   * @param {object} link - Связь задачи
+   * @returns {object} - Состояние { fields, comments }
+   */
+  parseSyncState(link) {
+    return this.parseJson(link.sync_state, {});
+  }
+
+  /**
+   * Форматирование конфликта для API
+   * @param {object} conflict - Конфликт (TaskSyncConflictModel)
+   * @returns {object} - Конфликт
+   */
+  formatConflict(conflict) {
+    const link = conflict.externalLink;
+
+    return {
+      id: conflict.id,
+      taskId: conflict.task_id,
+      linkId: conflict.task_external_link_id,
+      provider: link && link.integrationType ? link.integrationType.provider_name : undefined,
+      externalId: link ? link.external_id : undefined,
+      field: conflict.field,
+      baseValue: this.parseJson(conflict.base_value, null),
+      localValue: this.parseJson(conflict.local_value, null),
+      remoteValue: this.parseJson(conflict.remote_value, null),
+      status: conflict.status,
+      resolution: conflict.resolution,
+      resolvedValue: this.parseJson(conflict.resolved_value, null),
+      resolvedBy: conflict.resolved_by,
+      resolvedAt: conflict.resolved_at,
+      createdAt: conflict.created_at
+    };
+  }
+
+  /**
+   * Последовательное выполнение операций над одной связью
+   * @param {number} linkId - ID связи
+   * @param {Function} operation - Операция
+   * @returns {Promise<*>} - Результат операции
+   */
+  async withLinkQueue(linkId, operation) {
+    const previous = this.linkQueues.get(linkId) || Promise.resolve();
+    const current = previous.catch(() => {}).then(operation);
+
+    this.linkQueues.set(linkId, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.linkQueues.get(linkId) === current) {
+        this.linkQueues.delete(linkId);
+      }
+    }
+  }
+
+  /**
+   * Безопасный разбор JSON
+   * @param {string|object} value - Значение
+   * @param {*} fallback - Значение по умолчанию
+   * @returns {*} - Результат разбора
+   */
+  parseJson(value, fallback) {
+    if (value === null || value === undefined || value === '') {
+      return fallback;
+    }
+
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return fallback;
+    }
+  }
+}
+
+module.exports = {
+  SyncEngine,
+  CONFLICT_POLICIES,
+  SYNC_FIELDS
+};
@@ -0,0 +1,1218 @@
+// src/core/project-understanding/architecture-analyzer.js
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { pool } = require('../../config/db.config');
+const logger = require('../../utils/logger');
+const JSAstExtractor = require('./js-ast-extractor');
+const SymbolGraph = require('./symbol-graph');
+const { listLanguageExtractors, getExtractorForFile } = require('./language-extractors');
+
+/**
+ * Слои проекта: каталоги и суффиксы имен файлов, по которым файл относится к слою.
+ * Порядок важен: суффикс файла проверяется по слоям сверху вниз
+ */
+const LAYERS = [
+  { name: 'routes', title: 'маршруты', directories: ['routes', 'route', 'routers', 'router'], suffixes: ['routes', 'route', 'router', 'urls'] },
+  { name: 'controllers', title: 'контроллеры', directories: ['controllers', 'controller', 'handlers', 'handler', 'views'], suffixes: ['controller', 'handler', 'views'] },
+  { name: 'middleware', title: 'middleware', directories: ['middleware', 'middlewares'], suffixes: ['middleware'] },
+  { name: 'services', title: 'сервисы', directories: ['services', 'service', 'usecases'], suffixes: ['service'] },
+  { name: 'repositories', title: 'репозитории', directories: ['repositories', 'repository', 'repos', 'dao'], suffixes: ['repository', 'repo', 'dao'] },
+  { name: 'models', title: 'модели', directories: ['models', 'model', 'entities', 'entity'], suffixes: ['model', 'models', 'entity'] },
+  { name: 'utils', title: 'утилиты', directories: ['utils', 'util', 'helpers', 'helper', 'lib', 'common'], suffixes: ['util', 'utils', 'helper', 'helpers'] },
+  { name: 'config', title: 'конфигурация', directories: ['config', 'configs', 'settings'], suffixes: ['config', 'settings'] }
+];
+
+/**
+ * Направление зависимостей между слоями: слой может зависеть только от слоев правее
+ */
+const LAYER_ORDER = ['routes', 'controllers', 'services', 'repositories', 'models'];
+
+/**
+ * Слои, для которых определяется способ доступа к данным (напрямую или через модели)
+ */
+const DATA_ACCESS_LAYERS = ['routes', 'controllers', 'middleware', 'services'];
+
+/**
+ * Библиотеки доступа к данным: orm - модели и ORM, driver - драйверы и пулы соединений
+ */
+const DATA_LIBRARIES = [
+  { name: 'sequelize', kind: 'orm', prefixes: ['sequelize'] },
+  { name: 'typeorm', kind: 'orm', prefixes: ['typeorm'] },
+  { name: 'prisma', kind: 'orm', prefixes: ['@prisma/client'] },
+  { name: 'mongoose', kind: 'orm', prefixes: ['mongoose'] },
+  { name: 'objection', kind: 'orm', prefixes: ['objection'] },
+  { name: 'knex', kind: 'driver', prefixes: ['knex'] },
+  { name: 'mysql2', kind: 'driver', prefixes: ['mysql2', 'mysql'] },
+  { name: 'pg', kind: 'driver', prefixes: ['pg', 'pg-promise'] },
+  { name: 'mongodb', kind: 'driver', prefixes: ['mongodb'] },
+  { name: 'sqlite3', kind: 'driver', prefixes: ['sqlite3', 'better-sqlite3'] },
+  { name: 'sqlalchemy', kind: 'orm', prefixes: ['sqlalchemy', 'flask_sqlalchemy'] },
+  { name: 'django.db', kind: 'orm', prefixes: ['django.db'] },
+  { name: 'peewee', kind: 'orm', prefixes: ['peewee'] },
+  { name: 'psycopg2', kind: 'driver', prefixes: ['psycopg2', 'psycopg', 'asyncpg'] },
+  { name: 'pymysql', kind: 'driver', prefixes: ['pymysql', 'MySQLdb'] },
+  { name: 'gorm', kind: 'orm', prefixes: ['gorm.io'] },
+  { name: 'database/sql', kind: 'driver', prefixes: ['database/sql', 'github.com/jmoiron/sqlx', 'github.com/jackc/pgx'] },
+  { name: 'jpa', kind: 'orm', prefixes: ['jakarta.persistence', 'javax.persistence', 'org.hibernate', 'org.springframework.data'] },
+  { name: 'jdbc', kind: 'driver', prefixes: ['java.sql', 'javax.sql', 'org.springframework.jdbc'] }
+];
+
+/**
+ * Фреймворки маршрутизации HTTP
+ */
+const ROUTING_FRAMEWORKS = [
+  { name: 'Express', prefixes: ['express'] },
+  { name: 'Koa', prefixes: ['koa', '@koa/router', 'koa-router'] },
+  { name: 'Fastify', prefixes: ['fastify'] },
+  { name: 'NestJS', prefixes: ['@nestjs/common'] },
+  { name: 'Hapi', prefixes: ['@hapi/hapi'] },
+  { name: 'Flask', prefixes: ['flask'] },
+  { name: 'FastAPI', prefixes: ['fastapi'] },
+  { name: 'Django', prefixes: ['django.urls', 'django.http'] },
+  { name: 'net/http', prefixes: ['net/http'] },
+  { name: 'Gin', prefixes: ['github.com/gin-gonic/gin'] },
+  { name: 'Echo', prefixes: ['github.com/labstack/echo'] },
+  { name: 'gorilla/mux', prefixes: ['github.com/gorilla/mux'] },
+  { name: 'Spring MVC', prefixes: ['org.springframework.web.bind.annotation'] }
+];
+
+/**
+ * Библиотеки тестирования
+ */
+const TEST_FRAMEWORKS = [
+  { name: 'jest', prefixes: ['jest', '@jest/globals'] },
+  { name: 'vitest', prefixes: ['vitest'] },
+  { name: 'mocha', prefixes: ['mocha'] },
+  { name: 'chai', prefixes: ['chai'] },
+  { name: 'sinon', prefixes: ['sinon'] },
+  { name: 'supertest', prefixes: ['supertest'] },
+  { name: 'pytest', prefixes: ['pytest'] },
+  { name: 'unittest', prefixes: ['unittest'] },
+  { name: 'testing', prefixes: ['testing'] },
+  { name: 'testify', prefixes: ['github.com/stretchr/testify'] },
+  { name: 'junit', prefixes: ['org.junit'] },
+  { name: 'testng', prefixes: ['org.testng'] },
+  { name: 'mockito', prefixes: ['org.mockito'] }
+];
+
+/**
+ * Шаблоны имен тестовых файлов
+ */
+const TEST_NAME_PATTERNS = [
+  { pattern: /\.test\.([cm]?[jt]sx?)$/, name: extension => `*.test.${extension}` },
+  { pattern: /\.spec\.([cm]?[jt]sx?)$/, name: extension => `*.spec.${extension}` },
+  { pattern: /(^|\/)test_[^/]*\.py$/, name: () => 'test_*.py' },
+  { pattern: /_test\.py$/, name: () => '*_test.py' },
+  { pattern: /_test\.go$/, name: () => '*_test.go' },
+  { pattern: /Tests\.java$/, name: () => '*Tests.java' },
+  { pattern: /Test\.java$/, name: () => '*Test.java' }
+];
+
+/**
+ * Каталоги тестов, отделенных от исходников
+ */
+const TEST_DIRECTORY_PATTERN = /(^|\/)(tests?|__tests__|spec)\//;
+
+/**
+ * Языки JavaScript/TypeScript по расширению (остальные языки - по language-extractors)
+ */
+const JS_LANGUAGES = {
+  '.js': 'javascript',
+  '.jsx': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.ts': 'typescript',
+  '.tsx': 'typescript'
+};
+
+/**
+ * Доля, начиная с которой вариант считается соглашением проекта
+ */
+const DOMINANT_SHARE = 0.6;
+
+/**
+ * Максимальное количество каталогов слоя в сводке
+ */
+const MAX_DIRECTORIES = 5;
+
+/**
+ * Стили имен, совместимые с любым соглашением (одно слово в нижнем регистре и прочие)
+ */
+const NEUTRAL_STYLES = ['lower', 'other'];
+
+/**
+ * Названия стилей имен для описания
+ */
+const STYLE_TITLES = {
+  kebab: 'kebab-case',
+  snake: 'snake_case',
+  camel: 'camelCase',
+  pascal: 'PascalCase',
+  mixed: 'смешанный стиль'
+};
+
+/**
+ * Класс для определения архитектуры проекта по проиндексированному коду
+ * Сводка (слои, зависимости между слоями, маршрутизация, доступ к данным, тесты,
+ * соглашения об именах) хранится в project_architecture как версионируемый артефакт:
+ * новая версия создается после переиндексации, только если соглашения изменились.
+ * По сводке проверяется, не нарушает ли сгенерированное изменение соглашения проекта (drift)
+ */
+class ArchitectureAnalyzer {
+  /**
+   * @param {number} projectId - ID проекта
+   */
+  constructor(projectId) {
+    this.projectId = projectId;
+    this.astExtractor = new JSAstExtractor();
+    this.symbolGraph = new SymbolGraph(projectId);
+  }
+
+  /**
+   * Определяет архитектуру по проиндексированным файлам и сохраняет новую версию сводки,
+   * если она отличается от последней
+   * @param {string} projectPath - Путь к локальному репозиторию проекта
+   * @returns {Promise<Object>} - { version, summary, hash, filesAnalyzed, changed }
+   */
+  async refresh(projectPath) {
+    const { summary, files } = await this.analyze(projectPath);
+    const hash = this.hashSummary(summary);
+    const latest = await this.getLatest();
+
+    if (latest && latest.hash === hash) {
+      logger.info(`Архитектура проекта #${this.projectId} не изменилась (версия ${latest.version})`);
+      return { ...latest, changed: false };
+    }
+
+    const version = latest ? latest.version + 1 : 1;
+
+    await pool.query(
+      `INSERT INTO project_architecture (project_id, version, summary, summary_hash, files_analyzed)
+       VALUES (?, ?, ?, ?, ?)`,
+      [this.projectId, version, JSON.stringify(summary), hash, files]
+    );
+
+    logger.info(`Сохранена версия ${version} архитектуры проекта #${this.projectId} (${files} файлов)`);
+
+    return { version, summary, hash, filesAnalyzed: files, changed: true };
+  }
+
+  /**
+   * Читает проиндексированные файлы кода и строит сводку архитектуры
+   * @param {string} projectPath - Путь к локальному репозиторию проекта
+   * @returns {Promise<Object>} - { summary, files }
+   */
+  async analyze(projectPath) {
+    const [files] = await pool.query(
+      `SELECT file_path FROM project_files
+       WHERE project_id = ? AND file_type IN (?)`,
+      [this.projectId, ['javascript', 'typescript', ...listLanguageExtractors()]]
+    );
+
+    const sources = [];
+
+    for (const file of files) {
+      try {
+        const content = await fs.readFile(path.join(projectPath, file.file_path), 'utf8');
+        sources.push({ path: file.file_path, content });
+      } catch (error) {
+        logger.warn(`Не удалось прочитать файл ${file.file_path} для анализа архитектуры: ${error.message}`);
+      }
+    }
+
+    return { summary: this.buildSummary(sources), files: sources.length };
+  }
+
+  /**
+   * Строит сводку архитектуры по содержимому файлов
+   * @param {Array<Object>} sources - Файлы { path, content }
+   * @returns {Object} - Сводка { languages, layers, dependencies, routing, dataAccess, tests, naming }
+   */
+  buildSummary(sources) {
+    const knownPaths = new Set(sources.map(source => source.path));
+    const files = [];
+
+    for (const source of sources) {
+      try {
+        files.push(this._describeFile(source.path, source.content, knownPaths));
+      } catch (error) {
+        logger.debug(`Файл ${source.path} пропущен при анализе архитектуры: ${error.message}`);
+      }
+    }
+
+    const byPath = new Map(files.map(file => [file.path, file]));
+    const codeFiles = files.filter(file => file.layer !== 'tests');
+
+    return {
+      languages: Object.fromEntries(Object.entries(this._countBy(files, file => file.language))
+        .map(([language, count]) => [language, { files: count }])),
+      layers: this._summarizeLayers(codeFiles),
+      dependencies: this._summarizeDependencies(codeFiles, byPath),
+      routing: this._summarizeRouting(files, byPath),
+      dataAccess: this._summarizeDataAccess(codeFiles, byPath),
+      tests: this._summarizeTests(files.filter(file => file.layer === 'tests')),
+      naming: this._summarizeNaming(codeFiles)
+    };
+  }
+
+  /**
+   * Вычисляет хеш сводки без счетчиков файлов: версия меняется вместе с соглашениями,
+   * а не с каждым добавленным файлом
+   * @param {Object} summary - Сводка архитектуры
+   * @returns {string}
+   */
+  hashSummary(summary) {
+    // Все числа в сводке - счетчики файлов
+    const conventions = JSON.stringify(summary, (key, value) => (typeof value === 'number' ? undefined : value));
+
+    return crypto.createHash('sha256').update(conventions).digest('hex');
+  }
+
+  /**
+   * Возвращает последнюю версию сводки архитектуры
+   * @returns {Promise<Object|null>} - { version, summary, hash, filesAnalyzed, createdAt } или null
+   */
+  async getLatest() {
+    const [rows] = await pool.query(
+      `SELECT version, summary, summary_hash, files_analyzed, created_at FROM project_architecture
+       WHERE project_id = ? ORDER BY version DESC LIMIT 1`,
+      [this.projectId]
+    );
+
+    return rows.length > 0 ? this._mapArtifact(rows[0]) : null;
+  }
+
+  /**
+   * Возвращает указанную версию сводки архитектуры
+   * @param {number} version - Номер версии
+   * @returns {Promise<Object|null>}
+   */
+  async getVersion(version) {
+    const [rows] = await pool.query(
+      `SELECT version, summary, summary_hash, files_analyzed, created_at FROM project_architecture
+       WHERE project_id = ? AND version = ?`,
+      [this.projectId, version]
+    );
+
+    return rows.length > 0 ? this._mapArtifact(rows[0]) : null;
+  }
+
+  /**
+   * Проверяет изменения на соответствие архитектуре проекта
+   * @param {Array<Object>} changes - Измененные файлы { path, content }
+   * @param {Object} [options={}] - Опции
+   * @param {Object} [options.summary] - Сводка архитектуры (по умолчанию - последняя версия)
+   * @returns {Promise<Object>} - { version, violations } (version null, если архитектура не определена)
+   */
+  async detectDrift(changes, options = {}) {
+    let version = null;
+    let summary = options.summary || null;
+
+    if (!summary) {
+      const latest = await this.getLatest();
+
+      if (!latest) {
+        return { version: null, violations: [] };
+      }
+
+      version = latest.version;
+      summary = latest.summary;
+    }
+
+    const [files] = await pool.query(
+      'SELECT file_path FROM project_files WHERE project_id = ?',
+      [this.projectId]
+    );
+
+    const knownPaths = new Set(files.map(file => file.file_path));
+
+    return { version, violations: this.findViolations(summary, changes, knownPaths) };
+  }
+
+  /**
+   * Находит нарушения соглашений проекта в изменениях
+   * Правила: data-access (прямой доступ к БД там, где проект работает через модели),
+   * layer-dependency (зависимость между слоями, которой нет в проекте), data-library
+   * (библиотека доступа к данным, которую проект не использует), naming (стиль имен
+   * и суффиксы слоев), test-layout (размещение и имена тестов)
+   * @param {Object} summary - Сводка архитектуры
+   * @param {Array<Object>} changes - Измененные файлы { path, content }
+   * @param {Set<string>} [knownPaths] - Пути файлов проекта (для разрешения импортов)
+   * @returns {Array<Object>} - Нарушения { rule, severity, file, line, message }
+   */
+  findViolations(summary, changes, knownPaths = new Set()) {
+    const allPaths = new Set([...knownPaths, ...changes.map(change => change.path)]);
+    const dbModules = new Set(summary.dataAccess.dbModules);
+    const violations = [];
+
+    for (const change of changes) {
+      let file;
+
+      try {
+        file = this._describeFile(change.path, change.content, allPaths);
+      } catch (error) {
+        logger.debug(`Файл ${change.path} не проверен на соответствие архитектуре: ${error.message}`);
+        continue;
+      }
+
+      const add = (rule, severity, line, message) => violations.push({ rule, severity, file: file.path, line, message });
+
+      if (file.layer === 'tests') {
+        this._checkTestLayout(summary.tests, file, add);
+        continue;
+      }
+
+      this._checkDataAccess(summary.dataAccess, file, dbModules, add);
+      this._checkLayerDependencies(summary.dependencies, file, add);
+      this._checkNaming(summary, file, add);
+    }
+
+    return violations;
+  }
+
+  /**
+   * Формирует описание архитектуры для промптов
+   * @param {Object} summary - Сводка архитектуры
+   * @returns {string}
+   */
+  describe(summary) {
+    const lines = ['Архитектура проекта определена по его коду.', '', 'Слои:'];
+
+    for (const layer of LAYERS) {
+      const info = summary.layers[layer.name];
+
+      if (info) {
+        const suffix = info.suffix ? `, суффикс имен файлов "${info.suffix}"` : '';
+        lines.push(`- ${layer.name} (${layer.title}): ${info.directories.join(', ') || 'разные каталоги'}${suffix}`);
+      }
+    }
+
+    if (summary.dependencies.length > 0) {
+      lines.push('', `Зависимости между слоями: ${summary.dependencies.map(item => `${item.from} -> ${item.to}`).join(', ')}`);
+    }
+
+    const { routing, dataAccess, tests } = summary;
+
+    if (routing.frameworks.length > 0 || routing.directories.length > 0) {
+      const parts = [
+        routing.frameworks.length > 0 ? routing.frameworks.join(', ') : null,
+        routing.directories.length > 0 ? `маршруты в ${routing.directories.join(', ')}` : null,
+        routing.handlers ? `обработчики в слое ${routing.handlers}` : null
+      ];
+
+      lines.push(`Маршрутизация: ${parts.filter(Boolean).join('; ')}`);
+    }
+
+    if (dataAccess.libraries.length > 0) {
+      lines.push(`Доступ к данным: ${dataAccess.libraries.map(library => library.name).join(', ')}`);
+
+      if (dataAccess.dbModules.length > 0) {
+        lines.push(`- подключение к БД: ${dataAccess.dbModules.join(', ')}`);
+      }
+
+      for (const layer of DATA_ACCESS_LAYERS) {
+        const access = dataAccess.byLayer[layer];
+
+        if (access && access.convention === 'direct') {
+          lines.push(`- ${layer} обращаются к БД напрямую`);
+        } else if (access && access.convention === 'models') {
+          lines.push(`- ${layer} работают с данными через слой ${dataAccess.encapsulation || 'models'}, без прямых запросов к БД`);
+        }
+      }
+    }
+
+    if (tests.layout) {
+      lines.push(`Тесты: ${this._describeTests(tests)}`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Формирует описание соглашений о стиле кода для промптов
+   * @param {Object} summary - Сводка архитектуры
+   * @returns {string}
+   */
+  describeCodeStyle(summary) {
+    const rules = [];
+
+    for (const [language, naming] of Object.entries(summary.naming)) {
+      const parts = [];
+
+      if (STYLE_TITLES[naming.files]) {
+        parts.push(`имена файлов - ${STYLE_TITLES[naming.files]}`);
+      }
+
+      if (STYLE_TITLES[naming.classes]) {
+        parts.push(`классы - ${STYLE_TITLES[naming.classes]}`);
+      }
+
+      if (STYLE_TITLES[naming.functions]) {
+        parts.push(`функции и методы - ${STYLE_TITLES[naming.functions]}`);
+      }
+
+      if (parts.length > 0) {
+        rules.push(`${language}: ${parts.join(', ')}`);
+      }
+    }
+
+    const suffixes = LAYERS
+      .filter(layer => summary.layers[layer.name] && summary.layers[layer.name].suffix)
+      .map(layer => `${layer.name} - "${summary.layers[layer.name].suffix}"`);
+
+    if (suffixes.length > 0) {
+      rules.push(`Суффиксы имен файлов слоев: ${suffixes.join(', ')}`);
+    }
+
+    const modelLayers = DATA_ACCESS_LAYERS
+      .filter(layer => summary.dataAccess.byLayer[layer] && summary.dataAccess.byLayer[layer].convention === 'models');
+
+    if (modelLayers.length > 0) {
+      rules.push(`В слоях ${modelLayers.join(', ')} не обращайся к БД напрямую, используй слой ${summary.dataAccess.encapsulation || 'models'}`);
+    }
+
+    if (summary.tests.layout) {
+      rules.push(`Тесты: ${this._describeTests(summary.tests)}`);
+    }
+
+    return `\nСледуй соглашениям, принятым в проекте:\n\n${rules.map((rule, index) => `${index + 1}. ${rule}`).join('\n')}\n`;
+  }
+
+  /**
+   * Разбирает файл: язык, слой, стиль имени, импорты и используемые библиотеки
+   * @param {string} filePath - Путь к файлу
+   * @param {string} content - Содержимое файла
+   * @param {Set<string>} knownPaths - Пути файлов проекта
+   * @returns {Object}
+   * @private
+   */
+  _describeFile(filePath, content, knownPaths) {
+    const extractor = getExtractorForFile(filePath);
+    const language = extractor ? extractor.language : JS_LANGUAGES[path.extname(filePath).toLowerCase()];
+
+    if (!language) {
+      throw new Error(`Неподдерживаемый тип файла: ${filePath}`);
+    }
+
+    const { imports, symbols } = (extractor || this.astExtractor).extract(content, { filePath });
+    const { layer, suffix } = this._classifyFile(filePath);
+
+    return {
+      path: filePath,
+      language,
+      layer,
+      suffix,
+      nameStyle: this._getNameStyle(this._getBaseName(filePath).split('.')[0]),
+      symbols,
+      imports: imports.map(entry => ({
+        source: entry.source,
+        line: entry.line,
+        targets: extractor
+          ? extractor.resolveImport(filePath, entry, knownPaths).paths
+          : [this.symbolGraph.resolveModulePath(filePath, entry.source, knownPaths)].filter(Boolean),
+        library: this._matchPrefix(DATA_LIBRARIES, entry.source)
+      }))
+    };
+  }
+
+  /**
+   * Определяет слой файла: тесты, затем суффикс имени, затем ближайший каталог слоя
+   * @param {string} filePath - Путь к файлу
+   * @returns {Object} - { layer, suffix } (layer null, если слой не определен)
+   * @private
+   */
+  _classifyFile(filePath) {
+    const normalized = filePath.replace(/\\/g, '/');
+
+    if (this.symbolGraph.isTestFile(normalized)) {
+      return { layer: 'tests', suffix: null };
+    }
+
+    const match = this._matchLayerSuffix(this._getBaseName(normalized));
+
+    if (match) {
+      return match;
+    }
+
+    const directories = path.posix.dirname(normalized).split('/').reverse();
+
+    for (const directory of directories) {
+      const layer = LAYERS.find(item => item.directories.includes(directory.toLowerCase()));
+
+      if (layer) {
+        return { layer: layer.name, suffix: null };
+      }
+    }
+
+    return { layer: null, suffix: null };
+  }
+
+  /**
+   * Находит суффикс слоя в имени файла: user.controller, user_service, UserRepository, urls
+   * @param {string} baseName - Имя файла без расширения
+   * @returns {Object|null} - { layer, suffix } или null
+   * @private
+   */
+  _matchLayerSuffix(baseName) {
+    for (const layer of LAYERS) {
+      for (const suffix of layer.suffixes) {
+        const capitalized = `${suffix[0].toUpperCase()}${suffix.slice(1)}`;
+
+        if (baseName.toLowerCase() === suffix) {
+          return { layer: layer.name, suffix: null };
+        }
+
+        for (const form of [`.${suffix}`, `_${suffix}`, `-${suffix}`]) {
+          if (baseName.toLowerCase().endsWith(form) && baseName.length > form.length) {
+            return { layer: layer.name, suffix: form };
+          }
+        }
+
+        if (new RegExp(`[a-z0-9]${capitalized}$`).test(baseName)) {
+          return { layer: layer.name, suffix: capitalized };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Сводка по слоям: количество файлов, основные каталоги и принятый суффикс имен
+   * @param {Array<Object>} files - Файлы кода (без тестов)
+   * @returns {Object}
+   * @private
+   */
+  _summarizeLayers(files) {
+    const layers = {};
+
+    for (const layer of LAYERS) {
+      const layerFiles = files.filter(file => file.layer === layer.name);
+
+      if (layerFiles.length === 0) {
+        continue;
+      }
+
+      layers[layer.name] = {
+        files: layerFiles.length,
+        directories: this._topValues(layerFiles.map(file => path.posix.dirname(file.path))),
+        suffix: this._dominant(this._countBy(layerFiles, file => file.suffix || 'none'), ['none'], true)
+      };
+    }
+
+    return layers;
+  }
+
+  /**
+   * Сводка зависимостей между слоями по разрешенным импортам
+   * @param {Array<Object>} files - Файлы кода
+   * @param {Map} byPath - Файлы по пути
+   * @returns {Array<Object>} - { from, to, count }
+   * @private
+   */
+  _summarizeDependencies(files, byPath) {
+    const counts = new Map();
+
+    for (const file of files.filter(item => item.layer)) {
+      for (const layer of this._getTargetLayers(file, byPath)) {
+        if (layer !== file.layer && layer !== 'tests') {
+          const key = `${file.layer}|${layer}`;
+          counts.set(key, (counts.get(key) || 0) + 1);
+        }
+      }
+    }
+
+    return [...counts.entries()]
+      .map(([key, count]) => {
+        const [from, to] = key.split('|');
+        return { from, to, count };
+      })
+      .sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+  }
+
+  /**
+   * Сводка маршрутизации: фреймворки, каталоги маршрутов и слой обработчиков
+   * @param {Array<Object>} files - Все файлы
+   * @param {Map} byPath - Файлы по пути
+   * @returns {Object} - { frameworks, directories, suffix, handlers }
+   * @private
+   */
+  _summarizeRouting(files, byPath) {
+    const routeFiles = files.filter(file => file.layer === 'routes');
+    const handlers = {};
+
+    for (const file of routeFiles) {
+      for (const layer of this._getTargetLayers(file, byPath)) {
+        if (['controllers', 'services', 'repositories', 'models'].includes(layer)) {
+          handlers[layer] = (handlers[layer] || 0) + 1;
+        }
+      }
+    }
+
+    const handlersLayer = Object.keys(handlers).sort((a, b) => handlers[b] - handlers[a])[0] || null;
+
+    return {
+      frameworks: this._collectFrameworks(files.filter(file => file.layer !== 'tests'), ROUTING_FRAMEWORKS),
+      directories: this._topValues(routeFiles.map(file => path.posix.dirname(file.path))),
+      suffix: this._dominant(this._countBy(routeFiles, file => file.suffix || 'none'), ['none'], true),
+      handlers: handlersLayer
+    };
+  }
+
+  /**
+   * Сводка доступа к данным: библиотеки, модули подключения к БД и способ доступа в каждом слое
+   * Прямой доступ - импорт драйвера или модуля подключения (пула), через модели - импорт ORM
+   * или файлов слоев models/repositories
+   * @param {Array<Object>} files - Файлы кода
+   * @param {Map} byPath - Файлы по пути
+   * @returns {Object} - { libraries, dbModules, encapsulation, byLayer }
+   * @private
+   */
+  _summarizeDataAccess(files, byPath) {
+    const libraries = new Map();
+
+    for (const file of files) {
+      for (const entry of file.imports.filter(item => item.library)) {
+        libraries.set(entry.library.name, entry.library.kind);
+      }
+    }
+
+    // Модули подключения: файлы вне слоев приложения, импортирующие драйвер БД (db.config, database.py)
+    const dbModules = files
+      .filter(file => !DATA_ACCESS_LAYERS.includes(file.layer) && !['models', 'repositories'].includes(file.layer))
+      .filter(file => file.imports.some(entry => entry.library && entry.library.kind === 'driver'))
+      .map(file => file.path)
+      .sort();
+
+    const dbModuleSet = new Set(dbModules);
+    const byLayer = {};
+
+    for (const layer of DATA_ACCESS_LAYERS) {
+      const layerFiles = files.filter(file => file.layer === layer);
+
+      if (layerFiles.length === 0) {
+        continue;
+      }
+
+      let direct = 0;
+      let models = 0;
+
+      for (const file of layerFiles) {
+        const access = this._getDataAccess(file, dbModuleSet, byPath);
+        direct += access.direct ? 1 : 0;
+        models += access.models ? 1 : 0;
+      }
+
+      let convention = null;
+
+      if (direct > 0 || models > 0) {
+        convention = direct > models ? 'direct' : 'models';
+      }
+
+      byLayer[layer] = { files: layerFiles.length, direct, models, convention };
+    }
+
+    const hasLayer = name => files.some(file => file.layer === name);
+
+    return {
+      libraries: [...libraries.entries()]
+        .map(([name, kind]) => ({ name, kind }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      dbModules,
+      encapsulation: hasLayer('repositories') ? 'repositories' : (hasLayer('models') ? 'models' : null),
+      byLayer
+    };
+  }
+
+  /**
+   * Сводка тестов: размещение (отдельные каталоги или рядом с кодом), шаблоны имен и библиотеки
+   * @param {Array<Object>} testFiles - Тестовые файлы
+   * @returns {Object} - { files, layout, directories, patterns, frameworks }
+   * @private
+   */
+  _summarizeTests(testFiles) {
+    const separate = testFiles.filter(file => TEST_DIRECTORY_PATTERN.test(file.path));
+    let layout = null;
+
+    if (testFiles.length > 0) {
+      const share = separate.length / testFiles.length;
+      layout = share >= DOMINANT_SHARE ? 'separate' : (share <= 1 - DOMINANT_SHARE ? 'colocated' : 'mixed');
+    }
+
+    const patterns = {};
+
+    for (const [language, files] of Object.entries(this._groupBy(testFiles, file => file.language))) {
+      const pattern = this._dominant(this._countBy(files, file => this._getTestPattern(file.path) || 'none'), ['none'], true);
+
+      if (pattern) {
+        patterns[language] = pattern;
+      }
+    }
+
+    return {
+      files: testFiles.length,
+      layout,
+      directories: this._topValues(separate.map(file => file.path.match(/^(.*?(?:^|\/)(?:tests?|__tests__|spec))\//)[1])),
+      patterns,
+      frameworks: this._collectFrameworks(testFiles, TEST_FRAMEWORKS)
+    };
+  }
+
+  /**
+   * Сводка соглашений об именах по языкам: файлы, классы, функции и методы
+   * @param {Array<Object>} files - Файлы кода
+   * @returns {Object} - { [language]: { files, classes, functions } }
+   * @private
+   */
+  _summarizeNaming(files) {
+    const naming = {};
+
+    for (const [language, languageFiles] of Object.entries(this._groupBy(files, file => file.language))) {
+      const symbols = languageFiles.flatMap(file => file.symbols);
+      const classes = symbols.filter(symbol => ['class', 'struct'].includes(symbol.kind));
+      const functions = symbols.filter(symbol => ['function', 'method'].includes(symbol.kind) && !this._isSpecialMethod(symbol));
+
+      naming[language] = {
+        files: this._dominant(this._countBy(languageFiles, file => file.nameStyle), NEUTRAL_STYLES),
+        classes: this._dominant(this._countBy(classes, symbol => this._getNameStyle(symbol.name)), NEUTRAL_STYLES),
+        functions: this._dominant(this._countBy(functions, symbol => this._getNameStyle(symbol.name)), NEUTRAL_STYLES)
+      };
+    }
+
+    return naming;
+  }
+
+  /**
+   * Проверяет доступ к данным: прямые запросы к БД в слое, который работает через модели,
+   * и библиотеки доступа к данным, которых нет в проекте
+   * @param {Object} dataAccess - Сводка доступа к данным
+   * @param {Object} file - Проверяемый файл
+   * @param {Set<string>} dbModules - Модули подключения к БД
+   * @param {Function} add - Добавляет нарушение (rule, severity, line, message)
+   * @private
+   */
+  _checkDataAccess(dataAccess, file, dbModules, add) {
+    const usedLibraries = dataAccess.libraries.map(library => library.name);
+
+    for (const entry of file.imports.filter(item => item.library)) {
+      if (usedLibraries.length > 0 && !usedLibraries.includes(entry.library.name)) {
+        add('data-library', 'warning', entry.line,
+          `Библиотека ${entry.library.name} не используется в проекте (используются: ${usedLibraries.join(', ')})`);
+      }
+    }
+
+    const access = dataAccess.byLayer[file.layer];
+
+    if (!access || access.convention !== 'models') {
+      return;
+    }
+
+    for (const entry of file.imports) {
+      const isDriver = entry.library && entry.library.kind === 'driver';
+      const dbModule = entry.targets.find(target => dbModules.has(target));
+
+      if (isDriver || dbModule) {
+        add('data-access', access.direct === 0 ? 'error' : 'warning', entry.line,
+          `Слой ${file.layer} обращается к БД напрямую (${dbModule || entry.source}), ` +
+          `а в проекте доступ к данным из этого слоя идет через ${dataAccess.encapsulation || 'модели'}`);
+      }
+    }
+  }
+
+  /**
+   * Проверяет зависимости между слоями: обратные зависимости и зависимости в обход слоев,
+   * которых нет в проекте
+   * @param {Array<Object>} dependencies - Зависимости между слоями в проекте
+   * @param {Object} file - Проверяемый файл
+   * @param {Function} add - Добавляет нарушение (rule, severity, line, message)
+   * @private
+   */
+  _checkLayerDependencies(dependencies, file, add) {
+    const from = LAYER_ORDER.indexOf(file.layer);
+
+    if (from === -1) {
+      return;
+    }
+
+    const observed = new Set(dependencies.map(item => `${item.from}|${item.to}`));
+    const hasOutgoing = dependencies.some(item => item.from === file.layer);
+    const reported = new Set();
+
+    for (const entry of file.imports) {
+      for (const target of entry.targets) {
+        const { layer } = this._classifyFile(target);
+        const to = LAYER_ORDER.indexOf(layer);
+
+        if (to === -1 || to === from || observed.has(`${file.layer}|${layer}`) || reported.has(layer)) {
+          continue;
+        }
+
+        if (to < from) {
+          reported.add(layer);
+          add('layer-dependency', 'error', entry.line,
+            `Обратная зависимость: слой ${file.layer} импортирует ${layer} (${target})`);
+        } else if (hasOutgoing) {
+          reported.add(layer);
+          add('layer-dependency', 'warning', entry.line,
+            `В проекте слой ${file.layer} не зависит от слоя ${layer} напрямую (${target})`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Проверяет стиль имени файла, суффикс слоя и стиль имен объявленных классов и функций
+   * @param {Object} summary - Сводка архитектуры
+   * @param {Object} file - Проверяемый файл
+   * @param {Function} add - Добавляет нарушение (rule, severity, line, message)
+   * @private
+   */
+  _checkNaming(summary, file, add) {
+    const naming = summary.naming[file.language];
+    const layer = file.layer ? summary.layers[file.layer] : null;
+
+    if (naming && this._conflicts(file.nameStyle, naming.files)) {
+      add('naming', 'warning', null,
+        `Имя файла в стиле ${STYLE_TITLES[file.nameStyle]}, а в проекте принят ${STYLE_TITLES[naming.files]}`);
+    }
+
+    if (layer && layer.suffix && file.suffix !== layer.suffix) {
+      add('naming', 'warning', null,
+        `Файлы слоя ${file.layer} в проекте называются с суффиксом "${layer.suffix}"`);
+    }
+
+    if (!naming) {
+      return;
+    }
+
+    for (const symbol of file.symbols) {
+      const style = this._getNameStyle(symbol.name);
+      const isClass = ['class', 'struct'].includes(symbol.kind);
+      const isFunction = ['function', 'method'].includes(symbol.kind) && !this._isSpecialMethod(symbol);
+      const expected = isClass ? naming.classes : (isFunction ? naming.functions : null);
+
+      if (expected && this._conflicts(style, expected)) {
+        add('naming', 'warning', symbol.loc.start.line,
+          `${symbol.qualifiedName}: стиль ${STYLE_TITLES[style]}, а в проекте принят ${STYLE_TITLES[expected]}`);
+      }
+    }
+  }
+
+  /**
+   * Проверяет размещение и имя тестового файла
+   * @param {Object} tests - Сводка тестов
+   * @param {Object} file - Проверяемый тестовый файл
+   * @param {Function} add - Добавляет нарушение (rule, severity, line, message)
+   * @private
+   */
+  _checkTestLayout(tests, file, add) {
+    const isSeparate = TEST_DIRECTORY_PATTERN.test(file.path);
+
+    if (tests.layout === 'separate' && !isSeparate) {
+      add('test-layout', 'warning', null,
+        `Тесты проекта размещаются в отдельных каталогах (${tests.directories.join(', ')}), а не рядом с кодом`);
+    } else if (tests.layout === 'colocated' && isSeparate) {
+      add('test-layout', 'warning', null, 'Тесты проекта размещаются рядом с тестируемым кодом');
+    }
+
+    const expected = tests.patterns[file.language];
+    const pattern = this._getTestPattern(file.path);
+
+    if (expected && pattern !== expected) {
+      add('test-layout', 'warning', null, `Тестовые файлы проекта называются по шаблону ${expected}`);
+    }
+  }
+
+  /**
+   * Определяет, обращается ли файл к БД напрямую и через модели
+   * @param {Object} file - Файл
+   * @param {Set<string>} dbModules - Модули подключения к БД
+   * @param {Map} byPath - Файлы по пути
+   * @returns {Object} - { direct, models }
+   * @private
+   */
+  _getDataAccess(file, dbModules, byPath) {
+    let direct = false;
+    let models = false;
+
+    for (const entry of file.imports) {
+      if (entry.library) {
+        direct = direct || entry.library.kind === 'driver';
+        models = models || entry.library.kind === 'orm';
+      }
+
+      for (const target of entry.targets) {
+        const targetFile = byPath.get(target);
+
+        direct = direct || dbModules.has(target);
+        models = models || !!(targetFile && ['models', 'repositories'].includes(targetFile.layer));
+      }
+    }
+
+    return { direct, models };
+  }
+
+  /**
+   * Возвращает слои файлов, импортируемых файлом
+   * @param {Object} file - Файл
+   * @param {Map} byPath - Файлы по пути
+   * @returns {Set<string>}
+   * @private
+   */
+  _getTargetLayers(file, byPath) {
+    const layers = new Set();
+
+    for (const entry of file.imports) {
+      for (const target of entry.targets) {
+        const targetFile = byPath.get(target);
+
+        if (targetFile && targetFile.layer) {
+          layers.add(targetFile.layer);
+        }
+      }
+    }
+
+    return layers;
+  }
+
+  /**
+   * Собирает фреймворки, импортируемые файлами
+   * @param {Array<Object>} files - Файлы
+   * @param {Array<Object>} frameworks - Известные фреймворки { name, prefixes }
+   * @returns {Array<string>}
+   * @private
+   */
+  _collectFrameworks(files, frameworks) {
+    const found = new Set();
+
+    for (const file of files) {
+      for (const entry of file.imports) {
+        const framework = this._matchPrefix(frameworks, entry.source);
+
+        if (framework) {
+          found.add(framework.name);
+        }
+      }
+    }
+
+    return frameworks.map(framework => framework.name).filter(name => found.has(name));
+  }
+
+  /**
+   * Находит библиотеку по импортируемому модулю (сам модуль или его подмодуль)
+   * @param {Array<Object>} items - Библиотеки { name, prefixes }
+   * @param {string} source - Импортируемый модуль
+   * @returns {Object|null}
+   * @private
+   */
+  _matchPrefix(items, source) {
+    if (!source) {
+      return null;
+    }
+
+    return items.find(item => item.prefixes.some(prefix =>
+      source === prefix || source.startsWith(`${prefix}/`) || source.startsWith(`${prefix}.`))) || null;
+  }
+
+  /**
+   * Возвращает шаблон имени тестового файла (*.test.js, test_*.py, *_test.go)
+   * @param {string} filePath - Путь к файлу
+   * @returns {string|null}
+   * @private
+   */
+  _getTestPattern(filePath) {
+    for (const item of TEST_NAME_PATTERNS) {
+      const match = filePath.match(item.pattern);
+
+      if (match) {
+        return item.name(match[1]);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Определяет стиль имени: kebab, snake, camel, pascal, lower (одно слово) или other
+   * @param {string} name - Имя
+   * @returns {string}
+   * @private
+   */
+  _getNameStyle(name) {
+    if (/^[a-z][a-z0-9]*$/.test(name)) {
+      return 'lower';
+    }
+
+    if (/^[a-z][a-z0-9]*(-[a-z0-9]+)+$/.test(name)) {
+      return 'kebab';
+    }
+
+    if (/^[a-z][a-z0-9]*(_[a-z0-9]+)+$/.test(name)) {
+      return 'snake';
+    }
+
+    if (/^[a-z][a-z0-9]*([A-Z][a-z0-9]*)+$/.test(name)) {
+      return 'camel';
+    }
+
+    if (/^[A-Z][a-z0-9]+([A-Z][a-z0-9]*)*$/.test(name)) {
+      return 'pascal';
+    }
+
+    return 'other';
+  }
+
+  /**
+   * Проверяет, противоречит ли стиль имени соглашению проекта
+   * Одно слово в нижнем регистре совместимо со всеми стилями, кроме PascalCase
+   * @param {string} style - Стиль имени
+   * @param {string|null} expected - Стиль, принятый в проекте
+   * @returns {boolean}
+   * @private
+   */
+  _conflicts(style, expected) {
+    if (!expected || expected === 'mixed' || style === expected || style === 'other') {
+      return false;
+    }
+
+    return style !== 'lower' || expected === 'pascal';
+  }
+
+  /**
+   * Конструкторы и специальные методы (__init__) не учитываются в стиле имен функций
+   * @param {Object} symbol - Символ
+   * @returns {boolean}
+   * @private
+   */
+  _isSpecialMethod(symbol) {
+    return symbol.methodKind === 'constructor' || symbol.name === 'constructor' ||
+      symbol.name === symbol.parent || /^__\w+__$/.test(symbol.name);
+  }
+
+  /**
+   * Возвращает имя файла без расширения
+   * @param {string} filePath - Путь к файлу
+   * @returns {string}
+   * @private
+   */
+  _getBaseName(filePath) {
+    return path.posix.basename(filePath, path.posix.extname(filePath));
+  }
+
+  /**
+   * Выбирает вариант, принятый в проекте
+   * @param {Object} counts - Количество по вариантам
+   * @param {Array<string>} [neutral=[]] - Варианты, не влияющие на выбор
+   * @param {boolean} [againstNeutral=false] - Считать долю среди всех вариантов, включая нейтральные
+   * @returns {string|null} - Вариант, 'mixed', если ни один не преобладает, или null
+   * @private
+   */
+  _dominant(counts, neutral = [], againstNeutral = false) {
+    const entries = Object.entries(counts).filter(([value]) => !neutral.includes(value));
+    const total = (againstNeutral ? Object.values(counts) : entries.map(([, count]) => count))
+      .reduce((sum, count) => sum + count, 0);
+
+    if (entries.length === 0 || total === 0) {
+      return null;
+    }
+
+    const [value, count] = entries.sort((a, b) => b[1] - a[1])[0];
+
+    if (count / total >= DOMINANT_SHARE) {
+      return value;
+    }
+
+    return againstNeutral ? null : 'mixed';
+  }
+
+  /**
+   * Возвращает наиболее частые значения
+   * @param {Array<string>} values - Значения
+   * @returns {Array<string>}
+   * @private
+   */
+  _topValues(values) {
+    const counts = this._countBy(values, value => value);
+
+    return Object.keys(counts)
+      .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
+      .slice(0, MAX_DIRECTORIES);
+  }
+
+  /**
+   * Считает элементы по ключу
+   * @param {Array} items - Элементы
+   * @param {Function} getKey - Возвращает ключ элемента
+   * @returns {Object} - Количество по ключам
+   * @private
+   */
+  _countBy(items, getKey) {
+    const counts = {};
+
+    for (const item of items) {
+      const key = getKey(item);
+      counts[key] = (counts[key] || 0) + 1;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Группирует элементы по ключу
+   * @param {Array} items - Элементы
+   * @param {Function} getKey - Возвращает ключ элемента
+   * @returns {Object} - Элементы по ключам
+   * @private
+   */
+  _groupBy(items, getKey) {
+    const groups = {};
+
+    for (const item of items) {
+      const key = getKey(item);
+      (groups[key] = groups[key] || []).push(item);
+    }
+
+    return groups;
+  }
+
+  /**
+   * Описание размещения тестов
+   * @param {Object} tests - Сводка тестов
+   * @returns {string}
+   * @private
+   */
+  _describeTests(tests) {
+    const layouts = {
+      separate: `в отдельных каталогах ${tests.directories.join(', ')}`,
+      colocated: 'рядом с тестируемым кодом',
+      mixed: 'и в отдельных каталогах, и рядом с кодом'
+    };
+    const patterns = Object.values(tests.patterns);
+
+    return [
+      layouts[tests.layout],
+      patterns.length > 0 ? `имена по шаблону ${patterns.join(', ')}` : null,
+      tests.frameworks.length > 0 ? `библиотеки ${tests.frameworks.join(', ')}` : null
+    ].filter(Boolean).join('; ');
+  }
+
+  /**
+   * Преобразует строку project_architecture в артефакт
+   * @param {Object} row - Строка БД
+   * @returns {Object}
+   * @private
+   */
+  _mapArtifact(row) {
+    return {
+      version: row.version,
+      summary: typeof row.summary === 'string' ? JSON.parse(row.summary) : row.summary,
+      hash: row.summary_hash,
+      filesAnalyzed: row.files_analyzed,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = ArchitectureAnalyzer;
@@ -0,0 +1,127 @@
+// src/core/project-understanding/change-detector.js
+
+const path = require('path');
+const { pool } = require('../../config/db.config');
+const { GitClient } = require('../vcs-manager/git-client');
+const logger = require('../../utils/logger');
+
+/**
+ * Класс для определения файлов проекта, изменившихся с последней индексации
+ * Коммит последней индексации хранится в project_index_state отдельно для каждого
+ * индексатора (индекс кода, анализ файлов), чтобы они не пропускали изменения друг друга
+ */
+class ChangeDetector {
+  /**
+   * @param {number} projectId - ID проекта в БД
+   * @param {string} projectPath - Путь к локальному репозиторию проекта
+   * @param {Object} [options={}] - Опции
+   * @param {string} [options.indexer='code-index'] - Имя индексатора
+   * @param {GitClient} [options.gitClient] - Git клиент
+   */
+  constructor(projectId, projectPath, options = {}) {
+    this.projectId = projectId;
+    this.projectPath = projectPath;
+    this.indexer = options.indexer || 'code-index';
+    this.gitClient = options.gitClient || new GitClient({
+      db: pool,
+      config: { baseDir: path.dirname(projectPath) }
+    });
+  }
+
+  /**
+   * Определяет изменения с последней индексации
+   * Полная индексация требуется, если проект не является Git репозиторием,
+   * еще не индексировался или проиндексированный коммит исчез из истории
+   * @param {Object} [options={}] - Опции
+   * @param {boolean} [options.force=false] - Принудительная полная индексация
+   * @returns {Promise<Object>} - { mode: 'full'|'incremental', reason, headCommit, fromCommit, changed, deleted }
+   */
+  async detectChanges({ force = false } = {}) {
+    const headCommit = await this.gitClient.getHeadCommit(this.projectPath);
+    const full = (reason) => ({ mode: 'full', reason, headCommit, fromCommit: null, changed: [], deleted: [] });
+
+    if (force) {
+      return full('forced');
+    }
+
+    if (!headCommit) {
+      return full('not-a-git-repository');
+    }
+
+    const fromCommit = await this.getLastIndexedCommit();
+
+    if (!fromCommit) {
+      return full('not-indexed');
+    }
+
+    const diff = await this.gitClient.getChangedFilesSince(this.projectPath, fromCommit);
+
+    if (!diff.success) {
+      logger.warn(`Не удалось получить изменения проекта #${this.projectId} с коммита ${fromCommit}: ${diff.error}`);
+      return full('diff-failed');
+    }
+
+    const changed = new Set();
+    const deleted = new Set();
+
+    for (const file of diff.changedFiles) {
+      if (file.operation === 'deleted') {
+        deleted.add(file.path);
+        continue;
+      }
+
+      if (file.operation === 'renamed') {
+        deleted.add(file.oldPath);
+      }
+
+      changed.add(file.path);
+      deleted.delete(file.path);
+    }
+
+    logger.info(`Проект #${this.projectId}: с коммита ${fromCommit.substring(0, 8)} изменено ${changed.size}, удалено ${deleted.size} файлов`);
+
+    return {
+      mode: 'incremental',
+      reason: 'git-diff',
+      headCommit,
+      fromCommit,
+      changed: [...changed],
+      deleted: [...deleted]
+    };
+  }
+
+  /**
+   * Возвращает коммит последней индексации
+   * @returns {Promise<string|null>} - Хэш коммита или null
+   */
+  async getLastIndexedCommit() {
+    const [rows] = await pool.query(
+      'SELECT last_commit FROM project_index_state WHERE project_id = ? AND indexer = ?',
+      [this.projectId, this.indexer]
+    );
+
+    return rows.length > 0 ? rows[0].last_commit : null;
+  }
+
+  /**
+   * Сохраняет коммит, на котором завершена индексация
+   * @param {string|null} commit - Хэш коммита (null для проектов без Git)
+   * @returns {Promise<void>}
+   */
+  async markIndexed(commit) {
+    if (!commit) {
+      return;
+    }
+
+    await pool.query(
+      `INSERT INTO project_index_state (project_id, indexer, last_commit, indexed_at)
+       VALUES (?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE last_commit = VALUES(last_commit), indexed_at = NOW()`,
+      [this.projectId, this.indexer, commit]
+    );
+
+    logger.info(`Проект #${this.projectId} проиндексирован (${this.indexer}) на коммите ${commit.substring(0, 8)}`);
+  }
+}
+
+module.exports = ChangeDetector;
@@ -3,6 +3,10 @@
 const { pool } = require('../../config/db.config');
 const { getLLMClient } = require('../../utils/llm-client');
 const CodeParser = require('./code-parser');
+const FileAnalyzer = require('./file-analyzer');
+const JSAstExtractor = require('./js-ast-extractor');
+const { hasLanguageExtractor, getLanguageExtractor } = require('./language-extractors');
+const ChangeDetector = require('./change-detector');
 const path = require('path');
 const fs = require('fs').promises;
 const logger = require('../../utils/logger');
@@ -15,104 +19,50 @@ class CodeIndexer {
     this.projectId = projectId;
     this.llmClient = getLLMClient();
     this.batchSize = 5; // Количество файлов в одной партии для индексации
+    this.astExtractor = new JSAstExtractor();
+    
+    // Параметры поиска по умолчанию
+    this.searchDefaults = {
+      limit: 5,
+      threshold: 0.2, // минимальная оценка релевантности
+      keywordWeight: 0.3 // вес совпадения ключевых слов в гибридном режиме
+    };
   }
 
   /**
    * Разбивает содержимое файла на семантические блоки
+   * JavaScript/TypeScript разбивается по AST: один сегмент на объявление (см. JSAstExtractor),
+   * Python, Go и Java - так же, по объявлениям (см. language-extractors)
    * @param {string} content - Содержимое файла
    * @param {string} fileType - Тип файла
-   * @returns {Array} - Массив блоков кода с информацией о строках
+   * @param {string} [filePath] - Путь к файлу (определяет настройки TypeScript/JSX)
+   * @returns {Array} - Массив блоков кода с информацией о строках и символах
    */
-  segmentCodeContent(content, fileType) {
+  segmentCodeContent(content, fileType, filePath = null) {
     const lines = content.split('\n');
-    const segments = [];
-    
-    // Простой алгоритм сегментации для JavaScript:
-    // Объединяем все импорты в один сегмент
-    // Каждая функция/класс в отдельный сегмент
     
-    if (fileType === 'javascript') {
-      let currentSegment = {
-        content: '',
-        start: 0,
-        end: 0
-      };
-      
-      let inFunction = false;
-      let bracketCount = 0;
-      
-      lines.forEach((line, index) => {
-        const lineNum = index + 1;
+    if (fileType === 'javascript' || fileType === 'typescript' || hasLanguageExtractor(fileType)) {
+      try {
+        const segments = hasLanguageExtractor(fileType)
+          ? getLanguageExtractor(fileType).segment(content, { filePath })
+          : this.astExtractor.segment(content, { filePath, fileType });
         
-        // Импорты группируем вместе
-        if (line.trim().startsWith('import ') || line.trim().startsWith('const ') || line.trim().startsWith('let ')) {
-          if (inFunction) {
-            // Если мы уже внутри функции, строка является частью этой функции
-            currentSegment.content += line + '\n';
-            currentSegment.end = lineNum;
-          } else {
-            // Если мы не внутри функции, и предыдущий сегмент не пуст, сохраняем его
-            if (currentSegment.content) {
-              segments.push({ ...currentSegment });
-              currentSegment = { content: line + '\n', start: lineNum, end: lineNum };
-            } else {
-              // Если текущий сегмент пуст, начинаем новый
-              currentSegment.content = line + '\n';
-              currentSegment.start = lineNum;
-              currentSegment.end = lineNum;
-            }
-          }
-        } 
-        // Определение начала функции или класса
-        else if (line.includes('function ') || line.includes('=>') || line.includes('class ')) {
-          // Завершаем предыдущий сегмент, если он не пуст
-          if (currentSegment.content && !inFunction) {
-            segments.push({ ...currentSegment });
-            currentSegment = { content: line + '\n', start: lineNum, end: lineNum };
-          } else {
-            currentSegment.content += line + '\n';
-            currentSegment.end = lineNum;
-          }
-          
-          inFunction = true;
-          
-          // Увеличиваем счетчик фигурных скобок
-          bracketCount += (line.match(/{/g) || []).length;
-          bracketCount -= (line.match(/}/g) || []).length;
-        } 
-        // Считаем фигурные скобки для определения границы функции
-        else {
-          currentSegment.content += line + '\n';
-          currentSegment.end = lineNum;
-          
-          if (inFunction) {
-            bracketCount += (line.match(/{/g) || []).length;
-            bracketCount -= (line.match(/}/g) || []).length;
-            
-            // Если скобки сбалансированы, функция завершена
-            if (bracketCount === 0) {
-              inFunction = false;
-              segments.push({ ...currentSegment });
-              currentSegment = { content: '', start: 0, end: 0 };
-            }
-          }
+        if (segments.length > 0) {
+          return segments;
         }
-      });
-      
-      // Добавляем последний сегмент, если он не пуст
-      if (currentSegment.content) {
-        segments.push(currentSegment);
+      } catch (error) {
+        logger.warn(`Не удалось разобрать ${filePath || 'файл'}, файл индексируется одним сегментом: ${error.message}`);
       }
-    } else {
-      // Для других типов файлов просто берем весь файл как один сегмент
-      segments.push({
-        content: content,
-        start: 1,
-        end: lines.length
-      });
     }
     
-    return segments;
+    // Для других типов файлов (и неразобранного кода) берем весь файл как один сегмент
+    return [{
+      content: content,
+      start: 1,
+      end: lines.length,
+      name: null,
+      kind: 'file'
+    }];
   }
 
   /**
@@ -132,6 +82,37 @@ class CodeIndexer {
     }
   }
 
+  /**
+   * Возвращает идентификатор текущей модели эмбеддингов (см. LLMClient.getEmbeddingModel)
+   * @returns {string}
+   */
+  getEmbeddingModelId() {
+    return this.llmClient.getEmbeddingModel().id;
+  }
+
+  /**
+   * Отмечает для повторной индексации файлы, векторы которых созданы другой моделью эмбеддингов
+   * (после смены модели или провайдера векторы несовместимы с векторами новых запросов)
+   * @returns {Promise<number>} - Количество файлов, которые будут проиндексированы заново
+   */
+  async invalidateStaleEmbeddings() {
+    const [result] = await pool.query(
+      `UPDATE project_files pf SET pf.last_analyzed = NULL
+       WHERE pf.project_id = ? AND pf.last_analyzed IS NOT NULL
+         AND EXISTS (
+           SELECT 1 FROM code_vectors cv
+           WHERE cv.file_id = pf.id AND (cv.embedding_model IS NULL OR cv.embedding_model <> ?)
+         )`,
+      [this.projectId, this.getEmbeddingModelId()]
+    );
+    
+    if (result.affectedRows > 0) {
+      logger.info(`Проект #${this.projectId}: ${result.affectedRows} файлов будут проиндексированы заново моделью ${this.getEmbeddingModelId()}`);
+    }
+    
+    return result.affectedRows;
+  }
+
   /**
    * Индексирует файл и создает векторные представления его сегментов
    * @param {number} fileId - ID файла
@@ -145,7 +126,7 @@ class CodeIndexer {
       logger.info(`Индексация файла: ${filePath}`);
       
       // Разбиваем код на сегменты
-      const segments = this.segmentCodeContent(content, fileType);
+      const segments = this.segmentCodeContent(content, fileType, filePath);
       
       logger.debug(`Файл ${filePath} разбит на ${segments.length} сегментов`);
       
@@ -161,17 +142,26 @@ class CodeIndexer {
         );
         
         // Индексируем каждый сегмент
+        let vectorCount = 0;
+        const embeddingModel = this.getEmbeddingModelId();
+        
         for (const segment of segments) {
           const embedding = await this.createEmbedding(segment.content);
           
           if (embedding.length > 0) {
             await connection.query(
-              'INSERT INTO code_vectors (file_id, code_segment, start_line, end_line, embedding) VALUES (?, ?, ?, ?, ?)',
-              [fileId, segment.content, segment.start, segment.end, JSON.stringify(embedding)]
+              'INSERT INTO code_vectors (file_id, code_segment, start_line, end_line, symbol_name, symbol_kind, embedding, embedding_model) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+              [fileId, segment.content, segment.start, segment.end, segment.name, segment.kind, JSON.stringify(embedding), embeddingModel]
             );
+            vectorCount++;
           }
         }
         
+        // Без эмбеддингов файл не отмечается проанализированным и будет обработан повторно
+        if (vectorCount === 0 && content.trim()) {
+          throw new Error('Не удалось создать векторные представления сегментов');
+        }
+        
         // Обновляем дату последнего анализа файла
         await connection.query(
           'UPDATE project_files SET last_analyzed = NOW() WHERE id = ?',
@@ -195,28 +185,42 @@ class CodeIndexer {
 
   /**
    * Запуск индексации для проекта
+   * Эмбеддинги создаются только для новых и изменившихся файлов (last_analyzed IS NULL)
+   * и для файлов, проиндексированных другой моделью эмбеддингов;
+   * при наличии коммита последней индексации сканируются только файлы из git diff
    * @param {string} projectPath - Абсолютный путь к проекту
-   * @returns {Promise<void>}
+   * @param {Object} [options={}] - Опции
+   * @param {boolean} [options.incremental=true] - Разрешить инкрементальную индексацию
+   * @returns {Promise<Object>} - { mode, headCommit, fromCommit, scanned, indexed, deleted, reembedded, embeddingModel }
    */
-  async indexProject(projectPath) {
+  async indexProject(projectPath, options = {}) {
     try {
       logger.info(`Начало индексации проекта #${this.projectId}`);
       
-      // Сканируем проект и получаем все файлы
+      // Определяем изменения с последней индексации
+      const changeDetector = new ChangeDetector(this.projectId, projectPath);
+      const changes = await changeDetector.detectChanges({ force: options.incremental === false });
+      
+      // Сканируем проект (или только измененные файлы)
       const codeParser = new CodeParser(projectPath, this.projectId);
-      const projectFiles = await codeParser.scanAndIndexProject();
+      const projectFiles = await codeParser.scanAndIndexProject({ changes });
+      
+      // Векторы другой модели пересоздаются независимо от изменений в репозитории
+      const reembedded = await this.invalidateStaleEmbeddings();
       
-      // Получаем из БД информацию о файлах
+      // Получаем из БД файлы, которые нужно проиндексировать
       const connection = await pool.getConnection();
       
       try {
         const [files] = await connection.query(
-          'SELECT id, file_path, file_type, last_analyzed FROM project_files WHERE project_id = ?',
+          'SELECT id, file_path, file_type, last_analyzed FROM project_files WHERE project_id = ? AND last_analyzed IS NULL',
           [this.projectId]
         );
         
         connection.release();
         
+        let indexedCount = 0;
+        
         // Обрабатываем файлы группами для уменьшения нагрузки на API
         const fileGroups = [];
         for (let i = 0; i < files.length; i += this.batchSize) {
@@ -235,6 +239,7 @@ class CodeIndexer {
               
               // Индексируем файл
               await this.indexFile(file.id, file.file_path, content, file.file_type);
+              indexedCount++;
             } catch (error) {
               logger.error(`Ошибка при обработке файла ${file.file_path}:`, error);
             }
@@ -244,7 +249,21 @@ class CodeIndexer {
           await Promise.all(indexPromises);
         }
         
-        logger.info(`Индексация проекта #${this.projectId} завершена`);
+        // Файлы с ошибками остаются с last_analyzed = NULL и будут обработаны при следующей индексации
+        await changeDetector.markIndexed(changes.headCommit);
+        
+        logger.info(`Индексация проекта #${this.projectId} завершена: просканировано ${projectFiles.length}, проиндексировано ${indexedCount} файлов`);
+        
+        return {
+          mode: changes.mode,
+          headCommit: changes.headCommit,
+          fromCommit: changes.fromCommit,
+          scanned: projectFiles.length,
+          indexed: indexedCount,
+          deleted: changes.deleted.length,
+          reembedded,
+          embeddingModel: this.getEmbeddingModelId()
+        };
       } catch (error) {
         logger.error(`Ошибка при получении информации о файлах:`, error);
         throw error;
@@ -257,54 +276,234 @@ class CodeIndexer {
 
   /**
    * Поиск похожего кода по векторному представлению
+   * Сегменты ранжируются по косинусному сходству с эмбеддингом запроса.
+   * В гибридном режиме к сходству добавляется доля ключевых слов запроса
+   * (см. FileAnalyzer.extractKeywords), найденных в сегменте или пути файла
    * @param {string} query - Запрос для поиска
-   * @param {number} limit - Максимальное количество результатов
-   * @returns {Promise<Array>} - Массив найденных сегментов кода
+   * @param {number|Object} [options=5] - Максимальное количество результатов или опции поиска
+   * @param {number} [options.limit=5] - Максимальное количество результатов
+   * @param {number} [options.threshold=0.2] - Минимальная оценка релевантности (0..1)
+   * @param {Array<string>} [options.fileTypes] - Типы файлов (project_files.file_type)
+   * @param {string|Array<string>} [options.pathGlob] - Glob-шаблоны путей файлов (например, 'src/**\/*.js')
+   * @param {string} [options.mode='semantic'] - Режим поиска: 'semantic' или 'hybrid'
+   * @param {number} [options.keywordWeight=0.3] - Вес совпадения ключевых слов в гибридном режиме
+   * @returns {Promise<Array>} - Массив найденных сегментов кода, отсортированный по релевантности
    */
-  async searchSimilarCode(query, limit = 5) {
+  async searchSimilarCode(query, options = 5) {
+    const {
+      limit = this.searchDefaults.limit,
+      threshold = this.searchDefaults.threshold,
+      fileTypes = [],
+      pathGlob = null,
+      mode = 'semantic',
+      keywordWeight = this.searchDefaults.keywordWeight
+    } = typeof options === 'number' ? { limit: options } : options;
+    
+    const hybrid = mode === 'hybrid';
+    
     try {
       // Создаем эмбеддинг для запроса
       const queryEmbedding = await this.createEmbedding(query);
       
-      if (queryEmbedding.length === 0) {
+      // Без эмбеддинга запроса гибридный поиск сводится к поиску по ключевым словам
+      if (queryEmbedding.length === 0 && !hybrid) {
         return [];
       }
       
-      const connection = await pool.getConnection();
+      const keywords = hybrid
+        ? new FileAnalyzer(this.projectId).extractKeywords(query).map(keyword => keyword.toLowerCase())
+        : [];
       
-      try {
-        // В реальности здесь должен быть сложный запрос для поиска ближайших векторов
-        // Для примера используем упрощенный запрос
-        const [results] = await connection.query(
-          `SELECT cv.*, pf.file_path 
-           FROM code_vectors cv 
-           JOIN project_files pf ON cv.file_id = pf.id 
-           WHERE pf.project_id = ? 
-           LIMIT ?`,
-          [this.projectId, limit]
-        );
+      const pathPatterns = (Array.isArray(pathGlob) ? pathGlob : [pathGlob])
+        .filter(Boolean)
+        .map(pattern => this._globToRegExp(pattern));
+      
+      const segments = await this._getSearchSegments(fileTypes);
+      const embeddingModel = this.getEmbeddingModelId();
+      const results = [];
+      
+      for (const segment of segments) {
+        if (pathPatterns.length > 0 && !pathPatterns.some(pattern => pattern.test(segment.file_path))) {
+          continue;
+        }
         
-        connection.release();
+        // Векторы другой модели несравнимы с эмбеддингом запроса (до переиндексации файла)
+        const comparable = queryEmbedding.length > 0 &&
+          (!segment.embedding_model || segment.embedding_model === embeddingModel);
         
-        // Здесь должен быть код для расчета косинусного сходства
-        // между queryEmbedding и каждым embedding из результатов
-        // и сортировки результатов по этому показателю
+        if (!comparable && !hybrid) {
+          continue;
+        }
         
-        return results.map(result => ({
-          file_path: result.file_path,
-          code_segment: result.code_segment,
-          start_line: result.start_line,
-          end_line: result.end_line
-        }));
-      } catch (error) {
-        connection.release();
-        throw error;
+        const similarity = comparable
+          ? this._cosineSimilarity(queryEmbedding, this._parseEmbedding(segment.embedding))
+          : 0;
+        
+        let score = similarity;
+        let keywordScore = null;
+        
+        if (hybrid) {
+          keywordScore = this._keywordScore(keywords, segment);
+          score = comparable
+            ? (1 - keywordWeight) * similarity + keywordWeight * keywordScore
+            : keywordScore;
+        }
+        
+        if (score < threshold) {
+          continue;
+        }
+        
+        results.push({
+          file_path: segment.file_path,
+          file_type: segment.file_type,
+          code_segment: segment.code_segment,
+          start_line: segment.start_line,
+          end_line: segment.end_line,
+          symbol_name: segment.symbol_name,
+          symbol_kind: segment.symbol_kind,
+          score: Number(score.toFixed(4)),
+          similarity: Number(similarity.toFixed(4)),
+          ...(hybrid && { keyword_score: Number(keywordScore.toFixed(4)) })
+        });
       }
+      
+      return results
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
     } catch (error) {
       logger.error('Ошибка при поиске похожего кода:', error);
       return [];
     }
   }
+
+  /**
+   * Загружает проиндексированные сегменты проекта для поиска
+   * @param {Array<string>} fileTypes - Типы файлов для фильтрации (пустой массив - все типы)
+   * @returns {Promise<Array>} - Сегменты с путями и типами файлов
+   * @private
+   */
+  async _getSearchSegments(fileTypes) {
+    const connection = await pool.getConnection();
+    
+    try {
+      let query = `SELECT cv.code_segment, cv.start_line, cv.end_line, cv.symbol_name, cv.symbol_kind, cv.embedding, cv.embedding_model, pf.file_path, pf.file_type
+         FROM code_vectors cv
+         JOIN project_files pf ON cv.file_id = pf.id
+         WHERE pf.project_id = ?`;
+      const params = [this.projectId];
+      
+      if (fileTypes.length > 0) {
+        query += ' AND pf.file_type IN (?)';
+        params.push(fileTypes);
+      }
+      
+      const [segments] = await connection.query(query, params);
+      
+      return segments;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Вычисляет косинусное сходство векторов
+   * @param {Array<number>} a - Первый вектор
+   * @param {Array<number>} b - Второй вектор
+   * @returns {number} - Сходство от -1 до 1 (0 для несовместимых векторов)
+   * @private
+   */
+  _cosineSimilarity(a, b) {
+    if (!Array.isArray(b) || a.length !== b.length || a.length === 0) {
+      return 0;
+    }
+    
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+    
+    if (normA === 0 || normB === 0) {
+      return 0;
+    }
+    
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+  }
+
+  /**
+   * Приводит сохраненный эмбеддинг к массиву
+   * (драйвер возвращает JSON-колонку массивом, старые записи могут храниться строкой)
+   * @param {Array|string} embedding - Эмбеддинг из code_vectors
+   * @returns {Array<number>|null} - Вектор или null
+   * @private
+   */
+  _parseEmbedding(embedding) {
+    if (typeof embedding !== 'string') {
+      return embedding;
+    }
+    
+    try {
+      return JSON.parse(embedding);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Вычисляет долю ключевых слов запроса, найденных в сегменте или пути файла
+   * @param {Array<string>} keywords - Ключевые слова в нижнем регистре
+   * @param {Object} segment - Сегмент кода
+   * @returns {number} - Оценка от 0 до 1
+   * @private
+   */
+  _keywordScore(keywords, segment) {
+    if (keywords.length === 0) {
+      return 0;
+    }
+    
+    const text = `${segment.file_path}\n${segment.code_segment}`.toLowerCase();
+    const matched = keywords.filter(keyword => text.includes(keyword)).length;
+    
+    return matched / keywords.length;
+  }
+
+  /**
+   * Преобразует glob-шаблон пути в регулярное выражение
+   * Поддерживаются *, ** и ?
+   * @param {string} pattern - Glob-шаблон
+   * @returns {RegExp} - Регулярное выражение
+   * @private
+   */
+  _globToRegExp(pattern) {
+    let regex = '';
+    
+    for (let i = 0; i < pattern.length; i++) {
+      const char = pattern[i];
+      
+      if (char === '*' && pattern[i + 1] === '*') {
+        // '**/' соответствует любому количеству каталогов, в том числе нулю
+        if (pattern[i + 2] === '/') {
+          regex += '(?:.*/)?';
+          i += 2;
+        } else {
+          regex += '.*';
+          i += 1;
+        }
+      } else if (char === '*') {
+        regex += '[^/]*';
+      } else if (char === '?') {
+        regex += '[^/]';
+      } else {
+        regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    
+    return new RegExp(`^${regex}$`);
+  }
 }
 
 module.exports = CodeIndexer;
\ No newline at end of file
@@ -4,6 +4,9 @@ const fs = require('fs').promises;
 const path = require('path');
 const { pool } = require('../../config/db.config');
 const logger = require('../../utils/logger');
+const JSAstExtractor = require('./js-ast-extractor');
+const { hasLanguageExtractor, getLanguageExtractor } = require('./language-extractors');
+const ChangeDetector = require('./change-detector');
 
 /**
  * Класс для сканирования и парсинга кодовой базы проекта
@@ -41,28 +44,50 @@ class CodeParser {
       'tsx': 'typescript',
       'json': 'json',
       'sql': 'sql',
+      'py': 'python',
+      'go': 'go',
+      'java': 'java',
       'md': 'markdown',
       'html': 'html',
       'css': 'css',
       'scss': 'scss'
     };
+    
+    this.astExtractor = new JSAstExtractor();
   }
 
   /**
    * Сканирует проект и индексирует найденные файлы
-   * @returns {Promise<Array>} - Массив проиндексированных файлов
+   * Если известен коммит последней индексации, обрабатываются только файлы,
+   * изменившиеся с него (см. ChangeDetector), а удаленные файлы удаляются из индекса
+   * @param {Object} [options={}] - Опции
+   * @param {Object} [options.changes] - Уже определенные изменения (результат ChangeDetector.detectChanges)
+   * @param {boolean} [options.incremental=true] - Разрешить инкрементальное сканирование
+   * @returns {Promise<Array>} - Массив проиндексированных файлов (updated: true - файл новый или изменился)
    */
-  async scanAndIndexProject() {
+  async scanAndIndexProject(options = {}) {
     try {
       logger.info(`Начало сканирования проекта ${this.projectId} по пути: ${this.projectPath}`);
       
-      // Получаем список всех файлов в проекте
-      const allFiles = await this.scanDirectory(this.projectPath);
+      const changes = options.changes || await new ChangeDetector(this.projectId, this.projectPath)
+        .detectChanges({ force: options.incremental === false });
+      
+      let indexedFiles;
       
-      // Индексируем найденные файлы
-      const indexedFiles = await this.indexFiles(allFiles);
+      if (changes.mode === 'incremental') {
+        // Обрабатываем только измененные файлы
+        const changedFiles = await this.describeFiles(changes.changed);
+        
+        indexedFiles = await this.indexFiles(changedFiles, { deletedPaths: changes.deleted });
+      } else {
+        // Получаем список всех файлов в проекте
+        const allFiles = await this.scanDirectory(this.projectPath);
+        
+        // Индексируем найденные файлы
+        indexedFiles = await this.indexFiles(allFiles);
+      }
       
-      logger.info(`Сканирование проекта ${this.projectId} завершено. Проиндексировано ${indexedFiles.length} файлов`);
+      logger.info(`Сканирование проекта ${this.projectId} завершено (${changes.mode === 'incremental' ? 'инкрементально' : 'полностью'}). Проиндексировано ${indexedFiles.length} файлов`);
       
       return indexedFiles;
     } catch (error) {
@@ -118,6 +143,45 @@ class CodeParser {
     }
   }
 
+  /**
+   * Формирует описания файлов по относительным путям (как scanDirectory)
+   * Игнорируемые, неподдерживаемые и отсутствующие на диске файлы пропускаются
+   * @param {Array<string>} relativePaths - Относительные пути файлов
+   * @returns {Promise<Array>} - Список файлов
+   */
+  async describeFiles(relativePaths) {
+    const results = [];
+    
+    for (const relativePath of relativePaths) {
+      const extension = path.extname(relativePath).slice(1).toLowerCase();
+      
+      if (this.shouldIgnore(relativePath) || !this.fileTypes[extension]) {
+        continue;
+      }
+      
+      const fullPath = path.join(this.projectPath, relativePath);
+      
+      try {
+        const stats = await fs.stat(fullPath);
+        
+        if (!stats.isFile()) {
+          continue;
+        }
+      } catch (error) {
+        continue;
+      }
+      
+      results.push({
+        fullPath,
+        relativePath,
+        extension,
+        type: this.fileTypes[extension]
+      });
+    }
+    
+    return results;
+  }
+
   /**
    * Проверяет, нужно ли игнорировать файл или директорию
    * @param {string} relativePath - Относительный путь к файлу или директории
@@ -129,10 +193,15 @@ class CodeParser {
 
   /**
    * Индексирует файлы в базе данных
+   * У новых и изменившихся файлов сбрасывается last_analyzed - такие файлы
+   * заново разбираются и получают эмбеддинги при индексации кода
    * @param {Array} files - Список файлов для индексации
+   * @param {Object} [options={}] - Опции
+   * @param {Array<string>} [options.deletedPaths] - Удаленные файлы (инкрементальный режим).
+   * Если не указаны, удаляются все файлы, отсутствующие в списке
    * @returns {Promise<Array>} - Список проиндексированных файлов с ID
    */
-  async indexFiles(files) {
+  async indexFiles(files, options = {}) {
     try {
       logger.info(`Индексация ${files.length} файлов для проекта ${this.projectId}`);
       
@@ -170,7 +239,7 @@ class CodeParser {
               if (existingFile.file_hash !== fileHash) {
                 // Файл изменился, обновляем информацию
                 await connection.query(
-                  'UPDATE project_files SET file_hash = ?, updated_at = NOW() WHERE id = ?',
+                  'UPDATE project_files SET file_hash = ?, last_analyzed = NULL, updated_at = NOW() WHERE id = ?',
                   [fileHash, existingFile.id]
                 );
                 
@@ -210,9 +279,11 @@ class CodeParser {
         }
         
         // Удаляем файлы, которых больше нет
-        const currentFilePaths = files.map(file => file.relativePath);
-        const filesToDelete = existingFiles.filter(file => 
-          !currentFilePaths.includes(file.file_path)
+        const currentFilePaths = new Set(files.map(file => file.relativePath));
+        const deletedPaths = options.deletedPaths ? new Set(options.deletedPaths) : null;
+        const filesToDelete = existingFiles.filter(file => deletedPaths
+          ? deletedPaths.has(file.file_path)
+          : !currentFilePaths.has(file.file_path)
         );
         
         if (filesToDelete.length > 0) {
@@ -285,11 +356,15 @@ class CodeParser {
       switch (fileType) {
         case 'javascript':
         case 'typescript':
-          return await this.parseJSFile(fileId, content);
+          return await this.parseJSFile(fileId, content, filePath, fileType);
         case 'json':
           return await this.parseJSONFile(fileId, content);
         case 'sql':
           return await this.parseSQLFile(fileId, content);
+        case 'python':
+        case 'go':
+        case 'java':
+          return await this.parseSourceFile(fileId, content, filePath, fileType);
         default:
           // Для других типов просто возвращаем базовую информацию
           return {
@@ -312,69 +387,84 @@ class CodeParser {
   }
 
   /**
-   * Парсит JavaScript/TypeScript файл и извлекает структурную информацию
+   * Парсит JavaScript/TypeScript файл и извлекает структурную информацию по AST
+   * (см. JSAstExtractor): импорты, экспорты, символы с диапазонами и JSDoc, места вызовов
    * @param {number} fileId - ID файла
    * @param {string} content - Содержимое файла
+   * @param {string} [filePath] - Путь к файлу (определяет настройки TypeScript/JSX)
+   * @param {string} [fileType='javascript'] - Тип файла
    * @returns {Promise<Object>} - Структурная информация о файле
    */
-  async parseJSFile(fileId, content) {
-    // В реальном проекте здесь должен быть полноценный парсинг с использованием
-    // таких библиотек, как acorn, esprima или babel-parser
+  async parseJSFile(fileId, content, filePath = null, fileType = 'javascript') {
+    const { imports, exports, symbols, calls, errors } = this.astExtractor.extract(content, { filePath, fileType });
     
-    // Простое извлечение импортов, экспортов, функций и классов через регулярные выражения
-    const imports = [];
-    const exports = [];
-    const functions = [];
-    const classes = [];
-    
-    // Поиск импортов
-    const importRegex = /import\s+(?:(?:{[\s\w,]+})|(?:[\w*]+))\s+from\s+['"]([^'"]+)['"]/g;
-    let match;
-    while ((match = importRegex.exec(content)) !== null) {
-      imports.push({
-        source: match[1],
-        line: this.getLineNumber(content, match.index)
-      });
+    if (errors.length > 0) {
+      logger.debug(`Файл ${filePath || fileId} разобран с ошибками: ${errors.join('; ')}`);
     }
     
-    // Поиск экспортов
-    const exportRegex = /export\s+(?:default\s+)?(?:function|const|class|let|var)\s+(\w+)/g;
-    while ((match = exportRegex.exec(content)) !== null) {
-      exports.push({
-        name: match[1],
-        line: this.getLineNumber(content, match.index)
-      });
-    }
-    
-    // Поиск функций
-    const functionRegex = /(?:function|const|let|var)\s+(\w+)\s*\(([^)]*)\)/g;
-    while ((match = functionRegex.exec(content)) !== null) {
-      functions.push({
-        name: match[1],
-        params: match[2],
-        line: this.getLineNumber(content, match.index)
-      });
+    return {
+      fileId,
+      fileType,
+      structure: this.buildStructure({ imports, exports, symbols, calls }),
+      ...(errors.length > 0 && { parseErrors: errors })
+    };
+  }
+
+  /**
+   * Парсит файл на Python, Go или Java и извлекает структурную информацию
+   * в том же формате, что и для JavaScript (см. language-extractors)
+   * @param {number} fileId - ID файла
+   * @param {string} content - Содержимое файла
+   * @param {string} filePath - Путь к файлу
+   * @param {string} fileType - Тип файла (python, go, java)
+   * @returns {Promise<Object>} - Структурная информация о файле
+   */
+  async parseSourceFile(fileId, content, filePath, fileType) {
+    if (!hasLanguageExtractor(fileType)) {
+      return { fileId, fileType, structure: {} };
     }
     
-    // Поиск классов
-    const classRegex = /class\s+(\w+)(?:\s+extends\s+(\w+))?/g;
-    while ((match = classRegex.exec(content)) !== null) {
-      classes.push({
-        name: match[1],
-        extends: match[2] || null,
-        line: this.getLineNumber(content, match.index)
-      });
-    }
+    const { imports, exports, symbols, calls } = getLanguageExtractor(fileType).extract(content, { filePath });
     
     return {
       fileId,
-      fileType: 'javascript',
-      structure: {
-        imports,
-        exports,
-        functions,
-        classes
-      }
+      fileType,
+      structure: this.buildStructure({ imports, exports, symbols, calls })
+    };
+  }
+
+  /**
+   * Формирует структуру файла по извлеченным символам
+   * Поля functions и classes сохранены для совместимости с прежним форматом;
+   * в classes попадают и структуры Go
+   * @param {Object} extracted - { imports, exports, symbols, calls }
+   * @returns {Object} - Структура { imports, exports, functions, classes, symbols, calls }
+   */
+  buildStructure({ imports, exports, symbols, calls }) {
+    const functions = symbols
+      .filter(symbol => symbol.kind === 'function' || symbol.kind === 'method')
+      .map(symbol => ({
+        name: symbol.qualifiedName,
+        params: symbol.params.join(', '),
+        line: symbol.loc.start.line
+      }));
+    
+    const classes = symbols
+      .filter(symbol => (symbol.kind === 'class' || symbol.kind === 'struct') && !symbol.parent)
+      .map(symbol => ({
+        name: symbol.name,
+        kind: symbol.kind,
+        extends: symbol.extends || null,
+        line: symbol.loc.start.line
+      }));
+    
+    return {
+      imports,
+      exports,
+      functions,
+      classes,
+      symbols,
+      calls
     };
   }
 
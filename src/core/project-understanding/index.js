@@ -1,8 +1,9 @@
 // src/core/project-understanding/index.js
 
-const CodeParser = require('./code-parser');
 const CodeIndexer = require('./code-indexer');
+const SymbolGraph = require('./symbol-graph');
 const SchemaAnalyzer = require('./schema-analyzer');
+const ArchitectureAnalyzer = require('./architecture-analyzer');
 const logger = require('../../utils/logger');
 const { pool } = require('../../config/db.config');
 const path = require('path');
@@ -30,29 +31,31 @@ class ProjectUnderstanding {
       // Создаем рабочую директорию, если она не существует
       await fs.mkdir(this.workingDir, { recursive: true });
       
-      // Инициализируем парсер кода
-      const codeParser = new CodeParser(this.workingDir, this.projectId);
+      // Сканируем файлы проекта и индексируем код для векторного поиска
+      // (повторно обрабатываются только файлы, изменившиеся с последней индексации)
+      const codeIndexer = new CodeIndexer(this.projectId);
+      const indexResult = await codeIndexer.indexProject(this.workingDir);
       
-      // Сканируем и индексируем файлы проекта
-      const files = await codeParser.scanAndIndexProject();
+      logger.info(`Проект #${this.projectId}: просканировано ${indexResult.scanned}, проиндексировано ${indexResult.indexed} файлов (${indexResult.mode})`);
       
-      logger.info(`Найдено ${files.length} файлов в проекте #${this.projectId}`);
+      // Строим граф символов для анализа зависимостей и влияния изменений
+      const symbolGraph = new SymbolGraph(this.projectId);
+      await symbolGraph.build(this.workingDir);
       
-      // Индексируем код для векторного поиска
-      const codeIndexer = new CodeIndexer(this.projectId);
-      await codeIndexer.indexProject(this.workingDir);
-      
-      // Анализируем схему БД проекта
-      // В реальной реализации здесь должна быть логика для получения конфигурации БД проекта
-      const dbConfig = {
-        host: 'localhost',
-        user: 'root',
-        password: 'password',
-        database: 'biz360_crm'
-      };
+      // Обновляем сводку архитектуры (новая версия - только если соглашения изменились)
+      try {
+        await this.analyzeArchitecture();
+      } catch (error) {
+        logger.warn(`Архитектура проекта #${this.projectId} не проанализирована: ${error.message}`);
+      }
       
-      const schemaAnalyzer = new SchemaAnalyzer(dbConfig);
-      await schemaAnalyzer.analyzeSchema();
+      // Анализируем схему БД проекта (источник - настройка проекта schema_source,
+      // без нее - миграции и модели из репозитория). Ошибка схемы не прерывает анализ кода
+      try {
+        await this.analyzeSchema();
+      } catch (error) {
+        logger.warn(`Схема БД проекта #${this.projectId} не проанализирована: ${error.message}`);
+      }
       
       // Обновляем статус анализа проекта
       await this.updateProjectAnalysisStatus();
@@ -64,6 +67,41 @@ class ProjectUnderstanding {
     }
   }
 
+  /**
+   * Анализирует схему БД проекта и сохраняет ее в БД ассистента
+   * @param {Object} [source] - Источник схемы (по умолчанию - настройка проекта schema_source)
+   * @returns {Promise<Object|null>} - Модель схемы БД или null, если источник схемы не найден
+   */
+  async analyzeSchema(source) {
+    const schemaAnalyzer = new SchemaAnalyzer(this.projectId, {
+      projectPath: this.workingDir,
+      source
+    });
+    
+    return schemaAnalyzer.analyzeSchema();
+  }
+
+  /**
+   * Определяет архитектуру проекта по проиндексированному коду и сохраняет новую версию сводки
+   * @returns {Promise<Object>} - { version, summary, hash, filesAnalyzed, changed }
+   */
+  async analyzeArchitecture() {
+    const architectureAnalyzer = new ArchitectureAnalyzer(this.projectId);
+    
+    return architectureAnalyzer.refresh(this.workingDir);
+  }
+
+  /**
+   * Проверяет изменения на соответствие архитектуре проекта
+   * @param {Array<Object>} changes - Измененные файлы { path, content }
+   * @returns {Promise<Object>} - { version, violations } (см. ArchitectureAnalyzer.detectDrift)
+   */
+  async detectArchitectureDrift(changes) {
+    const architectureAnalyzer = new ArchitectureAnalyzer(this.projectId);
+    
+    return architectureAnalyzer.detectDrift(changes);
+  }
+
   /**
    * Обновляет статус анализа проекта
    * @returns {Promise<void>}
@@ -110,12 +148,14 @@ class ProjectUnderstanding {
       
       // Получаем информацию о таблицах БД
       const [tables] = await connection.query(
-        'SELECT * FROM schema_tables'
+        'SELECT * FROM schema_tables WHERE project_id = ?',
+        [this.projectId]
       );
       
       // Получаем информацию о связях между таблицами
       const [relations] = await connection.query(
-        'SELECT * FROM schema_relations'
+        'SELECT * FROM schema_relations WHERE project_id = ?',
+        [this.projectId]
       );
       
       connection.release();
@@ -136,15 +176,15 @@ class ProjectUnderstanding {
   /**
    * Ищет релевантные файлы по запросу
    * @param {string} query - Запрос для поиска
-   * @param {number} limit - Максимальное количество результатов
+   * @param {number|Object} options - Максимальное количество результатов или опции поиска (см. CodeIndexer.searchSimilarCode)
    * @returns {Promise<Array>} - Массив найденных файлов
    */
-  async searchRelevantFiles(query, limit = 5) {
+  async searchRelevantFiles(query, options = 5) {
     try {
       const codeIndexer = new CodeIndexer(this.projectId);
       
       // Ищем похожий код по запросу
-      const results = await codeIndexer.searchSimilarCode(query, limit);
+      const results = await codeIndexer.searchSimilarCode(query, options);
       
       return results;
     } catch (error) {
@@ -154,16 +194,27 @@ class ProjectUnderstanding {
   }
 
   /**
-   * Получает граф зависимостей файлов
-   * @returns {Promise<Object>} - Граф зависимостей
+   * Получает граф зависимостей проекта
+   * @param {Object} [options={}] - Опции (см. SymbolGraph.getGraph)
+   * @param {string} [options.level='file'] - 'file' - связи между файлами, 'symbol' - между символами
+   * @returns {Promise<Object>} - Граф зависимостей { nodes, edges }
+   */
+  async getDependencyGraph(options = {}) {
+    const symbolGraph = new SymbolGraph(this.projectId);
+    
+    return await symbolGraph.getGraph(options);
+  }
+
+  /**
+   * Определяет файлы, модули, маршруты и тесты, затронутые изменениями
+   * @param {Object} changes - { files, symbols } (см. SymbolGraph.analyzeImpact)
+   * @param {Object} [options={}] - Опции анализа
+   * @returns {Promise<Object>} - Результат анализа влияния
    */
-  async getDependencyGraph() {
-    // В реальной системе здесь должна быть сложная логика анализа зависимостей
-    // Возвращаем заглушку
-    return {
-      nodes: [],
-      edges: []
-    };
+  async analyzeImpact(changes, options = {}) {
+    const symbolGraph = new SymbolGraph(this.projectId);
+    
+    return await symbolGraph.analyzeImpact(changes, options);
   }
 }
 
@@ -0,0 +1,765 @@
+// src/core/project-understanding/js-ast-extractor.js
+
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const path = require('path');
+
+/**
+ * Плагины парсера, общие для JavaScript и TypeScript
+ */
+const COMMON_PLUGINS = ['decorators-legacy', 'classProperties', 'dynamicImport', 'exportDefaultFrom'];
+
+/**
+ * Расширения файлов TypeScript
+ */
+const TYPESCRIPT_EXTENSIONS = ['.ts', '.tsx', '.mts', '.cts'];
+
+/**
+ * Класс для извлечения символов из JavaScript/TypeScript кода по AST
+ * Извлекает импорты (import, require, import()), экспорты (ES и CommonJS),
+ * объявления с точными диапазонами и JSDoc, методы классов и места вызовов
+ */
+class JSAstExtractor {
+  /**
+   * Формирует настройки парсера для файла
+   * TypeScript включается по расширению (или по типу файла, если путь неизвестен),
+   * JSX - для JavaScript и .tsx (в .ts синтаксис <T>value конфликтует с JSX)
+   * @param {Object} [options={}] - Опции
+   * @param {string} [options.filePath] - Путь к файлу
+   * @param {string} [options.fileType] - Тип файла ('javascript' или 'typescript')
+   * @returns {Object} - Опции @babel/parser
+   */
+  getParserOptions({ filePath, fileType } = {}) {
+    const extension = filePath ? path.extname(filePath).toLowerCase() : '';
+    const typescript = extension
+      ? TYPESCRIPT_EXTENSIONS.includes(extension)
+      : fileType === 'typescript';
+    const jsx = !typescript || extension === '.tsx';
+
+    return {
+      sourceType: 'unambiguous',
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+      allowAwaitOutsideFunction: true,
+      plugins: [
+        ...(typescript ? ['typescript'] : []),
+        ...(jsx ? ['jsx'] : []),
+        ...COMMON_PLUGINS
+      ]
+    };
+  }
+
+  /**
+   * Извлекает структуру файла
+   * @param {string} content - Содержимое файла
+   * @param {Object} [options={}] - { filePath, fileType }
+   * @returns {Object} - { imports, exports, symbols, calls, units, errors }
+   * @throws {SyntaxError} - Если файл не удалось разобрать даже с восстановлением после ошибок
+   */
+  extract(content, options = {}) {
+    const ast = parser.parse(content, this.getParserOptions(options));
+
+    const result = {
+      imports: [],
+      exports: [],
+      symbols: [],
+      calls: [],
+      // Верхнеуровневые инструкции с ролью (import, symbol, statement) для сегментации
+      units: [],
+      errors: (ast.errors || []).map(error => error.message)
+    };
+
+    for (const statement of ast.program.body) {
+      this._collectStatement(statement, content, result);
+    }
+
+    this._markExportedSymbols(result);
+    this._collectCallsAndRequires(ast, content, result);
+
+    return result;
+  }
+
+  /**
+   * Разбивает файл на сегменты уровня символов для индексации
+   * Каждое объявление (функция, переменная, тип, метод класса) - отдельный сегмент
+   * вместе с JSDoc; у классов с методами отдельный сегмент получает заголовок класса
+   * с полями. Подряд идущие импорты и прочие инструкции объединяются
+   * @param {string} content - Содержимое файла
+   * @param {Object} [options={}] - { filePath, fileType }
+   * @returns {Array<Object>} - Сегменты { content, start, end, name, kind }
+   */
+  segment(content, options = {}) {
+    const { units, symbols } = this.extract(content, options);
+    const segments = [];
+    let group = null;
+
+    const flushGroup = () => {
+      if (group) {
+        segments.push(this._createSegment(content, group.start, group.end, null, group.kind));
+        group = null;
+      }
+    };
+
+    for (const unit of units) {
+      if (unit.role !== 'symbol') {
+        const kind = unit.role === 'import' ? 'imports' : 'module';
+
+        if (group && group.kind === kind) {
+          group.end = unit.end;
+        } else {
+          flushGroup();
+          group = { kind, start: unit.start, end: unit.end };
+        }
+
+        continue;
+      }
+
+      flushGroup();
+
+      const unitSymbols = symbols.filter(symbol => !symbol.parent && unit.symbols.includes(symbol.name));
+      const classSymbol = unitSymbols.length === 1 && unitSymbols[0].kind === 'class' ? unitSymbols[0] : null;
+      const methods = classSymbol ? symbols.filter(symbol => symbol.parent === classSymbol.name) : [];
+
+      if (methods.length === 0) {
+        segments.push(this._createSegment(
+          content,
+          unit.start,
+          unit.end,
+          unitSymbols.map(symbol => symbol.name).join(', '),
+          unitSymbols[0].kind
+        ));
+        continue;
+      }
+
+      // Заголовок класса (объявление, поля) до первого метода
+      const headerEnd = this._trimEnd(content, methods[0].docRange[0]);
+
+      if (headerEnd > unit.start) {
+        segments.push(this._createSegment(content, unit.start, headerEnd, classSymbol.name, 'class'));
+      }
+
+      for (const method of methods) {
+        segments.push(this._createSegment(content, method.docRange[0], method.range[1], method.qualifiedName, method.kind));
+      }
+    }
+
+    flushGroup();
+
+    return segments;
+  }
+
+  /**
+   * Разбирает верхнеуровневую инструкцию
+   * @param {Object} statement - Узел AST
+   * @param {string} content - Содержимое файла
+   * @param {Object} result - Накапливаемый результат
+   * @private
+   */
+  _collectStatement(statement, content, result) {
+    const unit = {
+      role: 'statement',
+      start: this._getDocStart(statement),
+      end: statement.end,
+      symbols: []
+    };
+
+    const addSymbols = (symbols) => {
+      if (symbols.length > 0) {
+        unit.role = 'symbol';
+        unit.symbols.push(...symbols.filter(symbol => !symbol.parent).map(symbol => symbol.name));
+        result.symbols.push(...symbols);
+      }
+    };
+
+    switch (statement.type) {
+      case 'ImportDeclaration':
+        unit.role = 'import';
+        result.imports.push({
+          source: statement.source.value,
+          kind: 'import',
+          typeOnly: statement.importKind === 'type',
+          specifiers: statement.specifiers.map(specifier => ({
+            imported: specifier.type === 'ImportDefaultSpecifier' ? 'default'
+              : specifier.type === 'ImportNamespaceSpecifier' ? '*'
+                : this._getKeyName(specifier.imported, content),
+            local: specifier.local.name
+          })),
+          line: statement.loc.start.line
+        });
+        break;
+
+      case 'ExportNamedDeclaration':
+        if (statement.declaration) {
+          const symbols = this._collectDeclaration(statement.declaration, content, statement);
+
+          addSymbols(symbols);
+
+          for (const symbol of symbols.filter(item => !item.parent)) {
+            result.exports.push({ name: symbol.name, local: symbol.name, source: null, line: symbol.loc.start.line });
+          }
+        }
+
+        for (const specifier of statement.specifiers || []) {
+          result.exports.push({
+            name: this._getKeyName(specifier.exported, content),
+            local: specifier.local ? this._getKeyName(specifier.local, content) : null,
+            source: statement.source ? statement.source.value : null,
+            line: statement.loc.start.line
+          });
+        }
+
+        if (statement.source) {
+          unit.role = 'import';
+          result.imports.push({
+            source: statement.source.value,
+            kind: 'reexport',
+            typeOnly: statement.exportKind === 'type',
+            specifiers: [],
+            line: statement.loc.start.line
+          });
+        }
+        break;
+
+      case 'ExportDefaultDeclaration': {
+        const declaration = statement.declaration;
+        const symbols = this._collectDeclaration(declaration, content, statement, 'default');
+
+        addSymbols(symbols);
+        result.exports.push({
+          name: 'default',
+          local: symbols.length > 0 ? symbols[0].name
+            : declaration.type === 'Identifier' ? declaration.name : null,
+          source: null,
+          line: statement.loc.start.line
+        });
+        break;
+      }
+
+      case 'ExportAllDeclaration':
+        unit.role = 'import';
+        result.imports.push({
+          source: statement.source.value,
+          kind: 'reexport',
+          typeOnly: statement.exportKind === 'type',
+          specifiers: [],
+          line: statement.loc.start.line
+        });
+        result.exports.push({
+          name: statement.exported ? this._getKeyName(statement.exported, content) : '*',
+          local: null,
+          source: statement.source.value,
+          line: statement.loc.start.line
+        });
+        break;
+
+      case 'ExpressionStatement':
+        addSymbols(this._collectCommonJSExport(statement, content, result));
+        break;
+
+      case 'VariableDeclaration':
+        if (statement.declarations.every(declarator => this._isRequireInit(declarator.init))) {
+          unit.role = 'import';
+          break;
+        }
+
+        addSymbols(this._collectDeclaration(statement, content, statement));
+        break;
+
+      default:
+        addSymbols(this._collectDeclaration(statement, content, statement));
+    }
+
+    result.units.push(unit);
+  }
+
+  /**
+   * Создает символы объявления
+   * @param {Object} node - Узел объявления
+   * @param {string} content - Содержимое файла
+   * @param {Object} outer - Внешний узел (export или сама инструкция) - определяет диапазон и JSDoc
+   * @param {string} [defaultName] - Имя для анонимного объявления
+   * @returns {Array<Object>} - Символы (для классов - вместе с методами)
+   * @private
+   */
+  _collectDeclaration(node, content, outer, defaultName) {
+    switch (node.type) {
+      case 'FunctionDeclaration':
+      case 'TSDeclareFunction':
+        return [this._createSymbol(node.id ? node.id.name : defaultName, 'function', node, outer, content)];
+
+      case 'ClassDeclaration':
+        return this._collectClass(node, node.id ? node.id.name : defaultName, outer, content);
+
+      case 'TSInterfaceDeclaration':
+        return [this._createSymbol(node.id.name, 'interface', node, outer, content)];
+
+      case 'TSTypeAliasDeclaration':
+        return [this._createSymbol(node.id.name, 'type', node, outer, content)];
+
+      case 'TSEnumDeclaration':
+        return [this._createSymbol(node.id.name, 'enum', node, outer, content)];
+
+      case 'VariableDeclaration': {
+        const single = node.declarations.length === 1;
+        const symbols = [];
+
+        for (const declarator of node.declarations) {
+          if (declarator.id.type !== 'Identifier' || this._isRequireInit(declarator.init)) {
+            continue;
+          }
+
+          const range = single ? outer : declarator;
+          const init = declarator.init;
+
+          if (init && init.type === 'ClassExpression') {
+            symbols.push(...this._collectClass(init, declarator.id.name, range, content));
+          } else if (init && (init.type === 'ArrowFunctionExpression' || init.type === 'FunctionExpression')) {
+            symbols.push(this._createSymbol(declarator.id.name, 'function', init, range, content));
+          } else {
+            symbols.push(this._createSymbol(declarator.id.name, 'variable', declarator, range, content));
+          }
+        }
+
+        return symbols;
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Создает символы класса и его методов
+   * @param {Object} node - Узел класса
+   * @param {string} name - Имя класса
+   * @param {Object} outer - Внешний узел
+   * @param {string} content - Содержимое файла
+   * @returns {Array<Object>} - Символ класса и символы методов
+   * @private
+   */
+  _collectClass(node, name, outer, content) {
+    const classSymbol = this._createSymbol(name, 'class', node, outer, content);
+    const symbols = [classSymbol];
+
+    classSymbol.extends = node.superClass ? content.slice(node.superClass.start, node.superClass.end) : null;
+
+    for (const member of node.body.body) {
+      const isMethod = member.type === 'ClassMethod' || member.type === 'ClassPrivateMethod';
+      const isFunctionProperty = (member.type === 'ClassProperty' || member.type === 'ClassPrivateProperty') &&
+        member.value && ['ArrowFunctionExpression', 'FunctionExpression'].includes(member.value.type);
+
+      if (!isMethod && !isFunctionProperty) {
+        continue;
+      }
+
+      const method = this._createSymbol(
+        this._getKeyName(member.key, content, member.computed),
+        'method',
+        isMethod ? member : member.value,
+        member,
+        content,
+        name
+      );
+
+      method.static = !!member.static;
+      method.methodKind = isMethod ? member.kind : 'method';
+
+      symbols.push(method);
+    }
+
+    return symbols;
+  }
+
+  /**
+   * Разбирает экспорт CommonJS (module.exports = ..., exports.name = ...)
+   * @param {Object} statement - Инструкция-выражение
+   * @param {string} content - Содержимое файла
+   * @param {Object} result - Накапливаемый результат
+   * @returns {Array<Object>} - Символы, объявленные в присваивании
+   * @private
+   */
+  _collectCommonJSExport(statement, content, result) {
+    const expression = statement.expression;
+
+    if (expression.type !== 'AssignmentExpression' || expression.operator !== '=') {
+      return [];
+    }
+
+    const target = this._getMemberPath(expression.left);
+    const line = statement.loc.start.line;
+    const value = expression.right;
+    let exportName;
+
+    if (target === 'module.exports') {
+      exportName = 'default';
+    } else if (target && /^(module\.)?exports\.[\w$]+$/.test(target)) {
+      exportName = target.split('.').pop();
+    } else {
+      return [];
+    }
+
+    // module.exports = { a, b: c }
+    if (exportName === 'default' && value.type === 'ObjectExpression') {
+      for (const property of value.properties) {
+        if (property.type === 'ObjectProperty' || property.type === 'ObjectMethod') {
+          result.exports.push({
+            name: this._getKeyName(property.key, content, property.computed),
+            local: property.type === 'ObjectProperty' && property.value.type === 'Identifier' ? property.value.name : null,
+            source: null,
+            line
+          });
+        }
+      }
+
+      return [];
+    }
+
+    let symbols = [];
+
+    if (value.type === 'ClassExpression') {
+      symbols = this._collectClass(value, value.id ? value.id.name : exportName, statement, content);
+    } else if (value.type === 'ArrowFunctionExpression' || value.type === 'FunctionExpression') {
+      symbols = [this._createSymbol(value.id ? value.id.name : exportName, 'function', value, statement, content)];
+    }
+
+    // module.exports = new Service() - экспорт экземпляра класса (синглтон)
+    const instanceOf = value.type === 'NewExpression' && value.callee.type === 'Identifier' ? value.callee.name : null;
+
+    result.exports.push({
+      name: exportName,
+      local: symbols.length > 0 ? symbols[0].name : value.type === 'Identifier' ? value.name : instanceOf,
+      source: null,
+      line
+    });
+
+    return symbols;
+  }
+
+  /**
+   * Отмечает экспортируемые символы верхнего уровня
+   * @param {Object} result - Накапливаемый результат
+   * @private
+   */
+  _markExportedSymbols(result) {
+    const exported = new Map(
+      result.exports
+        .filter(item => item.local && !item.source)
+        .map(item => [item.local, item.name])
+    );
+
+    for (const symbol of result.symbols) {
+      if (!symbol.parent && exported.has(symbol.name)) {
+        symbol.exported = true;
+        symbol.exportedAs = exported.get(symbol.name);
+      }
+    }
+  }
+
+  /**
+   * Собирает места вызовов и импорты через require/import()
+   * Вызов относится к самому вложенному символу, в диапазоне которого он находится
+   * @param {Object} ast - AST файла
+   * @param {string} content - Содержимое файла
+   * @param {Object} result - Накапливаемый результат
+   * @private
+   */
+  _collectCallsAndRequires(ast, content, result) {
+    const findCaller = (position) => {
+      let caller = null;
+
+      for (const symbol of result.symbols) {
+        if (symbol.range[0] <= position && position < symbol.range[1] &&
+            (!caller || symbol.range[1] - symbol.range[0] < caller.range[1] - caller.range[0])) {
+          caller = symbol;
+        }
+      }
+
+      return caller;
+    };
+
+    const visitCall = (callPath) => {
+      const node = callPath.node;
+      const firstArgument = node.arguments[0];
+
+      // require('module') и import('module')
+      if ((node.callee.type === 'Identifier' && node.callee.name === 'require') || node.callee.type === 'Import') {
+        if (firstArgument && firstArgument.type === 'StringLiteral') {
+          result.imports.push({
+            source: firstArgument.value,
+            kind: node.callee.type === 'Import' ? 'dynamic' : 'require',
+            typeOnly: false,
+            specifiers: this._getRequireSpecifiers(callPath, content),
+            line: node.loc.start.line
+          });
+        }
+
+        return;
+      }
+
+      const callee = this._getCalleeName(node.callee);
+
+      if (!callee) {
+        return;
+      }
+
+      const caller = findCaller(node.start);
+
+      result.calls.push({
+        callee,
+        caller: caller ? caller.qualifiedName : null,
+        isNew: node.type === 'NewExpression',
+        line: node.loc.start.line,
+        column: node.loc.start.column
+      });
+
+      if (caller && !caller.calls.includes(callee)) {
+        caller.calls.push(callee);
+      }
+    };
+
+    traverse(ast, {
+      CallExpression: visitCall,
+      OptionalCallExpression: visitCall,
+      NewExpression: visitCall
+    });
+  }
+
+  /**
+   * Определяет импортированные через require имена по месту присваивания
+   * @param {Object} callPath - Путь вызова require
+   * @param {string} content - Содержимое файла
+   * @returns {Array<Object>} - Спецификаторы { imported, local }
+   * @private
+   */
+  _getRequireSpecifiers(callPath, content) {
+    const parent = callPath.parent;
+
+    if (parent.type !== 'VariableDeclarator' || parent.init !== callPath.node) {
+      return [];
+    }
+
+    if (parent.id.type === 'Identifier') {
+      return [{ imported: '*', local: parent.id.name }];
+    }
+
+    if (parent.id.type === 'ObjectPattern') {
+      return parent.id.properties
+        .filter(property => property.type === 'ObjectProperty')
+        .map(property => ({
+          imported: this._getKeyName(property.key, content, property.computed),
+          local: property.value.type === 'Identifier'
+            ? property.value.name
+            : property.value.type === 'AssignmentPattern' && property.value.left.type === 'Identifier'
+              ? property.value.left.name
+              : null
+        }));
+    }
+
+    return [];
+  }
+
+  /**
+   * Создает описание символа
+   * @param {string} name - Имя символа
+   * @param {string} kind - Вид символа (function, class, method, variable, interface, type, enum)
+   * @param {Object} node - Узел объявления (для функций - узел функции)
+   * @param {Object} outer - Узел, определяющий диапазон символа и JSDoc
+   * @param {string} content - Содержимое файла
+   * @param {string} [parent] - Имя класса для методов
+   * @returns {Object} - Символ
+   * @private
+   */
+  _createSymbol(name, kind, node, outer, content, parent = null) {
+    const jsdoc = this._getJSDoc(outer) || (node !== outer ? this._getJSDoc(node) : null);
+    const isFunction = ['function', 'method'].includes(kind);
+
+    return {
+      name,
+      qualifiedName: parent ? `${parent}.${name}` : name,
+      kind,
+      parent,
+      exported: false,
+      async: isFunction ? !!node.async : false,
+      params: isFunction && node.params
+        ? node.params.map(param => content.slice(param.start, param.end))
+        : [],
+      loc: {
+        start: { line: outer.loc.start.line, column: outer.loc.start.column },
+        end: { line: outer.loc.end.line, column: outer.loc.end.column }
+      },
+      range: [outer.start, outer.end],
+      // Диапазон вместе с JSDoc - используется для сегментации
+      docRange: [jsdoc ? jsdoc.start : outer.start, outer.end],
+      jsdoc: jsdoc ? jsdoc.text : null,
+      calls: []
+    };
+  }
+
+  /**
+   * Возвращает JSDoc-комментарий, непосредственно предшествующий узлу
+   * @param {Object} node - Узел AST
+   * @returns {Object|null} - { text, start } или null
+   * @private
+   */
+  _getJSDoc(node) {
+    const comments = (node.leadingComments || [])
+      .filter(comment => comment.type === 'CommentBlock' && comment.value.startsWith('*'));
+
+    if (comments.length === 0) {
+      return null;
+    }
+
+    const comment = comments[comments.length - 1];
+
+    return { text: `/*${comment.value}*/`, start: comment.start };
+  }
+
+  /**
+   * Возвращает начало инструкции с учетом JSDoc
+   * @param {Object} node - Узел AST
+   * @returns {number} - Смещение начала
+   * @private
+   */
+  _getDocStart(node) {
+    const jsdoc = this._getJSDoc(node);
+    return jsdoc ? jsdoc.start : node.start;
+  }
+
+  /**
+   * Возвращает имя вызываемой функции (foo, this.service.save, super)
+   * @param {Object} node - Узел callee
+   * @returns {string|null} - Имя или null для вычисляемых вызовов
+   * @private
+   */
+  _getCalleeName(node) {
+    switch (node.type) {
+      case 'Identifier':
+        return node.name;
+      case 'ThisExpression':
+        return 'this';
+      case 'Super':
+        return 'super';
+      case 'MemberExpression':
+      case 'OptionalMemberExpression': {
+        const object = node.object.type === 'CallExpression' || node.object.type === 'OptionalCallExpression'
+          ? (this._getCalleeName(node.object.callee) && `${this._getCalleeName(node.object.callee)}()`)
+          : this._getCalleeName(node.object);
+
+        let property = null;
+
+        if (!node.computed && node.property.type === 'Identifier') {
+          property = node.property.name;
+        } else if (node.property.type === 'PrivateName') {
+          property = `#${node.property.id.name}`;
+        } else if (node.property.type === 'StringLiteral') {
+          property = node.property.value;
+        }
+
+        return object && property ? `${object}.${property}` : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Возвращает путь выражения доступа к свойству (module.exports.name)
+   * @param {Object} node - Узел выражения
+   * @returns {string|null} - Путь или null
+   * @private
+   */
+  _getMemberPath(node) {
+    if (node.type === 'Identifier') {
+      return node.name;
+    }
+
+    if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+      const object = this._getMemberPath(node.object);
+      return object ? `${object}.${node.property.name}` : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Возвращает имя ключа (идентификатор, строка, приватное или вычисляемое имя)
+   * @param {Object} key - Узел ключа
+   * @param {string} content - Содержимое файла
+   * @param {boolean} [computed=false] - Вычисляемый ли ключ
+   * @returns {string} - Имя
+   * @private
+   */
+  _getKeyName(key, content, computed = false) {
+    if (computed) {
+      return `[${content.slice(key.start, key.end)}]`;
+    }
+
+    switch (key.type) {
+      case 'Identifier':
+        return key.name;
+      case 'PrivateName':
+        return `#${key.id.name}`;
+      case 'StringLiteral':
+      case 'NumericLiteral':
+        return String(key.value);
+      default:
+        return content.slice(key.start, key.end);
+    }
+  }
+
+  /**
+   * Определяет, является ли инициализатор импортом (require(...), require(...).name, await import(...))
+   * @param {Object} init - Узел инициализатора
+   * @returns {boolean} - true для импорта
+   * @private
+   */
+  _isRequireInit(init) {
+    let node = init;
+
+    while (node && (node.type === 'MemberExpression' || node.type === 'AwaitExpression')) {
+      node = node.type === 'AwaitExpression' ? node.argument : node.object;
+    }
+
+    return !!node && node.type === 'CallExpression' &&
+      ((node.callee.type === 'Identifier' && node.callee.name === 'require') || node.callee.type === 'Import');
+  }
+
+  /**
+   * Возвращает позицию конца текста перед смещением без завершающих пробелов
+   * @param {string} content - Содержимое файла
+   * @param {number} position - Смещение
+   * @returns {number} - Позиция
+   * @private
+   */
+  _trimEnd(content, position) {
+    let end = position;
+
+    while (end > 0 && /\s/.test(content[end - 1])) {
+      end--;
+    }
+
+    return end;
+  }
+
+  /**
+   * Создает сегмент по диапазону смещений
+   * @param {string} content - Содержимое файла
+   * @param {number} start - Смещение начала
+   * @param {number} end - Смещение конца
+   * @param {string|null} name - Имя символа
+   * @param {string} kind - Вид сегмента
+   * @returns {Object} - Сегмент { content, start, end, name, kind }
+   * @private
+   */
+  _createSegment(content, start, end, name, kind) {
+    return {
+      content: content.slice(start, end),
+      start: content.slice(0, start).split('\n').length,
+      end: content.slice(0, end).split('\n').length,
+      name: name || null,
+      kind
+    };
+  }
+}
+
+module.exports = JSAstExtractor;
@@ -0,0 +1,718 @@
+// src/core/project-understanding/language-extractors/base-extractor.js
+
+/**
+ * Парные скобки, учитываемые при поиске концов конструкций
+ */
+const OPENING_BRACKETS = { '(': ')', '[': ']', '{': '}' };
+const CLOSING_BRACKETS = new Set([')', ']', '}']);
+
+/**
+ * Базовый класс извлечения структуры кода на языках без AST-парсера в проекте
+ * Извлеченная структура совпадает по формату с JSAstExtractor:
+ * { imports, exports, symbols, calls, units, errors }, поэтому файлы на этих языках
+ * попадают в те же сегменты code_vectors и в тот же граф символов.
+ * Разбор выполняется по тексту, в котором комментарии и строки заменены пробелами
+ * (смещения и номера строк при этом сохраняются)
+ */
+class BaseLanguageExtractor {
+  /**
+   * @param {string} language - Язык (значение project_files.file_type)
+   */
+  constructor(language) {
+    this.language = language;
+  }
+
+  /**
+   * Расширения файлов языка
+   * @returns {Array<string>}
+   */
+  get extensions() {
+    return [];
+  }
+
+  /**
+   * Правила комментариев и строк для маскирования
+   * @returns {Object} - { lineComment, blockComment: [open, close] | null, quotes: Array<string> }
+   */
+  get syntax() {
+    return { lineComment: '//', blockComment: ['/*', '*/'], quotes: ['"', "'"] };
+  }
+
+  /**
+   * Ключевые слова, которые синтаксически похожи на вызов (if (...), return (...))
+   * @returns {Set<string>}
+   */
+  get keywords() {
+    return new Set();
+  }
+
+  /**
+   * Видны ли символы файла другим файлам той же директории без импорта (пакеты Go и Java)
+   * @returns {boolean}
+   */
+  get sharesPackageScope() {
+    return false;
+  }
+
+  /**
+   * Извлекает структуру файла
+   * @param {string} content - Содержимое файла
+   * @param {Object} [options={}] - { filePath }
+   * @returns {Object} - { imports, exports, symbols, calls, units, errors }
+   */
+  extract(content, options = {}) {
+    const source = this.createSource(content, options);
+
+    const result = {
+      imports: [],
+      exports: [],
+      symbols: [],
+      calls: [],
+      units: [],
+      errors: []
+    };
+
+    this.collect(source, result);
+    this._fillUnitGaps(source, result);
+
+    result.exports = this.collectExports(result);
+
+    for (const symbol of result.symbols) {
+      symbol.exported = this.isExported(symbol);
+    }
+
+    this._collectCalls(source, result);
+
+    return result;
+  }
+
+  /**
+   * Разбирает импорты и объявления файла (реализуется для каждого языка)
+   * Символы добавляются через createSymbol, верхнеуровневые конструкции - в result.units
+   * @param {Object} source - Исходный текст (см. createSource)
+   * @param {Object} result - Накапливаемый результат
+   */
+  collect(source, result) {
+    throw new Error(`Извлечение структуры для языка ${this.language} не реализовано`);
+  }
+
+  /**
+   * Формирует экспорты файла: верхнеуровневые символы, видимые из других файлов
+   * @param {Object} result - Результат разбора
+   * @returns {Array<Object>} - Экспорты { name, local, source, line }
+   */
+  collectExports(result) {
+    return result.symbols
+      .filter(symbol => !symbol.parent && this.isExported(symbol))
+      .map(symbol => ({ name: symbol.name, local: symbol.name, source: null, line: symbol.loc.start.line }));
+  }
+
+  /**
+   * Определяет, виден ли символ из других файлов
+   * @param {Object} symbol - Символ
+   * @returns {boolean}
+   */
+  isExported(symbol) {
+    return !symbol.parent;
+  }
+
+  /**
+   * Разрешает импорт в файлы проекта и локальные имена импортированных значений
+   * @param {string} fromPath - Путь файла с импортом (относительно корня проекта)
+   * @param {Object} entry - Импорт { source, specifiers }
+   * @param {Map|Set} knownPaths - Известные пути файлов проекта
+   * @returns {Object} - { paths, bindings: [{ local, path, imported, paths? }] }
+   */
+  resolveImport(fromPath, entry, knownPaths) {
+    return { paths: [], bindings: [] };
+  }
+
+  /**
+   * Приводит имя вызываемой функции к виду JSAstExtractor (self.save -> this.save)
+   * @param {string} callee - Имя вызываемой функции
+   * @param {Object|null} caller - Вызывающий символ
+   * @returns {string|null} - Имя или null, если вызов нужно пропустить
+   */
+  normalizeCallee(callee, caller) {
+    return callee;
+  }
+
+  /**
+   * Разбивает файл на сегменты уровня символов для индексации
+   * Так же, как JSAstExtractor.segment: у классов с методами отдельный сегмент получает
+   * заголовок класса, каждый метод - свой сегмент; импорты и прочие инструкции объединяются
+   * @param {string} content - Содержимое файла
+   * @param {Object} [options={}] - { filePath }
+   * @returns {Array<Object>} - Сегменты { content, start, end, name, kind }
+   */
+  segment(content, options = {}) {
+    const { units, symbols } = this.extract(content, options);
+    const segments = [];
+    let group = null;
+
+    const flushGroup = () => {
+      if (group) {
+        segments.push(this._createSegment(content, group.start, group.end, null, group.kind));
+        group = null;
+      }
+    };
+
+    for (const unit of units) {
+      if (unit.role !== 'symbol') {
+        const kind = unit.role === 'import' ? 'imports' : 'module';
+
+        if (group && group.kind === kind) {
+          group.end = unit.end;
+        } else {
+          flushGroup();
+          group = { kind, start: unit.start, end: unit.end };
+        }
+
+        continue;
+      }
+
+      flushGroup();
+
+      const unitSymbols = symbols.filter(symbol => unit.symbols.includes(symbol.qualifiedName) &&
+        symbol.docRange[0] >= unit.start && symbol.range[1] <= unit.end);
+      const container = unitSymbols.length === 1 && !unitSymbols[0].parent ? unitSymbols[0] : null;
+      // Методы Go объявляются вне типа, поэтому учитываются только методы внутри конструкции
+      const methods = container
+        ? symbols.filter(symbol => symbol.parent === container.name &&
+          symbol.docRange[0] >= unit.start && symbol.range[1] <= unit.end)
+        : [];
+
+      if (methods.length === 0) {
+        segments.push(this._createSegment(
+          content,
+          unit.start,
+          unit.end,
+          unitSymbols.map(symbol => symbol.qualifiedName).join(', '),
+          unitSymbols.length > 0 ? unitSymbols[0].kind : 'module'
+        ));
+        continue;
+      }
+
+      const headerEnd = this._trimEnd(content, methods[0].docRange[0]);
+
+      if (headerEnd > unit.start) {
+        segments.push(this._createSegment(content, unit.start, headerEnd, container.name, container.kind));
+      }
+
+      for (const method of methods) {
+        segments.push(this._createSegment(content, method.docRange[0], method.range[1], method.qualifiedName, method.kind));
+      }
+    }
+
+    flushGroup();
+
+    return segments;
+  }
+
+  /**
+   * Подготавливает исходный текст к разбору
+   * @param {string} content - Содержимое файла
+   * @param {Object} [options={}] - { filePath }
+   * @returns {Object} - { content, masked, lineStarts, filePath }
+   */
+  createSource(content, options = {}) {
+    const lineStarts = [0];
+
+    for (let i = 0; i < content.length; i++) {
+      if (content[i] === '\n') {
+        lineStarts.push(i + 1);
+      }
+    }
+
+    return {
+      content,
+      masked: this.mask(content),
+      lineStarts,
+      filePath: options.filePath || null
+    };
+  }
+
+  /**
+   * Заменяет комментарии и содержимое строк пробелами (переводы строк и кавычки сохраняются)
+   * @param {string} content - Содержимое файла
+   * @returns {string} - Маскированный текст той же длины
+   */
+  mask(content) {
+    const { lineComment, blockComment, quotes } = this.syntax;
+    // Длинные разделители проверяются раньше коротких (""" раньше ")
+    const sortedQuotes = [...quotes].sort((a, b) => b.length - a.length);
+    const chars = content.split('');
+    const blank = (from, to) => {
+      for (let k = from; k < to; k++) {
+        if (chars[k] !== '\n') {
+          chars[k] = ' ';
+        }
+      }
+    };
+
+    let i = 0;
+
+    while (i < content.length) {
+      if (lineComment && content.startsWith(lineComment, i)) {
+        const end = content.indexOf('\n', i);
+        const commentEnd = end === -1 ? content.length : end;
+
+        blank(i, commentEnd);
+        i = commentEnd;
+        continue;
+      }
+
+      if (blockComment && content.startsWith(blockComment[0], i)) {
+        const end = content.indexOf(blockComment[1], i + blockComment[0].length);
+        const commentEnd = end === -1 ? content.length : end + blockComment[1].length;
+
+        blank(i, commentEnd);
+        i = commentEnd;
+        continue;
+      }
+
+      const quote = sortedQuotes.find(item => content.startsWith(item, i));
+
+      if (quote) {
+        const end = this._findStringEnd(content, i + quote.length, quote);
+
+        blank(i + quote.length, end - quote.length);
+        i = end;
+        continue;
+      }
+
+      i++;
+    }
+
+    return chars.join('');
+  }
+
+  /**
+   * Создает описание символа в формате JSAstExtractor
+   * @param {Object} source - Исходный текст
+   * @param {Object} declaration - Объявление
+   * @param {string} declaration.name - Имя символа
+   * @param {string} declaration.kind - Вид (function, method, class, struct, interface, enum, type, variable)
+   * @param {number} declaration.start - Смещение начала объявления
+   * @param {number} declaration.end - Смещение конца объявления
+   * @param {number} [declaration.docStart] - Начало документирующего комментария
+   * @param {string} [declaration.doc] - Текст документации
+   * @param {string} [declaration.parent] - Имя типа для методов
+   * @param {Array<string>} [declaration.params] - Параметры
+   * @param {boolean} [declaration.async] - Асинхронная функция
+   * @returns {Object} - Символ
+   */
+  createSymbol(source, { name, kind, start, end, docStart = null, doc = null, parent = null, params = [], async = false }) {
+    const startLoc = this.getLocation(source, start);
+    const endLoc = this.getLocation(source, end);
+
+    return {
+      name,
+      qualifiedName: parent ? `${parent}.${name}` : name,
+      kind,
+      parent,
+      exported: false,
+      async,
+      params,
+      loc: { start: startLoc, end: endLoc },
+      range: [start, end],
+      docRange: [docStart !== null ? docStart : start, end],
+      jsdoc: doc,
+      calls: []
+    };
+  }
+
+  /**
+   * Возвращает строку и колонку по смещению
+   * @param {Object} source - Исходный текст
+   * @param {number} offset - Смещение
+   * @returns {Object} - { line, column } (строки с 1, колонки с 0, как в Babel)
+   */
+  getLocation(source, offset) {
+    const { lineStarts } = source;
+    let low = 0;
+    let high = lineStarts.length - 1;
+
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+
+      if (lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return { line: low + 1, column: offset - lineStarts[low] };
+  }
+
+  /**
+   * Находит закрывающую скобку для открывающей
+   * @param {string} masked - Маскированный текст
+   * @param {number} openIndex - Смещение открывающей скобки
+   * @returns {number} - Смещение закрывающей скобки или длина текста, если она не найдена
+   */
+  findClosingBracket(masked, openIndex) {
+    const stack = [];
+
+    for (let i = openIndex; i < masked.length; i++) {
+      const char = masked[i];
+
+      if (OPENING_BRACKETS[char]) {
+        stack.push(OPENING_BRACKETS[char]);
+      } else if (CLOSING_BRACKETS.has(char)) {
+        if (stack.pop() !== char) {
+          return i;
+        }
+
+        if (stack.length === 0) {
+          return i;
+        }
+      }
+    }
+
+    return masked.length;
+  }
+
+  /**
+   * Находит конец логической строки: перевод строки вне скобок (или конец текста)
+   * @param {string} masked - Маскированный текст
+   * @param {number} offset - Смещение начала
+   * @returns {number} - Смещение перевода строки
+   */
+  findStatementEnd(masked, offset) {
+    let depth = 0;
+
+    for (let i = offset; i < masked.length; i++) {
+      const char = masked[i];
+
+      if (OPENING_BRACKETS[char]) {
+        depth++;
+      } else if (CLOSING_BRACKETS.has(char)) {
+        depth = Math.max(0, depth - 1);
+      } else if (char === '\n' && depth === 0 && masked[i - 1] !== '\\') {
+        return i;
+      }
+    }
+
+    return masked.length;
+  }
+
+  /**
+   * Разбивает список (параметры, базовые классы) по запятым верхнего уровня
+   * @param {string} text - Текст списка без внешних скобок
+   * @param {boolean} [angleBrackets=false] - Учитывать угловые скобки (дженерики)
+   * @returns {Array<string>} - Элементы списка без пробелов по краям
+   */
+  splitList(text, angleBrackets = false) {
+    const items = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of text) {
+      if (OPENING_BRACKETS[char] || (angleBrackets && char === '<')) {
+        depth++;
+      } else if (CLOSING_BRACKETS.has(char) || (angleBrackets && char === '>')) {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        items.push(current.trim());
+        current = '';
+        continue;
+      }
+
+      current += char;
+    }
+
+    items.push(current.trim());
+
+    return items.filter(Boolean).map(item => item.replace(/\s+/g, ' '));
+  }
+
+  /**
+   * Возвращает параметры объявления по скобкам
+   * Текст берется из исходника, скобки ищутся по маскированному тексту
+   * @param {Object} source - Исходный текст
+   * @param {number} openIndex - Смещение открывающей скобки параметров
+   * @param {boolean} [angleBrackets=false] - Учитывать угловые скобки
+   * @returns {Object} - { params, end } (end - смещение закрывающей скобки)
+   */
+  readParams(source, openIndex, angleBrackets = false) {
+    const end = this.findClosingBracket(source.masked, openIndex);
+
+    return {
+      params: this.splitList(source.content.slice(openIndex + 1, end), angleBrackets),
+      end
+    };
+  }
+
+  /**
+   * Находит документирующий комментарий, непосредственно предшествующий объявлению
+   * Поддерживает блочный комментарий (/** ... *\/) и подряд идущие строчные комментарии
+   * @param {Object} source - Исходный текст
+   * @param {number} start - Смещение начала объявления
+   * @param {Object} [options={}] - { block: true, lines: false }
+   * @returns {Object|null} - { text, start } или null
+   */
+  findDocComment(source, start, { block = true, lines = false } = {}) {
+    const { content } = source;
+    const before = this._trimEnd(content, start);
+
+    if (block && content.slice(0, before).endsWith('*/')) {
+      const docStart = content.lastIndexOf('/*', before - 2);
+
+      if (docStart !== -1 && content.startsWith('/**', docStart)) {
+        return { text: content.slice(docStart, before), start: docStart };
+      }
+    }
+
+    if (!lines || content.slice(before, start).split('\n').length > 2) {
+      return null;
+    }
+
+    // Строчные комментарии, идущие подряд прямо над объявлением
+    const { lineComment } = this.syntax;
+    let docStart = null;
+    let line = this.getLocation(source, start).line - 1;
+
+    while (line >= 1) {
+      const lineStart = source.lineStarts[line - 1];
+      const text = content.slice(lineStart, source.lineStarts[line] - 1);
+
+      if (!text.trim().startsWith(lineComment)) {
+        break;
+      }
+
+      docStart = lineStart + text.indexOf(lineComment);
+      line--;
+    }
+
+    return docStart !== null
+      ? { text: content.slice(docStart, this._trimEnd(content, start)), start: docStart }
+      : null;
+  }
+
+  /**
+   * Добавляет верхнеуровневую конструкцию
+   * Конструкция ссылается на свои символы верхнего уровня, а если их нет
+   * (метод Go, объявленный вне типа) - на все свои символы
+   * @param {Object} result - Накапливаемый результат
+   * @param {string} role - Роль (import, symbol, statement)
+   * @param {number} start - Смещение начала (с документацией)
+   * @param {number} end - Смещение конца
+   * @param {Array<Object>} [symbols=[]] - Символы конструкции
+   */
+  addUnit(result, role, start, end, symbols = []) {
+    const topLevel = symbols.filter(symbol => !symbol.parent);
+
+    result.symbols.push(...symbols);
+    result.units.push({
+      role: symbols.length > 0 ? 'symbol' : role,
+      start,
+      end,
+      symbols: (topLevel.length > 0 ? topLevel : symbols).map(symbol => symbol.qualifiedName)
+    });
+  }
+
+  /**
+   * Добавляет конструкции для текста между разобранными конструкциями,
+   * чтобы сегменты покрывали весь код файла
+   * @param {Object} source - Исходный текст
+   * @param {Object} result - Накапливаемый результат
+   * @private
+   */
+  _fillUnitGaps(source, result) {
+    const { masked } = source;
+    const units = [...result.units].sort((a, b) => a.start - b.start);
+    const filled = [];
+    let position = 0;
+
+    const addGap = (from, to) => {
+      const text = masked.slice(from, to);
+      const first = text.search(/\S/);
+
+      if (first !== -1) {
+        filled.push({ role: 'statement', start: from + first, end: this._trimEnd(masked, to), symbols: [] });
+      }
+    };
+
+    for (const unit of units) {
+      if (unit.start > position) {
+        addGap(position, unit.start);
+      }
+
+      filled.push(unit);
+      position = Math.max(position, unit.end);
+    }
+
+    addGap(position, masked.length);
+
+    result.units = filled;
+  }
+
+  /**
+   * Собирает места вызовов
+   * Вызов относится к самому вложенному символу, в диапазоне которого он находится
+   * @param {Object} source - Исходный текст
+   * @param {Object} result - Накапливаемый результат
+   * @private
+   */
+  _collectCalls(source, result) {
+    const { masked } = source;
+    const callPattern = /(\bnew\s+)?\b([A-Za-z_]\w*(?:\s*\.\s*[A-Za-z_]\w*)*)\s*(?:<[\w\s,.?<>[\]]*>\s*)?\(/g;
+    // Позиции имен в объявлениях (def name(, func Name(, void name() - это не вызовы
+    const declarations = new Set(result.symbols.map(symbol => this._getNameOffset(source, symbol)));
+    const keywords = this.keywords;
+
+    const findCaller = (position) => {
+      let caller = null;
+
+      for (const symbol of result.symbols) {
+        if (symbol.range[0] <= position && position < symbol.range[1] &&
+            (!caller || symbol.range[1] - symbol.range[0] < caller.range[1] - caller.range[0])) {
+          caller = symbol;
+        }
+      }
+
+      return caller;
+    };
+
+    let match;
+
+    while ((match = callPattern.exec(masked)) !== null) {
+      const nameStart = match.index + (match[1] ? match[1].length : 0);
+      let callee = match[2].replace(/\s+/g, '');
+      const before = masked.slice(0, match.index).trimEnd();
+
+      if (declarations.has(nameStart) || keywords.has(callee.split('.')[0]) || before.endsWith('@')) {
+        continue;
+      }
+
+      // Вызов метода у результата вызова: учитывается только super().method()
+      if (before.endsWith('.')) {
+        if (!/\bsuper\s*\(\s*\)\s*\.$/.test(before)) {
+          continue;
+        }
+
+        callee = `super.${callee}`;
+      }
+
+      // super().method() учитывается как вызов super.method
+      if (callee === 'super' && /^\s*\)\s*\./.test(masked.slice(callPattern.lastIndex))) {
+        continue;
+      }
+
+      const caller = findCaller(match.index);
+
+      // Описания методов в интерфейсах - не вызовы
+      if (caller && caller.kind === 'interface') {
+        continue;
+      }
+
+      const normalized = this.normalizeCallee(callee, caller);
+
+      if (!normalized) {
+        continue;
+      }
+
+      const location = this.getLocation(source, nameStart);
+
+      result.calls.push({
+        callee: normalized,
+        caller: caller ? caller.qualifiedName : null,
+        isNew: !!match[1],
+        line: location.line,
+        column: location.column
+      });
+
+      if (caller && !caller.calls.includes(normalized)) {
+        caller.calls.push(normalized);
+      }
+    }
+  }
+
+  /**
+   * Возвращает смещение имени символа в его объявлении
+   * @param {Object} source - Исходный текст
+   * @param {Object} symbol - Символ
+   * @returns {number} - Смещение или -1
+   * @private
+   */
+  _getNameOffset(source, symbol) {
+    const pattern = new RegExp(`\\b${symbol.name.replace(/\$/g, '\\$')}\\b`, 'g');
+    pattern.lastIndex = symbol.range[0];
+
+    const match = pattern.exec(source.masked);
+
+    return match && match.index < symbol.range[1] ? match.index : -1;
+  }
+
+  /**
+   * Находит конец строкового литерала
+   * @param {string} content - Содержимое файла
+   * @param {number} offset - Смещение после открывающей кавычки
+   * @param {string} quote - Кавычка
+   * @returns {number} - Смещение после закрывающей кавычки
+   * @private
+   */
+  _findStringEnd(content, offset, quote) {
+    const raw = quote === '`';
+    const multiline = raw || quote.length === 3;
+
+    for (let i = offset; i < content.length; i++) {
+      if (!raw && content[i] === '\\') {
+        i++;
+        continue;
+      }
+
+      if (content.startsWith(quote, i)) {
+        return i + quote.length;
+      }
+
+      // Незакрытая однострочная строка заканчивается на переводе строки
+      if (!multiline && content[i] === '\n') {
+        return i;
+      }
+    }
+
+    return content.length;
+  }
+
+  /**
+   * Возвращает позицию конца текста перед смещением без завершающих пробелов
+   * @param {string} content - Содержимое файла
+   * @param {number} position - Смещение
+   * @returns {number} - Позиция
+   * @private
+   */
+  _trimEnd(content, position) {
+    let end = position;
+
+    while (end > 0 && /\s/.test(content[end - 1])) {
+      end--;
+    }
+
+    return end;
+  }
+
+  /**
+   * Создает сегмент по диапазону смещений
+   * @param {string} content - Содержимое файла
+   * @param {number} start - Смещение начала
+   * @param {number} end - Смещение конца
+   * @param {string|null} name - Имя символа
+   * @param {string} kind - Вид сегмента
+   * @returns {Object} - Сегмент { content, start, end, name, kind }
+   * @private
+   */
+  _createSegment(content, start, end, name, kind) {
+    return {
+      content: content.slice(start, end),
+      start: content.slice(0, start).split('\n').length,
+      end: content.slice(0, end).split('\n').length,
+      name: name || null,
+      kind
+    };
+  }
+}
+
+module.exports = BaseLanguageExtractor;
@@ -0,0 +1,419 @@
+// src/core/project-understanding/language-extractors/go-extractor.js
+
+const path = require('path');
+const BaseLanguageExtractor = require('./base-extractor');
+
+/**
+ * Ключевые слова и встроенные конструкции Go, после которых может идти скобка
+ */
+const KEYWORDS = new Set([
+  'if', 'for', 'switch', 'select', 'case', 'return', 'func', 'go', 'defer', 'range', 'type',
+  'map', 'chan', 'interface', 'struct', 'var', 'const', 'import', 'package'
+]);
+
+/**
+ * Извлечение структуры Go-файлов
+ * Разбирает импорты (в том числе блоки import (...)), функции, методы с получателем
+ * (символ метода получает тип получателя в parent), структуры, интерфейсы, прочие типы,
+ * переменные и константы верхнего уровня. Документацией считаются комментарии // над объявлением
+ */
+class GoExtractor extends BaseLanguageExtractor {
+  get extensions() {
+    return ['.go'];
+  }
+
+  get syntax() {
+    return { lineComment: '//', blockComment: ['/*', '*/'], quotes: ['"', "'", '`'] };
+  }
+
+  get keywords() {
+    return KEYWORDS;
+  }
+
+  get sharesPackageScope() {
+    return true;
+  }
+
+  /**
+   * Разбирает объявления верхнего уровня
+   * @param {Object} source - Исходный текст
+   * @param {Object} result - Накапливаемый результат
+   */
+  collect(source, result) {
+    // Пустые interface{} и struct{} в сигнатурах не должны приниматься за тело функции
+    const masked = source.masked.replace(/\b(interface|struct)(\s*)\{(\s*)\}/g,
+      (match, keyword, space, inner) => `${keyword}${space} ${inner} `);
+    const scan = { ...source, masked };
+    const declaration = /^(package|import|func|type|var|const)\b/gm;
+    let position = 0;
+    let match;
+
+    while ((match = declaration.exec(masked)) !== null) {
+      if (match.index < position) {
+        continue;
+      }
+
+      const start = match.index;
+      let end;
+
+      switch (match[1]) {
+        case 'import':
+          end = this._collectImports(scan, result, start);
+          break;
+        case 'func':
+          end = this._collectFunction(scan, result, start);
+          break;
+        case 'type':
+          end = this._collectTypes(scan, result, start);
+          break;
+        case 'var':
+        case 'const':
+          end = this._collectVariables(scan, result, start);
+          break;
+        default:
+          end = this.findStatementEnd(masked, start);
+          this.addUnit(result, 'statement', start, end);
+      }
+
+      position = end;
+      declaration.lastIndex = Math.max(end, start + 1);
+    }
+  }
+
+  /**
+   * В Go из пакета видны имена, начинающиеся с заглавной буквы
+   * @param {Object} symbol - Символ
+   * @returns {boolean}
+   */
+  isExported(symbol) {
+    return /^[A-Z]/.test(symbol.name);
+  }
+
+  /**
+   * Разрешает импорт пакета в файлы его директории
+   * Путь модуля (github.com/acme/gateway/internal/auth) сопоставляется с директориями
+   * проекта по самому длинному совпадающему окончанию (internal/auth)
+   * @param {string} fromPath - Путь файла с импортом
+   * @param {Object} entry - Импорт
+   * @param {Map|Set} knownPaths - Известные пути файлов проекта
+   * @returns {Object} - { paths, bindings }
+   */
+  resolveImport(fromPath, entry, knownPaths) {
+    const directories = new Map();
+
+    for (const filePath of knownPaths.keys()) {
+      if (filePath.endsWith('.go') && !filePath.endsWith('_test.go')) {
+        const directory = path.posix.dirname(filePath);
+
+        if (!directories.has(directory)) {
+          directories.set(directory, []);
+        }
+
+        directories.get(directory).push(filePath);
+      }
+    }
+
+    const segments = entry.source.split('/');
+    let paths = [];
+
+    for (let i = 0; i < segments.length && paths.length === 0; i++) {
+      paths = directories.get(segments.slice(i).join('/')) || [];
+    }
+
+    const local = entry.specifiers[0] && entry.specifiers[0].local;
+
+    return {
+      paths,
+      bindings: paths.length > 0 && local
+        ? [{ local, path: paths[0], paths, imported: '*' }]
+        : []
+    };
+  }
+
+  /**
+   * Вызовы через получатель метода (s.repo.Find) - обращения к своему типу
+   * @param {string} callee - Имя вызываемой функции
+   * @param {Object|null} caller - Вызывающий символ
+   * @returns {string|null}
+   */
+  normalizeCallee(callee, caller) {
+    const [head, ...rest] = callee.split('.');
+
+    if (caller && caller.receiver && head === caller.receiver && rest.length > 0) {
+      return ['this', ...rest].join('.');
+    }
+
+    return callee;
+  }
+
+  /**
+   * Разбирает import "path" и блок import ( ... )
+   * @param {Object} source - Исходный текст
+   * @param {Object} result - Накапливаемый результат
+   * @param {number} start - Смещение ключевого слова import
+   * @returns {number} - Смещение конца
+   * @private
+   */
+  _collectImports(source, result, start) {
+    const { masked, content } = source;
+    const open = masked.slice(start).match(/^import\s*\(/);
+    const end = open
+      ? this.findClosingBracket(masked, start + open[0].length - 1) + 1
+      : this.findStatementEnd(masked, start);
+    const specPattern = /(?:^|\n|\(|;)\s*(?:import\s+)?([\w.]+\s+)?["`]([^"`]+)["`]/g;
+    const text = content.slice(start, end);
+    let match;
+
+    while ((match = specPattern.exec(text)) !== null) {
+      const alias = match[1] ? match[1].trim() : null;
+      const importPath = match[2];
+
+      result.imports.push({
+        source: importPath,
+        kind: 'import',
+        typeOnly: false,
+        // Имя пакета по умолчанию - последний элемент пути (без суффикса версии /v2)
+        specifiers: [{
+          imported: '*',
+          local: alias === '_' || alias === '.' ? null
+            : alias || importPath.split('/').filter(part => !/^v\d+$/.test(part)).pop()
+        }],
+        line: this.getLocation(source, start + match.index + match[0].length - match[2].length - 1).line
+      });
+    }
+
+    this.addUnit(result, 'import', start, end);
+
+    return end;
+  }
+
+  /**
+   * Разбирает функцию или метод
+   * @param {Object} source - Исходный текст
+   * @param {Object} result - Накапливаемый результат
+   * @param {number} start - Смещение ключевого слова func
+   * @returns {number} - Смещение конца
+   * @private
+   */
+  _collectFunction(source, result, start) {
+    const { masked } = source;
+    const header = masked.slice(start).match(
+      /^func\s*(?:\(\s*(?:([A-Za-z_]\w*)\s+)?\*?\s*([A-Za-z_]\w*)(?:\[[^\]]*\])?\s*\)\s*)?([A-Za-z_]\w*)\s*(?:\[[^\]]*\]\s*)?\(/
+    );
+
+    if (!header) {
+      const end = this.findStatementEnd(masked, start);
+      this.addUnit(result, 'statement', start, end);
+      return end;
+    }
+
+    const { params, end: paramsEnd } = this.readParams(source, start + header[0].length - 1);
+    const end = this._findBodyEnd(masked, paramsEnd + 1);
+    const doc = this.findDocComment(source, start, { block: false, lines: true });
+    const symbol = this.createSymbol(source, {
+      name: header[3],
+      kind: header[2] ? 'method' : 'function',
+      start,
+      end,
+      docStart: doc ? doc.start : null,
+      doc: doc ? doc.text : null,
+      parent: header[2] || null,
+      params
+    });
+
+    symbol.receiver = header[1] || null;
+
+    this.addUnit(result, 'symbol', doc ? doc.start : start, end, [symbol]);
+
+    return end;
+  }
+
+  /**
+   * Разбирает type Name struct { ... }, интерфейсы, псевдонимы и блоки type ( ... )
+   * @param {Object} source - Исходный текст
+   * @param {Object} result - Накапливаемый результат
+   * @param {number} start - Смещение ключевого слова type
+   * @returns {number} - Смещение конца
+   * @private
+   */
+  _collectTypes(source, result, start) {
+    const { masked } = source;
+    const group = masked.slice(start).match(/^type\s*\(/);
+
+    if (!group) {
+      const spec = this._readTypeSpec(source, start + 'type'.length);
+      const doc = this.findDocComment(source, start, { block: false, lines: true });
+      const symbols = spec.name
+        ? [this._createTypeSymbol(source, spec, start, doc)]
+        : [];
+
+      this.addUnit(result, 'statement', doc && symbols.length > 0 ? doc.start : start, spec.end, symbols);
+
+      return spec.end;
+    }
+
+    const end = this.findClosingBracket(masked, start + group[0].length - 1) + 1;
+    const symbols = [];
+    let position = start + group[0].length;
+
+    while (position < end - 1) {
+      const spec = this._readTypeSpec(source, position);
+
+      if (spec.name) {
+        const doc = this.findDocComment(source, spec.start, { block: false, lines: true });
+        symbols.push(this._createTypeSymbol(source, spec, spec.start, doc));
+      }
+
+      position = Math.max(spec.end, position + 1);
+    }
+
+    this.addUnit(result, 'statement', start, end, symbols);
+
+    return end;
+  }
+
+  /**
+   * Читает описание одного типа: Name struct { ... }, Name interface { ... }, Name = Other, Name int
+   * @param {Object} source - Исходный текст
+   * @param {number} offset - Смещение, с которого начинается описание
+   * @returns {Object} - { name, kind, start, end }
+   * @private
+   */
+  _readTypeSpec(source, offset) {
+    const { masked } = source;
+    const spec = masked.slice(offset).match(/^\s*([A-Za-z_]\w*)(?:\[[^\]]*\])?\s*(=\s*)?(struct|interface)?\s*(\{)?/);
+
+    if (!spec) {
+      return { name: null, end: this.findStatementEnd(masked, offset) };
+    }
+
+    const start = offset + spec[0].indexOf(spec[1]);
+    const end = spec[4]
+      ? this.findClosingBracket(masked, offset + spec[0].length - 1) + 1
+      : this.findStatementEnd(masked, start);
+
+    return {
+      name: spec[1],
+      kind: spec[3] || 'type',
+      start,
+      end
+    };
+  }
+
+  /**
+   * Создает символ типа
+   * @param {Object} source - Исходный текст
+   * @param {Object} spec - Описание типа
+   * @param {number} start - Смещение начала объявления
+   * @param {Object|null} doc - Документирующий комментарий
+   * @returns {Object} - Символ
+   * @private
+   */
+  _createTypeSymbol(source, spec, start, doc) {
+    const symbol = this.createSymbol(source, {
+      name: spec.name,
+      kind: spec.kind,
+      start,
+      end: spec.end,
+      docStart: doc ? doc.start : null,
+      doc: doc ? doc.text : null
+    });
+
+    // Встраивание типов в Go не является наследованием
+    symbol.extends = null;
+
+    return symbol;
+  }
+
+  /**
+   * Разбирает var/const, в том числе блоки var ( ... )
+   * @param {Object} source - Исходный текст
+   * @param {Object} result - Накапливаемый результат
+   * @param {number} start - Смещение ключевого слова
+   * @returns {number} - Смещение конца
+   * @private
+   */
+  _collectVariables(source, result, start) {
+    const { masked } = source;
+    const group = masked.slice(start).match(/^(?:var|const)\s*\(/);
+    const end = group
+      ? this.findClosingBracket(masked, start + group[0].length - 1) + 1
+      : this.findStatementEnd(masked, start);
+    const body = group ? masked.slice(start + group[0].length, end - 1) : masked.slice(start).replace(/^(var|const)/, '');
+    const symbols = [];
+    const names = new Set();
+    let offset = group ? start + group[0].length : start + masked.slice(start).match(/^(var|const)/)[0].length;
+
+    // Имена в начале каждой спецификации: a, b = 1, 2 или name Type
+    for (const line of (group ? body.split('\n') : [body.slice(0, end - offset)])) {
+      const declared = line.match(/^\s*([A-Za-z_]\w*(?:\s*,\s*[A-Za-z_]\w*)*)/);
+
+      if (declared && this._isTopLevel(masked, start, offset)) {
+        for (const name of declared[1].split(',').map(item => item.trim())) {
+          if (name !== '_' && !names.has(name)) {
+            names.add(name);
+            symbols.push(this.createSymbol(source, { name, kind: 'variable', start, end }));
+          }
+        }
+      }
+
+      offset += line.length + 1;
+    }
+
+    this.addUnit(result, 'statement', start, end, symbols);
+
+    return end;
+  }
+
+  /**
+   * Проверяет, что смещение внутри блока var ( ... ) не вложено в скобки значения
+   * @param {string} masked - Маскированный текст
+   * @param {number} start - Начало объявления
+   * @param {number} offset - Смещение
+   * @returns {boolean}
+   * @private
+   */
+  _isTopLevel(masked, start, offset) {
+    let depth = 0;
+
+    for (let i = start; i < offset; i++) {
+      if ('([{'.includes(masked[i])) {
+        depth++;
+      } else if (')]}'.includes(masked[i])) {
+        depth--;
+      }
+    }
+
+    return depth <= 1;
+  }
+
+  /**
+   * Находит конец тела функции: закрывающую скобку первого { вне круглых скобок
+   * Функция без тела (реализованная на ассемблере) заканчивается на переводе строки
+   * @param {string} masked - Маскированный текст
+   * @param {number} offset - Смещение после параметров
+   * @returns {number} - Смещение конца
+   * @private
+   */
+  _findBodyEnd(masked, offset) {
+    let depth = 0;
+
+    for (let i = offset; i < masked.length; i++) {
+      const char = masked[i];
+
+      if (char === '(' || char === '[') {
+        depth++;
+      } else if (char === ')' || char === ']') {
+        depth--;
+      } else if (char === '{' && depth === 0) {
+        return this.findClosingBracket(masked, i) + 1;
+      } else if (char === '\n' && depth === 0) {
+        return i;
+      }
+    }
+
+    return masked.length;
+  }
+}
+
+module.exports = GoExtractor;
@@ -0,0 +1,93 @@
+// src/core/project-understanding/language-extractors/index.js
+
+const path = require('path');
+const BaseLanguageExtractor = require('./base-extractor');
+const PythonExtractor = require('./python-extractor');
+const GoExtractor = require('./go-extractor');
+const JavaExtractor = require('./java-extractor');
+
+/**
+ * Реестр извлечения структуры: язык (project_files.file_type) -> экземпляр извлекателя
+ * JavaScript/TypeScript разбираются по AST в JSAstExtractor и в реестр не входят
+ */
+const extractors = new Map();
+
+/**
+ * Регистрирует извлечение структуры для языка
+ * @param {string} language - Язык (значение project_files.file_type)
+ * @param {Function} ExtractorClass - Класс, наследник BaseLanguageExtractor
+ */
+function registerLanguageExtractor(language, ExtractorClass) {
+  if (typeof ExtractorClass !== 'function' || !(ExtractorClass.prototype instanceof BaseLanguageExtractor)) {
+    throw new Error(`Извлечение структуры для ${language} должно наследовать BaseLanguageExtractor`);
+  }
+
+  extractors.set(language, new ExtractorClass(language));
+}
+
+/**
+ * Проверяет, поддерживается ли язык
+ * @param {string} language - Язык
+ * @returns {boolean}
+ */
+function hasLanguageExtractor(language) {
+  return extractors.has(language);
+}
+
+/**
+ * Возвращает поддерживаемые языки
+ * @returns {Array<string>}
+ */
+function listLanguageExtractors() {
+  return Array.from(extractors.keys());
+}
+
+/**
+ * Возвращает извлечение структуры для языка
+ * @param {string} language - Язык
+ * @returns {BaseLanguageExtractor}
+ * @throws {Error} - Если язык не поддерживается
+ */
+function getLanguageExtractor(language) {
+  const extractor = extractors.get(language);
+
+  if (!extractor) {
+    throw new Error(`Неподдерживаемый язык для извлечения структуры: ${language}`);
+  }
+
+  return extractor;
+}
+
+/**
+ * Возвращает извлечение структуры по расширению файла
+ * @param {string} filePath - Путь к файлу
+ * @returns {BaseLanguageExtractor|null} - Извлекатель или null, если язык не поддерживается
+ */
+function getExtractorForFile(filePath) {
+  const extension = path.extname(filePath || '').toLowerCase();
+
+  for (const extractor of extractors.values()) {
+    if (extractor.extensions.includes(extension)) {
+      return extractor;
+    }
+  }
+
+  return null;
+}
+
+// Встроенные языки
+registerLanguageExtractor('python', PythonExtractor);
+registerLanguageExtractor('go', GoExtractor);
+registerLanguageExtractor('java', JavaExtractor);
+
+module.exports = {
+  BaseLanguageExtractor,
+  PythonExtractor,
+  GoExtractor,
+  JavaExtractor,
+  registerLanguageExtractor,
+  hasLanguageExtractor,
+  listLanguageExtractors,
+  getLanguageExtractor,
+  getExtractorForFile
+};
@@ -0,0 +1,381 @@
+// src/core/project-understanding/language-extractors/java-extractor.js
+
+const path = require('path');
+const BaseLanguageExtractor = require('./base-extractor');
+
+/**
+ * Ключевые слова Java, после которых может идти скобка
+ */
+const KEYWORDS = new Set([
+  'if', 'for', 'while', 'switch', 'catch', 'return', 'synchronized', 'try', 'throw', 'this',
+  'assert', 'case', 'yield', 'instanceof'
+]);
+
+const MODIFIERS = '(?:(?:public|protected|private|static|final|abstract|sealed|non-sealed|strictfp|synchronized|native|default|transient|volatile)\\s+)*';
+
+const TYPE_DECLARATION = new RegExp(`^${MODIFIERS}(class|interface|enum|record|@interface)\\s+([A-Za-z_$][\\w$]*)`);
+const METHOD_DECLARATION = new RegExp(`^(${MODIFIERS})(?:<[^{};]*?>\\s*)?(?:[\\w$.]+(?:\\s*<[^{};]*?>)?(?:\\s*\\[\\s*\\])*\\s+)?([A-Za-z_$][\\w$]*)\\s*\\(`);
+
+/**
+ * Вид символа по ключевому слову объявления типа
+ */
+const TYPE_KINDS = {
+  'class': 'class',
+  'interface': 'interface',
+  'enum': 'enum',
+  'record': 'class',
+  '@interface': 'interface'
+};
+
+/**
+ * Извлечение структуры Java-файлов
+ * Разбирает package, импорты, типы верхнего уровня (классы, интерфейсы, перечисления, записи)
+ * и их методы и конструкторы с Javadoc и аннотациями. Вложенные типы остаются частью внешнего
+ */
+class JavaExtractor extends BaseLanguageExtractor {
+  get extensions() {
+    return ['.java'];
+  }
+
+  get syntax() {
+    return { lineComment: '//', blockComment: ['/*', '*/'], quotes: ['"""', '"', "'"] };
+  }
+
+  get keywords() {
+    return KEYWORDS;
+  }
+
+  get sharesPackageScope() {
+    return true;
+  }
+
+  /**
+   * Разбирает объявления верхнего уровня
+   * @param {Object} source - Исходный текст
+   * @param {Object} result - Накапливаемый результат
+   */
+  collect(source, result) {
+    for (const item of this._scanDeclarations(source, 0, source.masked.length)) {
+      const header = this._stripAnnotations(item.header);
+
+      if (/^import\s/.test(header)) {
+        const declaration = header.match(/^import\s+(static\s+)?([\w$.]+?)(\.\*)?\s*;?$/);
+
+        if (declaration) {
+          const name = declaration[2];
+          const imported = declaration[3] || declaration[1] ? '*' : name.split('.').pop();
+
+          result.imports.push({
+            source: `${name}${declaration[3] || ''}`,
+            kind: declaration[1] ? 'static' : 'import',
+            typeOnly: false,
+            specifiers: declaration[1] || declaration[3] ? [] : [{ imported, local: imported }],
+            line: this.getLocation(source, item.start).line
+          });
+        }
+
+        this.addUnit(result, 'import', item.start, item.end);
+        continue;
+      }
+
+      const type = header.match(TYPE_DECLARATION);
+
+      if (!type || !item.body) {
+        this.addUnit(result, 'statement', item.start, item.end);
+        continue;
+      }
+
+      const doc = this.findDocComment(source, item.start);
+      const classSymbol = this.createSymbol(source, {
+        name: type[2],
+        kind: TYPE_KINDS[type[1]],
+        start: item.start,
+        end: item.end,
+        docStart: doc ? doc.start : null,
+        doc: doc ? doc.text : null
+      });
+      const extendsMatch = header.slice(type[0].length).match(/\bextends\s+([\w$.]+)/);
+
+      classSymbol.extends = extendsMatch ? extendsMatch[1] : null;
+      classSymbol.modifiers = this._getModifiers(header);
+
+      const symbols = [classSymbol, ...this._collectMembers(source, classSymbol, type[1], item.body)];
+
+      this.addUnit(result, 'symbol', doc ? doc.start : item.start, item.end, symbols);
+    }
+  }
+
+  /**
+   * Из других пакетов видны public-объявления; в пределах пакета - все типы верхнего уровня
+   * @param {Object} symbol - Символ
+   * @returns {boolean}
+   */
+  isExported(symbol) {
+    return (symbol.modifiers || []).includes('public');
+  }
+
+  /**
+   * Экспортами файла считаются все типы верхнего уровня (доступны в пакете без импорта)
+   * @param {Object} result - Результат разбора
+   * @returns {Array<Object>}
+   */
+  collectExports(result) {
+    return result.symbols
+      .filter(symbol => !symbol.parent)
+      .map(symbol => ({ name: symbol.name, local: symbol.name, source: null, line: symbol.loc.start.line }));
+  }
+
+  /**
+   * Разрешает импорт класса (com.acme.crm.UserService) или пакета (com.acme.crm.*)
+   * по окончанию пути файла, так как корень исходников (src/main/java) может быть любым
+   * @param {string} fromPath - Путь файла с импортом
+   * @param {Object} entry - Импорт
+   * @param {Map|Set} knownPaths - Известные пути файлов проекта
+   * @returns {Object} - { paths, bindings }
+   */
+  resolveImport(fromPath, entry, knownPaths) {
+    const allPaths = [...knownPaths.keys()].filter(filePath => filePath.endsWith('.java'));
+    const matches = (filePath, suffix) => filePath === suffix || filePath.endsWith(`/${suffix}`);
+
+    const name = entry.source.replace(/\.\*$/, '');
+    const wildcard = name !== entry.source;
+
+    if (wildcard && entry.kind !== 'static') {
+      const directory = name.replace(/\./g, '/');
+      const paths = allPaths.filter(filePath => matches(path.posix.dirname(filePath), directory));
+
+      return {
+        paths,
+        bindings: paths.map(filePath => {
+          const className = path.posix.basename(filePath, '.java');
+          return { local: className, path: filePath, imported: className };
+        })
+      };
+    }
+
+    // Статический импорт члена класса: com.acme.Util.format -> com/acme/Util.java
+    const parts = name.split('.');
+    const classParts = entry.kind === 'static' && !wildcard ? parts.slice(0, -1) : parts;
+    const target = allPaths.find(filePath => matches(filePath, `${classParts.join('/')}.java`));
+
+    if (!target) {
+      return { paths: [], bindings: [] };
+    }
+
+    return {
+      paths: [target],
+      bindings: entry.specifiers.map(specifier => ({ local: specifier.local, path: target, imported: specifier.imported }))
+    };
+  }
+
+  /**
+   * Разбирает методы и конструкторы в теле типа
+   * @param {Object} source - Исходный текст
+   * @param {Object} classSymbol - Символ типа
+   * @param {string} typeKeyword - Ключевое слово объявления (class, enum, ...)
+   * @param {Array<number>} body - Диапазон тела [открывающая скобка, закрывающая скобка]
+   * @returns {Array<Object>} - Символы методов
+   * @private
+   */
+  _collectMembers(source, classSymbol, typeKeyword, body) {
+    let start = body[0] + 1;
+
+    // Константы перечисления идут до первой точки с запятой
+    if (typeKeyword === 'enum') {
+      const constantsEnd = this._findTopLevel(source.masked, start, body[1], ';');
+      start = constantsEnd === -1 ? body[1] : constantsEnd + 1;
+    }
+
+    const methods = [];
+
+    for (const item of this._scanDeclarations(source, start, body[1])) {
+      const header = this._stripAnnotations(item.header);
+
+      if (TYPE_DECLARATION.test(header) || /=|->/.test(header.split('(')[0])) {
+        continue;
+      }
+
+      const method = header.match(METHOD_DECLARATION);
+
+      if (!method) {
+        continue;
+      }
+
+      const doc = this.findDocComment(source, item.start);
+      const { params } = this.readParams(source, item.start + this._findParamsOffset(source, item, method[2]), true);
+      const symbol = this.createSymbol(source, {
+        name: method[2],
+        kind: 'method',
+        start: item.start,
+        end: item.end,
+        docStart: doc ? doc.start : null,
+        doc: doc ? doc.text : null,
+        parent: classSymbol.name,
+        params: params.map(param => this._stripAnnotations(param))
+      });
+
+      symbol.modifiers = this._getModifiers(method[1]);
+      symbol.static = symbol.modifiers.includes('static');
+      symbol.methodKind = method[2] === classSymbol.name ? 'constructor' : 'method';
+
+      // Методы интерфейсов открыты без модификатора
+      if (classSymbol.kind === 'interface' && !symbol.modifiers.includes('private')) {
+        symbol.modifiers.push('public');
+      }
+
+      methods.push(symbol);
+    }
+
+    return methods;
+  }
+
+  /**
+   * Делит диапазон на объявления: заголовок до ';' или '{' вне круглых скобок,
+   * для '{' - вместе с телом. Инициализаторы полей с фигурными скобками
+   * (массивы, лямбды, анонимные классы) продолжаются до ';'
+   * @param {Object} source - Исходный текст
+   * @param {number} from - Начало диапазона
+   * @param {number} to - Конец диапазона
+   * @returns {Array<Object>} - Объявления { start, end, header, body }
+   * @private
+   */
+  _scanDeclarations(source, from, to) {
+    const { masked } = source;
+    const items = [];
+    let position = from;
+
+    while (position < to) {
+      const start = position + masked.slice(position, to).search(/\S|$/);
+
+      if (start >= to) {
+        break;
+      }
+
+      let depth = 0;
+      let i = start;
+
+      while (i < to && !(depth === 0 && (masked[i] === ';' || masked[i] === '{'))) {
+        if (masked[i] === '(') {
+          depth++;
+        } else if (masked[i] === ')') {
+          depth--;
+        }
+
+        i++;
+      }
+
+      const header = masked.slice(start, i).replace(/\s+/g, ' ').trim();
+
+      if (i >= to || masked[i] === ';') {
+        items.push({ start, end: Math.min(i + 1, to), header, body: null });
+        position = i + 1;
+        continue;
+      }
+
+      const close = this.findClosingBracket(masked, i);
+
+      if (/=|->/.test(this._stripAnnotations(header).split('(')[0])) {
+        const end = this._findTopLevel(masked, close + 1, to, ';');
+        const itemEnd = end === -1 ? to : end + 1;
+
+        items.push({ start, end: itemEnd, header, body: null });
+        position = itemEnd;
+        continue;
+      }
+
+      items.push({ start, end: close + 1, header, body: [i, close] });
+      position = close + 1;
+    }
+
+    return items;
+  }
+
+  /**
+   * Находит символ вне скобок
+   * @param {string} masked - Маскированный текст
+   * @param {number} from - Начало поиска
+   * @param {number} to - Конец поиска
+   * @param {string} char - Искомый символ
+   * @returns {number} - Смещение или -1
+   * @private
+   */
+  _findTopLevel(masked, from, to, char) {
+    let depth = 0;
+
+    for (let i = from; i < to; i++) {
+      if ('([{'.includes(masked[i])) {
+        depth++;
+      } else if (')]}'.includes(masked[i])) {
+        depth--;
+      } else if (masked[i] === char && depth === 0) {
+        return i;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Возвращает смещение открывающей скобки параметров метода относительно начала объявления
+   * @param {Object} source - Исходный текст
+   * @param {Object} item - Объявление
+   * @param {string} name - Имя метода
+   * @returns {number}
+   * @private
+   */
+  _findParamsOffset(source, item, name) {
+    const text = source.masked.slice(item.start, item.end);
+    const match = new RegExp(`\\b${name.replace(/\$/g, '\\$')}\\s*\\(`).exec(this._blankAnnotations(text));
+
+    return match.index + match[0].length - 1;
+  }
+
+  /**
+   * Удаляет аннотации (@Override, @GetMapping("/users")) из заголовка
+   * @param {string} header - Заголовок объявления
+   * @returns {string}
+   * @private
+   */
+  _stripAnnotations(header) {
+    return this._blankAnnotations(header).replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Заменяет аннотации пробелами, сохраняя длину текста
+   * @param {string} text - Текст
+   * @returns {string}
+   * @private
+   */
+  _blankAnnotations(text) {
+    let result = text;
+    const annotation = /@(?!interface\b)[\w$.]+\s*/g;
+    let match;
+
+    while ((match = annotation.exec(result)) !== null) {
+      let end = match.index + match[0].length;
+
+      if (result[end] === '(') {
+        end = this.findClosingBracket(result, end) + 1;
+      }
+
+      result = `${result.slice(0, match.index)}${' '.repeat(end - match.index)}${result.slice(end)}`;
+      annotation.lastIndex = end;
+    }
+
+    return result;
+  }
+
+  /**
+   * Возвращает модификаторы из начала заголовка
+   * @param {string} header - Заголовок без аннотаций
+   * @returns {Array<string>}
+   * @private
+   */
+  _getModifiers(header) {
+    const match = header.match(new RegExp(`^${MODIFIERS}`));
+
+    return match ? match[0].trim().split(/\s+/).filter(Boolean) : [];
+  }
+}
+
+module.exports = JavaExtractor;
@@ -0,0 +1,415 @@
+// src/core/project-understanding/language-extractors/python-extractor.js
+
+const path = require('path');
+const BaseLanguageExtractor = require('./base-extractor');
+
+/**
+ * Ключевые слова Python, после которых может идти скобка
+ */
+const KEYWORDS = new Set([
+  'if', 'elif', 'while', 'for', 'return', 'not', 'and', 'or', 'in', 'is', 'with', 'assert',
+  'yield', 'lambda', 'except', 'del', 'await', 'raise', 'print', 'def', 'class', 'import', 'from'
+]);
+
+/**
+ * Извлечение структуры Python-модулей
+ * Блоки определяются по отступам: импорты (import, from ... import), функции, классы
+ * с методами (вместе с декораторами и docstring) и присваивания верхнего уровня
+ */
+class PythonExtractor extends BaseLanguageExtractor {
+  get extensions() {
+    return ['.py'];
+  }
+
+  get syntax() {
+    return { lineComment: '#', blockComment: null, quotes: ['"""', "'''", '"', "'"] };
+  }
+
+  get keywords() {
+    return KEYWORDS;
+  }
+
+  /**
+   * Разбирает верхнеуровневые строки модуля
+   * @param {Object} source - Исходный текст
+   * @param {Object} result - Накапливаемый результат
+   */
+  collect(source, result) {
+    const { masked } = source;
+    let position = this._nextLine(masked, 0, 0);
+
+    while (position < masked.length) {
+      const lineEnd = this.findStatementEnd(masked, position);
+      const line = masked.slice(position, lineEnd);
+      let end;
+
+      if (line.startsWith('@') || /^(async\s+)?def\s|^class\s/.test(line)) {
+        end = this._collectDefinition(source, result, position, 0, null);
+      } else if (/^(import|from)\s/.test(line)) {
+        this._collectImport(source, result, position, lineEnd);
+        end = lineEnd;
+      } else {
+        end = this._blockEnd(masked, lineEnd, 0);
+
+        const assignment = line.match(/^([A-Za-z_]\w*)\s*(?::[^=]+)?=(?!=)/);
+        const symbols = assignment
+          ? [this.createSymbol(source, { name: assignment[1], kind: 'variable', start: position, end })]
+          : [];
+
+        this.addUnit(result, 'statement', position, end, symbols);
+      }
+
+      position = this._nextLine(masked, end, 0);
+    }
+  }
+
+  /**
+   * Модули Python не скрывают имена, кроме начинающихся с подчеркивания
+   * @param {Object} symbol - Символ
+   * @returns {boolean}
+   */
+  isExported(symbol) {
+    return !symbol.name.startsWith('_') || /^__\w+__$/.test(symbol.name);
+  }
+
+  /**
+   * Разрешает импорт модуля: относительный (from .models import User)
+   * или абсолютный по суффиксу пути (app.models -> src/app/models.py)
+   * Импортированное имя, совпадающее с подмодулем пакета, связывается с файлом подмодуля
+   * @param {string} fromPath - Путь файла с импортом
+   * @param {Object} entry - Импорт
+   * @param {Map|Set} knownPaths - Известные пути файлов проекта
+   * @returns {Object} - { paths, bindings }
+   */
+  resolveImport(fromPath, entry, knownPaths) {
+    const modulePath = this._resolveModule(fromPath, entry.source, knownPaths);
+    const paths = modulePath ? [modulePath] : [];
+    const bindings = [];
+
+    for (const specifier of entry.specifiers) {
+      if (!specifier.local) {
+        continue;
+      }
+
+      if (entry.kind === 'from') {
+        const submodule = this._resolveModule(fromPath, `${entry.source}${entry.source.endsWith('.') ? '' : '.'}${specifier.imported}`, knownPaths);
+
+        if (submodule) {
+          paths.push(submodule);
+          bindings.push({ local: specifier.local, path: submodule, imported: '*' });
+          continue;
+        }
+      }
+
+      if (modulePath) {
+        bindings.push({ local: specifier.local, path: modulePath, imported: specifier.imported });
+      }
+    }
+
+    return { paths: [...new Set(paths)], bindings };
+  }
+
+  /**
+   * self.method и cls.method - вызовы методов своего класса, super().method - родительского
+   * @param {string} callee - Имя вызываемой функции
+   * @param {Object|null} caller - Вызывающий символ
+   * @returns {string|null}
+   */
+  normalizeCallee(callee, caller) {
+    const [head, ...rest] = callee.split('.');
+
+    if ((head === 'self' || head === 'cls') && caller && caller.parent) {
+      return ['this', ...rest].join('.');
+    }
+
+    return callee;
+  }
+
+  /**
+   * Разбирает функцию или класс вместе с декораторами
+   * @param {Object} source - Исходный текст
+   * @param {Object} result - Накапливаемый результат
+   * @param {number} start - Смещение начала (первого декоратора)
+   * @param {number} indent - Отступ объявления
+   * @param {string|null} parent - Имя класса для методов
+   * @returns {number} - Смещение конца определения
+   * @private
+   */
+  _collectDefinition(source, result, start, indent, parent) {
+    const { masked } = source;
+    let position = start;
+
+    // Декораторы
+    while (masked[position] === '@') {
+      position = this._nextLine(masked, this.findStatementEnd(masked, position), indent);
+    }
+
+    const headerEnd = this.findStatementEnd(masked, position);
+    const header = masked.slice(position, headerEnd);
+    const end = this._blockEnd(masked, headerEnd, indent);
+    const doc = this._getDocstring(source, headerEnd, end);
+    const definition = header.match(/^(async\s+)?def\s+([A-Za-z_]\w*)\s*\(/);
+
+    if (definition) {
+      const { params } = this.readParams(source, position + definition[0].length - 1);
+      const symbol = this.createSymbol(source, {
+        name: definition[2],
+        kind: parent ? 'method' : 'function',
+        start,
+        end,
+        doc,
+        parent,
+        // self и cls не являются параметрами вызова, как this в JavaScript
+        params: parent && /^(self|cls)\b/.test(params[0] || '') ? params.slice(1) : params,
+        async: !!definition[1]
+      });
+
+      if (parent) {
+        result.symbols.push(symbol);
+      } else {
+        this.addUnit(result, 'symbol', start, end, [symbol]);
+      }
+
+      return end;
+    }
+
+    const classMatch = header.match(/^class\s+([A-Za-z_]\w*)\s*(\()?/);
+
+    if (!classMatch || parent) {
+      // Вложенный класс (или нераспознанное определение) остается частью родителя
+      if (!parent) {
+        this.addUnit(result, 'statement', start, end);
+      }
+
+      return end;
+    }
+
+    const bases = classMatch[2]
+      ? this.readParams(source, position + classMatch[0].length - 1).params.filter(base => !base.includes('='))
+      : [];
+    const classSymbol = this.createSymbol(source, { name: classMatch[1], kind: 'class', start, end, doc });
+
+    classSymbol.extends = bases.length > 0 ? bases[0] : null;
+
+    const symbols = [classSymbol];
+    const bodyIndent = this._getBodyIndent(masked, headerEnd, end);
+
+    if (bodyIndent !== null) {
+      const methods = { symbols: [] };
+      let member = this._nextLine(masked, headerEnd, bodyIndent);
+
+      while (member < end) {
+        const memberLine = masked.slice(member, this.findStatementEnd(masked, member));
+        let memberEnd;
+
+        if (memberLine.startsWith('@') || /^(async\s+)?def\s/.test(memberLine)) {
+          memberEnd = this._collectDefinition(source, methods, member, bodyIndent, classSymbol.name);
+        } else {
+          memberEnd = this._blockEnd(masked, this.findStatementEnd(masked, member), bodyIndent);
+        }
+
+        member = this._nextLine(masked, memberEnd, bodyIndent);
+      }
+
+      symbols.push(...methods.symbols);
+    }
+
+    this.addUnit(result, 'symbol', start, end, symbols);
+
+    return end;
+  }
+
+  /**
+   * Разбирает import a.b as c, d и from .module import (x, y as z)
+   * @param {Object} source - Исходный текст
+   * @param {Object} result - Накапливаемый результат
+   * @param {number} start - Смещение начала
+   * @param {number} end - Смещение конца
+   * @private
+   */
+  _collectImport(source, result, start, end) {
+    const text = source.masked.slice(start, end).replace(/[()\\]/g, ' ').replace(/\s+/g, ' ').trim();
+    const line = this.getLocation(source, start).line;
+    const fromImport = text.match(/^from\s+(\S+)\s+import\s+(.+)$/);
+
+    if (fromImport) {
+      result.imports.push({
+        source: fromImport[1],
+        kind: 'from',
+        typeOnly: false,
+        specifiers: this.splitList(fromImport[2]).map(item => {
+          const [imported, alias] = item.split(/\s+as\s+/);
+          return { imported, local: imported === '*' ? null : (alias || imported) };
+        }),
+        line
+      });
+    } else {
+      for (const item of this.splitList(text.replace(/^import\s+/, ''))) {
+        const [moduleName, alias] = item.split(/\s+as\s+/);
+
+        result.imports.push({
+          source: moduleName,
+          kind: 'import',
+          typeOnly: false,
+          // import a.b без псевдонима связывает имя a, а не модуль a.b
+          specifiers: [{ imported: '*', local: alias || (moduleName.includes('.') ? null : moduleName) }],
+          line
+        });
+      }
+    }
+
+    this.addUnit(result, 'import', start, end);
+  }
+
+  /**
+   * Разрешает имя модуля в путь файла проекта
+   * @param {string} fromPath - Путь файла с импортом
+   * @param {string} moduleName - Имя модуля (.models, ..core.utils, app.models)
+   * @param {Map|Set} knownPaths - Известные пути файлов проекта
+   * @returns {string|null}
+   * @private
+   */
+  _resolveModule(fromPath, moduleName, knownPaths) {
+    const relative = moduleName.match(/^(\.+)(.*)$/);
+
+    if (relative) {
+      let base = path.posix.dirname(fromPath.replace(/\\/g, '/'));
+
+      for (let i = 1; i < relative[1].length; i++) {
+        base = path.posix.dirname(base);
+      }
+
+      const modulePath = path.posix.normalize(path.posix.join(base, relative[2].replace(/\./g, '/')));
+      const candidates = relative[2]
+        ? [`${modulePath}.py`, `${modulePath}/__init__.py`]
+        : [`${modulePath}/__init__.py`];
+
+      return candidates.find(candidate => knownPaths.has(candidate)) || null;
+    }
+
+    // Абсолютный импорт: файл может лежать в корне источников (src/, app/)
+    const suffixes = [`${moduleName.replace(/\./g, '/')}.py`, `${moduleName.replace(/\./g, '/')}/__init__.py`];
+
+    for (const suffix of suffixes) {
+      if (knownPaths.has(suffix)) {
+        return suffix;
+      }
+
+      const found = [...knownPaths.keys()].find(candidate => candidate.endsWith(`/${suffix}`));
+
+      if (found) {
+        return found;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Возвращает docstring - строку, с которой начинается тело функции или класса
+   * @param {Object} source - Исходный текст
+   * @param {number} headerEnd - Конец заголовка
+   * @param {number} end - Конец определения
+   * @returns {string|null}
+   * @private
+   */
+  _getDocstring(source, headerEnd, end) {
+    const body = source.content.slice(headerEnd, end);
+    const match = body.match(/^\s*[rRuU]?("""|'''|"|')/);
+
+    if (!match) {
+      return null;
+    }
+
+    const start = headerEnd + match.index + match[0].length - match[1].length;
+    const stringEnd = this._findStringEnd(source.content, start + match[1].length, match[1]);
+
+    return source.content.slice(start, stringEnd);
+  }
+
+  /**
+   * Находит конец блока: последний непустой символ перед строкой с отступом не больше заданного
+   * @param {string} masked - Маскированный текст
+   * @param {number} offset - Смещение конца заголовка блока
+   * @param {number} indent - Отступ заголовка
+   * @returns {number}
+   * @private
+   */
+  _blockEnd(masked, offset, indent) {
+    let position = offset;
+
+    while (position < masked.length) {
+      const lineStart = position + 1;
+      const lineEnd = this.findStatementEnd(masked, lineStart);
+      const line = masked.slice(lineStart, lineEnd);
+
+      if (line.trim() && this._indentOf(line) <= indent) {
+        break;
+      }
+
+      position = lineEnd;
+    }
+
+    return this._trimEnd(masked, Math.min(position, masked.length));
+  }
+
+  /**
+   * Возвращает начало следующей непустой строки с заданным отступом
+   * Поиск начинается со строки, следующей за смещением (с первой строки для смещения 0)
+   * @param {string} masked - Маскированный текст
+   * @param {number} offset - Смещение конца предыдущей конструкции
+   * @param {number} indent - Отступ
+   * @returns {number} - Смещение первого символа строки после отступа (или длина текста)
+   * @private
+   */
+  _nextLine(masked, offset, indent) {
+    let lineStart = offset === 0 ? 0 : masked.indexOf('\n', offset) + 1;
+
+    if (offset > 0 && lineStart === 0) {
+      return masked.length;
+    }
+
+    while (lineStart < masked.length) {
+      const newline = masked.indexOf('\n', lineStart);
+      const lineEnd = newline === -1 ? masked.length : newline;
+      const line = masked.slice(lineStart, lineEnd);
+
+      if (line.trim() && this._indentOf(line) === indent) {
+        return lineStart + line.match(/^[ \t]*/)[0].length;
+      }
+
+      lineStart = lineEnd + 1;
+    }
+
+    return masked.length;
+  }
+
+  /**
+   * Определяет отступ тела блока по первой непустой строке
+   * @param {string} masked - Маскированный текст
+   * @param {number} headerEnd - Конец заголовка
+   * @param {number} end - Конец блока
+   * @returns {number|null}
+   * @private
+   */
+  _getBodyIndent(masked, headerEnd, end) {
+    const lines = masked.slice(headerEnd, end).split('\n').slice(1);
+    const first = lines.find(line => line.trim());
+
+    return first ? this._indentOf(first) : null;
+  }
+
+  /**
+   * Возвращает ширину отступа строки (табуляция считается как 4 пробела)
+   * @param {string} line - Строка
+   * @returns {number}
+   * @private
+   */
+  _indentOf(line) {
+    const match = line.match(/^[ \t]*/)[0];
+
+    return match.replace(/\t/g, '    ').length;
+  }
+}
+
+module.exports = PythonExtractor;
@@ -1,187 +1,196 @@
 // src/core/project-understanding/schema-analyzer.js
 
+const fs = require('fs').promises;
+const path = require('path');
 const { pool } = require('../../config/db.config');
 const logger = require('../../utils/logger');
+const { createSchemaSource, hasSchemaSource } = require('./schema-sources');
+
+/**
+ * Ключ настройки проекта с источником схемы БД
+ */
+const SCHEMA_SOURCE_SETTING = 'schema_source';
+
+/**
+ * Каталоги, в которых ищутся миграции и модели, если источник схемы не настроен
+ */
+const DEFAULT_OFFLINE_SOURCES = [
+  { type: 'sql-migrations', path: 'migrations' },
+  { type: 'sql-migrations', path: 'db/migrations' },
+  { type: 'sql-migrations', path: 'database/migrations' },
+  { type: 'sequelize', path: 'models' },
+  { type: 'sequelize', path: 'src/models' }
+];
+
+/**
+ * Максимальная длина типа колонки в schema_columns (полный тип хранится в structure)
+ */
+const MAX_COLUMN_TYPE_LENGTH = 64;
 
 /**
  * Класс для анализа схемы базы данных проекта
+ * Источник схемы настраивается для каждого проекта (настройка schema_source):
+ * работающая БД MySQL или PostgreSQL, а при ее недоступности - SQL-миграции
+ * или модели Sequelize из репозитория проекта (fallback)
  */
 class SchemaAnalyzer {
   /**
    * Конструктор класса SchemaAnalyzer
-   * @param {Object} dbConfig - Конфигурация подключения к БД проекта (не ассистента)
+   * @param {number} projectId - ID проекта
+   * @param {Object} [options={}] - Опции
+   * @param {string} [options.projectPath] - Путь к локальному репозиторию проекта (для офлайн-источников)
+   * @param {Object} [options.source] - Источник схемы (вместо настройки проекта schema_source)
    */
-  constructor(dbConfig) {
-    this.dbConfig = dbConfig;
+  constructor(projectId, options = {}) {
+    this.projectId = projectId;
+    this.projectPath = options.projectPath || null;
+    this.sourceConfig = options.source || null;
     this.tables = [];
     this.relations = [];
+    this.source = null;
   }
 
   /**
-   * Устанавливает соединение с БД проекта
-   * @returns {Promise<Object>} - Соединение с БД
+   * Проверяет настройки источника схемы
+   * @param {Object} config - Настройки источника
+   * @returns {Array<string>} - Ошибки (пустой массив, если настройки корректны)
    */
-  async connect() {
-    try {
-      const connection = await pool.getConnection();
-      return connection;
-    } catch (error) {
-      logger.error('Ошибка при подключении к БД проекта:', error);
-      throw error;
+  static validateSourceConfig(config) {
+    const errors = [];
+
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return ['Источник схемы должен быть объектом'];
     }
-  }
 
-  /**
-   * Получает список таблиц в БД
-   * @param {Object} connection - Соединение с БД
-   * @returns {Promise<Array>} - Список таблиц
-   */
-  async getTables(connection) {
-    try {
-      const [result] = await connection.query(
-        'SHOW TABLES FROM ??',
-        [this.dbConfig.database]
-      );
-      
-      return result.map(row => Object.values(row)[0]);
-    } catch (error) {
-      logger.error('Ошибка при получении списка таблиц:', error);
-      throw error;
+    if (!hasSchemaSource(config.type)) {
+      errors.push(`Неподдерживаемый источник схемы БД: ${config.type}`);
+    } else if (['sql-migrations', 'sequelize'].includes(config.type) && !config.path) {
+      errors.push(`Для источника ${config.type} необходимо указать path`);
+    } else if (['mysql', 'mariadb', 'postgres'].includes(config.type) &&
+      !config.connectionString && !config.connectionStringEnv && !config.database) {
+      errors.push(`Для источника ${config.type} необходимо указать database или connectionString`);
     }
+
+    if (config.fallback !== undefined) {
+      if (!Array.isArray(config.fallback)) {
+        errors.push('fallback должен быть массивом источников');
+      } else {
+        config.fallback.forEach((fallback, index) => {
+          SchemaAnalyzer.validateSourceConfig(fallback)
+            .forEach(error => errors.push(`fallback[${index}]: ${error}`));
+        });
+      }
+    }
+
+    return errors;
   }
 
   /**
-   * Получает структуру таблицы
-   * @param {Object} connection - Соединение с БД
-   * @param {string} tableName - Имя таблицы
-   * @returns {Promise<Object>} - Структура таблицы
+   * Возвращает источники схемы проекта в порядке опроса
+   * @returns {Promise<Array<Object>>} - Настройки источников
    */
-  async getTableStructure(connection, tableName) {
-    try {
-      // Получаем структуру таблицы
-      const [columns] = await connection.query(
-        'SHOW FULL COLUMNS FROM ??',
-        [tableName]
-      );
-      
-      // Получаем индексы таблицы
-      const [indexes] = await connection.query(
-        'SHOW INDEX FROM ??',
-        [tableName]
-      );
-      
-      // Получаем информацию о внешних ключах
-      const [create] = await connection.query(
-        'SHOW CREATE TABLE ??',
-        [tableName]
-      );
-      
-      const createStatement = create[0]['Create Table'];
-      
-      // Извлекаем внешние ключи из CREATE TABLE
-      const foreignKeys = [];
-      const fkRegex = /FOREIGN KEY \(`(\w+)`\) REFERENCES `(\w+)`\(`(\w+)`\)(\s+ON DELETE (\w+))?(\s+ON UPDATE (\w+))?/g;
-      
-      let match;
-      while ((match = fkRegex.exec(createStatement)) !== null) {
-        foreignKeys.push({
-          column: match[1],
-          referenced_table: match[2],
-          referenced_column: match[3],
-          on_delete: match[5] || 'RESTRICT',
-          on_update: match[7] || 'RESTRICT'
-        });
+  async getSourceConfigs() {
+    const config = this.sourceConfig || await this._getProjectSetting();
+
+    if (config) {
+      const { fallback = [], ...primary } = config;
+
+      return [primary, ...fallback];
+    }
+
+    // Источник не настроен: ищем миграции и модели в репозитории проекта
+    if (!this.projectPath) {
+      return [];
+    }
+
+    const detected = [];
+
+    for (const candidate of DEFAULT_OFFLINE_SOURCES) {
+      try {
+        const stat = await fs.stat(path.join(this.projectPath, candidate.path));
+
+        if (stat.isDirectory()) {
+          detected.push(candidate);
+        }
+      } catch (error) {
+        // Каталога нет - пропускаем
       }
-      
-      return {
-        name: tableName,
-        columns: columns.map(col => ({
-          name: col.Field,
-          type: col.Type,
-          nullable: col.Null === 'YES',
-          key: col.Key,
-          default: col.Default,
-          extra: col.Extra,
-          comment: col.Comment
-        })),
-        indexes: this.groupIndexes(indexes),
-        foreign_keys: foreignKeys
-      };
-    } catch (error) {
-      logger.error(`Ошибка при получении структуры таблицы ${tableName}:`, error);
-      throw error;
     }
+
+    return detected;
   }
 
   /**
-   * Группирует индексы по имени
-   * @param {Array} indexes - Массив индексов
-   * @returns {Array} - Сгруппированные индексы
+   * Читает схему из первого доступного источника
+   * @returns {Promise<Object|null>} - { source, dialect, tables } или null, если источников нет
+   * @throws {Error} - Если ни один из источников не удалось прочитать
    */
-  groupIndexes(indexes) {
-    const groupedIndexes = {};
-    
-    indexes.forEach(index => {
-      const indexName = index.Key_name;
-      
-      if (!groupedIndexes[indexName]) {
-        groupedIndexes[indexName] = {
-          name: indexName,
-          columns: [],
-          unique: index.Non_unique === 0,
-          type: index.Index_type
-        };
+  async readSchema() {
+    const configs = await this.getSourceConfigs();
+    const failures = [];
+
+    for (const config of configs) {
+      const source = createSchemaSource(config.type, config, { projectPath: this.projectPath });
+
+      try {
+        const schema = await source.readSchema();
+
+        if (failures.length > 0) {
+          logger.warn(`Схема БД проекта #${this.projectId} прочитана из резервного источника ${config.type}`);
+        }
+
+        return { source: config.type, ...schema };
+      } catch (error) {
+        logger.warn(`Не удалось прочитать схему БД проекта #${this.projectId} из источника ${config.type}: ${error.message}`);
+        failures.push(`${config.type}: ${error.message}`);
+      } finally {
+        await source.close().catch(error => {
+          logger.warn(`Ошибка при закрытии источника схемы ${config.type}: ${error.message}`);
+        });
       }
-      
-      groupedIndexes[indexName].columns.push({
-        name: index.Column_name,
-        position: index.Seq_in_index
-      });
-    });
-    
-    return Object.values(groupedIndexes);
+    }
+
+    if (failures.length > 0) {
+      throw new Error(`Не удалось прочитать схему БД проекта #${this.projectId}: ${failures.join('; ')}`);
+    }
+
+    return null;
   }
 
   /**
    * Анализирует схему БД и строит граф связей
-   * @returns {Promise<Object>} - Модель схемы БД
+   * @returns {Promise<Object|null>} - Модель схемы БД или null, если источник схемы не найден
    */
   async analyzeSchema() {
-    let connection;
-    
     try {
-      connection = await this.connect();
-      
-      // Получаем список таблиц
-      const tableNames = await this.getTables(connection);
-      logger.info(`Найдено ${tableNames.length} таблиц в БД`);
-      
-      // Получаем структуру каждой таблицы
-      const tablesPromises = tableNames.map(tableName => 
-        this.getTableStructure(connection, tableName)
-      );
-      
-      this.tables = await Promise.all(tablesPromises);
-      
+      const schema = await this.readSchema();
+
+      if (!schema) {
+        logger.info(`Источник схемы БД для проекта #${this.projectId} не настроен и не найден в репозитории`);
+        return null;
+      }
+
+      this.source = schema.source;
+      this.tables = schema.tables;
+      logger.info(`Найдено ${this.tables.length} таблиц в БД проекта #${this.projectId} (источник: ${schema.source})`);
+
       // Строим граф отношений между таблицами
       this.buildRelationsGraph();
-      
+
       // Сохраняем результат в нашу БД
       await this.saveSchemaToDb();
-      
+
       logger.info('Анализ схемы БД успешно завершен');
-      
+
       return {
+        source: schema.source,
+        dialect: schema.dialect,
         tables: this.tables,
         relations: this.relations
       };
     } catch (error) {
       logger.error('Ошибка при анализе схемы БД:', error);
       throw error;
-    } finally {
-      if (connection) {
-        connection.release();
-      }
     }
   }
 
@@ -191,7 +200,7 @@ class SchemaAnalyzer {
    */
   buildRelationsGraph() {
     this.relations = [];
-    
+
     this.tables.forEach(table => {
       table.foreign_keys.forEach(fk => {
         this.relations.push({
@@ -204,80 +213,75 @@ class SchemaAnalyzer {
         });
       });
     });
-    
+
     logger.info(`Построен граф отношений с ${this.relations.length} связями`);
   }
 
   /**
-   * Сохраняет проанализированную схему в БД проекта
+   * Сохраняет проанализированную схему в БД ассистента
+   * Предыдущая схема проекта заменяется целиком, чтобы удаленные таблицы и связи не оставались
    * @returns {Promise<void>}
    */
   async saveSchemaToDb() {
     const connection = await pool.getConnection();
-    
+
     try {
       await connection.beginTransaction();
-      
-      // Предполагаем, что у нас есть таблица для хранения схемы БД
-      // Эта таблица должна быть добавлена в схему БД ассистента
-      
+
+      // Колонки удаляются каскадно вместе с таблицами
+      await connection.query('DELETE FROM schema_tables WHERE project_id = ?', [this.projectId]);
+      await connection.query('DELETE FROM schema_relations WHERE project_id = ?', [this.projectId]);
+
       // Сохраняем информацию о таблицах
       for (const table of this.tables) {
         const [result] = await connection.query(
-          `INSERT INTO schema_tables 
-           (name, structure) 
-           VALUES (?, ?)
-           ON DUPLICATE KEY UPDATE structure = ?`,
-          [table.name, JSON.stringify(table), JSON.stringify(table)]
+          `INSERT INTO schema_tables
+           (project_id, name, structure)
+           VALUES (?, ?, ?)`,
+          [this.projectId, table.name, JSON.stringify(table)]
         );
-        
-        const tableId = result.insertId || result.id;
-        
+
+        const tableId = result.insertId;
+
         // Сохраняем информацию о колонках
         for (const column of table.columns) {
           await connection.query(
             `INSERT INTO schema_columns
              (table_id, name, type, nullable, description)
-             VALUES (?, ?, ?, ?, ?)
-             ON DUPLICATE KEY UPDATE 
-             type = ?, nullable = ?, description = ?`,
+             VALUES (?, ?, ?, ?, ?)`,
             [
-              tableId, 
-              column.name, 
-              column.type, 
-              column.nullable, 
-              column.comment,
-              column.type, 
-              column.nullable, 
-              column.comment
+              tableId,
+              column.name,
+              String(column.type).slice(0, MAX_COLUMN_TYPE_LENGTH),
+              column.nullable,
+              column.comment || null
             ]
           );
         }
       }
-      
+
       // Сохраняем информацию о связях
       for (const relation of this.relations) {
         await connection.query(
           `INSERT INTO schema_relations
-           (source_table, source_column, target_table, target_column, on_delete, on_update)
-           VALUES (?, ?, ?, ?, ?, ?)
+           (project_id, source_table, source_column, target_table, target_column, on_delete, on_update)
+           VALUES (?, ?, ?, ?, ?, ?, ?)
            ON DUPLICATE KEY UPDATE
-           on_delete = ?, on_update = ?`,
+           on_delete = VALUES(on_delete), on_update = VALUES(on_update)`,
           [
+            this.projectId,
             relation.source_table,
             relation.source_column,
             relation.target_table,
             relation.target_column,
-            relation.on_delete,
-            relation.on_update,
-            relation.on_delete,
-            relation.on_update
+            relation.on_delete || 'NO ACTION',
+            relation.on_update || 'NO ACTION'
           ]
         );
       }
-      
+
       await connection.commit();
-      logger.info('Схема БД успешно сохранена в БД ассистента');
+      logger.info(`Схема БД проекта #${this.projectId} успешно сохранена в БД ассистента`);
     } catch (error) {
       await connection.rollback();
       logger.error('Ошибка при сохранении схемы БД:', error);
@@ -293,30 +297,50 @@ class SchemaAnalyzer {
    */
   getERDiagram() {
     let diagram = 'erDiagram\n';
-    
+
     // Добавляем таблицы и их колонки
     this.tables.forEach(table => {
       diagram += `    ${table.name} {\n`;
-      
+
       table.columns.forEach(column => {
         const nullable = column.nullable ? 'NULL' : 'NOT NULL';
         const comment = column.comment ? `"${column.comment}"` : '';
-        
+
         diagram += `        ${column.type} ${column.name} ${nullable} ${comment}\n`;
       });
-      
+
       diagram += '    }\n';
     });
-    
+
     // Добавляем связи между таблицами
     this.relations.forEach(relation => {
       const cardinality = '||--o{';  // Предполагаем связь one-to-many
-      
+
       diagram += `    ${relation.source_table} ${cardinality} ${relation.target_table} : "${relation.source_column} -> ${relation.target_column}"\n`;
     });
-    
+
     return diagram;
   }
+
+  /**
+   * Читает настройку проекта schema_source
+   * @private
+   * @returns {Promise<Object|null>} - Настройки источника или null
+   */
+  async _getProjectSetting() {
+    const [rows] = await pool.query(
+      'SELECT setting_value FROM project_settings WHERE project_id = ? AND setting_key = ?',
+      [this.projectId, SCHEMA_SOURCE_SETTING]
+    );
+
+    if (rows.length === 0 || !rows[0].setting_value) {
+      return null;
+    }
+
+    const value = rows[0].setting_value;
+
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
 }
 
-module.exports = SchemaAnalyzer;
\ No newline at end of file
+module.exports = SchemaAnalyzer;
@@ -0,0 +1,119 @@
+// src/core/project-understanding/schema-sources/base-source.js
+
+const path = require('path');
+
+/**
+ * Базовый класс источника схемы БД проекта
+ * Источник возвращает схему в едином формате независимо от диалекта:
+ * { dialect, tables: [{ name, columns, indexes, foreign_keys }] }, где
+ * columns - [{ name, type, nullable, key, default, extra, comment }],
+ * indexes - [{ name, columns: [{ name, position }], unique, primary, type }],
+ * foreign_keys - [{ column, referenced_table, referenced_column, on_delete, on_update }]
+ */
+class BaseSchemaSource {
+  /**
+   * @param {string} type - Тип источника
+   * @param {Object} [config={}] - Настройки источника (настройка проекта schema_source)
+   * @param {Object} [options={}] - Опции
+   * @param {string} [options.projectPath] - Путь к локальному репозиторию проекта
+   */
+  constructor(type, config = {}, options = {}) {
+    this.type = type;
+    this.config = config;
+    this.projectPath = options.projectPath || null;
+  }
+
+  /**
+   * Требует ли источник подключения к работающей БД
+   * @returns {boolean}
+   */
+  get live() {
+    return false;
+  }
+
+  /**
+   * Читает схему БД
+   * @returns {Promise<Object>} - { dialect, tables }
+   */
+  async readSchema() {
+    throw new Error(`Источник схемы ${this.type} не реализует readSchema`);
+  }
+
+  /**
+   * Освобождает ресурсы источника (соединения с БД)
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Возвращает секрет из настроек: значение переменной окружения (config[`${key}Env`])
+   * или значение, указанное в настройках напрямую
+   * @param {string} key - Имя параметра (password, connectionString)
+   * @returns {string|undefined}
+   */
+  getSecret(key) {
+    const envName = this.config[`${key}Env`];
+
+    return envName ? process.env[envName] : this.config[key];
+  }
+
+  /**
+   * Разрешает путь из настроек относительно репозитория проекта
+   * @param {string} relativePath - Путь из настроек
+   * @returns {string} - Абсолютный путь
+   * @throws {Error} - Если путь выходит за пределы репозитория
+   */
+  resolveProjectPath(relativePath) {
+    if (!this.projectPath) {
+      throw new Error(`Для источника схемы ${this.type} не указан путь к репозиторию проекта`);
+    }
+
+    const resolved = path.resolve(this.projectPath, relativePath || '.');
+    const relative = path.relative(this.projectPath, resolved);
+
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Путь ${relativePath} находится за пределами репозитория проекта`);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Создает пустое описание таблицы
+   * @param {string} name - Имя таблицы
+   * @returns {Object}
+   */
+  createTable(name) {
+    return {
+      name,
+      columns: [],
+      indexes: [],
+      foreign_keys: []
+    };
+  }
+
+  /**
+   * Отмечает ключевые колонки по индексам (PRI, UNI, MUL - как в MySQL)
+   * @param {Object} table - Описание таблицы
+   * @returns {Object} - Та же таблица
+   */
+  markKeyColumns(table) {
+    for (const column of table.columns) {
+      const indexes = table.indexes.filter(index => index.columns.length > 0 && index.columns[0].name === column.name);
+
+      if (indexes.some(index => index.primary || index.name === 'PRIMARY')) {
+        column.key = 'PRI';
+      } else if (indexes.some(index => index.unique && index.columns.length === 1)) {
+        column.key = 'UNI';
+      } else if (indexes.length > 0 || table.foreign_keys.some(fk => fk.column === column.name)) {
+        column.key = 'MUL';
+      } else {
+        column.key = column.key || '';
+      }
+    }
+
+    return table;
+  }
+}
+
+module.exports = BaseSchemaSource;
@@ -0,0 +1,79 @@
+// src/core/project-understanding/schema-sources/index.js
+
+const BaseSchemaSource = require('./base-source');
+const MySQLSchemaSource = require('./mysql-source');
+const PostgresSchemaSource = require('./postgres-source');
+const SqlMigrationSource = require('./sql-migration-source');
+const SequelizeModelSource = require('./sequelize-source');
+
+/**
+ * Реестр источников схемы БД: тип -> класс источника
+ */
+const sources = new Map();
+
+/**
+ * Регистрирует источник схемы БД
+ * @param {string} type - Тип источника (значение type в настройке schema_source)
+ * @param {Function} SourceClass - Класс источника, наследник BaseSchemaSource
+ */
+function registerSchemaSource(type, SourceClass) {
+  if (typeof SourceClass !== 'function' || !(SourceClass.prototype instanceof BaseSchemaSource)) {
+    throw new Error(`Источник схемы ${type} должен наследовать BaseSchemaSource`);
+  }
+
+  sources.set(type, SourceClass);
+}
+
+/**
+ * Проверяет, зарегистрирован ли источник схемы
+ * @param {string} type - Тип источника
+ * @returns {boolean}
+ */
+function hasSchemaSource(type) {
+  return sources.has(type);
+}
+
+/**
+ * Возвращает типы зарегистрированных источников схемы
+ * @returns {Array<string>}
+ */
+function listSchemaSources() {
+  return Array.from(sources.keys());
+}
+
+/**
+ * Создает источник схемы
+ * @param {string} type - Тип источника
+ * @param {Object} [config={}] - Настройки источника
+ * @param {Object} [options={}] - Опции (projectPath)
+ * @returns {BaseSchemaSource} - Источник схемы
+ * @throws {Error} - Если источник не зарегистрирован
+ */
+function createSchemaSource(type, config = {}, options = {}) {
+  const SourceClass = sources.get(type);
+
+  if (!SourceClass) {
+    throw new Error(`Неподдерживаемый источник схемы БД: ${type}`);
+  }
+
+  return new SourceClass(type, config, options);
+}
+
+// Встроенные источники
+registerSchemaSource('mysql', MySQLSchemaSource);
+registerSchemaSource('mariadb', MySQLSchemaSource);
+registerSchemaSource('postgres', PostgresSchemaSource);
+registerSchemaSource('sql-migrations', SqlMigrationSource);
+registerSchemaSource('sequelize', SequelizeModelSource);
+
+module.exports = {
+  BaseSchemaSource,
+  MySQLSchemaSource,
+  PostgresSchemaSource,
+  SqlMigrationSource,
+  SequelizeModelSource,
+  registerSchemaSource,
+  hasSchemaSource,
+  listSchemaSources,
+  createSchemaSource
+};
@@ -0,0 +1,168 @@
+// src/core/project-understanding/schema-sources/mysql-source.js
+
+const mysql = require('mysql2/promise');
+const BaseSchemaSource = require('./base-source');
+
+/**
+ * Таймаут подключения к БД проекта по умолчанию (мс)
+ */
+const DEFAULT_CONNECT_TIMEOUT = 10000;
+
+/**
+ * Источник схемы из работающей БД MySQL/MariaDB проекта
+ * Схема читается из information_schema одним запросом на каждый вид объектов
+ * (таблицы, колонки, индексы, внешние ключи), а не отдельными запросами на каждую таблицу
+ */
+class MySQLSchemaSource extends BaseSchemaSource {
+  /**
+   * @returns {boolean}
+   */
+  get live() {
+    return true;
+  }
+
+  /**
+   * Подключается к БД проекта
+   * @returns {Promise<Object>} - Соединение mysql2
+   */
+  async connect() {
+    if (!this.connection) {
+      const connectionString = this.getSecret('connectionString');
+
+      this.connection = await mysql.createConnection(connectionString || {
+        host: this.config.host || 'localhost',
+        port: this.config.port || 3306,
+        user: this.config.user,
+        password: this.getSecret('password'),
+        database: this.config.database,
+        ssl: this.config.ssl,
+        connectTimeout: this.config.connectTimeout || DEFAULT_CONNECT_TIMEOUT
+      });
+    }
+
+    return this.connection;
+  }
+
+  /**
+   * Читает схему БД
+   * @returns {Promise<Object>} - { dialect, tables }
+   */
+  async readSchema() {
+    const connection = await this.connect();
+    const [[{ database }]] = await connection.query('SELECT DATABASE() AS `database`');
+
+    if (!database) {
+      throw new Error('Не указана база данных проекта (database)');
+    }
+
+    const [tableRows] = await connection.query(
+      `SELECT TABLE_NAME AS table_name FROM information_schema.tables
+       WHERE TABLE_SCHEMA = ? AND TABLE_TYPE = 'BASE TABLE'
+       ORDER BY TABLE_NAME`,
+      [database]
+    );
+
+    const [columnRows] = await connection.query(
+      `SELECT TABLE_NAME AS table_name, COLUMN_NAME AS name, COLUMN_TYPE AS type, IS_NULLABLE AS nullable,
+              COLUMN_KEY AS column_key, COLUMN_DEFAULT AS default_value, EXTRA AS extra, COLUMN_COMMENT AS comment
+       FROM information_schema.columns
+       WHERE TABLE_SCHEMA = ?
+       ORDER BY TABLE_NAME, ORDINAL_POSITION`,
+      [database]
+    );
+
+    const [indexRows] = await connection.query(
+      `SELECT TABLE_NAME AS table_name, INDEX_NAME AS index_name, COLUMN_NAME AS column_name,
+              SEQ_IN_INDEX AS position, NON_UNIQUE AS non_unique, INDEX_TYPE AS index_type
+       FROM information_schema.statistics
+       WHERE TABLE_SCHEMA = ?
+       ORDER BY TABLE_NAME, INDEX_NAME, SEQ_IN_INDEX`,
+      [database]
+    );
+
+    const [foreignKeyRows] = await connection.query(
+      `SELECT k.TABLE_NAME AS table_name, k.COLUMN_NAME AS column_name,
+              k.REFERENCED_TABLE_NAME AS referenced_table, k.REFERENCED_COLUMN_NAME AS referenced_column,
+              r.DELETE_RULE AS on_delete, r.UPDATE_RULE AS on_update
+       FROM information_schema.key_column_usage k
+       JOIN information_schema.referential_constraints r
+         ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+       WHERE k.TABLE_SCHEMA = ? AND k.REFERENCED_TABLE_NAME IS NOT NULL
+       ORDER BY k.TABLE_NAME, k.ORDINAL_POSITION`,
+      [database]
+    );
+
+    const tables = new Map(tableRows.map(row => [row.table_name, this.createTable(row.table_name)]));
+
+    for (const row of columnRows) {
+      const table = tables.get(row.table_name);
+
+      if (table) {
+        table.columns.push({
+          name: row.name,
+          type: row.type,
+          nullable: row.nullable === 'YES',
+          key: row.column_key,
+          default: row.default_value,
+          extra: row.extra,
+          comment: row.comment
+        });
+      }
+    }
+
+    for (const row of indexRows) {
+      const table = tables.get(row.table_name);
+
+      if (!table) {
+        continue;
+      }
+
+      let index = table.indexes.find(item => item.name === row.index_name);
+
+      if (!index) {
+        index = {
+          name: row.index_name,
+          columns: [],
+          unique: Number(row.non_unique) === 0,
+          primary: row.index_name === 'PRIMARY',
+          type: row.index_type
+        };
+        table.indexes.push(index);
+      }
+
+      index.columns.push({ name: row.column_name, position: row.position });
+    }
+
+    for (const row of foreignKeyRows) {
+      const table = tables.get(row.table_name);
+
+      if (table) {
+        table.foreign_keys.push({
+          column: row.column_name,
+          referenced_table: row.referenced_table,
+          referenced_column: row.referenced_column,
+          on_delete: row.on_delete,
+          on_update: row.on_update
+        });
+      }
+    }
+
+    return {
+      dialect: 'mysql',
+      tables: [...tables.values()]
+    };
+  }
+
+  /**
+   * Закрывает соединение с БД проекта
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.connection) {
+      await this.connection.end();
+      this.connection = null;
+    }
+  }
+}
+
+module.exports = MySQLSchemaSource;
@@ -0,0 +1,207 @@
+// src/core/project-understanding/schema-sources/postgres-source.js
+
+const { Client } = require('pg');
+const BaseSchemaSource = require('./base-source');
+
+/**
+ * Таймаут подключения к БД проекта по умолчанию (мс)
+ */
+const DEFAULT_CONNECT_TIMEOUT = 10000;
+
+/**
+ * Действия внешних ключей в pg_constraint (confdeltype/confupdtype)
+ */
+const FK_ACTIONS = {
+  a: 'NO ACTION',
+  r: 'RESTRICT',
+  c: 'CASCADE',
+  n: 'SET NULL',
+  d: 'SET DEFAULT'
+};
+
+/**
+ * Источник схемы из работающей БД PostgreSQL проекта
+ * Схема читается из системного каталога (pg_catalog) для одной схемы БД (по умолчанию public):
+ * information_schema не содержит методов доступа индексов и комментариев колонок
+ */
+class PostgresSchemaSource extends BaseSchemaSource {
+  /**
+   * @returns {boolean}
+   */
+  get live() {
+    return true;
+  }
+
+  /**
+   * Подключается к БД проекта
+   * @returns {Promise<Object>} - Клиент pg
+   */
+  async connect() {
+    if (!this.client) {
+      const connectionString = this.getSecret('connectionString');
+      const connectionTimeoutMillis = this.config.connectTimeout || DEFAULT_CONNECT_TIMEOUT;
+
+      const client = new Client(connectionString ? { connectionString, connectionTimeoutMillis } : {
+        host: this.config.host || 'localhost',
+        port: this.config.port || 5432,
+        user: this.config.user,
+        password: this.getSecret('password'),
+        database: this.config.database,
+        ssl: this.config.ssl,
+        connectionTimeoutMillis
+      });
+
+      await client.connect();
+      this.client = client;
+    }
+
+    return this.client;
+  }
+
+  /**
+   * Читает схему БД
+   * @returns {Promise<Object>} - { dialect, tables }
+   */
+  async readSchema() {
+    const client = await this.connect();
+    const schema = this.config.schema || 'public';
+
+    const { rows: columnRows } = await client.query(
+      `SELECT c.relname AS table_name, a.attname AS name,
+              pg_catalog.format_type(a.atttypid, a.atttypmod) AS type,
+              NOT a.attnotnull AS nullable,
+              pg_catalog.pg_get_expr(d.adbin, d.adrelid) AS default_value,
+              a.attidentity AS identity,
+              pg_catalog.col_description(c.oid, a.attnum) AS comment
+       FROM pg_catalog.pg_attribute a
+       JOIN pg_catalog.pg_class c ON c.oid = a.attrelid
+       JOIN pg_catalog.pg_namespace n ON n.oid = c.relnamespace
+       LEFT JOIN pg_catalog.pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+       WHERE n.nspname = $1 AND c.relkind IN ('r', 'p') AND a.attnum > 0 AND NOT a.attisdropped
+       ORDER BY c.relname, a.attnum`,
+      [schema]
+    );
+
+    const { rows: indexRows } = await client.query(
+      `SELECT t.relname AS table_name, i.relname AS index_name, ix.indisunique AS is_unique,
+              ix.indisprimary AS is_primary, am.amname AS index_type, a.attname AS column_name,
+              k.ordinality AS position
+       FROM pg_catalog.pg_index ix
+       JOIN pg_catalog.pg_class t ON t.oid = ix.indrelid
+       JOIN pg_catalog.pg_class i ON i.oid = ix.indexrelid
+       JOIN pg_catalog.pg_am am ON am.oid = i.relam
+       JOIN pg_catalog.pg_namespace n ON n.oid = t.relnamespace
+       JOIN LATERAL unnest(ix.indkey) WITH ORDINALITY AS k(attnum, ordinality) ON true
+       JOIN pg_catalog.pg_attribute a ON a.attrelid = t.oid AND a.attnum = k.attnum
+       WHERE n.nspname = $1
+       ORDER BY t.relname, i.relname, k.ordinality`,
+      [schema]
+    );
+
+    const { rows: foreignKeyRows } = await client.query(
+      `SELECT src.relname AS table_name, sa.attname AS column_name,
+              tgt.relname AS referenced_table, ta.attname AS referenced_column,
+              c.confdeltype AS on_delete, c.confupdtype AS on_update
+       FROM pg_catalog.pg_constraint c
+       JOIN pg_catalog.pg_class src ON src.oid = c.conrelid
+       JOIN pg_catalog.pg_class tgt ON tgt.oid = c.confrelid
+       JOIN pg_catalog.pg_namespace n ON n.oid = src.relnamespace
+       JOIN LATERAL unnest(c.conkey, c.confkey) AS k(source_attnum, target_attnum) ON true
+       JOIN pg_catalog.pg_attribute sa ON sa.attrelid = c.conrelid AND sa.attnum = k.source_attnum
+       JOIN pg_catalog.pg_attribute ta ON ta.attrelid = c.confrelid AND ta.attnum = k.target_attnum
+       WHERE c.contype = 'f' AND n.nspname = $1
+       ORDER BY src.relname, c.conname`,
+      [schema]
+    );
+
+    return {
+      dialect: 'postgres',
+      tables: this.buildTables(columnRows, indexRows, foreignKeyRows)
+    };
+  }
+
+  /**
+   * Собирает описания таблиц из строк системного каталога
+   * @param {Array<Object>} columnRows - Колонки
+   * @param {Array<Object>} indexRows - Колонки индексов
+   * @param {Array<Object>} foreignKeyRows - Колонки внешних ключей
+   * @returns {Array<Object>} - Таблицы
+   */
+  buildTables(columnRows, indexRows, foreignKeyRows) {
+    const tables = new Map();
+    const getTable = (name) => {
+      if (!tables.has(name)) {
+        tables.set(name, this.createTable(name));
+      }
+
+      return tables.get(name);
+    };
+
+    for (const row of columnRows) {
+      const autoIncrement = (row.identity && row.identity !== '') ||
+        (typeof row.default_value === 'string' && row.default_value.startsWith('nextval('));
+
+      getTable(row.table_name).columns.push({
+        name: row.name,
+        type: row.type,
+        nullable: row.nullable,
+        key: '',
+        default: row.default_value,
+        extra: autoIncrement ? 'auto_increment' : '',
+        comment: row.comment || ''
+      });
+    }
+
+    for (const row of indexRows) {
+      const table = tables.get(row.table_name);
+
+      if (!table) {
+        continue;
+      }
+
+      let index = table.indexes.find(item => item.name === row.index_name);
+
+      if (!index) {
+        index = {
+          name: row.index_name,
+          columns: [],
+          unique: row.is_unique,
+          primary: row.is_primary,
+          type: row.index_type.toUpperCase()
+        };
+        table.indexes.push(index);
+      }
+
+      index.columns.push({ name: row.column_name, position: Number(row.position) });
+    }
+
+    for (const row of foreignKeyRows) {
+      const table = tables.get(row.table_name);
+
+      if (table) {
+        table.foreign_keys.push({
+          column: row.column_name,
+          referenced_table: row.referenced_table,
+          referenced_column: row.referenced_column,
+          on_delete: FK_ACTIONS[row.on_delete] || 'NO ACTION',
+          on_update: FK_ACTIONS[row.on_update] || 'NO ACTION'
+        });
+      }
+    }
+
+    return [...tables.values()].map(table => this.markKeyColumns(table));
+  }
+
+  /**
+   * Закрывает соединение с БД проекта
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.client) {
+      await this.client.end();
+      this.client = null;
+    }
+  }
+}
+
+module.exports = PostgresSchemaSource;
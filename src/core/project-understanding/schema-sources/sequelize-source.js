@@ -0,0 +1,500 @@
+// src/core/project-understanding/schema-sources/sequelize-source.js
+
+const fs = require('fs').promises;
+const path = require('path');
+const parser = require('@babel/parser');
+const traverse = require('@babel/traverse').default;
+const { Utils } = require('sequelize');
+const BaseSchemaSource = require('./base-source');
+
+/**
+ * Расширения файлов моделей
+ */
+const MODEL_EXTENSIONS = ['.js', '.cjs', '.mjs', '.ts'];
+
+/**
+ * Типы Sequelize, которые называются в SQL иначе
+ */
+const TYPE_NAMES = {
+  STRING: 'VARCHAR',
+  DATE: 'DATETIME',
+  DATEONLY: 'DATE',
+  NOW: 'DATETIME'
+};
+
+/**
+ * Источник схемы из определений моделей Sequelize (без подключения к БД)
+ * Модели разбираются статически по AST, код проекта не выполняется. Поддерживаются
+ * sequelize.define(name, attributes, options) и Model.init(attributes, options),
+ * а также связи belongsTo/hasOne/hasMany (внешние ключи). Имена таблиц и колонок
+ * вычисляются по правилам Sequelize 6 (tableName, freezeTableName, underscored, timestamps)
+ */
+class SequelizeModelSource extends BaseSchemaSource {
+  /**
+   * Читает схему из файлов моделей
+   * @returns {Promise<Object>} - { dialect, tables, files }
+   */
+  async readSchema() {
+    const directory = this.resolveProjectPath(this.config.path);
+    const files = await this._listModelFiles(directory);
+    const models = [];
+    const associations = [];
+
+    for (const file of files) {
+      const content = await fs.readFile(path.join(directory, file), 'utf8');
+      const parsed = this.parseModels(content, file);
+
+      models.push(...parsed.models);
+      associations.push(...parsed.associations);
+    }
+
+    if (models.length === 0) {
+      throw new Error(`Модели Sequelize не найдены в ${this.config.path || '.'}`);
+    }
+
+    return {
+      dialect: this.config.dialect || 'sequelize',
+      tables: this.buildTables(models, associations),
+      files: files.length
+    };
+  }
+
+  /**
+   * Находит определения моделей и связи в файле
+   * @param {string} content - Содержимое файла
+   * @param {string} [filePath=''] - Путь к файлу (для TypeScript)
+   * @returns {Object} - { models: [{ name, aliases, attributes, options }], associations }
+   */
+  parseModels(content, filePath = '') {
+    const ast = parser.parse(content, {
+      sourceType: 'unambiguous',
+      errorRecovery: true,
+      plugins: [...(filePath.endsWith('.ts') ? ['typescript'] : []), 'classProperties', 'decorators-legacy']
+    });
+
+    const models = [];
+    const associations = [];
+
+    traverse(ast, {
+      CallExpression: (callPath) => {
+        const { callee, arguments: args } = callPath.node;
+
+        if (callee.type !== 'MemberExpression' || callee.property.type !== 'Identifier') {
+          return;
+        }
+
+        const method = callee.property.name;
+
+        // sequelize.define('User', { ... }, { ... })
+        if (method === 'define' && args[0] && args[0].type === 'StringLiteral' && args[1] && args[1].type === 'ObjectExpression') {
+          const variable = callPath.parentPath.isVariableDeclarator() && callPath.parent.id.type === 'Identifier'
+            ? callPath.parent.id.name
+            : null;
+
+          models.push({
+            name: args[0].value,
+            aliases: [variable].filter(Boolean),
+            attributes: args[1],
+            options: args[2] && args[2].type === 'ObjectExpression' ? this._toValue(args[2]) : {}
+          });
+          return;
+        }
+
+        // User.init({ ... }, { sequelize, ... })
+        if (method === 'init' && args[0] && args[0].type === 'ObjectExpression' && args[1] && args[1].type === 'ObjectExpression') {
+          const className = this._getModelReference(callee.object, callPath);
+          const options = this._toValue(args[1]);
+
+          if (className && ('sequelize' in options || 'modelName' in options || 'tableName' in options)) {
+            models.push({
+              name: options.modelName || className,
+              aliases: [className],
+              attributes: args[0],
+              options
+            });
+          }
+          return;
+        }
+
+        // User.belongsTo(models.Team, { foreignKey: 'team_id' })
+        if (['belongsTo', 'hasOne', 'hasMany'].includes(method) && args[0]) {
+          const source = this._getModelReference(callee.object, callPath);
+          const target = this._getModelReference(args[0], callPath);
+
+          if (source && target) {
+            associations.push({
+              type: method,
+              source,
+              target,
+              options: args[1] && args[1].type === 'ObjectExpression' ? this._toValue(args[1]) : {}
+            });
+          }
+        }
+      }
+    });
+
+    return { models, associations };
+  }
+
+  /**
+   * Строит таблицы по моделям и связям
+   * @param {Array<Object>} models - Модели (см. parseModels)
+   * @param {Array<Object>} associations - Связи
+   * @returns {Array<Object>} - Таблицы
+   */
+  buildTables(models, associations) {
+    const byName = new Map();
+
+    for (const model of models) {
+      const table = this._buildModelTable(model);
+      const entry = { model, table };
+
+      [model.name, ...model.aliases].forEach(name => byName.set(name, entry));
+    }
+
+    for (const association of associations) {
+      const source = byName.get(association.source);
+      const target = byName.get(association.target);
+
+      if (!source || !target) {
+        continue;
+      }
+
+      // belongsTo хранит ключ в исходной модели, hasOne/hasMany - в целевой
+      const owner = association.type === 'belongsTo' ? source : target;
+      const referenced = association.type === 'belongsTo' ? target : source;
+      const foreignKey = association.options.foreignKey;
+      const referencedKey = association.options.targetKey || association.options.sourceKey ||
+        (referenced.table.indexes.find(index => index.primary) || { columns: [{ name: 'id' }] }).columns[0].name;
+
+      let attribute = typeof foreignKey === 'object' && foreignKey !== null ? foreignKey.name : foreignKey;
+
+      if (!attribute) {
+        const prefix = association.type === 'belongsTo'
+          ? association.options.as || referenced.model.name
+          : referenced.model.name;
+
+        attribute = Utils.camelize(`${Utils.singularize(prefix)}_${referencedKey}`);
+      }
+
+      const columnName = owner.model.options.underscored ? Utils.underscore(attribute) : attribute;
+
+      if (!owner.table.columns.some(column => column.name === columnName)) {
+        owner.table.columns.push(this._createColumn(columnName, { type: 'INTEGER', allowNull: true }));
+      }
+
+      if (!owner.table.foreign_keys.some(fk => fk.column === columnName)) {
+        owner.table.foreign_keys.push({
+          column: columnName,
+          referenced_table: referenced.table.name,
+          referenced_column: referencedKey,
+          on_delete: (association.options.onDelete || 'SET NULL').toUpperCase(),
+          on_update: (association.options.onUpdate || 'CASCADE').toUpperCase()
+        });
+      }
+    }
+
+    const tables = new Map();
+
+    for (const { table } of byName.values()) {
+      tables.set(table.name, this.markKeyColumns(table));
+    }
+
+    // Ссылки references: { model: 'users' } в атрибутах указывают на имя таблицы или модели
+    for (const table of tables.values()) {
+      for (const fk of table.foreign_keys) {
+        const entry = byName.get(fk.referenced_table);
+
+        if (entry && !tables.has(fk.referenced_table)) {
+          fk.referenced_table = entry.table.name;
+        }
+      }
+    }
+
+    return [...tables.values()];
+  }
+
+  /**
+   * Строит таблицу модели
+   * @private
+   * @param {Object} model - Модель
+   * @returns {Object} - Таблица
+   */
+  _buildModelTable(model) {
+    const options = model.options;
+    const tableName = options.tableName || (options.freezeTableName
+      ? model.name
+      : Utils.underscoredIf(Utils.pluralize(model.name), !!options.underscored));
+    const table = this.createTable(tableName);
+
+    for (const property of model.attributes.properties) {
+      if (property.type !== 'ObjectProperty') {
+        continue;
+      }
+
+      const attributeName = this._getKeyName(property.key);
+      const definition = property.value.type === 'ObjectExpression'
+        ? this._toValue(property.value, true)
+        : { type: this._renderType(property.value) };
+
+      if (!attributeName || !definition.type) {
+        continue;
+      }
+
+      const columnName = definition.field || (options.underscored ? Utils.underscore(attributeName) : attributeName);
+      const column = this._createColumn(columnName, definition);
+
+      table.columns.push(column);
+
+      if (definition.primaryKey) {
+        const primary = table.indexes.find(index => index.primary);
+
+        if (primary) {
+          primary.columns.push({ name: columnName, position: primary.columns.length + 1 });
+        } else {
+          table.indexes.push({ name: 'PRIMARY', columns: [{ name: columnName, position: 1 }], unique: true, primary: true, type: 'BTREE' });
+        }
+      } else if (definition.unique) {
+        const indexName = typeof definition.unique === 'string' ? definition.unique : columnName;
+        const index = table.indexes.find(item => item.name === indexName);
+
+        if (index) {
+          index.columns.push({ name: columnName, position: index.columns.length + 1 });
+        } else {
+          table.indexes.push({ name: indexName, columns: [{ name: columnName, position: 1 }], unique: true, primary: false, type: 'BTREE' });
+        }
+      }
+
+      if (definition.references && definition.references.model) {
+        table.foreign_keys.push({
+          column: columnName,
+          referenced_table: definition.references.model,
+          referenced_column: definition.references.key || 'id',
+          on_delete: (definition.onDelete || 'SET NULL').toUpperCase(),
+          on_update: (definition.onUpdate || 'CASCADE').toUpperCase()
+        });
+      }
+    }
+
+    // Sequelize добавляет первичный ключ id, если он не объявлен
+    if (!table.indexes.some(index => index.primary)) {
+      table.columns.unshift(this._createColumn('id', { type: 'INTEGER', allowNull: false, autoIncrement: true }));
+      table.indexes.push({ name: 'PRIMARY', columns: [{ name: 'id', position: 1 }], unique: true, primary: true, type: 'BTREE' });
+    }
+
+    if (options.timestamps !== false) {
+      const timestampColumns = [
+        [options.createdAt, 'createdAt'],
+        [options.updatedAt, 'updatedAt'],
+        ...(options.paranoid ? [[options.deletedAt, 'deletedAt']] : [])
+      ];
+
+      for (const [custom, attribute] of timestampColumns) {
+        if (custom === false) {
+          continue;
+        }
+
+        const name = typeof custom === 'string' ? custom : (options.underscored ? Utils.underscore(attribute) : attribute);
+
+        if (!table.columns.some(column => column.name === name)) {
+          table.columns.push(this._createColumn(name, { type: 'DATETIME', allowNull: attribute === 'deletedAt' }));
+        }
+      }
+    }
+
+    for (const index of options.indexes || []) {
+      if (Array.isArray(index.fields)) {
+        table.indexes.push({
+          name: index.name || `${tableName}_${index.fields.map(field => (typeof field === 'string' ? field : field.name)).join('_')}`,
+          columns: index.fields.map((field, position) => ({ name: typeof field === 'string' ? field : field.name, position: position + 1 })),
+          unique: !!index.unique,
+          primary: false,
+          type: (index.using || index.type || 'BTREE').toUpperCase()
+        });
+      }
+    }
+
+    return table;
+  }
+
+  /**
+   * Создает описание колонки по определению атрибута
+   * @private
+   */
+  _createColumn(name, definition) {
+    const primaryKey = !!definition.primaryKey;
+
+    return {
+      name,
+      type: definition.type,
+      nullable: definition.allowNull !== undefined ? !!definition.allowNull : !primaryKey,
+      key: '',
+      default: definition.defaultValue !== undefined && typeof definition.defaultValue !== 'object'
+        ? String(definition.defaultValue)
+        : null,
+      extra: definition.autoIncrement ? 'auto_increment' : '',
+      comment: definition.comment || ''
+    };
+  }
+
+  /**
+   * Возвращает SQL-тип по выражению DataTypes.X, DataTypes.X(args), DataTypes.X.UNSIGNED
+   * @private
+   * @param {Object} node - Узел AST
+   * @returns {string|null} - Тип
+   */
+  _renderType(node) {
+    if (!node) {
+      return null;
+    }
+
+    if (node.type === 'StringLiteral') {
+      return node.value;
+    }
+
+    if (node.type === 'CallExpression') {
+      const base = this._renderType(node.callee);
+
+      if (!base) {
+        return null;
+      }
+
+      // ARRAY(DataTypes.STRING) -> VARCHAR(255)[]
+      if (base === 'ARRAY') {
+        return `${this._renderType(node.arguments[0]) || 'TEXT'}[]`;
+      }
+
+      const args = node.arguments.map(argument => {
+        if (argument.type === 'StringLiteral') return base === 'ENUM' ? `'${argument.value}'` : argument.value;
+        if (argument.type === 'NumericLiteral') return String(argument.value);
+        return null;
+      }).filter(argument => argument !== null);
+
+      return args.length > 0 ? `${base.replace(/\(\d+\)$/, '')}(${args.join(',')})` : base;
+    }
+
+    if (node.type === 'MemberExpression' && node.property.type === 'Identifier') {
+      const name = node.property.name;
+      const objectType = node.object.type === 'MemberExpression' || node.object.type === 'CallExpression'
+        ? this._renderType(node.object)
+        : null;
+
+      // DataTypes.INTEGER.UNSIGNED
+      if (objectType) {
+        return `${objectType} ${name}`;
+      }
+
+      if (name === 'STRING') {
+        return 'VARCHAR(255)';
+      }
+
+      return TYPE_NAMES[name] || name;
+    }
+
+    return null;
+  }
+
+  /**
+   * Преобразует литерал объекта в значение (вложенные объекты, строки, числа, булевы)
+   * @private
+   * @param {Object} node - Узел ObjectExpression
+   * @param {boolean} [withType=false] - Преобразовывать поле type в SQL-тип
+   * @returns {Object}
+   */
+  _toValue(node, withType = false) {
+    const result = {};
+
+    for (const property of node.properties) {
+      if (property.type !== 'ObjectProperty') {
+        continue;
+      }
+
+      const key = this._getKeyName(property.key);
+      const value = property.value;
+
+      if (!key) {
+        continue;
+      }
+
+      if (withType && key === 'type') {
+        result.type = this._renderType(value);
+      } else if (['StringLiteral', 'NumericLiteral', 'BooleanLiteral'].includes(value.type)) {
+        result[key] = value.value;
+      } else if (value.type === 'NullLiteral') {
+        result[key] = null;
+      } else if (value.type === 'ObjectExpression') {
+        result[key] = this._toValue(value);
+      } else if (value.type === 'ArrayExpression') {
+        result[key] = value.elements.map(element => {
+          if (!element) return null;
+          if (element.type === 'ObjectExpression') return this._toValue(element);
+          return element.value !== undefined ? element.value : null;
+        });
+      } else if (value.type === 'Identifier') {
+        // Ссылка на переменную: { sequelize }, { model: User }
+        result[key] = value.name;
+      } else if (value.type === 'MemberExpression') {
+        // { model: models.User } или { defaultValue: DataTypes.NOW }
+        result[key] = key === 'defaultValue' ? this._renderType(value) : this._getModelReference(value);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Возвращает имя модели по ссылке: User, models.User, this (в статическом методе класса)
+   * @private
+   */
+  _getModelReference(node, nodePath = null) {
+    if (node.type === 'Identifier') {
+      return node.name;
+    }
+
+    if (node.type === 'MemberExpression' && !node.computed && node.property.type === 'Identifier') {
+      return node.property.name;
+    }
+
+    if (node.type === 'ThisExpression' && nodePath) {
+      const classPath = nodePath.findParent(parent => parent.isClassDeclaration() || parent.isClassExpression());
+
+      return classPath && classPath.node.id ? classPath.node.id.name : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Возвращает имя ключа свойства объекта
+   * @private
+   */
+  _getKeyName(key) {
+    if (key.type === 'Identifier') return key.name;
+    if (key.type === 'StringLiteral') return key.value;
+    return null;
+  }
+
+  /**
+   * Рекурсивно находит файлы моделей (index.js, который только загружает модели, тоже разбирается)
+   * @private
+   * @returns {Promise<Array<string>>} - Пути относительно директории
+   */
+  async _listModelFiles(directory, prefix = '') {
+    const files = [];
+    const entries = await fs.readdir(path.join(directory, prefix), { withFileTypes: true });
+
+    for (const entry of entries) {
+      const relativePath = path.join(prefix, entry.name);
+
+      if (entry.isDirectory() && entry.name !== 'node_modules') {
+        files.push(...await this._listModelFiles(directory, relativePath));
+      } else if (MODEL_EXTENSIONS.includes(path.extname(entry.name)) && !/\.(test|spec|d)\.[cm]?[jt]s$/.test(entry.name)) {
+        files.push(relativePath);
+      }
+    }
+
+    return files.sort();
+  }
+}
+
+module.exports = SequelizeModelSource;
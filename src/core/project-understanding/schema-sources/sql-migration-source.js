@@ -0,0 +1,842 @@
+// src/core/project-understanding/schema-sources/sql-migration-source.js
+
+const fs = require('fs').promises;
+const path = require('path');
+const BaseSchemaSource = require('./base-source');
+
+/**
+ * Файлы отката миграций (down), которые не применяются при построении схемы
+ */
+const DOWN_MIGRATION_PATTERN = /(^|[\\/._-])down\.sql$/i;
+
+/**
+ * Ключевые слова, завершающие тип колонки в ее определении
+ */
+const COLUMN_TYPE_STOP_WORDS = new Set([
+  'NOT', 'NULL', 'DEFAULT', 'PRIMARY', 'UNIQUE', 'REFERENCES', 'AUTO_INCREMENT', 'AUTOINCREMENT',
+  'CHECK', 'COMMENT', 'CONSTRAINT', 'GENERATED', 'COLLATE', 'CHARACTER', 'CHARSET', 'ON', 'AS', 'KEY'
+]);
+
+/**
+ * Ключевые слова, с которых начинаются ограничения таблицы (а не колонки)
+ */
+const TABLE_CONSTRAINT_PATTERN = /^(CONSTRAINT|PRIMARY\s+KEY|UNIQUE|FOREIGN\s+KEY|INDEX|KEY|FULLTEXT|SPATIAL|CHECK|EXCLUDE)\b/i;
+
+/**
+ * Источник схемы из SQL-файлов миграций проекта (без подключения к БД)
+ * Миграции применяются по порядку имен файлов (с учетом чисел: V2 раньше V10);
+ * поддерживаются CREATE/ALTER/DROP TABLE, CREATE/DROP INDEX, RENAME TABLE и COMMENT ON COLUMN
+ * в диалектах MySQL и PostgreSQL. Остальные операторы (DML, функции, триггеры) пропускаются
+ */
+class SqlMigrationSource extends BaseSchemaSource {
+  /**
+   * Читает схему, применяя миграции по порядку
+   * @returns {Promise<Object>} - { dialect, tables, files }
+   */
+  async readSchema() {
+    const directory = this.resolveProjectPath(this.config.path);
+    const files = (await this._listSqlFiles(directory))
+      .filter(file => !DOWN_MIGRATION_PATTERN.test(file))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    if (files.length === 0) {
+      throw new Error(`SQL-миграции не найдены в ${this.config.path || '.'}`);
+    }
+
+    const tables = new Map();
+    let content = '';
+
+    for (const file of files) {
+      const sql = await fs.readFile(path.join(directory, file), 'utf8');
+
+      this.applySql(sql, tables);
+      content += sql;
+    }
+
+    return {
+      dialect: this.config.dialect || this.detectDialect(content),
+      tables: [...tables.values()].map(table => this.markKeyColumns(table)),
+      files: files.length
+    };
+  }
+
+  /**
+   * Применяет SQL к схеме
+   * @param {string} sql - SQL одной или нескольких миграций
+   * @param {Map<string, Object>} [tables=new Map()] - Текущая схема (имя -> таблица)
+   * @returns {Map<string, Object>} - Схема после применения
+   */
+  applySql(sql, tables = new Map()) {
+    for (const statement of this.splitStatements(sql)) {
+      const normalized = statement.replace(/\s+/g, ' ').trim();
+
+      if (/^CREATE (TEMPORARY |TEMP )?TABLE /i.test(normalized)) {
+        this._applyCreateTable(statement, tables);
+      } else if (/^ALTER TABLE /i.test(normalized)) {
+        this._applyAlterTable(statement, tables);
+      } else if (/^DROP TABLE /i.test(normalized)) {
+        this._applyDropTable(normalized, tables);
+      } else if (/^CREATE (UNIQUE )?INDEX /i.test(normalized)) {
+        this._applyCreateIndex(normalized, tables);
+      } else if (/^DROP INDEX /i.test(normalized)) {
+        this._applyDropIndex(normalized, tables);
+      } else if (/^RENAME TABLE /i.test(normalized)) {
+        this._applyRenameTable(normalized, tables);
+      } else if (/^COMMENT ON COLUMN /i.test(normalized)) {
+        this._applyColumnComment(normalized, tables);
+      }
+    }
+
+    return tables;
+  }
+
+  /**
+   * Определяет диалект по характерным конструкциям
+   * @param {string} sql - SQL миграций
+   * @returns {string} - 'mysql', 'postgres' или 'sql'
+   */
+  detectDialect(sql) {
+    if (/`|\bAUTO_INCREMENT\b|\bENGINE\s*=/i.test(sql)) {
+      return 'mysql';
+    }
+
+    if (/\b(BIG)?SERIAL\b|\$\$|::|\bJSONB\b|\bGENERATED\s+(ALWAYS|BY\s+DEFAULT)\s+AS\s+IDENTITY\b/i.test(sql)) {
+      return 'postgres';
+    }
+
+    return 'sql';
+  }
+
+  /**
+   * Разбивает SQL на операторы без комментариев с учетом строк, идентификаторов в кавычках
+   * и блоков $$...$$ PostgreSQL
+   * @param {string} sql - SQL
+   * @returns {Array<string>} - Операторы
+   */
+  splitStatements(sql) {
+    const statements = [];
+    let current = '';
+    let i = 0;
+
+    while (i < sql.length) {
+      const char = sql[i];
+      const next = sql[i + 1];
+
+      if (char === '-' && next === '-') {
+        while (i < sql.length && sql[i] !== '\n') i++;
+        continue;
+      }
+
+      if (char === '/' && next === '*') {
+        const end = sql.indexOf('*/', i + 2);
+        i = end === -1 ? sql.length : end + 2;
+        current += ' ';
+        continue;
+      }
+
+      if (char === '\'' || char === '"' || char === '`') {
+        let end = i + 1;
+
+        while (end < sql.length) {
+          if (sql[end] === char && sql[end + 1] === char) {
+            end += 2;
+          } else if (sql[end] === char) {
+            break;
+          } else {
+            end += sql[end] === '\\' && char === '\'' ? 2 : 1;
+          }
+        }
+
+        current += sql.substring(i, end + 1);
+        i = end + 1;
+        continue;
+      }
+
+      if (char === '$') {
+        const tag = sql.substring(i).match(/^\$[A-Za-z_]*\$/);
+
+        if (tag) {
+          const end = sql.indexOf(tag[0], i + tag[0].length);
+          const stop = end === -1 ? sql.length : end + tag[0].length;
+
+          current += sql.substring(i, stop);
+          i = stop;
+          continue;
+        }
+      }
+
+      if (char === ';') {
+        if (current.trim()) statements.push(current.trim());
+        current = '';
+        i++;
+        continue;
+      }
+
+      current += char;
+      i++;
+    }
+
+    if (current.trim()) statements.push(current.trim());
+
+    return statements;
+  }
+
+  /**
+   * CREATE TABLE name (определения)
+   * @private
+   */
+  _applyCreateTable(statement, tables) {
+    const header = statement.match(/^CREATE\s+(TEMPORARY\s+|TEMP\s+)?TABLE\s+(IF\s+NOT\s+EXISTS\s+)?([^\s(]+)\s*\(/i);
+
+    if (!header || header[1]) {
+      return;
+    }
+
+    const name = this._unquoteName(header[3]);
+    const body = this._extractParenthesized(statement, header[0].length - 1);
+
+    if (body === null) {
+      return;
+    }
+
+    if (header[2] && tables.has(name)) {
+      return;
+    }
+
+    const table = this.createTable(name);
+
+    for (const definition of this._splitTopLevel(body)) {
+      if (TABLE_CONSTRAINT_PATTERN.test(definition)) {
+        this._applyTableConstraint(table, definition);
+      } else if (/^LIKE\b/i.test(definition)) {
+        continue;
+      } else {
+        this._addColumn(table, definition);
+      }
+    }
+
+    tables.set(name, table);
+  }
+
+  /**
+   * ALTER TABLE name действие, действие...
+   * @private
+   */
+  _applyAlterTable(statement, tables) {
+    const header = statement.match(/^ALTER\s+TABLE\s+(IF\s+EXISTS\s+)?(ONLY\s+)?([^\s]+)\s+/i);
+
+    if (!header) {
+      return;
+    }
+
+    const name = this._unquoteName(header[3]);
+    const table = tables.get(name);
+
+    if (!table) {
+      return;
+    }
+
+    for (const rawAction of this._splitTopLevel(statement.substring(header[0].length))) {
+      const action = rawAction.replace(/\s+/g, ' ').trim();
+      let match;
+
+      if ((match = action.match(/^RENAME (TO|AS) (\S+)$/i))) {
+        const newName = this._unquoteName(match[2]);
+
+        tables.delete(name);
+        table.name = newName;
+        tables.set(newName, table);
+        this._renameReferences(tables, name, newName);
+      } else if ((match = action.match(/^RENAME (COLUMN )?(\S+) TO (\S+)$/i))) {
+        this._renameColumn(tables, table, this._unquote(match[2]), this._unquote(match[3]));
+      } else if (/^ADD (CONSTRAINT|PRIMARY KEY|UNIQUE|FOREIGN KEY|INDEX|KEY|FULLTEXT|SPATIAL|CHECK)\b/i.test(action)) {
+        this._applyTableConstraint(table, rawAction.trim().replace(/^ADD\s+/i, ''));
+      } else if ((match = rawAction.trim().match(/^ADD\s+(COLUMN\s+)?(IF\s+NOT\s+EXISTS\s+)?([\s\S]+)$/i))) {
+        this._addColumn(table, match[3]);
+      } else if (/^DROP PRIMARY KEY$/i.test(action)) {
+        table.indexes = table.indexes.filter(index => !index.primary);
+      } else if ((match = action.match(/^DROP (INDEX|KEY) (IF EXISTS )?(\S+)$/i))) {
+        this._dropConstraint(table, this._unquote(match[3]));
+      } else if ((match = action.match(/^DROP (FOREIGN KEY|CONSTRAINT) (IF EXISTS )?(\S+)( CASCADE| RESTRICT)?$/i))) {
+        this._dropConstraint(table, this._unquote(match[3]));
+      } else if ((match = action.match(/^DROP (COLUMN )?(IF EXISTS )?(\S+)( CASCADE| RESTRICT)?$/i))) {
+        this._dropColumn(table, this._unquote(match[3]));
+      } else if ((match = rawAction.trim().match(/^MODIFY\s+(COLUMN\s+)?([\s\S]+)$/i))) {
+        this._replaceColumn(table, null, match[2]);
+      } else if ((match = rawAction.trim().match(/^CHANGE\s+(COLUMN\s+)?(\S+)\s+([\s\S]+)$/i))) {
+        this._replaceColumn(table, this._unquote(match[2]), match[3]);
+      } else if ((match = action.match(/^ALTER (COLUMN )?(\S+) (.+)$/i))) {
+        this._alterColumn(table, this._unquote(match[2]), match[3]);
+      }
+    }
+  }
+
+  /**
+   * DROP TABLE a, b
+   * @private
+   */
+  _applyDropTable(statement, tables) {
+    const match = statement.match(/^DROP TABLE (IF EXISTS )?(.+?)( CASCADE| RESTRICT)?$/i);
+
+    if (match) {
+      match[2].split(',').forEach(name => tables.delete(this._unquoteName(name.trim())));
+    }
+  }
+
+  /**
+   * CREATE [UNIQUE] INDEX name ON table [USING method] (колонки)
+   * @private
+   */
+  _applyCreateIndex(statement, tables) {
+    const match = statement.match(/^CREATE (UNIQUE )?INDEX (CONCURRENTLY )?(IF NOT EXISTS )?(\S+)? ?ON (ONLY )?([^\s(]+) ?(USING (\w+) ?)?\(/i);
+
+    if (!match) {
+      return;
+    }
+
+    const table = tables.get(this._unquoteName(match[6]));
+    const columns = this._extractParenthesized(statement, match[0].length - 1);
+
+    if (!table || columns === null) {
+      return;
+    }
+
+    const name = match[4] ? this._unquoteName(match[4]) : `${table.name}_idx`;
+
+    if (match[3] && table.indexes.some(index => index.name === name)) {
+      return;
+    }
+
+    table.indexes.push({
+      name,
+      columns: this._parseIndexColumns(columns),
+      unique: !!match[1],
+      primary: false,
+      type: match[8] ? match[8].toUpperCase() : 'BTREE'
+    });
+  }
+
+  /**
+   * DROP INDEX name [ON table]
+   * @private
+   */
+  _applyDropIndex(statement, tables) {
+    const match = statement.match(/^DROP INDEX (CONCURRENTLY )?(IF EXISTS )?(\S+)( ON (\S+))?/i);
+
+    if (!match) {
+      return;
+    }
+
+    const name = this._unquoteName(match[3]);
+    const targets = match[5] ? [tables.get(this._unquoteName(match[5]))].filter(Boolean) : [...tables.values()];
+
+    targets.forEach(table => this._dropConstraint(table, name));
+  }
+
+  /**
+   * RENAME TABLE a TO b, c TO d
+   * @private
+   */
+  _applyRenameTable(statement, tables) {
+    for (const pair of statement.replace(/^RENAME TABLE /i, '').split(',')) {
+      const match = pair.trim().match(/^(\S+) TO (\S+)$/i);
+      const table = match && tables.get(this._unquoteName(match[1]));
+
+      if (table) {
+        const oldName = table.name;
+        const newName = this._unquoteName(match[2]);
+
+        tables.delete(oldName);
+        table.name = newName;
+        tables.set(newName, table);
+        this._renameReferences(tables, oldName, newName);
+      }
+    }
+  }
+
+  /**
+   * COMMENT ON COLUMN table.column IS 'текст'
+   * @private
+   */
+  _applyColumnComment(statement, tables) {
+    const match = statement.match(/^COMMENT ON COLUMN (\S+) IS (NULL|'((?:[^']|'')*)')$/i);
+
+    if (!match) {
+      return;
+    }
+
+    const parts = match[1].split('.').map(part => this._unquote(part));
+    const columnName = parts.pop();
+    const table = tables.get(parts.pop());
+    const column = table && table.columns.find(item => item.name === columnName);
+
+    if (column) {
+      column.comment = match[3] !== undefined ? match[3].replace(/''/g, '\'') : '';
+    }
+  }
+
+  /**
+   * Добавляет колонку по ее определению
+   * @private
+   */
+  _addColumn(table, definition) {
+    const column = this._parseColumn(table, definition);
+
+    if (column) {
+      table.columns = table.columns.filter(item => item.name !== column.name);
+      table.columns.push(column);
+    }
+  }
+
+  /**
+   * Заменяет определение колонки (MODIFY, CHANGE)
+   * @private
+   */
+  _replaceColumn(table, oldName, definition) {
+    const column = this._parseColumn(table, definition);
+
+    if (!column) {
+      return;
+    }
+
+    const position = table.columns.findIndex(item => item.name === (oldName || column.name));
+
+    if (position === -1) {
+      table.columns.push(column);
+    } else {
+      table.columns[position] = column;
+    }
+
+    if (oldName && oldName !== column.name) {
+      this._renameColumnReferences(table, oldName, column.name);
+    }
+  }
+
+  /**
+   * ALTER COLUMN name TYPE ... / SET NOT NULL / DROP DEFAULT ...
+   * @private
+   */
+  _alterColumn(table, name, change) {
+    const column = table.columns.find(item => item.name === name);
+    let match;
+
+    if (!column) {
+      return;
+    }
+
+    if ((match = change.match(/^(SET DATA )?TYPE (.+?)( USING .*)?$/i))) {
+      column.type = match[2].replace(/ COLLATE .*$/i, '');
+    } else if (/^SET NOT NULL$/i.test(change)) {
+      column.nullable = false;
+    } else if (/^DROP NOT NULL$/i.test(change)) {
+      column.nullable = true;
+    } else if ((match = change.match(/^SET DEFAULT (.+)$/i))) {
+      column.default = this._parseDefault(match[1]);
+    } else if (/^DROP DEFAULT$/i.test(change)) {
+      column.default = null;
+    }
+  }
+
+  /**
+   * Удаляет колонку вместе с индексами и внешними ключами по ней
+   * @private
+   */
+  _dropColumn(table, name) {
+    table.columns = table.columns.filter(column => column.name !== name);
+    table.indexes = table.indexes
+      .map(index => ({ ...index, columns: index.columns.filter(column => column.name !== name) }))
+      .filter(index => index.columns.length > 0);
+    table.foreign_keys = table.foreign_keys.filter(fk => fk.column !== name);
+  }
+
+  /**
+   * Удаляет индекс или ограничение по имени
+   * @private
+   */
+  _dropConstraint(table, name) {
+    table.indexes = table.indexes.filter(index => index.name !== name);
+    table.foreign_keys = table.foreign_keys.filter(fk => fk.name !== name);
+  }
+
+  /**
+   * Переименовывает колонку во всех ссылках на нее
+   * @private
+   */
+  _renameColumn(tables, table, oldName, newName) {
+    const column = table.columns.find(item => item.name === oldName);
+
+    if (!column) {
+      return;
+    }
+
+    column.name = newName;
+    this._renameColumnReferences(table, oldName, newName);
+
+    for (const other of tables.values()) {
+      other.foreign_keys
+        .filter(fk => fk.referenced_table === table.name && fk.referenced_column === oldName)
+        .forEach(fk => { fk.referenced_column = newName; });
+    }
+  }
+
+  /**
+   * Переименовывает колонку в индексах и внешних ключах таблицы
+   * @private
+   */
+  _renameColumnReferences(table, oldName, newName) {
+    table.indexes.forEach(index => index.columns
+      .filter(column => column.name === oldName)
+      .forEach(column => { column.name = newName; }));
+    table.foreign_keys
+      .filter(fk => fk.column === oldName)
+      .forEach(fk => { fk.column = newName; });
+  }
+
+  /**
+   * Обновляет внешние ключи после переименования таблицы
+   * @private
+   */
+  _renameReferences(tables, oldName, newName) {
+    for (const table of tables.values()) {
+      table.foreign_keys
+        .filter(fk => fk.referenced_table === oldName)
+        .forEach(fk => { fk.referenced_table = newName; });
+    }
+  }
+
+  /**
+   * Разбирает определение колонки: name type [модификаторы]
+   * @private
+   * @returns {Object|null} - Колонка
+   */
+  _parseColumn(table, definition) {
+    const tokens = this._tokenize(definition);
+
+    if (tokens.length < 2) {
+      return null;
+    }
+
+    const name = this._unquote(tokens[0]);
+    const typeTokens = [];
+    let i = 1;
+
+    // Первое слово всегда относится к типу: character varying(255)
+    while (i < tokens.length && (i === 1 || !COLUMN_TYPE_STOP_WORDS.has(tokens[i].toUpperCase()))) {
+      typeTokens.push(tokens[i]);
+      i++;
+    }
+
+    const type = typeTokens.join(' ');
+    const column = {
+      name,
+      type,
+      nullable: true,
+      key: '',
+      default: null,
+      extra: /^(SMALL|BIG)?SERIAL\d?$/i.test(type) ? 'auto_increment' : '',
+      comment: ''
+    };
+
+    if (column.extra) {
+      column.nullable = false;
+    }
+
+    for (; i < tokens.length; i++) {
+      const word = tokens[i].toUpperCase();
+      const nextWord = (tokens[i + 1] || '').toUpperCase();
+
+      if (word === 'NOT' && nextWord === 'NULL') {
+        column.nullable = false;
+        i++;
+      } else if (word === 'NULL') {
+        column.nullable = true;
+      } else if (word === 'DEFAULT' && tokens[i + 1] !== undefined) {
+        column.default = this._parseDefault(tokens[++i]);
+      } else if (word === 'PRIMARY' && nextWord === 'KEY') {
+        column.nullable = false;
+        table.indexes = table.indexes.filter(index => !index.primary);
+        table.indexes.push({ name: 'PRIMARY', columns: [{ name, position: 1 }], unique: true, primary: true, type: 'BTREE' });
+        i++;
+      } else if (word === 'UNIQUE') {
+        table.indexes.push({ name, columns: [{ name, position: 1 }], unique: true, primary: false, type: 'BTREE' });
+
+        if (nextWord === 'KEY') i++;
+      } else if (word === 'AUTO_INCREMENT' || word === 'AUTOINCREMENT') {
+        column.extra = 'auto_increment';
+      } else if (word === 'GENERATED' && /\bAS\s+IDENTITY\b/i.test(tokens.slice(i).join(' '))) {
+        column.extra = 'auto_increment';
+        column.nullable = false;
+      } else if (word === 'COMMENT' && tokens[i + 1] !== undefined) {
+        column.comment = this._unquote(tokens[++i]);
+      } else if (word === 'REFERENCES' && tokens[i + 1] !== undefined) {
+        const reference = this._parseReference(tokens.slice(i + 1).join(' '));
+
+        if (reference) {
+          table.foreign_keys.push({
+            column: name,
+            referenced_table: reference.referenced_table,
+            referenced_column: reference.referenced_column,
+            on_delete: reference.on_delete,
+            on_update: reference.on_update
+          });
+        }
+
+        break;
+      }
+    }
+
+    return column;
+  }
+
+  /**
+   * Разбирает ограничение таблицы: PRIMARY KEY, UNIQUE, INDEX/KEY, FOREIGN KEY
+   * @private
+   */
+  _applyTableConstraint(table, definition) {
+    let rest = definition.replace(/\s+/g, ' ').trim();
+    let constraintName = null;
+    let match = rest.match(/^CONSTRAINT (\S+) /i);
+
+    if (match) {
+      constraintName = this._unquote(match[1]);
+      rest = rest.substring(match[0].length);
+    }
+
+    if ((match = rest.match(/^PRIMARY KEY ?(USING \w+ ?)?\(([^)]*)\)/i))) {
+      table.indexes = table.indexes.filter(index => !index.primary);
+      table.indexes.push({ name: 'PRIMARY', columns: this._parseIndexColumns(match[2]), unique: true, primary: true, type: 'BTREE' });
+
+      const keyColumns = this._parseIndexColumns(match[2]).map(column => column.name);
+      table.columns.filter(column => keyColumns.includes(column.name)).forEach(column => { column.nullable = false; });
+    } else if ((match = rest.match(/^FOREIGN KEY ?(\S+)? ?\(([^)]*)\) ?REFERENCES (.+)$/i))) {
+      const columns = this._parseIndexColumns(match[2]).map(column => column.name);
+      const reference = this._parseReference(match[3], columns.length);
+
+      if (reference) {
+        columns.forEach((column, position) => {
+          table.foreign_keys.push({
+            name: constraintName || (match[1] && !match[1].startsWith('(') ? this._unquote(match[1]) : null),
+            column,
+            referenced_table: reference.referenced_table,
+            referenced_column: reference.referenced_columns[position] || reference.referenced_column,
+            on_delete: reference.on_delete,
+            on_update: reference.on_update
+          });
+        });
+      }
+    } else if ((match = rest.match(/^(UNIQUE|FULLTEXT|SPATIAL)? ?(INDEX|KEY)? ?([^\s(]+)? ?(USING \w+ ?)?\(([^)]*)\)/i)) && (match[1] || match[2])) {
+      const columns = this._parseIndexColumns(match[5]);
+      const kind = (match[1] || '').toUpperCase();
+
+      table.indexes.push({
+        name: constraintName || (match[3] ? this._unquote(match[3]) : columns[0].name),
+        columns,
+        unique: kind === 'UNIQUE',
+        primary: false,
+        type: kind === 'FULLTEXT' || kind === 'SPATIAL' ? kind : (match[4] ? match[4].replace(/USING /i, '').trim().toUpperCase() : 'BTREE')
+      });
+    }
+  }
+
+  /**
+   * Разбирает REFERENCES table (columns) [ON DELETE action] [ON UPDATE action]
+   * @private
+   */
+  _parseReference(text, columnCount = 1) {
+    const match = text.match(/^([^\s(]+)\s*(\(([^)]*)\))?/);
+
+    if (!match) {
+      return null;
+    }
+
+    const referencedColumns = match[3] ? this._parseIndexColumns(match[3]).map(column => column.name) : [];
+    const onDelete = text.match(/ON DELETE (SET NULL|SET DEFAULT|NO ACTION|CASCADE|RESTRICT)/i);
+    const onUpdate = text.match(/ON UPDATE (SET NULL|SET DEFAULT|NO ACTION|CASCADE|RESTRICT)/i);
+
+    return {
+      referenced_table: this._unquoteName(match[1]),
+      referenced_column: referencedColumns[0] || 'id',
+      referenced_columns: referencedColumns.length >= columnCount ? referencedColumns : [],
+      on_delete: onDelete ? onDelete[1].toUpperCase() : 'RESTRICT',
+      on_update: onUpdate ? onUpdate[1].toUpperCase() : 'RESTRICT'
+    };
+  }
+
+  /**
+   * Разбирает список колонок индекса: a, b(10) DESC, lower(c)
+   * @private
+   */
+  _parseIndexColumns(text) {
+    return this._splitTopLevel(text).map((column, position) => ({
+      name: this._unquote(column.trim().split(/[\s(]/)[0]),
+      position: position + 1
+    }));
+  }
+
+  /**
+   * Разбирает значение по умолчанию
+   * @private
+   */
+  _parseDefault(token) {
+    if (/^NULL$/i.test(token)) {
+      return null;
+    }
+
+    return /^'.*'$/s.test(token) ? token.slice(1, -1).replace(/''/g, '\'') : token;
+  }
+
+  /**
+   * Возвращает содержимое скобок, начиная с открывающей скобки в позиции start
+   * @private
+   */
+  _extractParenthesized(text, start) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+
+      if (quote) {
+        if (char === quote) quote = null;
+        continue;
+      }
+
+      if (char === '\'' || char === '"' || char === '`') {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')' && --depth === 0) {
+        return text.substring(start + 1, i);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Разбивает текст по запятым верхнего уровня (вне скобок и кавычек)
+   * @private
+   */
+  _splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+
+    for (const char of text) {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '\'' || char === '"' || char === '`') {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+      } else if (char === ',' && depth === 0) {
+        if (current.trim()) parts.push(current.trim());
+        current = '';
+        continue;
+      }
+
+      current += char;
+    }
+
+    if (current.trim()) parts.push(current.trim());
+
+    return parts;
+  }
+
+  /**
+   * Разбивает определение на токены: слова (вместе с примыкающими скобками), строки и скобки
+   * @private
+   */
+  _tokenize(text) {
+    const tokens = [];
+    let current = '';
+    let depth = 0;
+    let quote = null;
+
+    for (const char of text.trim()) {
+      if (quote) {
+        current += char;
+        if (char === quote) quote = null;
+        continue;
+      }
+
+      if (char === '\'' || char === '"' || char === '`') {
+        quote = char;
+      } else if (char === '(') {
+        depth++;
+      } else if (char === ')') {
+        depth--;
+      } else if (/\s/.test(char) && depth === 0) {
+        if (current) tokens.push(current);
+        current = '';
+        continue;
+      }
+
+      current += char;
+    }
+
+    if (current) tokens.push(current);
+
+    // Отдельно стоящие скобки относятся к предыдущему токену: VARCHAR (255), REFERENCES users (id)
+    return tokens.reduce((result, token) => {
+      if (token.startsWith('(') && result.length > 0 && !/^(DEFAULT|CHECK)$/i.test(result[result.length - 1])) {
+        result[result.length - 1] += token;
+      } else {
+        result.push(token);
+      }
+
+      return result;
+    }, []);
+  }
+
+  /**
+   * Удаляет кавычки идентификатора или строки
+   * @private
+   */
+  _unquote(value) {
+    const trimmed = value.trim();
+
+    if (/^(`.*`|".*"|\[.*\])$/s.test(trimmed)) {
+      return trimmed.slice(1, -1);
+    }
+
+    return /^'.*'$/s.test(trimmed) ? trimmed.slice(1, -1).replace(/''/g, '\'') : trimmed;
+  }
+
+  /**
+   * Возвращает имя таблицы без схемы и кавычек (public.users -> users)
+   * @private
+   */
+  _unquoteName(value) {
+    const parts = value.trim().split('.');
+
+    return this._unquote(parts[parts.length - 1]);
+  }
+
+  /**
+   * Рекурсивно находит SQL-файлы
+   * @private
+   * @returns {Promise<Array<string>>} - Пути относительно директории
+   */
+  async _listSqlFiles(directory, prefix = '') {
+    const files = [];
+    const entries = await fs.readdir(path.join(directory, prefix), { withFileTypes: true });
+
+    for (const entry of entries) {
+      const relativePath = path.join(prefix, entry.name);
+
+      if (entry.isDirectory()) {
+        files.push(...await this._listSqlFiles(directory, relativePath));
+      } else if (entry.name.toLowerCase().endsWith('.sql')) {
+        files.push(relativePath);
+      }
+    }
+
+    return files;
+  }
+}
+
+module.exports = SqlMigrationSource;
@@ -0,0 +1,806 @@
+// src/core/project-understanding/symbol-graph.js
+
+const fs = require('fs').promises;
+const path = require('path');
+const { pool } = require('../../config/db.config');
+const logger = require('../../utils/logger');
+const JSAstExtractor = require('./js-ast-extractor');
+const { listLanguageExtractors, getExtractorForFile } = require('./language-extractors');
+
+/**
+ * Расширения, которые подставляются при разрешении относительных импортов
+ */
+const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs'];
+
+/**
+ * Шаблоны путей тестов и файлов маршрутов
+ */
+const TEST_FILE_PATTERN = /(^|\/)(tests?|__tests__|spec)\/|\.(test|spec)\.[cm]?[jt]sx?$|(^|\/)test_[^/]*\.py$|_test\.(py|go)$|Tests?\.java$/;
+const ROUTE_FILE_PATTERN = /(^|\/)routes?\/|\.routes?\.[cm]?[jt]sx?$/;
+
+/**
+ * Максимальная глубина обхода графа при анализе влияния изменений
+ */
+const DEFAULT_MAX_DEPTH = 10;
+
+/**
+ * Размер пакета при сохранении графа в БД
+ */
+const INSERT_BATCH_SIZE = 500;
+
+/**
+ * Класс для построения графа символов проекта и анализа влияния изменений
+ * Граф строится по AST JavaScript/TypeScript файлов (см. JSAstExtractor) и по структуре
+ * файлов Python, Go и Java (см. language-extractors) и содержит
+ * связи imports (файл -> файл), calls (символ -> символ) и extends (класс -> класс).
+ * Вызовы, которые не удалось связать с символом проекта (внешние библиотеки,
+ * вычисляемые вызовы), в граф не попадают
+ */
+class SymbolGraph {
+  /**
+   * @param {number} projectId - ID проекта в БД
+   */
+  constructor(projectId) {
+    this.projectId = projectId;
+    this.astExtractor = new JSAstExtractor();
+  }
+
+  /**
+   * Строит граф символов по проиндексированным файлам проекта и сохраняет его в БД
+   * Граф перестраивается целиком: изменение экспорта одного файла меняет связи во всех его импортерах
+   * @param {string} projectPath - Путь к локальному репозиторию проекта
+   * @returns {Promise<Object>} - { files, symbols, references }
+   */
+  async build(projectPath) {
+    const [files] = await pool.query(
+      `SELECT id, file_path FROM project_files
+       WHERE project_id = ? AND file_type IN (?)`,
+      [this.projectId, ['javascript', 'typescript', ...listLanguageExtractors()]]
+    );
+
+    const sources = [];
+
+    for (const file of files) {
+      try {
+        const content = await fs.readFile(path.join(projectPath, file.file_path), 'utf8');
+        sources.push({ id: file.id, path: file.file_path, content });
+      } catch (error) {
+        logger.warn(`Не удалось прочитать файл ${file.file_path} для графа символов: ${error.message}`);
+      }
+    }
+
+    const graph = this.buildGraph(sources);
+
+    await this.saveGraph(graph);
+
+    logger.info(`Граф символов проекта #${this.projectId} построен: ${graph.symbols.length} символов, ${graph.references.length} связей`);
+
+    return {
+      files: sources.length,
+      symbols: graph.symbols.length,
+      references: graph.references.length
+    };
+  }
+
+  /**
+   * Строит граф символов по содержимому файлов
+   * @param {Array<Object>} sources - Файлы { id, path, content }
+   * @returns {Object} - { symbols, references }
+   */
+  buildGraph(sources) {
+    const modules = new Map();
+
+    for (const source of sources) {
+      try {
+        const extractor = getExtractorForFile(source.path);
+        const { imports, exports, symbols, calls } = (extractor || this.astExtractor).extract(source.content, { filePath: source.path });
+
+        modules.set(source.path, {
+          id: source.id,
+          path: source.path,
+          extractor,
+          imports,
+          exports,
+          symbols,
+          calls,
+          bindings: new Map()
+        });
+      } catch (error) {
+        logger.debug(`Файл ${source.path} пропущен при построении графа символов: ${error.message}`);
+      }
+    }
+
+    const references = [];
+    const referenceKeys = new Set();
+
+    const addReference = (type, module, sourceSymbol, target, line) => {
+      const targetModule = modules.get(target.path);
+      const key = `${type}|${module.id}|${sourceSymbol}|${targetModule.id}|${target.symbol}`;
+
+      // Не связываем символ сам с собой (рекурсия) и не дублируем связи
+      if (referenceKeys.has(key) || (targetModule === module && target.symbol && target.symbol === sourceSymbol)) {
+        return;
+      }
+
+      referenceKeys.add(key);
+      references.push({
+        type,
+        sourceFileId: module.id,
+        sourceSymbol: sourceSymbol || null,
+        targetFileId: targetModule.id,
+        targetSymbol: target.symbol || null,
+        line
+      });
+    };
+
+    // Импорты: связи между файлами и локальные имена импортированных значений
+    for (const module of modules.values()) {
+      for (const entry of module.imports) {
+        if (module.extractor) {
+          this._addLanguageImport(module, entry, modules, addReference);
+          continue;
+        }
+
+        const targetPath = this.resolveModulePath(module.path, entry.source, modules);
+
+        if (!targetPath || targetPath === module.path) {
+          continue;
+        }
+
+        addReference('imports', module, null, { path: targetPath, symbol: null }, entry.line);
+
+        for (const specifier of entry.specifiers) {
+          if (specifier.local) {
+            module.bindings.set(specifier.local, { path: targetPath, imported: specifier.imported });
+          }
+        }
+      }
+    }
+
+    // Вызовы и наследование: связи между символами
+    for (const module of modules.values()) {
+      for (const call of module.calls) {
+        const target = this._resolveReference(module, call.callee, call.caller, modules);
+
+        if (target) {
+          addReference('calls', module, call.caller, target, call.line);
+        }
+      }
+
+      for (const symbol of module.symbols.filter(item => item.kind === 'class' && item.extends)) {
+        const target = this._resolveReference(module, symbol.extends, null, modules);
+
+        if (target) {
+          addReference('extends', module, symbol.qualifiedName, target, symbol.loc.start.line);
+        }
+      }
+    }
+
+    const symbols = [];
+
+    for (const module of modules.values()) {
+      for (const symbol of module.symbols) {
+        symbols.push({
+          fileId: module.id,
+          name: symbol.name,
+          qualifiedName: symbol.qualifiedName,
+          kind: symbol.kind,
+          parent: symbol.parent,
+          exported: !!symbol.exported,
+          startLine: symbol.loc.start.line,
+          endLine: symbol.loc.end.line
+        });
+      }
+    }
+
+    return { symbols, references };
+  }
+
+  /**
+   * Разрешает относительный импорт в путь файла проекта
+   * @param {string} fromPath - Путь файла с импортом (относительно корня проекта)
+   * @param {string} source - Импортируемый модуль ('./user.service', '../utils')
+   * @param {Map|Set} knownPaths - Известные пути файлов проекта
+   * @returns {string|null} - Путь файла или null для внешних и неразрешенных модулей
+   */
+  resolveModulePath(fromPath, source, knownPaths) {
+    if (!source || !source.startsWith('.')) {
+      return null;
+    }
+
+    const basePath = path.posix.normalize(path.posix.join(path.posix.dirname(fromPath.replace(/\\/g, '/')), source));
+    const candidates = [
+      basePath,
+      ...RESOLVE_EXTENSIONS.map(extension => `${basePath}${extension}`),
+      ...RESOLVE_EXTENSIONS.map(extension => `${basePath}/index${extension}`)
+    ];
+
+    // TypeScript с ESM: import './user.service.js' указывает на user.service.ts
+    if (/\.[cm]?js$/.test(basePath)) {
+      const withoutExtension = basePath.replace(/\.[cm]?js$/, '');
+      candidates.push(`${withoutExtension}.ts`, `${withoutExtension}.tsx`);
+    }
+
+    return candidates.find(candidate => knownPaths.has(candidate)) || null;
+  }
+
+  /**
+   * Сохраняет граф символов проекта в БД (заменяя предыдущий)
+   * @param {Object} graph - { symbols, references }
+   * @returns {Promise<void>}
+   */
+  async saveGraph(graph) {
+    const connection = await pool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      await connection.query('DELETE FROM symbol_references WHERE project_id = ?', [this.projectId]);
+      await connection.query('DELETE FROM code_symbols WHERE project_id = ?', [this.projectId]);
+
+      for (let i = 0; i < graph.symbols.length; i += INSERT_BATCH_SIZE) {
+        const rows = graph.symbols.slice(i, i + INSERT_BATCH_SIZE).map(symbol => [
+          this.projectId, symbol.fileId, symbol.name, symbol.qualifiedName, symbol.kind,
+          symbol.parent, symbol.exported, symbol.startLine, symbol.endLine
+        ]);
+
+        await connection.query(
+          `INSERT INTO code_symbols
+           (project_id, file_id, name, qualified_name, kind, parent_name, exported, start_line, end_line)
+           VALUES ?`,
+          [rows]
+        );
+      }
+
+      for (let i = 0; i < graph.references.length; i += INSERT_BATCH_SIZE) {
+        const rows = graph.references.slice(i, i + INSERT_BATCH_SIZE).map(reference => [
+          this.projectId, reference.type, reference.sourceFileId, reference.sourceSymbol,
+          reference.targetFileId, reference.targetSymbol, reference.line
+        ]);
+
+        await connection.query(
+          `INSERT INTO symbol_references
+           (project_id, reference_type, source_file_id, source_symbol, target_file_id, target_symbol, line)
+           VALUES ?`,
+          [rows]
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      logger.error(`Ошибка при сохранении графа символов проекта #${this.projectId}:`, error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Загружает граф символов проекта из БД
+   * @returns {Promise<Object>} - { files: Map<id, path>, symbols, references }
+   */
+  async loadGraph() {
+    const [files] = await pool.query(
+      'SELECT id, file_path FROM project_files WHERE project_id = ?',
+      [this.projectId]
+    );
+
+    const [symbols] = await pool.query(
+      `SELECT file_id, name, qualified_name, kind, parent_name, exported, start_line, end_line
+       FROM code_symbols WHERE project_id = ?`,
+      [this.projectId]
+    );
+
+    const [references] = await pool.query(
+      `SELECT reference_type, source_file_id, source_symbol, target_file_id, target_symbol, line
+       FROM symbol_references WHERE project_id = ?`,
+      [this.projectId]
+    );
+
+    return {
+      files: new Map(files.map(file => [file.id, file.file_path])),
+      symbols,
+      references
+    };
+  }
+
+  /**
+   * Возвращает граф зависимостей проекта
+   * @param {Object} [options={}] - Опции
+   * @param {string} [options.level='file'] - Уровень графа: 'file' (связи между файлами) или 'symbol'
+   * @returns {Promise<Object>} - { nodes, edges }
+   */
+  async getGraph({ level = 'file' } = {}) {
+    const { files, symbols, references } = await this.loadGraph();
+
+    if (level === 'symbol') {
+      const nodes = symbols.map(symbol => ({
+        id: this._nodeKey(files.get(symbol.file_id), symbol.qualified_name),
+        file: files.get(symbol.file_id),
+        name: symbol.qualified_name,
+        kind: symbol.kind,
+        exported: !!symbol.exported,
+        startLine: symbol.start_line,
+        endLine: symbol.end_line
+      }));
+
+      const edges = references
+        .filter(reference => reference.reference_type !== 'imports')
+        .map(reference => ({
+          source: this._nodeKey(files.get(reference.source_file_id), reference.source_symbol),
+          target: this._nodeKey(files.get(reference.target_file_id), reference.target_symbol),
+          type: reference.reference_type,
+          line: reference.line
+        }));
+
+      return { nodes, edges };
+    }
+
+    const symbolCounts = new Map();
+    symbols.forEach(symbol => symbolCounts.set(symbol.file_id, (symbolCounts.get(symbol.file_id) || 0) + 1));
+
+    const edges = new Map();
+
+    for (const reference of references) {
+      if (reference.source_file_id === reference.target_file_id) {
+        continue;
+      }
+
+      const key = `${reference.source_file_id}|${reference.target_file_id}`;
+      const edge = edges.get(key) || {
+        source: files.get(reference.source_file_id),
+        target: files.get(reference.target_file_id),
+        types: [],
+        weight: 0
+      };
+
+      if (!edge.types.includes(reference.reference_type)) {
+        edge.types.push(reference.reference_type);
+      }
+
+      edge.weight++;
+      edges.set(key, edge);
+    }
+
+    const nodeIds = new Set([...symbolCounts.keys(), ...references.flatMap(reference => [reference.source_file_id, reference.target_file_id])]);
+
+    return {
+      nodes: [...nodeIds].map(id => ({ id: files.get(id), symbols: symbolCounts.get(id) || 0 })),
+      edges: [...edges.values()]
+    };
+  }
+
+  /**
+   * Определяет, на какие файлы, модули, маршруты и тесты влияет изменение файлов и символов
+   * Обходит граф в обратном направлении: от измененного символа к тем, кто его вызывает,
+   * наследует или импортирует его файл. Изменение метода считается изменением его класса
+   * @param {Object} changes - Изменения
+   * @param {Array<string>} [changes.files=[]] - Пути измененных файлов
+   * @param {Array<string|Object>} [changes.symbols=[]] - Символы: 'path#Class.method' или { file, symbol }
+   * @param {Object} [options={}] - Опции
+   * @param {number} [options.maxDepth=10] - Максимальная глубина обхода
+   * @returns {Promise<Object>} - { seeds, unknown, files, symbols, modules, routes, tests }
+   */
+  async analyzeImpact({ files = [], symbols = [] } = {}, { maxDepth = DEFAULT_MAX_DEPTH } = {}) {
+    const graph = await this.loadGraph();
+    const pathsById = graph.files;
+    const knownPaths = new Set(pathsById.values());
+
+    // Обратные связи: цель -> источники
+    const dependents = new Map();
+    const addDependent = (target, source, type) => {
+      if (!dependents.has(target)) {
+        dependents.set(target, []);
+      }
+
+      dependents.get(target).push({ node: source, type });
+    };
+
+    for (const reference of graph.references) {
+      const sourcePath = pathsById.get(reference.source_file_id);
+      const targetPath = pathsById.get(reference.target_file_id);
+
+      addDependent(
+        this._nodeKey(targetPath, reference.target_symbol),
+        this._nodeKey(sourcePath, reference.source_symbol),
+        reference.reference_type
+      );
+    }
+
+    const symbolsByNode = new Map();
+    const symbolsByFile = new Map();
+
+    for (const symbol of graph.symbols) {
+      const filePath = pathsById.get(symbol.file_id);
+      const node = this._nodeKey(filePath, symbol.qualified_name);
+
+      symbolsByNode.set(node, symbol);
+
+      if (!symbolsByFile.has(filePath)) {
+        symbolsByFile.set(filePath, []);
+      }
+
+      symbolsByFile.get(filePath).push(node);
+
+      // Изменение метода влияет на тех, кто использует его класс
+      if (symbol.parent_name) {
+        addDependent(node, this._nodeKey(filePath, symbol.parent_name), 'member');
+      }
+    }
+
+    // Начальные узлы: модуль и все символы измененного файла, либо конкретный символ
+    const seeds = [];
+    const unknown = [];
+
+    for (const filePath of files.map(file => file.replace(/\\/g, '/'))) {
+      if (!knownPaths.has(filePath)) {
+        unknown.push(filePath);
+        continue;
+      }
+
+      seeds.push({ origin: filePath, nodes: [this._nodeKey(filePath, null), ...(symbolsByFile.get(filePath) || [])] });
+    }
+
+    for (const item of symbols) {
+      const [filePath, symbolName] = typeof item === 'string' ? this._splitNodeKey(item) : [item.file, item.symbol];
+      const node = this._nodeKey(filePath, symbolName);
+
+      if (!symbolsByNode.has(node)) {
+        unknown.push(node);
+        continue;
+      }
+
+      seeds.push({ origin: node, nodes: [node] });
+    }
+
+    // Обход в ширину с запоминанием, от какого изменения пришло влияние
+    const visited = new Map();
+    const queue = [];
+
+    for (const seed of seeds) {
+      seed.nodes.forEach(node => queue.push({ node, origin: seed.origin, depth: 0 }));
+    }
+
+    while (queue.length > 0) {
+      const { node, origin, depth } = queue.shift();
+      const state = visited.get(node) || { depth, origins: new Set() };
+
+      if (state.origins.has(origin)) {
+        continue;
+      }
+
+      state.origins.add(origin);
+      state.depth = Math.min(state.depth, depth);
+      visited.set(node, state);
+
+      if (depth >= maxDepth) {
+        continue;
+      }
+
+      for (const dependent of dependents.get(node) || []) {
+        queue.push({ node: dependent.node, origin, depth: depth + 1 });
+      }
+    }
+
+    // Группируем затронутые узлы по файлам
+    const affectedFiles = new Map();
+    const affectedSymbols = [];
+
+    for (const [node, state] of visited) {
+      const [filePath, symbolName] = this._splitNodeKey(node);
+      const file = affectedFiles.get(filePath) || { path: filePath, depth: state.depth, origins: new Set(), symbols: [] };
+
+      file.depth = Math.min(file.depth, state.depth);
+      state.origins.forEach(origin => file.origins.add(origin));
+
+      if (symbolName) {
+        const symbol = symbolsByNode.get(node);
+
+        file.symbols.push(symbolName);
+        affectedSymbols.push({
+          file: filePath,
+          symbol: symbolName,
+          kind: symbol ? symbol.kind : null,
+          depth: state.depth
+        });
+      }
+
+      affectedFiles.set(filePath, file);
+    }
+
+    const byDepth = (a, b) => a.depth - b.depth || (a.path || a.file).localeCompare(b.path || b.file);
+
+    const resultFiles = [...affectedFiles.values()]
+      .map(file => ({ ...file, origins: [...file.origins], symbols: file.symbols.sort() }))
+      .sort(byDepth);
+
+    const tests = resultFiles.filter(file => TEST_FILE_PATTERN.test(file.path)).map(file => file.path);
+    const routes = resultFiles.filter(file => ROUTE_FILE_PATTERN.test(file.path) && !TEST_FILE_PATTERN.test(file.path)).map(file => file.path);
+    const modules = [...new Set(
+      resultFiles
+        .filter(file => !TEST_FILE_PATTERN.test(file.path))
+        .map(file => path.posix.dirname(file.path))
+    )].sort();
+
+    return {
+      seeds: seeds.map(seed => seed.origin),
+      unknown,
+      files: resultFiles,
+      symbols: affectedSymbols.sort(byDepth),
+      modules,
+      routes,
+      tests
+    };
+  }
+
+  /**
+   * Проверяет, является ли файл тестом
+   * @param {string} filePath - Путь к файлу
+   * @returns {boolean}
+   */
+  isTestFile(filePath) {
+    return TEST_FILE_PATTERN.test(filePath.replace(/\\/g, '/'));
+  }
+
+  /**
+   * Разрешает имя (вызываемое или родительский класс) в символ проекта
+   * @param {Object} module - Модуль, в котором встречено имя
+   * @param {string} name - Имя (foo, service.save, this.validate, super)
+   * @param {string|null} caller - Квалифицированное имя вызывающего символа
+   * @param {Map} modules - Модули проекта
+   * @returns {Object|null} - { path, symbol } (symbol null - модуль целиком) или null
+   * @private
+   */
+  _resolveReference(module, name, caller, modules) {
+    const [head, ...rest] = name.split('.');
+    const className = caller && caller.includes('.') ? caller.split('.')[0] : null;
+
+    if (head === 'this') {
+      return className && rest.length > 0 ? this._findMember(module, className, rest[0], modules) : null;
+    }
+
+    if (head === 'super') {
+      const classSymbol = className && module.symbols.find(symbol => symbol.kind === 'class' && symbol.name === className);
+      const parent = classSymbol && classSymbol.extends
+        ? this._resolveReference(module, classSymbol.extends, null, modules)
+        : null;
+
+      if (!parent || rest.length === 0) {
+        return parent;
+      }
+
+      return this._findMember(modules.get(parent.path), parent.symbol, rest[0], modules) || parent;
+    }
+
+    const binding = module.bindings.get(head);
+
+    if (binding) {
+      // Пакет Go состоит из нескольких файлов: выбираем файл, в котором объявлен символ
+      const bindingPath = binding.paths && rest.length > 0
+        ? binding.paths.find(candidate => modules.get(candidate).exports.some(item => item.name === rest[0])) || binding.path
+        : binding.path;
+      const target = modules.get(bindingPath);
+      const moduleTarget = { path: bindingPath, symbol: null };
+
+      if (binding.imported === '*') {
+        if (rest.length === 0) {
+          return this._resolveExport(target, 'default', modules) || moduleTarget;
+        }
+
+        // Пространство имен или объект module.exports = { ... }
+        const named = this._resolveExport(target, rest[0], modules);
+
+        if (named) {
+          return rest.length > 1 ? this._findMember(modules.get(named.path), named.symbol, rest[1], modules) || named : named;
+        }
+
+        // Класс или экземпляр класса, экспортированный через module.exports
+        const exported = this._resolveExport(target, 'default', modules);
+
+        return (exported && this._findMember(modules.get(exported.path), exported.symbol, rest[0], modules)) || exported || moduleTarget;
+      }
+
+      const exported = this._resolveExport(target, binding.imported, modules);
+
+      if (!exported) {
+        return moduleTarget;
+      }
+
+      return rest.length > 0 ? this._findMember(modules.get(exported.path), exported.symbol, rest[0], modules) || exported : exported;
+    }
+
+    const local = module.symbols.find(symbol => !symbol.parent && symbol.name === head);
+
+    if (!local) {
+      const packageTarget = this._findInPackage(module, head, modules);
+
+      return packageTarget && rest.length > 0
+        ? this._findMember(modules.get(packageTarget.path), packageTarget.symbol, rest[0], modules) || packageTarget
+        : packageTarget;
+    }
+
+    const localTarget = { path: module.path, symbol: local.qualifiedName };
+
+    return rest.length > 0 ? this._findMember(module, local.name, rest[0], modules) || localTarget : localTarget;
+  }
+
+  /**
+   * Добавляет связи импорта файла на Python, Go или Java и локальные имена импортированных значений
+   * @param {Object} module - Модуль с импортом
+   * @param {Object} entry - Импорт
+   * @param {Map} modules - Модули проекта
+   * @param {Function} addReference - Добавляет связь графа
+   * @private
+   */
+  _addLanguageImport(module, entry, modules, addReference) {
+    const { paths, bindings } = module.extractor.resolveImport(module.path, entry, modules);
+
+    for (const targetPath of paths.filter(item => item !== module.path)) {
+      addReference('imports', module, null, { path: targetPath, symbol: null }, entry.line);
+    }
+
+    for (const binding of bindings) {
+      if (binding.local && binding.path !== module.path) {
+        module.bindings.set(binding.local, binding);
+      }
+    }
+  }
+
+  /**
+   * Находит символ в других файлах того же пакета (Go, Java), где он доступен без импорта
+   * @param {Object} module - Модуль, в котором встречено имя
+   * @param {string} name - Имя символа
+   * @param {Map} modules - Модули проекта
+   * @param {string|null} [parent=null] - Имя типа для методов (методы Go объявляются в любом файле пакета)
+   * @returns {Object|null} - { path, symbol } или null
+   * @private
+   */
+  _findInPackage(module, name, modules, parent = null) {
+    if (!module.extractor || !module.extractor.sharesPackageScope) {
+      return null;
+    }
+
+    const directory = path.posix.dirname(module.path);
+
+    for (const candidate of modules.values()) {
+      if (candidate === module || candidate.extractor !== module.extractor || path.posix.dirname(candidate.path) !== directory) {
+        continue;
+      }
+
+      const symbol = candidate.symbols.find(item => (item.parent || null) === parent && item.name === name);
+
+      if (symbol) {
+        return { path: candidate.path, symbol: symbol.qualifiedName };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Находит экспортируемый символ модуля с учетом реэкспортов
+   * @param {Object} module - Модуль
+   * @param {string} name - Имя экспорта ('default' для module.exports и export default)
+   * @param {Map} modules - Модули проекта
+   * @param {Set<string>} [seen] - Уже просмотренные модули (защита от циклов)
+   * @returns {Object|null} - { path, symbol } или null
+   * @private
+   */
+  _resolveExport(module, name, modules, seen = new Set()) {
+    if (!module || !name || seen.has(module.path)) {
+      return null;
+    }
+
+    seen.add(module.path);
+
+    const entry = module.exports.find(item => item.name === name);
+
+    if (entry) {
+      if (entry.source) {
+        const targetPath = this.resolveModulePath(module.path, entry.source, modules);
+
+        if (!targetPath) {
+          return null;
+        }
+
+        // export * as ns from './module'
+        return entry.local
+          ? this._resolveExport(modules.get(targetPath), entry.local, modules, seen)
+          : { path: targetPath, symbol: null };
+      }
+
+      const localName = entry.local || name;
+      const symbol = module.symbols.find(item => !item.parent && item.name === localName);
+
+      if (symbol) {
+        return { path: module.path, symbol: symbol.qualifiedName };
+      }
+
+      // Реэкспорт импортированного значения: import { a } from './a'; export { a }
+      const binding = module.bindings.get(localName);
+
+      if (binding && binding.imported !== '*') {
+        return this._resolveExport(modules.get(binding.path), binding.imported, modules, seen);
+      }
+
+      return { path: module.path, symbol: null };
+    }
+
+    // export * from './module'
+    for (const star of module.exports.filter(item => item.name === '*' && item.source)) {
+      const targetPath = this.resolveModulePath(module.path, star.source, modules);
+      const resolved = targetPath && this._resolveExport(modules.get(targetPath), name, modules, seen);
+
+      if (resolved) {
+        return resolved;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Находит метод класса, в том числе унаследованный от класса проекта
+   * @param {Object} module - Модуль, в котором объявлен класс
+   * @param {string} className - Имя класса
+   * @param {string} memberName - Имя метода
+   * @param {Map} modules - Модули проекта
+   * @param {number} [depth=0] - Глубина поиска по цепочке наследования
+   * @returns {Object|null} - { path, symbol } или null
+   * @private
+   */
+  _findMember(module, className, memberName, modules, depth = 0) {
+    if (!module || !className || depth > 5) {
+      return null;
+    }
+
+    const member = module.symbols.find(symbol => symbol.parent === className && symbol.name === memberName);
+
+    if (member) {
+      return { path: module.path, symbol: member.qualifiedName };
+    }
+
+    const packageMember = this._findInPackage(module, memberName, modules, className);
+
+    if (packageMember) {
+      return packageMember;
+    }
+
+    const classSymbol = module.symbols.find(symbol => symbol.kind === 'class' && symbol.name === className);
+    const parent = classSymbol && classSymbol.extends
+      ? this._resolveReference(module, classSymbol.extends, null, modules)
+      : null;
+
+    return parent && parent.symbol
+      ? this._findMember(modules.get(parent.path), parent.symbol, memberName, modules, depth + 1)
+      : null;
+  }
+
+  /**
+   * Формирует ключ узла графа: 'path#symbol' или 'path#' для модуля целиком
+   * @param {string} filePath - Путь к файлу
+   * @param {string|null} symbol - Квалифицированное имя символа
+   * @returns {string}
+   * @private
+   */
+  _nodeKey(filePath, symbol) {
+    return `${filePath}#${symbol || ''}`;
+  }
+
+  /**
+   * Разбирает ключ узла графа (имя символа может содержать # у приватных методов)
+   * @param {string} key - Ключ 'path#symbol'
+   * @returns {Array<string|null>} - [path, symbol]
+   * @private
+   */
+  _splitNodeKey(key) {
+    const separator = key.indexOf('#');
+
+    return separator === -1
+      ? [key, null]
+      : [key.substring(0, separator), key.substring(separator + 1) || null];
+  }
+}
+
+module.exports = SymbolGraph;
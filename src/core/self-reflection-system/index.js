@@ -2,10 +2,12 @@
 
 const logger = require('../../utils/logger');
 const { getLLMClient } = require('../../utils/llm-client');
-const codeValidator = require('../../utils/code-validator');
+const CodeValidator = require('../code-generator/code-validator');
 const codeReviewer = require('./code-reviewer');
 const CodeGeneration = require('../../models/code-generation.model');
 
+const codeValidator = new CodeValidator();
+
 /**
  * Класс для самопроверки и анализа генерируемого кода
  */
@@ -1,16 +1,23 @@
 // src/core/vcs-manager/conflict-checker.js
 
 const GitService = require('../vcs-manager/gitService');
-const llmClient = require('../../utils/llm-client');
+const { getLLMClient } = require('../../utils/llm-client');
 const promptManager = require('../../utils/prompt-manager');
+const codeValidator = require('../code-testing/code-validator');
 const logger = require('../../utils/logger');
+const { assembleResolvedContent, hasConflictMarkers } = require('./git-client');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
 
 /**
  * Класс для проверки и анализа конфликтов при мердже веток
  */
 class ConflictChecker {
+  constructor() {
+    this.llmClient = getLLMClient();
+  }
+
   /**
    * Проверяет наличие конфликтов между ветками
    * 
@@ -133,7 +140,7 @@ class ConflictChecker {
         };
         
         const promptText = await promptManager.getPrompt('conflict-analysis', promptVars);
-        const analysis = await llmClient.sendMessage(promptText);
+        const analysis = await this.llmClient.sendPrompt(promptText);
         
         results.fileAnalysis[conflict.file] = analysis;
       }
@@ -148,7 +155,7 @@ class ConflictChecker {
         };
         
         const summaryPromptText = await promptManager.getPrompt('conflicts-summary', summaryPromptVars);
-        results.summary = await llmClient.sendMessage(summaryPromptText);
+        results.summary = await this.llmClient.sendPrompt(summaryPromptText);
       }
       
       return results;
@@ -162,36 +169,175 @@ class ConflictChecker {
   }
   
   /**
-   * Генерирует предложения по разрешению конфликтов
+   * Генерирует предложения по разрешению блоков конфликта в файле.
+   * Ответ LLM разбирается как JSON, каждое предложение проверяется на остатки
+   * маркеров конфликта, а собранный файл - синтаксической проверкой проекта.
    * 
    * @param {Object} options - Опции для генерации
    * @param {String} options.baseBranch - Базовая ветка
    * @param {String} options.headBranch - Текущая ветка
    * @param {String} options.file - Файл с конфликтом
-   * @param {String} options.content - Содержимое файла с конфликтом
-   * @returns {Promise<String>} Предложение по разрешению конфликта
+   * @param {Array<Object>} options.segments - Сегменты файла (GitClient.getMergeConflicts)
+   * @param {Array<Object>} options.hunks - Блоки конфликта, для которых нужны предложения
+   * @param {Object} [options.resolved] - Уже принятые разрешения остальных блоков по индексу
+   * @returns {Promise<Object>} { file, proposals: [{ hunk, content, explanation, valid, errors }], syntax }
    */
   async generateConflictResolution(options) {
+    const { file, baseBranch, headBranch, segments, hunks, resolved = {} } = options;
+    
+    logger.info(`Генерация предложений по разрешению ${hunks.length} блоков конфликта в файле ${file}`);
+    
+    let response;
+    
     try {
-      logger.info(`Генерация предложения по разрешению конфликта в файле ${options.file}`);
-      
-      // Отправляем промпт для генерации предложения
-      const promptVars = {
-        file: options.file,
-        baseBranch: options.baseBranch,
-        headBranch: options.headBranch,
-        content: options.content
+      response = await this.llmClient.sendPromptTemplate('conflict-resolution', {
+        file,
+        baseBranch,
+        headBranch,
+        content: this._renderConflictFile(segments, hunks, resolved, { baseBranch, headBranch }),
+        hunks: hunks.map(hunk => this._renderHunk(hunk, { baseBranch, headBranch })).join('\n\n')
+      }, {}, { file });
+    } catch (error) {
+      logger.error('Ошибка при генерации предложения по разрешению конфликта:', error);
+      throw new Error(`Не удалось сгенерировать предложение: ${error.message}`);
+    }
+    
+    const parsed = this._parseResolutionResponse(response);
+    const proposals = hunks.map(hunk => {
+      const proposal = parsed.resolutions.find(item => Number(item.hunk) === hunk.index);
+      const errors = [...parsed.errors];
+      
+      if (!proposal && parsed.errors.length === 0) {
+        errors.push(`No resolution proposed for hunk ${hunk.index}`);
+      } else if (proposal && typeof proposal.content !== 'string') {
+        errors.push(`Resolution for hunk ${hunk.index} has no content`);
+      } else if (proposal && hasConflictMarkers(proposal.content)) {
+        errors.push(`Resolution for hunk ${hunk.index} still contains conflict markers`);
+      }
+      
+      return {
+        hunk: hunk.index,
+        content: proposal && typeof proposal.content === 'string' ? proposal.content : null,
+        explanation: proposal?.explanation || null,
+        valid: errors.length === 0,
+        errors
       };
+    });
+    
+    // Синтаксис проверяем, только когда все блоки файла получили разрешение
+    if (proposals.some(proposal => !proposal.valid)) {
+      return { file, proposals, syntax: null };
+    }
+    
+    const resolutions = { ...resolved };
+    proposals.forEach(proposal => { resolutions[proposal.hunk] = proposal.content; });
+    
+    const { content, ranges } = assembleResolvedContent(segments, resolutions);
+    const syntax = await this.validateResolvedFile(file, content);
+    
+    if (!syntax.valid) {
+      // Ошибку относим к блоку, в который попадает строка; иначе - ко всем предложениям
+      const range = ranges.find(item => syntax.line >= item.startLine && syntax.line <= item.endLine);
+      const message = `Syntax check failed${syntax.line ? ` at line ${syntax.line}` : ''}: ${syntax.error}`;
       
-      const promptText = await promptManager.getPrompt('conflict-resolution', promptVars);
-      const resolution = await llmClient.sendMessage(promptText);
+      proposals
+        .filter(proposal => !range || proposal.hunk === range.hunk)
+        .forEach(proposal => {
+          proposal.valid = false;
+          proposal.errors.push(message);
+        });
+    }
+    
+    return { file, proposals, syntax };
+  }
+  
+  /**
+   * Проверяет синтаксис разрешенного файла проверкой проекта (CodeValidator.validateSyntax)
+   * @param {String} file - Путь к файлу в репозитории
+   * @param {String} content - Содержимое файла
+   * @returns {Promise<Object>} { valid, error, line }
+   */
+  async validateResolvedFile(file, content) {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'conflict-resolution-'));
+    
+    try {
+      const filePath = path.join(tempDir, file);
       
-      return resolution;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content);
+      
+      return await codeValidator.validateSyntax({ path: file }, tempDir);
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+  
+  /**
+   * Разбирает ответ LLM с разрешениями блоков
+   * @private
+   * @param {String} response - Ответ LLM
+   * @returns {Object} { resolutions, errors }
+   */
+  _parseResolutionResponse(response) {
+    const text = String(response || '');
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    const candidate = fenced ? fenced[1] : text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+    
+    try {
+      const data = JSON.parse(candidate);
+      
+      if (!Array.isArray(data.resolutions)) {
+        return { resolutions: [], errors: ['LLM response has no resolutions array'] };
+      }
+      
+      return { resolutions: data.resolutions, errors: [] };
     } catch (error) {
-      logger.error('Ошибка при генерации предложения по разрешению конфликта:', error);
-      throw new Error(`Не удалось сгенерировать предложение: ${error.message}`);
+      logger.warn(`Не удалось разобрать ответ LLM с разрешением конфликта: ${error.message}`);
+      return { resolutions: [], errors: [`LLM response is not valid JSON: ${error.message}`] };
     }
   }
+  
+  /**
+   * Формирует текст блока конфликта для промпта
+   * @private
+   * @param {Object} hunk - Блок конфликта
+   * @param {Object} branches - Ветки { baseBranch, headBranch }
+   * @returns {String} Описание блока
+   */
+  _renderHunk(hunk, { baseBranch, headBranch }) {
+    return [
+      `### Блок ${hunk.index} (строка ${hunk.startLine})`,
+      `Версия ${baseBranch}:`,
+      '```',
+      hunk.ours + '```',
+      'Общий предок:',
+      '```',
+      hunk.base + '```',
+      `Версия ${headBranch}:`,
+      '```',
+      hunk.theirs + '```'
+    ].join('\n');
+  }
+  
+  /**
+   * Восстанавливает файл с маркерами для неразрешенных блоков и подставляет принятые разрешения
+   * @private
+   * @param {Array<Object>} segments - Сегменты файла
+   * @param {Array<Object>} hunks - Неразрешенные блоки
+   * @param {Object} resolved - Принятые разрешения по индексу блока
+   * @param {Object} branches - Ветки { baseBranch, headBranch }
+   * @returns {String} Содержимое файла
+   */
+  _renderConflictFile(segments, hunks, resolved, { baseBranch, headBranch }) {
+    const rendered = { ...resolved };
+    
+    hunks.forEach(hunk => {
+      rendered[hunk.index] = `<<<<<<< ${baseBranch}\n${hunk.ours}||||||| merge-base\n${hunk.base}` +
+        `=======\n${hunk.theirs}>>>>>>> ${headBranch}\n`;
+    });
+    
+    return assembleResolvedContent(segments, rendered).content;
+  }
 }
 
 module.exports = new ConflictChecker();
\ No newline at end of file
@@ -0,0 +1,434 @@
+// src/core/vcs-manager/conflict-resolver.js
+const logger = require('../../utils/logger');
+const appConfig = require('../../config/app.config');
+const { ValidationError } = require('../../utils/errors');
+const { assembleResolvedContent, hasConflictMarkers } = require('./git-client');
+
+/**
+ * Статусы сессии разрешения конфликтов (таблица merge_conflict_resolutions)
+ */
+const RESOLUTION_STATUSES = {
+  OPEN: 'open',
+  APPLIED: 'applied'
+};
+
+/**
+ * Статусы блока конфликта
+ */
+const HUNK_STATUSES = {
+  PENDING: 'pending',     // Предложения еще нет
+  PROPOSED: 'proposed',   // Предложение LLM прошло проверки и ждет решения
+  INVALID: 'invalid',     // Предложение не прошло разбор или синтаксическую проверку
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected'
+};
+
+/**
+ * Решения по блоку конфликта
+ */
+const HUNK_DECISIONS = ['accept', 'reject'];
+
+/**
+ * Разрешение конфликтов слияния по блокам.
+ *
+ * Сессия хранит блоки конфликта (base/ours/theirs) каждого файла вместе с
+ * предложениями LLM. Каждый блок принимается (предложение или собственный код)
+ * или отклоняется; для отклоненных блоков можно запросить новые предложения.
+ * Когда приняты все блоки, разрешенные файлы собираются, проходят синтаксическую
+ * проверку и коммитятся слиянием в отдельную ветку разрешения.
+ */
+class ConflictResolver {
+  /**
+   * @param {object} options - Опции
+   * @param {object} options.db - Пул соединений с БД
+   * @param {object} options.gitClient - Экземпляр GitClient
+   * @param {object} [options.conflictChecker] - Генератор предложений (по умолчанию - ConflictChecker)
+   * @param {object} [options.config] - Настройки (по умолчанию - git.conflictResolution)
+   */
+  constructor({ db, gitClient, conflictChecker, config } = {}) {
+    this.db = db;
+    this.gitClient = gitClient;
+    this.conflictChecker = conflictChecker || require('./conflict-checker');
+    this.config = { ...appConfig.git.conflictResolution, ...config };
+  }
+
+  /**
+   * Извлекает блоки конфликта между ветками и открывает сессию разрешения
+   * @param {object} options - Опции
+   * @param {number} options.projectId - ID проекта
+   * @param {string} options.baseBranch - Ветка, в которую выполняется слияние
+   * @param {string} options.headBranch - Вливаемая ветка
+   * @param {boolean} [options.propose=true] - Сразу запросить предложения LLM
+   * @returns {Promise<object>} - Сессия или { hasConflicts: false }
+   */
+  async startResolution({ projectId, baseBranch, headBranch, propose = true }) {
+    const conflicts = await this.gitClient.getMergeConflicts(projectId, headBranch, baseBranch);
+
+    if (!conflicts.success) {
+      throw new Error(`Failed to extract merge conflicts: ${conflicts.error}`);
+    }
+
+    if (!conflicts.hasConflicts) {
+      return {
+        hasConflicts: false,
+        message: `No merge conflicts between ${baseBranch} and ${headBranch}`
+      };
+    }
+
+    // Идентификаторы блоков сквозные в пределах сессии
+    let hunkId = 0;
+    const files = conflicts.files.map(file => ({
+      path: file.path,
+      error: file.error || null,
+      segments: file.segments,
+      hunks: file.hunks.map(hunk => ({
+        ...hunk,
+        id: ++hunkId,
+        status: HUNK_STATUSES.PENDING,
+        proposal: null,
+        resolution: null
+      }))
+    }));
+
+    const [result] = await this.db.query(
+      `INSERT INTO merge_conflict_resolutions
+         (project_id, base_branch, head_branch, merge_base, status, files)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [projectId, baseBranch, headBranch, conflicts.mergeBase, RESOLUTION_STATUSES.OPEN, JSON.stringify(files)]
+    );
+
+    logger.info(`Opened conflict resolution ${result.insertId}: ${hunkId} hunks in ${files.length} files`);
+
+    if (propose) {
+      return this.proposeResolutions(result.insertId);
+    }
+
+    return this.getResolution(result.insertId);
+  }
+
+  /**
+   * Возвращает сессию разрешения конфликтов
+   * @param {number} resolutionId - ID сессии
+   * @returns {Promise<object|null>}
+   */
+  async getResolution(resolutionId) {
+    const resolution = await this.loadResolution(resolutionId);
+
+    return resolution ? this.formatResolution(resolution) : null;
+  }
+
+  /**
+   * Запрашивает предложения LLM для непринятых блоков
+   * @param {number} resolutionId - ID сессии
+   * @param {object} [options] - Опции
+   * @param {Array<number>} [options.hunkIds] - Только указанные блоки
+   * @returns {Promise<object|null>}
+   */
+  async proposeResolutions(resolutionId, { hunkIds } = {}) {
+    const resolution = await this.loadOpenResolution(resolutionId);
+
+    if (!resolution) {
+      return null;
+    }
+
+    for (const file of resolution.files) {
+      const targets = file.hunks.filter(hunk =>
+        hunk.status !== HUNK_STATUSES.ACCEPTED && (!hunkIds || hunkIds.includes(hunk.id))
+      );
+
+      if (file.error || targets.length === 0) {
+        continue;
+      }
+
+      const result = await this.conflictChecker.generateConflictResolution({
+        file: file.path,
+        baseBranch: resolution.baseBranch,
+        headBranch: resolution.headBranch,
+        segments: file.segments,
+        hunks: targets,
+        resolved: this.getAcceptedResolutions(file)
+      });
+
+      for (const proposal of result.proposals) {
+        const hunk = file.hunks.find(item => item.index === proposal.hunk);
+
+        hunk.status = proposal.valid ? HUNK_STATUSES.PROPOSED : HUNK_STATUSES.INVALID;
+        hunk.proposal = {
+          content: proposal.content,
+          explanation: proposal.explanation,
+          errors: proposal.errors
+        };
+        hunk.resolution = null;
+      }
+    }
+
+    await this.saveFiles(resolution);
+
+    return this.formatResolution(resolution);
+  }
+
+  /**
+   * Принимает или отклоняет блок конфликта
+   * @param {number} resolutionId - ID сессии
+   * @param {number} hunkId - ID блока
+   * @param {object} options - Решение
+   * @param {string} options.decision - accept | reject
+   * @param {string} [options.content] - Собственный код блока вместо предложения (для accept)
+   * @returns {Promise<object|null>}
+   */
+  async decideHunk(resolutionId, hunkId, { decision, content }) {
+    if (!HUNK_DECISIONS.includes(decision)) {
+      throw new ValidationError(`Unknown decision "${decision}". Expected one of: ${HUNK_DECISIONS.join(', ')}`);
+    }
+
+    const resolution = await this.loadOpenResolution(resolutionId);
+
+    if (!resolution) {
+      return null;
+    }
+
+    const hunk = resolution.files.flatMap(file => file.hunks).find(item => item.id === Number(hunkId));
+
+    if (!hunk) {
+      throw new ValidationError(`Hunk ${hunkId} not found in conflict resolution ${resolutionId}`);
+    }
+
+    if (decision === 'reject') {
+      hunk.status = HUNK_STATUSES.REJECTED;
+      hunk.resolution = null;
+    } else if (typeof content === 'string') {
+      if (hasConflictMarkers(content)) {
+        throw new ValidationError(`Content for hunk ${hunkId} still contains conflict markers`);
+      }
+
+      hunk.status = HUNK_STATUSES.ACCEPTED;
+      hunk.resolution = content;
+    } else {
+      if (hunk.status !== HUNK_STATUSES.PROPOSED) {
+        throw new ValidationError(`Hunk ${hunkId} has no valid proposal; provide content to accept it`);
+      }
+
+      hunk.status = HUNK_STATUSES.ACCEPTED;
+      hunk.resolution = hunk.proposal.content;
+    }
+
+    await this.saveFiles(resolution);
+
+    return this.formatResolution(resolution);
+  }
+
+  /**
+   * Применяет принятые разрешения в ветке разрешения конфликтов
+   * @param {number} resolutionId - ID сессии
+   * @param {object} [options] - Опции
+   * @param {boolean} [options.push] - Отправить ветку в origin (по умолчанию - из конфигурации)
+   * @param {string} [options.commitMessage] - Сообщение коммита слияния
+   * @returns {Promise<object|null>}
+   */
+  async applyResolution(resolutionId, { push = this.config.push, commitMessage } = {}) {
+    const resolution = await this.loadOpenResolution(resolutionId);
+
+    if (!resolution) {
+      return null;
+    }
+
+    const unmergeable = resolution.files.filter(file => file.error);
+
+    if (unmergeable.length > 0) {
+      throw new ValidationError('Some files cannot be resolved by hunks',
+        unmergeable.map(file => ({ file: file.path, error: file.error })));
+    }
+
+    const undecided = resolution.files
+      .flatMap(file => file.hunks)
+      .filter(hunk => hunk.status !== HUNK_STATUSES.ACCEPTED);
+
+    if (undecided.length > 0) {
+      throw new ValidationError('All hunks must be accepted before applying the resolution',
+        undecided.map(hunk => ({ hunkId: hunk.id, status: hunk.status })));
+    }
+
+    const files = [];
+    const syntaxErrors = [];
+
+    for (const file of resolution.files) {
+      const { content } = assembleResolvedContent(file.segments, this.getAcceptedResolutions(file));
+      const syntax = await this.conflictChecker.validateResolvedFile(file.path, content);
+
+      if (!syntax.valid) {
+        syntaxErrors.push({ file: file.path, error: syntax.error, line: syntax.line || null });
+      }
+
+      files.push({ path: file.path, content });
+    }
+
+    if (syntaxErrors.length > 0) {
+      throw new ValidationError('Resolved files fail the syntax check', syntaxErrors);
+    }
+
+    const branchName = `${this.config.branchPrefix}${resolution.headBranch}-into-${resolution.baseBranch}-${resolution.id}`;
+    const result = await this.gitClient.createResolutionBranch(resolution.projectId, {
+      branchName,
+      sourceBranch: resolution.headBranch,
+      targetBranch: resolution.baseBranch,
+      files,
+      commitMessage: commitMessage || `Merge ${resolution.headBranch} into ${resolution.baseBranch} with resolved conflicts`,
+      push
+    });
+
+    if (!result.success) {
+      throw new Error(`Failed to apply conflict resolution ${resolution.id}: ${result.error}`);
+    }
+
+    await this.db.query(
+      `UPDATE merge_conflict_resolutions
+       SET status = ?, resolution_branch = ?, commit_hash = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [RESOLUTION_STATUSES.APPLIED, branchName, result.commitHash, resolution.id]
+    );
+
+    logger.info(`Applied conflict resolution ${resolution.id} on ${branchName} (${result.commitHash})`);
+
+    return {
+      ...this.formatResolution({
+        ...resolution,
+        status: RESOLUTION_STATUSES.APPLIED,
+        resolutionBranch: branchName,
+        commitHash: result.commitHash
+      }),
+      pushed: result.pushed
+    };
+  }
+
+  /**
+   * Загружает сессию из БД
+   * @param {number} resolutionId - ID сессии
+   * @returns {Promise<object|null>}
+   */
+  async loadResolution(resolutionId) {
+    const [rows] = await this.db.query(
+      'SELECT * FROM merge_conflict_resolutions WHERE id = ?',
+      [resolutionId]
+    );
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const row = rows[0];
+
+    return {
+      id: row.id,
+      projectId: row.project_id,
+      baseBranch: row.base_branch,
+      headBranch: row.head_branch,
+      mergeBase: row.merge_base,
+      status: row.status,
+      files: this.parseJson(row.files, []),
+      resolutionBranch: row.resolution_branch,
+      commitHash: row.commit_hash,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  /**
+   * Загружает сессию, которую еще можно изменять
+   * @param {number} resolutionId - ID сессии
+   * @returns {Promise<object|null>}
+   */
+  async loadOpenResolution(resolutionId) {
+    const resolution = await this.loadResolution(resolutionId);
+
+    if (resolution && resolution.status !== RESOLUTION_STATUSES.OPEN) {
+      throw new ValidationError(`Conflict resolution ${resolutionId} is already ${resolution.status}`);
+    }
+
+    return resolution;
+  }
+
+  /**
+   * Сохраняет блоки сессии
+   * @param {object} resolution - Сессия
+   * @returns {Promise<void>}
+   */
+  async saveFiles(resolution) {
+    await this.db.query(
+      'UPDATE merge_conflict_resolutions SET files = ?, updated_at = NOW() WHERE id = ?',
+      [JSON.stringify(resolution.files), resolution.id]
+    );
+  }
+
+  /**
+   * Принятые разрешения блоков файла по индексу блока
+   * @param {object} file - Файл сессии
+   * @returns {object}
+   */
+  getAcceptedResolutions(file) {
+    return file.hunks
+      .filter(hunk => hunk.status === HUNK_STATUSES.ACCEPTED)
+      .reduce((resolutions, hunk) => ({ ...resolutions, [hunk.index]: hunk.resolution }), {});
+  }
+
+  /**
+   * Представление сессии для API (без служебных сегментов файлов)
+   * @param {object} resolution - Сессия
+   * @returns {object}
+   */
+  formatResolution(resolution) {
+    const hunks = resolution.files.flatMap(file => file.hunks);
+    const summary = Object.values(HUNK_STATUSES).reduce((counts, status) => ({
+      ...counts,
+      [status]: hunks.filter(hunk => hunk.status === status).length
+    }), { total: hunks.length });
+
+    return {
+      id: resolution.id,
+      projectId: resolution.projectId,
+      baseBranch: resolution.baseBranch,
+      headBranch: resolution.headBranch,
+      mergeBase: resolution.mergeBase,
+      status: resolution.status,
+      hasConflicts: true,
+      resolutionBranch: resolution.resolutionBranch || null,
+      commitHash: resolution.commitHash || null,
+      summary,
+      files: resolution.files.map(file => ({
+        path: file.path,
+        error: file.error,
+        hunks: file.hunks.map(({ index, ...hunk }) => hunk)
+      })),
+      createdAt: resolution.createdAt,
+      updatedAt: resolution.updatedAt
+    };
+  }
+
+  /**
+   * Разбирает JSON-поле БД
+   * @param {*} value - Значение поля
+   * @param {*} fallback - Значение по умолчанию
+   * @returns {*}
+   */
+  parseJson(value, fallback) {
+    if (value === null || value === undefined || value === '') {
+      return fallback;
+    }
+
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (e) {
+      return fallback;
+    }
+  }
+}
+
+module.exports = {
+  ConflictResolver,
+  RESOLUTION_STATUSES,
+  HUNK_STATUSES,
+  HUNK_DECISIONS
+};
@@ -7,12 +7,153 @@
 const { exec, spawn } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
 const logger = require('../../utils/logger');
 
 // Промисифицируем exec для удобства использования
 const execPromise = promisify(exec);
 
+/**
+ * Маркеры конфликта в выводе git merge-file --diff3.
+ */
+const CONFLICT_MARKERS = {
+  OURS: '<<<<<<<',
+  BASE: '|||||||',
+  SEPARATOR: '=======',
+  THEIRS: '>>>>>>>'
+};
+
+/**
+ * Разбивает текст на строки, сохраняя переводы строк.
+ * @param {string} content - Текст.
+ * @returns {Array<string>} - Строки.
+ */
+function splitLines(content) {
+  return content.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Определяет маркер конфликта в строке.
+ * @param {string} line - Строка файла.
+ * @returns {string|null} - Маркер или null.
+ */
+function getConflictMarker(line) {
+  const text = line.replace(/\r?\n$/, '');
+  
+  return Object.values(CONFLICT_MARKERS).find(marker =>
+    text === marker || text.startsWith(`${marker} `)
+  ) || null;
+}
+
+/**
+ * Разбирает содержимое файла с маркерами конфликта (формат diff3) на сегменты.
+ * Текстовые сегменты совпадают в обеих ветках, конфликтные ссылаются на блок конфликта.
+ * @param {string} content - Вывод git merge-file -p --diff3.
+ * @returns {Object} - { segments, hunks }, где segments - [{ type: 'text', content } | { type: 'conflict', hunk }],
+ *   hunks - [{ index, startLine, ours, base, theirs }]; startLine - первая строка блока в целевой ветке.
+ */
+function parseConflictHunks(content) {
+  const segments = [];
+  const hunks = [];
+  let text = '';
+  let hunk = null;
+  let section = null;
+  let line = 1;
+  
+  for (const fileLine of splitLines(content)) {
+    const marker = getConflictMarker(fileLine);
+    
+    if (!hunk) {
+      if (marker === CONFLICT_MARKERS.OURS) {
+        if (text) {
+          segments.push({ type: 'text', content: text });
+          text = '';
+        }
+        
+        hunk = { index: hunks.length, startLine: line, ours: '', base: '', theirs: '' };
+        section = 'ours';
+      } else {
+        text += fileLine;
+        line++;
+      }
+      
+      continue;
+    }
+    
+    if (marker === CONFLICT_MARKERS.BASE && section === 'ours') {
+      section = 'base';
+    } else if (marker === CONFLICT_MARKERS.SEPARATOR && section !== 'theirs') {
+      section = 'theirs';
+    } else if (marker === CONFLICT_MARKERS.THEIRS && section === 'theirs') {
+      hunks.push(hunk);
+      segments.push({ type: 'conflict', hunk: hunk.index });
+      line += splitLines(hunk.ours).length;
+      hunk = null;
+    } else {
+      hunk[section] += fileLine;
+    }
+  }
+  
+  if (hunk) {
+    throw new Error(`Unterminated conflict block starting at line ${hunk.startLine}`);
+  }
+  
+  if (text) {
+    segments.push({ type: 'text', content: text });
+  }
+  
+  return { segments, hunks };
+}
+
+/**
+ * Собирает содержимое файла из сегментов, подставляя разрешения блоков конфликта.
+ * @param {Array<Object>} segments - Сегменты из parseConflictHunks.
+ * @param {Object|Array} resolutions - Разрешенный код по индексу блока.
+ * @returns {Object} - { content, ranges }, где ranges - [{ hunk, startLine, endLine }] в собранном файле.
+ */
+function assembleResolvedContent(segments, resolutions) {
+  let content = '';
+  let line = 1;
+  const ranges = [];
+  
+  for (const segment of segments) {
+    if (segment.type === 'text') {
+      content += segment.content;
+      line += splitLines(segment.content).length;
+      continue;
+    }
+    
+    let resolved = resolutions[segment.hunk];
+    
+    if (typeof resolved !== 'string') {
+      throw new Error(`No resolution for conflict block ${segment.hunk}`);
+    }
+    
+    // Блок всегда заканчивается переводом строки, иначе он склеится со следующей строкой
+    if (resolved && !resolved.endsWith('\n')) {
+      resolved += '\n';
+    }
+    
+    const lineCount = splitLines(resolved).length;
+    
+    ranges.push({ hunk: segment.hunk, startLine: line, endLine: line + Math.max(lineCount, 1) - 1 });
+    content += resolved;
+    line += lineCount;
+  }
+  
+  return { content, ranges };
+}
+
+/**
+ * Проверяет, остались ли в тексте маркеры конфликта.
+ * @param {string} content - Текст.
+ * @returns {boolean} - true, если найден хотя бы один маркер.
+ */
+function hasConflictMarkers(content) {
+  return splitLines(content).some(line => getConflictMarker(line) !== null);
+}
+
 /**
  * Класс для работы с Git репозиториями.
  */
@@ -175,17 +316,21 @@ class GitClient {
       }
       
       // Проверяем наличие URL репозитория
-      if (!project.repositoryUrl) {
+      if (!project.repositoryUrl && !project.repository_url) {
         logger.error(`Repository URL not specified for project ${projectId}`);
         return null;
       }
       
+      // Модель проекта хранит поля в snake_case (repository_url, local_path)
+      const repositoryUrl = project.repositoryUrl || project.repository_url;
+      const localPath = project.localPath || project.local_path;
+      
       return {
         id: project.id,
         name: project.name,
-        url: project.repositoryUrl,
-        type: this._getRepoType(project.repositoryUrl),
-        localPath: project.localPath || this._getRepoPath(project.repositoryUrl)
+        url: repositoryUrl,
+        type: this._getRepoType(repositoryUrl),
+        localPath: localPath || this._getRepoPath(repositoryUrl)
       };
     } catch (error) {
       logger.error(`Error getting repository info: ${error.message}`);
@@ -915,6 +1060,7 @@ class GitClient {
 
   /**
    * Проверяет наличие конфликтов между ветками.
+   * Конфликты определяются трехсторонним слиянием каждого файла, измененного в обеих ветках.
    * @param {string} projectId - Идентификатор проекта.
    * @param {string} sourceBranch - Исходная ветка.
    * @param {string} targetBranch - Целевая ветка.
@@ -934,62 +1080,340 @@ class GitClient {
       const repoPath = repoResult.repoPath;
       
       // Обновляем репозиторий
-      let result = await this._executeGitCommand('git fetch', repoPath);
+      const fetchResult = await this._executeGitCommand('git fetch', repoPath);
       
-      if (!result.success) {
+      if (!fetchResult.success) {
         return {
           success: false,
-          error: `Failed to fetch repository: ${result.error}`,
-          stderr: result.stderr
+          error: `Failed to fetch repository: ${fetchResult.error}`,
+          stderr: fetchResult.stderr
         };
       }
       
-      // Проверяем конфликты
-      result = await this._executeGitCommand(
-        `git merge-tree $(git merge-base ${targetBranch} ${sourceBranch}) ${targetBranch} ${sourceBranch}`,
-        repoPath
-      );
+      const result = await this._collectMergeConflicts(repoPath, sourceBranch, targetBranch);
       
-      // Анализируем результат
-      const hasConflicts = result.stdout.includes('<<<<<<< ') || result.stderr.includes('conflict');
+      if (!result.success) {
+        return result;
+      }
       
-      if (hasConflicts) {
+      if (result.hasConflicts) {
         logger.info(`Merge conflicts detected between ${sourceBranch} and ${targetBranch}`);
         
-        // Получаем список файлов с конфликтами
-        const conflictFiles = [];
-        const lines = result.stdout.split('\n');
-        
-        for (let i = 0; i < lines.length; i++) {
-          const line = lines[i];
-          
-          if (line.includes('changed in both')) {
-            const fileLine = lines[i - 1] || '';
-            const match = fileLine.match(/([^\s]+)$/);
-            
-            if (match) {
-              conflictFiles.push(match[1]);
-            }
-          }
-        }
-        
         return {
           success: true,
           hasConflicts: true,
-          conflictFiles,
+          conflictFiles: result.conflictFiles,
+          hunkCount: result.files.reduce((count, file) => count + file.hunks.length, 0),
           message: 'Merge conflicts detected'
         };
-      } else {
-        logger.info(`No merge conflicts detected between ${sourceBranch} and ${targetBranch}`);
+      }
+      
+      logger.info(`No merge conflicts detected between ${sourceBranch} and ${targetBranch}`);
+      
+      return {
+        success: true,
+        hasConflicts: false,
+        message: 'No merge conflicts detected'
+      };
+    } catch (error) {
+      logger.error(`Error checking merge conflicts: ${error.message}`);
+      
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Извлекает конфликты слияния по блокам (hunks) с версиями base/ours/theirs.
+   * @param {string} projectId - Идентификатор проекта.
+   * @param {string} sourceBranch - Исходная ветка (theirs).
+   * @param {string} targetBranch - Целевая ветка (ours).
+   * @returns {Promise<Object>} - { success, hasConflicts, mergeBase, conflictFiles, files },
+   *   где files - [{ path, segments, hunks, error? }] (см. parseConflictHunks).
+   */
+  async getMergeConflicts(projectId, sourceBranch, targetBranch) {
+    logger.info(`Extracting merge conflicts for project ${projectId} between ${sourceBranch} and ${targetBranch}`);
+    
+    try {
+      const repoResult = await this.getProjectRepository(projectId);
+      
+      if (!repoResult.success) {
+        return repoResult;
+      }
+      
+      return await this._collectMergeConflicts(repoResult.repoPath, sourceBranch, targetBranch);
+    } catch (error) {
+      logger.error(`Error extracting merge conflicts: ${error.message}`);
+      
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Выполняет трехстороннее слияние файлов, измененных в обеих ветках, и разбирает конфликты.
+   * @private
+   * @param {string} repoPath - Путь к репозиторию.
+   * @param {string} sourceBranch - Исходная ветка (theirs).
+   * @param {string} targetBranch - Целевая ветка (ours).
+   * @returns {Promise<Object>} - Результат извлечения конфликтов.
+   */
+  async _collectMergeConflicts(repoPath, sourceBranch, targetBranch) {
+    const baseResult = await this._executeGitCommand(
+      `git merge-base ${this._quoteArg(targetBranch)} ${this._quoteArg(sourceBranch)}`,
+      repoPath
+    );
+    
+    if (!baseResult.success) {
+      return {
+        success: false,
+        error: `Failed to find merge base of ${targetBranch} and ${sourceBranch}: ${baseResult.error}`,
+        stderr: baseResult.stderr
+      };
+    }
+    
+    const mergeBase = baseResult.stdout.trim();
+    const targetChanges = await this._getChangedPaths(repoPath, mergeBase, targetBranch);
+    const sourceChanges = await this._getChangedPaths(repoPath, mergeBase, sourceBranch);
+    
+    if (!targetChanges.success || !sourceChanges.success) {
+      return targetChanges.success ? sourceChanges : targetChanges;
+    }
+    
+    // Конфликтовать могут только файлы, измененные в обеих ветках
+    const candidates = targetChanges.paths.filter(filePath => sourceChanges.paths.includes(filePath));
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'git-merge-file-'));
+    const files = [];
+    
+    try {
+      for (const filePath of candidates) {
+        const ours = await this._readBlob(repoPath, targetBranch, filePath);
+        const theirs = await this._readBlob(repoPath, sourceBranch, filePath);
+        
+        if (ours === theirs) {
+          continue;
+        }
+        
+        const base = await this._readBlob(repoPath, mergeBase, filePath);
+        const merge = await this._mergeFile(repoPath, tempDir, { ours, base, theirs }, {
+          ours: targetBranch,
+          theirs: sourceBranch
+        });
+        
+        if (merge.error) {
+          files.push({ path: filePath, segments: [], hunks: [], error: merge.error });
+        } else if (merge.conflicted) {
+          files.push({ path: filePath, ...parseConflictHunks(merge.content) });
+        }
+      }
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+    
+    return {
+      success: true,
+      hasConflicts: files.length > 0,
+      mergeBase,
+      conflictFiles: files.map(file => file.path),
+      files
+    };
+  }
+
+  /**
+   * Получает пути файлов, измененных между двумя ревизиями.
+   * @private
+   * @param {string} repoPath - Путь к репозиторию.
+   * @param {string} fromRef - Начальная ревизия.
+   * @param {string} toRef - Конечная ревизия.
+   * @returns {Promise<Object>} - { success, paths }.
+   */
+  async _getChangedPaths(repoPath, fromRef, toRef) {
+    const result = await this._executeGitCommand(
+      `git diff --name-only --no-renames -z ${this._quoteArg(fromRef)} ${this._quoteArg(toRef)}`,
+      repoPath
+    );
+    
+    if (!result.success) {
+      return {
+        success: false,
+        error: `Failed to list changes between ${fromRef} and ${toRef}: ${result.error}`,
+        stderr: result.stderr
+      };
+    }
+    
+    return { success: true, paths: result.stdout.split('\0').filter(Boolean) };
+  }
+
+  /**
+   * Читает содержимое файла в ревизии.
+   * @private
+   * @param {string} repoPath - Путь к репозиторию.
+   * @param {string} ref - Ревизия.
+   * @param {string} filePath - Путь к файлу.
+   * @returns {Promise<string>} - Содержимое (пустая строка, если файла нет в ревизии).
+   */
+  async _readBlob(repoPath, ref, filePath) {
+    const result = await this._executeGitCommand(`git show ${this._quoteArg(`${ref}:${filePath}`)}`, repoPath);
+    
+    return result.success ? result.stdout : '';
+  }
+
+  /**
+   * Выполняет трехстороннее слияние содержимого файла (git merge-file --diff3).
+   * @private
+   * @param {string} repoPath - Путь к репозиторию.
+   * @param {string} tempDir - Временная директория для версий файла.
+   * @param {Object} versions - Версии { ours, base, theirs }.
+   * @param {Object} labels - Подписи маркеров { ours, theirs }.
+   * @returns {Promise<Object>} - { conflicted, content } или { error }.
+   */
+  async _mergeFile(repoPath, tempDir, versions, labels) {
+    const paths = {};
+    
+    for (const [name, content] of Object.entries(versions)) {
+      paths[name] = path.join(tempDir, name);
+      await fs.writeFile(paths[name], content);
+    }
+    
+    const result = await this._executeGitCommand(
+      `git merge-file -p --diff3 -L ${this._quoteArg(labels.ours)} -L merge-base -L ${this._quoteArg(labels.theirs)} ` +
+      `${this._quoteArg(paths.ours)} ${this._quoteArg(paths.base)} ${this._quoteArg(paths.theirs)}`,
+      repoPath
+    );
+    
+    // Код выхода merge-file равен числу конфликтов; ошибка (например, бинарный файл) пишется в stderr
+    if (!result.success && result.stderr.trim()) {
+      return { error: result.stderr.trim() };
+    }
+    
+    return { conflicted: !result.success, content: result.stdout };
+  }
+
+  /**
+   * Создает ветку разрешения конфликтов: целевая ветка, слияние исходной
+   * и коммит с разрешенным содержимым конфликтных файлов.
+   * @param {string} projectId - Идентификатор проекта.
+   * @param {Object} options - Опции.
+   * @param {string} options.branchName - Имя ветки разрешения.
+   * @param {string} options.sourceBranch - Исходная ветка.
+   * @param {string} options.targetBranch - Целевая ветка.
+   * @param {Array<Object>} options.files - Разрешенные файлы [{ path, content }].
+   * @param {string} options.commitMessage - Сообщение коммита слияния.
+   * @param {boolean} options.push - Отправить ветку в origin.
+   * @returns {Promise<Object>} - { success, branchName, commitHash, pushed }.
+   */
+  async createResolutionBranch(projectId, options) {
+    const { branchName, sourceBranch, targetBranch, files, commitMessage, push = false } = options;
+    
+    logger.info(`Creating resolution branch ${branchName} for project ${projectId}`);
+    
+    try {
+      const repoResult = await this.getProjectRepository(projectId);
+      
+      if (!repoResult.success) {
+        return repoResult;
+      }
+      
+      const repoPath = repoResult.repoPath;
+      
+      let result = await this._executeGitCommand(
+        `git checkout -B ${this._quoteArg(branchName)} ${this._quoteArg(targetBranch)}`,
+        repoPath
+      );
+      
+      if (!result.success) {
+        return {
+          success: false,
+          error: `Failed to create branch ${branchName}: ${result.error}`,
+          stderr: result.stderr
+        };
+      }
+      
+      // Слияние с конфликтами завершается ошибкой, но оставляет незавершенное слияние
+      result = await this._executeGitCommand(`git merge --no-ff --no-commit ${this._quoteArg(sourceBranch)}`, repoPath);
+      
+      if (!result.success && !result.stdout.includes('CONFLICT')) {
+        await this._executeGitCommand('git merge --abort', repoPath);
         
         return {
-          success: true,
-          hasConflicts: false,
-          message: 'No merge conflicts detected'
+          success: false,
+          error: `Failed to merge ${sourceBranch}: ${result.error}`,
+          stderr: result.stderr
+        };
+      }
+      
+      for (const file of files) {
+        const filePath = path.join(repoPath, file.path);
+        
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, file.content);
+      }
+      
+      const paths = files.map(file => this._quoteArg(file.path)).join(' ');
+      result = await this._executeGitCommand(`git add -- ${paths}`, repoPath);
+      
+      const unmerged = await this._executeGitCommand('git diff --name-only --diff-filter=U -z', repoPath);
+      const unresolved = unmerged.success ? unmerged.stdout.split('\0').filter(Boolean) : [];
+      
+      if (!result.success || unresolved.length > 0) {
+        await this._executeGitCommand('git merge --abort', repoPath);
+        
+        return {
+          success: false,
+          error: unresolved.length > 0
+            ? `Unresolved conflicts remain in: ${unresolved.join(', ')}`
+            : `Failed to stage resolved files: ${result.error}`,
+          unresolved
         };
       }
+      
+      result = await this._executeGitCommand(`git commit -m ${this._quoteArg(commitMessage)}`, repoPath);
+      
+      if (!result.success) {
+        await this._executeGitCommand('git merge --abort', repoPath);
+        
+        return {
+          success: false,
+          error: `Failed to commit merge resolution: ${result.error}`,
+          stderr: result.stderr
+        };
+      }
+      
+      const hashResult = await this._executeGitCommand('git rev-parse HEAD', repoPath);
+      const commitHash = hashResult.success ? hashResult.stdout.trim() : null;
+      let pushed = false;
+      
+      if (push) {
+        const pushResult = await this._executeGitCommand(`git push -u origin ${this._quoteArg(branchName)}`, repoPath);
+        
+        if (!pushResult.success) {
+          return {
+            success: false,
+            branchName,
+            commitHash,
+            error: `Resolution committed but push failed: ${pushResult.error}`,
+            stderr: pushResult.stderr
+          };
+        }
+        
+        pushed = true;
+      }
+      
+      logger.info(`Resolution branch ${branchName} created at ${commitHash}`);
+      
+      return {
+        success: true,
+        branchName,
+        commitHash,
+        pushed,
+        message: `Resolution branch ${branchName} created successfully`
+      };
     } catch (error) {
-      logger.error(`Error checking merge conflicts: ${error.message}`);
+      logger.error(`Error creating resolution branch: ${error.message}`);
       
       return {
         success: false,
@@ -998,6 +1422,16 @@ class GitClient {
     }
   }
 
+  /**
+   * Экранирует аргумент командной строки.
+   * @private
+   * @param {string} value - Значение аргумента.
+   * @returns {string} - Аргумент в одинарных кавычках.
+   */
+  _quoteArg(value) {
+    return `'${String(value).replace(/'/g, "'\\''")}'`;
+  }
+
   /**
    * Получает список файлов, измененных в ветке.
    * @param {string} projectId - Идентификатор проекта.
@@ -1047,43 +1481,7 @@ class GitClient {
       }
       
       // Парсим результат
-      const changedFiles = [];
-      const lines = result.stdout.trim().split('\n');
-      
-      for (const line of lines) {
-        if (!line.trim()) continue;
-        
-        const [status, ...fileParts] = line.split('\t');
-        const filePath = fileParts.join('\t'); // Обрабатываем случай, когда в пути есть табуляции
-        
-        let operation;
-        
-        switch (status.charAt(0)) {
-          case 'A':
-            operation = 'added';
-            break;
-          case 'M':
-            operation = 'modified';
-            break;
-          case 'D':
-            operation = 'deleted';
-            break;
-          case 'R':
-            operation = 'renamed';
-            break;
-          case 'C':
-            operation = 'copied';
-            break;
-          default:
-            operation = 'unknown';
-        }
-        
-        changedFiles.push({
-          path: filePath,
-          operation,
-          status
-        });
-      }
+      const changedFiles = this._parseNameStatus(result.stdout);
       
       return {
         success: true,
@@ -1100,6 +1498,121 @@ class GitClient {
     }
   }
 
+  /**
+   * Получает хэш текущего коммита (HEAD) локального репозитория.
+   * @param {string} repoPath - Путь к локальному репозиторию.
+   * @returns {Promise<string|null>} - Хэш коммита или null, если путь не является Git репозиторием.
+   */
+  async getHeadCommit(repoPath) {
+    const result = await this._executeGitCommand('git rev-parse HEAD', repoPath);
+    
+    return result.success ? result.stdout.trim() : null;
+  }
+
+  /**
+   * Проверяет, что коммит существует в истории локального репозитория
+   * (после force push ранее проиндексированный коммит может исчезнуть).
+   * @param {string} repoPath - Путь к локальному репозиторию.
+   * @param {string} commit - Хэш коммита.
+   * @returns {Promise<boolean>} - true, если коммит существует.
+   */
+  async commitExists(repoPath, commit) {
+    if (!/^[0-9a-f]{7,40}$/i.test(commit || '')) {
+      return false;
+    }
+    
+    const result = await this._executeGitCommand(`git cat-file -e ${commit}^{commit}`, repoPath);
+    
+    return result.success;
+  }
+
+  /**
+   * Получает список файлов, измененных после указанного коммита:
+   * изменения между коммитом и рабочей копией (включая незакоммиченные)
+   * и новые неотслеживаемые файлы.
+   * @param {string} repoPath - Путь к локальному репозиторию.
+   * @param {string} fromCommit - Хэш коммита, с которым выполняется сравнение.
+   * @returns {Promise<Object>} - Результат получения списка файлов.
+   */
+  async getChangedFilesSince(repoPath, fromCommit) {
+    logger.debug(`Getting files changed since ${fromCommit} in ${repoPath}`);
+    
+    if (!(await this.commitExists(repoPath, fromCommit))) {
+      return {
+        success: false,
+        error: `Commit ${fromCommit} not found in repository`
+      };
+    }
+    
+    const diffResult = await this._executeGitCommand(
+      `git -c core.quotepath=off diff --name-status -M ${fromCommit}`,
+      repoPath
+    );
+    
+    if (!diffResult.success) {
+      return {
+        success: false,
+        error: `Failed to get changed files: ${diffResult.error}`,
+        stderr: diffResult.stderr
+      };
+    }
+    
+    const untrackedResult = await this._executeGitCommand(
+      'git -c core.quotepath=off ls-files --others --exclude-standard',
+      repoPath
+    );
+    
+    const changedFiles = this._parseNameStatus(diffResult.stdout);
+    
+    if (untrackedResult.success) {
+      for (const filePath of untrackedResult.stdout.split('\n').filter(line => line.trim())) {
+        changedFiles.push({ path: filePath, operation: 'added', status: '??' });
+      }
+    }
+    
+    return {
+      success: true,
+      changedFiles,
+      message: `Found ${changedFiles.length} changed files`
+    };
+  }
+
+  /**
+   * Разбирает вывод git diff --name-status.
+   * Для переименованных и скопированных файлов path - новый путь, oldPath - прежний.
+   * @private
+   * @param {string} output - Вывод команды.
+   * @returns {Array<Object>} - Список файлов { path, oldPath, operation, status }.
+   */
+  _parseNameStatus(output) {
+    const operations = {
+      A: 'added',
+      M: 'modified',
+      D: 'deleted',
+      R: 'renamed',
+      C: 'copied'
+    };
+    
+    const changedFiles = [];
+    
+    for (const line of output.trim().split('\n')) {
+      if (!line.trim()) continue;
+      
+      const [status, ...paths] = line.split('\t');
+      const operation = operations[status.charAt(0)] || 'unknown';
+      const hasOldPath = (operation === 'renamed' || operation === 'copied') && paths.length > 1;
+      
+      changedFiles.push({
+        path: hasOldPath ? paths[1] : paths.join('\t'),
+        ...(hasOldPath && { oldPath: paths[0] }),
+        operation,
+        status
+      });
+    }
+    
+    return changedFiles;
+  }
+
   /**
    * Получает содержимое файла из репозитория.
    * @param {string} projectId - Идентификатор проекта.
@@ -1164,4 +1677,10 @@ class GitClient {
   }
 }
 
-module.exports = { GitClient };
\ No newline at end of file
+module.exports = {
+  GitClient,
+  CONFLICT_MARKERS,
+  parseConflictHunks,
+  assembleResolvedContent,
+  hasConflictMarkers
+};
\ No newline at end of file
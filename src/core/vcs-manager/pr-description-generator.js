@@ -1,6 +1,6 @@
 // src/core/vcs-manager/pr-description-generator.js
 
-const llmClient = require('../../utils/llm-client');
+const { getLLMClient } = require('../../utils/llm-client');
 const promptManager = require('../../utils/prompt-manager');
 const logger = require('../../utils/logger');
 const GitService = require('./git-client');
@@ -47,7 +47,7 @@ class PrDescriptionGenerator {
       
       // Получаем текст промпта и отправляем в LLM
       const promptText = await promptManager.getPrompt('pr-description', promptVars);
-      const result = await llmClient.sendMessage(promptText);
+      const result = await getLLMClient().sendPrompt(promptText);
       
       return result;
     } catch (error) {
@@ -126,7 +126,7 @@ class PrDescriptionGenerator {
         repositoryUrl: options.repositoryUrl
       });
       
-      const result = await llmClient.sendMessage(promptText);
+      const result = await getLLMClient().sendPrompt(promptText);
       return result;
     } catch (error) {
       logger.error('Ошибка при генерации шаблона PR:', error);
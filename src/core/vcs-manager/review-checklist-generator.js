@@ -1,9 +1,10 @@
 // src/core/vcs-manager/review-checklist-generator.js
 
-const llmClient = require('../../utils/llm-client');
+const { getLLMClient } = require('../../utils/llm-client');
 const promptManager = require('../../utils/prompt-manager');
 const logger = require('../../utils/logger');
-const GitService = require('./git-client');
+const GitService = require('./gitService');
+const SymbolGraph = require('../project-understanding/symbol-graph');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -19,6 +20,8 @@ class ReviewChecklistGenerator {
    * @param {String} options.headBranch - Текущая ветка (откуда мерджим)
    * @param {String} options.repositoryUrl - URL репозитория
    * @param {String} options.taskId - ID задачи (если есть)
+   * @param {Number} [options.projectId] - ID проекта (для анализа влияния изменений по графу символов)
+   * @param {Array<String>} [options.changedFiles] - Измененные файлы (если не указаны, берутся из git diff)
    * @param {Array<String>} options.fileExtensions - Расширения файлов для включения в анализ
    * @param {Boolean} options.detailedChecklist - Генерировать ли подробный чеклист
    * @returns {Promise<Object>} Сгенерированный чеклист
@@ -28,10 +31,7 @@ class ReviewChecklistGenerator {
       logger.info(`Генерация чеклиста для код-ревью для ветки ${options.headBranch}`);
       
       // Получаем список измененных файлов
-      const changedFiles = await GitService.getChangedFiles(
-        options.baseBranch, 
-        options.headBranch
-      );
+      const changedFiles = await this._getChangedFiles(options);
       
       // Фильтруем файлы по расширениям, если указаны
       const filesToAnalyze = options.fileExtensions ? 
@@ -47,11 +47,7 @@ class ReviewChecklistGenerator {
       const fileContents = await Promise.all(
         filesForAnalysis.map(async (file) => {
           try {
-            const diff = await GitService.getFileDiff(
-              options.baseBranch, 
-              options.headBranch, 
-              file
-            );
+            const diff = await this._getFileDiff(options, file);
             
             return {
               file,
@@ -67,6 +63,9 @@ class ReviewChecklistGenerator {
         })
       );
       
+      // Определяем затронутые модули, маршруты и тесты
+      const impact = await this._analyzeImpact(options, changedFiles);
+      
       // Формируем переменные для промпта
       const promptVars = {
         baseBranch: options.baseBranch,
@@ -76,6 +75,8 @@ class ReviewChecklistGenerator {
         changedFiles,
         fileContents,
         detailedChecklist: options.detailedChecklist,
+        impact,
+        impactSummary: this._formatImpact(impact),
         // Определяем типы изменений по расширениям файлов
         changes: {
           hasJsChanges: filesToAnalyze.some(f => /\.(js|jsx|ts|tsx)$/.test(f)),
@@ -93,7 +94,7 @@ class ReviewChecklistGenerator {
       
       // Получаем текст промпта и отправляем в LLM
       const promptText = await promptManager.getPrompt(promptName, promptVars);
-      const result = await llmClient.sendMessage(promptText);
+      const result = await getLLMClient().sendPrompt(promptText);
       
       // Если нужен подробный чеклист, генерируем еще и специфичные проверки
       if (options.detailedChecklist && fileContents.length > 0) {
@@ -115,6 +116,105 @@ class ReviewChecklistGenerator {
     }
   }
   
+  /**
+   * Получает список файлов, измененных в ветке относительно базовой
+   * @private
+   * @param {Object} options - Опции (baseBranch, headBranch, changedFiles, gitService, repoPath)
+   * @returns {Promise<Array<String>>} Пути измененных файлов
+   */
+  async _getChangedFiles(options) {
+    // Список файлов может быть передан явно (например, оркестратором)
+    if (Array.isArray(options.changedFiles)) {
+      return options.changedFiles;
+    }
+    
+    const gitService = this._getGitService(options);
+    const diffSummary = await gitService.diffSummary([`${options.baseBranch}...${options.headBranch}`]);
+    
+    return diffSummary.files.map(file => file.file);
+  }
+  
+  /**
+   * Анализирует влияние изменений по графу символов проекта
+   * @private
+   * @param {Object} options - Опции (projectId)
+   * @param {Array<String>} changedFiles - Пути измененных файлов
+   * @returns {Promise<Object|null>} Затронутые модули, маршруты и тесты или null
+   */
+  async _analyzeImpact(options, changedFiles) {
+    if (!options.projectId || changedFiles.length === 0) {
+      return null;
+    }
+    
+    try {
+      const impact = await new SymbolGraph(options.projectId).analyzeImpact({ files: changedFiles });
+      const changed = new Set(changedFiles);
+      
+      return {
+        modules: impact.modules,
+        routes: impact.routes,
+        tests: impact.tests,
+        // Файлы вне изменений, которые зависят от измененного кода
+        dependentFiles: impact.files
+          .filter(file => !changed.has(file.path))
+          .map(file => file.path)
+          .slice(0, 30)
+      };
+    } catch (error) {
+      logger.warn(`Не удалось проанализировать влияние изменений проекта #${options.projectId}:`, error);
+      return null;
+    }
+  }
+  
+  /**
+   * Формирует раздел промпта о влиянии изменений
+   * @private
+   * @param {Object|null} impact - Результат _analyzeImpact
+   * @returns {String} Текст раздела (пустая строка, если анализ недоступен)
+   */
+  _formatImpact(impact) {
+    if (!impact) {
+      return '';
+    }
+    
+    const list = (title, items) => (items.length > 0 ? `${title}:\n${items.map(item => `- ${item}`).join('\n')}\n` : '');
+    
+    return [
+      '# Влияние изменений (по графу зависимостей проекта)',
+      list('Затронутые маршруты API', impact.routes),
+      list('Затронутые тесты', impact.tests),
+      list('Файлы вне изменений, зависящие от измененного кода', impact.dependentFiles),
+      list('Затронутые модули', impact.modules)
+    ].filter(Boolean).join('\n') + '\n';
+  }
+  
+  /**
+   * Получает diff файла между базовой и текущей веткой
+   * @private
+   * @param {Object} options - Опции (baseBranch, headBranch, gitService, repoPath)
+   * @param {String} file - Путь к файлу
+   * @returns {Promise<String>} Diff файла
+   */
+  async _getFileDiff(options, file) {
+    const gitService = this._getGitService(options);
+    
+    return gitService.diff([`${options.baseBranch}...${options.headBranch}`, '--', file]);
+  }
+  
+  /**
+   * Возвращает GitService из опций или создает его по пути к репозиторию
+   * @private
+   * @param {Object} options - Опции (gitService, repoPath)
+   * @returns {GitService} Экземпляр GitService
+   */
+  _getGitService(options) {
+    if (options.gitService) {
+      return options.gitService;
+    }
+    
+    return new GitService(options.repoPath);
+  }
+  
   /**
    * Генерирует специфичные проверки для разных типов файлов
    * @private
@@ -155,7 +255,7 @@ class ReviewChecklistGenerator {
         
         // Получаем текст промпта и отправляем в LLM
         const promptText = await promptManager.getPrompt('review-checklist-specific', promptVars);
-        specificChecks[ext] = await llmClient.sendMessage(promptText);
+        specificChecks[ext] = await getLLMClient().sendPrompt(promptText);
       } catch (error) {
         logger.warn(`Не удалось сгенерировать специфичные проверки для ${ext}:`, error);
         specificChecks[ext] = `Не удалось сгенерировать проверки: ${error.message}`;
@@ -180,10 +280,7 @@ class ReviewChecklistGenerator {
       logger.info(`Оценка PR для ветки ${options.headBranch}`);
       
       // Получаем список измененных файлов
-      const changedFiles = await GitService.getChangedFiles(
-        options.baseBranch, 
-        options.headBranch
-      );
+      const changedFiles = await this._getChangedFiles(options);
       
       // Ограничиваем количество файлов для анализа
       const filesForAnalysis = changedFiles.slice(0, 10);
@@ -192,11 +289,7 @@ class ReviewChecklistGenerator {
       const fileContents = await Promise.all(
         filesForAnalysis.map(async (file) => {
           try {
-            const diff = await GitService.getFileDiff(
-              options.baseBranch, 
-              options.headBranch, 
-              file
-            );
+            const diff = await this._getFileDiff(options, file);
             
             return {
               file,
@@ -224,7 +317,7 @@ class ReviewChecklistGenerator {
       
       // Получаем текст промпта и отправляем в LLM
       const promptText = await promptManager.getPrompt('pr-evaluation', promptVars);
-      const result = await llmClient.sendMessage(promptText);
+      const result = await getLLMClient().sendPrompt(promptText);
       
       // Парсим результат (предполагаем, что LLM вернет JSON или структурированный текст)
       try {
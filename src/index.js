@@ -9,6 +9,8 @@ const controller = require('./controller');
 const websocket = require('./websocket');
 const initializeMetrics = require('./core/metrics-init');
 const analyticsRoutes = require('./api/routes/analytics.routes');
+const appConfig = require('./config/app.config');
+const projectManagementIntegration = require('./core/project-management');
 require('dotenv').config();
 
 
@@ -32,8 +34,19 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Вебхуки Git разбирает их собственный маршрут (orchestration.routes): он сохраняет
+// тело без изменений для проверки подписи и принимает тела больше лимита по умолчанию
+const GIT_WEBHOOKS_PATH = '/api/orchestration/webhooks';
+const jsonParser = express.json();
+const urlencodedParser = express.urlencoded({ extended: true });
+
+app.use((req, res, next) => {
+  if (req.path.startsWith(GIT_WEBHOOKS_PATH)) {
+    return next();
+  }
+  
+  jsonParser(req, res, err => err ? next(err) : urlencodedParser(req, res, next));
+});
 
 // Логирование запросов
 app.use((req, res, next) => {
@@ -108,6 +121,11 @@ async function start() {
       controller.start().catch(error => {
         logger.error('Ошибка при автоматическом запуске контроллера:', error);
       });
+      
+      // Запускаем фоновую синхронизацию задач с внешними системами
+      if (appConfig.integrations.sync.enabled) {
+        projectManagementIntegration.syncEngine.start();
+      }
     });
   } catch (error) {
     logger.error('Ошибка при запуске сервера:', error);
@@ -135,6 +153,9 @@ async function gracefulShutdown() {
     // Останавливаем контроллер
     await controller.stop();
     
+    // Останавливаем синхронизацию с внешними системами
+    projectManagementIntegration.syncEngine.stop();
+    
     // Останавливаем WebSocket-сервер
     await websocket.shutdown();
     
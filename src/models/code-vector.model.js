@@ -37,6 +37,14 @@ module.exports = (sequelize, DataTypes) => {
           min: 1
         }
       },
+      symbol_name: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+      },
+      symbol_kind: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+      },
       embedding: {
         type: DataTypes.JSON,
         allowNull: true
@@ -40,6 +40,10 @@ const CodeVector = require('./code-vector.model')(sequelize, Sequelize);
 const TaskQueue = require('./task-queue.model')(sequelize, Sequelize);
 const TaskLog = require('./task-log.model')(sequelize, Sequelize);
 const Feedback = require('./feedback.model')(sequelize, Sequelize);
+const IntegrationType = require('./integration-type.model')(sequelize, Sequelize);
+const IntegrationLink = require('./integration-link.model')(sequelize, Sequelize);
+const TaskExternalLink = require('./task-external-link.model')(sequelize, Sequelize);
+const TaskSyncConflict = require('./task-sync-conflict.model')(sequelize, Sequelize);
 
 // Определение ассоциаций между моделями
 
@@ -106,7 +110,11 @@ const models = {
   CodeVector,
   TaskQueue,
   TaskLog,
-  Feedback
+  Feedback,
+  IntegrationType,
+  IntegrationLink,
+  TaskExternalLink,
+  TaskSyncConflict
 };
 
 // Вызываем метод associate для каждой модели, если он существует
@@ -116,9 +124,22 @@ Object.values(models).forEach(model => {
   }
 });
 
+// Модули интеграций с системами управления проектами обращаются к моделям по именам с суффиксом Model
+const integrationModels = {
+  ProjectModel: Project,
+  TaskModel: Task,
+  UserModel: User,
+  CommentModel: Comment,
+  IntegrationTypeModel: IntegrationType,
+  IntegrationLinkModel: IntegrationLink,
+  TaskExternalLinkModel: TaskExternalLink,
+  TaskSyncConflictModel: TaskSyncConflict
+};
+
 // Экспорт моделей и экземпляра Sequelize
 module.exports = {
   sequelize,
   Sequelize,
-  ...models
+  ...models,
+  ...integrationModels
 };
\ No newline at end of file
@@ -1,52 +1,151 @@
 // src/models/integration-type.model.js
-const { DataTypes, Model } = require('sequelize');
-const sequelize = require('../config/db.initialize').getSequelize();
-
 /**
  * Модель типа интеграции
  */
-class IntegrationType extends Model {}
+module.exports = (sequelize, DataTypes) => {
+  const IntegrationType = sequelize.define('IntegrationType', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    provider_name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    title: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    config_schema: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'JSON-схема для валидации конфигурации интеграции'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'integration_types',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  /**
+   * Провайдеры систем управления проектами
+   * (реализации - src/core/project-management/*-integration.js)
+   */
+  IntegrationType.PROVIDERS = {
+    jira: {
+      title: 'JIRA',
+      description: 'Задачи JIRA Cloud',
+      config_schema: {
+        type: 'object',
+        required: ['baseUrl', 'email', 'apiToken', 'project'],
+        properties: {
+          baseUrl: { type: 'string' },
+          email: { type: 'string' },
+          apiToken: { type: 'string' },
+          project: { type: 'string' },
+          issueType: { type: 'string' },
+          statusMapping: { type: 'object' },
+          mappings: { type: 'object' }
+        }
+      }
+    },
+    github: {
+      title: 'GitHub Issues',
+      description: 'Задачи GitHub Issues репозитория',
+      config_schema: {
+        type: 'object',
+        required: ['token', 'owner', 'repo'],
+        properties: {
+          token: { type: 'string' },
+          owner: { type: 'string' },
+          repo: { type: 'string' },
+          defaultLabels: { type: 'array', items: { type: 'string' } },
+          statusMapping: { type: 'object' },
+          mappings: { type: 'object' }
+        }
+      }
+    },
+    gitlab: {
+      title: 'GitLab Issues',
+      description: 'Задачи GitLab Issues проекта (gitlab.com или собственный сервер)',
+      config_schema: {
+        type: 'object',
+        required: ['token', 'projectId'],
+        properties: {
+          baseUrl: { type: 'string' },
+          token: { type: 'string' },
+          projectId: { type: ['string', 'number'] },
+          defaultLabels: { type: 'array', items: { type: 'string' } },
+          statusMapping: { type: 'object' }
+        }
+      }
+    },
+    'azure-devops': {
+      title: 'Azure DevOps Boards',
+      description: 'Рабочие элементы Azure DevOps Boards',
+      config_schema: {
+        type: 'object',
+        required: ['organization', 'project', 'personalAccessToken'],
+        properties: {
+          baseUrl: { type: 'string' },
+          organization: { type: 'string' },
+          project: { type: 'string' },
+          personalAccessToken: { type: 'string' },
+          workItemType: { type: 'string' },
+          areaPath: { type: 'string' },
+          defaultTags: { type: 'array', items: { type: 'string' } },
+          statusMapping: { type: 'object' }
+        }
+      }
+    }
+  };
 
-IntegrationType.init({
-  id: {
-    type: DataTypes.INTEGER,
-    primaryKey: true,
-    autoIncrement: true
-  },
-  provider_name: {
-    type: DataTypes.STRING,
-    allowNull: false,
-    unique: true
-  },
-  title: {
-    type: DataTypes.STRING,
-    allowNull: false
-  },
-  description: {
-    type: DataTypes.TEXT,
-    allowNull: true
-  },
-  config_schema: {
-    type: DataTypes.TEXT,
-    allowNull: true,
-    comment: 'JSON-схема для валидации конфигурации интеграции'
-  },
-  created_at: {
-    type: DataTypes.DATE,
-    allowNull: false,
-    defaultValue: DataTypes.NOW
-  },
-  updated_at: {
-    type: DataTypes.DATE,
-    allowNull: false,
-    defaultValue: DataTypes.NOW
-  }
-}, {
-  sequelize,
-  tableName: 'integration_types',
-  timestamps: true,
-  createdAt: 'created_at',
-  updatedAt: 'updated_at'
-});
+  /**
+   * Регистрирует типы интеграций для провайдеров (создает отсутствующие записи)
+   * @param {string[]} providers - Названия провайдеров (по умолчанию - все из PROVIDERS)
+   * @returns {Promise<Array<IntegrationType>>} - Типы интеграций
+   */
+  IntegrationType.registerProviders = async function (providers = Object.keys(IntegrationType.PROVIDERS)) {
+    const integrationTypes = [];
+    
+    for (const provider of providers) {
+      const definition = IntegrationType.PROVIDERS[provider];
+      
+      if (!definition) {
+        continue;
+      }
+      
+      const [integrationType] = await IntegrationType.findOrCreate({
+        where: { provider_name: provider },
+        defaults: {
+          title: definition.title,
+          description: definition.description,
+          config_schema: JSON.stringify(definition.config_schema)
+        }
+      });
+      
+      integrationTypes.push(integrationType);
+    }
+    
+    return integrationTypes;
+  };
 
-module.exports = IntegrationType;
\ No newline at end of file
+  return IntegrationType;
+};
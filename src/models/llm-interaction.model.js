@@ -33,6 +33,10 @@ module.exports = (sequelize, DataTypes) => {
         allowNull: true,
         defaultValue: 0
       },
+      routing: {
+        type: DataTypes.JSON,
+        allowNull: true
+      },
       created_at: {
         type: DataTypes.DATE,
         allowNull: false,
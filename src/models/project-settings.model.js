@@ -1,5 +1,7 @@
 // src/models/project-settings.model.js
 
+const SchemaAnalyzer = require('../core/project-understanding/schema-analyzer');
+
 /**
  * Модель для валидации настроек проекта
  */
@@ -17,7 +19,9 @@ class ProjectSettings {
         'git_integration': ProjectSettings.validateGitIntegration,
         'ai_assistant': ProjectSettings.validateAIAssistant,
         'notifications': ProjectSettings.validateNotifications,
-        'team_settings': ProjectSettings.validateTeamSettings
+        'team_settings': ProjectSettings.validateTeamSettings,
+        'workflow': ProjectSettings.validateWorkflow,
+        'schema_source': ProjectSettings.validateSchemaSource
       };
       
       // Проверяем, поддерживается ли данный ключ настройки
@@ -210,6 +214,48 @@ class ProjectSettings {
       };
     }
     
+    /**
+     * Валидирует выбор процесса выполнения задач
+     * @param {Object} value - Значение настройки
+     * @returns {Object} - Результат валидации
+     */
+    static validateWorkflow(value) {
+      const errors = [];
+      
+      // Проверяем тип значения
+      if (!value || typeof value !== 'object') {
+        return { isValid: false, errors: ['Значение должно быть объектом'] };
+      }
+      
+      // Проверяем поля
+      if (typeof value.id !== 'string' || !value.id) {
+        errors.push('Поле id должно быть непустой строкой');
+      }
+      
+      if (value.version !== undefined && (!Number.isInteger(value.version) || value.version < 1)) {
+        errors.push('Поле version должно быть положительным целым числом');
+      }
+      
+      return {
+        isValid: errors.length === 0,
+        errors
+      };
+    }
+    
+    /**
+     * Валидирует источник схемы БД проекта (см. SchemaAnalyzer)
+     * @param {Object} value - Значение настройки
+     * @returns {Object} - Результат валидации
+     */
+    static validateSchemaSource(value) {
+      const errors = SchemaAnalyzer.validateSourceConfig(value);
+      
+      return {
+        isValid: errors.length === 0,
+        errors
+      };
+    }
+    
     /**
      * Создает настройку по умолчанию для указанного ключа
      * @param {string} key - Ключ настройки
@@ -241,6 +287,9 @@ class ProjectSettings {
           default_assignee: '',
           require_review: true,
           team_members: []
+        },
+        'workflow': {
+          id: 'default'
         }
       };
       
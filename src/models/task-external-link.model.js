@@ -1,64 +1,82 @@
 // src/models/task-external-link.model.js
-const { DataTypes, Model } = require('sequelize');
-const sequelize = require('../config/db.initialize').getSequelize();
-const Task = require('./task.model');
-const IntegrationType = require('./integration-type.model');
-
 /**
  * Модель связи задачи с внешней системой
  */
-class TaskExternalLink extends Model {}
-
-TaskExternalLink.init({
-  id: {
-    type: DataTypes.INTEGER,
-    primaryKey: true,
-    autoIncrement: true
-  },
-  task_id: {
-    type: DataTypes.INTEGER,
-    allowNull: false,
-    references: {
-      model: 'tasks',
-      key: 'id'
-    }
-  },
-  integration_type_id: {
-    type: DataTypes.INTEGER,
-    allowNull: false,
-    references: {
-      model: 'integration_types',
-      key: 'id'
+module.exports = (sequelize, DataTypes) => {
+  const TaskExternalLink = sequelize.define('TaskExternalLink', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    task_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'tasks',
+        key: 'id'
+      }
+    },
+    integration_type_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'integration_types',
+        key: 'id'
+      }
+    },
+    external_id: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    external_url: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    sync_state: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'JSON: последние синхронизированные значения полей на каждой стороне и соответствие комментариев'
+    },
+    last_synced_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_sync_status: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'Результат последней синхронизации: synced, conflict, failed'
+    },
+    last_sync_message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    sync_log: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'JSON: журнал последних синхронизаций'
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
     }
-  },
-  external_id: {
-    type: DataTypes.STRING,
-    allowNull: false
-  },
-  external_url: {
-    type: DataTypes.STRING,
-    allowNull: true
-  },
-  created_at: {
-    type: DataTypes.DATE,
-    allowNull: false,
-    defaultValue: DataTypes.NOW
-  },
-  updated_at: {
-    type: DataTypes.DATE,
-    allowNull: false,
-    defaultValue: DataTypes.NOW
-  }
-}, {
-  sequelize,
-  tableName: 'task_external_links',
-  timestamps: true,
-  createdAt: 'created_at',
-  updatedAt: 'updated_at'
-});
+  }, {
+    tableName: 'task_external_links',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
 
-// Связи
-TaskExternalLink.belongsTo(Task, { foreignKey: 'task_id', as: 'task' });
-TaskExternalLink.belongsTo(IntegrationType, { foreignKey: 'integration_type_id', as: 'integrationType' });
+  TaskExternalLink.associate = function(models) {
+    TaskExternalLink.belongsTo(models.Task, { foreignKey: 'task_id', as: 'task' });
+    TaskExternalLink.belongsTo(models.IntegrationType, { foreignKey: 'integration_type_id', as: 'integrationType' });
+  };
 
-module.exports = TaskExternalLink;
+  return TaskExternalLink;
+};
@@ -0,0 +1,99 @@
+// src/models/task-sync-conflict.model.js
+/**
+ * Модель конфликта синхронизации задачи с внешней системой
+ * (поле изменено на обеих сторонах, политика требует ручного решения)
+ */
+module.exports = (sequelize, DataTypes) => {
+  const TaskSyncConflict = sequelize.define('TaskSyncConflict', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    task_external_link_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'task_external_links',
+        key: 'id'
+      }
+    },
+    task_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'tasks',
+        key: 'id'
+      }
+    },
+    field: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    base_value: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'JSON: значение поля после последней синхронизации'
+    },
+    local_value: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'JSON: значение поля в BIZ360'
+    },
+    remote_value: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'JSON: значение поля во внешней системе'
+    },
+    status: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'open',
+      comment: 'open, resolved'
+    },
+    resolution: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'local, remote, manual'
+    },
+    resolved_value: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'JSON: значение, примененное на обеих сторонах'
+    },
+    resolved_by: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    resolved_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updated_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    tableName: 'task_sync_conflicts',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  TaskSyncConflict.associate = function(models) {
+    TaskSyncConflict.belongsTo(models.Task, { foreignKey: 'task_id', as: 'task' });
+    TaskSyncConflict.belongsTo(models.TaskExternalLink, { foreignKey: 'task_external_link_id', as: 'externalLink' });
+  };
+
+  return TaskSyncConflict;
+};
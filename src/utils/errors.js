@@ -14,6 +14,38 @@ class ValidationError extends Error {
     }
   }
   
+  /**
+   * Класс ошибки исчерпания бюджета LLM
+   */
+  class BudgetExceededError extends Error {
+    /**
+     * @param {string} message - Сообщение об ошибке
+     * @param {Object} budget - Исчерпанный бюджет (scope, scopeId, period, лимиты и использование)
+     */
+    constructor(message, budget = null) {
+      super(message);
+      this.name = 'BudgetExceededError';
+      this.budget = budget;
+    }
+  }
+  
+  /**
+   * Класс ошибки проверки подлинности вебхука (подпись или токен не совпадают)
+   */
+  class WebhookVerificationError extends Error {
+    /**
+     * @param {string} message - Сообщение об ошибке
+     * @param {string} provider - Git-хостинг (github, gitlab)
+     */
+    constructor(message, provider = null) {
+      super(message);
+      this.name = 'WebhookVerificationError';
+      this.provider = provider;
+    }
+  }
+  
   module.exports = {
-    ValidationError
+    ValidationError,
+    BudgetExceededError,
+    WebhookVerificationError
   };
\ No newline at end of file
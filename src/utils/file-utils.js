@@ -37,6 +37,20 @@ const fileUtils = {
     }
   },
 
+  /**
+   * Создание директории вместе с недостающими родительскими
+   * @param {string} dirPath - Путь к директории
+   * @returns {Promise<void>}
+   */
+  async ensureDir(dirPath) {
+    try {
+      await fs.mkdir(dirPath, { recursive: true });
+    } catch (error) {
+      logger.error(`Ошибка при создании директории ${dirPath}:`, error);
+      throw error;
+    }
+  },
+
   /**
    * Проверка существования файла
    * @param {string} filePath - Путь к файлу
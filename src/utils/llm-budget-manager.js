@@ -0,0 +1,526 @@
+// src/utils/llm-budget-manager.js
+
+const logger = require('./logger');
+const config = require('../config/llm.config');
+const tokenManager = require('./token-manager');
+const { pool } = require('../config/db.config');
+const { BudgetExceededError } = require('./errors');
+
+/**
+ * Области действия бюджетов
+ */
+const BUDGET_SCOPES = ['project', 'user', 'task'];
+
+/**
+ * Периоды бюджетов ('total' - за все время)
+ */
+const BUDGET_PERIODS = ['daily', 'monthly', 'total'];
+
+/**
+ * Уровни отправленных уведомлений о расходе бюджета в текущем периоде
+ */
+const NOTIFIED_LEVELS = {
+  NONE: 0,
+  SOFT: 1,
+  HARD: 2
+};
+
+/**
+ * Менеджер бюджетов расхода LLM по проектам, пользователям и задачам
+ * Бюджеты хранятся в llm_budgets, расход по периодам - в llm_budget_usage.
+ * При достижении мягкого лимита отправляется предупреждение, при исчерпании
+ * жесткого лимита запросы отклоняются с BudgetExceededError.
+ */
+class LLMBudgetManager {
+  /**
+   * Создает экземпляр LLMBudgetManager
+   */
+  constructor() {
+    const settings = config.budgets || {};
+
+    this.enabled = settings.enabled !== false;
+    this.defaultSoftLimitPercent = settings.softLimitPercent || 80;
+    this.cacheTTL = (settings.cacheTTL || 60) * 1000;
+
+    // Менеджер уведомлений подключается системой оркестрации
+    this.notificationManager = null;
+
+    // Кэш бюджетов и владельцев задач
+    this.budgets = null;
+    this.budgetsLoadedAt = 0;
+    this.taskOwners = new Map();
+  }
+
+  /**
+   * Подключает менеджер уведомлений для предупреждений о расходе бюджета
+   * @param {Object} notificationManager - Экземпляр NotificationManager
+   */
+  setNotificationManager(notificationManager) {
+    this.notificationManager = notificationManager;
+  }
+
+  /**
+   * Определяет области бюджетов, к которым относится запрос
+   * Проект и исполнитель задачи (assigned_to) определяются по таблице tasks, если не переданы явно.
+   * Если задачу прочитать не удалось, бюджет задачи все равно применяется
+   * @param {Object} target - { taskId, projectId, userId }
+   * @returns {Promise<Array<Object>>} - Список { scope, scopeId }
+   */
+  async resolveTargets({ taskId, projectId, userId } = {}) {
+    let owner = {};
+
+    if (taskId && (!projectId || !userId)) {
+      try {
+        owner = await this._getTaskOwner(taskId);
+      } catch (error) {
+        logger.warn(`Не удалось определить проект и исполнителя задачи ${taskId}: ${error.message}`);
+      }
+    }
+
+    const targets = [];
+
+    if (taskId) {
+      targets.push({ scope: 'task', scopeId: Number(taskId) });
+    }
+
+    if (projectId || owner.projectId) {
+      targets.push({ scope: 'project', scopeId: Number(projectId || owner.projectId) });
+    }
+
+    if (userId || owner.userId) {
+      targets.push({ scope: 'user', scopeId: Number(userId || owner.userId) });
+    }
+
+    return targets;
+  }
+
+  /**
+   * Проверяет, что жесткие лимиты бюджетов запроса не исчерпаны
+   * При ошибке чтения бюджетов запрос не блокируется
+   * @param {Object} target - { taskId, projectId, userId }
+   * @param {number} [estimatedTokens=0] - Оценка токенов запроса
+   * @throws {BudgetExceededError} - Если лимит бюджета исчерпан
+   */
+  async checkBudget(target, estimatedTokens = 0) {
+    if (!this.enabled) {
+      return;
+    }
+
+    let exceeded = null;
+
+    try {
+      const budgets = await this._getBudgetsFor(await this.resolveTargets(target));
+
+      for (const budget of budgets) {
+        const usage = await this._getUsage(budget);
+        const tokenLimit = Number(budget.token_limit) || 0;
+        const costLimit = Number(budget.cost_limit) || 0;
+
+        if ((tokenLimit && usage.tokens + estimatedTokens > tokenLimit) ||
+            (costLimit && usage.cost >= costLimit)) {
+          exceeded = this._describeBudget(budget, usage);
+          break;
+        }
+      }
+    } catch (error) {
+      logger.error('Ошибка при проверке бюджета LLM:', error);
+      return;
+    }
+
+    if (exceeded) {
+      throw new BudgetExceededError(
+        `Исчерпан бюджет LLM (${exceeded.scope} ${exceeded.scopeId}, период ${exceeded.period}): ` +
+        `${exceeded.usedTokens} токенов, $${exceeded.usedCost.toFixed(4)}`,
+        exceeded
+      );
+    }
+  }
+
+  /**
+   * Учитывает расход запроса во всех периодах областей запроса
+   * и отправляет уведомления при достижении лимитов
+   * @param {Object} target - { taskId, projectId, userId }
+   * @param {string} model - Модель LLM
+   * @param {number} promptTokens - Количество токенов промпта
+   * @param {number} completionTokens - Количество токенов ответа
+   * @returns {Promise<void>}
+   */
+  async recordUsage(target, model, promptTokens, completionTokens) {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      const targets = await this.resolveTargets(target);
+
+      if (targets.length === 0) {
+        return;
+      }
+
+      const tokens = promptTokens + completionTokens;
+      const cost = tokenManager.calculateCost(model, promptTokens, completionTokens);
+      const rows = [];
+
+      for (const { scope, scopeId } of targets) {
+        for (const period of BUDGET_PERIODS) {
+          rows.push([scope, scopeId, this._getPeriodKey(period), tokens, cost]);
+        }
+      }
+
+      await pool.query(
+        'INSERT INTO llm_budget_usage (scope, scope_id, period_key, tokens, cost) VALUES ? ' +
+        'ON DUPLICATE KEY UPDATE tokens = tokens + VALUES(tokens), cost = cost + VALUES(cost)',
+        [rows]
+      );
+
+      await this._notifyThresholds(targets, target);
+    } catch (error) {
+      logger.error('Ошибка при учете расхода бюджета LLM:', error);
+    }
+  }
+
+  /**
+   * Возвращает бюджеты с текущим расходом
+   * @param {Object} [filter={}] - { scope, scopeId }
+   * @returns {Promise<Array<Object>>} - Бюджеты
+   */
+  async listBudgets({ scope, scopeId } = {}) {
+    const budgets = (await this._loadBudgets()).filter(budget =>
+      (!scope || budget.scope === scope) &&
+      (!scopeId || budget.scope_id === Number(scopeId))
+    );
+
+    return Promise.all(budgets.map(async budget => this._describeBudget(budget, await this._getUsage(budget))));
+  }
+
+  /**
+   * Возвращает бюджет с текущим расходом
+   * @param {number} id - ID бюджета
+   * @returns {Promise<Object|null>} - Бюджет или null
+   */
+  async getBudget(id) {
+    const budget = (await this._loadBudgets()).find(item => item.id === Number(id));
+
+    return budget ? this._describeBudget(budget, await this._getUsage(budget)) : null;
+  }
+
+  /**
+   * Создает бюджет или обновляет лимиты существующего бюджета той же области и периода
+   * @param {Object} data - { scope, scopeId, period, tokenLimit, costLimit, softLimitPercent }
+   * @returns {Promise<Object>} - Бюджет
+   */
+  async saveBudget({ scope, scopeId, period = 'monthly', tokenLimit = null, costLimit = null, softLimitPercent }) {
+    const softLimit = softLimitPercent || this.defaultSoftLimitPercent;
+
+    await pool.query(
+      'INSERT INTO llm_budgets (scope, scope_id, period, token_limit, cost_limit, soft_limit_percent) VALUES (?, ?, ?, ?, ?, ?) ' +
+      'ON DUPLICATE KEY UPDATE token_limit = VALUES(token_limit), cost_limit = VALUES(cost_limit), ' +
+      'soft_limit_percent = VALUES(soft_limit_percent)',
+      [scope, scopeId, period, tokenLimit, costLimit, softLimit]
+    );
+
+    await this._resetNotifications(scope, scopeId, period);
+    this._invalidateCache();
+
+    const [rows] = await pool.query(
+      'SELECT id FROM llm_budgets WHERE scope = ? AND scope_id = ? AND period = ?',
+      [scope, scopeId, period]
+    );
+
+    logger.info(`Бюджет LLM сохранен: ${scope} ${scopeId}, период ${period}`);
+
+    return this.getBudget(rows[0].id);
+  }
+
+  /**
+   * Обновляет лимиты бюджета
+   * @param {number} id - ID бюджета
+   * @param {Object} changes - { tokenLimit, costLimit, softLimitPercent }
+   * @returns {Promise<Object|null>} - Бюджет или null, если он не найден
+   */
+  async updateBudget(id, { tokenLimit, costLimit, softLimitPercent }) {
+    const budget = await this.getBudget(id);
+
+    if (!budget) {
+      return null;
+    }
+
+    return this.saveBudget({
+      scope: budget.scope,
+      scopeId: budget.scopeId,
+      period: budget.period,
+      tokenLimit: tokenLimit !== undefined ? tokenLimit : budget.tokenLimit,
+      costLimit: costLimit !== undefined ? costLimit : budget.costLimit,
+      softLimitPercent: softLimitPercent !== undefined ? softLimitPercent : budget.softLimitPercent
+    });
+  }
+
+  /**
+   * Удаляет бюджет
+   * @param {number} id - ID бюджета
+   * @returns {Promise<boolean>} - true, если бюджет был удален
+   */
+  async deleteBudget(id) {
+    const [result] = await pool.query('DELETE FROM llm_budgets WHERE id = ?', [id]);
+
+    this._invalidateCache();
+
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Проверяет данные бюджета
+   * @param {Object} data - { scope, scopeId, period, tokenLimit, costLimit, softLimitPercent }
+   * @param {Object} [options={}] - { partial: true } - проверять только переданные поля
+   * @returns {Array<string>} - Список ошибок
+   */
+  validateBudget(data, { partial = false } = {}) {
+    const errors = [];
+    const isSet = (value) => value !== undefined && value !== null;
+
+    if (!partial) {
+      if (!BUDGET_SCOPES.includes(data.scope)) {
+        errors.push(`scope должен быть одним из: ${BUDGET_SCOPES.join(', ')}`);
+      }
+
+      if (!Number.isInteger(Number(data.scopeId)) || Number(data.scopeId) <= 0) {
+        errors.push('scope_id должен быть положительным целым числом');
+      }
+
+      if (isSet(data.period) && !BUDGET_PERIODS.includes(data.period)) {
+        errors.push(`period должен быть одним из: ${BUDGET_PERIODS.join(', ')}`);
+      }
+
+      if (!isSet(data.tokenLimit) && !isSet(data.costLimit)) {
+        errors.push('Необходимо указать token_limit или cost_limit');
+      }
+    }
+
+    if (isSet(data.tokenLimit) && !(Number.isInteger(data.tokenLimit) && data.tokenLimit > 0)) {
+      errors.push('token_limit должен быть положительным целым числом');
+    }
+
+    if (isSet(data.costLimit) && !(typeof data.costLimit === 'number' && data.costLimit > 0)) {
+      errors.push('cost_limit должен быть положительным числом');
+    }
+
+    if (isSet(data.softLimitPercent) &&
+        !(Number.isInteger(data.softLimitPercent) && data.softLimitPercent > 0 && data.softLimitPercent <= 100)) {
+      errors.push('soft_limit_percent должен быть целым числом от 1 до 100');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Отправляет уведомления о достижении мягкого и жесткого лимитов
+   * Каждое уведомление отправляется один раз за период
+   * @param {Array<Object>} targets - Области запроса
+   * @param {Object} target - Исходные параметры запроса { taskId }
+   * @private
+   */
+  async _notifyThresholds(targets, target) {
+    for (const budget of await this._getBudgetsFor(targets)) {
+      const usage = await this._getUsage(budget);
+      const description = this._describeBudget(budget, usage);
+      const level = description.status === 'exhausted' ? NOTIFIED_LEVELS.HARD
+        : description.status === 'warning' ? NOTIFIED_LEVELS.SOFT
+          : NOTIFIED_LEVELS.NONE;
+
+      if (level <= usage.notifiedLevel) {
+        continue;
+      }
+
+      // Условие на уровень исключает повторные уведомления от параллельных воркеров
+      const [result] = await pool.query(
+        'UPDATE llm_budget_usage SET notified_level = ? ' +
+        'WHERE scope = ? AND scope_id = ? AND period_key = ? AND notified_level < ?',
+        [level, budget.scope, budget.scope_id, description.periodKey, level]
+      );
+
+      if (result.affectedRows === 0) {
+        continue;
+      }
+
+      const title = level === NOTIFIED_LEVELS.HARD ? 'Бюджет LLM исчерпан' : 'Бюджет LLM почти исчерпан';
+      const message = `Бюджет ${budget.scope} ${budget.scope_id} (период ${budget.period}) израсходован на ${description.percentage}%`;
+
+      logger.warn(`${title}: ${message}`);
+
+      if (this.notificationManager) {
+        await this.notificationManager.sendWarning(title, message, {
+          taskId: target.taskId ? String(target.taskId) : undefined,
+          data: { budget: description }
+        });
+      }
+    }
+  }
+
+  /**
+   * Сбрасывает отметки об уведомлениях текущего периода бюджета (после изменения лимитов)
+   * @param {string} scope - Область бюджета
+   * @param {number} scopeId - ID объекта области
+   * @param {string} period - Период бюджета
+   * @private
+   */
+  async _resetNotifications(scope, scopeId, period) {
+    await pool.query(
+      'UPDATE llm_budget_usage SET notified_level = ? WHERE scope = ? AND scope_id = ? AND period_key = ?',
+      [NOTIFIED_LEVELS.NONE, scope, scopeId, this._getPeriodKey(period)]
+    );
+  }
+
+  /**
+   * Загружает бюджеты (с кэшированием на cacheTTL)
+   * @returns {Promise<Array<Object>>} - Строки llm_budgets
+   * @private
+   */
+  async _loadBudgets() {
+    if (this.budgets && Date.now() - this.budgetsLoadedAt < this.cacheTTL) {
+      return this.budgets;
+    }
+
+    const [rows] = await pool.query('SELECT * FROM llm_budgets ORDER BY scope, scope_id, period');
+
+    this.budgets = rows;
+    this.budgetsLoadedAt = Date.now();
+
+    return this.budgets;
+  }
+
+  /**
+   * Сбрасывает кэш бюджетов
+   * @private
+   */
+  _invalidateCache() {
+    this.budgets = null;
+    this.budgetsLoadedAt = 0;
+  }
+
+  /**
+   * Возвращает бюджеты указанных областей
+   * @param {Array<Object>} targets - Список { scope, scopeId }
+   * @returns {Promise<Array<Object>>} - Строки llm_budgets
+   * @private
+   */
+  async _getBudgetsFor(targets) {
+    if (targets.length === 0) {
+      return [];
+    }
+
+    const budgets = await this._loadBudgets();
+
+    return budgets.filter(budget =>
+      targets.some(target => target.scope === budget.scope && target.scopeId === budget.scope_id)
+    );
+  }
+
+  /**
+   * Возвращает расход бюджета за текущий период
+   * @param {Object} budget - Строка llm_budgets
+   * @returns {Promise<Object>} - { tokens, cost, notifiedLevel }
+   * @private
+   */
+  async _getUsage(budget) {
+    const [rows] = await pool.query(
+      'SELECT tokens, cost, notified_level FROM llm_budget_usage WHERE scope = ? AND scope_id = ? AND period_key = ?',
+      [budget.scope, budget.scope_id, this._getPeriodKey(budget.period)]
+    );
+
+    if (rows.length === 0) {
+      return { tokens: 0, cost: 0, notifiedLevel: NOTIFIED_LEVELS.NONE };
+    }
+
+    return {
+      tokens: Number(rows[0].tokens),
+      cost: Number(rows[0].cost),
+      notifiedLevel: rows[0].notified_level
+    };
+  }
+
+  /**
+   * Формирует описание бюджета с расходом и статусом
+   * @param {Object} budget - Строка llm_budgets
+   * @param {Object} usage - Расход { tokens, cost }
+   * @returns {Object} - Описание бюджета
+   * @private
+   */
+  _describeBudget(budget, usage) {
+    const tokenLimit = budget.token_limit !== null ? Number(budget.token_limit) : null;
+    const costLimit = budget.cost_limit !== null ? Number(budget.cost_limit) : null;
+    const ratio = Math.max(
+      tokenLimit ? usage.tokens / tokenLimit : 0,
+      costLimit ? usage.cost / costLimit : 0
+    );
+
+    let status = 'ok';
+
+    if (ratio >= 1) {
+      status = 'exhausted';
+    } else if (ratio * 100 >= budget.soft_limit_percent) {
+      status = 'warning';
+    }
+
+    return {
+      id: budget.id,
+      scope: budget.scope,
+      scopeId: budget.scope_id,
+      period: budget.period,
+      periodKey: this._getPeriodKey(budget.period),
+      tokenLimit,
+      costLimit,
+      softLimitPercent: budget.soft_limit_percent,
+      usedTokens: usage.tokens,
+      usedCost: usage.cost,
+      percentage: Number((ratio * 100).toFixed(2)),
+      status
+    };
+  }
+
+  /**
+   * Получает проект и исполнителя задачи
+   * @param {number|string} taskId - ID задачи
+   * @returns {Promise<Object>} - { projectId, userId }
+   * @private
+   */
+  async _getTaskOwner(taskId) {
+    if (this.taskOwners.has(String(taskId))) {
+      return this.taskOwners.get(String(taskId));
+    }
+
+    const [rows] = await pool.query('SELECT project_id, assigned_to FROM tasks WHERE id = ?', [taskId]);
+    const owner = rows.length > 0 ? { projectId: rows[0].project_id, userId: rows[0].assigned_to } : {};
+
+    this.taskOwners.set(String(taskId), owner);
+
+    return owner;
+  }
+
+  /**
+   * Возвращает ключ текущего периода бюджета
+   * @param {string} period - Период ('daily', 'monthly', 'total')
+   * @returns {string} - YYYY-MM-DD, YYYY-MM или 'total'
+   * @private
+   */
+  _getPeriodKey(period) {
+    const now = new Date();
+    const month = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+    switch (period) {
+      case 'daily':
+        return `${month}-${String(now.getDate()).padStart(2, '0')}`;
+      case 'monthly':
+        return month;
+      default:
+        return 'total';
+    }
+  }
+}
+
+// Создаем и экспортируем экземпляр
+const llmBudgetManager = new LLMBudgetManager();
+
+module.exports = llmBudgetManager;
+module.exports.LLMBudgetManager = LLMBudgetManager;
+module.exports.BUDGET_SCOPES = BUDGET_SCOPES;
+module.exports.BUDGET_PERIODS = BUDGET_PERIODS;
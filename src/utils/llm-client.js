@@ -8,6 +8,12 @@ const logger = require('./logger');
 const tokenManager = require('./token-manager');
 const promptManager = require('./prompt-manager');
 const llmCache = require('./llm-cache');
+const { createProvider } = require('./llm-providers');
+const LLMRouter = require('./llm-router');
+const { getLLMContext } = require('./llm-request-context');
+const llmBudgetManager = require('./llm-budget-manager');
+const LocalEmbedder = require('./local-embedder');
+const { BudgetExceededError } = require('./errors');
 const { pool } = require('../config/db.config');
 
 /**
@@ -32,6 +38,19 @@ class LLMClient {
     // Настройки провайдера LLM (по умолчанию anthropic)
     this.provider = this.config.provider || 'anthropic';
     
+    // Адаптер провайдера формирует запросы и разбирает ответы API (см. utils/llm-providers)
+    this.providerAdapter = createProvider(this.provider, this.config);
+    
+    // Адаптеры провайдеров резервных моделей создаются по мере необходимости
+    this.providerAdapters = new Map([[this.provider, this.providerAdapter]]);
+    
+    // Маршрутизатор выбирает модель для запроса и резервные модели
+    this.router = new LLMRouter(this.config.routing, { provider: this.provider, model: this.model });
+    
+    // Локальная модель эмбеддингов (provider: 'local' в настройках embeddings)
+    this.embeddingConfig = this.config.embeddings || {};
+    this.localEmbedder = new LocalEmbedder({ dimension: this.embeddingConfig.dimensions });
+    
     // Настройки повторных попыток при ошибках
     this.maxRetries = this.config.maxRetries || 3;
     this.retryDelay = this.config.retryDelay || 1000; // 1 секунда
@@ -94,17 +113,18 @@ class LLMClient {
    * @param {number} tokensUsed - Количество использованных токенов
    * @param {string} modelUsed - Использованная модель
    * @param {number} taskId - ID задачи (опционально)
+   * @param {Object} routing - Решение маршрутизатора (опционально)
    * @private
    */
-  async _logLLMInteraction(prompt, response, tokensUsed, modelUsed, taskId = null) {
+  async _logLLMInteraction(prompt, response, tokensUsed, modelUsed, taskId = null, routing = null) {
     if (!this.trackingLLMInteractions) return;
     
     try {
       const connection = await pool.getConnection();
       
       await connection.query(
-        'INSERT INTO llm_interactions (task_id, prompt, response, model_used, tokens_used) VALUES (?, ?, ?, ?, ?)',
-        [taskId, prompt, response, modelUsed, tokensUsed]
+        'INSERT INTO llm_interactions (task_id, prompt, response, model_used, tokens_used, routing) VALUES (?, ?, ?, ?, ?, ?)',
+        [taskId, prompt, response, modelUsed, tokensUsed, routing ? JSON.stringify(routing) : null]
       );
       
       connection.release();
@@ -116,13 +136,14 @@ class LLMClient {
 
   /**
    * Создает хэш для кэширования запросов
-   * @param {string} prompt - Промпт для LLM
+   * @param {string|Array<Object>} prompt - Промпт для LLM или массив сообщений
    * @param {Object} options - Опции запроса
    * @returns {string} - Хэш для кэширования
    */
   createCacheKey(prompt, options) {
     const dataToHash = JSON.stringify({
       prompt,
+      system: options.system || null,
       model: options.model || this.model,
       max_tokens: options.maxTokens || this.maxTokens,
       temperature: options.temperature || this.temperature
@@ -299,255 +320,363 @@ class LLMClient {
   }
 
   /**
-   * Подготавливает запрос к API в зависимости от провайдера
-   * @param {string} prompt - Текст промпта
+   * Приводит промпт к массиву сообщений и системному промпту
+   * Системные сообщения из массива объединяются с options.system,
+   * подряд идущие сообщения одной роли склеиваются (Anthropic требует чередования ролей)
+   * @param {string|Array<Object>} prompt - Текст промпта или массив сообщений {role, content}
    * @param {Object} options - Параметры запроса
-   * @returns {Object} - Подготовленный запрос
+   * @returns {Object} - { system, messages }
    * @private
    */
-  _prepareRequest(prompt, options) {
-    const model = options.model || this.model;
-    const maxTokens = options.maxTokens || this.maxTokens;
-    const temperature = options.temperature || this.temperature;
-    
-    // В зависимости от провайдера формируем разные структуры запроса
-    switch (this.provider) {
-      case 'anthropic':
-        return {
-          url: `${this.apiUrl}/v1/messages`,
-          headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': this.apiKey,
-            'anthropic-version': '2023-06-01'
-          },
-          data: {
-            model,
-            max_tokens: maxTokens,
-            temperature,
-            messages: [
-              { role: "user", content: prompt }
-            ]
-          }
-        };
-        
-      case 'openai':
-        return {
-          url: `${this.apiUrl}/v1/chat/completions`,
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiKey}`
-          },
-          data: {
-            model,
-            max_tokens: maxTokens,
-            temperature,
-            messages: [
-              { role: "user", content: prompt }
-            ]
-          }
-        };
-        
-      default:
-        throw new Error(`Неподдерживаемый провайдер LLM: ${this.provider}`);
+  _normalizeMessages(prompt, options = {}) {
+    const systemParts = options.system ? [options.system] : [];
+    const source = Array.isArray(prompt) ? prompt : [{ role: 'user', content: prompt }];
+    const messages = [];
+
+    for (const message of source) {
+      if (message.role === 'system') {
+        systemParts.push(message.content);
+        continue;
+      }
+
+      const role = message.role === 'assistant' ? 'assistant' : 'user';
+      const lastMessage = messages[messages.length - 1];
+
+      if (lastMessage && lastMessage.role === role &&
+          typeof lastMessage.content === 'string' && typeof message.content === 'string') {
+        lastMessage.content += `\n\n${message.content}`;
+      } else {
+        messages.push({ role, content: message.content });
+      }
+    }
+
+    return {
+      system: systemParts.length > 0 ? systemParts.join('\n\n') : null,
+      messages
+    };
+  }
+
+  /**
+   * Возвращает текстовое представление промпта для оценки токенов и логирования
+   * @param {string|Array<Object>} prompt - Текст промпта или массив сообщений
+   * @param {Object} options - Параметры запроса
+   * @returns {string} - Текст промпта
+   * @private
+   */
+  _getPromptText(prompt, options = {}) {
+    if (!Array.isArray(prompt)) {
+      return options.system ? `${options.system}\n\n${prompt}` : prompt;
     }
+
+    const { system, messages } = this._normalizeMessages(prompt, options);
+    const lines = messages.map(message => {
+      const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+      return `${message.role}: ${content}`;
+    });
+
+    return (system ? [`system: ${system}`, ...lines] : lines).join('\n\n');
   }
 
   /**
-   * Обрабатывает ответ API в зависимости от провайдера
+   * Возвращает адаптер провайдера (для резервных моделей других провайдеров)
+   * @param {string} provider - Имя провайдера
+   * @returns {Object} - Адаптер провайдера
+   * @private
+   */
+  _getProviderAdapter(provider) {
+    if (!this.providerAdapters.has(provider)) {
+      this.providerAdapters.set(provider, createProvider(provider, this.config));
+    }
+
+    return this.providerAdapters.get(provider);
+  }
+
+  /**
+   * Определяет задачу, проект и пользователя запроса для учета бюджетов
+   * Берутся из метаданных или из контекста запросов (см. llm-request-context)
+   * @param {Object} metadata - Метаданные запроса
+   * @returns {Object} - { taskId, projectId, userId }
+   * @private
+   */
+  _getBudgetTarget(metadata) {
+    const context = getLLMContext();
+
+    return {
+      taskId: metadata.taskId || context.taskId,
+      projectId: metadata.projectId || context.projectId,
+      userId: metadata.userId || context.userId
+    };
+  }
+
+  /**
+   * Сохраняет ошибку исчерпания бюджета в контексте запросов,
+   * чтобы оркестратор узнал о ней, даже если исполнитель шага перехватил ошибку
+   * @param {BudgetExceededError} error - Ошибка исчерпания бюджета
+   * @private
+   */
+  _markBudgetExceeded(error) {
+    logger.warn(error.message);
+
+    const context = getLLMContext();
+
+    if (context.step) {
+      context.budgetError = error;
+    }
+  }
+
+  /**
+   * Выбирает модель для запроса по шаблону промпта, шагу оркестратора и размеру промпта
+   * Шаг и задача берутся из метаданных или из контекста запросов (см. llm-request-context)
+   * @param {Object} options - Опции запроса
+   * @param {Object} metadata - Метаданные запроса
+   * @param {number} estimatedTokens - Оценка размера промпта в токенах
+   * @returns {Object} - Решение маршрутизатора
+   * @private
+   */
+  _routeRequest(options, metadata, estimatedTokens) {
+    return this.router.route({
+      options,
+      template: metadata.templateName || options.template,
+      step: metadata.step || getLLMContext().step,
+      estimatedTokens
+    });
+  }
+
+  /**
+   * Формирует описание решения маршрутизатора для записи в llm_interactions
+   * @param {Object} decision - Решение маршрутизатора
+   * @param {Object} candidate - Модель, выполнившая запрос { provider, model }
+   * @param {Array<Object>} attempts - Неудачные попытки { provider, model, error }
+   * @returns {Object} - Описание маршрутизации
+   * @private
+   */
+  _describeRouting(decision, candidate, attempts) {
+    return {
+      rule: decision.rule,
+      reason: decision.reason,
+      template: decision.template,
+      step: decision.step,
+      estimatedTokens: decision.estimatedTokens,
+      provider: candidate.provider,
+      model: candidate.model,
+      fallbackFrom: attempts.length > 0 ? decision.candidates[0].model : null,
+      attempts
+    };
+  }
+
+  /**
+   * Подготавливает запрос к API провайдера
+   * @param {string|Array<Object>} prompt - Текст промпта или массив сообщений {role, content}
+   * @param {Object} options - Параметры запроса (system - системный промпт, stream - потоковый ответ)
+   * @param {Object} [adapter] - Адаптер провайдера (по умолчанию основной)
+   * @returns {Object} - Подготовленный запрос
+   * @private
+   */
+  _prepareRequest(prompt, options, adapter = this.providerAdapter) {
+    return adapter.prepareRequest(this._normalizeMessages(prompt, options), {
+      model: options.model || this.model,
+      maxTokens: options.maxTokens || this.maxTokens,
+      temperature: options.temperature || this.temperature,
+      stream: options.stream === true
+    });
+  }
+
+  /**
+   * Обрабатывает ответ API провайдера
    * @param {Object} response - Ответ от API
    * @returns {Object} - Обработанный ответ
    * @private
    */
   _processResponse(response) {
-    switch (this.provider) {
-      case 'anthropic':
-        return {
-          content: response.data.content[0].text,
-          usage: response.data.usage || {
-            prompt_tokens: 0,
-            completion_tokens: Math.ceil(response.data.content[0].text.length / 4),
-            total_tokens: Math.ceil(response.data.content[0].text.length / 4)
-          },
-          model: response.data.model
-        };
-        
-      case 'openai':
-        return {
-          content: response.data.choices[0].message.content,
-          usage: response.data.usage,
-          model: response.data.model
-        };
-        
-      default:
-        throw new Error(`Неподдерживаемый провайдер LLM: ${this.provider}`);
-    }
+    return this.providerAdapter.processResponse(response);
   }
 
   /**
    * Отправка запроса к LLM API с улучшенными возможностями
-   * @param {string} prompt - Промпт для LLM
-   * @param {Object} options - Опции запроса
-   * @param {Object} metadata - Метаданные запроса (например, taskId)
+   * Модель выбирается маршрутизатором (см. llm.config.routing); при перегрузке
+   * или превышении лимита запросов провайдера запрос передается резервным моделям
+   * @param {string|Array<Object>} prompt - Промпт для LLM или массив сообщений {role, content}
+   * @param {Object} options - Опции запроса (model - явный выбор модели, fallback - резервные модели)
+   * @param {Object} metadata - Метаданные запроса (taskId, projectId, userId - для учета бюджетов, step, templateName)
    * @returns {Promise<string|Object>} - Ответ от LLM
    */
   async sendPrompt(prompt, options = {}, metadata = {}) {
     this.requestStats.sent++;
-    
+
     // Параметр returnFull определяет формат возврата (только текст или полный объект)
     const returnFull = options.returnFull === true;
     delete options.returnFull;
-    
+
+    // Текстовое представление промпта для оценки токенов и логирования
+    const promptText = this._getPromptText(prompt, options);
+    const budgetTarget = this._getBudgetTarget(metadata);
+    const taskId = budgetTarget.taskId;
+
     try {
       // Применяем оптимизации промпта
-      const optimizationSuggestions = tokenManager.optimizePrompt(prompt);
-      
-      if (optimizationSuggestions.recommendations.length > 0 && 
+      const optimizationSuggestions = tokenManager.optimizePrompt(promptText);
+
+      if (optimizationSuggestions.recommendations.length > 0 &&
           optimizationSuggestions.recommendations[0] !== 'Промпт оптимален') {
         logger.debug('Рекомендации по оптимизации промпта:', optimizationSuggestions.recommendations);
       }
-      
+
+      // Оцениваем количество токенов в запросе
+      const estimatedPromptTokens = tokenManager.estimateTokenCount(promptText);
+      const estimatedCompletionTokens = (options.maxTokens || this.maxTokens);
+      const estimatedTotalTokens = estimatedPromptTokens + estimatedCompletionTokens;
+
+      // Выбираем модель и резервные модели
+      const decision = this._routeRequest(options, metadata, estimatedPromptTokens);
+      const routedOptions = { ...options, model: decision.candidates[0].model };
+
       // Проверяем улучшенный кэш, если он включен
       if (this.enhancedCacheEnabled) {
         try {
-          const cacheKey = this.createCacheKey(prompt, options);
+          const cacheKey = this.createCacheKey(prompt, routedOptions);
           const cachedResponse = await llmCache.get(cacheKey);
-          
+
           if (cachedResponse) {
             logger.debug('Использован улучшенный кэшированный ответ LLM');
             this.requestStats.cached++;
-            
+
             return returnFull ? cachedResponse : cachedResponse.content;
           }
         } catch (error) {
           logger.warn('Ошибка при проверке улучшенного кэша:', error.message);
         }
       }
-      
+
       // Проверяем встроенный кэш для совместимости, если он включен
       if (this.cacheEnabled) {
-        const cacheKey = this.createCacheKey(prompt, options);
+        const cacheKey = this.createCacheKey(prompt, routedOptions);
         const cachedResponse = this.cache.get(cacheKey);
-        
+
         if (cachedResponse) {
           logger.debug('Использован встроенный кэшированный ответ LLM');
           this.requestStats.cached++;
-          
+
           return returnFull ? { content: cachedResponse, cached: true } : cachedResponse;
         }
       }
-      
-      // Оцениваем количество токенов в запросе
-      const estimatedPromptTokens = tokenManager.estimateTokenCount(prompt);
-      const estimatedCompletionTokens = (options.maxTokens || this.maxTokens);
-      const estimatedTotalTokens = estimatedPromptTokens + estimatedCompletionTokens;
-      
+
       // Проверяем, не превышен ли лимит токенов
       if (!tokenManager.canProcessRequest(estimatedTotalTokens)) {
         throw new Error('Превышен лимит токенов. Запрос отклонен.');
       }
-      
-      // Обрабатываем ограничения контекста
+
+      // Проверяем бюджеты проекта, пользователя и задачи
+      await llmBudgetManager.checkBudget(budgetTarget, estimatedPromptTokens);
+
+      // Обрабатываем ограничения контекста (для массива сообщений усечение не применяется)
       const maxContextTokens = this.config.maxContextTokens || 16000;
-      const processedPrompt = this.processContextLimitations(prompt, maxContextTokens);
-      
-      // Подготавливаем запрос
-      const request = this._prepareRequest(processedPrompt, options);
-      
+      let processedPrompt = typeof prompt === 'string'
+        ? this.processContextLimitations(prompt, maxContextTokens)
+        : prompt;
+
       logger.debug(`Отправка запроса к ${this.provider} API: ${JSON.stringify({
-        model: request.data.model,
-        max_tokens: request.data.max_tokens,
-        temperature: request.data.temperature,
-        prompt_length: processedPrompt.length,
+        model: routedOptions.model,
+        route: decision.rule || decision.reason,
+        max_tokens: options.maxTokens || this.maxTokens,
+        temperature: options.temperature || this.temperature,
+        prompt_length: typeof processedPrompt === 'string' ? processedPrompt.length : promptText.length,
         estimated_tokens: estimatedPromptTokens
       })}`);
-      
+
       // Реализуем механизм повторных попыток
       let retries = 0;
       let lastError = null;
-      
+      let candidateIndex = 0;
+      const attempts = [];
+
       while (retries <= this.maxRetries) {
+        const candidate = decision.candidates[candidateIndex];
+        const adapter = this._getProviderAdapter(candidate.provider);
+        const request = this._prepareRequest(processedPrompt, { ...options, model: candidate.model }, adapter);
+
         try {
           const startTime = Date.now();
-          
-          const response = await axios.post(
-            request.url,
-            request.data,
-            { headers: request.headers }
-          );
-          
+
+          const response = await adapter.send(request);
+
           const endTime = Date.now();
           const responseTime = endTime - startTime;
-          
+
           // Обновляем статистику времени отклика
           this.updateResponseTimeStats(responseTime);
-          
+
           // Обрабатываем ответ
-          const processedResponse = this._processResponse(response);
-          
-          // Обновляем счетчик использования токенов
-          if (processedResponse.usage) {
-            tokenManager.trackUsage(
-              request.data.model,
-              processedResponse.usage.prompt_tokens || estimatedPromptTokens,
-              processedResponse.usage.completion_tokens || Math.ceil(processedResponse.content.length / 4)
-            );
-          } else {
-            // Если API не вернуло статистику токенов, используем оценку
-            tokenManager.trackUsage(
-              request.data.model,
-              estimatedPromptTokens,
-              Math.ceil(processedResponse.content.length / 4)
-            );
-          }
-          
-          logger.debug(`Получен ответ от ${this.provider} API за ${responseTime}ms`);
+          const processedResponse = adapter.processResponse(response);
+
+          // Обновляем счетчик использования токенов (если API не вернуло статистику, используем оценку)
+          const usedPromptTokens = (processedResponse.usage && processedResponse.usage.prompt_tokens) || estimatedPromptTokens;
+          const usedCompletionTokens = (processedResponse.usage && processedResponse.usage.completion_tokens) ||
+            Math.ceil(processedResponse.content.length / 4);
+
+          tokenManager.trackUsage(request.data.model, usedPromptTokens, usedCompletionTokens);
+          await llmBudgetManager.recordUsage(budgetTarget, request.data.model, usedPromptTokens, usedCompletionTokens);
+
+          logger.debug(`Получен ответ от ${candidate.provider} API за ${responseTime}ms`);
           this.requestStats.successful++;
-          
+          this.router.recordResult(decision, candidate);
+
           // Логируем взаимодействие с LLM в БД
           if (this.trackingLLMInteractions) {
             await this._logLLMInteraction(
-              processedPrompt,
+              typeof processedPrompt === 'string' ? processedPrompt : promptText,
               processedResponse.content,
               processedResponse.usage?.total_tokens || estimatedTotalTokens,
               processedResponse.model || request.data.model,
-              metadata.taskId
+              taskId,
+              this._describeRouting(decision, candidate, attempts)
             );
           }
-          
+
           // Сохраняем ответ в улучшенном кэше
           if (this.enhancedCacheEnabled) {
             try {
-              await llmCache.set(this.createCacheKey(prompt, options), processedResponse);
+              await llmCache.set(this.createCacheKey(prompt, routedOptions), processedResponse);
             } catch (error) {
               logger.warn('Ошибка при сохранении в улучшенный кэш:', error.message);
             }
           }
-          
+
           // Сохраняем ответ в встроенном кэше для совместимости
           if (this.cacheEnabled) {
-            const cacheKey = this.createCacheKey(prompt, options);
+            const cacheKey = this.createCacheKey(prompt, routedOptions);
             this.cache.set(cacheKey, processedResponse.content);
           }
-          
+
           return returnFull ? processedResponse : processedResponse.content;
         } catch (error) {
           lastError = error;
-          
+
+          // При перегрузке или превышении лимита запросов переключаемся на следующую модель цепочки
+          if (this.router.isFallbackError(error) && candidateIndex < decision.candidates.length - 1) {
+            const nextCandidate = decision.candidates[candidateIndex + 1];
+
+            attempts.push({ provider: candidate.provider, model: candidate.model, error: error.message });
+            logger.warn(`Модель ${candidate.model} (${candidate.provider}) недоступна: ${error.message}. Переключение на ${nextCandidate.model} (${nextCandidate.provider})`);
+
+            candidateIndex++;
+            continue;
+          }
+
           // Если ошибка связана с превышением лимита токенов
-          if (error.response && error.response.status === 400 && 
-              error.response.data.error && 
-              (error.response.data.error.type === 'context_length_exceeded' || 
+          if (error.response && error.response.status === 400 &&
+              error.response.data.error &&
+              (error.response.data.error.type === 'context_length_exceeded' ||
                error.response.data.error.type === 'rate_limit_exceeded')) {
-            
-            logger.warn(`Ошибка ${this.provider} API: ${error.response.data.error.type}`);
-            
+
+            logger.warn(`Ошибка ${candidate.provider} API: ${error.response.data.error.type}`);
+
             // Для ошибки превышения контекста - усекаем еще сильнее
-            if (error.response.data.error.type === 'context_length_exceeded') {
+            if (error.response.data.error.type === 'context_length_exceeded' && typeof processedPrompt === 'string') {
               const reducedMaxTokens = maxContextTokens * 0.8;
-              prompt = this.processContextLimitations(prompt, reducedMaxTokens);
+              processedPrompt = this.processContextLimitations(processedPrompt, reducedMaxTokens);
               continue;
             }
-            
+
             // Для превышения рейт-лимита - увеличиваем задержку
             if (error.response.data.error.type === 'rate_limit_exceeded') {
               const delay = this.retryDelay * Math.pow(2, retries);
@@ -557,25 +686,32 @@ class LLMClient {
               continue;
             }
           }
-          
+
           // Временные ошибки сети или сервера
           if (!error.response || error.response.status >= 500 || error.code === 'ECONNRESET') {
-            logger.warn(`Временная ошибка ${this.provider} API (попытка ${retries+1}/${this.maxRetries+1}): ${error.message}`);
+            logger.warn(`Временная ошибка ${candidate.provider} API (попытка ${retries+1}/${this.maxRetries+1}): ${error.message}`);
             await new Promise(resolve => setTimeout(resolve, this.retryDelay * Math.pow(2, retries)));
             retries++;
             continue;
           }
-          
+
           // Другие ошибки - выбрасываем исключение
           throw error;
         }
       }
-      
+
       // Если все попытки исчерпаны
       this.requestStats.failed++;
       throw lastError || new Error(`Превышено количество попыток запроса к ${this.provider} API`);
     } catch (error) {
       this.requestStats.failed++;
+
+      // Исчерпание бюджета передается как есть, чтобы оркестратор мог приостановить задачу
+      if (error instanceof BudgetExceededError) {
+        this._markBudgetExceeded(error);
+        throw error;
+      }
+
       logger.error(`Ошибка при отправке запроса к ${this.provider} API:`, error);
       throw new Error(`Ошибка ${this.provider} API: ${error.message}`);
     }
@@ -644,29 +780,191 @@ class LLMClient {
 
   /**
    * Выполняет диалог с LLM, передавая контекст из предыдущих сообщений
-   * @param {Array<Object>} messages - Массив сообщений {role, content}
-   * @param {Object} options - Параметры запроса
+   * Сообщения передаются провайдеру как есть, системные сообщения - как системный промпт
+   * @param {Array<Object>} messages - Массив сообщений {role, content}, role: system|user|assistant
+   * @param {Object} options - Параметры запроса (stream: true - вернуть поток фрагментов ответа)
    * @param {Object} metadata - Метаданные запроса
-   * @returns {Promise<Object>} - Ответ от LLM
+   * @returns {Promise<Object>|AsyncGenerator<Object>} - Ответ от LLM или поток (см. stream)
    */
-  async chat(messages, options = {}, metadata = {}) {
+  chat(messages, options = {}, metadata = {}) {
+    if (options.stream) {
+      const { stream, ...streamOptions } = options;
+      return this.stream(messages, streamOptions, metadata);
+    }
+
+    return this.sendPrompt(messages, { ...options, returnFull: true }, metadata)
+      .catch(error => {
+        logger.error('Ошибка при выполнении диалога с LLM:', error);
+        throw error;
+      });
+  }
+
+  /**
+   * Выполняет потоковый запрос к LLM
+   * Возвращает асинхронный итератор событий:
+   * { type: 'delta', text } - очередной фрагмент ответа,
+   * { type: 'done', content, usage, model, stopReason } - завершение с полным ответом.
+   * Как и в sendPrompt, промпт усекается по лимиту контекста, а временные ошибки
+   * (сеть, 5xx, лимит запросов) повторяются с экспоненциальной задержкой, и при перегрузке
+   * используется резервная модель - но только до получения первого фрагмента:
+   * отправленный подписчикам вывод не отзывается. Потоковые ответы не кэшируются.
+   * @param {string|Array<Object>} prompt - Промпт или массив сообщений {role, content}
+   * @param {Object} options - Опции запроса
+   * @param {Object} metadata - Метаданные запроса (taskId, step, templateName)
+   * @returns {AsyncGenerator<Object>} - Поток событий ответа
+   */
+  async *stream(prompt, options = {}, metadata = {}) {
+    this.requestStats.sent++;
+
+    const promptText = this._getPromptText(prompt, options);
+    const estimatedPromptTokens = tokenManager.estimateTokenCount(promptText);
+    const budgetTarget = this._getBudgetTarget(metadata);
+    const taskId = budgetTarget.taskId;
+
+    if (!tokenManager.canProcessRequest(estimatedPromptTokens + (options.maxTokens || this.maxTokens))) {
+      this.requestStats.failed++;
+      throw new Error('Превышен лимит токенов. Запрос отклонен.');
+    }
+
     try {
-      // Формируем один промпт из всех сообщений
-      let combinedPrompt = '';
-      
-      for (const message of messages) {
-        const role = message.role === 'user' ? 'Human' : 'Assistant';
-        combinedPrompt += `${role}: ${message.content}\n\n`;
-      }
-      
-      combinedPrompt += 'Assistant: ';
-      
-      // Отправляем запрос
-      return await this.sendPrompt(combinedPrompt, { ...options, returnFull: true }, metadata);
+      await llmBudgetManager.checkBudget(budgetTarget, estimatedPromptTokens);
     } catch (error) {
-      logger.error('Ошибка при выполнении диалога с LLM:', error);
+      this.requestStats.failed++;
+      this._markBudgetExceeded(error);
       throw error;
     }
+
+    const decision = this._routeRequest(options, metadata, estimatedPromptTokens);
+    const attempts = [];
+    const startTime = Date.now();
+
+    // Обрабатываем ограничения контекста (для массива сообщений усечение не применяется)
+    const maxContextTokens = this.config.maxContextTokens || 16000;
+    let processedPrompt = typeof prompt === 'string'
+      ? this.processContextLimitations(prompt, maxContextTokens)
+      : prompt;
+
+    let retries = 0;
+    let candidateIndex = 0;
+    let candidate;
+    let content = '';
+    let model;
+    let usage = {};
+    let stopReason = null;
+
+    while (true) {
+      candidate = decision.candidates[candidateIndex];
+
+      const adapter = this._getProviderAdapter(candidate.provider);
+      const request = this._prepareRequest(processedPrompt, { ...options, model: candidate.model, stream: true }, adapter);
+
+      model = request.data.model;
+
+      logger.debug(`Отправка потокового запроса к ${candidate.provider} API: ${JSON.stringify({
+        model,
+        route: decision.rule || decision.reason,
+        max_tokens: request.data.max_tokens,
+        estimated_tokens: estimatedPromptTokens
+      })}`);
+
+      try {
+        const events = adapter.streamEvents(request, { timeout: this.config.timeout });
+
+        for await (const event of events) {
+          const chunk = adapter.processStreamEvent(event);
+
+          model = chunk.model || model;
+          usage = chunk.usage ? { ...usage, ...chunk.usage } : usage;
+          stopReason = chunk.stopReason || stopReason;
+
+          if (chunk.text) {
+            content += chunk.text;
+            yield { type: 'delta', text: chunk.text };
+          }
+        }
+
+        break;
+      } catch (error) {
+        // Переключаемся на резервную модель, только если подписчики еще ничего не получили
+        if (!content && this.router.isFallbackError(error) && candidateIndex < decision.candidates.length - 1) {
+          const nextCandidate = decision.candidates[candidateIndex + 1];
+
+          attempts.push({ provider: candidate.provider, model: candidate.model, error: error.message });
+          logger.warn(`Модель ${candidate.model} (${candidate.provider}) недоступна: ${error.message}. Переключение на ${nextCandidate.model} (${nextCandidate.provider})`);
+
+          candidateIndex++;
+          usage = {};
+          stopReason = null;
+          continue;
+        }
+
+        const errorType = error.response && error.response.data && error.response.data.error &&
+          error.response.data.error.type;
+
+        if (!content && retries < this.maxRetries) {
+          // Для ошибки превышения контекста - усекаем еще сильнее
+          if (errorType === 'context_length_exceeded' && typeof processedPrompt === 'string') {
+            logger.warn(`Ошибка ${candidate.provider} API: ${errorType}`);
+            processedPrompt = this.processContextLimitations(processedPrompt, maxContextTokens * 0.8);
+            retries++;
+            continue;
+          }
+
+          // Временные ошибки сети, сервера и лимита запросов
+          if (!error.response || error.response.status >= 500 || error.response.status === 429 ||
+              errorType === 'rate_limit_exceeded' || error.code === 'ECONNRESET') {
+            const delay = this.retryDelay * Math.pow(2, retries);
+
+            logger.warn(`Временная ошибка ${candidate.provider} API (попытка ${retries + 1}/${this.maxRetries + 1}): ${error.message}. Повтор через ${delay}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            retries++;
+            usage = {};
+            stopReason = null;
+            continue;
+          }
+        }
+
+        this.requestStats.failed++;
+        logger.error(`Ошибка при потоковом запросе к ${candidate.provider} API:`, error);
+        throw new Error(`Ошибка ${candidate.provider} API: ${error.message}`);
+      }
+    }
+
+    const responseTime = Date.now() - startTime;
+    this.updateResponseTimeStats(responseTime);
+
+    const promptTokens = usage.prompt_tokens || estimatedPromptTokens;
+    const completionTokens = usage.completion_tokens || Math.ceil(content.length / 4);
+
+    tokenManager.trackUsage(model, promptTokens, completionTokens);
+    await llmBudgetManager.recordUsage(budgetTarget, model, promptTokens, completionTokens);
+
+    logger.debug(`Получен потоковый ответ от ${candidate.provider} API за ${responseTime}ms`);
+    this.requestStats.successful++;
+    this.router.recordResult(decision, candidate);
+
+    if (this.trackingLLMInteractions) {
+      await this._logLLMInteraction(
+        typeof processedPrompt === 'string' ? processedPrompt : promptText,
+        content,
+        promptTokens + completionTokens,
+        model,
+        taskId,
+        this._describeRouting(decision, candidate, attempts)
+      );
+    }
+
+    yield {
+      type: 'done',
+      content,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      },
+      model,
+      stopReason
+    };
   }
 
   /**
@@ -710,6 +1008,7 @@ class LLMClient {
           'N/A' : this.responseTimeStats.minTime + 'ms',
         max: this.responseTimeStats.maxTime + 'ms'
       },
+      routing: this.router.getStats(),
       tokens: tokenManager.getStats()
     };
     
@@ -725,6 +1024,47 @@ class LLMClient {
     return stats;
   }
 
+  /**
+   * Возвращает модель эмбеддингов, которой будет создан вектор
+   * Идентификатор модели сохраняется вместе с векторами: векторы разных моделей
+   * несовместимы, и при смене модели их нужно пересоздать
+   * @param {Object} [options={}] - Параметры запроса (embeddingProvider, embeddingModel)
+   * @returns {Object} - { id, provider, model, dimension }
+   */
+  getEmbeddingModel(options = {}) {
+    const provider = options.embeddingProvider || this.embeddingConfig.provider || 'openai';
+    
+    if (provider === 'local') {
+      return {
+        id: `local:${this.localEmbedder.modelId}`,
+        provider,
+        model: this.localEmbedder.modelId,
+        dimension: this.localEmbedder.dimension
+      };
+    }
+    
+    // Эмбеддинги провайдера без сетевых запросов (например, fixture)
+    if (!options.embeddingProvider && typeof this.providerAdapter.createEmbedding === 'function') {
+      const dimension = this.providerAdapter.embeddingDimensions || this.embeddingConfig.dimensions;
+      
+      return {
+        id: `${this.provider}:${dimension}`,
+        provider: this.provider,
+        model: this.provider,
+        dimension
+      };
+    }
+    
+    const model = options.embeddingModel || this.embeddingConfig.model || 'text-embedding-ada-002';
+    
+    return {
+      id: `${provider}:${model}`,
+      provider,
+      model,
+      dimension: this.embeddingConfig.dimensions
+    };
+  }
+
   /**
    * Создание векторного представления (эмбеддинга) текста
    * @param {string} text - Текст для векторизации
@@ -733,8 +1073,15 @@ class LLMClient {
    */
   async createEmbedding(text, options = {}) {
     try {
-      // Проверяем кэш для эмбеддингов
-      const embeddingCacheKey = `embedding_${crypto.createHash('md5').update(text).digest('hex')}`;
+      const embeddingModel = this.getEmbeddingModel(options);
+      
+      // Локальная модель не обращается к сети, кэш для нее не нужен
+      if (embeddingModel.provider === 'local') {
+        return this.localEmbedder.embed(text);
+      }
+      
+      // Проверяем кэш для эмбеддингов (ключ включает модель, чтобы не смешивать векторы разных моделей)
+      const embeddingCacheKey = `embedding_${embeddingModel.id}_${crypto.createHash('md5').update(text).digest('hex')}`;
       
       // Проверяем улучшенный кэш, если он включен
       if (this.enhancedCacheEnabled) {
@@ -760,20 +1107,22 @@ class LLMClient {
         }
       }
       
-      // Выбираем провайдера эмбеддингов
-      const embeddingProvider = options.embeddingProvider || 'openai';
-      const embeddingModel = options.embeddingModel || 'text-embedding-ada-002';
+      // Эмбеддинги провайдера без сетевых запросов (например, fixture)
+      if (embeddingModel.provider === this.provider && typeof this.providerAdapter.createEmbedding === 'function') {
+        return await this.providerAdapter.createEmbedding(text, options);
+      }
+      
       const embeddingApiKey = options.embeddingApiKey || process.env.OPENAI_API_KEY || this.apiKey;
       
       let embedding = [];
       
       // Запрос эмбеддингов в зависимости от провайдера
-      if (embeddingProvider === 'openai') {
+      if (embeddingModel.provider === 'openai') {
         const response = await axios.post(
           'https://api.openai.com/v1/embeddings',
           {
             input: text,
-            model: embeddingModel
+            model: embeddingModel.model
           },
           {
             headers: {
@@ -785,7 +1134,7 @@ class LLMClient {
         
         embedding = response.data.data[0].embedding;
       } else {
-        throw new Error(`Неподдерживаемый провайдер эмбеддингов: ${embeddingProvider}`);
+        throw new Error(`Неподдерживаемый провайдер эмбеддингов: ${embeddingModel.provider}`);
       }
       
       // Сохраняем в улучшенном кэше
@@ -0,0 +1,95 @@
+// src/utils/llm-providers/anthropic-provider.js
+
+const BaseLLMProvider = require('./base-provider');
+
+/**
+ * Адаптер Anthropic Messages API
+ */
+class AnthropicProvider extends BaseLLMProvider {
+  /**
+   * Формирует запрос к Messages API
+   * @param {Object} prompt - Нормализованный промпт { system, messages }
+   * @param {Object} params - Параметры генерации { model, maxTokens, temperature, stream }
+   * @returns {Object} - Запрос { url, headers, data }
+   */
+  prepareRequest({ system, messages }, { model, maxTokens, temperature, stream }) {
+    return {
+      url: `${this.apiUrl}/v1/messages`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      data: {
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        // Системный промпт передается отдельным полем
+        ...(system && { system }),
+        messages,
+        ...(stream && { stream: true })
+      }
+    };
+  }
+
+  /**
+   * Приводит ответ Messages API к общему формату
+   * @param {Object} response - Ответ API
+   * @returns {Object} - { content, usage, model, stopReason }
+   */
+  processResponse(response) {
+    // Ответ может состоять из нескольких текстовых блоков
+    const content = (response.data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const usage = response.data.usage;
+
+    return {
+      content,
+      usage: usage ? {
+        prompt_tokens: usage.input_tokens,
+        completion_tokens: usage.output_tokens,
+        total_tokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+      } : {
+        prompt_tokens: 0,
+        completion_tokens: Math.ceil(content.length / 4),
+        total_tokens: Math.ceil(content.length / 4)
+      },
+      model: response.data.model,
+      stopReason: response.data.stop_reason
+    };
+  }
+
+  /**
+   * Извлекает данные из события потока Messages API
+   * @param {Object} event - Событие потока
+   * @returns {Object} - { text, model, usage, stopReason }
+   */
+  processStreamEvent(event) {
+    switch (event.type) {
+      case 'message_start':
+        return {
+          model: event.message.model,
+          usage: event.message.usage ? { prompt_tokens: event.message.usage.input_tokens } : null
+        };
+
+      case 'content_block_delta':
+        return { text: event.delta && event.delta.type === 'text_delta' ? event.delta.text : '' };
+
+      case 'message_delta':
+        return {
+          usage: event.usage ? { completion_tokens: event.usage.output_tokens } : null,
+          stopReason: event.delta && event.delta.stop_reason
+        };
+
+      case 'error':
+        throw new Error(event.error ? event.error.message : 'Ошибка потока');
+
+      default:
+        return {};
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
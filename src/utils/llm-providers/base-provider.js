@@ -0,0 +1,138 @@
+// src/utils/llm-providers/base-provider.js
+
+const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+const logger = require('../logger');
+
+/**
+ * Базовый адаптер провайдера LLM
+ * Адаптер формирует запрос к API провайдера, отправляет его и приводит ответ
+ * к общему формату { content, usage, model, stopReason }
+ */
+class BaseLLMProvider {
+  /**
+   * Создает экземпляр адаптера
+   * @param {string} name - Имя, под которым провайдер зарегистрирован
+   * @param {Object} config - Конфигурация LLM-клиента
+   * @param {Object} [options={}] - Настройки провайдера (секция конфигурации провайдера)
+   */
+  constructor(name, config = {}, options = {}) {
+    this.name = name;
+    this.config = config;
+    this.options = options;
+
+    // Для основного провайдера клиента приоритет у общих настроек (LLM_API_URL, ключ клиента),
+    // для дополнительных (например, резервных моделей) - у секции настроек провайдера.
+    // Ключ основного провайдера дополнительным не передается
+    this.isPrimary = config.provider === name;
+    this.apiKey = this.isPrimary ? (config.apiKey || options.apiKey) : options.apiKey;
+    this.apiUrl = this.isPrimary ? (config.apiUrl || options.apiUrl) : (options.apiUrl || config.apiUrl);
+  }
+
+  /**
+   * Формирует запрос к API
+   * @param {Object} prompt - Нормализованный промпт { system, messages }
+   * @param {Object} params - Параметры генерации { model, maxTokens, temperature, stream }
+   * @returns {Object} - Запрос { url, headers, data }
+   */
+  prepareRequest(prompt, params) {
+    throw new Error(`Провайдер LLM ${this.name} не реализует prepareRequest`);
+  }
+
+  /**
+   * Приводит ответ API к общему формату
+   * @param {Object} response - Ответ API
+   * @returns {Object} - { content, usage, model, stopReason }
+   */
+  processResponse(response) {
+    throw new Error(`Провайдер LLM ${this.name} не реализует processResponse`);
+  }
+
+  /**
+   * Извлекает из события потока фрагмент текста, модель и статистику токенов
+   * @param {Object} event - Событие потока
+   * @returns {Object} - { text, model, usage, stopReason }
+   */
+  processStreamEvent(event) {
+    throw new Error(`Провайдер LLM ${this.name} не реализует processStreamEvent`);
+  }
+
+  /**
+   * Отправляет запрос к API
+   * @param {Object} request - Запрос { url, headers, data }
+   * @param {Object} [requestOptions={}] - Дополнительные опции HTTP-запроса (responseType, timeout)
+   * @returns {Promise<Object>} - Ответ API
+   */
+  async send(request, requestOptions = {}) {
+    return axios.post(request.url, request.data, {
+      headers: request.headers,
+      ...requestOptions
+    });
+  }
+
+  /**
+   * Отправляет потоковый запрос и возвращает события потока
+   * @param {Object} request - Запрос { url, headers, data }
+   * @param {Object} [requestOptions={}] - Дополнительные опции HTTP-запроса
+   * @returns {AsyncGenerator<Object>} - События потока
+   */
+  async *streamEvents(request, requestOptions = {}) {
+    const response = await this.send(request, { ...requestOptions, responseType: 'stream' });
+
+    yield* this._parseEventStream(response.data);
+  }
+
+  /**
+   * Разбирает поток Server-Sent Events ответа API
+   * @param {ReadableStream} stream - Поток ответа
+   * @returns {AsyncGenerator<Object>} - События потока (распарсенный JSON из строк data:)
+   * @protected
+   */
+  async *_parseEventStream(stream) {
+    // Декодер корректно собирает многобайтовые символы, разбитые между чанками
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+
+    const parseLine = (line) => {
+      if (!line.startsWith('data:')) {
+        return null;
+      }
+
+      const payload = line.slice(5).trim();
+
+      if (!payload || payload === '[DONE]') {
+        return null;
+      }
+
+      try {
+        return JSON.parse(payload);
+      } catch (error) {
+        logger.warn(`Не удалось разобрать событие потока ${this.name} API: ${payload.substring(0, 100)}`);
+        return null;
+      }
+    };
+
+    for await (const chunk of stream) {
+      buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+      let newlineIndex;
+
+      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+        const event = parseLine(buffer.slice(0, newlineIndex).trim());
+        buffer = buffer.slice(newlineIndex + 1);
+
+        if (event) {
+          yield event;
+        }
+      }
+    }
+
+    const event = parseLine((buffer + decoder.end()).trim());
+
+    if (event) {
+      yield event;
+    }
+  }
+}
+
+module.exports = BaseLLMProvider;
@@ -0,0 +1,295 @@
+// src/utils/llm-providers/fixture-provider.js
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../logger');
+const BaseLLMProvider = require('./base-provider');
+
+/**
+ * Провайдер, воспроизводящий заранее записанные ответы (фикстуры) без обращения к сети
+ * Используется для локального запуска оркестратора и тестов.
+ *
+ * Фикстура - JSON-файл с объектом или массивом объектов:
+ * {
+ *   "id": "plan-simple-task",
+ *   "match": { "key": "<ключ запроса>", "contains": ["Разбей задачу"], "model": "..." },
+ *   "response": "Текст ответа",
+ *   "usage": { "prompt_tokens": 10, "completion_tokens": 20 }
+ * }
+ * Сначала ищется фикстура с точным ключом запроса (см. FixtureProvider.createKey),
+ * затем первая фикстура, все строки contains которой входят в текст промпта.
+ */
+class FixtureProvider extends BaseLLMProvider {
+  /**
+   * Создает экземпляр провайдера
+   * @param {string} name - Имя, под которым провайдер зарегистрирован
+   * @param {Object} config - Конфигурация LLM-клиента
+   * @param {Object} [options={}] - Настройки провайдера
+   * @param {string} [options.directory] - Директория с фикстурами
+   * @param {string|null} [options.defaultResponse=null] - Ответ, если фикстура не найдена (null - ошибка)
+   * @param {number} [options.chunkSize=64] - Размер фрагмента при потоковой выдаче
+   * @param {number} [options.embeddingDimensions=1536] - Размерность эмбеддингов
+   */
+  constructor(name, config = {}, options = {}) {
+    super(name, config, options);
+
+    this.directory = options.directory || null;
+    this.defaultResponse = options.defaultResponse !== undefined ? options.defaultResponse : null;
+    this.chunkSize = options.chunkSize || 64;
+    this.embeddingDimensions = options.embeddingDimensions || 1536;
+
+    // Фикстуры загружаются при первом запросе
+    this.fixtures = null;
+  }
+
+  /**
+   * Вычисляет ключ запроса по системному промпту и сообщениям
+   * Модель в ключ не входит, чтобы фикстуры не зависели от выбора модели
+   * @param {Object} prompt - Нормализованный промпт { system, messages }
+   * @returns {string} - Ключ запроса
+   */
+  static createKey({ system, messages }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ system: system || null, messages }))
+      .digest('hex');
+  }
+
+  /**
+   * Загружает фикстуры из директории
+   * @returns {Array<Object>} - Загруженные фикстуры
+   */
+  loadFixtures() {
+    this.fixtures = [];
+
+    if (!this.directory || !fs.existsSync(this.directory)) {
+      logger.warn(`Директория фикстур LLM не найдена: ${this.directory}`);
+      return this.fixtures;
+    }
+
+    for (const fileName of fs.readdirSync(this.directory).sort()) {
+      if (!fileName.endsWith('.json')) {
+        continue;
+      }
+
+      const filePath = path.join(this.directory, fileName);
+
+      try {
+        const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const fixtures = Array.isArray(content) ? content : [content];
+
+        fixtures.forEach((fixture, index) => this.addFixture({
+          id: `${path.basename(fileName, '.json')}${fixtures.length > 1 ? `#${index}` : ''}`,
+          ...fixture
+        }));
+      } catch (error) {
+        logger.error(`Ошибка при загрузке фикстуры LLM ${filePath}: ${error.message}`);
+      }
+    }
+
+    logger.debug(`Загружено фикстур LLM: ${this.fixtures.length}`);
+
+    return this.fixtures;
+  }
+
+  /**
+   * Добавляет фикстуру
+   * @param {Object} fixture - Фикстура { id, match, response, usage, model }
+   * @returns {Object} - Добавленная фикстура
+   */
+  addFixture(fixture) {
+    if (typeof fixture.response !== 'string') {
+      throw new Error(`Фикстура LLM ${fixture.id || ''} не содержит ответа`);
+    }
+
+    if (this.fixtures === null) {
+      this.loadFixtures();
+    }
+
+    this.fixtures.push(fixture);
+
+    return fixture;
+  }
+
+  /**
+   * Ищет фикстуру для запроса
+   * @param {Object} data - Данные запроса { model, system, messages }
+   * @returns {Object|null} - Фикстура или null
+   */
+  findFixture(data) {
+    if (this.fixtures === null) {
+      this.loadFixtures();
+    }
+
+    const key = FixtureProvider.createKey(data);
+    const text = this._getPromptText(data);
+
+    const matchesModel = (match) => !match.model || match.model === data.model;
+
+    const exact = this.fixtures.find(fixture => fixture.match && fixture.match.key === key && matchesModel(fixture.match));
+
+    if (exact) {
+      return exact;
+    }
+
+    return this.fixtures.find(fixture => {
+      const match = fixture.match || {};
+
+      if (match.key || !match.contains || !matchesModel(match)) {
+        return false;
+      }
+
+      const fragments = Array.isArray(match.contains) ? match.contains : [match.contains];
+
+      return fragments.every(fragment => text.includes(fragment));
+    }) || null;
+  }
+
+  /**
+   * Формирует запрос к фикстурам
+   * @param {Object} prompt - Нормализованный промпт { system, messages }
+   * @param {Object} params - Параметры генерации { model, maxTokens, temperature, stream }
+   * @returns {Object} - Запрос { url, headers, data }
+   */
+  prepareRequest({ system, messages }, { model, maxTokens, temperature, stream }) {
+    return {
+      url: `fixture://${this.name}`,
+      headers: {},
+      data: {
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        system: system || null,
+        messages,
+        ...(stream && { stream: true })
+      }
+    };
+  }
+
+  /**
+   * Возвращает ответ из фикстуры
+   * Если фикстура не найдена и defaultResponse не задан, выбрасывает ошибку с кодом 404,
+   * чтобы клиент не повторял запрос
+   * @param {Object} request - Запрос { url, headers, data }
+   * @returns {Promise<Object>} - Ответ в формате { data }
+   */
+  async send(request) {
+    const fixture = this.findFixture(request.data);
+
+    if (!fixture && this.defaultResponse === null) {
+      const key = FixtureProvider.createKey(request.data);
+      const error = new Error(`Не найдена фикстура LLM для запроса (ключ ${key})`);
+
+      error.response = {
+        status: 404,
+        data: { error: { type: 'fixture_not_found', message: error.message, key } }
+      };
+
+      throw error;
+    }
+
+    const content = fixture ? fixture.response : this.defaultResponse;
+    const promptTokens = Math.ceil(this._getPromptText(request.data).length / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    logger.debug(`Использована фикстура LLM: ${fixture ? fixture.id : 'ответ по умолчанию'}`);
+
+    return {
+      data: {
+        fixtureId: fixture ? fixture.id : null,
+        model: (fixture && fixture.model) || request.data.model,
+        content,
+        usage: (fixture && fixture.usage) || {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens
+        }
+      }
+    };
+  }
+
+  /**
+   * Приводит ответ к общему формату
+   * @param {Object} response - Ответ { data }
+   * @returns {Object} - { content, usage, model, stopReason, fixtureId }
+   */
+  processResponse(response) {
+    const { content, usage, model, fixtureId } = response.data;
+
+    return {
+      content,
+      usage: {
+        prompt_tokens: usage.prompt_tokens || 0,
+        completion_tokens: usage.completion_tokens || 0,
+        total_tokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+      },
+      model,
+      stopReason: 'end_turn',
+      fixtureId
+    };
+  }
+
+  /**
+   * Выдает ответ фикстуры фрагментами фиксированного размера
+   * @param {Object} request - Запрос { url, headers, data }
+   * @returns {AsyncGenerator<Object>} - События потока
+   */
+  async *streamEvents(request) {
+    const result = this.processResponse(await this.send(request));
+
+    yield { model: result.model };
+
+    for (let offset = 0; offset < result.content.length; offset += this.chunkSize) {
+      yield { text: result.content.slice(offset, offset + this.chunkSize) };
+    }
+
+    yield { usage: result.usage, stopReason: result.stopReason };
+  }
+
+  /**
+   * События потока уже имеют общий формат
+   * @param {Object} event - Событие потока
+   * @returns {Object} - { text, model, usage, stopReason }
+   */
+  processStreamEvent(event) {
+    return event;
+  }
+
+  /**
+   * Создает детерминированный эмбеддинг текста (одинаковый текст - одинаковый вектор)
+   * @param {string} text - Текст
+   * @returns {Promise<Array<number>>} - Нормированный вектор
+   */
+  async createEmbedding(text) {
+    const vector = [];
+    let counter = 0;
+
+    while (vector.length < this.embeddingDimensions) {
+      const digest = crypto.createHash('sha256').update(`${counter++}:${text}`).digest();
+
+      for (let i = 0; i < digest.length && vector.length < this.embeddingDimensions; i += 2) {
+        vector.push(digest.readUInt16BE(i) / 32767.5 - 1);
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+
+    return vector.map(value => value / norm);
+  }
+
+  /**
+   * Возвращает текст промпта для сопоставления с фикстурами
+   * @param {Object} data - Данные запроса { system, messages }
+   * @returns {string} - Текст промпта
+   * @private
+   */
+  _getPromptText({ system, messages = [] }) {
+    const parts = messages.map(message => (
+      typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+    ));
+
+    return (system ? [system, ...parts] : parts).join('\n\n');
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,79 @@
+// src/utils/llm-providers/index.js
+
+const BaseLLMProvider = require('./base-provider');
+const AnthropicProvider = require('./anthropic-provider');
+const OpenAIProvider = require('./openai-provider');
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+const FixtureProvider = require('./fixture-provider');
+
+/**
+ * Реестр адаптеров провайдеров LLM: имя -> { ProviderClass, configKey }
+ */
+const providers = new Map();
+
+/**
+ * Регистрирует адаптер провайдера LLM
+ * @param {string} name - Имя провайдера (значение LLM_PROVIDER)
+ * @param {Function} ProviderClass - Класс адаптера, наследник BaseLLMProvider
+ * @param {Object} [options={}] - Параметры регистрации
+ * @param {string} [options.configKey=name] - Ключ секции настроек провайдера в конфигурации LLM
+ */
+function registerProvider(name, ProviderClass, { configKey = name } = {}) {
+  if (typeof ProviderClass !== 'function' || !(ProviderClass.prototype instanceof BaseLLMProvider)) {
+    throw new Error(`Адаптер провайдера LLM ${name} должен наследовать BaseLLMProvider`);
+  }
+
+  providers.set(name, { ProviderClass, configKey });
+}
+
+/**
+ * Проверяет, зарегистрирован ли провайдер
+ * @param {string} name - Имя провайдера
+ * @returns {boolean}
+ */
+function hasProvider(name) {
+  return providers.has(name);
+}
+
+/**
+ * Возвращает имена зарегистрированных провайдеров
+ * @returns {Array<string>}
+ */
+function listProviders() {
+  return Array.from(providers.keys());
+}
+
+/**
+ * Создает адаптер провайдера
+ * @param {string} name - Имя провайдера
+ * @param {Object} [config={}] - Конфигурация LLM-клиента
+ * @returns {BaseLLMProvider} - Адаптер провайдера
+ * @throws {Error} - Если провайдер не зарегистрирован
+ */
+function createProvider(name, config = {}) {
+  const entry = providers.get(name);
+
+  if (!entry) {
+    throw new Error(`Неподдерживаемый провайдер LLM: ${name}`);
+  }
+
+  return new entry.ProviderClass(name, config, config[entry.configKey] || {});
+}
+
+// Встроенные провайдеры
+registerProvider('anthropic', AnthropicProvider);
+registerProvider('openai', OpenAIProvider);
+registerProvider('openai-compatible', OpenAICompatibleProvider, { configKey: 'openaiCompatible' });
+registerProvider('fixture', FixtureProvider);
+
+module.exports = {
+  BaseLLMProvider,
+  AnthropicProvider,
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  FixtureProvider,
+  registerProvider,
+  hasProvider,
+  listProviders,
+  createProvider
+};
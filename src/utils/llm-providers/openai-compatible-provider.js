@@ -0,0 +1,77 @@
+// src/utils/llm-providers/openai-compatible-provider.js
+
+const OpenAIProvider = require('./openai-provider');
+
+/**
+ * Адаптер для серверов с OpenAI-совместимым API (vLLM, Ollama, LM Studio и т.п.)
+ * Отличается от OpenAI адресом сервера, необязательным API-ключом
+ * и настраиваемой поддержкой статистики токенов в потоке
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+  /**
+   * Создает экземпляр адаптера
+   * @param {string} name - Имя, под которым провайдер зарегистрирован
+   * @param {Object} config - Конфигурация LLM-клиента
+   * @param {Object} [options={}] - Настройки провайдера
+   * @param {string} [options.apiUrl] - Адрес сервера
+   * @param {string} [options.apiKey] - API-ключ (если сервер его требует)
+   * @param {string} [options.chatPath='/v1/chat/completions'] - Путь метода Chat Completions
+   * @param {boolean} [options.streamUsage=false] - Поддерживает ли сервер stream_options.include_usage
+   */
+  constructor(name, config = {}, options = {}) {
+    super(name, config, options);
+
+    this.apiUrl = (options.apiUrl || config.apiUrl || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || (this.isPrimary ? config.apiKey : null) || null;
+    this.chatPath = options.chatPath || '/v1/chat/completions';
+    this.streamUsage = options.streamUsage === true;
+  }
+
+  /**
+   * Приводит ответ к общему формату
+   * Локальные серверы не всегда возвращают статистику токенов - в этом случае она оценивается
+   * @param {Object} response - Ответ API
+   * @returns {Object} - { content, usage, model, stopReason }
+   */
+  processResponse(response) {
+    const result = super.processResponse(response);
+
+    if (!result.usage) {
+      const completionTokens = Math.ceil((result.content || '').length / 4);
+
+      result.usage = {
+        prompt_tokens: 0,
+        completion_tokens: completionTokens,
+        total_tokens: completionTokens
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getChatUrl() {
+    return `${this.apiUrl}${this.chatPath}`;
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
+    };
+  }
+
+  /**
+   * @inheritdoc
+   */
+  _getStreamOptions() {
+    return this.streamUsage ? super._getStreamOptions() : {};
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,94 @@
+// src/utils/llm-providers/openai-provider.js
+
+const BaseLLMProvider = require('./base-provider');
+
+/**
+ * Адаптер OpenAI Chat Completions API
+ */
+class OpenAIProvider extends BaseLLMProvider {
+  /**
+   * Формирует запрос к Chat Completions API
+   * @param {Object} prompt - Нормализованный промпт { system, messages }
+   * @param {Object} params - Параметры генерации { model, maxTokens, temperature, stream }
+   * @returns {Object} - Запрос { url, headers, data }
+   */
+  prepareRequest({ system, messages }, { model, maxTokens, temperature, stream }) {
+    return {
+      url: this._getChatUrl(),
+      headers: this._getHeaders(),
+      data: {
+        model,
+        max_tokens: maxTokens,
+        temperature,
+        // Системный промпт передается первым сообщением
+        messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+        ...(stream && { stream: true, ...this._getStreamOptions() })
+      }
+    };
+  }
+
+  /**
+   * Приводит ответ Chat Completions API к общему формату
+   * @param {Object} response - Ответ API
+   * @returns {Object} - { content, usage, model, stopReason }
+   */
+  processResponse(response) {
+    return {
+      content: response.data.choices[0].message.content,
+      usage: response.data.usage,
+      model: response.data.model,
+      stopReason: response.data.choices[0].finish_reason
+    };
+  }
+
+  /**
+   * Извлекает данные из события потока Chat Completions API
+   * @param {Object} event - Событие потока
+   * @returns {Object} - { text, model, usage, stopReason }
+   */
+  processStreamEvent(event) {
+    const choice = event.choices && event.choices[0];
+
+    return {
+      text: choice && choice.delta && choice.delta.content ? choice.delta.content : '',
+      model: event.model,
+      usage: event.usage ? {
+        prompt_tokens: event.usage.prompt_tokens,
+        completion_tokens: event.usage.completion_tokens
+      } : null,
+      stopReason: choice && choice.finish_reason
+    };
+  }
+
+  /**
+   * Возвращает URL метода Chat Completions
+   * @returns {string} - URL
+   * @protected
+   */
+  _getChatUrl() {
+    return `${this.apiUrl}/v1/chat/completions`;
+  }
+
+  /**
+   * Возвращает заголовки запроса
+   * @returns {Object} - Заголовки
+   * @protected
+   */
+  _getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${this.apiKey}`
+    };
+  }
+
+  /**
+   * Возвращает дополнительные поля потокового запроса
+   * @returns {Object} - Поля запроса
+   * @protected
+   */
+  _getStreamOptions() {
+    return { stream_options: { include_usage: true } };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,34 @@
+// src/utils/llm-request-context.js
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Контекст запросов к LLM (задача, шаг оркестратора)
+ * Позволяет LLMClient узнать, в рамках какого шага выполняется запрос,
+ * без передачи метаданных через все промежуточные вызовы
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Выполняет функцию в контексте запросов к LLM
+ * Вложенный контекст дополняет внешний
+ * @param {Object} context - Контекст { taskId, step, projectId }
+ * @param {Function} fn - Функция
+ * @returns {*} - Результат функции
+ */
+function runWithLLMContext(context, fn) {
+  return storage.run({ ...getLLMContext(), ...context }, fn);
+}
+
+/**
+ * Возвращает текущий контекст запросов к LLM
+ * @returns {Object} - Контекст { taskId, step, projectId } или пустой объект
+ */
+function getLLMContext() {
+  return storage.getStore() || {};
+}
+
+module.exports = {
+  runWithLLMContext,
+  getLLMContext
+};
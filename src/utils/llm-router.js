@@ -0,0 +1,194 @@
+// src/utils/llm-router.js
+
+const path = require('path');
+
+/**
+ * Типы ошибок API, при которых запрос передается следующей модели цепочки
+ */
+const FALLBACK_ERROR_TYPES = ['overloaded_error', 'rate_limit_error', 'rate_limit_exceeded'];
+
+/**
+ * HTTP-статусы перегрузки и превышения лимита запросов
+ */
+const FALLBACK_STATUSES = [429, 503, 529];
+
+/**
+ * Маршрутизатор запросов к LLM
+ * Выбирает модель по правилам (шаблон промпта, шаг оркестратора, размер промпта)
+ * и формирует цепочку резервных моделей на случай перегрузки провайдера
+ */
+class LLMRouter {
+  /**
+   * Создает экземпляр маршрутизатора
+   * @param {Object} [routingConfig={}] - Настройки маршрутизации (llm.config.routing)
+   * @param {boolean} [routingConfig.enabled=true] - Включены ли правила маршрутизации
+   * @param {Array<Object>} [routingConfig.rules] - Правила { name, match, model, provider, fallback }
+   * @param {Array<string|Object>} [routingConfig.fallback] - Резервные модели по умолчанию
+   * @param {Object} defaults - Модель и провайдер клиента { provider, model }
+   */
+  constructor(routingConfig = {}, { provider, model }) {
+    this.enabled = routingConfig.enabled !== false;
+    // Правила без модели не применяются (например, если переменная окружения не задана)
+    this.rules = (routingConfig.rules || []).filter(rule => rule.model);
+    this.fallback = routingConfig.fallback || [];
+    this.defaultProvider = provider;
+    this.defaultModel = model;
+
+    this.stats = {
+      decisions: 0,
+      byReason: {},
+      byRule: {},
+      byModel: {},
+      fallbacks: 0,
+      fallbackTransitions: {}
+    };
+  }
+
+  /**
+   * Выбирает модель и цепочку резервных моделей для запроса
+   * Явно указанная в options.model модель имеет приоритет над правилами
+   * @param {Object} request - Параметры запроса
+   * @param {Object} [request.options={}] - Опции запроса (model, provider, fallback)
+   * @param {string} [request.template] - Имя шаблона промпта
+   * @param {string} [request.step] - Шаг оркестратора
+   * @param {number} [request.estimatedTokens] - Оценка размера промпта в токенах
+   * @returns {Object} - Решение { rule, reason, template, step, estimatedTokens, candidates }
+   */
+  route({ options = {}, template, step, estimatedTokens } = {}) {
+    const templateName = template ? path.basename(template, path.extname(template)) : null;
+    const rule = this.enabled && !options.model
+      ? this.rules.find(item => this._matches(item.match || {}, { template: templateName, step, estimatedTokens }))
+      : null;
+
+    let primary;
+    let reason;
+
+    if (options.model) {
+      primary = this._toCandidate({ provider: options.provider, model: options.model });
+      reason = 'explicit';
+    } else if (rule) {
+      primary = this._toCandidate(rule);
+      reason = 'rule';
+    } else {
+      primary = this._toCandidate({ model: this.defaultModel });
+      reason = 'default';
+    }
+
+    const fallback = options.fallback || (rule && rule.fallback) || this.fallback;
+    const candidates = [primary];
+
+    for (const item of fallback) {
+      const candidate = this._toCandidate(item);
+
+      if (!candidates.some(existing => existing.provider === candidate.provider && existing.model === candidate.model)) {
+        candidates.push(candidate);
+      }
+    }
+
+    this.stats.decisions++;
+    this.stats.byReason[reason] = (this.stats.byReason[reason] || 0) + 1;
+
+    if (rule) {
+      this.stats.byRule[rule.name] = (this.stats.byRule[rule.name] || 0) + 1;
+    }
+
+    return {
+      rule: rule ? rule.name : null,
+      reason,
+      template: templateName,
+      step: step || null,
+      estimatedTokens,
+      candidates
+    };
+  }
+
+  /**
+   * Проверяет, нужно ли при ошибке переключиться на резервную модель
+   * @param {Error} error - Ошибка запроса
+   * @returns {boolean}
+   */
+  isFallbackError(error) {
+    if (!error || !error.response) {
+      return false;
+    }
+
+    const errorData = error.response.data && error.response.data.error;
+
+    return FALLBACK_STATUSES.includes(error.response.status) ||
+      Boolean(errorData && FALLBACK_ERROR_TYPES.includes(errorData.type));
+  }
+
+  /**
+   * Учитывает модель, выполнившую запрос
+   * @param {Object} decision - Решение маршрутизатора
+   * @param {Object} candidate - Модель, выполнившая запрос { provider, model }
+   */
+  recordResult(decision, candidate) {
+    const key = `${candidate.provider}/${candidate.model}`;
+    this.stats.byModel[key] = (this.stats.byModel[key] || 0) + 1;
+
+    const primary = decision.candidates[0];
+
+    if (primary !== candidate) {
+      const transition = `${primary.provider}/${primary.model} -> ${key}`;
+      this.stats.fallbacks++;
+      this.stats.fallbackTransitions[transition] = (this.stats.fallbackTransitions[transition] || 0) + 1;
+    }
+  }
+
+  /**
+   * Возвращает статистику маршрутизации
+   * @returns {Object} - Статистика
+   */
+  getStats() {
+    return {
+      enabled: this.enabled,
+      rules: this.rules.map(rule => ({ name: rule.name, model: rule.model, provider: rule.provider || this.defaultProvider })),
+      ...JSON.parse(JSON.stringify(this.stats))
+    };
+  }
+
+  /**
+   * Проверяет, подходит ли запрос под условия правила
+   * Все заданные условия должны выполняться; правило без условий подходит для любого запроса
+   * @param {Object} match - Условия { templates, steps, minTokens, maxTokens }
+   * @param {Object} request - Параметры запроса { template, step, estimatedTokens }
+   * @returns {boolean}
+   * @private
+   */
+  _matches(match, { template, step, estimatedTokens }) {
+    if (match.templates && !match.templates.includes(template)) {
+      return false;
+    }
+
+    if (match.steps && !match.steps.includes(step)) {
+      return false;
+    }
+
+    if (match.minTokens !== undefined && !(estimatedTokens >= match.minTokens)) {
+      return false;
+    }
+
+    if (match.maxTokens !== undefined && !(estimatedTokens <= match.maxTokens)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Приводит описание модели к виду { provider, model }
+   * @param {string|Object} item - Имя модели или { provider, model }
+   * @returns {Object} - { provider, model }
+   * @private
+   */
+  _toCandidate(item) {
+    if (typeof item === 'string') {
+      return { provider: this.defaultProvider, model: item };
+    }
+
+    return { provider: item.provider || this.defaultProvider, model: item.model };
+  }
+}
+
+module.exports = LLMRouter;
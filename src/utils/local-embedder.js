@@ -0,0 +1,177 @@
+// src/utils/local-embedder.js
+
+/**
+ * Версия алгоритма векторизации. Меняется при любом изменении токенизации или весов,
+ * чтобы ранее созданные векторы считались устаревшими и пересоздавались
+ */
+const ALGORITHM_VERSION = 'hashed-ngram-v1';
+
+/**
+ * Размерность векторов по умолчанию
+ */
+const DEFAULT_DIMENSION = 1536;
+
+/**
+ * Частые служебные слова языков программирования и английского текста:
+ * почти не несут смысла, поэтому их вес снижается
+ */
+const COMMON_TOKENS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'async', 'await', 'be', 'break', 'case', 'catch', 'class', 'const',
+  'continue', 'def', 'default', 'do', 'else', 'export', 'false', 'for', 'from', 'func', 'function',
+  'if', 'import', 'in', 'is', 'let', 'new', 'null', 'of', 'or', 'private', 'public', 'require',
+  'return', 'self', 'static', 'the', 'this', 'throw', 'to', 'true', 'try', 'undefined', 'var',
+  'void', 'while', 'with'
+]);
+
+/**
+ * Вес служебного слова относительно обычного токена
+ */
+const COMMON_TOKEN_WEIGHT = 0.2;
+
+/**
+ * Веса групп признаков: целые идентификаторы, их части, пары соседних частей и символьные триграммы
+ */
+const FEATURE_WEIGHTS = {
+  identifier: 1,
+  subtoken: 1,
+  bigram: 0.7,
+  trigram: 0.3
+};
+
+/**
+ * Локальная модель эмбеддингов без сетевых запросов
+ * Текст разбивается на идентификаторы и их части (camelCase, snake_case, kebab-case),
+ * признаки (части, пары соседних частей, символьные триграммы) хэшируются в вектор
+ * фиксированной размерности со знаком (feature hashing), вес признака - сублинейная
+ * частота 1 + ln(tf). Результат детерминирован: одинаковый текст дает одинаковый вектор,
+ * а тексты с общими идентификаторами близки по косинусному сходству
+ */
+class LocalEmbedder {
+  /**
+   * @param {Object} [options={}] - Опции
+   * @param {number} [options.dimension=1536] - Размерность векторов
+   */
+  constructor(options = {}) {
+    this.dimension = options.dimension || DEFAULT_DIMENSION;
+
+    if (!Number.isInteger(this.dimension) || this.dimension < 16) {
+      throw new Error(`Некорректная размерность локальных эмбеддингов: ${options.dimension}`);
+    }
+  }
+
+  /**
+   * Идентификатор модели: векторы разных моделей (и размерностей) несовместимы
+   * @returns {string}
+   */
+  get modelId() {
+    return `${ALGORITHM_VERSION}-${this.dimension}`;
+  }
+
+  /**
+   * Создает эмбеддинг текста
+   * @param {string} text - Текст
+   * @returns {Array<number>} - Нормированный вектор (нулевой для текста без токенов)
+   */
+  embed(text) {
+    const vector = new Array(this.dimension).fill(0);
+    const features = this.extractFeatures(text || '');
+
+    for (const [feature, { count, weight }] of features) {
+      const hash = this._hash(feature);
+      const index = hash % this.dimension;
+      // Старший бит хэша задает знак, чтобы коллизии в среднем компенсировали друг друга
+      const sign = (hash >>> 31) === 1 ? -1 : 1;
+
+      vector[index] += sign * weight * (1 + Math.log(count));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  /**
+   * Извлекает взвешенные признаки текста
+   * @param {string} text - Текст
+   * @returns {Map<string, Object>} - Признак -> { count, weight }
+   */
+  extractFeatures(text) {
+    const features = new Map();
+    const add = (feature, weight) => {
+      const entry = features.get(feature);
+
+      if (entry) {
+        entry.count++;
+      } else {
+        features.set(feature, { count: 1, weight });
+      }
+    };
+
+    let previous = null;
+
+    for (const identifier of text.match(/[\p{L}_$][\p{L}\p{N}_$]*|\p{N}+/gu) || []) {
+      const lower = identifier.toLowerCase();
+      const parts = this.splitIdentifier(identifier);
+      const tokenWeight = (token) => (COMMON_TOKENS.has(token) ? COMMON_TOKEN_WEIGHT : 1);
+
+      if (parts.length > 1) {
+        add(`id:${lower}`, FEATURE_WEIGHTS.identifier * tokenWeight(lower));
+      }
+
+      for (const part of parts) {
+        add(`tok:${part}`, FEATURE_WEIGHTS.subtoken * tokenWeight(part));
+
+        // Пары соседних частей сохраняют порядок слов (getUser и userGet различаются)
+        if (previous && !COMMON_TOKENS.has(previous) && !COMMON_TOKENS.has(part)) {
+          add(`bi:${previous} ${part}`, FEATURE_WEIGHTS.bigram);
+        }
+
+        previous = part;
+
+        // Триграммы сближают словоформы и опечатки (user/users, config/configuration)
+        if (part.length > 3 && !COMMON_TOKENS.has(part)) {
+          const padded = `^${part}$`;
+
+          for (let i = 0; i + 3 <= padded.length; i++) {
+            add(`tri:${padded.substring(i, i + 3)}`, FEATURE_WEIGHTS.trigram);
+          }
+        }
+      }
+    }
+
+    return features;
+  }
+
+  /**
+   * Разбивает идентификатор на части в нижнем регистре
+   * @param {string} identifier - Идентификатор (getUserById, MAX_RETRY_COUNT, html2text)
+   * @returns {Array<string>} - Части (get, user, by, id)
+   */
+  splitIdentifier(identifier) {
+    return identifier
+      .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2')
+      .replace(/(\p{Lu})(\p{Lu}\p{Ll})/gu, '$1 $2')
+      .split(/[\s_$]+/)
+      .filter(Boolean)
+      .map(part => part.toLowerCase());
+  }
+
+  /**
+   * 32-битный хэш FNV-1a
+   * @private
+   * @param {string} value - Строка
+   * @returns {number} - Беззнаковое 32-битное число
+   */
+  _hash(value) {
+    let hash = 0x811c9dc5;
+
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return hash >>> 0;
+  }
+}
+
+module.exports = LocalEmbedder;
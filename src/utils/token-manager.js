@@ -189,6 +189,31 @@ class TokenManager {
     return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
   }
 
+  /**
+   * Рассчитывает стоимость запроса по тарифам модели
+   * @param {string} model - Модель LLM
+   * @param {number} promptTokens - Количество токенов промпта
+   * @param {number} completionTokens - Количество токенов ответа
+   * @returns {number} Стоимость в $
+   */
+  calculateCost(model, promptTokens, completionTokens) {
+    let modelCost = this.tokenCost.default;
+    
+    // Находим наиболее подходящую модель для расчета стоимости
+    for (const [costModel, cost] of Object.entries(this.tokenCost)) {
+      if (model && model.includes(costModel)) {
+        modelCost = cost;
+        break;
+      }
+    }
+    
+    // Рассчитываем стоимость ($ за миллион токенов)
+    const promptCost = (promptTokens / 1000000) * modelCost.prompt;
+    const completionCost = (completionTokens / 1000000) * modelCost.completion;
+    
+    return promptCost + completionCost;
+  }
+
   /**
    * Рассчитывает примерную стоимость использованных токенов
    * @private
@@ -197,21 +222,7 @@ class TokenManager {
     let totalCost = 0;
     
     for (const [model, stats] of Object.entries(this.stats.models)) {
-      let modelCost = this.tokenCost.default;
-      
-      // Находим наиболее подходящую модель для расчета стоимости
-      for (const [costModel, cost] of Object.entries(this.tokenCost)) {
-        if (model.includes(costModel)) {
-          modelCost = cost;
-          break;
-        }
-      }
-      
-      // Рассчитываем стоимость ($ за миллион токенов)
-      const promptCost = (stats.promptTokens / 1000000) * modelCost.prompt;
-      const completionCost = (stats.completionTokens / 1000000) * modelCost.completion;
-      
-      totalCost += promptCost + completionCost;
+      totalCost += this.calculateCost(model, stats.promptTokens, stats.completionTokens);
     }
     
     this.stats.estimatedCost = totalCost;
@@ -530,6 +530,84 @@ async function calculateOverallProgress(taskId) {
   }
 }
 
+/**
+ * Отправляет подписчикам задачи фрагмент промежуточного вывода
+ * (например, код, который еще генерируется). Фрагменты не сохраняются в БД.
+ * 
+ * @param {number} taskId - ID задачи
+ * @param {Object} output - Данные фрагмента
+ * @param {string} output.delta - Новый текст с момента предыдущего фрагмента
+ * @param {number} output.sequence - Порядковый номер фрагмента
+ * @param {boolean} [output.done] - Признак последнего фрагмента
+ * @param {string} [output.step] - Шаг, формирующий вывод
+ * @param {string} [output.label] - Метка вывода (например, путь генерируемого файла)
+ * @returns {void}
+ */
+function sendTaskPartialOutput(taskId, output) {
+  const ws = websocket.getInstance();
+  
+  if (!ws) {
+    return;
+  }
+  
+  ws.notifySubscribers('task', taskId, {
+    type: 'task-partial-output',
+    taskId,
+    ...output,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Передает подписчикам задачи потоковый ответ LLM по мере генерации.
+ * Фрагменты накапливаются и отправляются не чаще одного раза за flushInterval мс.
+ * 
+ * @param {number} taskId - ID задачи
+ * @param {AsyncIterable<Object>} stream - Поток событий LLMClient.stream
+ * @param {Object} [options] - Параметры передачи
+ * @param {string} [options.step] - Шаг, формирующий вывод
+ * @param {string} [options.label] - Метка вывода (например, путь генерируемого файла)
+ * @param {number} [options.flushInterval=250] - Минимальный интервал между отправками в мс
+ * @returns {Promise<Object|null>} - Итоговое событие потока { content, usage, model }
+ */
+async function streamTaskOutput(taskId, stream, { step, label, flushInterval = 250 } = {}) {
+  let pending = '';
+  let sequence = 0;
+  let lastFlush = 0;
+  let result = null;
+  
+  // Без WebSocket-сервера поток все равно вычитывается до конца, но фрагменты не отправляются
+  const canNotify = Boolean(websocket.getInstance());
+  
+  const flush = (done) => {
+    if (canNotify) {
+      sendTaskPartialOutput(taskId, { step, label, sequence, delta: pending, done });
+    }
+    
+    sequence++;
+    pending = '';
+    lastFlush = Date.now();
+  };
+  
+  for await (const event of stream) {
+    if (event.type === 'delta') {
+      pending += event.text;
+      
+      if (Date.now() - lastFlush >= flushInterval) {
+        flush(false);
+      }
+    } else if (event.type === 'done') {
+      result = event;
+    }
+  }
+  
+  flush(true);
+  
+  logger.debug(`Передан потоковый вывод задачи ${taskId}${label ? ` (${label})` : ''}: ${sequence} фрагментов`);
+  
+  return result;
+}
+
 module.exports = {
   updateTaskProgress,
   updateTaskStatus,
@@ -537,5 +615,7 @@ module.exports = {
   startTaskStage,
   updateTaskStageProgress,
   completeTaskStage,
-  calculateOverallProgress
+  calculateOverallProgress,
+  sendTaskPartialOutput,
+  streamTaskOutput
 };
\ No newline at end of file
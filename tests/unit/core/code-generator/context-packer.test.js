@@ -0,0 +1,121 @@
+// tests/unit/core/code-generator/context-packer.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { pool } = require('../../../../src/config/db.config');
+const logger = require('../../../../src/utils/logger');
+const solutionAnalyzer = require('../../../../src/core/learning-system/solution-analyzer');
+const ContextPacker = require('../../../../src/core/code-generator/context-packer');
+
+const lines = (count, prefix = 'line') => Array.from({ length: count }, (_, i) => `${prefix} ${i + 1} of the snippet`).join('\n');
+
+describe('ContextPacker', () => {
+  let packer;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'warn');
+    packer = new ContextPacker(7, { budgets: { relevantFiles: 300, dbSchema: 60, dependencies: 100, pastSolutions: 100 } });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('pack', () => {
+    it('должен укладывать кандидатов в бюджет секции по убыванию оценки и обрезать последний', () => {
+      const pack = packer.pack([
+        { section: 'relevantFiles', source: 'semantic', key: 'b.js:1-10', content: lines(10, 'b'), score: 0.5 },
+        { section: 'relevantFiles', source: 'semantic', key: 'a.js:1-10', content: lines(10, 'a'), score: 0.9 },
+        { section: 'relevantFiles', source: 'semantic', key: 'c.js:1-80', content: lines(80, 'c'), score: 0.4 },
+        { section: 'relevantFiles', source: 'semantic', key: 'a.js:1-10', content: lines(10, 'a'), score: 0.3 },
+        { section: 'dbSchema', source: 'schema:task', key: 'users', content: lines(40, 'users'), score: 1 }
+      ]);
+
+      expect(pack.sections.relevantFiles.map(entry => entry.key)).to.deep.equal(['a.js:1-10', 'b.js:1-10', 'c.js:1-80']);
+      expect(pack.sections.relevantFiles[2].truncated).to.be.true;
+      expect(pack.sections.relevantFiles[2].content).to.include('[обрезано, показаны строки 1-');
+      expect(pack.usage.relevantFiles.used).to.be.at.most(300);
+      expect(pack.sections.dbSchema).to.have.length(0);
+      expect(pack.excluded.map(entry => [entry.key, entry.reason])).to.deep.equal([
+        ['users', 'budget'],
+        ['a.js:1-10', 'duplicate']
+      ]);
+    });
+  });
+
+  describe('buildContext', () => {
+    it('должен собирать кандидатов из поиска, графа зависимостей, схемы БД и похожих решений', async () => {
+      sinon.stub(packer.codeIndexer, 'searchSimilarCode').resolves([
+        { file_path: 'src/orders/order.service.js', code_segment: 'async createOrder(data) { return Order.create(data); }', start_line: 10, end_line: 12, symbol_name: 'OrderService.createOrder', symbol_kind: 'method', score: 0.8 }
+      ]);
+      sinon.stub(packer.symbolGraph, 'loadGraph').resolves({
+        files: new Map([[1, 'src/orders/order.service.js'], [2, 'src/orders/order.model.js'], [3, 'src/orders/order.controller.js']]),
+        symbols: [
+          { file_id: 2, qualified_name: 'Order', kind: 'class', exported: true, parent_name: null, start_line: 1, end_line: 30 },
+          { file_id: 3, qualified_name: 'create', kind: 'function', exported: true, parent_name: null, start_line: 5, end_line: 9 }
+        ],
+        references: [
+          { reference_type: 'imports', source_file_id: 1, target_file_id: 2 },
+          { reference_type: 'calls', source_file_id: 3, target_file_id: 1 }
+        ]
+      });
+      const query = sinon.stub(pool, 'query').resolves([[
+        { name: 'orders', structure: { columns: [{ name: 'id', type: 'int', nullable: false, key: 'PRI' }], foreign_keys: [] } },
+        { name: 'customers', structure: { columns: [{ name: 'id', type: 'int', nullable: false }] } },
+        { name: 'invoices', structure: { columns: [] } }
+      ]]);
+      const findSimilar = sinon.stub(solutionAnalyzer, 'findSimilarSolutions').resolves([
+        { id: 's1', task_description: 'Добавить скидку к заказу', solution: 'applyDiscount()', similarity: 0.82 }
+      ]);
+
+      const pack = await packer.buildContext({ id: 5, title: 'Создание заказа', description: 'Проверять customer перед созданием' });
+
+      expect(pack.sections.relevantFiles[0].title).to.equal('src/orders/order.service.js:10-12 (method OrderService.createOrder)');
+      expect(pack.sections.dependencies.map(entry => [entry.key, entry.source])).to.deep.equal([
+        ['src/orders/order.model.js', 'dependency'],
+        ['src/orders/order.controller.js', 'dependent']
+      ]);
+      expect(pack.sections.dependencies[0].content).to.equal('- class Order (строки 1-30)');
+      expect(pack.sections.dbSchema.map(entry => [entry.key, entry.source])).to.deep.equal([
+        ['customers', 'schema:task'],
+        ['orders', 'schema:code']
+      ]);
+      expect(pack.sections.pastSolutions[0].content).to.include('applyDiscount()');
+      expect(query.firstCall.args[1]).to.deep.equal([7]);
+      expect(findSimilar.firstCall.args[2]).to.include({ includeProjectContext: false });
+    });
+
+    it('должен продолжать сборку, если один из источников недоступен', async () => {
+      sinon.stub(packer.codeIndexer, 'searchSimilarCode').rejects(new Error('ECONNREFUSED'));
+      sinon.stub(pool, 'query').resolves([[]]);
+      sinon.stub(solutionAnalyzer, 'findSimilarSolutions').resolves([
+        { id: 's1', task_description: 'Похожая задача', solution: 'ok', similarity: 0.9 }
+      ]);
+
+      const pack = await packer.buildContext({ id: 5, description: 'Задача' });
+
+      expect(pack.sections.relevantFiles).to.deep.equal([]);
+      expect(pack.sections.pastSolutions).to.have.length(1);
+      expect(logger.warn.calledWithMatch('semantic')).to.be.true;
+    });
+  });
+
+  describe('recordPack', () => {
+    it('должен сохранять включенные и отброшенные фрагменты одним запросом', async () => {
+      const query = sinon.stub(pool, 'query').resolves([{ affectedRows: 2 }]);
+      const pack = packer.pack([
+        { section: 'dbSchema', source: 'schema:task', key: 'users', content: 'users table', score: 1 },
+        { section: 'dbSchema', source: 'schema:code', key: 'orders', content: lines(60), score: 0.6 }
+      ]);
+
+      await packer.recordPack(pack, { taskId: 5, promptType: 'codeGeneration' });
+
+      const [sql, [rows]] = query.firstCall.args;
+
+      expect(sql).to.include('INSERT INTO prompt_context_snippets');
+      expect(rows).to.have.length(2);
+      expect(rows[0]).to.deep.equal([7, 5, 'codeGeneration', pack.id, 'dbSchema', 'schema:task', 'users', 'users', 1, pack.included[0].tokens, true, null]);
+      expect(rows[1].slice(10)).to.deep.equal([false, 'budget']);
+    });
+  });
+});
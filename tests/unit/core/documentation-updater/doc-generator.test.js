@@ -5,7 +5,7 @@ const sinon = require('sinon');
 const path = require('path');
 const fs = require('fs').promises;
 const DocumentationGenerator = require('../../../../src/core/documentation-updater/doc-generator');
-const llmClient = require('../../../../src/utils/llm-client');
+const { LLMClient } = require('../../../../src/utils/llm-client');
 const promptManager = require('../../../../src/utils/prompt-manager');
 const fileUtils = require('../../../../src/utils/file-utils');
 const logger = require('../../../../src/utils/logger');
@@ -16,7 +16,7 @@ describe('DocumentationGenerator', () => {
 
   beforeEach(() => {
     // Создаем заглушки для зависимостей
-    llmClientStub = sinon.stub(llmClient, 'sendMessage');
+    llmClientStub = sinon.stub(LLMClient.prototype, 'sendPrompt');
     promptManagerStub = sinon.stub(promptManager, 'getPrompt');
     fileUtilsStub = { ensureDir: sinon.stub() };
     sinon.stub(fileUtils, 'ensureDir').callsFake(fileUtilsStub.ensureDir);
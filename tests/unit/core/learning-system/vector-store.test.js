@@ -0,0 +1,280 @@
+// tests/unit/core/learning-system/vector-store.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const logger = require('../../../../src/utils/logger');
+const { VectorStore, SCHEMAS } = require('../../../../src/core/learning-system/vector-store');
+const {
+  compileFilter,
+  toSqlConditions,
+  matchesConditions
+} = require('../../../../src/core/learning-system/vector-filter');
+
+/**
+ * Клиент PostgreSQL, который записывает запросы и отвечает заданными строками
+ */
+function createPgClient(responder = () => ({ rows: [] })) {
+  const client = {
+    queries: [],
+    query: sinon.spy(async (sql, values) => {
+      const normalized = sql.replace(/\s+/g, ' ').trim();
+      client.queries.push({ sql: normalized, values });
+      return responder(normalized, values) || { rows: [] };
+    }),
+    release: sinon.spy()
+  };
+
+  return client;
+}
+
+function createPgStore(client, vectorStore = {}) {
+  const store = new VectorStore({ vectorStore: { type: 'pg', embeddingDimension: 3, ...vectorStore } });
+  store.store = { connect: async () => client };
+  store.isInitialized = true;
+
+  return store;
+}
+
+describe('VectorStore', () => {
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('фильтры', () => {
+    const rows = [
+      { id: 'a', task_type: 'bug_fix', success_rating: 0.9, metadata: { source: 'manual', analysis: { quality: 'high' }, iterations: 3 } },
+      { id: 'b', task_type: 'feature', success_rating: 0.4, metadata: { source: 'auto', iterations: 1 } },
+      { id: 'c', task_type: 'feature', success_rating: null, metadata: null }
+    ];
+
+    const select = (filter) => {
+      const conditions = compileFilter(SCHEMAS.taskSolution, filter);
+      return rows.filter(row => matchesConditions(row, conditions)).map(row => row.id);
+    };
+
+    it('должен одинаково отбирать элементы в памяти и строить параметризованный SQL', () => {
+      const filter = {
+        task_type: ['bug_fix', 'feature'],
+        success_rating: { $gte: 0.5 },
+        metadata: { source: 'manual' },
+        'metadata.analysis.quality': 'high',
+        'metadata.iterations': { $gt: 2 }
+      };
+      const values = [];
+      const sql = toSqlConditions(compileFilter(SCHEMAS.taskSolution, filter), values);
+
+      expect(sql).to.deep.equal([
+        'task_type = ANY($1)',
+        'success_rating >= $2',
+        'metadata @> $3::jsonb',
+        'metadata @> $4::jsonb',
+        '(metadata #>> $5::text[])::numeric > $6'
+      ]);
+      expect(values).to.deep.equal([
+        ['bug_fix', 'feature'],
+        0.5,
+        '{"source":"manual"}',
+        '{"analysis":{"quality":"high"}}',
+        ['iterations'],
+        2
+      ]);
+      expect(select(filter)).to.deep.equal(['a']);
+    });
+
+    it('должен обрабатывать NULL так же, как PostgreSQL', () => {
+      expect(select({ success_rating: null })).to.deep.equal(['c']);
+      expect(select({ success_rating: { $lt: 1 } })).to.deep.equal(['a', 'b']);
+      expect(select({ task_type: { $ne: 'bug_fix' } })).to.deep.equal(['b', 'c']);
+      expect(select({ 'metadata.source': { $ne: 'manual' } })).to.deep.equal(['b', 'c']);
+    });
+
+    it('должен отклонять поля вне схемы и неподдерживаемые операторы', () => {
+      expect(() => compileFilter(SCHEMAS.taskSolution, { 'task_type; DROP TABLE x': 1 }))
+        .to.throw('Unknown filter field');
+      expect(() => compileFilter(SCHEMAS.taskSolution, { success_rating: { $regex: '.*' } }))
+        .to.throw('Unsupported filter operator $regex');
+      expect(() => compileFilter(SCHEMAS.taskSolution, { 'task_type.name': 'x' }))
+        .to.throw('only supported for jsonb');
+    });
+  });
+
+  describe('in-memory хранилище', () => {
+    let store;
+
+    beforeEach(async () => {
+      store = new VectorStore({ vectorStore: { type: 'memory', embeddingDimension: 3, embeddingModel: 'local:test' } });
+      await store.initialize();
+    });
+
+    it('должен сохранять пачку элементов и искать только векторы текущей модели', async () => {
+      const ids = await store.storeItems('taskSolution', [
+        { id: 'a', task_description: 'fix login', task_type: 'bug_fix', embedding: [1, 0, 0] },
+        { id: 'b', task_description: 'add export', task_type: 'feature', embedding: [0.9, 0.1, 0] },
+        { id: 'c', task_description: 'no vector', task_type: 'feature' }
+      ]);
+      store.store.task_solution.items.push({ id: 'old', task_type: 'bug_fix', embedding: [1, 0, 0], embedding_model: 'openai:ada' });
+
+      const results = await store.findSimilar('taskSolution', [1, 0, 0], { minSimilarity: 0.5 });
+
+      expect(ids).to.deep.equal(['a', 'b', 'c']);
+      expect(results.map(item => item.id)).to.deep.equal(['a', 'b']);
+      expect(results[0]).to.not.have.property('embedding');
+      expect(results[0].embedding_model).to.equal('local:test');
+    });
+
+    it('должен обновлять только переданные поля, как ON CONFLICT DO UPDATE', async () => {
+      await store.storeItem('taskSolution', { id: 'a', task_type: 'bug_fix', solution: 'v1' }, [1, 0, 0]);
+      await store.storeItem('taskSolution', { id: 'a', solution: 'v2' });
+
+      const item = await store.getItem('taskSolution', 'a');
+      const found = await store.findItems('taskSolution', { task_type: 'bug_fix' });
+
+      expect(item).to.include({ task_type: 'bug_fix', solution: 'v2' });
+      expect(item.embedding).to.deep.equal([1, 0, 0]);
+      expect(found.map(entry => entry.id)).to.deep.equal(['a']);
+    });
+
+    it('должен проверять поля и размерность векторов', async () => {
+      try {
+        await store.storeItem('taskSolution', { id: 'a', unknown_field: 1 });
+        expect.fail('storeItem должен отклонить неизвестное поле');
+      } catch (error) {
+        expect(error.message).to.include('Unknown field for task_solution: unknown_field');
+      }
+
+      try {
+        await store.findSimilar('taskSolution', [1, 0]);
+        expect.fail('findSimilar должен отклонить вектор другой размерности');
+      } catch (error) {
+        expect(error.message).to.include('does not match embeddingDimension 3');
+      }
+
+      try {
+        await store.findItems('taskSolution', {}, { orderBy: { field: 'created_at; DROP TABLE x', direction: 'desc' } });
+        expect.fail('findItems должен отклонить поле сортировки вне схемы');
+      } catch (error) {
+        expect(error.message).to.include('Invalid sort field');
+      }
+    });
+  });
+
+  describe('PostgreSQL', () => {
+    it('должен искать с параметрами поиска индекса и без подстановки значений в SQL', async () => {
+      const client = createPgClient(sql => (sql.startsWith('SELECT') ? { rows: [{ id: 'a', similarity: 0.9 }] } : null));
+      const store = createPgStore(client, { embeddingModel: 'local:test' });
+
+      const results = await store.findSimilar('projectContext', [1, 0, 0], {
+        limit: 5,
+        minSimilarity: 0.75,
+        filter: { project_id: '7', 'metadata.lessonType': 'review' }
+      });
+
+      const select = client.queries.find(query => query.sql.startsWith('SELECT'));
+
+      expect(results).to.deep.equal([{ id: 'a', similarity: 0.9 }]);
+      expect(client.queries.map(query => query.sql).slice(0, 2)).to.deep.equal(['BEGIN', 'SET LOCAL hnsw.ef_search = 40']);
+      expect(select.sql).to.include('WHERE embedding IS NOT NULL AND project_id = $2 AND metadata @> $3::jsonb AND embedding_model = $4 AND embedding <=> $1::vector <= $5');
+      expect(select.sql).to.include('ORDER BY embedding <=> $1::vector LIMIT $6');
+      expect(select.sql).to.not.include('0.75');
+      expect(select.values[0]).to.equal('[1,0,0]');
+      expect(select.values[4]).to.be.closeTo(0.25, 1e-9);
+      expect(select.values[5]).to.equal(5);
+      expect(client.release.calledOnce).to.be.true;
+    });
+
+    it('должен сохранять элементы пачками в одной транзакции', async () => {
+      const client = createPgClient();
+      const store = createPgStore(client, { batchSize: 2 });
+
+      await store.storeItems('taskSolution', [
+        { id: 'a', task_type: 'bug_fix', metadata: { tags: ['x'] }, embedding: [1, 0, 0] },
+        { id: 'b', task_type: 'bug_fix', metadata: {}, embedding: [0, 1, 0] },
+        { id: 'c', task_type: 'feature', metadata: {}, embedding: [0, 0, 1] }
+      ]);
+
+      const inserts = client.queries.filter(query => query.sql.startsWith('INSERT'));
+
+      expect(client.queries[0].sql).to.equal('BEGIN');
+      expect(client.queries[client.queries.length - 1].sql).to.equal('COMMIT');
+      expect(inserts).to.have.length(2);
+      expect(inserts[0].sql).to.include('(id, task_type, created_at, metadata, embedding) VALUES ($1, $2, $3, $4::jsonb, $5::vector), ($6, $7, $8, $9::jsonb, $10::vector)');
+      expect(inserts[0].sql).to.include('ON CONFLICT (id) DO UPDATE SET task_type = EXCLUDED.task_type');
+      expect(inserts[0].values.slice(3, 5)).to.deep.equal(['{"tags":["x"]}', '[1,0,0]']);
+    });
+
+    it('должен откатывать пачку при ошибке', async () => {
+      const client = createPgClient(sql => {
+        if (sql.startsWith('INSERT')) {
+          throw new Error('duplicate key');
+        }
+      });
+      const store = createPgStore(client);
+
+      try {
+        await store.storeItems('taskSolution', [{ id: 'a', embedding: [1, 0, 0] }]);
+        expect.fail('storeItems должен завершиться ошибкой');
+      } catch (error) {
+        expect(error.message).to.equal('duplicate key');
+      }
+
+      expect(client.queries.map(query => query.sql)).to.include('ROLLBACK');
+      expect(client.release.calledOnce).to.be.true;
+    });
+
+    it('должен пересоздавать векторный индекс при изменении настроек', async () => {
+      const existing = { type: 'ivfflat', options: ['lists=100'] };
+      const client = createPgClient(sql => (sql.includes('pg_am') ? { rows: [existing] } : null));
+      const store = createPgStore(client, { index: { type: 'hnsw', hnsw: { m: 24 } } });
+
+      expect(await store._ensureVectorIndex(client, SCHEMAS.taskSolution)).to.be.true;
+      expect(client.queries.map(query => query.sql)).to.include('DROP INDEX IF EXISTS task_solution_embedding_idx');
+      expect(client.queries[client.queries.length - 1].sql).to.equal(
+        'CREATE INDEX task_solution_embedding_idx ON task_solution USING hnsw (embedding vector_cosine_ops) WITH (m = 24, ef_construction = 64)'
+      );
+
+      existing.type = 'hnsw';
+      existing.options = ['m=24', 'ef_construction=64'];
+      client.queries.length = 0;
+
+      expect(await store._ensureVectorIndex(client, SCHEMAS.taskSolution)).to.be.false;
+      expect(client.queries).to.have.length(1);
+    });
+
+    it('должен менять размерность векторов и помечать их устаревшими', async () => {
+      const client = createPgClient(sql => {
+        if (sql.includes('information_schema.columns')) {
+          return { rows: SCHEMAS.taskSolution.fields.filter(f => f.name !== 'embedding_model').map(f => ({ column_name: f.name })) };
+        }
+        if (sql.includes('format_type')) {
+          return { rows: [{ type: 'vector(1536)' }] };
+        }
+      });
+      const store = createPgStore(client, { embeddingDimension: 384 });
+
+      await store._migrateTable(client, SCHEMAS.taskSolution);
+
+      expect(client.queries.map(query => query.sql)).to.include.members([
+        'ALTER TABLE task_solution ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(255)',
+        'ALTER TABLE task_solution ALTER COLUMN embedding TYPE vector(384) USING NULL',
+        'UPDATE task_solution SET embedding_model = NULL',
+        'COMMIT'
+      ]);
+
+      const strict = createPgStore(client, { embeddingDimension: 384, onDimensionChange: 'error' });
+
+      try {
+        await strict._migrateTable(client, SCHEMAS.taskSolution);
+        expect.fail('_migrateTable должен завершиться ошибкой');
+      } catch (error) {
+        expect(error.message).to.include('stores 1536-dimensional vectors, but embeddingDimension is 384');
+      }
+    });
+  });
+});
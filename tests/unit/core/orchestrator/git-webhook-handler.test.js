@@ -0,0 +1,303 @@
+// tests/unit/core/orchestrator/git-webhook-handler.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const crypto = require('crypto');
+const path = require('path');
+const { GitWebhookHandler, WEBHOOK_ACTIONS } = require('../../../../src/core/orchestrator/git-webhook-handler');
+const { TASK_STATES } = require('../../../../src/core/orchestrator/state-manager');
+const { WebhookVerificationError, ValidationError } = require('../../../../src/utils/errors');
+const logger = require('../../../../src/utils/logger');
+
+const FIXTURES_DIR = path.join(__dirname, '../../../fixtures/webhooks');
+const GITHUB_SECRET = 'github-test-secret';
+const GITLAB_TOKEN = 'gitlab-test-token';
+
+/**
+ * Готовит запрос вебхука из записанной фикстуры, подписывая тело как хостинг.
+ * С form: true тело кодируется как форма GitHub, и разобранный payload не передается.
+ */
+function replay(name, { secret = GITHUB_SECRET, token = GITLAB_TOKEN, form = false } = {}) {
+  const fixture = require(path.join(FIXTURES_DIR, `${name}.json`));
+  const json = JSON.stringify(fixture.payload);
+  const headers = { ...fixture.headers };
+
+  if (form) {
+    const rawBody = Buffer.from(`payload=${encodeURIComponent(json)}`);
+    headers['content-type'] = 'application/x-www-form-urlencoded';
+    headers['x-hub-signature-256'] = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+
+    return { headers, rawBody };
+  }
+
+  const rawBody = Buffer.from(json);
+
+  if (headers['x-github-event']) {
+    headers['x-hub-signature-256'] = `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+  } else {
+    headers['x-gitlab-token'] = token;
+  }
+
+  return { headers, rawBody, payload: JSON.parse(rawBody) };
+}
+
+describe('GitWebhookHandler', () => {
+  let db, taskOrchestrator, handler;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    db = { query: sinon.stub().resolves([{ affectedRows: 1 }]) };
+
+    taskOrchestrator = {
+      stateManager: { getCurrentState: sinon.stub().resolves(TASK_STATES.WAITING_FOR_INPUT) },
+      handlePullRequestEvent: sinon.stub().resolves({ success: true })
+    };
+
+    handler = new GitWebhookHandler({
+      taskOrchestrator,
+      db,
+      secrets: { githubSecret: GITHUB_SECRET, gitlabToken: GITLAB_TOKEN },
+      branchPrefix: 'task/'
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('проверка подлинности', () => {
+    it('должен отклонять вебхук GitHub с неверной подписью', async () => {
+      const request = replay('github/push', { secret: 'wrong-secret' });
+
+      try {
+        await handler.handle(request);
+        expect.fail('Ожидалась ошибка');
+      } catch (error) {
+        expect(error).to.be.instanceOf(WebhookVerificationError);
+        expect(error.provider).to.equal('github');
+      }
+
+      expect(db.query.called).to.be.false;
+      expect(taskOrchestrator.handlePullRequestEvent.called).to.be.false;
+    });
+
+    it('должен отклонять вебхук GitHub, если тело изменено после подписи', async () => {
+      const request = replay('github/push');
+      request.rawBody = Buffer.from(request.rawBody.toString().replace('task/42', 'task/99'));
+
+      try {
+        await handler.handle(request);
+        expect.fail('Ожидалась ошибка');
+      } catch (error) {
+        expect(error).to.be.instanceOf(WebhookVerificationError);
+      }
+    });
+
+    it('должен отклонять вебхук GitLab с неверным токеном и вебхуки без настроенного секрета', async () => {
+      try {
+        await handler.handle(replay('gitlab/push_hook', { token: 'wrong-token' }));
+        expect.fail('Ожидалась ошибка');
+      } catch (error) {
+        expect(error).to.be.instanceOf(WebhookVerificationError);
+        expect(error.provider).to.equal('gitlab');
+      }
+
+      const unconfigured = new GitWebhookHandler({
+        taskOrchestrator,
+        db,
+        secrets: { githubSecret: null, gitlabToken: null }
+      });
+
+      try {
+        await unconfigured.handle(replay('github/push'));
+        expect.fail('Ожидалась ошибка');
+      } catch (error) {
+        expect(error).to.be.instanceOf(WebhookVerificationError);
+        expect(error.message).to.contain('not configured');
+      }
+    });
+
+    it('должен отклонять запрос без заголовков события', async () => {
+      try {
+        await handler.handle({ headers: {}, rawBody: Buffer.from('{}') });
+        expect.fail('Ожидалась ошибка');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+    });
+  });
+
+  describe('события GitHub', () => {
+    it('должен возобновлять шаг PR по push в ветку задачи', async () => {
+      const result = await handler.handle(replay('github/push'));
+
+      expect(result).to.include({
+        status: 'processed',
+        provider: 'github',
+        deliveryId: '7b1e4f50-2f0a-11ef-8c5e-3a1d5b2e9f01',
+        action: WEBHOOK_ACTIONS.RESUME_PR,
+        taskId: '42'
+      });
+      expect(taskOrchestrator.handlePullRequestEvent.calledOnceWith('42', {
+        type: 'pushed',
+        headCommit: '9a8b7c6d5e4f3a2b1c0d9e8f7a6b5c4d3e2f1a0b'
+      })).to.be.true;
+    });
+
+    it('должен запускать интеграцию обратной связи по ревью и комментарию ревью', async () => {
+      await handler.handle(replay('github/pull_request_review_submitted'));
+      await handler.handle(replay('github/pull_request_review_comment_created'));
+
+      const [review, comment] = taskOrchestrator.handlePullRequestEvent.getCalls().map(call => call.args);
+
+      expect(review[0]).to.equal('42');
+      expect(review[1].type).to.equal('review_comments');
+      expect(review[1].comments[0]).to.include({
+        id: 2001553,
+        author: 'maria-sidorova',
+        path: null,
+        state: 'changes_requested'
+      });
+      expect(comment[1]).to.deep.equal({
+        type: 'review_comments',
+        comments: [{
+          id: 1650032,
+          author: 'maria-sidorova',
+          body: 'Здесь нужна проверка на null.',
+          path: 'src/services/order.service.js',
+          line: 58
+        }]
+      });
+    });
+
+    it('должен завершать задачу при слиянии PR', async () => {
+      const result = await handler.handle(replay('github/pull_request_closed_merged'));
+
+      expect(result.action).to.equal(WEBHOOK_ACTIONS.COMPLETE);
+      expect(taskOrchestrator.handlePullRequestEvent.calledOnceWith('42', { type: 'merged' })).to.be.true;
+    });
+
+    it('должен принимать вебхук GitHub, закодированный как форма', async () => {
+      const result = await handler.handle(replay('github/push', { form: true }));
+
+      expect(result).to.include({ status: 'processed', action: WEBHOOK_ACTIONS.RESUME_PR, taskId: '42' });
+      expect(taskOrchestrator.handlePullRequestEvent.calledOnceWith('42', {
+        type: 'pushed',
+        headCommit: '9a8b7c6d5e4f3a2b1c0d9e8f7a6b5c4d3e2f1a0b'
+      })).to.be.true;
+    });
+
+    it('должен отклонять форму без поля payload', async () => {
+      const request = replay('github/push', { form: true });
+      request.rawBody = Buffer.from('event=push');
+      request.headers['x-hub-signature-256'] =
+        `sha256=${crypto.createHmac('sha256', GITHUB_SECRET).update(request.rawBody).digest('hex')}`;
+
+      try {
+        await handler.handle(request);
+        expect.fail('Ожидалась ошибка');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(error.message).to.include('"payload"');
+      }
+
+      expect(taskOrchestrator.handlePullRequestEvent.called).to.be.false;
+    });
+
+    it('должен пропускать закрытие PR без слияния и ветки, не принадлежащие задачам', async () => {
+      const closed = replay('github/pull_request_closed_merged');
+      closed.payload.pull_request.merged = false;
+
+      const foreign = replay('github/push');
+      foreign.payload.ref = 'refs/heads/feature/login';
+
+      expect((await handler.handle(closed)).status).to.equal('ignored');
+      expect((await handler.handle(foreign)).status).to.equal('ignored');
+      expect(taskOrchestrator.handlePullRequestEvent.called).to.be.false;
+      expect(db.query.lastCall.args[1][0]).to.equal('ignored');
+    });
+  });
+
+  describe('события GitLab', () => {
+    it('должен переводить Push Hook, Note Hook и слияние MR в действия оркестратора', async () => {
+      await handler.handle(replay('gitlab/push_hook'));
+      await handler.handle(replay('gitlab/note_merge_request'));
+      await handler.handle(replay('gitlab/merge_request_merge'));
+
+      const calls = taskOrchestrator.handlePullRequestEvent.getCalls().map(call => call.args);
+
+      expect(calls[0]).to.deep.equal(['43', { type: 'pushed', headCommit: '4e5f6a7b8c9d0e1f2a3b4c5d6e7f8a9b0c1d2e3f' }]);
+      expect(calls[1]).to.deep.equal(['43', {
+        type: 'review_comments',
+        comments: [{
+          id: 774102,
+          author: 'maria.sidorova',
+          body: 'Переименуй метод в calculateInvoiceTotal.',
+          path: 'src/services/invoice.service.js',
+          line: 24
+        }]
+      }]);
+      expect(calls[2]).to.deep.equal(['43', { type: 'merged' }]);
+    });
+
+    it('должен пропускать системные заметки', async () => {
+      const request = replay('gitlab/note_merge_request');
+      request.payload.object_attributes.system = true;
+
+      const result = await handler.handle(request);
+
+      expect(result.status).to.equal('ignored');
+      expect(taskOrchestrator.handlePullRequestEvent.called).to.be.false;
+    });
+  });
+
+  describe('учет доставок', () => {
+    it('должен пропускать повторную доставку', async () => {
+      db.query.onCall(0).resolves([{ affectedRows: 0 }]);
+      db.query.onCall(1).resolves([{ affectedRows: 0 }]);
+
+      const result = await handler.handle(replay('github/push'));
+
+      expect(result.status).to.equal('duplicate');
+      expect(db.query.firstCall.args[1]).to.deep.equal([
+        'github', '7b1e4f50-2f0a-11ef-8c5e-3a1d5b2e9f01', 'push', WEBHOOK_ACTIONS.RESUME_PR, '42'
+      ]);
+      expect(taskOrchestrator.handlePullRequestEvent.called).to.be.false;
+    });
+
+    it('должен повторно обрабатывать доставку, завершившуюся ошибкой', async () => {
+      db.query.onCall(0).resolves([{ affectedRows: 0 }]);
+      db.query.onCall(1).resolves([{ affectedRows: 1 }]);
+
+      const result = await handler.handle(replay('github/pull_request_closed_merged'));
+
+      expect(result.status).to.equal('processed');
+      expect(taskOrchestrator.handlePullRequestEvent.calledOnce).to.be.true;
+    });
+
+    it('должен сохранять ошибку обработки доставки', async () => {
+      taskOrchestrator.handlePullRequestEvent.rejects(new Error('Queue unavailable'));
+
+      try {
+        await handler.handle(replay('github/push'));
+        expect.fail('Ожидалась ошибка');
+      } catch (error) {
+        expect(error.message).to.equal('Queue unavailable');
+      }
+
+      expect(db.query.lastCall.args[1].slice(0, 2)).to.deep.equal(['failed', 'Queue unavailable']);
+    });
+
+    it('должен пропускать события завершенных задач', async () => {
+      taskOrchestrator.stateManager.getCurrentState.resolves(TASK_STATES.COMPLETED);
+
+      const result = await handler.handle(replay('gitlab/merge_request_merge'));
+
+      expect(result.status).to.equal('ignored');
+      expect(taskOrchestrator.handlePullRequestEvent.called).to.be.false;
+    });
+  });
+});
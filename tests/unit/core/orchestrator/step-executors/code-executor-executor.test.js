@@ -0,0 +1,122 @@
+// tests/unit/core/orchestrator/step-executors/code-executor-executor.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const logger = require('../../../../../src/utils/logger');
+const CodeExecutorExecutor = require('../../../../../src/core/orchestrator/step-executors/code-executor-executor');
+const sandboxRunner = require('../../../../../src/core/code-testing/sandbox-runner');
+const FileBasedCodeGenerator = require('../../../../../src/core/code-generator/file-based-generator');
+
+const JEST_OUTPUT = [
+  'PASS tests/routes.test.js',
+  'FAIL tests/invoices.test.js',
+  '  ● toCsv › экранирует запятые',
+  '',
+  '    expect(received).toBe(expected)',
+  '',
+  'Tests:       1 failed, 2 passed, 3 total'
+].join('\n');
+
+const COVERAGE = {
+  lines: { total: 10, covered: 8, percentage: 80 },
+  statements: { total: 10, covered: 8, percentage: 80 },
+  functions: { total: 2, covered: 2, percentage: 100 },
+  branches: { total: 4, covered: 2, percentage: 50 }
+};
+
+describe('CodeExecutorExecutor', () => {
+  let contextManager, executor, input;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    sinon.stub(sandboxRunner, 'safelyExecuteTests');
+    sinon.stub(FileBasedCodeGenerator.prototype, 'getProjectInfo').resolves({ repository_path: '/repos/billing' });
+
+    contextManager = { updateContext: sinon.stub().resolves() };
+    executor = new CodeExecutorExecutor({ contextManager });
+
+    input = {
+      taskId: '1',
+      projectId: '7',
+      testGenerator: {
+        framework: 'jest',
+        tests: [{ path: 'tests/invoices.test.js' }, { path: 'tests/routes.test.js' }]
+      }
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('должен запускать тесты в песочнице и разбирать результаты Jest с покрытием', async () => {
+    sandboxRunner.safelyExecuteTests.resolves({
+      success: false,
+      exitCode: 1,
+      command: 'npx jest',
+      stdout: JEST_OUTPUT,
+      stderr: '',
+      coverage: COVERAGE
+    });
+
+    const result = await executor.execute('1', input, {});
+
+    expect(result.success).to.be.true;
+    expect(result.testsPassed).to.be.false;
+    expect(executor.validateOutput(result).valid).to.be.true;
+
+    const [testConfig] = sandboxRunner.safelyExecuteTests.firstCall.args;
+    expect(testConfig).to.include({ projectPath: '/repos/billing', testFramework: 'jest', collectCoverage: true });
+    expect(testConfig.testFiles).to.deep.equal(['tests/invoices.test.js', 'tests/routes.test.js']);
+
+    expect(result.testResults).to.deep.include({ total: 3, passed: 2, failed: 1 });
+    expect(result.testResults.files).to.deep.equal([
+      { path: 'tests/routes.test.js', passed: true, failures: [] },
+      {
+        path: 'tests/invoices.test.js',
+        passed: false,
+        failures: [{ name: 'toCsv › экранирует запятые', message: 'expect(received).toBe(expected)' }]
+      }
+    ]);
+    expect(result.coverage).to.equal(COVERAGE);
+    expect(result.summary).to.include({ framework: 'jest', total: 3, passed: 2, failed: 1, lineCoverage: 80 });
+    expect(contextManager.updateContext.calledOnceWith('1', 'data.testRun', { testsPassed: false, total: 3, failed: 1 })).to.be.true;
+  });
+
+  it('должен считать запуск упавшим, если вывод не удалось разобрать', async () => {
+    sandboxRunner.safelyExecuteTests.resolves({ success: false, stdout: '', stderr: '', error: 'Cannot find module jest' });
+
+    const result = await executor.execute('1', input, {});
+
+    expect(result.success).to.be.true;
+    expect(result.coverage).to.be.null;
+    expect(result.summary.lineCoverage).to.be.null;
+    expect(result.testResults).to.deep.equal({
+      total: 1,
+      passed: 0,
+      failed: 1,
+      files: [{ path: 'unknown', passed: false, failures: [{ name: 'Test run', message: 'Cannot find module jest' }] }]
+    });
+  });
+
+  it('должен завершаться ошибкой, если у проекта нет локального репозитория', async () => {
+    FileBasedCodeGenerator.prototype.getProjectInfo.resolves({ repository_path: null });
+
+    const result = await executor.execute('1', input, {});
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal('Project 7 has no local repository to run tests in');
+    expect(sandboxRunner.safelyExecuteTests.called).to.be.false;
+  });
+
+  it('должен завершаться ошибкой без сгенерированных тестов', async () => {
+    const result = await executor.execute('1', { taskId: '1', projectId: '7' }, { data: {} });
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal('No generated tests to run');
+  });
+});
@@ -0,0 +1,137 @@
+// tests/unit/core/orchestrator/step-executors/code-generator-executor.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const logger = require('../../../../../src/utils/logger');
+const CodeGeneratorExecutor = require('../../../../../src/core/orchestrator/step-executors/code-generator-executor');
+const CodeGenerator = require('../../../../../src/core/code-generator/index');
+const FileBasedCodeGenerator = require('../../../../../src/core/code-generator/file-based-generator');
+
+describe('CodeGeneratorExecutor', () => {
+  let contextManager, notificationManager, executor, input;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    sinon.stub(FileBasedCodeGenerator.prototype, 'generateFile');
+    sinon.stub(FileBasedCodeGenerator.prototype, 'modifyFile');
+    sinon.stub(CodeGenerator.prototype, 'generateCode');
+    sinon.stub(CodeGenerator.prototype, 'getGeneratedCode');
+
+    contextManager = { updateContext: sinon.stub().resolves() };
+    notificationManager = { sendProgress: sinon.stub().resolves() };
+    executor = new CodeGeneratorExecutor({ contextManager, notificationManager });
+
+    input = {
+      taskId: '1',
+      projectId: '7',
+      taskPlanner: {
+        plan: {
+          tasks: [
+            { title: 'Сервис счетов', description: 'Экспорт в CSV', files: ['src/invoices.js'] },
+            { title: 'Маршрут', description: 'GET /invoices/export', filePath: 'src/routes.js' }
+          ]
+        }
+      },
+      projectUnderstanding: {
+        relevantFiles: [{ path: 'src/routes.js', content: 'module.exports = [];' }]
+      },
+      technologySuggester: {
+        recommendations: { frameworks: [{ name: 'express', version: '4' }] }
+      }
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('должен создавать новые и изменять существующие файлы из плана', async () => {
+    FileBasedCodeGenerator.prototype.generateFile.resolves({
+      filePath: 'src/invoices.js', content: 'exports.toCsv = () => \'\';', language: 'javascript', generationId: 21
+    });
+    FileBasedCodeGenerator.prototype.modifyFile.resolves({
+      filePath: 'src/routes.js', content: 'module.exports = [\'/invoices/export\'];', language: 'javascript', generationId: 22
+    });
+
+    const result = await executor.execute('1', input, {});
+
+    expect(result.success).to.be.true;
+    expect(result.warnings).to.deep.equal([]);
+    expect(executor.validateOutput(result).valid).to.be.true;
+    expect(result.generatedFiles).to.deep.equal([
+      { path: 'src/invoices.js', content: 'exports.toCsv = () => \'\';', language: 'javascript', isNew: true, isModified: false, generationId: 21 },
+      { path: 'src/routes.js', content: 'module.exports = [\'/invoices/export\'];', language: 'javascript', isNew: false, isModified: true, generationId: 22 }
+    ]);
+    expect(result.summary).to.deep.equal({ totalFiles: 2, newFiles: 1, modifiedFiles: 1, plannedFiles: 2 });
+
+    const [, , filePath, description] = FileBasedCodeGenerator.prototype.generateFile.firstCall.args;
+    expect(filePath).to.equal('src/invoices.js');
+    expect(description).to.include('Technologies: express@4');
+    expect(FileBasedCodeGenerator.prototype.modifyFile.firstCall.args[4]).to.equal('module.exports = [];');
+
+    expect(contextManager.updateContext.calledOnceWith('1', 'data.generatedFiles', result.generatedFiles)).to.be.true;
+  });
+
+  it('должен предупреждать о файлах плана, для которых не удалось получить код', async () => {
+    FileBasedCodeGenerator.prototype.generateFile.resolves({ filePath: 'src/invoices.js', content: 'exports.a = 1;' });
+    FileBasedCodeGenerator.prototype.modifyFile.resolves({ filePath: 'src/routes.js', content: '' });
+
+    const result = await executor.execute('1', input, {});
+
+    expect(result.success).to.be.true;
+    expect(result.generatedFiles.map(file => file.path)).to.deep.equal(['src/invoices.js']);
+    expect(result.warnings).to.deep.equal(['Failed to generate 1 of 2 planned files']);
+  });
+
+  it('должен генерировать код по задаче целиком, если в плане нет файлов', async () => {
+    sinon.stub(CodeGenerator.prototype, 'inferFilePath').returns(null);
+    CodeGenerator.prototype.generateCode.resolves({ generations: [{ generationId: 31 }, { generationId: 32 }] });
+    CodeGenerator.prototype.getGeneratedCode
+      .withArgs(31).resolves({ filePath: 'src/a.js', content: 'a();', generationId: 31 })
+      .withArgs(32).resolves(null);
+
+    input.taskPlanner.plan.tasks = [{ title: 'Уточнить требования', description: '' }];
+
+    const result = await executor.execute('1', input, {});
+
+    expect(CodeGenerator.prototype.generateCode.calledOnceWith('1')).to.be.true;
+    expect(result.success).to.be.true;
+    expect(result.generatedFiles).to.have.lengthOf(1);
+    expect(result.generatedFiles[0]).to.include({ path: 'src/a.js', isNew: true, isModified: false });
+    expect(result.summary.plannedFiles).to.equal(0);
+  });
+
+  it('должен завершаться ошибкой, если генерация не дала ни одного файла', async () => {
+    FileBasedCodeGenerator.prototype.generateFile.resolves(null);
+    FileBasedCodeGenerator.prototype.modifyFile.resolves(null);
+
+    const result = await executor.execute('1', input, {});
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal('Code generation produced no files');
+    expect(contextManager.updateContext.called).to.be.false;
+  });
+
+  it('должен возвращать ошибку генератора как результат шага', async () => {
+    FileBasedCodeGenerator.prototype.generateFile.rejects(new Error('LLM unavailable'));
+
+    const result = await executor.execute('1', input, {});
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal('LLM unavailable');
+  });
+
+  it('должен требовать ID проекта', async () => {
+    delete input.projectId;
+
+    const result = await executor.execute('1', input, {});
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal('Project ID is not specified');
+    expect(FileBasedCodeGenerator.prototype.generateFile.called).to.be.false;
+  });
+});
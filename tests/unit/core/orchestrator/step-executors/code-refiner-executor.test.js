@@ -0,0 +1,120 @@
+// tests/unit/core/orchestrator/step-executors/code-refiner-executor.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const logger = require('../../../../../src/utils/logger');
+const CodeRefinerExecutor = require('../../../../../src/core/orchestrator/step-executors/code-refiner-executor');
+const FileBasedCodeGenerator = require('../../../../../src/core/code-generator/file-based-generator');
+const CodeValidator = require('../../../../../src/core/code-generator/code-validator');
+
+describe('CodeRefinerExecutor', () => {
+  let contextManager, executor, files;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    sinon.stub(FileBasedCodeGenerator.prototype, 'modifyFile');
+    sinon.stub(CodeValidator.prototype, 'validate');
+
+    contextManager = { updateContext: sinon.stub().resolves() };
+    executor = new CodeRefinerExecutor({ contextManager });
+
+    files = [
+      { path: 'src/a.js', content: 'const a = ;', language: 'javascript', isNew: true, isModified: false },
+      { path: 'src/b.js', content: 'const b = 1;', language: 'javascript', isNew: true, isModified: false }
+    ];
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('должен дорабатывать файлы, не прошедшие валидацию, и обновлять их в контексте', async () => {
+    CodeValidator.prototype.validate
+      .withArgs('const a = ;').resolves({ isValid: false, error: 'Unexpected token ;' })
+      .withArgs('const a = 1;').resolves({ isValid: true })
+      .withArgs('const b = 1;').resolves({ isValid: true });
+    FileBasedCodeGenerator.prototype.modifyFile.resolves({ content: 'const a = 1;', generationId: 41 });
+
+    const result = await executor.execute('1', { taskId: '1', projectId: '7' }, { data: { generatedFiles: files } });
+
+    expect(result.success).to.be.true;
+    expect(result.warnings).to.deep.equal([]);
+    expect(executor.validateOutput(result).valid).to.be.true;
+    expect(result.generatedFiles[0]).to.include({ path: 'src/a.js', content: 'const a = 1;', generationId: 41 });
+    expect(result.generatedFiles[1]).to.deep.equal(files[1]);
+    expect(result.refinements).to.deep.equal([
+      { path: 'src/a.js', iterations: 1, refined: true, valid: true, issues: ['Unexpected token ;'] },
+      { path: 'src/b.js', iterations: 0, refined: false, valid: true, issues: [] }
+    ]);
+    expect(result.summary).to.deep.equal({ totalFiles: 2, refinedFiles: 1, invalidFiles: 0 });
+
+    const [, , filePath, modification, content] = FileBasedCodeGenerator.prototype.modifyFile.firstCall.args;
+    expect(filePath).to.equal('src/a.js');
+    expect(modification).to.include('Unexpected token ;');
+    expect(content).to.equal('const a = ;');
+
+    expect(contextManager.updateContext.calledOnceWith('1', 'data.generatedFiles', result.generatedFiles)).to.be.true;
+  });
+
+  it('должен останавливаться после лимита итераций и предупреждать о невалидном файле', async () => {
+    CodeValidator.prototype.validate.resolves({ isValid: false, error: 'Unexpected token' });
+    FileBasedCodeGenerator.prototype.modifyFile.resolves({ content: 'const a = ;;', generationId: 42 });
+
+    const result = await executor.execute('1', { taskId: '1', projectId: '7' }, {
+      data: { generatedFiles: [files[0]], codeRefinement: { maxIterations: 2 } }
+    });
+
+    expect(FileBasedCodeGenerator.prototype.modifyFile.callCount).to.equal(2);
+    expect(result.success).to.be.true;
+    expect(result.refinements[0]).to.include({ iterations: 2, valid: false });
+    expect(result.summary.invalidFiles).to.equal(1);
+    expect(result.warnings).to.deep.equal(['File src/a.js still fails validation after 2 iterations']);
+  });
+
+  it('должен прекращать доработку файла, если LLM не вернул код', async () => {
+    CodeValidator.prototype.validate.resolves({ isValid: false, error: 'Unexpected token' });
+    FileBasedCodeGenerator.prototype.modifyFile.resolves(null);
+
+    const result = await executor.execute('1', { taskId: '1', projectId: '7' }, { data: { generatedFiles: [files[0]] } });
+
+    expect(FileBasedCodeGenerator.prototype.modifyFile.calledOnce).to.be.true;
+    expect(result.generatedFiles[0]).to.deep.equal(files[0]);
+    expect(result.refinements[0]).to.include({ iterations: 1, refined: false, valid: false });
+  });
+
+  it('должен брать файлы из результата генерации, если в контексте их нет', async () => {
+    CodeValidator.prototype.validate.resolves({ isValid: true });
+
+    const result = await executor.execute('1', {
+      taskId: '1',
+      projectId: '7',
+      codeGenerator: { generatedFiles: [files[1]] }
+    }, {});
+
+    expect(result.success).to.be.true;
+    expect(result.generatedFiles).to.deep.equal([files[1]]);
+  });
+
+  it('должен завершаться ошибкой без сгенерированных файлов', async () => {
+    const result = await executor.execute('1', { taskId: '1', projectId: '7' }, { data: {} });
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal('No generated files to refine');
+    expect(CodeValidator.prototype.validate.called).to.be.false;
+  });
+
+  it('должен возвращать ошибку доработки как результат шага', async () => {
+    CodeValidator.prototype.validate.resolves({ isValid: false, error: 'Unexpected token' });
+    FileBasedCodeGenerator.prototype.modifyFile.rejects(new Error('LLM unavailable'));
+
+    const result = await executor.execute('1', { taskId: '1', projectId: '7' }, { data: { generatedFiles: files } });
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal('LLM unavailable');
+    expect(contextManager.updateContext.called).to.be.false;
+  });
+});
@@ -0,0 +1,144 @@
+// tests/unit/core/orchestrator/step-executors/documentation-updater-executor.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const logger = require('../../../../../src/utils/logger');
+const DocumentationUpdaterExecutor = require('../../../../../src/core/orchestrator/step-executors/documentation-updater-executor');
+const { DocumentationManager } = require('../../../../../src/core/documentation-updater');
+const FileBasedCodeGenerator = require('../../../../../src/core/code-generator/file-based-generator');
+const { LLMClient } = require('../../../../../src/utils/llm-client');
+const promptManager = require('../../../../../src/utils/prompt-manager');
+
+const REPO_PATH = path.join(path.sep, 'repos', 'billing');
+
+describe('DocumentationUpdaterExecutor', () => {
+  let contextManager, executor, context;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    sinon.stub(FileBasedCodeGenerator.prototype, 'getProjectInfo').resolves({ repository_path: REPO_PATH });
+    sinon.stub(DocumentationManager.prototype, 'updateDocumentation');
+
+    contextManager = { updateContext: sinon.stub().resolves() };
+    executor = new DocumentationUpdaterExecutor({ contextManager });
+
+    context = {
+      data: {
+        generatedFiles: [{ path: 'src/invoices.js' }, { path: 'src/export.ts' }, { path: 'tests/invoices.test.js' }],
+        generatedTests: [{ path: 'tests/invoices.test.js' }]
+      }
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('должен документировать исходные файлы задачи и сохранять пути документации в контексте', async () => {
+    DocumentationManager.prototype.updateDocumentation.resolves({
+      status: 'success',
+      docs: { 'src/invoices.js': '# invoices', 'src/export.ts': '# export' },
+      savedFiles: [path.join(REPO_PATH, 'docs/generated/invoices.md'), path.join(REPO_PATH, 'docs/generated/export.md')],
+      errors: []
+    });
+
+    const result = await executor.execute('1', { taskId: '1', projectId: '7' }, context);
+
+    expect(result.success).to.be.true;
+    expect(result.warnings).to.deep.equal([]);
+    expect(executor.validateOutput(result).valid).to.be.true;
+
+    const [ref, options] = DocumentationManager.prototype.updateDocumentation.firstCall.args;
+    expect(ref).to.equal('HEAD');
+    expect(options).to.deep.equal({
+      files: ['src/invoices.js', 'src/export.ts'],
+      include: ['.js', '.ts'],
+      outputDir: 'docs/generated',
+      format: 'markdown'
+    });
+
+    expect(result.documentedFiles).to.deep.equal(['src/invoices.js', 'src/export.ts']);
+    expect(result.savedFiles).to.deep.equal(['docs/generated/invoices.md', 'docs/generated/export.md']);
+    expect(contextManager.updateContext.calledOnceWith('1', 'data.documentationFiles', result.savedFiles)).to.be.true;
+  });
+
+  it('должен предупреждать о файлах, для которых документация не сгенерирована', async () => {
+    DocumentationManager.prototype.updateDocumentation.resolves({
+      status: 'success',
+      docs: { 'src/invoices.js': '# invoices' },
+      savedFiles: [],
+      errors: [{ file: 'src/export.ts', error: 'Parse error' }]
+    });
+
+    const result = await executor.execute('1', { taskId: '1', projectId: '7' }, context);
+
+    expect(result.success).to.be.true;
+    expect(result.failedFiles).to.deep.equal([{ file: 'src/export.ts', error: 'Parse error' }]);
+    expect(result.warnings).to.deep.equal(['Documentation for src/export.ts was not generated: Parse error']);
+  });
+
+  it('должен пропускать шаг, если документировать нечего', async () => {
+    context.data.generatedFiles = [{ path: 'tests/invoices.test.js' }];
+
+    const result = await executor.execute('1', { taskId: '1', projectId: '7' }, context);
+
+    expect(result.success).to.be.true;
+    expect(result.warnings).to.deep.equal(['No source files to document']);
+    expect(DocumentationManager.prototype.updateDocumentation.called).to.be.false;
+  });
+
+  describe('с генератором документации', () => {
+    let repoPath;
+
+    beforeEach(() => {
+      repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'documentation-updater-test-'));
+      fs.mkdirSync(path.join(repoPath, 'src'));
+      fs.writeFileSync(path.join(repoPath, 'src', 'invoices.js'), 'exports.toCsv = () => \'\';\n');
+
+      DocumentationManager.prototype.updateDocumentation.restore();
+      FileBasedCodeGenerator.prototype.getProjectInfo.resolves({ repository_path: repoPath });
+      sinon.stub(promptManager, 'getPrompt').resolves('Опиши модуль');
+      sinon.stub(LLMClient.prototype, 'sendPrompt').resolves('# invoices\n\nЭкспорт счетов в CSV.');
+
+      context.data.generatedFiles = [{ path: 'src/invoices.js' }];
+    });
+
+    afterEach(() => {
+      fs.rmSync(repoPath, { recursive: true, force: true });
+    });
+
+    it('должен генерировать документацию через LLM-клиент и сохранять ее в репозиторий', async () => {
+      const result = await executor.execute('1', { taskId: '1', projectId: '7' }, context);
+
+      expect(result.success).to.be.true;
+      expect(result.warnings).to.deep.equal([]);
+
+      expect(promptManager.getPrompt.calledWith('generate-file-documentation', sinon.match({
+        code: 'exports.toCsv = () => \'\';\n',
+        filePath: 'src/invoices.js'
+      }))).to.be.true;
+      expect(LLMClient.prototype.sendPrompt.calledOnceWith('Опиши модуль')).to.be.true;
+
+      expect(result.savedFiles).to.deep.equal([path.join('docs', 'generated', 'src', 'invoices.md')]);
+      expect(fs.readFileSync(path.join(repoPath, result.savedFiles[0]), 'utf-8'))
+        .to.equal('# invoices\n\nЭкспорт счетов в CSV.');
+    });
+  });
+
+  it('должен завершаться ошибкой, если обновление документации не удалось', async () => {
+    DocumentationManager.prototype.updateDocumentation.resolves({ status: 'error', error: 'git diff failed' });
+
+    const result = await executor.execute('1', { taskId: '1', projectId: '7' }, context);
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal('git diff failed');
+    expect(contextManager.updateContext.called).to.be.false;
+  });
+});
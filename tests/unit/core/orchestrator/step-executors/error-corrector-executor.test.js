@@ -0,0 +1,211 @@
+// tests/unit/core/orchestrator/step-executors/error-corrector-executor.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const logger = require('../../../../../src/utils/logger');
+const ErrorCorrectorExecutor = require('../../../../../src/core/orchestrator/step-executors/error-corrector-executor');
+const { TASK_STATES } = require('../../../../../src/core/orchestrator/state-manager');
+const errorCorrector = require('../../../../../src/core/error-corrector');
+const FileBasedCodeGenerator = require('../../../../../src/core/code-generator/file-based-generator');
+const { LLMClient } = require('../../../../../src/utils/llm-client');
+const promptManager = require('../../../../../src/utils/prompt-manager');
+
+const FIXED_CODE = 'exports.toCsv = rows => rows.map(row => `"${row}"`).join(\'\\n\');';
+
+describe('ErrorCorrectorExecutor', () => {
+  let contextManager, executor, files, input;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    sinon.stub(FileBasedCodeGenerator.prototype, 'storeFile').resolves({ generationId: 52 });
+
+    contextManager = {
+      updateContext: sinon.stub().resolves(),
+      addHistoryEntry: sinon.stub().resolves()
+    };
+    executor = new ErrorCorrectorExecutor({ contextManager });
+
+    files = [
+      { path: 'src/invoices.js', content: 'exports.toCsv = rows => rows.join(\'\\n\');', generationId: 41 },
+      { path: 'src/routes.js', content: 'module.exports = [];', generationId: 42 }
+    ];
+
+    input = {
+      taskId: '1',
+      projectId: '7',
+      selfReflection: {
+        issues: [
+          { path: 'src/invoices.js', severity: 'medium', message: 'Нет проверки входных данных', location: 'unknown' },
+          { path: 'src/invoices.js', severity: 'critical', message: 'Значения не экранируются', location: { line: 1 } },
+          { path: 'src/routes.js', severity: 'low', message: 'Нет JSDoc', location: 'unknown' }
+        ]
+      }
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('с заглушкой системы исправления ошибок', () => {
+    beforeEach(() => {
+      sinon.stub(errorCorrector, 'analyzeError').resolves({
+        errorInfo: { type: 'csv_escaping' },
+        fix: { success: true, fixedCode: FIXED_CODE }
+      });
+      sinon.stub(errorCorrector, 'applyFix').resolves({
+        success: true,
+        fixedCode: FIXED_CODE,
+        changes: ['escape values'],
+        message: 'Исправление успешно применено'
+      });
+      sinon.stub(errorCorrector, 'suggestAutoFix');
+    });
+
+    it('должен исправлять проблемы ревью, сохранять файл и фиксировать итерацию', async () => {
+      const result = await executor.execute('1', input, {
+        data: { generatedFiles: files, reviewLoop: { iteration: 2 } }
+      });
+
+      expect(result.success).to.be.true;
+      expect(result.warnings).to.deep.equal([]);
+      expect(executor.validateOutput(result).valid).to.be.true;
+
+      // Проблемы низкой серьезности не исправляются, самые серьезные передаются первыми
+      expect(errorCorrector.analyzeError.calledOnce).to.be.true;
+      expect(errorCorrector.analyzeError.firstCall.args).to.deep.equal([
+        '[critical] Значения не экранируются ({"line":1})\n[medium] Нет проверки входных данных',
+        files[0].content,
+        { language: undefined, useLLM: true }
+      ]);
+
+      expect(FileBasedCodeGenerator.prototype.storeFile.calledOnceWith('1', 'src/invoices.js', FIXED_CODE)).to.be.true;
+      expect(result.generatedFiles).to.deep.equal([
+        { path: 'src/invoices.js', content: FIXED_CODE, generationId: 52 },
+        files[1]
+      ]);
+      expect(result.corrections).to.deep.equal([{
+        path: 'src/invoices.js',
+        applied: true,
+        issues: 2,
+        changedLines: 1,
+        errorType: 'csv_escaping',
+        message: 'Исправление успешно применено'
+      }]);
+      expect(result).to.include({ needsReview: true, significantChanges: false });
+      expect(result.summary).to.deep.equal({ iteration: 2, filesWithIssues: 1, filesFixed: 1, changedLines: 1 });
+
+      expect(contextManager.updateContext.calledOnceWith('1', 'data.generatedFiles', result.generatedFiles)).to.be.true;
+      expect(contextManager.addHistoryEntry.calledOnceWith(
+        '1',
+        TASK_STATES.ERROR_CORRECTION,
+        'Error correction iteration 2: 1 of 1 files fixed',
+        { step: 'errorCorrector', source: 'selfReflection', iteration: 2, corrections: 1, applied: 1, changedLines: 1 }
+      )).to.be.true;
+    });
+
+    it('должен запрашивать новое исправление, если первое не применилось', async () => {
+      const retryFix = { success: true, fixedCode: FIXED_CODE };
+      errorCorrector.suggestAutoFix.resolves(retryFix);
+      errorCorrector.applyFix
+        .onFirstCall().resolves({ success: false, message: 'Исправленный код идентичен оригиналу' })
+        .onSecondCall().resolves({ success: false, message: 'Неподдерживаемый формат исправления' });
+
+      const result = await executor.execute('1', input, { data: { generatedFiles: files } });
+
+      expect(errorCorrector.suggestAutoFix.calledOnceWith({ type: 'csv_escaping' }, files[0].content)).to.be.true;
+      expect(errorCorrector.applyFix.secondCall.args[1]).to.equal(retryFix);
+
+      expect(FileBasedCodeGenerator.prototype.storeFile.called).to.be.false;
+      expect(result.generatedFiles).to.deep.equal(files);
+      expect(result.needsReview).to.be.false;
+      expect(result.warnings).to.deep.equal(['Could not fix issues in src/invoices.js: Неподдерживаемый формат исправления']);
+    });
+
+    it('должен исправлять падения тестов и снимать флаг ожидающих падений', async () => {
+      input.testAnalyzer = {
+        failures: [
+          { testPath: 'tests/invoices.test.js', sourcePath: 'src/invoices.js', severity: 'unknown', message: 'expected "a,b"' },
+          { testPath: 'tests/setup.test.js', message: 'timeout' }
+        ]
+      };
+
+      const result = await executor.execute('1', input, {
+        data: { generatedFiles: files, testLoop: { pendingFailures: true } }
+      });
+
+      expect(errorCorrector.analyzeError.firstCall.args[0])
+        .to.equal('[high] Failing test tests/invoices.test.js: expected "a,b"');
+      expect(contextManager.updateContext.calledWith('1', 'data.testLoop.pendingFailures', false)).to.be.true;
+      expect(contextManager.updateContext.calledWith('1', 'data.feedback.pendingChanges')).to.be.false;
+      expect(contextManager.addHistoryEntry.firstCall.args[3].source).to.equal('testAnalyzer');
+      expect(result.summary.filesFixed).to.equal(1);
+    });
+
+    it('должен исправлять замечания ревьюеров PR в первую очередь независимо от серьезности', async () => {
+      input.testAnalyzer = { failures: [{ testPath: 'tests/invoices.test.js', sourcePath: 'src/invoices.js', message: 'fail' }] };
+      input.feedbackIntegrator = {
+        changes: [
+          { type: 'review-comment', severity: 'low', message: 'Переименуйте маршрут', path: 'src/routes.js' },
+          { type: 'review-comment', severity: 'medium', message: 'Добавьте описание в PR' }
+        ]
+      };
+
+      const result = await executor.execute('1', input, {
+        data: { generatedFiles: files, testLoop: { pendingFailures: true }, feedback: { pendingChanges: true } }
+      });
+
+      expect(errorCorrector.analyzeError.calledOnce).to.be.true;
+      expect(errorCorrector.analyzeError.firstCall.args.slice(0, 2))
+        .to.deep.equal(['[low] Переименуйте маршрут', 'module.exports = [];']);
+      expect(contextManager.updateContext.calledWith('1', 'data.feedback.pendingChanges', false)).to.be.true;
+      expect(contextManager.updateContext.calledWith('1', 'data.testLoop.pendingFailures')).to.be.false;
+      expect(contextManager.addHistoryEntry.firstCall.args[3].source).to.equal('feedbackIntegrator');
+      expect(result.corrections.map(correction => correction.path)).to.deep.equal(['src/routes.js']);
+    });
+
+    it('должен завершаться ошибкой без сгенерированных файлов', async () => {
+      const result = await executor.execute('1', input, {});
+
+      expect(result.success).to.be.false;
+      expect(result.error).to.equal('No generated files to correct');
+      expect(errorCorrector.analyzeError.called).to.be.false;
+    });
+  });
+
+  it('должен классифицировать ошибку и предлагать исправление через LLM-клиент', async () => {
+    sinon.stub(promptManager, 'getPrompt').callsFake(async name => name);
+    const sendPrompt = sinon.stub(LLMClient.prototype, 'sendPrompt');
+    sendPrompt.withArgs('error-classification').resolves(JSON.stringify({
+      type: 'csv_escaping',
+      severity: 'critical',
+      description: 'Значения CSV не экранируются',
+      confidence: 0.9
+    }));
+    sendPrompt.withArgs('error-fix').resolves(JSON.stringify({
+      fixedCode: FIXED_CODE,
+      description: 'Значения оборачиваются в кавычки',
+      changes: ['escape values']
+    }));
+
+    const result = await executor.execute('1', input, { data: { generatedFiles: files } });
+
+    expect(result.success).to.be.true;
+    expect(sendPrompt.calledWith('error-classification')).to.be.true;
+    expect(sendPrompt.calledWith('error-fix')).to.be.true;
+
+    expect(FileBasedCodeGenerator.prototype.storeFile.calledOnceWith('1', 'src/invoices.js', FIXED_CODE)).to.be.true;
+    expect(result.corrections).to.deep.equal([{
+      path: 'src/invoices.js',
+      applied: true,
+      issues: 2,
+      changedLines: 1,
+      errorType: 'csv_escaping',
+      message: 'Значения оборачиваются в кавычки'
+    }]);
+  });
+});
@@ -0,0 +1,185 @@
+// tests/unit/core/orchestrator/step-executors/feedback-integrator-executor.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const logger = require('../../../../../src/utils/logger');
+const FeedbackIntegratorExecutor = require('../../../../../src/core/orchestrator/step-executors/feedback-integrator-executor');
+const { TASK_STATES } = require('../../../../../src/core/orchestrator/state-manager');
+const feedbackSystem = require('../../../../../src/core/feedback-system');
+const { LLMClient } = require('../../../../../src/utils/llm-client');
+const promptManager = require('../../../../../src/utils/prompt-manager');
+
+describe('FeedbackIntegratorExecutor', () => {
+  let contextManager, executor, context, comments;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    sinon.stub(feedbackSystem, 'processCodeComments');
+
+    contextManager = {
+      updateContext: sinon.stub().resolves(),
+      addHistoryEntry: sinon.stub().resolves()
+    };
+    executor = new FeedbackIntegratorExecutor({ contextManager });
+
+    comments = [
+      { id: 31, path: 'src/invoices.js', line: 3, author: 'maria', body: 'Экранируйте запятые' },
+      { id: 32, path: 'src/invoices.js', line: 8, author: 'maria', body: 'Хорошее имя функции' },
+      { id: 33, author: 'ivan', body: 'Добавьте описание в PR' }
+    ];
+
+    context = {
+      data: {
+        generatedFiles: [{ path: 'src/invoices.js', content: 'exports.toCsv = () => \'\';' }],
+        pullRequest: { number: 12, reviewComments: comments, processedComments: [{ id: 30 }] }
+      }
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('должен превращать замечания, требующие действий, в изменения для исправления кода', async () => {
+    feedbackSystem.processCodeComments
+      .withArgs(sinon.match({ filePath: 'src/invoices.js' })).resolves({
+        structuredAnalysis: {
+          commentAnalysis: [
+            { commentId: 31, requiresAction: true, severity: 'Важная', summary: 'Значения не экранируются', suggestedChanges: 'Оберните значения в кавычки' },
+            { commentId: 32, requiresAction: false, severity: 'info', summary: 'Похвала' }
+          ]
+        }
+      })
+      .withArgs(sinon.match({ filePath: null })).resolves({
+        structuredAnalysis: {
+          commentAnalysis: [{ commentId: 33, requiresAction: true, severity: 'minor', summary: 'Нужно описание PR' }]
+        }
+      });
+
+    const result = await executor.execute('1', { taskId: '1' }, context);
+
+    expect(result.success).to.be.true;
+    expect(executor.validateOutput(result).valid).to.be.true;
+
+    const [request] = feedbackSystem.processCodeComments.firstCall.args;
+    expect(request).to.deep.equal({
+      comments: [
+        { id: 31, user: 'maria', lineNumber: 3, text: 'Экранируйте запятые' },
+        { id: 32, user: 'maria', lineNumber: 8, text: 'Хорошее имя функции' }
+      ],
+      fileContent: 'exports.toCsv = () => \'\';',
+      filePath: 'src/invoices.js'
+    });
+
+    expect(result.changes).to.deep.equal([
+      {
+        type: 'review-comment',
+        severity: 'high',
+        message: 'Значения не экранируются. Suggested change: Оберните значения в кавычки',
+        path: 'src/invoices.js',
+        location: { line: 3 }
+      },
+      { type: 'review-comment', severity: 'low', message: 'Нужно описание PR' }
+    ]);
+    expect(result).to.include({ processedComments: 3, requiresCodeChanges: true, requiresPrUpdate: false });
+    expect(result.summary).to.deep.equal({ processedComments: 3, changes: 2, codeChanges: 1 });
+
+    expect(contextManager.updateContext.calledWith('1', 'data.feedback', { iteration: 1, pendingChanges: true })).to.be.true;
+    expect(contextManager.updateContext.calledWith('1', 'data.pullRequest', {
+      number: 12,
+      reviewComments: [],
+      processedComments: [{ id: 30 }, ...comments],
+      awaitingReview: false
+    })).to.be.true;
+    expect(contextManager.addHistoryEntry.firstCall.args.slice(0, 3)).to.deep.equal([
+      '1', TASK_STATES.FEEDBACK_INTEGRATION, 'Processed 3 review comments, 1 changes required'
+    ]);
+  });
+
+  it('должен считать каждое замечание требующим исправления без структурированного анализа', async () => {
+    feedbackSystem.processCodeComments.resolves({ structuredAnalysis: null });
+    context.data.pullRequest.reviewComments = [comments[0]];
+
+    const result = await executor.execute('1', { taskId: '1' }, context);
+
+    expect(result.changes).to.deep.equal([{
+      type: 'review-comment',
+      severity: 'medium',
+      message: 'Экранируйте запятые',
+      path: 'src/invoices.js',
+      location: { line: 3 }
+    }]);
+    expect(result.requiresCodeChanges).to.be.true;
+  });
+
+  it('должен снова ожидать ревью, если исправлять нечего', async () => {
+    feedbackSystem.processCodeComments.resolves({
+      structuredAnalysis: { commentAnalysis: [{ commentId: 33, requiresAction: true, severity: 'low', summary: 'Нужно описание PR' }] }
+    });
+    context.data.pullRequest.reviewComments = [comments[2]];
+
+    const result = await executor.execute('1', { taskId: '1' }, context);
+
+    expect(result.requiresCodeChanges).to.be.false;
+    expect(result.changes).to.have.lengthOf(1);
+
+    const pullRequest = contextManager.updateContext.getCalls()
+      .find(call => call.args[1] === 'data.pullRequest').args[2];
+    expect(pullRequest.awaitingReview).to.be.true;
+  });
+
+  it('должен считать каждое замечание требующим исправления, если анализ комментариев к файлу не удался', async () => {
+    feedbackSystem.processCodeComments
+      .withArgs(sinon.match({ filePath: 'src/invoices.js' })).rejects(new Error('LLM unavailable'))
+      .withArgs(sinon.match({ filePath: null })).resolves({ structuredAnalysis: { commentAnalysis: [] } });
+
+    const result = await executor.execute('1', { taskId: '1' }, context);
+
+    expect(result.success).to.be.true;
+    expect(result.changes).to.deep.equal([
+      { type: 'review-comment', severity: 'medium', message: 'Экранируйте запятые', path: 'src/invoices.js', location: { line: 3 } },
+      { type: 'review-comment', severity: 'medium', message: 'Хорошее имя функции', path: 'src/invoices.js', location: { line: 8 } }
+    ]);
+    expect(result.requiresCodeChanges).to.be.true;
+    expect(result.warnings).to.deep.equal([
+      'Review comments for src/invoices.js were not analyzed, treating each as a change: LLM unavailable'
+    ]);
+  });
+
+  it('должен анализировать комментарии через LLM-клиент системы обратной связи', async () => {
+    feedbackSystem.processCodeComments.restore();
+    sinon.stub(promptManager, 'getPrompt').resolves('Проанализируй комментарии');
+    const sendPrompt = sinon.stub(LLMClient.prototype, 'sendPrompt').resolves(JSON.stringify({
+      commentAnalysis: [{ commentId: 31, requiresAction: true, severity: 'critical', summary: 'Значения не экранируются' }]
+    }));
+    context.data.pullRequest.reviewComments = [comments[0]];
+
+    const result = await executor.execute('1', { taskId: '1' }, context);
+
+    expect(promptManager.getPrompt.calledWith('code-comments-analysis', sinon.match({ filePath: 'src/invoices.js' }))).to.be.true;
+    expect(sendPrompt.calledOnceWith('Проанализируй комментарии')).to.be.true;
+    expect(result.warnings).to.deep.equal([]);
+    expect(result.changes).to.deep.equal([{
+      type: 'review-comment',
+      severity: 'critical',
+      message: 'Значения не экранируются',
+      path: 'src/invoices.js',
+      location: { line: 3 }
+    }]);
+    expect(result.requiresCodeChanges).to.be.true;
+  });
+
+  it('должен брать комментарии из результата шага PR, если в контексте их нет', async () => {
+    feedbackSystem.processCodeComments.resolves({ structuredAnalysis: { commentAnalysis: [] } });
+    delete context.data.pullRequest;
+
+    const result = await executor.execute('1', { taskId: '1', prManager: { reviewComments: [comments[2]] } }, context);
+
+    expect(feedbackSystem.processCodeComments.calledOnce).to.be.true;
+    expect(result.processedComments).to.equal(1);
+  });
+});
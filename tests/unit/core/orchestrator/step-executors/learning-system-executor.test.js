@@ -0,0 +1,102 @@
+// tests/unit/core/orchestrator/step-executors/learning-system-executor.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const logger = require('../../../../../src/utils/logger');
+const LearningSystemExecutor = require('../../../../../src/core/orchestrator/step-executors/learning-system-executor');
+const solutionAnalyzer = require('../../../../../src/core/learning-system/solution-analyzer');
+const { getVectorStore } = require('../../../../../src/core/learning-system/vector-store');
+const { getEmbeddingGenerator } = require('../../../../../src/core/learning-system/embedding-generator');
+
+describe('LearningSystemExecutor', () => {
+  let executor, input, context;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    sinon.stub(solutionAnalyzer, 'analyzeSolution').resolves({ success: true, id: 501, analysis: { quality: 'good' } });
+    sinon.stub(getVectorStore(), 'storeItem').resolves();
+    sinon.stub(getEmbeddingGenerator(), 'generateEmbedding').resolves([0.1, 0.2]);
+
+    executor = new LearningSystemExecutor({});
+
+    input = {
+      taskId: '1',
+      projectId: '7',
+      task: { title: 'Экспорт счетов', description: 'CSV', type: 'feature' },
+      selfReflection: {
+        score: 0.8,
+        issues: [
+          { severity: 'high', path: 'src/invoices.js', message: 'Нет экранирования' },
+          { severity: 'low', path: 'src/invoices.js', message: 'Длинная строка' }
+        ]
+      },
+      testAnalyzer: {
+        gates: { passRate: { actual: 0.6 } },
+        failures: [{ testPath: 'tests/invoices.test.js', errorType: 'assertion', message: 'toCsv: expected "a,b"' }]
+      }
+    };
+
+    context = {
+      data: {
+        generatedFiles: [{ path: 'src/invoices.js', content: 'exports.toCsv = () => \'\';' }],
+        reviewLoop: { iteration: 2 },
+        testLoop: { iteration: 1 }
+      }
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('должен сохранять решение с оценкой успешности и уроки ревью и тестов', async () => {
+    const result = await executor.execute('1', input, context);
+
+    expect(result.success).to.be.true;
+    expect(result.warnings).to.deep.equal([]);
+    expect(executor.validateOutput(result).valid).to.be.true;
+    expect(result).to.include({ solutionStored: true, solutionId: '501', successRating: 0.7, lessonsStored: 2 });
+
+    const [task, solution, , options] = solutionAnalyzer.analyzeSolution.firstCall.args;
+    expect(task).to.include({ id: '1', title: 'Экспорт счетов', type: 'feature' });
+    expect(solution).to.equal('// File: src/invoices.js\nexports.toCsv = () => \'\';');
+    expect(options).to.include({ successRating: 0.7, storeProjectContext: false });
+
+    const lessons = getVectorStore().storeItem.getCalls().map(call => call.args[1]);
+    expect(lessons.map(lesson => lesson.id)).to.deep.equal(['7-task-1-review', '7-task-1-tests']);
+    expect(lessons[0].content_chunk).to.include('[high] src/invoices.js: Нет экранирования');
+    expect(lessons[0].content_chunk).to.not.include('Длинная строка');
+    expect(lessons[0].metadata).to.deep.equal({ taskId: '1', lessonType: 'review', iterations: 2 });
+  });
+
+  it('должен продолжать, если решение сохранить не удалось', async () => {
+    solutionAnalyzer.analyzeSolution.resolves({ success: false, error: 'Vector store unavailable' });
+    getEmbeddingGenerator().generateEmbedding.rejects(new Error('Embeddings unavailable'));
+
+    const result = await executor.execute('1', input, context);
+
+    expect(result.success).to.be.true;
+    expect(result).to.include({ solutionStored: false, solutionId: null, lessonsStored: 0 });
+    expect(result.warnings).to.deep.equal(['Solution was not stored: Vector store unavailable']);
+  });
+
+  it('должен использовать нейтральную оценку без результатов ревью и тестов', async () => {
+    const result = await executor.execute('1', { taskId: '1', projectId: '7' }, context);
+
+    expect(result.successRating).to.equal(0.5);
+    expect(result.lessonsStored).to.equal(0);
+    expect(getVectorStore().storeItem.called).to.be.false;
+  });
+
+  it('должен завершаться ошибкой без файлов решения', async () => {
+    const result = await executor.execute('1', input, { data: {} });
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal('No solution files to learn from');
+    expect(solutionAnalyzer.analyzeSolution.called).to.be.false;
+  });
+});
@@ -0,0 +1,225 @@
+// tests/unit/core/orchestrator/step-executors/pr-manager-executor.test.js
+
+const os = require('os');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const logger = require('../../../../../src/utils/logger');
+const appConfig = require('../../../../../src/config/app.config');
+const PRManagerExecutor = require('../../../../../src/core/orchestrator/step-executors/pr-manager-executor');
+const { TransitionManager } = require('../../../../../src/core/orchestrator/transition-manager');
+const { TASK_STATES } = require('../../../../../src/core/orchestrator/state-manager');
+const PRManager = require('../../../../../src/core/vcs-manager/pr-manager');
+const GitService = require('../../../../../src/core/vcs-manager/gitService');
+const FileBasedCodeGenerator = require('../../../../../src/core/code-generator/file-based-generator');
+const SymbolGraph = require('../../../../../src/core/project-understanding/symbol-graph');
+const { LLMClient } = require('../../../../../src/utils/llm-client');
+const promptManager = require('../../../../../src/utils/prompt-manager');
+
+describe('PRManagerExecutor', () => {
+  let contextManager, executor, input, context;
+
+  /**
+   * Следующее состояние задачи после шага подготовки PR по описанию процесса
+   */
+  async function nextStateAfter(result) {
+    const transitionManager = new TransitionManager({
+      contextManager: {
+        getContext: sinon.stub().resolves({ ...context, stepResults: { prManager: result } })
+      }
+    });
+
+    return transitionManager.determineNextState('1', TASK_STATES.PR_PREPARATION_COMPLETED);
+  }
+
+  beforeEach(() => {
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    sinon.stub(FileBasedCodeGenerator.prototype, 'getProjectInfo').resolves({
+      repository_path: os.tmpdir(),
+      repository_url: 'https://github.com/acme/billing'
+    });
+
+    sinon.stub(GitService.prototype, 'createBranch').resolves();
+    sinon.stub(GitService.prototype, 'checkout').resolves();
+    sinon.stub(GitService.prototype, 'add').resolves();
+    sinon.stub(GitService.prototype, 'commit').resolves({ commit: 'abc123' });
+    sinon.stub(GitService.prototype, 'push').resolves();
+
+    sinon.stub(PRManager.prototype, 'generateReviewChecklist').resolves({ general: '- [ ] Проверить экспорт' });
+    sinon.stub(PRManager.prototype, 'generatePRDescription').resolves('Экспорт счетов в CSV');
+    sinon.stub(PRManager.prototype, 'createPR').resolves({
+      success: true, id: 900, number: 12, url: 'https://github.com/acme/billing/pull/12'
+    });
+    sinon.stub(PRManager.prototype, 'addPRComment').resolves();
+    sinon.stub(PRManager.prototype, 'getPRInfo').resolves({ pr: { state: 'open', merged: false } });
+
+    sinon.replace(appConfig.orchestrator.pullRequests, 'waitForReview', true);
+
+    contextManager = { updateContext: sinon.stub().resolves() };
+    executor = new PRManagerExecutor({ contextManager });
+
+    input = { taskId: '1', projectId: '7', task: { title: 'Экспорт счетов' } };
+    context = {
+      data: {
+        generatedFiles: [{ path: 'src/invoices.js' }],
+        generatedTests: [{ path: 'tests/invoices.test.js' }],
+        documentationFiles: ['docs/generated/invoices.md', 'src/invoices.js']
+      }
+    };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('должен коммитить изменения задачи в новую ветку и создавать PR с чеклистом', async () => {
+    const result = await executor.execute('1', input, context);
+
+    expect(result.success).to.be.true;
+    expect(result.warnings).to.deep.equal([]);
+    expect(executor.validateOutput(result).valid).to.be.true;
+
+    expect(GitService.prototype.createBranch.calledOnceWith('task/1', true)).to.be.true;
+    expect(GitService.prototype.add.firstCall.args[0]).to.deep.equal([
+      'src/invoices.js', 'tests/invoices.test.js', 'docs/generated/invoices.md'
+    ]);
+    expect(GitService.prototype.commit.calledOnceWith('Task #1: Экспорт счетов')).to.be.true;
+
+    const [creation] = PRManager.prototype.createPR.firstCall.args;
+    expect(creation).to.include({ baseBranch: 'main', headBranch: 'task/1', title: '[Task #1] Экспорт счетов' });
+    expect(creation.body).to.equal('Экспорт счетов в CSV\n\n## Review checklist\n\n- [ ] Проверить экспорт');
+
+    expect(result).to.include({ prCreated: true, prUpdated: false, merged: false, waitForReview: true });
+    expect(result.pullRequest).to.deep.equal({
+      id: 900, number: 12, url: 'https://github.com/acme/billing/pull/12', baseBranch: 'main', headBranch: 'task/1'
+    });
+    expect(contextManager.updateContext.calledOnceWith('1', 'data.pullRequest', {
+      ...result.pullRequest,
+      merged: false,
+      awaitingReview: true,
+      reviewComments: [],
+      processedComments: []
+    })).to.be.true;
+
+    expect(await nextStateAfter(result)).to.equal(TASK_STATES.WAITING_FOR_INPUT);
+  });
+
+  it('должен передавать полученные комментарии ревью на интеграцию обратной связи', async () => {
+    const reviewComments = [{ id: 1, path: 'src/invoices.js', line: 3, body: 'Экранируйте запятые' }];
+
+    context.data.pullRequest = {
+      id: 900,
+      number: 12,
+      url: 'https://github.com/acme/billing/pull/12',
+      baseBranch: 'main',
+      headBranch: 'task/1',
+      reviewComments,
+      processedComments: [{ id: 0, body: 'LGTM?' }]
+    };
+
+    const result = await executor.execute('1', input, context);
+
+    expect(result).to.include({ success: true, prCreated: false, prUpdated: true });
+    expect(result.reviewComments).to.equal(reviewComments);
+
+    expect(GitService.prototype.checkout.calledOnceWith('task/1')).to.be.true;
+    expect(GitService.prototype.createBranch.called).to.be.false;
+    expect(GitService.prototype.commit.calledOnceWith('Task #1: address review feedback')).to.be.true;
+    expect(GitService.prototype.push.calledOnceWith('origin', 'task/1')).to.be.true;
+    expect(PRManager.prototype.addPRComment.calledOnceWith(12, 'Review feedback has been addressed in abc123.')).to.be.true;
+    expect(PRManager.prototype.createPR.called).to.be.false;
+
+    const [, , pullRequest] = contextManager.updateContext.firstCall.args;
+    expect(pullRequest).to.include({ awaitingReview: false, merged: false });
+    expect(pullRequest.processedComments).to.deep.equal([{ id: 0, body: 'LGTM?' }]);
+
+    expect(await nextStateAfter(result)).to.equal(TASK_STATES.FEEDBACK_INTEGRATION);
+  });
+
+  it('должен завершать задачу, если PR уже слит', async () => {
+    context.data.pullRequest = { id: 900, number: 12, baseBranch: 'main', headBranch: 'task/1', merged: true };
+
+    const result = await executor.execute('1', input, context);
+
+    expect(result).to.include({ success: true, merged: true, waitForReview: false, prCreated: false });
+    expect(result.pullRequest.url).to.be.null;
+    expect(GitService.prototype.commit.called).to.be.false;
+    expect(contextManager.updateContext.called).to.be.false;
+
+    expect(await nextStateAfter(result)).to.equal(TASK_STATES.COMPLETED);
+  });
+
+  it('должен завершать задачу, если PR слили до окончания шага', async () => {
+    PRManager.prototype.getPRInfo.resolves({ pr: { state: 'merged' } });
+
+    const result = await executor.execute('1', input, context);
+
+    expect(result).to.include({ merged: true, waitForReview: false });
+    expect(await nextStateAfter(result)).to.equal(TASK_STATES.COMPLETED);
+  });
+
+  it('должен создавать PR без чеклиста и с неизвестным статусом, если хостинг недоступен', async () => {
+    PRManager.prototype.generateReviewChecklist.rejects(new Error('LLM unavailable'));
+    PRManager.prototype.getPRInfo.rejects(new Error('Not found'));
+
+    const result = await executor.execute('1', input, context);
+
+    expect(result.success).to.be.true;
+    expect(result.checklist).to.be.null;
+    expect(PRManager.prototype.createPR.firstCall.args[0].body).to.equal('Экспорт счетов в CSV');
+    expect(result.warnings).to.deep.equal([
+      'Review checklist was not generated: LLM unavailable',
+      'Pull request status is unknown: Not found'
+    ]);
+  });
+
+  it('должен генерировать описание и чеклист PR через LLM-клиент', async () => {
+    PRManager.prototype.generateReviewChecklist.restore();
+    PRManager.prototype.generatePRDescription.restore();
+    sinon.stub(GitService.prototype, 'diff').resolves('+exports.toCsv = () => \'\';');
+    sinon.stub(SymbolGraph.prototype, 'analyzeImpact').resolves({
+      modules: ['invoices'], routes: [], tests: ['tests/invoices.test.js'], files: []
+    });
+    sinon.stub(promptManager, 'getPrompt').callsFake(async name => `prompt:${name}`);
+    const sendPrompt = sinon.stub(LLMClient.prototype, 'sendPrompt');
+    sendPrompt.withArgs('prompt:pr-description').resolves('Экспорт счетов в CSV');
+    sendPrompt.withArgs('prompt:review-checklist').resolves('- [ ] Проверить экспорт');
+
+    const result = await executor.execute('1', input, context);
+
+    expect(result.success).to.be.true;
+    expect(result.warnings).to.deep.equal([]);
+    expect(result.checklist).to.deep.equal({ general: '- [ ] Проверить экспорт' });
+    expect(PRManager.prototype.createPR.firstCall.args[0].body)
+      .to.equal('Экспорт счетов в CSV\n\n## Review checklist\n\n- [ ] Проверить экспорт');
+
+    const checklistVars = promptManager.getPrompt.getCalls()
+      .find(call => call.args[0] === 'review-checklist').args[1];
+    expect(checklistVars.changedFiles).to.deep.equal([
+      'src/invoices.js', 'tests/invoices.test.js', 'docs/generated/invoices.md'
+    ]);
+    expect(checklistVars.impact.tests).to.deep.equal(['tests/invoices.test.js']);
+  });
+
+  it('должен возвращать конфликты, если PR создать не удалось', async () => {
+    PRManager.prototype.createPR.resolves({ success: false, message: 'Merge conflicts', conflicts: ['src/invoices.js'] });
+
+    const result = await executor.execute('1', input, context);
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal('Merge conflicts');
+    expect(result.conflicts).to.deep.equal(['src/invoices.js']);
+    expect(contextManager.updateContext.called).to.be.false;
+  });
+
+  it('должен завершаться ошибкой без измененных файлов', async () => {
+    const result = await executor.execute('1', input, { data: {} });
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal('No changed files to include in the pull request');
+    expect(GitService.prototype.createBranch.called).to.be.false;
+  });
+});
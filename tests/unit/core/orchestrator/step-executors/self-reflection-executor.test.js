@@ -0,0 +1,128 @@
+// tests/unit/core/orchestrator/step-executors/self-reflection-executor.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const logger = require('../../../../../src/utils/logger');
+const SelfReflectionExecutor = require('../../../../../src/core/orchestrator/step-executors/self-reflection-executor');
+const { TASK_STATES } = require('../../../../../src/core/orchestrator/state-manager');
+const selfReflectionSystem = require('../../../../../src/core/self-reflection-system');
+const codeReviewer = require('../../../../../src/core/self-reflection-system/code-reviewer');
+const CodeValidator = require('../../../../../src/core/code-generator/code-validator');
+
+describe('SelfReflectionExecutor', () => {
+  let contextManager, executor, files;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    sinon.stub(selfReflectionSystem, 'performSelfReflection').resolves({
+      score: 80,
+      passed: true,
+      summary: 'Обнаружены проблемы средней важности',
+      allIssues: [
+        { type: 'quality', severity: 'warning', description: 'Слишком длинная функция', location: { line: 12 } },
+        { severity: 'high', message: 'Значения не экранируются' }
+      ]
+    });
+
+    sinon.stub(CodeValidator.prototype, 'validate').resolves({ isValid: true });
+    sinon.stub(codeReviewer, 'reviewQuality').resolves({
+      score: 60,
+      issues: [{ type: 'quality', severity: 'low', message: 'Нет JSDoc', location: { line: 1 } }]
+    });
+    sinon.stub(codeReviewer, 'reviewSecurity').resolves({ score: 80, issues: [] });
+    sinon.stub(codeReviewer, 'reviewBestPractices').resolves({ score: 100, issues: [] });
+
+    contextManager = {
+      updateContext: sinon.stub().resolves(),
+      addHistoryEntry: sinon.stub().resolves()
+    };
+    executor = new SelfReflectionExecutor({ contextManager });
+
+    files = [
+      { path: 'src/invoices.js', content: 'exports.toCsv = () => \'\';', generationId: 41 },
+      { path: 'src/routes.js', content: 'module.exports = [];' }
+    ];
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('должен ревьюить файлы, нормализовать проблемы и вычислять общую оценку', async () => {
+    const result = await executor.execute('1', { taskId: '1' }, { data: { generatedFiles: files } });
+
+    expect(result.success).to.be.true;
+    expect(executor.validateOutput(result).valid).to.be.true;
+
+    expect(selfReflectionSystem.performSelfReflection.calledOnceWith(41)).to.be.true;
+    expect(CodeValidator.prototype.validate.calledOnceWith('module.exports = [];')).to.be.true;
+
+    // (80 + 85) / 2 / 100, где 85 - взвешенная оценка проверок src/routes.js
+    expect(result.score).to.equal(0.83);
+    expect(result.reviews.map(({ path, score, passed }) => ({ path, score, passed }))).to.deep.equal([
+      { path: 'src/invoices.js', score: 80, passed: true },
+      { path: 'src/routes.js', score: 85, passed: true }
+    ]);
+    expect(result.reviews[0].summary).to.equal('Обнаружены проблемы средней важности');
+
+    expect(result.issues).to.deep.equal([
+      { path: 'src/invoices.js', type: 'quality', severity: 'medium', message: 'Слишком длинная функция', location: { line: 12 } },
+      { path: 'src/invoices.js', type: 'review', severity: 'high', message: 'Значения не экранируются', location: 'unknown' },
+      { path: 'src/routes.js', type: 'quality', severity: 'low', message: 'Нет JSDoc', location: { line: 1 } }
+    ]);
+    expect(result).to.include({ iteration: 1, issuesFound: true, errorsFound: false });
+    expect(result.summary).to.deep.equal({ iteration: 1, score: 0.83, files: 2, issues: 3, critical: 0, high: 1 });
+  });
+
+  it('должен фиксировать номер итерации в контексте и истории задачи', async () => {
+    const result = await executor.execute('1', { taskId: '1' }, {
+      data: { generatedFiles: files, reviewLoop: { iteration: 2 } }
+    });
+
+    expect(result.iteration).to.equal(3);
+    expect(contextManager.updateContext.calledOnceWith('1', 'data.reviewLoop.iteration', 3)).to.be.true;
+    expect(contextManager.addHistoryEntry.calledOnceWith(
+      '1',
+      TASK_STATES.SELF_REVIEW,
+      'Self-review iteration 3: score 0.82, 3 issues',
+      { step: 'selfReflection', iteration: 3, score: 0.825, issues: 3, critical: 0 }
+    )).to.be.true;
+  });
+
+  it('должен ревьюить содержимое файла, если самопроверка генерации не удалась', async () => {
+    selfReflectionSystem.performSelfReflection.rejects(new Error('Generation not found'));
+    CodeValidator.prototype.validate.resolves({ isValid: false, error: 'Unexpected token' });
+
+    const result = await executor.execute('1', { taskId: '1' }, { data: { generatedFiles: [files[0]] } });
+
+    expect(result.success).to.be.true;
+    expect(CodeValidator.prototype.validate.calledOnceWith('exports.toCsv = () => \'\';')).to.be.true;
+    expect(result.reviews[0]).to.include({ path: 'src/invoices.js', passed: false });
+    expect(result.issues[0]).to.deep.equal({
+      path: 'src/invoices.js', type: 'validation', severity: 'critical', message: 'Unexpected token', location: 'unknown'
+    });
+    expect(result).to.include({ issuesFound: true, errorsFound: true });
+  });
+
+  it('должен ревьюить файлы из результата шага, если в контексте их нет', async () => {
+    const result = await executor.execute('1', {
+      taskId: '1',
+      codeGenerator: { generatedFiles: [{ path: 'src/stale.js', content: '' }] },
+      codeRefiner: { generatedFiles: [files[1]] }
+    }, {});
+
+    expect(result.reviews.map(review => review.path)).to.deep.equal(['src/routes.js']);
+  });
+
+  it('должен завершаться ошибкой без сгенерированных файлов', async () => {
+    const result = await executor.execute('1', { taskId: '1' }, {});
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal('No generated files to review');
+    expect(contextManager.updateContext.called).to.be.false;
+  });
+});
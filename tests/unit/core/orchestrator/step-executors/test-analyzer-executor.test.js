@@ -0,0 +1,176 @@
+// tests/unit/core/orchestrator/step-executors/test-analyzer-executor.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const logger = require('../../../../../src/utils/logger');
+const TestAnalyzerExecutor = require('../../../../../src/core/orchestrator/step-executors/test-analyzer-executor');
+const { TASK_STATES } = require('../../../../../src/core/orchestrator/state-manager');
+const failureAnalyzer = require('../../../../../src/core/code-testing/failure-analyzer');
+const coverageAnalyzer = require('../../../../../src/core/code-testing/coverage-analyzer');
+
+function coverageSummary(percentage) {
+  const metric = { total: 10, covered: percentage / 10, percentage };
+
+  return { lines: metric, statements: metric, functions: metric, branches: metric, files: [] };
+}
+
+describe('TestAnalyzerExecutor', () => {
+  let contextManager, executor, execution, context;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    sinon.stub(failureAnalyzer, 'explainTestFailure').resolves({
+      success: true,
+      errorInfo: { type: 'assertion' },
+      severity: 'medium',
+      recommendations: ['Экранировать запятые в значениях']
+    });
+    sinon.stub(coverageAnalyzer, 'analyzeCoverage').callsFake(async data => ({
+      success: true,
+      summary: { lines: { percentage: data.total.lines.pct } },
+      lowCoverageFiles: [],
+      recommendations: []
+    }));
+
+    contextManager = {
+      updateContext: sinon.stub().resolves(),
+      addHistoryEntry: sinon.stub().resolves()
+    };
+    executor = new TestAnalyzerExecutor({ contextManager });
+
+    execution = {
+      testResults: { total: 3, passed: 3, failed: 0, files: [{ path: 'tests/invoices.test.js', passed: true, failures: [] }] },
+      coverage: coverageSummary(85)
+    };
+
+    context = { data: { testGates: { minPassRate: 1, minCoverage: 80 } } };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('должен пропускать задачу дальше, если пороги тестов и покрытия выполнены', async () => {
+    const result = await executor.execute('1', { taskId: '1', codeExecutor: execution }, context);
+
+    expect(result.success).to.be.true;
+    expect(result.gatesPassed).to.be.true;
+    expect(result.gates).to.deep.equal({
+      passRate: { required: 1, actual: 1, passed: true },
+      coverage: { required: 80, actual: 85, passed: true }
+    });
+    expect(result.warnings).to.deep.equal([]);
+    expect(result.errorsFound).to.be.false;
+    expect(executor.validateOutput(result).valid).to.be.true;
+
+    expect(contextManager.updateContext.calledOnceWith('1', 'data.testLoop', { iteration: 1, pendingFailures: false })).to.be.true;
+    expect(contextManager.addHistoryEntry.firstCall.args.slice(0, 3)).to.deep.equal([
+      '1', TASK_STATES.TEST_ANALYSIS, 'Test analysis iteration 1: gates passed'
+    ]);
+  });
+
+  it('должен возвращать задачу на исправление при упавших тестах и анализировать падения', async () => {
+    execution.testResults = {
+      total: 3,
+      passed: 2,
+      failed: 1,
+      files: [{
+        path: '/repos/billing/tests/invoices.test.js',
+        passed: false,
+        failures: [{ name: 'toCsv › экранирует запятые', message: 'expected "a,b"' }]
+      }]
+    };
+    context.data.testLoop = { iteration: 1 };
+    context.data.generatedFiles = [{ path: 'src/invoices.js', content: 'exports.toCsv = () => \'\';' }];
+
+    const result = await executor.execute('1', {
+      taskId: '1',
+      codeExecutor: execution,
+      testGenerator: { tests: [{ path: 'tests/invoices.test.js', sourcePath: 'src/invoices.js', content: 'test()' }] }
+    }, context);
+
+    expect(result.gatesPassed).to.be.false;
+    expect(result.gates.passRate).to.deep.equal({ required: 1, actual: 0.67, passed: false });
+    expect(result.iteration).to.equal(2);
+    expect(result.failures).to.deep.equal([{
+      testPath: 'tests/invoices.test.js',
+      sourcePath: 'src/invoices.js',
+      message: 'toCsv › экранирует запятые: expected "a,b"',
+      errorType: 'assertion',
+      severity: 'medium',
+      recommendations: ['Экранировать запятые в значениях']
+    }]);
+
+    const [, testCode, sourceCode] = failureAnalyzer.explainTestFailure.firstCall.args;
+    expect(testCode).to.equal('test()');
+    expect(sourceCode).to.equal('exports.toCsv = () => \'\';');
+
+    expect(contextManager.updateContext.calledOnceWith('1', 'data.testLoop', { iteration: 2, pendingFailures: true })).to.be.true;
+  });
+
+  it('должен не пропускать задачу при покрытии ниже порога', async () => {
+    execution.coverage = coverageSummary(60);
+
+    const result = await executor.execute('1', { taskId: '1', codeExecutor: execution }, context);
+
+    expect(result.gatesPassed).to.be.false;
+    expect(result.gates.passRate.passed).to.be.true;
+    expect(result.gates.coverage).to.deep.equal({ required: 80, actual: 60, passed: false });
+    expect(result.warnings).to.deep.equal(['Line coverage 60% is below required 80%']);
+  });
+
+  it('должен не пропускать задачу без отчета о покрытии, если порог покрытия задан', async () => {
+    execution.coverage = null;
+
+    const result = await executor.execute('1', { taskId: '1', codeExecutor: execution }, context);
+
+    expect(coverageAnalyzer.analyzeCoverage.called).to.be.false;
+    expect(result.coverage).to.be.null;
+    expect(result.gates.coverage).to.deep.equal({ required: 80, actual: null, passed: false });
+    expect(result.gatesPassed).to.be.false;
+    expect(result.warnings).to.deep.equal(['Coverage report is not available']);
+  });
+
+  it('должен считать отсутствие покрытия допустимым при нулевом пороге', async () => {
+    execution.coverage = null;
+    context.data.testGates.minCoverage = 0;
+
+    const result = await executor.execute('1', { taskId: '1', codeExecutor: execution }, context);
+
+    expect(result.gates.coverage).to.deep.equal({ required: 0, actual: null, passed: true });
+    expect(result.gatesPassed).to.be.true;
+    expect(result.warnings).to.deep.equal([]);
+  });
+
+  it('должен считать покрытие отсутствующим, если его анализ не удался', async () => {
+    coverageAnalyzer.analyzeCoverage.resolves({ success: false, message: 'No coverage data' });
+
+    const result = await executor.execute('1', { taskId: '1', codeExecutor: execution }, context);
+
+    expect(result.coverage).to.be.null;
+    expect(result.gates.coverage.passed).to.be.false;
+  });
+
+  it('должен не пропускать задачу, если не выполнено ни одного теста', async () => {
+    execution.testResults = { total: 0, passed: 0, failed: 0, files: [] };
+    context.data.testGates.minPassRate = 0;
+
+    const result = await executor.execute('1', { taskId: '1', codeExecutor: execution }, context);
+
+    expect(result.gates.passRate).to.deep.equal({ required: 0, actual: 0, passed: false });
+    expect(result.gatesPassed).to.be.false;
+    expect(result.summary).to.include({ total: 0, passRate: 0 });
+  });
+
+  it('должен завершаться ошибкой без результатов запуска тестов', async () => {
+    const result = await executor.execute('1', { taskId: '1' }, context);
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal('No test execution results to analyze');
+    expect(contextManager.updateContext.called).to.be.false;
+  });
+});
@@ -0,0 +1,133 @@
+// tests/unit/core/orchestrator/step-executors/test-generator-executor.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const logger = require('../../../../../src/utils/logger');
+const TestGeneratorExecutor = require('../../../../../src/core/orchestrator/step-executors/test-generator-executor');
+const testGenerator = require('../../../../../src/core/code-testing/test-generator');
+const FileBasedCodeGenerator = require('../../../../../src/core/code-generator/file-based-generator');
+const { LLMClient } = require('../../../../../src/utils/llm-client');
+const promptManager = require('../../../../../src/utils/prompt-manager');
+
+describe('TestGeneratorExecutor', () => {
+  let contextManager, executor, files;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    sinon.stub(testGenerator, 'generateTests');
+    sinon.stub(FileBasedCodeGenerator.prototype, 'getProjectInfo').resolves({ repository_path: '/repos/billing' });
+    sinon.stub(FileBasedCodeGenerator.prototype, 'storeFile').callsFake(async (taskId, filePath) => ({
+      generationId: filePath.length
+    }));
+
+    contextManager = { updateContext: sinon.stub().resolves() };
+    executor = new TestGeneratorExecutor({ contextManager });
+
+    files = [
+      { path: 'src/invoices.js', content: 'exports.toCsv = () => \'\';' },
+      { path: 'src/routes.js', content: 'module.exports = [];' }
+    ];
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('должен генерировать тесты для актуальных файлов и сохранять их в репозиторий и контекст', async () => {
+    testGenerator.generateTests.resolves({
+      framework: 'jest',
+      tests: [
+        { originalFilePath: 'src/invoices.js', testFilePath: 'tests/invoices.test.js', testCode: 'test(\'csv\', () => {});', framework: 'jest' },
+        { originalFilePath: 'src/routes.js', testFilePath: 'tests/routes.test.js', testCode: '', framework: 'jest' }
+      ]
+    });
+
+    const result = await executor.execute('1', {
+      taskId: '1',
+      projectId: '7',
+      task: { title: 'Экспорт счетов', description: 'CSV' },
+      codeGenerator: { generatedFiles: [{ path: 'src/stale.js', content: '' }] }
+    }, { data: { generatedFiles: files } });
+
+    expect(result.success).to.be.true;
+    expect(result.warnings).to.deep.equal([]);
+    expect(executor.validateOutput(result).valid).to.be.true;
+
+    const [request] = testGenerator.generateTests.firstCall.args;
+    expect(request).to.deep.equal({
+      taskId: '1',
+      files,
+      repoPath: '/repos/billing',
+      context: { taskTitle: 'Экспорт счетов', taskDescription: 'CSV' }
+    });
+
+    expect(result.tests).to.deep.equal([{
+      path: 'tests/invoices.test.js',
+      sourcePath: 'src/invoices.js',
+      content: 'test(\'csv\', () => {});',
+      framework: 'jest',
+      generationId: 'tests/invoices.test.js'.length
+    }]);
+    expect(FileBasedCodeGenerator.prototype.storeFile.calledOnceWith('1', 'tests/invoices.test.js')).to.be.true;
+    expect(contextManager.updateContext.calledOnceWith('1', 'data.generatedTests', result.tests)).to.be.true;
+    expect(result.summary).to.deep.equal({ sourceFiles: 2, testFiles: 1, framework: 'jest' });
+  });
+
+  it('должен предупреждать, если не получено ни одного теста', async () => {
+    testGenerator.generateTests.resolves({ tests: [] });
+
+    const result = await executor.execute('1', { taskId: '1', projectId: '7', codeGenerator: { generatedFiles: files } }, {});
+
+    expect(result.success).to.be.true;
+    expect(result.framework).to.equal('unknown');
+    expect(result.warnings).to.deep.equal(['No tests were generated for the changed files']);
+  });
+
+  it('должен генерировать тесты через LLM-клиент по шаблону для типа файла', async () => {
+    testGenerator.generateTests.restore();
+    sinon.stub(promptManager, 'getRawTemplate')
+      .withArgs('test-generation-javascript').resolves('Тесты для {{filePath}}')
+      .withArgs('test-generation-api').rejects(new Error('Шаблон не найден: test-generation-api'));
+    sinon.stub(promptManager, 'fillPrompt').callsFake(async (name, data) => `${name}:${data.filePath}`);
+    const sendPrompt = sinon.stub(LLMClient.prototype, 'sendPrompt')
+      .callsFake(async prompt => `\`\`\`javascript\ntest('${prompt}', () => {});\n\`\`\``);
+
+    const result = await executor.execute('1', { taskId: '1', projectId: '7' }, { data: { generatedFiles: files } });
+
+    expect(result.success).to.be.true;
+    expect(result.warnings).to.deep.equal([]);
+    expect(sendPrompt.calledTwice).to.be.true;
+    expect(promptManager.fillPrompt.calledWith('test-generation-javascript', sinon.match({
+      filePath: 'src/invoices.js',
+      fileContent: 'exports.toCsv = () => \'\';'
+    }))).to.be.true;
+    expect(promptManager.fillPrompt.calledWith('test-generation-generic', sinon.match({ filePath: 'src/routes.js' }))).to.be.true;
+
+    expect(result.tests.map(test => [test.sourcePath, test.content])).to.deep.equal([
+      ['src/invoices.js', 'test(\'test-generation-javascript:src/invoices.js\', () => {});'],
+      ['src/routes.js', 'test(\'test-generation-generic:src/routes.js\', () => {});']
+    ]);
+  });
+
+  it('должен завершаться ошибкой без сгенерированных файлов', async () => {
+    const result = await executor.execute('1', { taskId: '1', projectId: '7' }, {});
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal('No generated files to test');
+    expect(testGenerator.generateTests.called).to.be.false;
+  });
+
+  it('должен возвращать ошибку генератора тестов как результат шага', async () => {
+    testGenerator.generateTests.rejects(new Error('LLM unavailable'));
+
+    const result = await executor.execute('1', { taskId: '1', projectId: '7' }, { data: { generatedFiles: files } });
+
+    expect(result.success).to.be.false;
+    expect(result.error).to.equal('LLM unavailable');
+    expect(contextManager.updateContext.called).to.be.false;
+  });
+});
@@ -0,0 +1,192 @@
+// tests/unit/core/orchestrator/task-orchestrator.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { TaskOrchestrator } = require('../../../../src/core/orchestrator/task-orchestrator');
+const { TASK_STATES } = require('../../../../src/core/orchestrator/state-manager');
+const logger = require('../../../../src/utils/logger');
+const llmBudgetManager = require('../../../../src/utils/llm-budget-manager');
+const { getLLMContext } = require('../../../../src/utils/llm-request-context');
+const { BudgetExceededError } = require('../../../../src/utils/errors');
+
+describe('TaskOrchestrator', () => {
+  let context, queue, stateManager, contextManager, transitionManager, orchestrator;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    context = { taskId: '1', projectId: '7', data: { stepSequence: 3 }, stepResults: {} };
+
+    queue = {
+      addJob: sinon.stub().resolves({ id: '1-codeGenerator-3' }),
+      acquireSlot: sinon.stub().resolves(true),
+      releaseSlot: sinon.stub().resolves(),
+      postponeJob: sinon.stub().resolves()
+    };
+
+    stateManager = {
+      getCurrentState: sinon.stub().resolves(TASK_STATES.CODE_GENERATION),
+      findTasksInStates: sinon.stub().resolves([])
+    };
+
+    contextManager = {
+      getContext: sinon.stub().resolves(context),
+      updateContext: sinon.stub().resolves()
+    };
+
+    transitionManager = {
+      getNextStep: sinon.stub().resolves('codeGenerator'),
+      getStepForState: sinon.stub().returns('codeGenerator'),
+      transitionToNextState: sinon.stub().resolves({ currentState: TASK_STATES.CODE_GENERATION }),
+      transitionToWaitingForInput: sinon.stub().resolves()
+    };
+
+    orchestrator = new TaskOrchestrator({
+      stateManager,
+      contextManager,
+      transitionManager,
+      queue,
+      scheduling: { projectConcurrency: { 7: 1 } }
+    });
+
+    sinon.stub(orchestrator.stepExecutorFactory, 'createExecutor').returns({});
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('планирование шагов', () => {
+    it('должен возобновлять шаг без повторного перехода и с тем же идентификатором задания', async () => {
+      const result = await orchestrator.executeTask('1');
+
+      expect(result.status).to.equal('queued');
+      expect(transitionManager.transitionToNextState.called).to.be.false;
+      expect(queue.addJob.calledOnce).to.be.true;
+
+      const [queueName, data, options] = queue.addJob.firstCall.args;
+      expect(queueName).to.equal('orchestrator-step-codeGenerator');
+      expect(data).to.deep.equal({ taskId: '1', stepName: 'codeGenerator', projectId: '7' });
+      expect(options.jobId).to.equal('1-codeGenerator-3');
+    });
+
+    it('должен увеличивать номер запуска шага при переходе в новое состояние', async () => {
+      stateManager.getCurrentState.resolves(TASK_STATES.TECHNOLOGY_SELECTION_COMPLETED);
+      transitionManager.getStepForState.withArgs(TASK_STATES.TECHNOLOGY_SELECTION_COMPLETED).returns(null);
+      contextManager.getContext.onSecondCall().resolves({ ...context, data: { stepSequence: 4 } });
+
+      await orchestrator.executeTask('1');
+
+      expect(transitionManager.transitionToNextState.calledOnce).to.be.true;
+      expect(contextManager.updateContext.calledWith('1', 'data.stepSequence', 4)).to.be.true;
+      expect(queue.addJob.firstCall.args[2].jobId).to.equal('1-codeGenerator-4');
+    });
+
+    it('должен откладывать задание, если лимит шагов проекта исчерпан', async () => {
+      const job = { id: '1-codeGenerator-3', queueName: 'orchestrator-step-codeGenerator', data: { taskId: '1', stepName: 'codeGenerator', projectId: '7' } };
+      queue.acquireSlot.resolves(false);
+      const executeStep = sinon.stub(orchestrator, '_executeStep').resolves();
+
+      await orchestrator._processStepJob(job, 'token');
+
+      expect(queue.acquireSlot.firstCall.args.slice(0, 3)).to.deep.equal(['project-7', 'orchestrator-step-codeGenerator|1-codeGenerator-3', 1]);
+      expect(queue.postponeJob.calledWith(job, 'token')).to.be.true;
+      expect(executeStep.called).to.be.false;
+      expect(queue.releaseSlot.called).to.be.false;
+    });
+
+    it('должен пропускать устаревшее задание и планировать актуальный шаг', async () => {
+      const job = { id: '1-codeGenerator-3', queueName: 'orchestrator-step-codeGenerator', data: { taskId: '1', stepName: 'codeGenerator', projectId: '7' } };
+      stateManager.getCurrentState.resolves(TASK_STATES.CODE_GENERATION_COMPLETED);
+      transitionManager.getStepForState.withArgs(TASK_STATES.CODE_GENERATION_COMPLETED).returns(null);
+      const executeStep = sinon.stub(orchestrator, '_executeStep').resolves();
+      const processTask = sinon.stub(orchestrator, '_processTask').resolves();
+
+      const result = await orchestrator._processStepJob(job, 'token');
+
+      expect(result.skipped).to.be.true;
+      expect(executeStep.called).to.be.false;
+      expect(processTask.calledOnceWith('1')).to.be.true;
+      expect(queue.releaseSlot.calledOnceWith('project-7', 'orchestrator-step-codeGenerator|1-codeGenerator-3')).to.be.true;
+    });
+  });
+
+  describe('бюджеты LLM', () => {
+    it('должен переводить задачу в ожидание ввода, если бюджет исчерпан во время шага', async () => {
+      const budget = { scope: 'project', scopeId: 7, period: 'monthly' };
+      const handleStepError = sinon.stub(orchestrator, '_handleStepError').resolves();
+      sinon.stub(llmBudgetManager, 'checkBudget').resolves();
+
+      // Исполнитель перехватывает ошибку LLM-клиента и возвращает неуспешный результат
+      const executor = {
+        execute: async () => {
+          getLLMContext().budgetError = new BudgetExceededError('Исчерпан бюджет LLM', budget);
+          return { success: false, error: 'Исчерпан бюджет LLM' };
+        }
+      };
+
+      await orchestrator._executeStep('1', 'codeGenerator', executor, context);
+
+      expect(handleStepError.called).to.be.false;
+      expect(transitionManager.transitionToWaitingForInput.calledOnce).to.be.true;
+      expect(transitionManager.transitionToWaitingForInput.firstCall.args[2]).to.equal(TASK_STATES.CODE_GENERATION);
+
+      const [, path, waitingPoint] = contextManager.updateContext.firstCall.args;
+      expect(path).to.equal('data.waitingPoint');
+      expect(waitingPoint).to.include({ reason: 'budget', resumeState: TASK_STATES.CODE_GENERATION });
+    });
+  });
+
+  describe('точки ожидания', () => {
+    it('должен сохранять состояние возобновления для ожидания ввода', async () => {
+      transitionManager.getWaitingPoint = sinon.stub().resolves({ message: 'Подтвердите план', resumeState: TASK_STATES.CODE_GENERATION });
+
+      await orchestrator._enterWaitingPoint('1', TASK_STATES.TASK_PLANNING_COMPLETED);
+
+      expect(contextManager.updateContext.firstCall.args[1]).to.equal('data.waitingPoint');
+      expect(transitionManager.transitionToWaitingForInput.calledOnceWith('1', 'Подтвердите план', TASK_STATES.CODE_GENERATION)).to.be.true;
+      expect(contextManager.updateContext.calledWith('1', 'data.nextStateAfterInput', null)).to.be.false;
+    });
+
+    it('должен сбрасывать состояние возобновления от прошлого ожидания при ожидании ревью', async () => {
+      context.data.nextStateAfterInput = TASK_STATES.CODE_GENERATION;
+      transitionManager.getWaitingPoint = sinon.stub().resolves({ message: 'Waiting for pull request review' });
+
+      await orchestrator._enterWaitingPoint('1', TASK_STATES.PR_PREPARATION_COMPLETED);
+
+      expect(contextManager.updateContext.calledOnceWith('1', 'data.nextStateAfterInput', null)).to.be.true;
+      expect(contextManager.updateContext.calledBefore(transitionManager.transitionToNextState)).to.be.true;
+      expect(transitionManager.transitionToNextState.firstCall.args.slice(0, 2)).to.deep.equal(['1', TASK_STATES.WAITING_FOR_INPUT]);
+      expect(transitionManager.transitionToWaitingForInput.called).to.be.false;
+    });
+  });
+
+  describe('события Pull Request', () => {
+    it('должен возобновлять шаг PR по новым коммитам, если задача ожидает в точке процесса PR', async () => {
+      stateManager.getCurrentState.resolves(TASK_STATES.WAITING_FOR_INPUT);
+      context.data.waitingPoint = { reason: 'workflow', resumeState: TASK_STATES.PR_PREPARATION };
+      const executeTask = sinon.stub(orchestrator, 'executeTask').resolves({ success: true, status: 'queued' });
+
+      const result = await orchestrator.handlePullRequestEvent('1', { type: 'pushed', headCommit: 'abc123' });
+
+      expect(result.status).to.equal('queued');
+      expect(contextManager.updateContext.calledWith('1', 'data.pullRequest', { headCommit: 'abc123' })).to.be.true;
+      expect(contextManager.updateContext.calledWith('1', 'data.waitingPoint', null)).to.be.true;
+      expect(transitionManager.transitionToNextState.firstCall.args.slice(0, 2)).to.deep.equal(['1', TASK_STATES.PR_PREPARATION]);
+      expect(executeTask.calledOnceWith('1')).to.be.true;
+    });
+
+    it('должен только сохранять коммит, если задача не ожидает шага PR', async () => {
+      const executeTask = sinon.stub(orchestrator, 'executeTask').resolves();
+
+      const result = await orchestrator.handlePullRequestEvent('1', { type: 'pushed', headCommit: 'abc123' });
+
+      expect(result.status).to.equal('recorded');
+      expect(transitionManager.transitionToNextState.called).to.be.false;
+      expect(executeTask.called).to.be.false;
+    });
+  });
+});
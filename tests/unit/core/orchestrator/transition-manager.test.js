@@ -0,0 +1,249 @@
+// tests/unit/core/orchestrator/transition-manager.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { TransitionManager } = require('../../../../src/core/orchestrator/transition-manager');
+const { TASK_STATES } = require('../../../../src/core/orchestrator/state-manager');
+const logger = require('../../../../src/utils/logger');
+const appConfig = require('../../../../src/config/app.config');
+
+describe('TransitionManager', () => {
+  let context, transitionManager;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    context = {
+      data: { reviewLoop: { iteration: 1 } },
+      stepResults: {}
+    };
+
+    transitionManager = new TransitionManager({
+      contextManager: { getContext: sinon.stub().resolves(context) }
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('цикл ревью/исправления', () => {
+    it('должен отправлять код на исправление, если оценка ниже порога', async () => {
+      context.stepResults.selfReflection = { score: 0.5, iteration: 1, issuesFound: false, errorsFound: false };
+
+      const nextState = await transitionManager.determineNextState('1', TASK_STATES.SELF_REVIEW_COMPLETED);
+
+      expect(nextState).to.equal(TASK_STATES.ERROR_CORRECTION);
+    });
+
+    it('должен переходить к тестам, если оценка выше порога из контекста', async () => {
+      context.data.reviewLoop.scoreThreshold = 0.4;
+      context.stepResults.selfReflection = { score: 0.5, iteration: 1, issuesFound: false, errorsFound: false };
+
+      const nextState = await transitionManager.determineNextState('1', TASK_STATES.SELF_REVIEW_COMPLETED);
+
+      expect(nextState).to.equal(TASK_STATES.TEST_GENERATION);
+    });
+
+    it('должен учитывать нулевой порог оценки из конфигурации', async () => {
+      sinon.replace(appConfig.orchestrator.reviewLoop, 'scoreThreshold', 0);
+      context.stepResults.selfReflection = { score: 0.1, iteration: 1, issuesFound: false, errorsFound: false };
+
+      const nextState = await transitionManager.determineNextState('1', TASK_STATES.SELF_REVIEW_COMPLETED);
+
+      expect(nextState).to.equal(TASK_STATES.TEST_GENERATION);
+    });
+
+    it('должен прекращать исправления после достижения лимита итераций', async () => {
+      context.data.reviewLoop = { iteration: 2, maxIterations: 2 };
+      context.stepResults.selfReflection = { score: 0.2, iteration: 2, issuesFound: true, errorsFound: true };
+
+      const nextState = await transitionManager.determineNextState('1', TASK_STATES.SELF_REVIEW_COMPLETED);
+
+      expect(nextState).to.equal(TASK_STATES.TEST_GENERATION);
+      expect(logger.warn.calledOnce).to.be.true;
+    });
+
+    it('должен возвращать исправленный код на повторное ревью до достижения лимита', async () => {
+      context.stepResults.errorCorrector = { needsReview: true, significantChanges: false };
+
+      const nextState = await transitionManager.determineNextState('1', TASK_STATES.ERROR_CORRECTION_COMPLETED);
+
+      expect(nextState).to.equal(TASK_STATES.SELF_REVIEW);
+    });
+
+    it('должен пропускать повторное ревью после достижения лимита итераций', async () => {
+      context.data.reviewLoop = { iteration: 3, maxIterations: 3 };
+      context.stepResults.errorCorrector = { needsReview: true, significantChanges: true };
+
+      const nextState = await transitionManager.determineNextState('1', TASK_STATES.ERROR_CORRECTION_COMPLETED);
+
+      expect(nextState).to.equal(TASK_STATES.TEST_GENERATION);
+    });
+  });
+
+  describe('пороги качества тестов', () => {
+    it('должен отправлять код на исправление, если пороги не пройдены', async () => {
+      context.stepResults.testAnalyzer = { gatesPassed: false, iteration: 1, failedTests: 2 };
+
+      const nextState = await transitionManager.determineNextState('1', TASK_STATES.TEST_ANALYSIS_COMPLETED);
+
+      expect(nextState).to.equal(TASK_STATES.ERROR_CORRECTION);
+    });
+
+    it('должен переходить к документации, если пороги пройдены', async () => {
+      context.stepResults.testAnalyzer = { gatesPassed: true, iteration: 1, failedTests: 0 };
+
+      const nextState = await transitionManager.determineNextState('1', TASK_STATES.TEST_ANALYSIS_COMPLETED);
+
+      expect(nextState).to.equal(TASK_STATES.DOCUMENTATION_UPDATE);
+    });
+
+    it('должен переходить к документации после исчерпания попыток исправления', async () => {
+      context.stepResults.testAnalyzer = { gatesPassed: false, iteration: 10, failedTests: 1 };
+
+      const nextState = await transitionManager.determineNextState('1', TASK_STATES.TEST_ANALYSIS_COMPLETED);
+
+      expect(nextState).to.equal(TASK_STATES.DOCUMENTATION_UPDATE);
+      expect(logger.warn.calledOnce).to.be.true;
+    });
+  });
+
+  describe('ревью Pull Request', () => {
+    it('должен ожидать ревью после создания PR', async () => {
+      context.stepResults.prManager = { prCreated: true, merged: false, waitForReview: true, reviewComments: [] };
+
+      const nextState = await transitionManager.determineNextState('1', TASK_STATES.PR_PREPARATION_COMPLETED);
+
+      expect(nextState).to.equal(TASK_STATES.WAITING_FOR_INPUT);
+    });
+
+    it('должен переходить к интеграции обратной связи при наличии комментариев', async () => {
+      context.stepResults.prManager = {
+        prCreated: false,
+        merged: false,
+        waitForReview: true,
+        reviewComments: [{ body: 'Rename this variable', path: 'src/a.js', line: 3 }]
+      };
+
+      const nextState = await transitionManager.determineNextState('1', TASK_STATES.PR_PREPARATION_COMPLETED);
+
+      expect(nextState).to.equal(TASK_STATES.FEEDBACK_INTEGRATION);
+    });
+
+    it('должен завершать задачу после слияния PR', async () => {
+      context.stepResults.prManager = { prCreated: false, merged: true, waitForReview: false, reviewComments: [] };
+
+      const nextState = await transitionManager.determineNextState('1', TASK_STATES.PR_PREPARATION_COMPLETED);
+
+      expect(nextState).to.equal(TASK_STATES.COMPLETED);
+    });
+
+    it('должен отправлять замечания ревьюеров на исправление', async () => {
+      context.stepResults.feedbackIntegrator = { requiresCodeChanges: true, requiresPrUpdate: false };
+
+      const nextState = await transitionManager.determineNextState('1', TASK_STATES.FEEDBACK_INTEGRATION_COMPLETED);
+
+      expect(nextState).to.equal(TASK_STATES.ERROR_CORRECTION);
+    });
+
+    it('должен снова ожидать ревью, если исправления не требуются', async () => {
+      context.data.pullRequest = { merged: false, awaitingReview: true };
+      context.stepResults.feedbackIntegrator = { requiresCodeChanges: false, requiresPrUpdate: false };
+
+      const nextState = await transitionManager.determineNextState('1', TASK_STATES.FEEDBACK_INTEGRATION_COMPLETED);
+
+      expect(nextState).to.equal(TASK_STATES.WAITING_FOR_INPUT);
+    });
+  });
+
+  describe('описание процесса', () => {
+    it('должен начинать задачу с первого шага процесса', async () => {
+      const nextState = await transitionManager.determineNextState('1', TASK_STATES.INITIALIZED);
+
+      expect(nextState).to.equal(TASK_STATES.TASK_UNDERSTANDING);
+    });
+
+    it('должен пропускать выбор технологий для багфиксов в процессе backend', async () => {
+      context.data.workflow = { id: 'backend', version: 1 };
+      context.task = { type: 'bugfix' };
+
+      const nextState = await transitionManager.determineNextState('1', TASK_STATES.TASK_PLANNING_COMPLETED);
+
+      expect(nextState).to.equal(TASK_STATES.CODE_GENERATION);
+    });
+
+    it('должен выполнять тесты до ревью в процессе backend', async () => {
+      context.data.workflow = { id: 'backend', version: 1 };
+      context.task = { type: 'feature' };
+      context.stepResults.testAnalyzer = { gatesPassed: true, iteration: 1 };
+
+      expect(await transitionManager.determineNextState('1', TASK_STATES.TASK_PLANNING_COMPLETED))
+        .to.equal(TASK_STATES.TECHNOLOGY_SELECTION);
+      expect(await transitionManager.determineNextState('1', TASK_STATES.CODE_REFINEMENT_COMPLETED))
+        .to.equal(TASK_STATES.TEST_GENERATION);
+      expect(await transitionManager.determineNextState('1', TASK_STATES.TEST_ANALYSIS_COMPLETED))
+        .to.equal(TASK_STATES.SELF_REVIEW);
+    });
+
+    it('должен возвращать точку ожидания ввода с шагом возобновления', async () => {
+      transitionManager.workflowRegistry.register({
+        id: 'approval',
+        version: 1,
+        steps: [
+          { step: 'taskUnderstanding' },
+          {
+            step: 'taskPlanner',
+            transitions: [
+              { to: '$waitForInput', when: { field: 'task.priority', equals: 'high' }, resume: 'codeGenerator', message: 'Approve the plan' }
+            ]
+          },
+          { step: 'codeGenerator' }
+        ]
+      });
+      context.data.workflow = { id: 'approval', version: 1 };
+      context.task = { priority: 'high' };
+
+      const waitingPoint = await transitionManager.getWaitingPoint('1', TASK_STATES.TASK_PLANNING_COMPLETED);
+
+      expect(waitingPoint).to.deep.equal({ message: 'Approve the plan', resumeState: TASK_STATES.CODE_GENERATION });
+    });
+
+    it('должен завершать задачу после последнего шага процесса', async () => {
+      transitionManager.workflowRegistry.register({
+        id: 'short',
+        version: 1,
+        steps: [{ step: 'taskUnderstanding' }, { step: 'taskPlanner' }]
+      });
+      context.data.workflow = { id: 'short', version: 1 };
+
+      const nextState = await transitionManager.determineNextState('1', TASK_STATES.TASK_PLANNING_COMPLETED);
+
+      expect(nextState).to.equal(TASK_STATES.COMPLETED);
+    });
+
+    it('должен отклонять описание со ссылкой на неизвестный шаг', () => {
+      expect(() => transitionManager.workflowRegistry.register({
+        id: 'broken',
+        version: 1,
+        steps: [{ step: 'taskUnderstanding', next: 'deploy' }]
+      })).to.throw(/unknown step deploy/);
+    });
+
+    it('должен закреплять за задачей процесс, выбранный в настройках проекта', async () => {
+      context.projectId = '5';
+      transitionManager.contextManager.updateContext = sinon.stub().resolves();
+      transitionManager.workflowRegistry.db = {
+        query: sinon.stub().resolves([[{ setting_value: '{"id":"backend"}' }]])
+      };
+
+      const workflow = await transitionManager.assignWorkflow('1');
+
+      expect(workflow.id).to.equal('backend');
+      expect(transitionManager.contextManager.updateContext.calledWith('1', 'data.workflow', { id: 'backend', version: 1 })).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,261 @@
+// tests/unit/core/project-management/field-mapping.test.js
+
+const { expect } = require('chai');
+const { FieldMapping, validateMappings } = require('../../../../src/core/project-management/field-mapping');
+const jiraIntegration = require('../../../../src/core/project-management/jira-integration');
+const githubIntegration = require('../../../../src/core/project-management/github-integration');
+const projectManagementIntegration = require('../../../../src/core/project-management');
+
+describe('Маппинг полей интеграций', () => {
+  // Workflow JIRA с пользовательскими статусами, story points и компонентами
+  const jiraMappings = {
+    status: {
+      toLocal: {
+        'Backlog': 'pending',
+        'Selected for Development': 'pending',
+        'In Review': 'in_progress',
+        'Released': 'completed'
+      }
+    },
+    priority: {
+      toLocal: { 'P1': 'critical', 'P2': 'high', 'P3': 'medium', 'P4': 'low' }
+    },
+    labels: [
+      { label: 'customer-request', tag: 'клиент' },
+      { label: 'tech-debt', tag: 'техдолг' }
+    ],
+    customFields: [
+      { externalField: 'customfield_10016', taskField: 'complexity', transform: 'number' },
+      { externalField: 'components', taskField: 'tags', transform: 'names', direction: 'to-local' },
+      {
+        externalField: 'customfield_10030',
+        taskField: 'git_branch',
+        transform: 'map',
+        values: { 'Main line': 'main', 'Release train': 'release' }
+      }
+    ]
+  };
+
+  const jiraConfig = { baseUrl: 'https://acme.atlassian.net', project: 'BILL', mappings: jiraMappings };
+
+  const jiraIssue = {
+    id: '10042',
+    key: 'BILL-42',
+    fields: {
+      summary: 'Экспорт счетов',
+      description: {
+        type: 'doc',
+        version: 1,
+        content: [{ type: 'paragraph', content: [{ type: 'text', text: 'Добавить выгрузку' }] }]
+      },
+      status: { name: 'In Review' },
+      priority: { name: 'P2' },
+      labels: ['customer-request', 'q3'],
+      customfield_10016: 5,
+      customfield_10030: 'Release train',
+      components: [{ id: '1', name: 'Billing' }, { id: '2', name: 'Reports' }]
+    }
+  };
+
+  describe('FieldMapping', () => {
+    it('должен строить обратную таблицу по первому совпадению и учитывать явный toExternal', () => {
+      const mapping = new FieldMapping({
+        status: { toLocal: { 'Backlog': 'pending', 'Ready': 'pending' }, toExternal: { completed: 'Done' } }
+      });
+
+      expect(mapping.statusToExternal('pending')).to.equal('Backlog');
+      expect(mapping.statusToExternal('completed')).to.equal('Done');
+      expect(mapping.statusToLocal('Ready')).to.equal('pending');
+      expect(mapping.statusToLocal('Unknown', 'pending')).to.equal('pending');
+    });
+
+    it('должен переводить метки в теги и обратно только для связанных меток', () => {
+      const mapping = new FieldMapping(jiraMappings);
+
+      expect(mapping.labelsToTags(['q3', 'tech-debt', 'customer-request'])).to.deep.equal(['техдолг', 'клиент']);
+      expect(mapping.tagsToLabels(['клиент', 'срочно'])).to.deep.equal(['customer-request']);
+    });
+
+    it('должен находить только действительно изменившиеся пользовательские поля', () => {
+      const mapping = new FieldMapping(jiraMappings);
+
+      const changed = mapping.changedCustomFields(
+        { complexity: 8, git_branch: 'release', tags: ['Billing'] },
+        jiraIssue.fields
+      );
+
+      expect(changed).to.deep.equal({ customfield_10016: 8 });
+    });
+  });
+
+  describe('validateMappings', () => {
+    it('должен сообщать о неизвестных статусах, полях, преобразованиях и направлениях', () => {
+      const errors = validateMappings({
+        status: { toLocal: { 'In Review': 'review' } },
+        priority: { toExternal: { urgent: 'P0' } },
+        labels: [{ label: 'bug', tag: 'ошибка' }, { label: 'bug', tag: 'баг' }],
+        customFields: [
+          { externalField: 'customfield_1', taskField: 'story_points' },
+          { externalField: 'customfield_2', taskField: 'complexity', transform: 'float', direction: 'sideways' },
+          { externalField: 'customfield_3', taskField: 'git_branch', transform: 'map' }
+        ]
+      });
+
+      expect(errors).to.deep.equal([
+        'status.toLocal["In Review"]: unknown task status "review"',
+        'priority.toExternal: unknown task priority "urgent"',
+        'labels[1]: label "bug" is mapped more than once',
+        'customFields[0]: unknown task field "story_points". Expected one of: title, description, priority, due_date, estimated_hours, actual_hours, complexity, progress, git_branch, tags',
+        'customFields[1]: unknown transform "float". Expected one of: none, string, number, integer, boolean, date, option, options, names, list, map',
+        'customFields[1]: unknown direction "sideways". Expected one of: both, to-local, to-external',
+        'customFields[2]: values are required for the map transform'
+      ]);
+      expect(validateMappings(jiraMappings)).to.deep.equal([]);
+    });
+  });
+
+  describe('JIRA', () => {
+    it('должен импортировать задачу с пользовательскими статусами, полями и компонентами', async () => {
+      const task = await jiraIntegration.mapExternalTaskToLocal(jiraIssue, jiraConfig);
+
+      expect(task).to.deep.include({
+        status: 'in_progress',
+        priority: 'high',
+        complexity: 5,
+        git_branch: 'release',
+        tags: ['клиент', 'Billing', 'Reports']
+      });
+    });
+
+    it('должен сохранять прежнее поведение без маппинга в конфигурации', async () => {
+      const task = await jiraIntegration.mapExternalTaskToLocal({
+        ...jiraIssue,
+        fields: { ...jiraIssue.fields, status: { name: 'Done' }, priority: { name: 'Highest' } }
+      }, { baseUrl: 'https://acme.atlassian.net', statusMapping: { 'Done': 'completed' } });
+
+      expect(task).to.include({ status: 'completed', priority: 'critical' });
+      expect(task).to.not.have.property('tags');
+      expect(task).to.not.have.property('complexity');
+    });
+
+    it('должен передавать пользовательские поля и метки при создании и изменении задачи', () => {
+      const created = jiraIntegration.mapTaskToJiraIssue({
+        title: 'Экспорт счетов',
+        priority: 'critical',
+        complexity: 3,
+        git_branch: 'main',
+        tags: ['техдолг', 'Billing']
+      }, jiraConfig);
+
+      expect(created.fields).to.deep.include({
+        priority: { name: 'P1' },
+        labels: ['tech-debt'],
+        customfield_10016: 3,
+        customfield_10030: 'Main line'
+      });
+      expect(created.fields).to.not.have.property('components');
+
+      const update = jiraIntegration.mapTaskToJiraUpdate({
+        title: 'Экспорт счетов',
+        description: 'Добавить выгрузку',
+        priority: 'high',
+        complexity: 5,
+        git_branch: 'release',
+        tags: ['техдолг']
+      }, jiraIssue, jiraConfig);
+
+      expect(update.fields).to.deep.equal({ labels: ['q3', 'tech-debt'] });
+    });
+  });
+
+  describe('GitHub', () => {
+    const githubConfig = {
+      mappings: {
+        status: {
+          toLocal: { 'open': 'pending', 'status:in-progress': 'in_progress', 'closed': 'completed' },
+          toExternal: { failed: 'closed' }
+        },
+        labels: [{ label: 'bug', tag: 'ошибка' }],
+        customFields: [{ externalField: 'milestone.title', taskField: 'git_branch', transform: 'string' }]
+      }
+    };
+
+    const githubIssue = {
+      id: 501,
+      number: 7,
+      title: 'Экспорт счетов',
+      body: 'Добавить выгрузку',
+      state: 'open',
+      html_url: 'https://github.com/acme/billing/issues/7',
+      labels: [{ name: 'status:in-progress' }, { name: 'bug' }, { name: 'priority:high' }, { name: 'frontend' }],
+      milestone: { title: 'release-2.4' }
+    };
+
+    it('должен отдавать приоритет метке статуса перед состоянием задачи', async () => {
+      const task = await githubIntegration.mapExternalTaskToLocal(githubIssue, githubConfig);
+
+      expect(task).to.deep.include({
+        status: 'in_progress',
+        priority: 'high',
+        git_branch: 'release-2.4',
+        tags: ['ошибка']
+      });
+    });
+
+    it('должен менять метки статуса, приоритета и тегов, сохраняя остальные', () => {
+      const update = githubIntegration.mapTaskToGithubUpdate({
+        title: githubIssue.title,
+        description: githubIssue.body,
+        status: 'failed',
+        priority: 'low',
+        tags: [],
+        git_branch: 'release-2.5'
+      }, githubIssue, githubConfig);
+
+      // Вложенные пути пользовательских полей только читаются
+      expect(update).to.deep.equal({
+        state: 'closed',
+        labels: ['frontend', 'priority:low']
+      });
+    });
+  });
+
+  describe('предпросмотр', () => {
+    it('должен возвращать ошибки проверяемого маппинга без преобразования примера', async () => {
+      const result = await projectManagementIntegration.previewFieldMappings('jira', jiraConfig, {
+        mappings: { status: { toLocal: { 'Released': 'shipped' } } },
+        sample: jiraIssue
+      });
+
+      expect(result).to.deep.equal({
+        valid: false,
+        errors: ['status.toLocal["Released"]: unknown task status "shipped"']
+      });
+    });
+
+    it('должен показывать результат импорта и создания задачи по маппингу', async () => {
+      const result = await projectManagementIntegration.previewFieldMappings('jira', jiraConfig, {
+        sample: jiraIssue,
+        task: { title: 'Отчет', priority: 'low', due_date: '2024-07-01', complexity: 2 }
+      });
+
+      expect(result.valid).to.be.true;
+      expect(result.mappings.priority.toExternal).to.include({ low: 'P4', critical: 'P1' });
+      expect(result.local).to.include({ status: 'in_progress', complexity: 5 });
+      expect(result.external.fields).to.deep.include({
+        priority: { name: 'P4' },
+        duedate: '2024-07-01',
+        customfield_10016: 2
+      });
+    });
+
+    it('должен отклонять провайдеры без настраиваемого маппинга', async () => {
+      try {
+        await projectManagementIntegration.previewFieldMappings('gitlab', {}, { sample: {} });
+        expect.fail('Ожидалась ошибка');
+      } catch (error) {
+        expect(error.message).to.equal('Field mappings are not supported for provider: gitlab');
+      }
+    });
+  });
+});
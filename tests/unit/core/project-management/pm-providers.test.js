@@ -0,0 +1,330 @@
+// tests/unit/core/project-management/pm-providers.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const http = require('http');
+const logger = require('../../../../src/utils/logger');
+const gitlabIntegration = require('../../../../src/core/project-management/gitlab-integration');
+const azureDevopsIntegration = require('../../../../src/core/project-management/azure-devops-integration');
+const jiraIntegration = require('../../../../src/core/project-management/jira-integration');
+
+/**
+ * HTTP-заглушка API: записывает запросы и отвечает по таблице маршрутов
+ * "МЕТОД путь" (путь без query-строки).
+ */
+function createStandIn() {
+  const standIn = { requests: [], routes: {} };
+
+  standIn.server = http.createServer((req, res) => {
+    let body = '';
+
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body: body ? JSON.parse(body) : null
+      };
+      const route = standIn.routes[`${req.method} ${url.pathname}`];
+      const [status, data] = route ? route(request) : [404, { message: '404 Not Found' }];
+
+      standIn.requests.push(request);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    });
+  });
+
+  return new Promise(resolve => {
+    standIn.server.listen(0, '127.0.0.1', () => {
+      standIn.baseUrl = `http://127.0.0.1:${standIn.server.address().port}`;
+      resolve(standIn);
+    });
+  });
+}
+
+describe('Провайдеры систем управления проектами', () => {
+  let standIn;
+
+  beforeAll(async () => {
+    standIn = await createStandIn();
+  });
+
+  afterAll(done => {
+    standIn.server.close(done);
+  });
+
+  beforeEach(() => {
+    sinon.stub(logger, 'error');
+    standIn.requests = [];
+    standIn.routes = {};
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('GitLab', () => {
+    let config;
+
+    const issue = {
+      id: 90017,
+      iid: 12,
+      title: 'Экспорт счетов в CSV',
+      description: 'Добавить выгрузку',
+      state: 'opened',
+      labels: ['priority:medium', 'backend'],
+      due_date: '2024-07-01',
+      web_url: 'https://gitlab.example.com/acme/billing/-/issues/12'
+    };
+
+    beforeEach(() => {
+      config = { baseUrl: standIn.baseUrl, token: 'glpat-test', projectId: 'acme/billing', defaultLabels: ['biz360'] };
+    });
+
+    it('должен создавать задачу с метками, сроком и токеном в заголовке', async () => {
+      standIn.routes['POST /api/v4/projects/acme%2Fbilling/issues'] = () => [201, issue];
+
+      const result = await gitlabIntegration.createTask({
+        id: 5,
+        title: 'Экспорт счетов в CSV',
+        description: 'Добавить выгрузку',
+        priority: 'medium',
+        task_type: 'feature',
+        due_date: new Date('2024-07-01T00:00:00Z')
+      }, config);
+
+      expect(result).to.include({ success: true, externalId: '12', externalUrl: issue.web_url });
+
+      const [request] = standIn.requests;
+      expect(request.headers['private-token']).to.equal('glpat-test');
+      expect(request.body).to.deep.equal({
+        title: 'Экспорт счетов в CSV',
+        description: 'Добавить выгрузку',
+        labels: 'priority:medium,type:feature,biz360',
+        due_date: '2024-07-01'
+      });
+    });
+
+    it('должен обновлять только измененные поля и закрывать задачу событием', async () => {
+      standIn.routes['GET /api/v4/projects/acme%2Fbilling/issues/12'] = () => [200, issue];
+      standIn.routes['PUT /api/v4/projects/acme%2Fbilling/issues/12'] = () => [200, { ...issue, state: 'closed' }];
+
+      await gitlabIntegration.updateTask({
+        id: 5,
+        title: issue.title,
+        description: issue.description,
+        status: 'completed',
+        priority: 'high',
+        due_date: '2024-07-01'
+      }, '12', config);
+
+      expect(standIn.requests.map(request => request.method)).to.deep.equal(['GET', 'PUT']);
+      expect(standIn.requests[1].body).to.deep.equal({
+        state_event: 'close',
+        add_labels: 'priority:high',
+        remove_labels: 'priority:medium'
+      });
+    });
+
+    it('должен импортировать задачи с фильтрами и преобразовывать их в задачи BIZ360', async () => {
+      standIn.routes['GET /api/v4/projects/acme%2Fbilling/issues'] = () => [200, [issue]];
+
+      const issues = await gitlabIntegration.importTasks(7, config, { state: 'open', labels: 'backend', since: '2024-06-01T00:00:00Z' });
+      const task = await gitlabIntegration.mapExternalTaskToLocal(issues[0], { statusMapping: { backend: 'pending' } });
+
+      expect(standIn.requests[0].query).to.deep.equal({
+        state: 'opened',
+        page: '1',
+        per_page: '30',
+        labels: 'backend',
+        updated_after: '2024-06-01T00:00:00Z'
+      });
+      expect(task).to.deep.include({
+        title: 'Экспорт счетов в CSV',
+        external_id: '12',
+        external_url: issue.web_url,
+        priority: 'medium',
+        status: 'pending'
+      });
+      expect(task.due_date.toISOString()).to.equal('2024-07-01T00:00:00.000Z');
+    });
+
+    it('должен передавать сообщение об ошибке API', async () => {
+      standIn.routes['POST /api/v4/projects/acme%2Fbilling/issues'] = () => [400, { message: { title: ["can't be blank"] } }];
+
+      try {
+        await gitlabIntegration.createTask({ id: 5, title: '' }, config);
+        expect.fail('Ожидалась ошибка');
+      } catch (error) {
+        expect(error.message).to.equal("GitLab API error (400): title can't be blank");
+      }
+    });
+  });
+
+  describe('JIRA', () => {
+    const jiraIssue = {
+      id: '10042',
+      key: 'BILL-42',
+      fields: {
+        summary: 'Экспорт счетов',
+        description: null,
+        status: { name: 'Backlog' },
+        priority: { name: 'Medium' }
+      }
+    };
+
+    it('должен менять статус задачи переходом workflow из маппинга статусов', async () => {
+      sinon.stub(logger, 'warn');
+
+      const config = {
+        baseUrl: standIn.baseUrl,
+        email: 'bot@acme.test',
+        apiToken: 'jira-token',
+        mappings: { status: { toLocal: { 'Backlog': 'pending', 'In Review': 'in_progress' } } }
+      };
+
+      standIn.routes['GET /rest/api/3/issue/10042'] = () => [200, jiraIssue];
+      standIn.routes['PUT /rest/api/3/issue/10042'] = () => [200, {}];
+      standIn.routes['GET /rest/api/3/issue/10042/transitions'] = () => [200, {
+        transitions: [
+          { id: '21', name: 'Start review', to: { name: 'In Review' } },
+          { id: '31', name: 'Release', to: { name: 'Released' } }
+        ]
+      }];
+      standIn.routes['POST /rest/api/3/issue/10042/transitions'] = () => [204, {}];
+
+      await jiraIntegration.updateTask({
+        id: 5,
+        title: 'Экспорт счетов',
+        description: '',
+        status: 'in_progress'
+      }, '10042', config);
+
+      const transition = standIn.requests.find(request => request.method === 'POST');
+      expect(transition.body).to.deep.equal({ transition: { id: '21' } });
+
+      // Статус без доступного перехода не меняется
+      standIn.requests = [];
+      config.mappings.status.toExternal = { completed: 'Closed' };
+
+      await jiraIntegration.updateTask({ id: 5, title: 'Экспорт счетов', description: '', status: 'completed' }, '10042', config);
+
+      expect(standIn.requests.some(request => request.method === 'POST')).to.be.false;
+      expect(logger.warn.calledOnce).to.be.true;
+    });
+  });
+
+  describe('Azure DevOps', () => {
+    let config;
+
+    const workItem = {
+      id: 341,
+      fields: {
+        'System.Title': 'Отчет по продажам',
+        'System.Description': '<div>Первая строка</div><div>Вторая &amp; третья</div>',
+        'System.State': 'Active',
+        'Microsoft.VSTS.Common.Priority': 2,
+        'Microsoft.VSTS.Scheduling.DueDate': '2024-07-15T00:00:00Z'
+      }
+    };
+
+    beforeEach(() => {
+      config = {
+        baseUrl: standIn.baseUrl,
+        organization: 'acme',
+        project: 'Sales CRM',
+        personalAccessToken: 'pat-test',
+        areaPath: 'Sales CRM\\Backend'
+      };
+    });
+
+    it('должен создавать рабочий элемент через JSON Patch с базовой аутентификацией', async () => {
+      standIn.routes['POST /acme/Sales%20CRM/_apis/wit/workitems/$Task'] = () => [200, workItem];
+
+      const result = await azureDevopsIntegration.createTask({
+        id: 9,
+        title: 'Отчет по продажам',
+        description: 'Первая строка\nВторая & третья',
+        priority: 'high',
+        task_type: 'feature'
+      }, config);
+
+      expect(result).to.include({
+        success: true,
+        externalId: '341',
+        externalUrl: `${standIn.baseUrl}/acme/Sales%20CRM/_workitems/edit/341`
+      });
+
+      const [request] = standIn.requests;
+      expect(request.query['api-version']).to.equal('7.0');
+      expect(request.headers['content-type']).to.equal('application/json-patch+json');
+      expect(request.headers.authorization).to.equal(`Basic ${Buffer.from(':pat-test').toString('base64')}`);
+      expect(request.body).to.deep.equal([
+        { op: 'add', path: '/fields/System.Title', value: 'Отчет по продажам' },
+        { op: 'add', path: '/fields/System.Description', value: '<div>Первая строка</div><div>Вторая &amp; третья</div>' },
+        { op: 'add', path: '/fields/Microsoft.VSTS.Common.Priority', value: 2 },
+        { op: 'add', path: '/fields/System.AreaPath', value: 'Sales CRM\\Backend' },
+        { op: 'add', path: '/fields/System.Tags', value: 'type:feature' }
+      ]);
+    });
+
+    it('должен обновлять только измененные поля рабочего элемента', async () => {
+      standIn.routes['GET /acme/Sales%20CRM/_apis/wit/workitems/341'] = () => [200, workItem];
+      standIn.routes['PATCH /acme/Sales%20CRM/_apis/wit/workitems/341'] = () => [200, workItem];
+
+      await azureDevopsIntegration.updateTask({
+        id: 9,
+        title: 'Отчет по продажам',
+        description: 'Первая строка\nВторая & третья',
+        status: 'completed',
+        priority: 'high',
+        due_date: new Date('2024-07-15T00:00:00Z')
+      }, '341', config);
+
+      expect(standIn.requests[1].body).to.deep.equal([
+        { op: 'add', path: '/fields/System.State', value: 'Closed' }
+      ]);
+    });
+
+    it('должен импортировать рабочие элементы через WIQL и преобразовывать их в задачи BIZ360', async () => {
+      standIn.routes['POST /acme/Sales%20CRM/_apis/wit/wiql'] = () => [200, { workItems: [{ id: 341 }, { id: 342 }] }];
+      standIn.routes['GET /acme/Sales%20CRM/_apis/wit/workitems'] = () => [200, {
+        count: 2,
+        value: [workItem, { id: 342, fields: { 'System.Title': 'Новая задача', 'System.State': 'New' } }]
+      }];
+
+      const items = await azureDevopsIntegration.importTasks(7, config, { status: "Active's", maxResults: 10 });
+      const tasks = await Promise.all(items.map(item => azureDevopsIntegration.mapExternalTaskToLocal(item, config)));
+
+      const [wiql, batch] = standIn.requests;
+      expect(wiql.query.$top).to.equal('10');
+      expect(wiql.body.query).to.equal(
+        "SELECT [System.Id] FROM WorkItems WHERE [System.TeamProject] = @project AND [System.WorkItemType] = 'Task' " +
+        "AND [System.State] = 'Active''s' ORDER BY [System.ChangedDate] DESC"
+      );
+      expect(batch.query.ids).to.equal('341,342');
+
+      expect(tasks[0]).to.deep.include({
+        title: 'Отчет по продажам',
+        description: 'Первая строка\nВторая & третья',
+        external_id: '341',
+        priority: 'high',
+        status: 'in_progress'
+      });
+      expect(tasks[1]).to.deep.include({ title: 'Новая задача', status: 'pending', description: '' });
+    });
+
+    it('должен использовать обратный маппинг статусов из конфигурации', () => {
+      const patch = azureDevopsIntegration.mapTaskToWorkItemUpdate(
+        { title: 'Отчет по продажам', description: '', status: 'completed' },
+        { id: 341, fields: { 'System.Title': 'Отчет по продажам', 'System.State': 'Doing' } },
+        { statusMapping: { 'Doing': 'in_progress', 'Done': 'completed' } }
+      );
+
+      expect(patch).to.deep.equal([{ op: 'add', path: '/fields/System.State', value: 'Done' }]);
+    });
+  });
+});
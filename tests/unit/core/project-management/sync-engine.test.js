@@ -0,0 +1,382 @@
+// tests/unit/core/project-management/sync-engine.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const logger = require('../../../../src/utils/logger');
+const { SyncEngine, CONFLICT_POLICIES } = require('../../../../src/core/project-management/sync-engine');
+const { ValidationError } = require('../../../../src/utils/errors');
+
+/**
+ * Запись модели: поля плюс update/reload, как у экземпляра Sequelize
+ */
+function record(fields) {
+  const instance = { ...fields };
+
+  instance.update = sinon.spy(async values => Object.assign(instance, values));
+  instance.reload = sinon.spy(async () => instance);
+
+  return instance;
+}
+
+describe('SyncEngine', () => {
+  let task, remote, link, provider, models, conflicts, comments, engine;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    task = record({
+      id: 5,
+      project_id: 7,
+      title: 'Экспорт счетов',
+      description: 'Добавить выгрузку',
+      status: 'in_progress',
+      priority: 'medium',
+      assignee_id: null,
+      updated_at: new Date('2024-06-10T10:00:00Z')
+    });
+
+    remote = {
+      title: 'Экспорт счетов',
+      description: 'Добавить выгрузку',
+      status: 'in_progress',
+      priority: 'medium',
+      assignee_id: null,
+      external_updated_at: new Date('2024-06-10T09:00:00Z')
+    };
+
+    link = record({
+      id: 11,
+      task_id: 5,
+      external_id: '12',
+      sync_state: null,
+      sync_log: null,
+      task,
+      integrationType: { id: 2, provider_name: 'github' }
+    });
+
+    conflicts = [];
+    comments = [];
+
+    provider = {
+      getTask: sinon.spy(async () => ({ ...remote })),
+      mapExternalTaskToLocal: sinon.spy(async external => ({ ...external })),
+      updateTask: sinon.spy(async outgoing => {
+        Object.assign(remote, {
+          title: outgoing.title,
+          description: outgoing.description,
+          status: outgoing.status,
+          assignee_id: outgoing.assignee_id
+        });
+
+        return { success: true, externalId: '12', externalData: { ...remote } };
+      }),
+      getComments: sinon.stub().resolves([]),
+      addComment: sinon.spy(async (externalId, body) => ({ id: `r${body.length}`, body }))
+    };
+
+    models = {
+      TaskModel: { findByPk: sinon.stub().resolves(task) },
+      IntegrationTypeModel: { findOne: sinon.stub().resolves({ id: 2, provider_name: 'github' }) },
+      TaskExternalLinkModel: {
+        findAll: sinon.stub().resolves([link]),
+        findByPk: sinon.stub().resolves(link)
+      },
+      TaskSyncConflictModel: {
+        findAll: sinon.spy(async ({ where }) => conflicts.filter(conflict =>
+          conflict.task_external_link_id === where.task_external_link_id && conflict.status === where.status)),
+        findByPk: sinon.spy(async id => conflicts.find(conflict => conflict.id === id) || null),
+        create: sinon.spy(async values => {
+          const conflict = record({ id: conflicts.length + 1, status: 'open', ...values });
+          conflicts.push(conflict);
+          return conflict;
+        })
+      },
+      CommentModel: {
+        findAll: sinon.spy(async () => comments),
+        create: sinon.spy(async values => {
+          const comment = { id: 100 + comments.length, ...values };
+          comments.push(comment);
+          return comment;
+        })
+      },
+      UserModel: { findOne: sinon.stub().resolves(null) }
+    };
+
+    const projectManagement = {
+      providers: { github: provider },
+      getIntegrationConfig: sinon.stub().resolves({ token: 'ghp-test', sync: { commentUserId: 1 } })
+    };
+
+    engine = new SyncEngine(projectManagement, {
+      models,
+      config: { intervalMs: 1000, defaultPolicy: CONFLICT_POLICIES.FLAG, logSize: 3 }
+    });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  /**
+   * Первая синхронизация фиксирует согласованные значения
+   */
+  async function recordBaseline() {
+    await engine.syncLink(link, { source: 'poll' });
+  }
+
+  describe('синхронизация полей', () => {
+    it('должен при первой синхронизации только запоминать значения обеих сторон', async () => {
+      remote.status = 'completed';
+
+      const entry = await engine.syncLink(link, { source: 'poll' });
+
+      expect(entry).to.include({ status: 'synced', source: 'poll', message: 'Baseline recorded' });
+      expect(task.update.called).to.be.false;
+      expect(provider.updateTask.called).to.be.false;
+
+      const state = JSON.parse(link.sync_state);
+      expect(state.fields.local.status).to.equal('in_progress');
+      expect(state.fields.remote.status).to.equal('completed');
+      expect(state.comments).to.deep.equal({ local: [], remote: [] });
+    });
+
+    it('должен переносить изменения, сделанные только на одной стороне', async () => {
+      await recordBaseline();
+
+      task.title = 'Экспорт счетов в CSV';
+      remote.status = 'completed';
+
+      const entry = await engine.syncLink(link, { source: 'webhook' });
+
+      expect(entry).to.deep.include({ status: 'synced', pushed: ['title'], pulled: ['status'], conflicts: [] });
+      expect(task.status).to.equal('completed');
+      expect(task.last_sync_from).to.equal('github:12');
+
+      // Во внешнюю систему уходит только заголовок, статус берется из внешней задачи
+      const outgoing = provider.updateTask.firstCall.args[0];
+      expect(outgoing).to.include({ title: 'Экспорт счетов в CSV', status: 'completed' });
+      expect(remote.title).to.equal('Экспорт счетов в CSV');
+    });
+
+    it('должен помечать конфликт, если поле изменено на обеих сторонах', async () => {
+      await recordBaseline();
+
+      task.description = 'Выгрузка в CSV и XLSX';
+      remote.description = 'Выгрузка только в CSV';
+
+      const entry = await engine.syncLink(link);
+
+      expect(entry).to.deep.include({ status: 'conflict', conflicts: ['description'], pushed: [], pulled: [] });
+      expect(provider.updateTask.called).to.be.false;
+      expect(conflicts).to.have.length(1);
+      expect(conflicts[0]).to.include({
+        field: 'description',
+        task_id: 5,
+        base_value: '"Добавить выгрузку"',
+        local_value: '"Выгрузка в CSV и XLSX"',
+        remote_value: '"Выгрузка только в CSV"'
+      });
+      expect(link.last_sync_status).to.equal('conflict');
+
+      // Повторная синхронизация обновляет открытый конфликт, а не создает новый
+      remote.description = 'Выгрузка только в CSV (уточнено)';
+      await engine.syncLink(link);
+
+      expect(conflicts).to.have.length(1);
+      expect(conflicts[0].remote_value).to.equal('"Выгрузка только в CSV (уточнено)"');
+    });
+
+    it('должен закрывать конфликт, когда стороны пришли к одному значению', async () => {
+      await recordBaseline();
+
+      task.description = 'Выгрузка в CSV';
+      remote.description = 'Выгрузка в XLSX';
+      await engine.syncLink(link);
+
+      remote.description = 'Выгрузка в CSV';
+      const entry = await engine.syncLink(link);
+
+      expect(entry.status).to.equal('synced');
+      expect(conflicts[0]).to.include({ status: 'resolved', resolution: 'agreed' });
+      expect(JSON.parse(link.sync_state).fields.local.description).to.equal('Выгрузка в CSV');
+    });
+
+    it('должен применять политику интеграции и политики отдельных полей', async () => {
+      engine.projectManagement.getIntegrationConfig.resolves({
+        sync: { policy: CONFLICT_POLICIES.NEWEST_WINS, fieldPolicies: { title: CONFLICT_POLICIES.LOCAL_WINS } }
+      });
+
+      await recordBaseline();
+
+      task.title = 'Заголовок BIZ360';
+      task.status = 'blocked';
+      remote.title = 'Заголовок трекера';
+      remote.status = 'completed';
+      remote.external_updated_at = new Date('2024-06-10T11:00:00Z');
+
+      const entry = await engine.syncLink(link);
+
+      expect(entry.pushed).to.deep.equal(['title']);
+      expect(entry.pulled).to.deep.equal(['status']);
+      expect(entry.resolved).to.deep.equal([
+        { field: 'title', policy: CONFLICT_POLICIES.LOCAL_WINS, winner: 'local' },
+        { field: 'status', policy: CONFLICT_POLICIES.NEWEST_WINS, winner: 'remote' }
+      ]);
+      expect(task.status).to.equal('completed');
+      expect(remote.title).to.equal('Заголовок BIZ360');
+    });
+
+    it('должен помечать конфликт по политике newest_wins, если время изменения неизвестно', () => {
+      const winner = engine.resolveByPolicy(CONFLICT_POLICIES.NEWEST_WINS, { updated_at: null }, remote);
+
+      expect(winner).to.equal(null);
+    });
+
+    it('должен записывать ошибку синхронизации и ограничивать размер журнала', async () => {
+      await recordBaseline();
+      await engine.syncLink(link);
+      await engine.syncLink(link);
+
+      provider.getTask = sinon.stub().rejects(new Error('GitHub API unavailable'));
+
+      try {
+        await engine.syncLink(link);
+        expect.fail('Ожидалась ошибка');
+      } catch (error) {
+        expect(error.message).to.equal('GitHub API unavailable');
+      }
+
+      const log = JSON.parse(link.sync_log);
+      expect(log).to.have.length(3);
+      expect(log[2]).to.include({ status: 'failed', message: 'GitHub API unavailable' });
+      expect(link).to.include({ last_sync_status: 'failed', last_sync_message: 'GitHub API unavailable' });
+    });
+  });
+
+  describe('комментарии', () => {
+    it('должен переносить новые комментарии в обе стороны', async () => {
+      comments.push({ id: 1, task_id: 5, content: 'Старый комментарий' });
+      provider.getComments.resolves([{ id: 'r-old', body: 'Старый внешний', author: 'maria' }]);
+
+      await recordBaseline();
+
+      comments.push({ id: 2, task_id: 5, content: 'Готово к ревью' });
+      provider.getComments.resolves([
+        { id: 'r-old', body: 'Старый внешний', author: 'maria' },
+        { id: 'r-new', body: 'Проверю сегодня', author: 'maria' }
+      ]);
+
+      const entry = await engine.syncLink(link);
+
+      expect(entry.comments).to.deep.equal({ pushed: 1, pulled: 1, skipped: 0 });
+      expect(provider.addComment.calledOnceWith('12', 'Готово к ревью')).to.be.true;
+
+      // Автор не найден в BIZ360 - комментарий создается от пользователя по умолчанию с именем автора
+      expect(models.CommentModel.create.calledOnceWith({ task_id: 5, user_id: 1, content: 'maria: Проверю сегодня' })).to.be.true;
+
+      // Перенесенные комментарии не отправляются обратно
+      provider.getComments.resolves([
+        { id: 'r-old', body: 'Старый внешний', author: 'maria' },
+        { id: 'r-new', body: 'Проверю сегодня', author: 'maria' },
+        { id: 'r14', body: 'Готово к ревью', author: 'biz360-bot' }
+      ]);
+
+      const repeated = await engine.syncLink(link);
+
+      expect(repeated.comments).to.deep.equal({ pushed: 0, pulled: 0, skipped: 0 });
+    });
+  });
+
+  describe('разрешение конфликтов', () => {
+    beforeEach(async () => {
+      await recordBaseline();
+
+      task.status = 'blocked';
+      remote.status = 'completed';
+      await engine.syncLink(link);
+    });
+
+    it('должен применять выбранное значение на обеих сторонах и закрывать конфликт', async () => {
+      const resolved = await engine.resolveConflict(1, { resolution: 'manual', value: 'review', userId: 3 });
+
+      expect(resolved).to.include({ status: 'resolved', resolution: 'manual', resolvedValue: 'review', resolvedBy: 3 });
+      expect(task.status).to.equal('review');
+      expect(remote.status).to.equal('review');
+
+      const state = JSON.parse(link.sync_state);
+      expect(state.fields.local.status).to.equal('review');
+      expect(state.fields.remote.status).to.equal('review');
+
+      // После разрешения поле синхронизируется без конфликта
+      const entry = await engine.syncLink(link);
+      expect(entry.status).to.equal('synced');
+    });
+
+    it('должен принимать значение внешней системы', async () => {
+      await engine.resolveConflict(1, { resolution: 'remote' });
+
+      expect(task.status).to.equal('completed');
+      expect(provider.updateTask.called).to.be.false;
+    });
+
+    it('должен отклонять повторное разрешение и возвращать null для неизвестного конфликта', async () => {
+      await engine.resolveConflict(1, { resolution: 'local' });
+
+      try {
+        await engine.resolveConflict(1, { resolution: 'remote' });
+        expect.fail('Ожидалась ошибка');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+      }
+
+      expect(await engine.resolveConflict(99, { resolution: 'local' })).to.equal(null);
+    });
+  });
+
+  describe('вебхуки', () => {
+    it('должен определять внешнюю задачу по событию провайдера', () => {
+      expect(engine.getExternalIdFromWebhook('github', { issue: { id: 90017, number: 12 } })).to.equal('90017');
+      expect(engine.getExternalIdFromWebhook('gitlab', { object_kind: 'note', issue: { id: 90017, iid: 12 } })).to.equal('12');
+      expect(engine.getExternalIdFromWebhook('azure-devops', { resource: { id: 5, workItemId: 341 } })).to.equal('341');
+      expect(engine.getExternalIdFromWebhook('jira', {})).to.equal(null);
+    });
+
+    it('должен синхронизировать связи задачи из вебхука', async () => {
+      const result = await engine.handleWebhook('github', { action: 'edited', issue: { id: 12 } });
+
+      expect(result).to.include({ status: 'processed', externalId: '12' });
+      expect(result.results[0]).to.include({ taskId: 5, source: 'webhook', status: 'synced' });
+      expect(models.TaskExternalLinkModel.findAll.firstCall.args[0].where).to.deep.equal({
+        integration_type_id: 2,
+        external_id: '12'
+      });
+    });
+  });
+
+  describe('модели по умолчанию', () => {
+    it('должен находить все используемые модели и их связи в src/models', async () => {
+      const realModels = require('../../../../src/models');
+      const defaultEngine = new SyncEngine({});
+
+      expect(defaultEngine.models).to.equal(realModels);
+
+      for (const name of ['TaskModel', 'CommentModel', 'UserModel', 'IntegrationTypeModel', 'IntegrationLinkModel', 'TaskExternalLinkModel', 'TaskSyncConflictModel']) {
+        expect(realModels[name], name).to.be.a('function');
+      }
+
+      expect(realModels.TaskSyncConflictModel.getTableName()).to.equal('task_sync_conflicts');
+      expect(realModels.TaskExternalLinkModel.rawAttributes).to.include.keys('sync_state', 'sync_log', 'last_sync_status', 'last_sync_message');
+
+      const findAll = sinon.stub(realModels.TaskSyncConflictModel, 'findAll').resolves([]);
+
+      expect(await defaultEngine.listConflicts({ projectId: 7 })).to.deep.equal([]);
+
+      const [task, externalLink] = findAll.firstCall.args[0].include;
+      expect(task.model).to.equal(realModels.TaskSyncConflictModel.associations.task.target);
+      expect(externalLink.model).to.equal(realModels.TaskSyncConflictModel.associations.externalLink.target);
+      expect(externalLink.include[0].model).to.equal(realModels.TaskExternalLinkModel.associations.integrationType.target);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+// tests/unit/core/project-understanding/architecture-analyzer.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs').promises;
+const { pool } = require('../../../../src/config/db.config');
+const logger = require('../../../../src/utils/logger');
+const ArchitectureAnalyzer = require('../../../../src/core/project-understanding/architecture-analyzer');
+
+describe('ArchitectureAnalyzer', () => {
+  const sources = [
+    { path: 'src/config/db.js', content: "const mysql = require('mysql2/promise');\nmodule.exports = { pool: mysql.createPool({}) };" },
+    { path: 'src/app.js', content: "const express = require('express');\nconst userRoutes = require('./routes/user.routes');" },
+    { path: 'src/routes/user.routes.js', content: "const router = require('express').Router();\nconst userController = require('../controllers/user.controller');" },
+    { path: 'src/routes/order.routes.js', content: "const router = require('express').Router();\nconst orderController = require('../controllers/order.controller');" },
+    { path: 'src/controllers/user.controller.js', content: "const userService = require('../services/user.service');\nasync function getUser(req, res) {}\nmodule.exports = { getUser };" },
+    { path: 'src/controllers/order.controller.js', content: "const Order = require('../models/order.model');\nasync function listOrders(req, res) {}\nmodule.exports = { listOrders };" },
+    { path: 'src/services/user.service.js', content: "const User = require('../models/user.model');\nclass UserService {\n  async findUser(id) { return User.findByPk(id); }\n}\nmodule.exports = new UserService();" },
+    { path: 'src/models/user.model.js', content: "const { Model } = require('sequelize');\nclass User extends Model {}\nmodule.exports = User;" },
+    { path: 'src/models/order.model.js', content: "const { Model } = require('sequelize');\nclass Order extends Model {}\nmodule.exports = Order;" },
+    { path: 'src/utils/date-format.js', content: 'function formatDate(date) { return date; }\nmodule.exports = { formatDate };' },
+    { path: 'tests/unit/user.service.test.js', content: "const { expect } = require('chai');\nconst sinon = require('sinon');" },
+    { path: 'tests/unit/order.controller.test.js', content: "const { expect } = require('chai');" }
+  ];
+
+  let analyzer;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'debug');
+
+    analyzer = new ArchitectureAnalyzer(1);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('должен определять слои, зависимости, маршрутизацию, доступ к данным, тесты и соглашения об именах', () => {
+    const summary = analyzer.buildSummary(sources);
+
+    expect(summary.languages).to.deep.equal({ javascript: { files: 12 } });
+    expect(summary.layers.controllers).to.deep.equal({ files: 2, directories: ['src/controllers'], suffix: '.controller' });
+    expect(summary.layers.config.suffix).to.be.null;
+    expect(summary.dependencies.map(item => `${item.from} -> ${item.to}`)).to.deep.equal([
+      'controllers -> models',
+      'controllers -> services',
+      'routes -> controllers',
+      'services -> models'
+    ]);
+    expect(summary.routing).to.deep.equal({
+      frameworks: ['Express'],
+      directories: ['src/routes'],
+      suffix: '.routes',
+      handlers: 'controllers'
+    });
+    expect(summary.dataAccess.libraries).to.deep.equal([{ name: 'mysql2', kind: 'driver' }, { name: 'sequelize', kind: 'orm' }]);
+    expect(summary.dataAccess.dbModules).to.deep.equal(['src/config/db.js']);
+    expect(summary.dataAccess.encapsulation).to.equal('models');
+    expect(summary.dataAccess.byLayer.controllers).to.deep.equal({ files: 2, direct: 0, models: 1, convention: 'models' });
+    expect(summary.tests).to.deep.equal({
+      files: 2,
+      layout: 'separate',
+      directories: ['tests'],
+      patterns: { javascript: '*.test.js' },
+      frameworks: ['chai', 'sinon']
+    });
+    expect(summary.naming.javascript).to.deep.equal({ files: 'kebab', classes: 'pascal', functions: 'camel' });
+  });
+
+  it('должен сообщать о нарушениях соглашений в изменениях', () => {
+    const summary = analyzer.buildSummary(sources);
+    const knownPaths = new Set(sources.map(source => source.path));
+
+    const violations = analyzer.findViolations(summary, [
+      {
+        path: 'src/controllers/invoice.controller.js',
+        content: [
+          "const { pool } = require('../config/db');",
+          "const mongoose = require('mongoose');",
+          'async function list_invoices(req, res) {',
+          "  const [rows] = await pool.query('SELECT * FROM invoices');",
+          '}'
+        ].join('\n')
+      },
+      { path: 'src/models/invoice.model.js', content: "const userController = require('../controllers/user.controller');" },
+      { path: 'src/services/invoiceService.js', content: 'module.exports = {};' },
+      { path: 'src/services/invoice.service.test.js', content: "const { expect } = require('chai');" }
+    ], knownPaths);
+
+    expect(violations.map(item => [item.rule, item.severity, item.file, item.line])).to.deep.equal([
+      ['data-library', 'warning', 'src/controllers/invoice.controller.js', 2],
+      ['data-access', 'error', 'src/controllers/invoice.controller.js', 1],
+      ['naming', 'warning', 'src/controllers/invoice.controller.js', 3],
+      ['layer-dependency', 'error', 'src/models/invoice.model.js', 1],
+      ['naming', 'warning', 'src/services/invoiceService.js', null],
+      ['naming', 'warning', 'src/services/invoiceService.js', null],
+      ['test-layout', 'warning', 'src/services/invoice.service.test.js', null]
+    ]);
+    expect(violations[1].message).to.contain('src/config/db.js');
+  });
+
+  it('должен не находить нарушений в изменениях, следующих соглашениям', () => {
+    const summary = analyzer.buildSummary(sources);
+
+    const violations = analyzer.findViolations(summary, [
+      {
+        path: 'src/controllers/invoice.controller.js',
+        content: "const Invoice = require('../models/invoice.model');\nasync function listInvoices(req, res) {}"
+      },
+      { path: 'src/models/invoice.model.js', content: "const { Model } = require('sequelize');\nclass Invoice extends Model {}" },
+      { path: 'tests/unit/invoice.controller.test.js', content: "const { expect } = require('chai');" }
+    ], new Set(sources.map(source => source.path)));
+
+    expect(violations).to.deep.equal([]);
+  });
+
+  it('должен сохранять новую версию сводки, только если соглашения изменились', async () => {
+    const query = sinon.stub(pool, 'query');
+    sinon.stub(fs, 'readFile').callsFake(async (filePath) => sources.find(source => filePath.endsWith(source.path)).content);
+
+    query.onCall(0).resolves([sources.map(source => ({ file_path: source.path }))]);
+    query.onCall(1).resolves([[]]);
+    query.onCall(2).resolves([{ insertId: 1 }]);
+
+    const first = await analyzer.refresh('/repo');
+
+    expect(first).to.include({ version: 1, changed: true, filesAnalyzed: 12 });
+    expect(query.getCall(2).args[1].slice(0, 2)).to.deep.equal([1, 1]);
+
+    // Новый файл без изменения соглашений не создает версию
+    sources.push({ path: 'src/utils/string-format.js', content: 'function formatName(name) { return name; }' });
+    query.onCall(3).resolves([sources.map(source => ({ file_path: source.path }))]);
+    query.onCall(4).resolves([[{ version: 1, summary: JSON.stringify(first.summary), summary_hash: first.hash, files_analyzed: 12 }]]);
+
+    const second = await analyzer.refresh('/repo');
+    sources.pop();
+
+    expect(second).to.include({ version: 1, changed: false });
+    expect(query.callCount).to.equal(5);
+  });
+
+  it('должен описывать архитектуру и стиль кода для промптов', () => {
+    const summary = analyzer.buildSummary(sources);
+
+    const description = analyzer.describe(summary);
+    const codeStyle = analyzer.describeCodeStyle(summary);
+
+    expect(description).to.contain('- controllers (контроллеры): src/controllers, суффикс имен файлов ".controller"');
+    expect(description).to.contain('Маршрутизация: Express; маршруты в src/routes; обработчики в слое controllers');
+    expect(description).to.contain('- controllers работают с данными через слой models, без прямых запросов к БД');
+    expect(codeStyle).to.contain('javascript: имена файлов - kebab-case, классы - PascalCase, функции и методы - camelCase');
+    expect(codeStyle).to.contain('В слоях controllers, services не обращайся к БД напрямую, используй слой models');
+  });
+});
@@ -0,0 +1,106 @@
+// tests/unit/core/project-understanding/change-detector.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { pool } = require('../../../../src/config/db.config');
+const logger = require('../../../../src/utils/logger');
+const { GitClient } = require('../../../../src/core/vcs-manager/git-client');
+const ChangeDetector = require('../../../../src/core/project-understanding/change-detector');
+
+describe('ChangeDetector', () => {
+  let detector, gitClient;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+
+    gitClient = {
+      getHeadCommit: sinon.stub().resolves('b'.repeat(40)),
+      getChangedFilesSince: sinon.stub()
+    };
+
+    sinon.stub(pool, 'query').resolves([[{ last_commit: 'a'.repeat(40) }]]);
+
+    detector = new ChangeDetector(3, '/tmp/projects/demo', { gitClient });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('определение изменений', () => {
+    it('должен возвращать измененные и удаленные файлы с учетом переименований', async () => {
+      gitClient.getChangedFilesSince.resolves({
+        success: true,
+        changedFiles: [
+          { path: 'src/a.js', operation: 'modified' },
+          { path: 'src/old.js', operation: 'deleted' },
+          { path: 'src/new-name.js', oldPath: 'src/old-name.js', operation: 'renamed' },
+          { path: 'src/untracked.js', operation: 'added' }
+        ]
+      });
+
+      const changes = await detector.detectChanges();
+
+      expect(changes.mode).to.equal('incremental');
+      expect(changes.fromCommit).to.equal('a'.repeat(40));
+      expect(changes.headCommit).to.equal('b'.repeat(40));
+      expect(changes.changed).to.deep.equal(['src/a.js', 'src/new-name.js', 'src/untracked.js']);
+      expect(changes.deleted).to.deep.equal(['src/old.js', 'src/old-name.js']);
+      expect(pool.query.firstCall.args[1]).to.deep.equal([3, 'code-index']);
+    });
+
+    it('должен требовать полную индексацию для неиндексированного проекта', async () => {
+      pool.query.resolves([[]]);
+
+      const changes = await detector.detectChanges();
+
+      expect(changes.mode).to.equal('full');
+      expect(changes.reason).to.equal('not-indexed');
+      expect(gitClient.getChangedFilesSince.called).to.be.false;
+    });
+
+    it('должен требовать полную индексацию, если коммит исчез из истории', async () => {
+      gitClient.getChangedFilesSince.resolves({ success: false, error: 'Commit not found in repository' });
+
+      const changes = await detector.detectChanges();
+
+      expect(changes.mode).to.equal('full');
+      expect(changes.reason).to.equal('diff-failed');
+      expect(changes.headCommit).to.equal('b'.repeat(40));
+    });
+
+    it('должен требовать полную индексацию для проекта без Git и при принудительном запуске', async () => {
+      expect((await detector.detectChanges({ force: true })).reason).to.equal('forced');
+
+      gitClient.getHeadCommit.resolves(null);
+      expect((await detector.detectChanges()).reason).to.equal('not-a-git-repository');
+    });
+  });
+
+  describe('сохранение коммита', () => {
+    it('должен сохранять коммит последней индексации для индексатора', async () => {
+      await detector.markIndexed('c'.repeat(40));
+
+      expect(pool.query.firstCall.args[0]).to.include('ON DUPLICATE KEY UPDATE');
+      expect(pool.query.firstCall.args[1]).to.deep.equal([3, 'code-index', 'c'.repeat(40)]);
+    });
+
+    it('не должен сохранять состояние для проекта без Git', async () => {
+      await detector.markIndexed(null);
+
+      expect(pool.query.called).to.be.false;
+    });
+  });
+
+  describe('разбор git diff', () => {
+    it('должен разбирать переименования и удаления', () => {
+      const client = Object.create(GitClient.prototype);
+
+      const files = client._parseNameStatus('M\tsrc/a.js\nD\tsrc/b.js\nR087\tsrc/old.js\tsrc/new.js\n');
+
+      expect(files).to.deep.include({ path: 'src/b.js', operation: 'deleted', status: 'D' });
+      expect(files[2]).to.include({ path: 'src/new.js', oldPath: 'src/old.js', operation: 'renamed' });
+    });
+  });
+});
@@ -0,0 +1,78 @@
+// tests/unit/core/project-understanding/code-indexer.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { pool } = require('../../../../src/config/db.config');
+const logger = require('../../../../src/utils/logger');
+const CodeIndexer = require('../../../../src/core/project-understanding/code-indexer');
+
+describe('CodeIndexer', () => {
+  let indexer, connection;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'error');
+
+    connection = {
+      query: sinon.stub().resolves([[
+        { file_path: 'src/user/user.service.js', file_type: 'javascript', code_segment: 'function createUser() {}', start_line: 1, end_line: 3, embedding: [1, 0, 0] },
+        { file_path: 'src/order/order.service.js', file_type: 'javascript', code_segment: 'function createOrder() {}', start_line: 1, end_line: 5, embedding: '[0.6, 0.8, 0]' },
+        { file_path: 'docs/users.md', file_type: 'markdown', code_segment: '# Users', start_line: 1, end_line: 1, embedding: [0, 0, 1] }
+      ]]),
+      release: sinon.stub()
+    };
+
+    sinon.stub(pool, 'getConnection').resolves(connection);
+
+    indexer = new CodeIndexer(7);
+    sinon.stub(indexer, 'createEmbedding').resolves([0.8, 0.6, 0]);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('семантический поиск', () => {
+    it('должен ранжировать сегменты по косинусному сходству и отсекать по порогу', async () => {
+      const results = await indexer.searchSimilarCode('create user', { threshold: 0.5 });
+
+      expect(results.map(result => result.file_path)).to.deep.equal([
+        'src/order/order.service.js',
+        'src/user/user.service.js'
+      ]);
+      expect(results[0].score).to.equal(0.96);
+      expect(connection.release.calledOnce).to.be.true;
+    });
+
+    it('должен фильтровать по типу файла и glob-шаблону пути', async () => {
+      const results = await indexer.searchSimilarCode('create user', { threshold: 0, fileTypes: ['javascript'], pathGlob: 'src/user/**' });
+
+      expect(connection.query.firstCall.args[1]).to.deep.equal([7, ['javascript']]);
+      expect(results).to.have.length(1);
+      expect(results[0].file_path).to.equal('src/user/user.service.js');
+    });
+
+    it('должен поддерживать ограничение количества результатов числом', async () => {
+      const results = await indexer.searchSimilarCode('create user', 1);
+
+      expect(results).to.have.length(1);
+    });
+  });
+
+  describe('гибридный поиск', () => {
+    it('должен учитывать совпадения ключевых слов', async () => {
+      const results = await indexer.searchSimilarCode('createuser service', { mode: 'hybrid', threshold: 0, keywordWeight: 0.5 });
+
+      expect(results[0].file_path).to.equal('src/user/user.service.js');
+      expect(results[0].keyword_score).to.equal(1);
+    });
+
+    it('должен искать только по ключевым словам, если эмбеддинг запроса недоступен', async () => {
+      indexer.createEmbedding.resolves([]);
+
+      const results = await indexer.searchSimilarCode('users', { mode: 'hybrid' });
+
+      expect(results.map(result => result.file_path)).to.deep.equal(['docs/users.md']);
+      expect(results[0].similarity).to.equal(0);
+    });
+  });
+});
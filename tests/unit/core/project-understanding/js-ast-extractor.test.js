@@ -0,0 +1,94 @@
+// tests/unit/core/project-understanding/js-ast-extractor.test.js
+
+const { expect } = require('chai');
+const JSAstExtractor = require('../../../../src/core/project-understanding/js-ast-extractor');
+
+describe('JSAstExtractor', () => {
+  let extractor;
+
+  const source = [
+    "const { pool } = require('../db');",
+    '',
+    '/**',
+    ' * Сервис пользователей',
+    ' */',
+    'class UserService extends BaseService {',
+    '  table = "users";',
+    '',
+    '  /**',
+    '   * Создает пользователя',
+    '   */',
+    '  async create(data) {',
+    '    const template = "function fake() { class Fake {} }";',
+    '    return this.repository.save(validate(data)).then(row => row.id);',
+    '  }',
+    '}',
+    '',
+    'const render = ({ name }) => <Greeting onClick={() => track(name)}>{name}</Greeting>;',
+    '',
+    'module.exports = { UserService, render };'
+  ].join('\n');
+
+  beforeEach(() => {
+    extractor = new JSAstExtractor();
+  });
+
+  describe('извлечение символов', () => {
+    it('должен извлекать классы, методы и функции с диапазонами и JSDoc', () => {
+      const { symbols } = extractor.extract(source, { filePath: 'user.service.js' });
+
+      expect(symbols.map(symbol => [symbol.qualifiedName, symbol.kind])).to.deep.equal([
+        ['UserService', 'class'],
+        ['UserService.create', 'method'],
+        ['render', 'function']
+      ]);
+
+      const [service, create] = symbols;
+      expect(service.extends).to.equal('BaseService');
+      expect(service.loc.start.line).to.equal(6);
+      expect(service.loc.end.line).to.equal(16);
+      expect(service.jsdoc).to.contain('Сервис пользователей');
+      expect(create.async).to.be.true;
+      expect(create.params).to.deep.equal(['data']);
+      expect(create.calls).to.deep.equal(['this.repository.save().then', 'this.repository.save', 'validate']);
+    });
+
+    it('должен извлекать импорты require и экспорты CommonJS', () => {
+      const { imports, exports, symbols } = extractor.extract(source, { filePath: 'user.service.js' });
+
+      expect(imports).to.have.length(1);
+      expect(imports[0]).to.include({ source: '../db', kind: 'require' });
+      expect(imports[0].specifiers).to.deep.equal([{ imported: 'pool', local: 'pool' }]);
+      expect(exports.map(item => item.name)).to.deep.equal(['UserService', 'render']);
+      expect(symbols.filter(symbol => symbol.exported).map(symbol => symbol.name)).to.deep.equal(['UserService', 'render']);
+    });
+
+    it('должен разбирать TypeScript с JSX только для .tsx', () => {
+      const typescript = 'export interface Props { name: string }\nexport const cast = <T>(value: unknown) => value as T;';
+
+      const { symbols } = extractor.extract(typescript, { filePath: 'types.ts' });
+
+      expect(symbols.map(symbol => [symbol.name, symbol.kind, symbol.exported])).to.deep.equal([
+        ['Props', 'interface', true],
+        ['cast', 'function', true]
+      ]);
+      expect(extractor.getParserOptions({ filePath: 'view.tsx' }).plugins).to.include.members(['typescript', 'jsx']);
+      expect(extractor.getParserOptions({ filePath: 'types.ts' }).plugins).to.not.include('jsx');
+    });
+  });
+
+  describe('сегментация', () => {
+    it('должен создавать отдельный сегмент для каждого объявления и метода', () => {
+      const segments = extractor.segment(source, { filePath: 'user.service.js' });
+
+      expect(segments.map(segment => [segment.kind, segment.name, segment.start, segment.end])).to.deep.equal([
+        ['imports', null, 1, 1],
+        ['class', 'UserService', 3, 7],
+        ['method', 'UserService.create', 9, 15],
+        ['function', 'render', 18, 18],
+        ['module', null, 20, 20]
+      ]);
+      expect(segments[2].content).to.match(/^\/\*\*/);
+    });
+  });
+});
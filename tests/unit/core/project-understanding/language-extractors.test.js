@@ -0,0 +1,244 @@
+// tests/unit/core/project-understanding/language-extractors.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs').promises;
+const {
+  getLanguageExtractor,
+  getExtractorForFile,
+  listLanguageExtractors
+} = require('../../../../src/core/project-understanding/language-extractors');
+const CodeParser = require('../../../../src/core/project-understanding/code-parser');
+const SymbolGraph = require('../../../../src/core/project-understanding/symbol-graph');
+
+describe('language-extractors', () => {
+  const pythonSource = [
+    'import os',
+    'from .models import User, Order as O',
+    '',
+    '',
+    '@dataclass',
+    'class UserService(BaseService, metaclass=Meta):',
+    '    """Сервис пользователей"""',
+    '',
+    '    table = "users"',
+    '',
+    '    @cached',
+    '    async def get(self, user_id: int, full=False):',
+    '        # def fake(): не объявление',
+    '        user = await self.repo.find(user_id)',
+    '        return super().get(User(user), "(not a call)")',
+    '',
+    '',
+    'def _create_user(data):',
+    '    return UserService(None).get(1)',
+    '',
+    '',
+    'if __name__ == "__main__":',
+    '    _create_user({})'
+  ].join('\n');
+
+  const goSource = [
+    'package auth',
+    '',
+    'import (',
+    '\t"fmt"',
+    '\tdb "github.com/acme/gateway/internal/storage"',
+    ')',
+    '',
+    '// Service проверяет токены',
+    'type Service struct {',
+    '\trepo *db.Repo',
+    '}',
+    '',
+    'func (s *Service) Verify(token string, opts map[string]interface{}) (bool, error) {',
+    '\tif token == "" {',
+    '\t\treturn false, fmt.Errorf("empty {")',
+    '\t}',
+    '\treturn s.check(s.repo.Find(token)), nil',
+    '}',
+    '',
+    'func (s *Service) check(ok bool) bool { return ok }'
+  ].join('\n');
+
+  const javaSource = [
+    'package com.acme.crm.service;',
+    '',
+    'import com.acme.crm.model.User;',
+    '',
+    '/**',
+    ' * Сервис пользователей',
+    ' */',
+    '@Service',
+    'public class UserService extends BaseService {',
+    '    private final int[] limits = {1, 2};',
+    '',
+    '    public UserService(UserRepository repo) {',
+    '        super(repo);',
+    '    }',
+    '',
+    '    @GetMapping("/users/{id}")',
+    '    public Optional<User> findById(@PathVariable("id") Long id, Map<String, List<Integer>> opts) {',
+    '        return Optional.ofNullable(new User(repository.findOne(id)));',
+    '    }',
+    '}'
+  ].join('\n');
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('должен выбирать извлечение структуры по языку и расширению файла', () => {
+    expect(listLanguageExtractors()).to.have.members(['python', 'go', 'java']);
+    expect(getExtractorForFile('services/billing/api.py').language).to.equal('python');
+    expect(getExtractorForFile('src/app.js')).to.be.null;
+    expect(() => getLanguageExtractor('ruby')).to.throw('Неподдерживаемый язык');
+  });
+
+  describe('Python', () => {
+    const extractor = getLanguageExtractor('python');
+
+    it('должен извлекать импорты, классы и методы по отступам вместе с декораторами и docstring', () => {
+      const { imports, symbols, exports } = extractor.extract(pythonSource);
+
+      expect(imports.map(item => [item.source, item.specifiers])).to.deep.equal([
+        ['os', [{ imported: '*', local: 'os' }]],
+        ['.models', [{ imported: 'User', local: 'User' }, { imported: 'Order', local: 'O' }]]
+      ]);
+      expect(symbols.map(symbol => [symbol.qualifiedName, symbol.kind, symbol.loc.start.line, symbol.loc.end.line])).to.deep.equal([
+        ['UserService', 'class', 5, 15],
+        ['UserService.get', 'method', 11, 15],
+        ['_create_user', 'function', 18, 19]
+      ]);
+
+      const [service, get] = symbols;
+      expect(service.extends).to.equal('BaseService');
+      expect(service.jsdoc).to.equal('"""Сервис пользователей"""');
+      expect(get.async).to.be.true;
+      expect(get.params).to.deep.equal(['user_id: int', 'full=False']);
+      expect(get.calls).to.deep.equal(['this.repo.find', 'super.get', 'User']);
+      expect(exports.map(item => item.name)).to.deep.equal(['UserService']);
+    });
+
+    it('должен сегментировать класс по методам', () => {
+      const segments = extractor.segment(pythonSource);
+
+      expect(segments.map(segment => [segment.kind, segment.name, segment.start, segment.end])).to.deep.equal([
+        ['imports', null, 1, 2],
+        ['class', 'UserService', 5, 9],
+        ['method', 'UserService.get', 11, 15],
+        ['function', '_create_user', 18, 19],
+        ['module', null, 22, 23]
+      ]);
+    });
+  });
+
+  describe('Go', () => {
+    const extractor = getLanguageExtractor('go');
+
+    it('должен извлекать импорты пакетов, структуры и методы с получателем', () => {
+      const { imports, symbols, calls } = extractor.extract(goSource);
+
+      expect(imports.map(item => [item.source, item.specifiers[0].local, item.line])).to.deep.equal([
+        ['fmt', 'fmt', 4],
+        ['github.com/acme/gateway/internal/storage', 'db', 5]
+      ]);
+      expect(symbols.map(symbol => [symbol.qualifiedName, symbol.kind, symbol.exported, symbol.loc.start.line, symbol.loc.end.line])).to.deep.equal([
+        ['Service', 'struct', true, 9, 11],
+        ['Service.Verify', 'method', true, 13, 18],
+        ['Service.check', 'method', false, 20, 20]
+      ]);
+      expect(symbols[0].jsdoc).to.equal('// Service проверяет токены');
+      expect(symbols[1].params).to.deep.equal(['token string', 'opts map[string]interface{}']);
+      expect(calls.filter(call => call.caller === 'Service.Verify').map(call => call.callee))
+        .to.deep.equal(['fmt.Errorf', 'this.check', 'this.repo.Find']);
+    });
+
+    it('должен создавать отдельные сегменты для методов, объявленных вне типа', () => {
+      const segments = extractor.segment(goSource);
+
+      expect(segments.map(segment => [segment.kind, segment.name, segment.start, segment.end])).to.deep.equal([
+        ['module', null, 1, 1],
+        ['imports', null, 3, 6],
+        ['struct', 'Service', 8, 11],
+        ['method', 'Service.Verify', 13, 18],
+        ['method', 'Service.check', 20, 20]
+      ]);
+    });
+  });
+
+  describe('Java', () => {
+    const extractor = getLanguageExtractor('java');
+
+    it('должен извлекать классы, конструкторы и методы с Javadoc и без аннотаций в параметрах', () => {
+      const { imports, symbols, calls } = extractor.extract(javaSource);
+
+      expect(imports.map(item => [item.source, item.specifiers])).to.deep.equal([
+        ['com.acme.crm.model.User', [{ imported: 'User', local: 'User' }]]
+      ]);
+      expect(symbols.map(symbol => [symbol.qualifiedName, symbol.kind, symbol.exported, symbol.loc.start.line, symbol.loc.end.line])).to.deep.equal([
+        ['UserService', 'class', true, 8, 20],
+        ['UserService.UserService', 'method', true, 12, 14],
+        ['UserService.findById', 'method', true, 16, 19]
+      ]);
+      expect(symbols[0].extends).to.equal('BaseService');
+      expect(symbols[0].jsdoc).to.contain('Сервис пользователей');
+      expect(symbols[1].methodKind).to.equal('constructor');
+      expect(symbols[2].params).to.deep.equal(['Long id', 'Map<String, List<Integer>> opts']);
+      expect(calls.map(call => [call.caller, call.callee, call.isNew])).to.deep.equal([
+        ['UserService.UserService', 'super', false],
+        ['UserService.findById', 'Optional.ofNullable', false],
+        ['UserService.findById', 'User', true],
+        ['UserService.findById', 'repository.findOne', false]
+      ]);
+    });
+  });
+
+  describe('CodeParser.parseFile', () => {
+    it('должен возвращать структуру Python-файла в формате JavaScript', async () => {
+      sinon.stub(fs, 'readFile').resolves(pythonSource);
+
+      const parser = new CodeParser('/repo', 1);
+      const result = await parser.parseFile(7, '/repo/services/users.py', 'python');
+
+      expect(parser.fileTypes.py).to.equal('python');
+      expect(result.structure.classes).to.deep.equal([{ name: 'UserService', kind: 'class', extends: 'BaseService', line: 5 }]);
+      expect(result.structure.functions.map(item => item.name)).to.deep.equal(['UserService.get', '_create_user']);
+      expect(result.structure.imports).to.have.length(2);
+    });
+  });
+
+  describe('SymbolGraph', () => {
+    it('должен связывать файлы Python, пакеты Go и классы Java', () => {
+      const graph = new SymbolGraph(1);
+      const { references } = graph.buildGraph([
+        { id: 1, path: 'services/app/models.py', content: 'class User(Base):\n    pass\n' },
+        { id: 2, path: 'services/app/base.py', content: 'class Base:\n    pass\n' },
+        { id: 3, path: 'services/app/users.py', content: 'from .models import User\nfrom app import base\n\ndef create(data):\n    return User(base.Base())\n' },
+        { id: 4, path: 'gateway/internal/auth/service.go', content: 'package auth\n\ntype Service struct{}\n\nfunc (s *Service) Verify() bool {\n\treturn s.check()\n}\n' },
+        { id: 5, path: 'gateway/internal/auth/check.go', content: 'package auth\n\nfunc (s *Service) check() bool { return true }\n\nfunc NewService() *Service { return &Service{} }\n' },
+        { id: 6, path: 'gateway/cmd/main.go', content: 'package main\n\nimport "github.com/acme/gateway/internal/auth"\n\nfunc main() {\n\tauth.NewService()\n}\n' },
+        { id: 7, path: 'src/main/java/com/acme/crm/UserService.java', content: 'package com.acme.crm;\nimport com.acme.crm.model.User;\npublic class UserService extends BaseService {\n  public User get() { return new User(); }\n}\n' },
+        { id: 8, path: 'src/main/java/com/acme/crm/BaseService.java', content: 'package com.acme.crm;\npublic abstract class BaseService {}\n' },
+        { id: 9, path: 'src/main/java/com/acme/crm/model/User.java', content: 'package com.acme.crm.model;\npublic class User {}\n' }
+      ]);
+
+      const edges = references.map(reference => `${reference.type} ${reference.sourceFileId}:${reference.sourceSymbol || ''} -> ${reference.targetFileId}:${reference.targetSymbol || ''}`);
+
+      expect(edges).to.include.members([
+        'imports 3: -> 1:',
+        'imports 3: -> 2:',
+        'calls 3:create -> 1:User',
+        'calls 3:create -> 2:Base',
+        'imports 6: -> 4:',
+        'calls 4:Service.Verify -> 5:Service.check',
+        'calls 6:main -> 5:NewService',
+        'imports 7: -> 9:',
+        'calls 7:UserService.get -> 9:User',
+        'extends 7:UserService -> 8:BaseService'
+      ]);
+      expect(graph.isTestFile('gateway/internal/auth/service_test.go')).to.be.true;
+      expect(graph.isTestFile('services/app/test_users.py')).to.be.true;
+    });
+  });
+});
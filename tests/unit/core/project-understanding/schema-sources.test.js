@@ -0,0 +1,264 @@
+// tests/unit/core/project-understanding/schema-sources.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+  SqlMigrationSource,
+  SequelizeModelSource,
+  PostgresSchemaSource,
+  createSchemaSource,
+  listSchemaSources
+} = require('../../../../src/core/project-understanding/schema-sources');
+const SchemaAnalyzer = require('../../../../src/core/project-understanding/schema-analyzer');
+
+const findTable = (tables, name) => tables.find(table => table.name === name);
+const findColumn = (table, name) => table.columns.find(column => column.name === name);
+
+describe('Schema sources', () => {
+  describe('registry', () => {
+    it('should register built-in sources', () => {
+      expect(listSchemaSources()).to.include.members(['mysql', 'postgres', 'sql-migrations', 'sequelize']);
+      expect(createSchemaSource('postgres', { database: 'app' })).to.be.instanceOf(PostgresSchemaSource);
+      expect(() => createSchemaSource('oracle')).to.throw('Неподдерживаемый источник схемы БД: oracle');
+    });
+  });
+
+  describe('SqlMigrationSource', () => {
+    const source = new SqlMigrationSource('sql-migrations', { path: 'migrations' }, { projectPath: '/repo' });
+
+    it('should apply CREATE TABLE, ALTER TABLE and CREATE INDEX in order', () => {
+      const tables = source.applySql(`
+        -- Пользователи
+        CREATE TABLE users (
+          id SERIAL PRIMARY KEY,
+          email character varying(255) NOT NULL UNIQUE,
+          name TEXT
+        );
+
+        CREATE TABLE posts (
+          id BIGINT NOT NULL AUTO_INCREMENT,
+          author_id INT NOT NULL,
+          title VARCHAR(200) DEFAULT 'draft; untitled',
+          PRIMARY KEY (id),
+          CONSTRAINT fk_posts_author FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        ALTER TABLE posts ADD COLUMN published_at TIMESTAMP NULL;
+        ALTER TABLE users RENAME COLUMN name TO full_name;
+        CREATE INDEX idx_posts_published ON posts (published_at);
+      `);
+
+      const users = source.markKeyColumns(tables.get('users'));
+      const posts = source.markKeyColumns(tables.get('posts'));
+
+      expect(users.columns.map(column => column.name)).to.deep.equal(['id', 'email', 'full_name']);
+      expect(findColumn(users, 'email')).to.include({ type: 'character varying(255)', nullable: false, key: 'UNI' });
+      expect(findColumn(users, 'id')).to.include({ key: 'PRI', extra: 'auto_increment' });
+
+      expect(findColumn(posts, 'title').default).to.equal('draft; untitled');
+      expect(findColumn(posts, 'published_at')).to.include({ nullable: true, key: 'MUL' });
+      expect(posts.foreign_keys).to.have.length(1);
+      expect(posts.foreign_keys[0]).to.include({
+        column: 'author_id',
+        referenced_table: 'users',
+        referenced_column: 'id',
+        on_delete: 'CASCADE'
+      });
+      expect(posts.indexes.map(index => index.name)).to.include('idx_posts_published');
+    });
+
+    it('should follow table renames and drops', () => {
+      const tables = source.applySql(`
+        CREATE TABLE accounts (id INT PRIMARY KEY);
+        CREATE TABLE sessions (id INT PRIMARY KEY, account_id INT REFERENCES accounts (id));
+        CREATE TABLE legacy (id INT);
+        ALTER TABLE accounts RENAME TO customers;
+        DROP TABLE IF EXISTS legacy;
+      `);
+
+      expect([...tables.keys()]).to.have.members(['customers', 'sessions']);
+      expect(tables.get('sessions').foreign_keys[0].referenced_table).to.equal('customers');
+    });
+
+    it('should split statements without breaking dollar-quoted bodies', () => {
+      const statements = source.splitStatements(
+        "CREATE FUNCTION f() RETURNS trigger AS $$ BEGIN NEW.a := 'x;y'; RETURN NEW; END; $$ LANGUAGE plpgsql; SELECT 1;"
+      );
+
+      expect(statements).to.have.length(2);
+      expect(source.detectDialect('CREATE TABLE a (id INT) ENGINE=InnoDB')).to.equal('mysql');
+    });
+  });
+
+  describe('SequelizeModelSource', () => {
+    const source = new SequelizeModelSource('sequelize', { path: 'models' }, { projectPath: '/repo' });
+
+    it('should build tables from define() and init() models with associations', () => {
+      const userFile = source.parseModels(`
+        module.exports = (sequelize, DataTypes) => {
+          const User = sequelize.define('User', {
+            email: { type: DataTypes.STRING(120), allowNull: false, unique: true },
+            role: DataTypes.ENUM('admin', 'member'),
+            balance: { type: DataTypes.INTEGER.UNSIGNED, defaultValue: 0 }
+          }, { underscored: true, paranoid: true });
+
+          User.associate = (models) => {
+            User.hasMany(models.Order, { foreignKey: 'buyer_id', onDelete: 'cascade' });
+          };
+
+          return User;
+        };
+      `);
+
+      const orderFile = source.parseModels(`
+        const { Model, DataTypes } = require('sequelize');
+
+        class Order extends Model {
+          static associate(models) {
+            this.belongsTo(models.Store);
+          }
+        }
+
+        Order.init({
+          orderId: { type: DataTypes.UUID, primaryKey: true, field: 'order_id' },
+          total: DataTypes.DECIMAL(10, 2)
+        }, { sequelize, tableName: 'orders', timestamps: false });
+
+        module.exports = Order;
+      `);
+
+      const storeFile = source.parseModels(`
+        module.exports = (sequelize, DataTypes) => sequelize.define('Store', {
+          title: DataTypes.STRING
+        }, { freezeTableName: true });
+      `);
+
+      const tables = source.buildTables(
+        [...userFile.models, ...orderFile.models, ...storeFile.models],
+        [...userFile.associations, ...orderFile.associations, ...storeFile.associations]
+      );
+
+      expect(tables.map(table => table.name)).to.have.members(['users', 'orders', 'Store']);
+
+      const users = findTable(tables, 'users');
+      expect(users.columns.map(column => column.name)).to.deep.equal(
+        ['id', 'email', 'role', 'balance', 'created_at', 'updated_at', 'deleted_at']
+      );
+      expect(findColumn(users, 'email')).to.include({ type: 'VARCHAR(120)', nullable: false, key: 'UNI' });
+      expect(findColumn(users, 'role').type).to.equal("ENUM('admin','member')");
+      expect(findColumn(users, 'balance')).to.include({ type: 'INTEGER UNSIGNED', default: '0' });
+      expect(findColumn(users, 'id')).to.include({ key: 'PRI', extra: 'auto_increment' });
+
+      const orders = findTable(tables, 'orders');
+      expect(orders.columns.map(column => column.name)).to.deep.equal(['order_id', 'total', 'buyer_id', 'StoreId']);
+      expect(findColumn(orders, 'order_id').key).to.equal('PRI');
+      expect(orders.foreign_keys).to.deep.include({
+        column: 'buyer_id',
+        referenced_table: 'users',
+        referenced_column: 'id',
+        on_delete: 'CASCADE',
+        on_update: 'CASCADE'
+      });
+      expect(orders.foreign_keys.find(fk => fk.column === 'StoreId').referenced_table).to.equal('Store');
+    });
+  });
+
+  describe('PostgresSchemaSource', () => {
+    it('should map catalog rows to the common schema format', () => {
+      const source = new PostgresSchemaSource('postgres', { database: 'app' });
+
+      const tables = source.buildTables(
+        [
+          { table_name: 'users', name: 'id', type: 'integer', nullable: false, default_value: "nextval('users_id_seq'::regclass)", identity: '', comment: null },
+          { table_name: 'users', name: 'email', type: 'character varying(255)', nullable: false, default_value: null, identity: '', comment: 'Логин' },
+          { table_name: 'posts', name: 'id', type: 'bigint', nullable: false, default_value: null, identity: 'a', comment: null },
+          { table_name: 'posts', name: 'user_id', type: 'integer', nullable: true, default_value: null, identity: '', comment: null }
+        ],
+        [
+          { table_name: 'users', index_name: 'users_pkey', is_unique: true, is_primary: true, index_type: 'btree', column_name: 'id', position: '1' },
+          { table_name: 'users', index_name: 'users_email_key', is_unique: true, is_primary: false, index_type: 'btree', column_name: 'email', position: '1' }
+        ],
+        [
+          { table_name: 'posts', column_name: 'user_id', referenced_table: 'users', referenced_column: 'id', on_delete: 'c', on_update: 'a' }
+        ]
+      );
+
+      const users = findTable(tables, 'users');
+      const posts = findTable(tables, 'posts');
+
+      expect(findColumn(users, 'id')).to.include({ key: 'PRI', extra: 'auto_increment' });
+      expect(findColumn(users, 'email')).to.include({ key: 'UNI', comment: 'Логин' });
+      expect(users.indexes[0]).to.deep.include({ type: 'BTREE', columns: [{ name: 'id', position: 1 }] });
+      expect(findColumn(posts, 'id').extra).to.equal('auto_increment');
+      expect(findColumn(posts, 'user_id').key).to.equal('MUL');
+      expect(posts.foreign_keys[0]).to.include({ on_delete: 'CASCADE', on_update: 'NO ACTION' });
+    });
+  });
+
+  describe('SchemaAnalyzer', () => {
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('should validate source settings including fallbacks', () => {
+      expect(SchemaAnalyzer.validateSourceConfig({
+        type: 'postgres',
+        host: 'db',
+        database: 'app',
+        passwordEnv: 'APP_DB_PASSWORD',
+        fallback: [{ type: 'sql-migrations', path: 'db/migrations' }]
+      })).to.deep.equal([]);
+
+      expect(SchemaAnalyzer.validateSourceConfig({
+        type: 'mysql',
+        fallback: [{ type: 'sequelize' }, { type: 'oracle' }]
+      })).to.deep.equal([
+        'Для источника mysql необходимо указать database или connectionString',
+        'fallback[0]: Для источника sequelize необходимо указать path',
+        'fallback[1]: Неподдерживаемый источник схемы БД: oracle'
+      ]);
+    });
+
+    it('should fall back to offline sources when the live database is unreachable', async () => {
+      const analyzer = new SchemaAnalyzer(7, {
+        projectPath: '/repo',
+        source: {
+          type: 'mysql',
+          database: 'app',
+          fallback: [{ type: 'sql-migrations', path: 'migrations' }]
+        }
+      });
+
+      const connect = sinon.stub(require('../../../../src/core/project-understanding/schema-sources/mysql-source').prototype, 'connect')
+        .rejects(new Error('connect ECONNREFUSED'));
+      sinon.stub(SqlMigrationSource.prototype, 'readSchema').resolves({
+        dialect: 'postgres',
+        tables: [{ name: 'users', columns: [], indexes: [], foreign_keys: [] }]
+      });
+
+      const schema = await analyzer.readSchema();
+
+      expect(connect.calledOnce).to.be.true;
+      expect(schema).to.include({ source: 'sql-migrations', dialect: 'postgres' });
+      expect(schema.tables).to.have.length(1);
+    });
+
+    it('should report every failed source when none can be read', async () => {
+      const analyzer = new SchemaAnalyzer(7, {
+        projectPath: '/repo',
+        source: { type: 'sequelize', path: 'models', fallback: [{ type: 'sql-migrations', path: 'migrations' }] }
+      });
+
+      sinon.stub(SequelizeModelSource.prototype, 'readSchema').rejects(new Error('нет моделей'));
+      sinon.stub(SqlMigrationSource.prototype, 'readSchema').rejects(new Error('нет миграций'));
+
+      try {
+        await analyzer.readSchema();
+        expect.fail('readSchema должен завершиться ошибкой');
+      } catch (error) {
+        expect(error.message).to.include('sequelize: нет моделей');
+        expect(error.message).to.include('sql-migrations: нет миграций');
+      }
+    });
+  });
+});
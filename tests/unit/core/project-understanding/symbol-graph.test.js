@@ -0,0 +1,156 @@
+// tests/unit/core/project-understanding/symbol-graph.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const SymbolGraph = require('../../../../src/core/project-understanding/symbol-graph');
+
+const SOURCES = [
+  {
+    id: 1,
+    path: 'src/models/base.model.js',
+    content: [
+      'class BaseModel {',
+      '  save() { return this.validate(); }',
+      '  validate() { return true; }',
+      '}',
+      'module.exports = BaseModel;'
+    ].join('\n')
+  },
+  {
+    id: 2,
+    path: 'src/models/user.model.js',
+    content: [
+      "const BaseModel = require('./base.model');",
+      'class UserModel extends BaseModel {',
+      '  create(data) { return this.save(data); }',
+      '}',
+      'module.exports = new UserModel();'
+    ].join('\n')
+  },
+  {
+    id: 3,
+    path: 'src/services/user.service.ts',
+    content: [
+      "import userModel from '../models/user.model';",
+      "import { format } from './format';",
+      'export async function registerUser(data) {',
+      '  return userModel.create(format(data));',
+      '}'
+    ].join('\n')
+  },
+  {
+    id: 4,
+    path: 'src/services/format.ts',
+    content: 'export function format(data) { return data; }'
+  },
+  {
+    id: 5,
+    path: 'src/api/routes/users.js',
+    content: [
+      "const { registerUser } = require('../../services/user.service');",
+      "router.post('/', (req, res) => registerUser(req.body));"
+    ].join('\n')
+  },
+  {
+    id: 6,
+    path: 'tests/unit/user.service.test.js',
+    content: [
+      "const { registerUser } = require('../../src/services/user.service');",
+      "it('registers', () => registerUser({}));"
+    ].join('\n')
+  }
+];
+
+describe('SymbolGraph', () => {
+  let symbolGraph, graph;
+
+  const toRows = ({ symbols, references }) => ({
+    files: new Map(SOURCES.map(source => [source.id, source.path])),
+    symbols: symbols.map(symbol => ({
+      file_id: symbol.fileId,
+      qualified_name: symbol.qualifiedName,
+      kind: symbol.kind,
+      parent_name: symbol.parent
+    })),
+    references: references.map(reference => ({
+      reference_type: reference.type,
+      source_file_id: reference.sourceFileId,
+      source_symbol: reference.sourceSymbol,
+      target_file_id: reference.targetFileId,
+      target_symbol: reference.targetSymbol
+    }))
+  });
+
+  beforeEach(() => {
+    symbolGraph = new SymbolGraph(1);
+    graph = symbolGraph.buildGraph(SOURCES);
+    sinon.stub(symbolGraph, 'loadGraph').resolves(toRows(graph));
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  const hasReference = (type, sourceFileId, sourceSymbol, targetFileId, targetSymbol) => graph.references.some(reference =>
+    reference.type === type &&
+    reference.sourceFileId === sourceFileId &&
+    reference.sourceSymbol === sourceSymbol &&
+    reference.targetFileId === targetFileId &&
+    reference.targetSymbol === targetSymbol
+  );
+
+  describe('построение графа', () => {
+    it('должен связывать вызовы с символами других файлов через импорты', () => {
+      expect(hasReference('calls', 3, 'registerUser', 4, 'format')).to.be.true;
+      expect(hasReference('calls', 3, 'registerUser', 2, 'UserModel.create')).to.be.true;
+      expect(hasReference('calls', 5, null, 3, 'registerUser')).to.be.true;
+    });
+
+    it('должен учитывать наследование и методы родительского класса', () => {
+      expect(hasReference('extends', 2, 'UserModel', 1, 'BaseModel')).to.be.true;
+      expect(hasReference('calls', 2, 'UserModel.create', 1, 'BaseModel.save')).to.be.true;
+      expect(hasReference('calls', 1, 'BaseModel.save', 1, 'BaseModel.validate')).to.be.true;
+    });
+
+    it('должен разрешать импорты с подстановкой расширений', () => {
+      expect(hasReference('imports', 3, null, 4, null)).to.be.true;
+      expect(symbolGraph.resolveModulePath('src/a.ts', './b.js', new Set(['src/b.ts']))).to.equal('src/b.ts');
+      expect(symbolGraph.resolveModulePath('src/a.js', './lib', new Set(['src/lib/index.js']))).to.equal('src/lib/index.js');
+      expect(symbolGraph.resolveModulePath('src/a.js', 'express', new Set(['express']))).to.be.null;
+    });
+  });
+
+  describe('анализ влияния', () => {
+    it('должен находить затронутые маршруты и тесты при изменении метода', async () => {
+      const impact = await symbolGraph.analyzeImpact({ symbols: ['src/models/base.model.js#BaseModel.validate'] });
+
+      expect(impact.routes).to.deep.equal(['src/api/routes/users.js']);
+      expect(impact.tests).to.deep.equal(['tests/unit/user.service.test.js']);
+      expect(impact.modules).to.include.members(['src/models', 'src/services', 'src/api/routes']);
+      expect(impact.symbols.find(symbol => symbol.symbol === 'registerUser').kind).to.equal('function');
+    });
+
+    it('не должен считать затронутыми файлы, не использующие измененный символ', async () => {
+      const impact = await symbolGraph.analyzeImpact({ symbols: [{ file: 'src/services/user.service.ts', symbol: 'registerUser' }] });
+
+      expect(impact.files.map(file => file.path)).to.not.include('src/services/format.ts');
+      expect(impact.files.map(file => file.path)).to.not.include('src/models/user.model.js');
+    });
+
+    it('должен запоминать, от какого изменения пришло влияние', async () => {
+      const impact = await symbolGraph.analyzeImpact({ files: ['src/services/format.ts', 'README.md'] });
+      const test = impact.files.find(file => file.path === 'tests/unit/user.service.test.js');
+
+      expect(test.origins).to.deep.equal(['src/services/format.ts']);
+      expect(test.depth).to.equal(2);
+      expect(impact.unknown).to.deep.equal(['README.md']);
+    });
+
+    it('должен ограничивать глубину обхода', async () => {
+      const impact = await symbolGraph.analyzeImpact({ files: ['src/services/format.ts'] }, { maxDepth: 1 });
+
+      expect(impact.tests).to.be.empty;
+      expect(impact.files.map(file => file.path)).to.include('src/services/user.service.ts');
+    });
+  });
+});
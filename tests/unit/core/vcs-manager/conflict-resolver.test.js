@@ -0,0 +1,326 @@
+// tests/unit/core/vcs-manager/conflict-resolver.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { execSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../../../../src/utils/logger');
+const {
+  GitClient,
+  parseConflictHunks,
+  assembleResolvedContent
+} = require('../../../../src/core/vcs-manager/git-client');
+const conflictChecker = require('../../../../src/core/vcs-manager/conflict-checker');
+const { ConflictResolver, HUNK_STATUSES } = require('../../../../src/core/vcs-manager/conflict-resolver');
+const { ValidationError } = require('../../../../src/utils/errors');
+
+const BASE_SOURCE = [
+  'function greet(name) {',
+  "  return 'Hello, ' + name;",
+  '}',
+  '',
+  '// Прощание с пользователем по имени',
+  'function farewell(name) {',
+  "  return 'Bye, ' + name;",
+  '}',
+  '',
+  'module.exports = { greet, farewell };',
+  ''
+].join('\n');
+
+/**
+ * Пул БД в памяти для таблицы merge_conflict_resolutions
+ */
+function createDb() {
+  const rows = new Map();
+
+  return {
+    rows,
+    query: sinon.spy(async (sql, params) => {
+      if (sql.includes('INSERT INTO merge_conflict_resolutions')) {
+        const id = rows.size + 1;
+        const [project_id, base_branch, head_branch, merge_base, status, files] = params;
+
+        rows.set(id, { id, project_id, base_branch, head_branch, merge_base, status, files });
+        return [{ insertId: id }];
+      }
+
+      if (sql.includes('SELECT')) {
+        return [rows.has(Number(params[0])) ? [{ ...rows.get(Number(params[0])) }] : []];
+      }
+
+      if (sql.includes('SET files')) {
+        rows.get(params[1]).files = params[0];
+      } else {
+        Object.assign(rows.get(params[3]), { status: params[0], resolution_branch: params[1], commit_hash: params[2] });
+      }
+
+      return [{ affectedRows: 1 }];
+    })
+  };
+}
+
+describe('Разрешение конфликтов слияния по блокам', () => {
+  let repoPath, gitClient;
+
+  const git = command => execSync(`git ${command}`, { cwd: repoPath, encoding: 'utf-8', stdio: 'pipe' });
+
+  const commitFile = (file, content, message) => {
+    fs.writeFileSync(path.join(repoPath, file), content);
+    git(`add ${file}`);
+    git(`commit -q -m "${message}"`);
+  };
+
+  beforeAll(() => {
+    repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'conflict-resolver-test-'));
+
+    git('init -q');
+    git('checkout -q -b main');
+    git('config user.name Tester');
+    git('config user.email tester@example.com');
+    commitFile('app.js', BASE_SOURCE, 'base');
+    commitFile('README.md', '# Billing\n', 'readme');
+
+    git('checkout -q -b feature');
+    commitFile('app.js', BASE_SOURCE
+      .replace("'Hello, ' + name", "'Hi, ' + name")
+      .replace("'Bye, ' + name", "'See you, ' + name"), 'feature greetings');
+    commitFile('README.md', '# Billing\n\nExport of invoices.\n', 'feature readme');
+
+    git('checkout -q main');
+    commitFile('app.js', BASE_SOURCE
+      .replace("'Hello, ' + name", '`Hello, ${name}!`')
+      .replace("'Bye, ' + name", "'Goodbye, ' + name"), 'main greetings');
+  });
+
+  afterAll(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+    sinon.stub(logger, 'debug');
+
+    gitClient = new GitClient({ config: { baseDir: os.tmpdir() } });
+    sinon.stub(gitClient, 'getProjectRepository').resolves({ success: true, repoPath });
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('разбор маркеров', () => {
+    it('должен выделять блоки diff3 и собирать файл обратно из разрешений', () => {
+      const { segments, hunks } = parseConflictHunks([
+        'const a = 1;',
+        '<<<<<<< main',
+        'const b = 2;',
+        '||||||| merge-base',
+        'const b = 0;',
+        '=======',
+        'const b = 3;',
+        '>>>>>>> feature',
+        'module.exports = { a, b };',
+        ''
+      ].join('\n'));
+
+      expect(hunks).to.deep.equal([
+        { index: 0, startLine: 2, ours: 'const b = 2;\n', base: 'const b = 0;\n', theirs: 'const b = 3;\n' }
+      ]);
+
+      const { content, ranges } = assembleResolvedContent(segments, { 0: 'const b = 5;\nconst c = 6;' });
+
+      expect(content).to.equal('const a = 1;\nconst b = 5;\nconst c = 6;\nmodule.exports = { a, b };\n');
+      expect(ranges).to.deep.equal([{ hunk: 0, startLine: 2, endLine: 3 }]);
+    });
+  });
+
+  describe('GitClient.getMergeConflicts', () => {
+    it('должен извлекать блоки конфликта с версиями base/ours/theirs только для конфликтующих файлов', async () => {
+      const result = await gitClient.getMergeConflicts(1, 'feature', 'main');
+
+      expect(result.success).to.be.true;
+      expect(result.mergeBase).to.equal(git('merge-base main feature').trim());
+      expect(result.conflictFiles).to.deep.equal(['app.js']);
+      expect(result.files[0].hunks).to.deep.equal([
+        {
+          index: 0,
+          startLine: 2,
+          ours: '  return `Hello, ${name}!`;\n',
+          base: "  return 'Hello, ' + name;\n",
+          theirs: "  return 'Hi, ' + name;\n"
+        },
+        {
+          index: 1,
+          startLine: 7,
+          ours: "  return 'Goodbye, ' + name;\n",
+          base: "  return 'Bye, ' + name;\n",
+          theirs: "  return 'See you, ' + name;\n"
+        }
+      ]);
+    });
+  });
+
+  describe('ConflictChecker.generateConflictResolution', () => {
+    let conflicts;
+
+    beforeEach(async () => {
+      conflicts = (await gitClient.getMergeConflicts(1, 'feature', 'main')).files[0];
+    });
+
+    const generate = () => conflictChecker.generateConflictResolution({
+      file: 'app.js',
+      baseBranch: 'main',
+      headBranch: 'feature',
+      segments: conflicts.segments,
+      hunks: conflicts.hunks
+    });
+
+    it('должен разбирать JSON-ответ и проверять синтаксис собранного файла', async () => {
+      const sendPromptTemplate = sinon.stub(conflictChecker.llmClient, 'sendPromptTemplate').resolves('```json\n' + JSON.stringify({
+        resolutions: [
+          { hunk: 0, content: '  return `Hi, ${name}!`;', explanation: 'Шаблонная строка из main, приветствие из feature' },
+          { hunk: 1, content: "  return 'See you, ' + name;\n", explanation: 'Берем feature' }
+        ]
+      }) + '\n```');
+
+      const result = await generate();
+
+      expect(sendPromptTemplate.firstCall.args[0]).to.equal('conflict-resolution');
+      expect(sendPromptTemplate.firstCall.args[1].hunks).to.include('### Блок 1 (строка 7)');
+      expect(result.syntax.valid).to.be.true;
+      expect(result.proposals.map(({ hunk, valid }) => ({ hunk, valid }))).to.deep.equal([
+        { hunk: 0, valid: true },
+        { hunk: 1, valid: true }
+      ]);
+    });
+
+    it('должен отклонять предложение, ломающее синтаксис, и оставшиеся маркеры конфликта', async () => {
+      sinon.stub(conflictChecker.llmClient, 'sendPromptTemplate').resolves(JSON.stringify({
+        resolutions: [
+          { hunk: 0, content: "  return 'Hi, ' + name;\n<<<<<<< main\n" },
+          { hunk: 1, content: "  return 'See you, ' + ;\n" }
+        ]
+      }));
+
+      let result = await generate();
+
+      expect(result.proposals[0].errors).to.deep.equal(['Resolution for hunk 0 still contains conflict markers']);
+      expect(result.syntax).to.be.null;
+
+      conflictChecker.llmClient.sendPromptTemplate.resolves(JSON.stringify({
+        resolutions: [
+          { hunk: 0, content: "  return 'Hi, ' + name;\n" },
+          { hunk: 1, content: "  return 'See you, ' + ;\n" }
+        ]
+      }));
+
+      result = await generate();
+
+      expect(result.syntax.valid).to.be.false;
+      expect(result.proposals[0].valid).to.be.true;
+      expect(result.proposals[1].valid).to.be.false;
+      expect(result.proposals[1].errors[0]).to.match(/^Syntax check failed/);
+    });
+
+    it('должен помечать все блоки недействительными, если ответ не JSON', async () => {
+      sinon.stub(conflictChecker.llmClient, 'sendPromptTemplate').resolves('Оставьте версию из main.');
+
+      const result = await generate();
+
+      expect(result.proposals.every(proposal => !proposal.valid)).to.be.true;
+      expect(result.proposals[0].errors[0]).to.match(/^LLM response is not valid JSON/);
+    });
+  });
+
+  describe('ConflictResolver', () => {
+    let db, resolver;
+
+    beforeEach(() => {
+      db = createDb();
+      resolver = new ConflictResolver({ db, gitClient, conflictChecker, config: { branchPrefix: 'resolve/', push: false } });
+
+      sinon.stub(conflictChecker.llmClient, 'sendPromptTemplate').resolves(JSON.stringify({
+        resolutions: [
+          { hunk: 0, content: '  return `Hi, ${name}!`;\n' },
+          { hunk: 1, content: "  return 'See you, ' + name;\n" }
+        ]
+      }));
+    });
+
+    afterEach(() => {
+      git('checkout -q main');
+    });
+
+    it('должен применять только принятые блоки в отдельной ветке разрешения', async () => {
+      let resolution = await resolver.startResolution({ projectId: 1, baseBranch: 'main', headBranch: 'feature' });
+
+      expect(resolution.summary).to.include({ total: 2, proposed: 2 });
+      expect(resolution.files[0].hunks.map(hunk => hunk.id)).to.deep.equal([1, 2]);
+
+      await resolver.decideHunk(resolution.id, 1, { decision: 'accept' });
+      resolution = await resolver.decideHunk(resolution.id, 2, { decision: 'reject' });
+
+      expect(resolution.summary).to.include({ accepted: 1, rejected: 1 });
+
+      try {
+        await resolver.applyResolution(resolution.id);
+        expect.fail('Ожидалась ошибка');
+      } catch (error) {
+        expect(error).to.be.instanceOf(ValidationError);
+        expect(error.details).to.deep.equal([{ hunkId: 2, status: HUNK_STATUSES.REJECTED }]);
+      }
+
+      // Новое предложение запрашивается только для непринятого блока
+      conflictChecker.llmClient.sendPromptTemplate.resolves(JSON.stringify({
+        resolutions: [{ hunk: 1, content: "  return 'Goodbye, ' + name;\n" }]
+      }));
+      resolution = await resolver.proposeResolutions(resolution.id);
+
+      expect(conflictChecker.llmClient.sendPromptTemplate.lastCall.args[1].hunks).to.not.include('### Блок 0');
+      expect(resolution.files[0].hunks[1]).to.include({ status: HUNK_STATUSES.PROPOSED });
+
+      await resolver.decideHunk(resolution.id, 2, { decision: 'accept', content: "  return 'See you soon, ' + name;\n" });
+      resolution = await resolver.applyResolution(resolution.id);
+
+      expect(resolution).to.include({
+        status: 'applied',
+        resolutionBranch: 'resolve/feature-into-main-1',
+        commitHash: git('rev-parse resolve/feature-into-main-1').trim()
+      });
+      expect(git('show resolve/feature-into-main-1:app.js')).to.equal(BASE_SOURCE
+        .replace("'Hello, ' + name", '`Hi, ${name}!`')
+        .replace("'Bye, ' + name", "'See you soon, ' + name"));
+      expect(git('show resolve/feature-into-main-1:README.md')).to.equal('# Billing\n\nExport of invoices.\n');
+      expect(git('rev-list --parents -n 1 resolve/feature-into-main-1').trim().split(' ')).to.have.length(3);
+
+      try {
+        await resolver.decideHunk(resolution.id, 1, { decision: 'reject' });
+        expect.fail('Ожидалась ошибка');
+      } catch (error) {
+        expect(error.message).to.equal('Conflict resolution 1 is already applied');
+      }
+    });
+
+    it('должен требовать собственный код для блока без действительного предложения', async () => {
+      conflictChecker.llmClient.sendPromptTemplate.resolves('не JSON');
+
+      const resolution = await resolver.startResolution({ projectId: 1, baseBranch: 'main', headBranch: 'feature' });
+
+      expect(resolution.summary).to.include({ invalid: 2 });
+
+      try {
+        await resolver.decideHunk(resolution.id, 1, { decision: 'accept' });
+        expect.fail('Ожидалась ошибка');
+      } catch (error) {
+        expect(error.message).to.equal('Hunk 1 has no valid proposal; provide content to accept it');
+      }
+
+      expect(await resolver.getResolution(42)).to.be.null;
+    });
+  });
+});
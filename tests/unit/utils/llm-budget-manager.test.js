@@ -0,0 +1,130 @@
+// tests/unit/utils/llm-budget-manager.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { pool } = require('../../../src/config/db.config');
+const logger = require('../../../src/utils/logger');
+const { LLMBudgetManager } = require('../../../src/utils/llm-budget-manager');
+const { BudgetExceededError } = require('../../../src/utils/errors');
+
+describe('LLMBudgetManager', () => {
+  let manager, budgets, usage, notificationManager;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+
+    budgets = [
+      { id: 1, scope: 'project', scope_id: 7, period: 'monthly', token_limit: 1000, cost_limit: null, soft_limit_percent: 80 }
+    ];
+    usage = { tokens: 700, cost: '0.010000', notified_level: 0 };
+
+    sinon.stub(pool, 'query').callsFake(async (sql) => {
+      if (sql.startsWith('SELECT project_id')) {
+        return [[{ project_id: 7, assigned_to: 3 }]];
+      }
+      if (sql.startsWith('SELECT * FROM llm_budgets')) {
+        return [budgets];
+      }
+      if (sql.startsWith('SELECT tokens')) {
+        return [[usage]];
+      }
+      if (sql.startsWith('INSERT INTO llm_budget_usage')) {
+        usage.tokens += 150;
+        return [{ affectedRows: 1 }];
+      }
+      if (sql.startsWith('UPDATE llm_budget_usage')) {
+        return [{ affectedRows: 1 }];
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    });
+
+    notificationManager = { sendWarning: sinon.stub().resolves() };
+    manager = new LLMBudgetManager();
+    manager.setNotificationManager(notificationManager);
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('проверка бюджета', () => {
+    it('должен определять проект и пользователя по задаче', async () => {
+      const targets = await manager.resolveTargets({ taskId: '12' });
+
+      expect(targets).to.deep.equal([
+        { scope: 'task', scopeId: 12 },
+        { scope: 'project', scopeId: 7 },
+        { scope: 'user', scopeId: 3 }
+      ]);
+    });
+
+    it('должен отклонять запрос, если оценка превышает остаток бюджета', async () => {
+      await manager.checkBudget({ taskId: '12' }, 200);
+
+      try {
+        await manager.checkBudget({ taskId: '12' }, 400);
+        expect.fail('Ожидалась ошибка BudgetExceededError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BudgetExceededError);
+        expect(error.budget).to.include({ scope: 'project', scopeId: 7, usedTokens: 700 });
+      }
+    });
+
+    it('должен применять бюджет задачи, если задачу прочитать не удалось', async () => {
+      budgets = [
+        { id: 2, scope: 'task', scope_id: 12, period: 'total', token_limit: 500, cost_limit: null, soft_limit_percent: 80 }
+      ];
+      pool.query.withArgs(sinon.match(/^SELECT project_id/)).rejects(new Error("Unknown column 'owner_id'"));
+
+      expect(await manager.resolveTargets({ taskId: '12' })).to.deep.equal([{ scope: 'task', scopeId: 12 }]);
+
+      try {
+        await manager.checkBudget({ taskId: '12' }, 100);
+        expect.fail('Ожидалась ошибка BudgetExceededError');
+      } catch (error) {
+        expect(error).to.be.instanceOf(BudgetExceededError);
+        expect(error.budget).to.include({ scope: 'task', scopeId: 12, usedTokens: 700 });
+      }
+    });
+
+    it('должен пропускать запрос при ошибке чтения бюджетов', async () => {
+      pool.query.rejects(new Error('ECONNREFUSED'));
+
+      await manager.checkBudget({ taskId: '12' }, 100000);
+
+      expect(logger.error.calledOnce).to.be.true;
+    });
+  });
+
+  describe('учет расхода', () => {
+    it('должен учитывать расход во всех периодах и предупреждать о мягком лимите', async () => {
+      await manager.recordUsage({ taskId: '12' }, 'claude-3-haiku-20240307', 100, 50);
+
+      const insert = pool.query.getCalls().find(call => call.args[0].startsWith('INSERT'));
+      expect(insert.args[1][0]).to.have.length(9);
+
+      expect(notificationManager.sendWarning.calledOnce).to.be.true;
+      expect(notificationManager.sendWarning.firstCall.args[0]).to.equal('Бюджет LLM почти исчерпан');
+      expect(notificationManager.sendWarning.firstCall.args[2].data.budget.percentage).to.equal(85);
+    });
+
+    it('не должен повторять уведомление в том же периоде', async () => {
+      usage.notified_level = 1;
+
+      await manager.recordUsage({ taskId: '12' }, 'claude-3-haiku-20240307', 100, 50);
+
+      expect(notificationManager.sendWarning.called).to.be.false;
+    });
+  });
+
+  describe('валидация', () => {
+    it('должен требовать область и хотя бы один лимит', () => {
+      const errors = manager.validateBudget({ scope: 'team', scopeId: 1 });
+
+      expect(errors).to.have.length(2);
+      expect(manager.validateBudget({ scope: 'user', scopeId: 3, costLimit: 25 })).to.be.empty;
+      expect(manager.validateBudget({ softLimitPercent: 150 }, { partial: true })).to.have.length(1);
+    });
+  });
+});
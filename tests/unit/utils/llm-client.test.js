@@ -0,0 +1,140 @@
+// tests/unit/utils/llm-client.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const logger = require('../../../src/utils/logger');
+const llmBudgetManager = require('../../../src/utils/llm-budget-manager');
+const { LLMClient } = require('../../../src/utils/llm-client');
+
+/**
+ * Поток событий провайдера: фрагменты текста, затем необязательная ошибка
+ */
+async function* providerEvents(texts, error = null) {
+  for (const text of texts) {
+    yield { text };
+  }
+
+  if (error) {
+    throw error;
+  }
+}
+
+function apiError(status, type = null) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: type ? { error: { type } } : {} };
+  return error;
+}
+
+async function collect(stream) {
+  const events = [];
+
+  for await (const event of stream) {
+    events.push(event);
+  }
+
+  return events;
+}
+
+describe('LLMClient.stream', () => {
+  let client, adapter;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'info');
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'warn');
+    sinon.stub(logger, 'error');
+    sinon.stub(llmBudgetManager, 'checkBudget').resolves();
+    sinon.stub(llmBudgetManager, 'recordUsage').resolves();
+
+    client = new LLMClient({
+      model: 'test-model',
+      retryDelay: 1,
+      maxRetries: 2,
+      maxContextTokens: 16000,
+      trackLLMInteractions: false,
+      routing: { rules: [], fallback: [] }
+    });
+
+    adapter = client.providerAdapter;
+    sinon.stub(adapter, 'processStreamEvent').callsFake(event => event);
+    sinon.stub(adapter, 'streamEvents');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('должен повторять временную ошибку до первого фрагмента и отдавать полный ответ', async () => {
+    adapter.streamEvents
+      .onFirstCall().returns(providerEvents([], apiError(500)))
+      .onSecondCall().returns(providerEvents([], apiError(429)))
+      .onThirdCall().returns(providerEvents(['const a', ' = 1;']));
+
+    const events = await collect(client.stream('Сгенерируй код', {}, { taskId: 5 }));
+
+    expect(adapter.streamEvents.callCount).to.equal(3);
+    expect(events.filter(event => event.type === 'delta').map(event => event.text)).to.deep.equal(['const a', ' = 1;']);
+    expect(events[events.length - 1]).to.include({ type: 'done', content: 'const a = 1;' });
+    expect(client.requestStats).to.include({ successful: 1, failed: 0 });
+  });
+
+  it('не должен повторять запрос после отправки первого фрагмента', async () => {
+    adapter.streamEvents.returns(providerEvents(['const a'], apiError(500)));
+
+    const events = [];
+
+    try {
+      for await (const event of client.stream('Сгенерируй код')) {
+        events.push(event);
+      }
+      expect.fail('Ожидалась ошибка');
+    } catch (error) {
+      expect(error.message).to.match(/^Ошибка anthropic API/);
+    }
+
+    expect(events).to.deep.equal([{ type: 'delta', text: 'const a' }]);
+    expect(adapter.streamEvents.calledOnce).to.be.true;
+    expect(client.requestStats.failed).to.equal(1);
+  });
+
+  it('должен прекращать повторы после maxRetries', async () => {
+    adapter.streamEvents.callsFake(() => providerEvents([], apiError(502)));
+
+    try {
+      await collect(client.stream('Сгенерируй код'));
+      expect.fail('Ожидалась ошибка');
+    } catch (error) {
+      expect(error.message).to.include('status code 502');
+    }
+
+    expect(adapter.streamEvents.callCount).to.equal(3);
+  });
+
+  it('должен усекать промпт по лимиту контекста и еще сильнее при context_length_exceeded', async () => {
+    const prepareRequest = sinon.spy(client, '_prepareRequest');
+    const truncate = sinon.spy(client, 'processContextLimitations');
+
+    adapter.streamEvents
+      .onFirstCall().returns(providerEvents([], apiError(400, 'context_length_exceeded')))
+      .onSecondCall().returns(providerEvents(['ok']));
+
+    await collect(client.stream('Промпт', {}, {}));
+
+    expect(truncate.firstCall.args[1]).to.equal(16000);
+    expect(truncate.secondCall.args[1]).to.equal(16000 * 0.8);
+    expect(prepareRequest.secondCall.args[0]).to.equal(truncate.secondCall.returnValue);
+  });
+
+  it('не должен повторять ошибки клиента', async () => {
+    adapter.streamEvents.returns(providerEvents([], apiError(401)));
+
+    try {
+      await collect(client.stream('Сгенерируй код'));
+      expect.fail('Ожидалась ошибка');
+    } catch (error) {
+      expect(error.message).to.include('status code 401');
+    }
+
+    expect(adapter.streamEvents.calledOnce).to.be.true;
+  });
+});
@@ -0,0 +1,122 @@
+// tests/unit/utils/llm-providers.test.js
+
+const path = require('path');
+const { expect } = require('chai');
+const sinon = require('sinon');
+const logger = require('../../../src/utils/logger');
+const {
+  BaseLLMProvider,
+  FixtureProvider,
+  registerProvider,
+  hasProvider,
+  createProvider
+} = require('../../../src/utils/llm-providers');
+
+const FIXTURES_DIR = path.join(__dirname, '../../fixtures/llm');
+
+describe('LLM providers', () => {
+  beforeEach(() => {
+    sinon.stub(logger, 'debug');
+    sinon.stub(logger, 'warn');
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  describe('реестр', () => {
+    it('должен создавать зарегистрированный адаптер с секцией настроек провайдера', () => {
+      const provider = createProvider('openai-compatible', {
+        apiUrl: 'https://api.anthropic.com',
+        openaiCompatible: { apiUrl: 'http://localhost:8000/', chatPath: '/v1/chat/completions' }
+      });
+
+      const request = provider.prepareRequest(
+        { system: 'Системный промпт', messages: [{ role: 'user', content: 'Привет' }] },
+        { model: 'llama3', maxTokens: 100, temperature: 0.2, stream: true }
+      );
+
+      expect(request.url).to.equal('http://localhost:8000/v1/chat/completions');
+      expect(request.headers).to.not.have.property('Authorization');
+      expect(request.data.messages[0]).to.deep.equal({ role: 'system', content: 'Системный промпт' });
+      expect(request.data.stream).to.be.true;
+      expect(request.data).to.not.have.property('stream_options');
+    });
+
+    it('должен регистрировать пользовательский провайдер', () => {
+      class CustomProvider extends BaseLLMProvider {}
+
+      registerProvider('custom-test', CustomProvider);
+
+      expect(hasProvider('custom-test')).to.be.true;
+      expect(createProvider('custom-test')).to.be.instanceOf(CustomProvider);
+    });
+
+    it('должен отклонять неизвестный провайдер', () => {
+      expect(() => createProvider('unknown')).to.throw('Неподдерживаемый провайдер LLM: unknown');
+    });
+  });
+
+  describe('FixtureProvider', () => {
+    const prompt = { system: null, messages: [{ role: 'user', content: 'Запрос fixture:example' }] };
+    const params = { model: 'test-model', maxTokens: 100, temperature: 0 };
+
+    it('должен возвращать ответ фикстуры по фрагменту промпта', async () => {
+      const provider = createProvider('fixture', { fixture: { directory: FIXTURES_DIR } });
+
+      const result = provider.processResponse(await provider.send(provider.prepareRequest(prompt, params)));
+
+      expect(result.content).to.equal('Ответ из фикстуры example');
+      expect(result.usage.total_tokens).to.equal(16);
+      expect(result.fixtureId).to.equal('example');
+    });
+
+    it('должен предпочитать фикстуру с точным ключом запроса', async () => {
+      const provider = new FixtureProvider('fixture', {}, { directory: FIXTURES_DIR });
+      provider.addFixture({ id: 'exact', match: { key: FixtureProvider.createKey(prompt) }, response: 'Точный ответ' });
+
+      const response = await provider.send(provider.prepareRequest(prompt, params));
+
+      expect(response.data.content).to.equal('Точный ответ');
+    });
+
+    it('должен выдавать ответ фрагментами в потоковом режиме', async () => {
+      const provider = new FixtureProvider('fixture', {}, { directory: FIXTURES_DIR, chunkSize: 10 });
+      const chunks = [];
+
+      for await (const event of provider.streamEvents(provider.prepareRequest(prompt, { ...params, stream: true }))) {
+        const chunk = provider.processStreamEvent(event);
+
+        if (chunk.text) {
+          chunks.push(chunk.text);
+        }
+      }
+
+      expect(chunks.length).to.equal(3);
+      expect(chunks.join('')).to.equal('Ответ из фикстуры example');
+    });
+
+    it('должен сообщать об отсутствии фикстуры ошибкой без повторов', async () => {
+      const provider = new FixtureProvider('fixture', {}, { directory: FIXTURES_DIR });
+      const request = provider.prepareRequest({ system: null, messages: [{ role: 'user', content: 'Другой запрос' }] }, params);
+
+      try {
+        await provider.send(request);
+        expect.fail('Ожидалась ошибка');
+      } catch (error) {
+        expect(error.response.status).to.equal(404);
+        expect(error.response.data.error.type).to.equal('fixture_not_found');
+      }
+    });
+
+    it('должен создавать одинаковые эмбеддинги для одинакового текста', async () => {
+      const provider = new FixtureProvider('fixture', {}, { embeddingDimensions: 8 });
+
+      const first = await provider.createEmbedding('текст');
+      const second = await provider.createEmbedding('текст');
+
+      expect(first).to.have.length(8);
+      expect(first).to.deep.equal(second);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+// tests/unit/utils/llm-router.test.js
+
+const { expect } = require('chai');
+const LLMRouter = require('../../../src/utils/llm-router');
+
+describe('LLMRouter', () => {
+  let router;
+
+  beforeEach(() => {
+    router = new LLMRouter({
+      rules: [
+        { name: 'classification', match: { templates: ['task-classification'] }, model: 'fast-model' },
+        { name: 'generation', match: { steps: ['codeGenerator'] }, model: 'strong-model', fallback: [{ provider: 'openai', model: 'gpt-4' }] },
+        { name: 'large', match: { minTokens: 10000 }, model: 'long-context-model' },
+        { name: 'disabled', match: {}, model: null }
+      ],
+      fallback: ['backup-model']
+    }, { provider: 'anthropic', model: 'default-model' });
+  });
+
+  describe('выбор модели', () => {
+    it('должен выбирать модель по имени шаблона независимо от расширения', () => {
+      const decision = router.route({ template: 'task-classification.txt', estimatedTokens: 100 });
+
+      expect(decision.rule).to.equal('classification');
+      expect(decision.candidates).to.deep.equal([
+        { provider: 'anthropic', model: 'fast-model' },
+        { provider: 'anthropic', model: 'backup-model' }
+      ]);
+    });
+
+    it('должен использовать резервные модели правила вместо общих', () => {
+      const decision = router.route({ step: 'codeGenerator', estimatedTokens: 100 });
+
+      expect(decision.candidates.map(candidate => candidate.model)).to.deep.equal(['strong-model', 'gpt-4']);
+      expect(decision.candidates[1].provider).to.equal('openai');
+    });
+
+    it('должен выбирать модель по размеру промпта', () => {
+      expect(router.route({ estimatedTokens: 20000 }).rule).to.equal('large');
+      expect(router.route({ estimatedTokens: 500 }).reason).to.equal('default');
+    });
+
+    it('должен отдавать приоритет явно указанной модели', () => {
+      const decision = router.route({ options: { model: 'custom-model' }, step: 'codeGenerator' });
+
+      expect(decision.reason).to.equal('explicit');
+      expect(decision.candidates[0].model).to.equal('custom-model');
+    });
+
+    it('должен игнорировать правила без модели', () => {
+      expect(router.getStats().rules.map(rule => rule.name)).to.not.include('disabled');
+    });
+  });
+
+  describe('резервные модели', () => {
+    it('должен переключаться на резервную модель при перегрузке и лимите запросов', () => {
+      expect(router.isFallbackError({ response: { status: 529, data: {} } })).to.be.true;
+      expect(router.isFallbackError({ response: { status: 429, data: {} } })).to.be.true;
+      expect(router.isFallbackError({ response: { status: 400, data: { error: { type: 'rate_limit_exceeded' } } } })).to.be.true;
+      expect(router.isFallbackError({ response: { status: 400, data: { error: { type: 'invalid_request_error' } } } })).to.be.false;
+      expect(router.isFallbackError(new Error('ECONNRESET'))).to.be.false;
+    });
+
+    it('должен учитывать переключения в статистике', () => {
+      const decision = router.route({ step: 'codeGenerator' });
+
+      router.recordResult(decision, decision.candidates[1]);
+
+      const stats = router.getStats();
+      expect(stats.fallbacks).to.equal(1);
+      expect(stats.byModel).to.deep.equal({ 'openai/gpt-4': 1 });
+      expect(stats.fallbackTransitions).to.deep.equal({ 'anthropic/strong-model -> openai/gpt-4': 1 });
+      expect(stats.byRule).to.deep.equal({ generation: 1 });
+    });
+  });
+});
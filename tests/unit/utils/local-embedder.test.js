@@ -0,0 +1,72 @@
+// tests/unit/utils/local-embedder.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const LocalEmbedder = require('../../../src/utils/local-embedder');
+const { LLMClient } = require('../../../src/utils/llm-client');
+const llmCache = require('../../../src/utils/llm-cache');
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe('LocalEmbedder', () => {
+  const embedder = new LocalEmbedder({ dimension: 256 });
+
+  it('должен возвращать одинаковый нормированный вектор для одинакового текста', () => {
+    const first = embedder.embed('function getUserById(id) { return users.find(u => u.id === id); }');
+    const second = new LocalEmbedder({ dimension: 256 }).embed('function getUserById(id) { return users.find(u => u.id === id); }');
+
+    expect(first).to.have.length(256);
+    expect(first).to.deep.equal(second);
+    expect(cosine(first, first)).to.be.closeTo(1, 1e-9);
+  });
+
+  it('должен сближать тексты с общими идентификаторами', () => {
+    const query = embedder.embed('load user by id');
+    const related = embedder.embed('async function loadUserById(userId) { return db.users.findOne(userId); }');
+    const unrelated = embedder.embed('const chart = renderPieChart(canvas, palette);');
+
+    expect(cosine(query, related)).to.be.greaterThan(cosine(query, unrelated) + 0.2);
+  });
+
+  it('должен разбивать идентификаторы разных стилей на части', () => {
+    expect(embedder.splitIdentifier('getHTTPResponseCode')).to.deep.equal(['get', 'http', 'response', 'code']);
+    expect(embedder.splitIdentifier('MAX_RETRY_COUNT')).to.deep.equal(['max', 'retry', 'count']);
+  });
+
+  it('должен возвращать нулевой вектор для текста без токенов и включать размерность в modelId', () => {
+    expect(embedder.embed('  ;; ').every(value => value === 0)).to.be.true;
+    expect(embedder.modelId).to.equal('hashed-ngram-v1-256');
+    expect(() => new LocalEmbedder({ dimension: 3 })).to.throw('Некорректная размерность');
+  });
+
+  describe('LLMClient с provider: local', () => {
+    afterEach(() => {
+      sinon.restore();
+    });
+
+    it('должен создавать эмбеддинги без сетевых запросов', async () => {
+      const client = new LLMClient({ embeddings: { provider: 'local', dimensions: 384 } });
+      sinon.stub(llmCache, 'get').resolves(null);
+      const set = sinon.stub(llmCache, 'set').resolves();
+
+      const model = client.getEmbeddingModel();
+      const embedding = await client.createEmbedding('parse config file');
+
+      expect(model).to.deep.equal({
+        id: 'local:hashed-ngram-v1-384',
+        provider: 'local',
+        model: 'hashed-ngram-v1-384',
+        dimension: 384
+      });
+      expect(embedding).to.have.length(384);
+      expect(set.called).to.be.false;
+    });
+
+    it('должен различать модели эмбеддингов разных провайдеров', () => {
+      const client = new LLMClient({ embeddings: { provider: 'openai', model: 'text-embedding-3-small', dimensions: 1536 } });
+
+      expect(client.getEmbeddingModel().id).to.equal('openai:text-embedding-3-small');
+      expect(client.getEmbeddingModel({ embeddingProvider: 'local' }).id).to.equal('local:hashed-ngram-v1-1536');
+    });
+  });
+});
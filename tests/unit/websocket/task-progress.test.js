@@ -0,0 +1,65 @@
+// tests/unit/websocket/task-progress.test.js
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const websocket = require('../../../src/websocket');
+const logger = require('../../../src/utils/logger');
+const { streamTaskOutput } = require('../../../src/websocket/task-progress');
+
+async function* llmStream(texts) {
+  for (const text of texts) {
+    yield { type: 'delta', text };
+  }
+
+  yield { type: 'done', content: texts.join(''), model: 'test-model' };
+}
+
+describe('streamTaskOutput', () => {
+  let ws;
+
+  beforeEach(() => {
+    sinon.stub(logger, 'debug');
+    ws = { notifySubscribers: sinon.spy() };
+  });
+
+  afterEach(() => {
+    sinon.restore();
+  });
+
+  it('должен объединять фрагменты в пределах интервала и завершать передачу признаком done', async () => {
+    sinon.stub(websocket, 'getInstance').returns(ws);
+
+    const result = await streamTaskOutput(12, llmStream(['const ', 'a = ', '1;']), {
+      step: 'codeGenerator',
+      label: 'src/a.js',
+      flushInterval: 60 * 60 * 1000
+    });
+
+    expect(result).to.include({ type: 'done', content: 'const a = 1;' });
+
+    const messages = ws.notifySubscribers.getCalls().map(call => call.args);
+    expect(messages.map(([channel, taskId]) => [channel, taskId])).to.deep.equal([['task', 12], ['task', 12]]);
+    expect(messages.map(([, , message]) => ({ sequence: message.sequence, delta: message.delta, done: message.done })))
+      .to.deep.equal([
+        { sequence: 0, delta: 'const ', done: false },
+        { sequence: 1, delta: 'a = 1;', done: true }
+      ]);
+    expect(messages[0][2]).to.include({ type: 'task-partial-output', step: 'codeGenerator', label: 'src/a.js' });
+  });
+
+  it('должен отправлять каждый фрагмент при нулевом интервале', async () => {
+    sinon.stub(websocket, 'getInstance').returns(ws);
+
+    await streamTaskOutput(12, llmStream(['a', 'b']), { flushInterval: 0 });
+
+    expect(ws.notifySubscribers.getCalls().map(call => call.args[2].delta)).to.deep.equal(['a', 'b', '']);
+  });
+
+  it('должен вычитывать поток без WebSocket-сервера', async () => {
+    sinon.stub(websocket, 'getInstance').returns(null);
+
+    const result = await streamTaskOutput(12, llmStream(['a', 'b']));
+
+    expect(result.content).to.equal('ab');
+  });
+});